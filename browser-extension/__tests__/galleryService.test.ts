@@ -0,0 +1,58 @@
+import SogniGallery from '../gallery-service.js';
+
+function entry(id: string, hostname: string, styleKey: string, updatedAt: number) {
+  return {
+    id,
+    originalUrl: `https://${hostname}/${id}.jpg`,
+    transformedUrl: `https://cdn.example.com/${id}.jpg`,
+    styleKey,
+    styleDisplayName: styleKey,
+    hostname,
+    createdAt: updatedAt,
+    updatedAt,
+    deletedAt: null
+  };
+}
+
+describe('gallery service', () => {
+  describe('groupBySiteAndStyle', () => {
+    it('groups by site, then style, most recent first', () => {
+      const sites = SogniGallery.groupBySiteAndStyle([
+        entry('a', 'old.example.com', 'pirate', 100),
+        entry('b', 'new.example.com', 'pirate', 200),
+        entry('c', 'new.example.com', 'anime', 300),
+        entry('d', 'new.example.com', 'pirate', 150)
+      ]);
+
+      expect(sites.map((site: any) => site.hostname)).toEqual(['new.example.com', 'old.example.com']);
+      expect(sites[0].updatedAt).toBe(300);
+      expect(sites[0].styles.map((style: any) => style.styleKey)).toEqual(['anime', 'pirate']);
+      expect(sites[0].styles[1].entries.map((e: any) => e.id)).toEqual(['b', 'd']);
+    });
+
+    it('returns no groups for an empty gallery', () => {
+      expect(SogniGallery.groupBySiteAndStyle([])).toEqual([]);
+    });
+  });
+
+  describe('mergeEntries', () => {
+    it('keeps whichever side changed last', () => {
+      const index: Record<string, any> = {
+        kept: entry('kept', 'example.com', 'pirate', 500),
+        replaced: entry('replaced', 'example.com', 'pirate', 100)
+      };
+      const tombstone = { id: 'replaced', updatedAt: 200, deletedAt: 200 };
+
+      const changed = SogniGallery.mergeEntries(index, [
+        entry('kept', 'example.com', 'pirate', 400),
+        tombstone,
+        entry('added', 'example.com', 'anime', 300)
+      ]);
+
+      expect(changed).toBe(2);
+      expect(index.kept.updatedAt).toBe(500);
+      expect(index.replaced).toEqual(tombstone);
+      expect(index.added.styleKey).toBe('anime');
+    });
+  });
+});
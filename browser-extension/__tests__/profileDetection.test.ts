@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+import SogniProfileDetection from '../profile-detection.js';
+
+const { findProfileImages, isProfileImage } = SogniProfileDetection;
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'test-prototypes');
+
+// Expected counts match test-prototypes/test-runner.js
+const FIXTURES = [
+  { file: 'salesforce-dreamforce-speakers.html', expectedImages: 8 },
+  { file: 'salesforce-df25-speakers-exact.html', expectedImages: 6 },
+  { file: 'token2049-speakers.html', expectedImages: 12 },
+  { file: 'netflix-leadership.html', expectedImages: 6 },
+  { file: 'ai4-vegas-speakers.html', expectedImages: 8 },
+  { file: 'sogni-team.html', expectedImages: 8 }
+];
+
+// jsdom doesn't do layout, so size elements from their CSS pixel sizes.
+// Images sized in percentages fall back to the size in their placeholder URL.
+function layoutSize(element: Element, dimension: 'width' | 'height'): number {
+  const cssValue = window.getComputedStyle(element)[dimension];
+  if (cssValue.endsWith('px')) {
+    return parseFloat(cssValue);
+  }
+
+  const placeholderSize = element.getAttribute('src')?.match(/\/(\d+)x(\d+)/);
+  if (placeholderSize) {
+    return Number(dimension === 'width' ? placeholderSize[1] : placeholderSize[2]);
+  }
+  return 0;
+}
+
+function loadPage(html: string) {
+  document.documentElement.innerHTML = html.replace(/<!DOCTYPE[^>]*>/i, '');
+}
+
+describe('profile detection', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(HTMLElement.prototype, 'getBoundingClientRect').mockImplementation(function (this: HTMLElement) {
+      const width = layoutSize(this, 'width');
+      const height = layoutSize(this, 'height');
+      return { x: 0, y: 0, top: 0, left: 0, right: width, bottom: height, width, height, toJSON: () => ({}) };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    document.documentElement.innerHTML = '<head></head><body></body>';
+  });
+
+  describe('findProfileImages', () => {
+    it.each(FIXTURES)('finds every headshot on $file', ({ file, expectedImages }) => {
+      loadPage(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+
+      const images = findProfileImages();
+
+      expect(images).toHaveLength(expectedImages);
+      expect(new Set(images.map((img: HTMLImageElement) => img.src)).size).toBe(expectedImages);
+    });
+
+    it('skips logos and decorations inside a speakers section', () => {
+      loadPage(`
+        <div class="speakers-grid">
+          <img src="https://example.com/logo.png" style="width: 120px; height: 120px;">
+          <img src="https://example.com/a.jpg" style="width: 120px; height: 120px;">
+          <img src="https://example.com/b.jpg" style="width: 120px; height: 120px;">
+          <img src="https://example.com/c.jpg" style="width: 120px; height: 120px; display: none;">
+        </div>
+      `);
+
+      const images = findProfileImages();
+
+      expect(images.map((img: HTMLImageElement) => img.src)).toEqual([
+        'https://example.com/a.jpg',
+        'https://example.com/b.jpg'
+      ]);
+    });
+
+    it('falls back to the largest grid of similar images', () => {
+      loadPage(`
+        <main>
+          <div><img src="https://example.com/1.jpg" style="width: 150px; height: 150px;"></div>
+          <div><img src="https://example.com/2.jpg" style="width: 150px; height: 150px;"></div>
+          <div><img src="https://example.com/3.jpg" style="width: 150px; height: 150px;"></div>
+          <div><img src="https://example.com/hero.jpg" style="width: 600px; height: 400px;"></div>
+        </main>
+      `);
+
+      expect(findProfileImages()).toHaveLength(3);
+    });
+  });
+
+  describe('isProfileImage', () => {
+    function imageIn(html: string): HTMLImageElement {
+      loadPage(html);
+      return document.querySelector('img[data-test]') as HTMLImageElement;
+    }
+
+    it('accepts an image with a headshot class', () => {
+      expect(isProfileImage(imageIn(
+        '<img data-test class="leader-headshot" src="https://example.com/a.jpg" style="width: 200px; height: 240px;">'
+      ))).toBe(true);
+    });
+
+    it('accepts an image inside a team section', () => {
+      expect(isProfileImage(imageIn(
+        '<section id="our-team"><div><img data-test src="https://example.com/a.jpg" style="width: 120px; height: 120px;"></div></section>'
+      ))).toBe(true);
+    });
+
+    it('rejects images that are too small, too large or too wide', () => {
+      expect(isProfileImage(imageIn(
+        '<div class="team"><img data-test src="https://example.com/a.jpg" style="width: 32px; height: 32px;"></div>'
+      ))).toBe(false);
+      expect(isProfileImage(imageIn(
+        '<div class="team"><img data-test src="https://example.com/a.jpg" style="width: 900px; height: 900px;"></div>'
+      ))).toBe(false);
+      expect(isProfileImage(imageIn(
+        '<div class="team"><img data-test src="https://example.com/a.jpg" style="width: 300px; height: 100px;"></div>'
+      ))).toBe(false);
+    });
+
+    it('rejects images inside hero banners', () => {
+      expect(isProfileImage(imageIn(
+        '<div class="team"><div class="hero-banner"><img data-test src="https://example.com/a.jpg" style="width: 120px; height: 120px;"></div></div>'
+      ))).toBe(false);
+    });
+
+    it('rejects images the extension already converted', () => {
+      expect(isProfileImage(imageIn(
+        '<div class="team"><img data-test data-original-url="https://example.com/a.jpg" src="https://example.com/styled.jpg" style="width: 120px; height: 120px;"></div>'
+      ))).toBe(false);
+    });
+
+    it('rejects images served by a custom backend', () => {
+      const img = imageIn(
+        '<div class="team"><img data-test src="https://photobooth.example.com/api/images/a.jpg" style="width: 120px; height: 120px;"></div>'
+      );
+
+      expect(isProfileImage(img)).toBe(true);
+      expect(isProfileImage(img, { apiBaseUrl: 'https://photobooth.example.com/api' })).toBe(false);
+    });
+  });
+});
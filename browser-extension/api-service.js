@@ -35,17 +35,24 @@ class PhotoboothAPI {
 
   // Detect API endpoint based on dev mode
   async detectApiEndpoint() {
-    // Check dev mode from storage
+    // Check dev mode and custom backend from storage
+    let customApiBaseUrl = null;
     try {
-      const result = await new Promise((resolve) => {
-        chrome.storage.local.get(['devMode'], resolve);
-      });
+      const result = await SogniEndpoints.getSettings();
       this.isDevMode = result.devMode || false;
+      customApiBaseUrl = result.customApiBaseUrl || null;
     } catch (error) {
       console.log('Could not read dev mode setting, defaulting to production');
       this.isDevMode = false;
     }
 
+    // A backend set on the options page wins over dev mode; it was checked when saved
+    if (customApiBaseUrl) {
+      console.log('Using custom API:', customApiBaseUrl);
+      this.apiBaseUrl = customApiBaseUrl;
+      return customApiBaseUrl;
+    }
+
     if (this.isDevMode) {
       // Try local API first in dev mode
       try {
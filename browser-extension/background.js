@@ -1,8 +1,12 @@
 // Background script for Sogni Photobooth Extension
 console.log('Sogni Photobooth Extension: Background script loaded');
 
-// Create context menu for dev mode toggle
+importScripts('extension-config.js', 'endpoint-config.js', 'gallery-service.js');
+
+// Create context menu for dev mode toggle (not in production builds)
 chrome.runtime.onInstalled.addListener(() => {
+  if (!SogniExtensionConfig.allowDevMode) return;
+
   chrome.contextMenus.create({
     id: 'toggle-dev-mode',
     title: 'Toggle Development Mode',
@@ -47,12 +51,17 @@ async function toggleDevMode() {
 
 // Update context menu based on current dev mode
 async function updateDevModeContextMenu() {
+  if (!SogniExtensionConfig.allowDevMode) return;
+
   try {
-    const result = await chrome.storage.local.get(['devMode']);
+    const result = await chrome.storage.local.get(['devMode', 'customApiBaseUrl']);
     const isDevMode = result.devMode || false;
     
     chrome.contextMenus.update('toggle-dev-mode', {
-      title: `Development Mode: ${isDevMode ? 'ON (localhost)' : 'OFF (production)'}`
+      // A custom backend from the options page takes precedence over dev mode
+      title: result.customApiBaseUrl
+        ? `Development Mode: ${isDevMode ? 'ON' : 'OFF'} (custom backend in use)`
+        : `Development Mode: ${isDevMode ? 'ON (localhost)' : 'OFF (production)'}`
     });
   } catch (error) {
     console.error('Error updating context menu:', error);
@@ -220,9 +229,17 @@ class SSEConnectionManager {
     }, delay);
   }
 
-  // Register a project for tracking
-  trackProject(projectId, imageUrl, resolve, reject) {
-    this.activeProjects.set(projectId, { resolve, reject, imageUrl, isResolved: false });
+  // Register a project for tracking. Video projects (options.kind === 'video')
+  // report progress to options.tabId, or the active tab if it isn't known.
+  trackProject(projectId, imageUrl, resolve, reject, options = {}) {
+    this.activeProjects.set(projectId, {
+      resolve,
+      reject,
+      imageUrl,
+      isResolved: false,
+      kind: options.kind || 'image',
+      tabId: options.tabId || null
+    });
     // Flush any buffered events for this project in arrival order
     if (this.pendingEvents.has(projectId)) {
       const events = this.pendingEvents.get(projectId);
@@ -235,18 +252,31 @@ class SSEConnectionManager {
   }
 
   // Wait for project completion and return result
-  waitForProjectCompletion(projectId, imageUrl) {
+  waitForProjectCompletion(projectId, imageUrl, { timeoutMs = 120000, ...trackOptions } = {}) {
     return new Promise((resolve, reject) => {
       this.trackProject(projectId, imageUrl, (result) => {
         resolve({ imageUrl: result.pirateImageUrl || result.imageUrl });
-      }, reject);
+      }, reject, trackOptions);
       
-      // Set up timeout for the entire process (2 minutes)
+      // Set up timeout for the entire process (2 minutes for images)
       setTimeout(() => {
         console.error(`Background: ⏰ Conversion timeout reached for project ${projectId}`);
         this.activeProjects.delete(projectId);
-        reject(new Error('Conversion timeout (2 minutes)'));
-      }, 120000);
+        reject(new Error(`Conversion timeout (${Math.round(timeoutMs / 60000)} minutes)`));
+      }, timeoutMs);
+    });
+  }
+
+  // Send a message to the tab a project belongs to
+  sendToProjectTab(project, message) {
+    if (project.tabId) {
+      chrome.tabs.sendMessage(project.tabId, message).catch(() => {});
+      return;
+    }
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs[0]) {
+        chrome.tabs.sendMessage(tabs[0].id, message);
+      }
     });
   }
 
@@ -272,19 +302,26 @@ class SSEConnectionManager {
         console.log(`Background: Project ${projectId} progress: ${progressPercent}% for image: ${imageUrl}`);
         
         // Send progress to content script
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs[0]) {
-            chrome.tabs.sendMessage(tabs[0].id, {
-              action: 'updateProgress',
-              imageUrl: imageUrl,
-              progress: data.progress,
-              step: data.step,
-              stepCount: data.stepCount
-            });
-          }
+        this.sendToProjectTab(project, {
+          action: project.kind === 'video' ? 'updateVideoProgress' : 'updateProgress',
+          imageUrl: imageUrl,
+          progress: data.progress,
+          step: data.step,
+          stepCount: data.stepCount
         });
         break;
 
+      case 'jobETA':
+        // Only video jobs take long enough for an ETA to be worth showing
+        if (project.kind === 'video') {
+          this.sendToProjectTab(project, {
+            action: 'updateVideoProgress',
+            imageUrl: imageUrl,
+            etaSeconds: data.etaSeconds
+          });
+        }
+        break;
+
       case 'jobCompleted':
         console.log(`Background: ✅ Job completed! Final result: ${data.resultUrl} for image: ${imageUrl}`);
         // Resolve once, but keep tracking until 'completed' to avoid buffering late events
@@ -398,24 +435,16 @@ async function injectContentScripts(tabId) {
     // Inject CSS first
     await chrome.scripting.insertCSS({
       target: { tabId: tabId },
-      files: ['content.css']
+      files: SogniExtensionConfig.CONTENT_STYLES
     });
     
     // Inject JavaScript files in order
-    await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      files: ['api-service.js']
-    });
-    
-    await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      files: ['progress-overlay.js']
-    });
-    
-    await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      files: ['content.js']
-    });
+    for (const file of SogniExtensionConfig.CONTENT_SCRIPTS) {
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        files: [file]
+      });
+    }
     
     console.log('Background: Content scripts injected successfully');
   } catch (error) {
@@ -509,6 +538,43 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: false, error: error.message });
       });
     return true; // Keep message channel open for async response
+  } else if (message.action === "animateImage") {
+    // Turn a converted image into a short looping video
+    handleImageAnimation(message.imageUrl, message.transformedUrl, sender.tab?.id)
+      .then(result => {
+        sendResponse({ success: true, result });
+      })
+      .catch(error => {
+        console.error('Image animation failed in background:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Keep message channel open for async response
+  } else if (message.action === "galleryRecord") {
+    // Content scripts report each conversion; the background owns the gallery index
+    SogniGallery.record(message.entry)
+      .then(() => {
+        scheduleGallerySync();
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        console.error('Background: Failed to record gallery entry:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Keep message channel open for async response
+  } else if (message.action === "galleryRemove") {
+    SogniGallery.remove(message.ids || [])
+      .then(() => {
+        scheduleGallerySync();
+        sendResponse({ success: true });
+      })
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep message channel open for async response
+  } else if (message.action === "gallerySync") {
+    // "Sync now" on the gallery page
+    syncGallery()
+      .then(status => sendResponse(status))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true; // Keep message channel open for async response
   } else if (message.action === "checkApiHealth") {
     console.log('Background: Handling API health check request');
     // Check API health
@@ -534,62 +600,70 @@ async function checkApiStatus() {
   return await checkApiHealthInBackground();
 }
 
-// Check API health in background script
+// Check API health in background script (the /api/health handshake)
 async function checkApiHealthInBackground() {
-  try {
-    // Get API base URL based on dev mode setting
-    const apiBaseUrl = await getApiBaseUrl();
-    console.log('Background: Checking API health at:', apiBaseUrl);
-    
-    const response = await fetch(`${apiBaseUrl}/api/health`, {
-      method: 'GET',
-      credentials: 'include',
-      headers: {
-        'Accept': 'application/json',
-        'X-Client-App-ID': extensionClientAppId
-      },
-      signal: AbortSignal.timeout(5000) // 5 second timeout
-    });
-    
-    if (response.ok) {
-      const data = await response.json();
-      console.log('Background: API health check successful:', data);
-      return { connected: true, endpoint: apiBaseUrl, data };
-    } else {
-      console.error('Background: API health check failed:', response.status, response.statusText);
-      return { connected: false, error: `HTTP ${response.status} ${response.statusText}` };
-    }
-  } catch (error) {
-    console.error('Background: API health check error:', error);
-    return { connected: false, error: error.message };
+  const apiBaseUrl = await getApiBaseUrl();
+  console.log('Background: Checking API health at:', apiBaseUrl);
+
+  const handshake = await SogniEndpoints.handshake(apiBaseUrl, { clientAppId: extensionClientAppId });
+  if (handshake.ok) {
+    console.log('Background: API health check successful:', handshake);
+    return { connected: true, endpoint: apiBaseUrl, data: handshake };
   }
+  console.error('Background: API health check failed:', handshake.error);
+  return { connected: false, endpoint: apiBaseUrl, error: handshake.error };
 }
 
-// Get API base URL based on dev mode setting
+// Get API base URL (custom backend from the options page, dev mode or production)
 async function getApiBaseUrl() {
-  try {
-    // Check dev mode from storage
-    const result = await chrome.storage.local.get(['devMode']);
-    const isDevMode = result.devMode || false;
-    console.log('Background: Dev mode setting:', isDevMode);
-    
-    if (isDevMode) {
-      // In dev mode, use local development server
-      const localUrl = 'https://photobooth-api-local.sogni.ai';
-      console.log('Background: Dev mode enabled, using local URL:', localUrl);
-      return localUrl;
+  const apiBaseUrl = await SogniEndpoints.getApiBaseUrl();
+  console.log('Background: Using API base URL:', apiBaseUrl);
+  return apiBaseUrl;
+}
+
+// Reconnect the shared SSE stream when the backend changes
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !(changes.customApiBaseUrl || changes.devMode)) return;
+  updateDevModeContextMenu();
+  getApiBaseUrl().then((apiBaseUrl) => {
+    if (apiBaseUrl === sseManager.apiBaseUrl) return;
+    console.log('Background: Backend changed, reconnecting SSE to:', apiBaseUrl);
+    if (sseManager.reconnectTimer) {
+      clearTimeout(sseManager.reconnectTimer);
+      sseManager.reconnectTimer = null;
     }
-    
-    // Use production URL
-    const productionUrl = 'https://photobooth-api.sogni.ai';
-    console.log('Background: Using production URL:', productionUrl);
-    return productionUrl;
-  } catch (error) {
-    console.log('Background: Error checking dev mode, defaulting to production:', error);
-    return 'https://photobooth-api.sogni.ai';
-  }
+    sseManager.cleanupEventSource();
+    sseManager.isConnected = false;
+    sseManager.isConnecting = false;
+    sseManager.connect(apiBaseUrl);
+  });
+});
+
+// Gallery sync with the user's photobooth account (opt-in from the gallery page)
+const GALLERY_SYNC_DELAY_MS = 5000;
+let gallerySyncTimer = null;
+
+async function syncGallery() {
+  try { await clientIdReady; } catch (e) {}
+  const apiBaseUrl = await getApiBaseUrl();
+  return SogniGallery.sync(apiBaseUrl, { clientAppId: extensionClientAppId });
 }
 
+// Batch the sync after a run of conversions into one request
+async function scheduleGallerySync() {
+  if (!await SogniGallery.isSyncEnabled()) return;
+  if (gallerySyncTimer) clearTimeout(gallerySyncTimer);
+  gallerySyncTimer = setTimeout(() => {
+    gallerySyncTimer = null;
+    syncGallery().catch(error => console.error('Background: Gallery sync failed:', error));
+  }, GALLERY_SYNC_DELAY_MS);
+}
+
+// Pick up what other devices converted since the browser was last open
+chrome.runtime.onStartup.addListener(() => {
+  scheduleGallerySync();
+});
+
 // Handle image conversion with custom style in background
 async function handleImageConversionWithStyle(imageUrl, imageSize, styleKey, stylePrompt) {
   console.log('Background: Converting image with style:', styleKey, imageUrl);
@@ -699,6 +773,111 @@ async function handleImageConversionWithStyle(imageUrl, imageSize, styleKey, sty
   }
 }
 
+// Image-to-video settings for animated avatars: the photobooth app's "Fast"
+// 480p preset (src/constants/videoSettings.ts), cut to a 3 second loop
+const AVATAR_VIDEO_SETTINGS = {
+  modelId: 'wan_v2.2-14b-fp8_i2v_lightx2v',
+  steps: 4,
+  shortSide: 480,
+  dimensionDivisor: 16,
+  frames: 49, // WAN 2.2 generates at 16fps: 3s * 16 + 1
+  fps: 32, // Interpolated for smoother playback
+  positivePrompt: 'subtle natural motion, gentle head movement, blinking, soft smile, steady camera',
+  negativePrompt: 'static, frozen, blurry, distorted face, extra limbs, text, watermark, fast camera movement',
+  timeoutMs: 10 * 60 * 1000 // Video jobs can wait in the queue for a while
+};
+
+// Scale so the short side is AVATAR_VIDEO_SETTINGS.shortSide, both sides divisible by 16
+function getVideoDimensions(width, height) {
+  const { shortSide, dimensionDivisor } = AVATAR_VIDEO_SETTINGS;
+  const scale = shortSide / Math.min(width, height);
+  return {
+    width: Math.round((width * scale) / dimensionDivisor) * dimensionDivisor,
+    height: Math.round((height * scale) / dimensionDivisor) * dimensionDivisor
+  };
+}
+
+// The /generate-video route takes reference images as base64
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Animate a converted image through the backend's image-to-video route
+async function handleImageAnimation(originalUrl, transformedUrl, tabId) {
+  console.log('Background: Animating converted image:', transformedUrl);
+
+  const apiBaseUrl = await getApiBaseUrl();
+  try { await clientIdReady; } catch (e) {}
+  sseManager.ensureConnected(apiBaseUrl);
+  await sseManager.waitForOpen(1000);
+
+  // Fetch the converted image and draw it at the video's size
+  const imageResponse = await fetch(transformedUrl);
+  if (!imageResponse.ok) {
+    throw new Error(`Failed to fetch image: ${imageResponse.status} ${imageResponse.statusText}`);
+  }
+  const imageBitmap = await createImageBitmap(await imageResponse.blob());
+  const { width, height } = getVideoDimensions(imageBitmap.width, imageBitmap.height);
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(imageBitmap, 0, 0, width, height);
+  imageBitmap.close();
+  const referenceBlob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.9 });
+  const referenceImage = bytesToBase64(new Uint8Array(await referenceBlob.arrayBuffer()));
+
+  const videoParams = {
+    modelId: AVATAR_VIDEO_SETTINGS.modelId,
+    positivePrompt: AVATAR_VIDEO_SETTINGS.positivePrompt,
+    negativePrompt: AVATAR_VIDEO_SETTINGS.negativePrompt,
+    width,
+    height,
+    frames: AVATAR_VIDEO_SETTINGS.frames,
+    fps: AVATAR_VIDEO_SETTINGS.fps,
+    steps: AVATAR_VIDEO_SETTINGS.steps,
+    numberOfMedia: 1,
+    outputFormat: 'mp4',
+    tokenType: 'spark',
+    referenceImage
+  };
+
+  console.log(`Background: Sending video request (${width}x${height}, ${videoParams.frames} frames)`);
+  const response = await fetch(`${apiBaseUrl}/api/sogni/generate-video`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'X-Client-App-ID': extensionClientAppId
+    },
+    body: JSON.stringify(videoParams)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Video request failed: ${response.status} ${errorText}`);
+  }
+
+  const { projectId } = await response.json();
+  console.log('Background: Video generation started:', projectId);
+
+  // Progress is reported against the original image URL, which is how the
+  // content script finds the comparison overlay
+  const finalResult = await sseManager.waitForProjectCompletion(projectId, originalUrl, {
+    timeoutMs: AVATAR_VIDEO_SETTINGS.timeoutMs,
+    kind: 'video',
+    tabId
+  });
+  console.log('Background: Video generation completed:', finalResult.imageUrl);
+
+  return {
+    videoUrl: finalResult.imageUrl,
+    projectId
+  };
+}
+
 // Handle image conversion in background (avoids CORS issues)
 async function handleImageConversion(imageUrl, imageSize) {
   console.log('Background: Converting image:', imageUrl);
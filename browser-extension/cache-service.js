@@ -112,6 +112,7 @@ class StyleCacheService {
       }
 
       this.saveCachedStyles(styles);
+      this.recordInGallery(cacheEntry);
       return cacheEntry;
     } catch (error) {
       console.error('Error caching styled image:', error);
@@ -119,6 +120,23 @@ class StyleCacheService {
     }
   }
 
+  // Add the conversion to the cross-site gallery, which the background script keeps
+  recordInGallery(cacheEntry) {
+    const { originalUrl, transformedUrl, styleKey, stylePrompt, styleDisplayName, hostname, pageUrl } = cacheEntry;
+    try {
+      chrome.runtime.sendMessage({
+        action: 'galleryRecord',
+        entry: { originalUrl, transformedUrl, styleKey, stylePrompt, styleDisplayName, hostname, pageUrl }
+      }, () => {
+        if (chrome.runtime.lastError) {
+          console.log('Could not record gallery entry:', chrome.runtime.lastError.message);
+        }
+      });
+    } catch (error) {
+      console.error('Error recording gallery entry:', error);
+    }
+  }
+
   // Generate unique cache ID
   generateCacheId(originalUrl, styleKey) {
     const urlHash = this.hashString(originalUrl);
@@ -323,7 +341,11 @@ class StyleCacheService {
             
             // If there's a comparison container, update it
             const comparisonContainer = originalImg._comparisonContainer;
-            if (comparisonContainer) {
+            if (originalImg._showAfterImage) {
+              // Also swaps out an animated version of the old image
+              originalImg._showAfterImage(cachedImage.transformedUrl);
+              appliedCount++;
+            } else if (comparisonContainer) {
               const afterImg = comparisonContainer.querySelector('.sogni-after-image');
               if (afterImg) {
                 afterImg.src = cachedImage.transformedUrl;
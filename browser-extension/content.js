@@ -277,6 +277,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   } else if (message.action === 'updateProgress') {
     // Update progress overlay for the specific image
     updateImageProgress(message.imageUrl, message.progress, message.step, message.stepCount);
+  } else if (message.action === 'updateVideoProgress') {
+    // Progress or ETA for an image being animated
+    updateVideoProgress(message.imageUrl, message.progress, message.etaSeconds);
   } else if (message.action === 'updateUserSettings') {
     // Update user settings from popup or other sources
     const { settings } = message;
@@ -467,6 +470,20 @@ function updateImageProgress(imageUrl, progress, step, stepCount) {
   }
 }
 
+// Update the progress overlay on a comparison container that is being animated
+function updateVideoProgress(imageUrl, progress, etaSeconds) {
+  const imageElement = document.querySelector(`img[data-original-url="${imageUrl}"]`);
+  const container = imageElement?._comparisonContainer;
+  if (!container || !progressOverlay) return;
+
+  if (typeof progress === 'number') {
+    progressOverlay.updateProgress(container, Math.round(progress * 100));
+  }
+  if (typeof etaSeconds === 'number') {
+    progressOverlay.updateEta(container, etaSeconds);
+  }
+}
+
 // Scan page for profile photos
 async function handleScanPageForProfiles() {
   console.log('Scanning page for profile photos...');
@@ -494,7 +511,7 @@ async function handleScanPageForProfiles() {
       progressOverlay.updateMaxConcurrentSlots(MAX_CONCURRENT_CONVERSIONS);
     }
     
-    const profileImages = findProfileImages();
+    const profileImages = SogniProfileDetection.findProfileImages({ apiBaseUrl: api?.apiBaseUrl });
     console.log(`Found ${profileImages.length} potential profile images`);
     
     // Update scan indicator
@@ -548,400 +565,6 @@ async function handleScanPageForProfiles() {
   }
 }
 
-// Find profile images on the page
-function findProfileImages() {
-  const profileImages = [];
-  const seenUrls = new Set(); // Track URLs to prevent duplicates
-  const seenElements = new Set(); // Track DOM elements to prevent duplicates
-  
-  
-  // Check for Netflix-specific patterns first
-  const netflixHeadshotImages = document.querySelectorAll('img[class*="headshot" i], img[class*="Headshot" i]');
-  console.log(`🔍 Found ${netflixHeadshotImages.length} images with "headshot" in class name`);
-  netflixHeadshotImages.forEach((img, index) => {
-    console.log(`   ${index + 1}. Class: "${img.className}" | Src: ${img.src}`);
-  });
-  
-  // Look for containers with profile-related keywords in class/id
-  const profileContainers = document.querySelectorAll([
-    '[class*="speaker" i]',
-    '[id*="speaker" i]',
-    '[class*="profile" i]',
-    '[id*="profile" i]',
-    '[class*="team" i]',
-    '[id*="team" i]',
-    '[class*="member" i]',
-    '[id*="member" i]',
-    '[class*="management" i]',
-    '[id*="management" i]',
-    '[class*="leadership" i]',
-    '[id*="leadership" i]',
-    '[class*="headshot" i]',
-    '[id*="headshot" i]'
-  ].join(', '));
-  
-  for (const container of profileContainers) {
-    const images = container.querySelectorAll('img');
-    
-    for (const img of images) {
-      // Skip if we've already seen this exact element
-      if (seenElements.has(img)) {
-        continue;
-      }
-      
-      // Skip if we've already seen this URL
-      if (seenUrls.has(img.src)) {
-        continue;
-      }
-
-      // Skip if this image has already been converted by our extension (extra check)
-      if (isAlreadyConvertedImage(img)) {
-        continue;
-      }
-      
-      if (isProfileImage(img)) {
-        profileImages.push(img);
-        seenUrls.add(img.src);
-        seenElements.add(img);
-        console.log(`✅ Added unique profile image: ${img.src}`);
-      }
-    }
-  }
-  
-  // If no profile containers found, look for direct headshot images (Netflix-style)
-  if (profileImages.length === 0) {
-    console.log('🔍 No profile containers found, looking for direct headshot images...');
-    const directHeadshotImages = document.querySelectorAll('img[class*="headshot" i], img[class*="Headshot" i]');
-    console.log(`🔍 Found ${directHeadshotImages.length} direct headshot images`);
-    
-    for (const img of directHeadshotImages) {
-      if (seenElements.has(img) || seenUrls.has(img.src)) {
-        continue;
-      }
-      
-      if (isAlreadyConvertedImage(img)) {
-        continue;
-      }
-      
-      // For headshot images, be more lenient with validation
-      const rect = img.getBoundingClientRect();
-      if (rect.width >= 50 && rect.height >= 50 && rect.width <= 800 && rect.height <= 800) {
-        const aspectRatio = rect.width / rect.height;
-        if (aspectRatio >= 0.5 && aspectRatio <= 2.0) { // More lenient aspect ratio for headshots
-          profileImages.push(img);
-          seenUrls.add(img.src);
-          seenElements.add(img);
-          console.log(`✅ Added direct headshot image: ${img.src}`);
-        } else {
-          console.log(`❌ Headshot aspect ratio rejected: ${aspectRatio.toFixed(2)}`);
-        }
-      } else {
-        console.log(`❌ Headshot size rejected: ${rect.width}x${rect.height}`);
-      }
-    }
-  }
-  
-  // If still no images found, look for grid patterns
-  if (profileImages.length === 0) {
-    console.log('🔍 No direct headshots found, looking for image grids...');
-    profileImages.push(...findImageGrids());
-  }
-  
-  console.log(`🎯 FINAL RESULTS: Found ${profileImages.length} profile images`);
-  profileImages.forEach((img, index) => {
-    const rect = img.getBoundingClientRect();
-    console.log(`   ${index + 1}. ${img.src} (${rect.width}x${rect.height}) at (${rect.x}, ${rect.y})`);
-  });
-  return profileImages;
-}
-
-// Check if an image has already been converted by our extension
-function isAlreadyConvertedImage(img) {
-  // Method 1: Check if the image element has our conversion markers
-  if (img.dataset.originalUrl || img.dataset.transformedUrl) {
-    return true;
-  }
-
-  // Method 2: Check if the image is part of our comparison container
-  const parent = img.parentElement;
-  if (parent && parent.classList.contains('sogni-before-after-container')) {
-    return true;
-  }
-
-  // Method 3: Check if the image has our specific classes
-  if (img.classList.contains('sogni-before-image') || img.classList.contains('sogni-after-image')) {
-    return true;
-  }
-
-  // Method 4: Check if the image source contains our API domain patterns (converted images)
-  const src = img.src.toLowerCase();
-  if (src.includes('photobooth-api.sogni.ai') || 
-      src.includes('photobooth-api-local.sogni.ai') ||
-      src.includes('storage.googleapis.com') && src.includes('sogni')) {
-    return true;
-  }
-
-  // Method 5: Check if there's a comparison container nearby (sibling or parent)
-  let element = img;
-  for (let i = 0; i < 3; i++) { // Check up to 3 levels
-    if (element.parentElement) {
-      element = element.parentElement;
-      const comparisonContainer = element.querySelector('.sogni-before-after-container');
-      if (comparisonContainer) {
-        // Check if this image is related to the comparison container
-        const containerImages = comparisonContainer.querySelectorAll('img');
-        for (const containerImg of containerImages) {
-          if (containerImg === img) {
-            return true;
-          }
-        }
-      }
-    } else {
-      break;
-    }
-  }
-
-  // Method 6: Check if the image is hidden (our original images are hidden after conversion)
-  const computedStyle = window.getComputedStyle(img);
-  if (computedStyle.display === 'none' && img.dataset.originalUrl) {
-    return true;
-  }
-
-  return false;
-}
-
-// Check if an image looks like a profile photo
-function isProfileImage(img) {
-  console.log(`🔍 Checking image: ${img.src}`);
-  console.log(`🔍 Image class: "${img.className}"`);
-  
-  // Skip if this image has already been converted by our extension
-  if (isAlreadyConvertedImage(img)) {
-    console.log(`❌ Skipping already converted image: ${img.src}`);
-    return false;
-  }
-
-  // Skip if image is too small or too large (flexible sizing)
-  const rect = img.getBoundingClientRect();
-  console.log(`🔍 Image dimensions: ${rect.width}x${rect.height}`);
-  if (rect.width < 50 || rect.height < 50) {
-    console.log(`❌ Image too small: ${rect.width}x${rect.height}`);
-    return false;
-  }
-  if (rect.width > 800 || rect.height > 800) {
-    console.log(`❌ Image too large: ${rect.width}x${rect.height}`);
-    return false;
-  }
-  
-  // Skip if image is not visible
-  if (rect.width === 0 || rect.height === 0) return false;
-  
-  // Skip if image is hidden
-  const style = window.getComputedStyle(img);
-  if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
-    return false;
-  }
-  
-  // Flexible aspect ratio check (allow more variation for different sites)
-  const aspectRatio = rect.width / rect.height;
-  console.log(`🔍 Image aspect ratio: ${aspectRatio.toFixed(2)}`);
-  if (aspectRatio < 0.5 || aspectRatio > 2.0) {
-    console.log(`❌ Aspect ratio rejected: ${aspectRatio.toFixed(2)} (must be between 0.5 and 2.0)`);
-    return false; // More flexible for different sites
-  }
-  
-  // Check if image source looks like a profile photo
-  const src = img.src.toLowerCase();
-  if (src.includes('logo') || src.includes('icon') || src.includes('banner')) {
-    return false;
-  }
-  
-  // Check alt text
-  const alt = img.alt.toLowerCase();
-  if (alt.includes('logo') || alt.includes('icon') || alt.includes('banner')) {
-    return false;
-  }
-  
-  // Additional checks for common non-profile image patterns
-  if (src.includes('background') || src.includes('bg-') || src.includes('decoration')) {
-    return false;
-  }
-  
-  // Check for backdrop images (Token2049 fix)
-  if (src.includes('backdrop')) {
-    return false;
-  }
-  
-  // Check for background images and other decorative elements
-  if (alt.includes('background') || alt.includes('decoration') || alt.includes('hero')) {
-    return false;
-  }
-  
-  // Check if image is used as CSS background (common pattern)
-  const computedStyle = window.getComputedStyle(img);
-  if (computedStyle.position === 'absolute' && (computedStyle.zIndex === '-1' || parseInt(computedStyle.zIndex) < 0)) {
-    return false; // Likely a background image
-  }
-  
-  // Check parent elements for background/hero/decoration classes
-  let parent = img.parentElement;
-  let depth = 0;
-  while (parent && depth < 3) { // Check up to 3 levels up
-    const parentClass = parent.className.toLowerCase();
-    if (parentClass.includes('background') || parentClass.includes('hero') || 
-        parentClass.includes('banner') || parentClass.includes('decoration')) {
-      return false;
-    }
-    parent = parent.parentElement;
-    depth++;
-  }
-  
-  // Check if the image itself has profile-related classes (Netflix-style)
-  const imgClass = img.className.toLowerCase();
-  const imgId = img.id.toLowerCase();
-  const directProfilePatterns = ['headshot', 'profile', 'avatar', 'portrait'];
-  
-  console.log(`🔍 Checking direct profile patterns in: "${imgClass}" "${imgId}"`);
-  const matchedPattern = directProfilePatterns.find(pattern => 
-    imgClass.includes(pattern) || imgId.includes(pattern)
-  );
-  
-  if (matchedPattern) {
-    console.log(`✅ Image has direct profile class (${matchedPattern}): ${imgClass} ${imgId}`);
-    return true;
-  } else {
-    console.log(`🔍 No direct profile patterns found in image class/id`);
-  }
-  
-  // Check for profile context but be more flexible
-  let profileContext = false;
-  parent = img.parentElement;
-  depth = 0;
-  while (parent && depth < 5) {
-    const parentClass = parent.className.toLowerCase();
-    const parentId = parent.id.toLowerCase();
-    
-    const profileContextPatterns = [
-      'speaker', 'profile', 'team', 'member', 'person', 'people',
-      'staff', 'employee', 'founder', 'executive', 'bio', 'about',
-      'management', 'leadership', 'headshot', 'leader', 'director'
-    ];
-    
-    if (profileContextPatterns.some(pattern => 
-      parentClass.includes(pattern) || parentId.includes(pattern)
-    )) {
-      profileContext = true;
-      console.log(`✅ Image found in profile context: ${parentClass} ${parentId}`);
-      break;
-    }
-    parent = parent.parentElement;
-    depth++;
-  }
-  
-  if (profileContext) {
-    return true;
-  }
-  
-  // If no explicit profile context found, check if this looks like a profile image grid
-  // by looking for multiple similar-sized images in the same container or nearby containers
-  const parentContainer = img.parentElement;
-  if (parentContainer) {
-    const siblingImages = Array.from(parentContainer.querySelectorAll('img')).filter(siblingImg => {
-      if (siblingImg === img || isAlreadyConvertedImage(siblingImg)) return false;
-      
-      const siblingRect = siblingImg.getBoundingClientRect();
-      const sizeDiff = Math.abs(siblingRect.width - rect.width) + Math.abs(siblingRect.height - rect.height);
-      
-      // Consider images similar if they're within 100px of each other in total size difference
-      return sizeDiff < 200 && siblingRect.width > 0 && siblingRect.height > 0;
-    });
-    
-    console.log(`🔍 Found ${siblingImages.length} similar-sized sibling images in container`);
-    
-    // If there are similar-sized images, likely a profile grid
-    if (siblingImages.length >= 1) {
-      console.log(`✅ Image appears to be in a grid of ${siblingImages.length + 1} similar images`);
-      return true;
-    }
-    
-    // Also check parent's parent for a broader search (sometimes images are in nested containers)
-    const grandparentContainer = parentContainer.parentElement;
-    if (grandparentContainer) {
-      const cousinImages = Array.from(grandparentContainer.querySelectorAll('img')).filter(cousinImg => {
-        if (cousinImg === img || isAlreadyConvertedImage(cousinImg)) return false;
-        
-        const cousinRect = cousinImg.getBoundingClientRect();
-        const sizeDiff = Math.abs(cousinRect.width - rect.width) + Math.abs(cousinRect.height - rect.height);
-        
-        return sizeDiff < 200 && cousinRect.width > 0 && cousinRect.height > 0;
-      });
-      
-      console.log(`🔍 Found ${cousinImages.length} similar-sized images in grandparent container`);
-      
-      if (cousinImages.length >= 2) {
-        console.log(`✅ Image appears to be in a broader grid of ${cousinImages.length + 1} similar images`);
-        return true;
-      }
-    }
-  }
-  
-  console.log(`❌ No profile context or image grid detected`);
-  return false;
-}
-
-// Find image grids (fallback method)
-function findImageGrids() {
-  const allImages = document.querySelectorAll('img');
-  
-  // Group images by similar size and position using basic validation
-  const imageGroups = new Map();
-  
-  for (const img of allImages) {
-    // Use basic validation to avoid circular dependency
-    if (isAlreadyConvertedImage(img)) continue;
-    
-    const rect = img.getBoundingClientRect();
-    
-    // Basic size and visibility checks
-    if (rect.width < 50 || rect.height < 50) continue;
-    if (rect.width > 800 || rect.height > 800) continue;
-    if (rect.width === 0 || rect.height === 0) continue;
-    
-    // Basic aspect ratio check
-    const aspectRatio = rect.width / rect.height;
-    if (aspectRatio < 0.5 || aspectRatio > 2.0) continue;
-    
-    // Check if image is hidden
-    const style = window.getComputedStyle(img);
-    if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') continue;
-    
-    // Skip obvious non-profile images
-    const src = img.src.toLowerCase();
-    if (src.includes('logo') || src.includes('icon') || src.includes('banner')) continue;
-    
-    const alt = img.alt.toLowerCase();
-    if (alt.includes('logo') || alt.includes('icon') || alt.includes('banner')) continue;
-    
-    const sizeKey = `${Math.round(rect.width / 50) * 50}x${Math.round(rect.height / 50) * 50}`;
-    
-    if (!imageGroups.has(sizeKey)) {
-      imageGroups.set(sizeKey, []);
-    }
-    imageGroups.get(sizeKey).push(img);
-  }
-  
-  // Find the largest group (likely to be profile photos)
-  let largestGroup = [];
-  for (const group of imageGroups.values()) {
-    if (group.length > largestGroup.length && group.length >= 2) {
-      largestGroup = group;
-    }
-  }
-  
-  console.log(`🔍 Grid detection found ${largestGroup.length} images in largest group`);
-  return largestGroup;
-}
-
 // Process images with continuous job assignment
 async function processImagesBatch(images) {
   isProcessing = true;
@@ -1215,9 +838,10 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
       comparisonContainer.className = `sogni-before-after-container ${originalImage.className}`;
       console.log('🎯 Container classes:', comparisonContainer.className);
       
-      // Create two image elements for comparison
+      // Create two image elements for comparison. The after image becomes a
+      // <video> once the conversion is animated.
       const beforeImg = document.createElement('img');
-      const afterImg = document.createElement('img');
+      let afterImg = document.createElement('img');
       
       beforeImg.src = originalUrl;
       afterImg.src = pirateImageUrl;
@@ -1356,6 +980,16 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
       `;
       regenerateIcon.className = 'sogni-regenerate-icon';
       regenerateIcon.title = 'Regenerate this image';
+
+      // Create animate icon positioned next to regenerate icon
+      const animateIcon = document.createElement('div');
+      animateIcon.innerHTML = `
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M6 4L20 12L6 20V4Z" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+      `;
+      animateIcon.className = 'sogni-animate-icon';
+      animateIcon.title = 'Animate this image';
       
       // Position icons relative to viewport to avoid mask clipping
       const updateIconPositions = () => {
@@ -1372,6 +1006,11 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
         regenerateIcon.style.position = 'fixed';
         regenerateIcon.style.top = `${containerRect.top + 10}px`;
         regenerateIcon.style.left = `${containerRect.right - 84}px`; // 32px width + 10px margin + 32px for download + 10px spacing
+
+        // Position animate icon (left of regenerate icon)
+        animateIcon.style.position = 'fixed';
+        animateIcon.style.top = `${containerRect.top + 10}px`;
+        animateIcon.style.left = `${containerRect.right - 126}px`;
       };
       
       downloadIcon.style.cssText = `
@@ -1405,6 +1044,7 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
         z-index: 999999;
         pointer-events: auto;
       `;
+      animateIcon.style.cssText = regenerateIcon.style.cssText;
       
       // Set initial positions
       updateIconPositions();
@@ -1417,6 +1057,7 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
       // Add icons to body to avoid mask clipping
       document.body.appendChild(downloadIcon);
       document.body.appendChild(regenerateIcon);
+      document.body.appendChild(animateIcon);
       
       // Copy additional important styles from original image to container
       const additionalStyles = [
@@ -1543,6 +1184,7 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
         scrubberLine.style.opacity = '1';
         downloadIcon.style.opacity = '1';
         regenerateIcon.style.opacity = '1';
+        animateIcon.style.opacity = '1';
         comparisonContainer.style.boxShadow = '0 0 0 2px rgba(255,255,255,0.5)';
         // Start with 50/50 split when entering
         afterImg.style.clipPath = 'inset(0 50% 0 0)';
@@ -1556,6 +1198,7 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
         scrubberLine.style.opacity = '0';
         downloadIcon.style.opacity = '0.8'; // Keep icons visible but dimmed
         regenerateIcon.style.opacity = '0.8';
+        animateIcon.style.opacity = '0.8';
         comparisonContainer.style.boxShadow = 'none';
         // Show full transformed image when not hovering
         afterImg.style.clipPath = 'inset(0 0% 0 0)';
@@ -1572,8 +1215,10 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
         e.preventDefault();
         e.stopPropagation();
         try {
-          const filename = `sogni-transformed-${Date.now()}.jpg`;
-          await downloadImageFromUrl(pirateImageUrl, filename);
+          // Download whatever is showing: the latest image, or its animation
+          const isVideo = afterImg.tagName === 'VIDEO';
+          const filename = `sogni-transformed-${Date.now()}.${isVideo ? 'mp4' : 'jpg'}`;
+          await downloadImageFromUrl(afterImg.src || pirateImageUrl, filename);
         } catch (error) {
           console.error('Download failed:', error);
         }
@@ -1672,7 +1317,7 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
           // Update the after image with the new result
           const newImageUrl = result.convertedImageUrl || result.transformedImageUrl || result.pirateImageUrl;
           if (newImageUrl) {
-            afterImg.src = newImageUrl;
+            showAfterImage(newImageUrl);
             // Update stored transformed URL
             originalImageElement.dataset.transformedUrl = newImageUrl;
             console.log('Image regenerated successfully');
@@ -1721,6 +1366,59 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
       regenerateIcon.addEventListener('mouseleave', () => {
         regenerateIcon.style.background = 'rgba(0, 0, 0, 0.7)';
       });
+
+      // Swap the after image for another element (keeps the scrubber working)
+      const setAfterMedia = (media) => {
+        media.className = afterImg.className;
+        media.style.cssText = afterImg.style.cssText;
+        afterImg.replaceWith(media);
+        afterImg = media;
+      };
+
+      // Show a new transformed image, replacing any animation of the old one
+      const showAfterImage = (imageUrl) => {
+        if (afterImg.tagName === 'VIDEO') {
+          const newAfterImg = document.createElement('img');
+          newAfterImg.alt = beforeImg.alt ? `${beforeImg.alt} (AI Enhanced)` : '';
+          setAfterMedia(newAfterImg);
+          delete originalImage.dataset.videoUrl;
+        }
+        afterImg.src = imageUrl;
+      };
+
+      // Animate functionality
+      animateIcon.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (animateIcon.dataset.busy) return;
+
+        animateIcon.dataset.busy = 'true';
+        animateIcon.style.background = 'rgba(59, 130, 246, 0.9)';
+        try {
+          const videoUrl = await animateConvertedImage(originalImage, originalImage.dataset.transformedUrl);
+          const video = await loadLoopingVideo(videoUrl);
+          setAfterMedia(video);
+          video.play().catch(() => {}); // Autoplay can be refused; the video still shows its first frame
+          originalImage.dataset.videoUrl = videoUrl;
+          animateIcon.style.background = 'rgba(0, 0, 0, 0.7)';
+        } catch (error) {
+          console.error('Animation failed:', error);
+          animateIcon.style.background = 'rgba(220, 38, 38, 0.9)';
+          setTimeout(() => {
+            animateIcon.style.background = 'rgba(0, 0, 0, 0.7)';
+          }, 2000);
+        } finally {
+          delete animateIcon.dataset.busy;
+        }
+      });
+
+      animateIcon.addEventListener('mouseenter', () => {
+        if (!animateIcon.dataset.busy) animateIcon.style.background = 'rgba(0, 0, 0, 0.9)';
+      });
+
+      animateIcon.addEventListener('mouseleave', () => {
+        if (!animateIcon.dataset.busy) animateIcon.style.background = 'rgba(0, 0, 0, 0.7)';
+      });
       
       // Clean up existing elements if they exist
       if (originalImage._downloadIcon && originalImage._downloadIcon.parentNode) {
@@ -1729,6 +1427,9 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
       if (originalImage._regenerateIcon && originalImage._regenerateIcon.parentNode) {
         originalImage._regenerateIcon.parentNode.removeChild(originalImage._regenerateIcon);
       }
+      if (originalImage._animateIcon && originalImage._animateIcon.parentNode) {
+        originalImage._animateIcon.parentNode.removeChild(originalImage._animateIcon);
+      }
       if (originalImage._updatePositionHandler) {
         window.removeEventListener('scroll', originalImage._updatePositionHandler);
         window.removeEventListener('resize', originalImage._updatePositionHandler);
@@ -1738,6 +1439,8 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
       originalImage._comparisonContainer = comparisonContainer;
       originalImage._downloadIcon = downloadIcon;
       originalImage._regenerateIcon = regenerateIcon;
+      originalImage._animateIcon = animateIcon;
+      originalImage._showAfterImage = showAfterImage;
       originalImage._updatePositionHandler = updatePositionHandler;
       
       resolve();
@@ -1751,6 +1454,62 @@ async function replaceImageWithHoverComparison(originalImage, pirateImageUrl) {
   });
 }
 
+// Ask the background script to animate a converted image, showing progress
+// (and the ETA the backend reports) on the comparison container
+async function animateConvertedImage(originalImage, transformedUrl) {
+  const container = originalImage._comparisonContainer;
+  const originalUrl = originalImage.dataset.originalUrl;
+  if (!container || !originalUrl || !transformedUrl) {
+    throw new Error('Only converted images can be animated');
+  }
+
+  if (progressOverlay) {
+    progressOverlay.createOverlay(container);
+    progressOverlay.updateProgress(container, 5);
+  }
+
+  try {
+    const result = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        action: 'animateImage',
+        imageUrl: originalUrl,
+        transformedUrl
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(`Runtime error: ${chrome.runtime.lastError.message}`));
+        } else if (response && response.success) {
+          resolve(response.result);
+        } else {
+          reject(new Error(response?.error || 'Unknown error from background script'));
+        }
+      });
+    });
+
+    if (progressOverlay) progressOverlay.showSuccess(container);
+    console.log('Animated image:', originalUrl, result.videoUrl);
+    return result.videoUrl;
+  } catch (error) {
+    if (progressOverlay) progressOverlay.showError(container, error.message);
+    throw error;
+  }
+}
+
+// Preload a muted, looping video so it can replace an image without flashing
+function loadLoopingVideo(videoUrl) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.loop = true;
+    video.autoplay = true;
+    video.playsInline = true;
+    video.setAttribute('muted', '');
+    video.setAttribute('playsinline', '');
+    video.addEventListener('loadeddata', () => resolve(video), { once: true });
+    video.addEventListener('error', () => reject(new Error('Failed to load video')), { once: true });
+    video.src = videoUrl;
+  });
+}
+
 // Legacy function for compatibility (if needed elsewhere)
 // async function replaceImageOnPage(originalImage, newImageUrl) {
 //   return replaceImageWithHoverComparison(originalImage, newImageUrl);
@@ -1909,41 +1668,14 @@ function addStyleSelectorIcon() {
   console.log('Style selector icon added to page');
 }
 
-// Get base URL based on dev mode setting
+// Origin of the web app in the Style Explorer iframe (may be a self-hosted deployment)
+let styleExplorerOrigin = null;
+
+// Get base URL of the photobooth web app (custom backend, dev mode or production)
 async function getBaseUrl() {
-  try {
-    // Check dev mode from storage
-    const result = await new Promise((resolve) => {
-      chrome.storage.local.get(['devMode'], resolve);
-    });
-    
-    const isDevMode = result.devMode || false;
-    console.log('Dev mode setting:', isDevMode);
-    
-    if (isDevMode) {
-      // In dev mode, try local development server first
-      const localUrl = 'https://photobooth-local.sogni.ai'; // Local development URL
-      console.log('Dev mode enabled, attempting to use local URL:', localUrl);
-      
-      try {
-        // Simple connectivity check - just try to create the URL
-        // If localhost is not available, the iframe will handle the error
-        // and we can fall back in the iframe's onerror handler
-        console.log('Using local development URL:', localUrl);
-        return localUrl;
-      } catch (error) {
-        console.log('Error with local URL, falling back to production:', error);
-      }
-    }
-    
-    // Use production URL
-    const productionUrl = 'https://photobooth.sogni.ai';
-    console.log('Using production URL:', productionUrl);
-    return productionUrl;
-  } catch (error) {
-    console.log('Error checking dev mode, defaulting to production:', error);
-    return 'https://photobooth.sogni.ai';
-  }
+  const baseUrl = await SogniEndpoints.getAppUrl();
+  console.log('Using photobooth app URL:', baseUrl);
+  return baseUrl;
 }
 
 // Toggle the Sogni Style Explorer overlay
@@ -1985,6 +1717,7 @@ async function openStyleExplorer() {
   console.log('Getting base URL for Style Explorer...');
   const baseUrl = await getBaseUrl();
   console.log('Base URL resolved to:', baseUrl);
+  styleExplorerOrigin = new URL(baseUrl).origin;
   
   const params = new URLSearchParams({
     page: 'prompts',
@@ -2099,7 +1832,8 @@ function handleStyleExplorerMessage(event) {
   // Only accept messages from our domain (including localhost for dev)
   const isValidOrigin = event.origin.includes('sogni.ai') || 
                        event.origin.includes('localhost') ||
-                       event.origin.includes('127.0.0.1');
+                       event.origin.includes('127.0.0.1') ||
+                       event.origin === styleExplorerOrigin;
   
   // Only log important messages, not all the noise
   if (['styleSelected', 'useThisStyle'].includes(event.data?.type)) {
@@ -2178,7 +1912,7 @@ async function processImagesWithStyle(styleKey, stylePrompt) {
   
   try {
     // Find profile images
-    const profileImages = findProfileImages();
+    const profileImages = SogniProfileDetection.findProfileImages({ apiBaseUrl: api?.apiBaseUrl });
     
     if (profileImages.length === 0) {
       updateScanIndicator(scanIndicator, 'No profile photos found on this page', 'error');
@@ -0,0 +1,122 @@
+// Endpoint configuration for the Sogni Photobooth Extension
+// Decides which photobooth backend (and web app) the extension talks to:
+// a custom backend set on the options page, the local dev servers when
+// dev mode is on, or production.
+
+// Wrapped so injecting the script into a tab twice doesn't redeclare it
+(function () {
+  const SogniEndpoints = {
+    PRODUCTION_API_URL: 'https://photobooth-api.sogni.ai',
+    PRODUCTION_APP_URL: 'https://photobooth.sogni.ai',
+    LOCAL_API_URL: 'https://photobooth-api-local.sogni.ai',
+    LOCAL_APP_URL: 'https://photobooth-local.sogni.ai',
+
+    // Backend features the extension can't work without
+    REQUIRED_CAPABILITIES: ['generate', 'sse-progress'],
+
+    STORAGE_KEYS: ['devMode', 'customApiBaseUrl', 'customAppUrl', 'backendHandshake'],
+
+    // Clean up a user-entered base URL; returns null if it isn't http(s)
+    normalizeBaseUrl(value) {
+      if (!value || typeof value !== 'string') return null;
+      try {
+        const url = new URL(value.trim());
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+        // Keep any path prefix (backends behind a reverse proxy), drop query and trailing slash
+        return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // Host permission pattern covering a base URL's origin
+    originPattern(baseUrl) {
+      return `${new URL(baseUrl).origin}/*`;
+    },
+
+    async getSettings() {
+      try {
+        const settings = await new Promise((resolve) => {
+          chrome.storage.local.get(this.STORAGE_KEYS, resolve);
+        });
+        // Production builds ignore a dev mode flag left over from a development install
+        if (globalThis.SogniExtensionConfig?.allowDevMode === false) {
+          settings.devMode = false;
+        }
+        return settings;
+      } catch (error) {
+        console.log('Endpoints: Could not read endpoint settings, using production:', error);
+        return {};
+      }
+    },
+
+    // API base URL: custom backend > dev mode > production
+    async getApiBaseUrl() {
+      const settings = await this.getSettings();
+      if (settings.customApiBaseUrl) return settings.customApiBaseUrl;
+      return settings.devMode ? this.LOCAL_API_URL : this.PRODUCTION_API_URL;
+    },
+
+    // Web app URL used for the Vibe Explorer iframe. A custom backend can
+    // report its own frontend in the health handshake.
+    async getAppUrl() {
+      const settings = await this.getSettings();
+      if (settings.customAppUrl) return settings.customAppUrl;
+      if (settings.customApiBaseUrl && settings.backendHandshake?.frontendUrl) {
+        return settings.backendHandshake.frontendUrl;
+      }
+      return settings.devMode ? this.LOCAL_APP_URL : this.PRODUCTION_APP_URL;
+    },
+
+    // Ask a backend who it is. Resolves with
+    // { ok, version, apiVersion, environment, capabilities, missingCapabilities, frontendUrl, latencyMs, error }
+    async handshake(apiBaseUrl, { clientAppId = null, timeoutMs = 5000 } = {}) {
+      const startedAt = Date.now();
+      try {
+        const response = await fetch(`${apiBaseUrl}/api/health`, {
+          method: 'GET',
+          headers: {
+            'Accept': 'application/json',
+            ...(clientAppId && { 'X-Client-App-ID': clientAppId })
+          },
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        if (!response.ok) {
+          return { ok: false, error: `HTTP ${response.status} ${response.statusText}` };
+        }
+
+        const data = await response.json();
+        // Backends from before the handshake don't list capabilities; assume the basics
+        const capabilities = Array.isArray(data.capabilities) ? data.capabilities : null;
+        const missingCapabilities = capabilities
+          ? this.REQUIRED_CAPABILITIES.filter((capability) => !capabilities.includes(capability))
+          : [];
+
+        return {
+          ok: data.status === 'ok' && missingCapabilities.length === 0,
+          version: data.version || null,
+          apiVersion: data.apiVersion || null,
+          environment: data.environment || null,
+          capabilities,
+          missingCapabilities,
+          frontendUrl: this.normalizeBaseUrl(data.frontendUrl),
+          latencyMs: Date.now() - startedAt,
+          checkedAt: Date.now(),
+          ...(missingCapabilities.length > 0 && {
+            error: `Backend is missing required features: ${missingCapabilities.join(', ')}`
+          })
+        };
+      } catch (error) {
+        const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+        return { ok: false, error: timedOut ? 'No response from backend (timed out)' : error.message };
+      }
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SogniEndpoints;
+  } else {
+    globalThis.SogniEndpoints = SogniEndpoints;
+  }
+})();
@@ -0,0 +1,52 @@
+// Build configuration for the Sogni Photobooth Extension
+// browser-extension/ is the only source tree for the extension and loads
+// unpacked as the development variant. scripts/build.js copies it into
+// browser-extension-production/ and switches ACTIVE_VARIANT there, so
+// everything that differs between the variants lives in this file.
+
+// Wrapped so injecting the script into a tab twice doesn't redeclare it
+(function () {
+  const ACTIVE_VARIANT = 'development'; // Rewritten by scripts/build.js
+
+  const LOCAL_HOST_PERMISSIONS = [
+    'https://photobooth-api-local.sogni.ai/*',
+    'https://photobooth-local.sogni.ai/*'
+  ];
+
+  const VARIANTS = {
+    development: {
+      // Local Development Mode toggle in the popup and context menu
+      allowDevMode: true,
+      excludedHostPermissions: []
+    },
+    production: {
+      allowDevMode: false,
+      excludedHostPermissions: LOCAL_HOST_PERMISSIONS
+    }
+  };
+
+  const SogniExtensionConfig = {
+    variant: ACTIVE_VARIANT,
+    ...VARIANTS[ACTIVE_VARIANT],
+    VARIANTS,
+
+    // Injected into the page in this order when the extension is activated
+    CONTENT_STYLES: ['content.css'],
+    CONTENT_SCRIPTS: [
+      'extension-config.js',
+      'endpoint-config.js',
+      'settings-service.js',
+      'cache-service.js',
+      'profile-detection.js',
+      'api-service.js',
+      'progress-overlay.js',
+      'content.js'
+    ]
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SogniExtensionConfig;
+  } else {
+    globalThis.SogniExtensionConfig = SogniExtensionConfig;
+  }
+})();
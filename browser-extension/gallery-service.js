@@ -0,0 +1,255 @@
+// Gallery Service for Sogni Vibe Explorer Extension
+// Keeps an index of every image the extension has converted, across all
+// sites, and optionally syncs it with the user's photobooth account so
+// other devices signed in to the same account see the same gallery.
+//
+// The background script is the only writer of the index (content scripts
+// send it 'galleryRecord' messages); the gallery page only reads it.
+// Deletions are kept as tombstones so a sync doesn't bring them back.
+
+// Wrapped so loading the script twice doesn't redeclare it
+(function () {
+  const INDEX_KEY = 'sogni_gallery_index';
+  const SYNC_ENABLED_KEY = 'gallerySyncEnabled';
+  const SYNC_STATUS_KEY = 'galleryLastSync';
+
+  // Same limits as the backend (server/services/extensionGalleryService.js)
+  const MAX_ENTRIES = 1000;
+  const MAX_SYNC_BATCH = 500;
+  const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+  let writeQueue = Promise.resolve();
+
+  // Serialise read-modify-write cycles on the index
+  function queueWrite(task) {
+    const run = writeQueue.catch(() => {}).then(task);
+    writeQueue = run;
+    return run;
+  }
+
+  async function readIndex() {
+    const result = await chrome.storage.local.get([INDEX_KEY]);
+    return result[INDEX_KEY] || {};
+  }
+
+  // Drop old tombstones and turn the oldest conversions into tombstones
+  // once there are more than MAX_ENTRIES
+  function pruneIndex(index, now = Date.now()) {
+    const live = [];
+    for (const entry of Object.values(index)) {
+      if (entry.deletedAt) {
+        if (now - entry.deletedAt > TOMBSTONE_TTL_MS) {
+          delete index[entry.id];
+        }
+      } else {
+        live.push(entry);
+      }
+    }
+
+    if (live.length > MAX_ENTRIES) {
+      live.sort((a, b) => a.createdAt - b.createdAt)
+        .slice(0, live.length - MAX_ENTRIES)
+        .forEach((entry) => {
+          index[entry.id] = { id: entry.id, updatedAt: now, deletedAt: now };
+        });
+    }
+    return index;
+  }
+
+  async function writeIndex(index) {
+    await chrome.storage.local.set({ [INDEX_KEY]: pruneIndex(index) });
+  }
+
+  const SogniGallery = {
+    INDEX_KEY,
+    SYNC_ENABLED_KEY,
+    SYNC_STATUS_KEY,
+
+    // Stable ID for an image converted with a style, the same on every
+    // device: <styleKey>_<first 16 hex chars of SHA-256(originalUrl)>
+    async entryId(originalUrl, styleKey) {
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(originalUrl));
+      const hash = Array.from(new Uint8Array(digest).slice(0, 8))
+        .map((byte) => byte.toString(16).padStart(2, '0'))
+        .join('');
+      const safeStyleKey = String(styleKey).replace(/[^A-Za-z0-9-]/g, '-').slice(0, 100);
+      return `${safeStyleKey}_${hash}`;
+    },
+
+    // Add or update a conversion. Converting the same image with the same
+    // style again replaces the old result.
+    async record({ originalUrl, transformedUrl, styleKey, stylePrompt, styleDisplayName, hostname, pageUrl }) {
+      if (!originalUrl || !transformedUrl || !styleKey) {
+        throw new Error('A gallery entry needs originalUrl, transformedUrl and styleKey');
+      }
+      const id = await this.entryId(originalUrl, styleKey);
+
+      return queueWrite(async () => {
+        const index = await readIndex();
+        const now = Date.now();
+        const existing = index[id];
+        const entry = {
+          id,
+          originalUrl,
+          transformedUrl,
+          styleKey,
+          styleDisplayName: styleDisplayName || styleKey,
+          stylePrompt: stylePrompt || null,
+          hostname: (hostname || new URL(pageUrl || originalUrl).hostname).toLowerCase(),
+          pageUrl: pageUrl || null,
+          createdAt: existing && !existing.deletedAt ? existing.createdAt : now,
+          updatedAt: now,
+          deletedAt: null
+        };
+        index[id] = entry;
+        await writeIndex(index);
+        console.log('Gallery: Recorded conversion:', id);
+        return entry;
+      });
+    },
+
+    // Delete entries, keeping tombstones so other devices delete them too
+    async remove(ids) {
+      return queueWrite(async () => {
+        const index = await readIndex();
+        const now = Date.now();
+        ids.filter((id) => index[id]).forEach((id) => {
+          index[id] = { id, updatedAt: now, deletedAt: now };
+        });
+        await writeIndex(index);
+      });
+    },
+
+    // Live entries, newest first
+    async getEntries() {
+      const index = await readIndex();
+      return Object.values(index)
+        .filter((entry) => !entry.deletedAt)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    // [{ hostname, updatedAt, styles: [{ styleKey, styleDisplayName, updatedAt, entries }] }],
+    // most recently used sites and styles first
+    groupBySiteAndStyle(entries) {
+      const sites = new Map();
+      for (const entry of entries) {
+        if (!sites.has(entry.hostname)) {
+          sites.set(entry.hostname, { hostname: entry.hostname, updatedAt: 0, styles: new Map() });
+        }
+        const site = sites.get(entry.hostname);
+        if (!site.styles.has(entry.styleKey)) {
+          site.styles.set(entry.styleKey, {
+            styleKey: entry.styleKey,
+            styleDisplayName: entry.styleDisplayName,
+            updatedAt: 0,
+            entries: []
+          });
+        }
+        const style = site.styles.get(entry.styleKey);
+        style.entries.push(entry);
+        style.updatedAt = Math.max(style.updatedAt, entry.updatedAt);
+        site.updatedAt = Math.max(site.updatedAt, entry.updatedAt);
+      }
+
+      const byRecency = (a, b) => b.updatedAt - a.updatedAt;
+      return [...sites.values()]
+        .map((site) => ({ ...site, styles: [...site.styles.values()].sort(byRecency) }))
+        .sort(byRecency);
+    },
+
+    // Merge entries from the backend into a local index; the newest updatedAt wins
+    mergeEntries(index, remoteEntries) {
+      let changed = 0;
+      for (const remote of remoteEntries) {
+        const local = index[remote.id];
+        if (!local || remote.updatedAt > local.updatedAt) {
+          index[remote.id] = remote;
+          changed++;
+        }
+      }
+      return changed;
+    },
+
+    async isSyncEnabled() {
+      const result = await chrome.storage.local.get([SYNC_ENABLED_KEY]);
+      return result[SYNC_ENABLED_KEY] === true;
+    },
+
+    // Turning sync on starts over, so everything is uploaded even if the
+    // user signed in to a different account since the last sync
+    async setSyncEnabled(enabled) {
+      await chrome.storage.local.set({ [SYNC_ENABLED_KEY]: enabled === true });
+      await chrome.storage.local.remove(SYNC_STATUS_KEY);
+    },
+
+    async getSyncStatus() {
+      const result = await chrome.storage.local.get([SYNC_STATUS_KEY]);
+      return result[SYNC_STATUS_KEY] || null;
+    },
+
+    // Send entries changed since the last sync to the backend and merge in
+    // what other devices sent. Resolves with the stored sync status:
+    // { ok, at, account, uploadedThrough, error, code }
+    async sync(apiBaseUrl, { clientAppId = null } = {}) {
+      return queueWrite(async () => {
+        const previous = await this.getSyncStatus();
+        const uploadedThrough = previous?.uploadedThrough || 0;
+        const index = await readIndex();
+        const startedAt = Date.now();
+        const pending = Object.values(index).filter((entry) => entry.updatedAt > uploadedThrough);
+
+        let status;
+        try {
+          let data = null;
+          // Always at least one request, so a device with nothing new still
+          // downloads the rest of the gallery
+          for (let offset = 0; offset === 0 || offset < pending.length; offset += MAX_SYNC_BATCH) {
+            data = await this.postBatch(apiBaseUrl, pending.slice(offset, offset + MAX_SYNC_BATCH), clientAppId);
+          }
+
+          const changed = this.mergeEntries(index, data.entries || []);
+          await writeIndex(index);
+          if (data.rejected?.length > 0) {
+            console.warn('Gallery: Backend rejected entries:', data.rejected);
+          }
+          console.log(`Gallery: Synced ${pending.length} entries up, ${changed} changed locally`);
+          status = { ok: true, at: startedAt, account: data.account || null, uploadedThrough: startedAt };
+        } catch (error) {
+          console.error('Gallery: Sync failed:', error);
+          status = { ok: false, at: startedAt, uploadedThrough, error: error.message, code: error.code || null };
+        }
+
+        await chrome.storage.local.set({ [SYNC_STATUS_KEY]: status });
+        return status;
+      });
+    },
+
+    async postBatch(apiBaseUrl, entries, clientAppId) {
+      const response = await fetch(`${apiBaseUrl}/api/extension-gallery/sync`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(clientAppId && { 'X-Client-App-ID': clientAppId })
+        },
+        body: JSON.stringify({ entries })
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success) {
+        const error = new Error(response.status === 401
+          ? 'Sign in to Sogni Photobooth to sync your gallery'
+          : data.message || `HTTP ${response.status} ${response.statusText}`);
+        error.code = data.code || `HTTP_${response.status}`;
+        throw error;
+      }
+      return data;
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SogniGallery;
+  } else {
+    globalThis.SogniGallery = SogniGallery;
+  }
+})();
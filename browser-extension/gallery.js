@@ -0,0 +1,242 @@
+// Gallery Page Script for Sogni Photobooth Extension
+// Shows every conversion grouped by site and style, and exports them as a zip.
+// The index itself is written by the background script; this page asks it
+// to sync or delete via messages and re-renders when storage changes.
+console.log('Sogni Photobooth Extension: Gallery script loaded');
+
+const syncToggle = document.getElementById('sync-toggle');
+const syncNowBtn = document.getElementById('sync-now-btn');
+const exportAllBtn = document.getElementById('export-all-btn');
+
+let galleryEntries = [];
+let exporting = false;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  syncToggle.checked = await SogniGallery.isSyncEnabled();
+  syncNowBtn.disabled = !syncToggle.checked;
+  showSyncStatus(await SogniGallery.getSyncStatus());
+  await renderGallery();
+
+  syncToggle.addEventListener('change', toggleSync);
+  syncNowBtn.addEventListener('click', syncNow);
+  exportAllBtn.addEventListener('click', () => exportEntries(galleryEntries, 'sogni-gallery'));
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes[SogniGallery.INDEX_KEY]) {
+      renderGallery();
+    }
+    if (changes[SogniGallery.SYNC_STATUS_KEY]) {
+      showSyncStatus(changes[SogniGallery.SYNC_STATUS_KEY].newValue);
+    }
+  });
+});
+
+async function toggleSync() {
+  await SogniGallery.setSyncEnabled(syncToggle.checked);
+  syncNowBtn.disabled = !syncToggle.checked;
+  if (syncToggle.checked) {
+    await syncNow();
+  } else {
+    showSyncStatus(null);
+  }
+}
+
+async function syncNow() {
+  syncNowBtn.disabled = true;
+  setSyncStatus('Syncing...');
+  try {
+    const status = await chrome.runtime.sendMessage({ action: 'gallerySync' });
+    showSyncStatus(status);
+  } catch (error) {
+    setSyncStatus(`Sync failed: ${error.message}`, 'error');
+  } finally {
+    syncNowBtn.disabled = !syncToggle.checked;
+  }
+}
+
+function showSyncStatus(status) {
+  if (!syncToggle.checked) {
+    setSyncStatus('Sync is off. Your gallery stays on this device.');
+  } else if (!status) {
+    setSyncStatus('Not synced yet');
+  } else if (status.ok) {
+    const account = status.account ? ` as ${status.account}` : '';
+    setSyncStatus(`Synced${account} ${new Date(status.at).toLocaleString()}`, 'ok');
+  } else {
+    setSyncStatus(`Sync failed: ${status.error}`, 'error');
+  }
+}
+
+function setSyncStatus(message, type = '') {
+  const element = document.getElementById('sync-status');
+  element.textContent = message;
+  element.className = `sync-status ${type}`.trim();
+}
+
+async function renderGallery() {
+  galleryEntries = await SogniGallery.getEntries();
+  const sites = SogniGallery.groupBySiteAndStyle(galleryEntries);
+
+  const siteCount = sites.length;
+  document.getElementById('gallery-summary').textContent = galleryEntries.length > 0
+    ? `${galleryEntries.length} conversion${galleryEntries.length === 1 ? '' : 's'} on ${siteCount} site${siteCount === 1 ? '' : 's'}`
+    : 'Every image the extension has converted, on every site';
+  document.getElementById('gallery-empty').style.display = galleryEntries.length > 0 ? 'none' : '';
+  exportAllBtn.disabled = exporting || galleryEntries.length === 0;
+
+  const container = document.getElementById('gallery-sites');
+  container.replaceChildren(...sites.map(renderSite));
+}
+
+function renderSite(site) {
+  const section = document.createElement('section');
+  section.className = 'gallery-section site-section';
+
+  const siteEntries = site.styles.flatMap((style) => style.entries);
+  section.appendChild(groupHeader('h2', site.hostname, siteEntries, site.hostname));
+
+  for (const style of site.styles) {
+    const group = document.createElement('div');
+    group.className = 'style-group';
+    group.appendChild(groupHeader('h3', style.styleDisplayName, style.entries, `${site.hostname}-${style.styleKey}`));
+
+    const grid = document.createElement('div');
+    grid.className = 'thumbnail-grid';
+    style.entries.forEach((entry) => grid.appendChild(renderThumbnail(entry)));
+    group.appendChild(grid);
+    section.appendChild(group);
+  }
+  return section;
+}
+
+function groupHeader(tag, title, entries, exportName) {
+  const header = document.createElement('div');
+  header.className = 'group-header';
+
+  const heading = document.createElement(tag);
+  heading.textContent = `${title} (${entries.length})`;
+
+  const exportBtn = document.createElement('button');
+  exportBtn.type = 'button';
+  exportBtn.className = 'secondary-button export-button';
+  exportBtn.textContent = 'Export zip';
+  exportBtn.disabled = exporting;
+  exportBtn.addEventListener('click', () => exportEntries(entries, exportName));
+
+  header.append(heading, exportBtn);
+  return header;
+}
+
+function renderThumbnail(entry) {
+  const tile = document.createElement('figure');
+  tile.className = 'thumbnail';
+  tile.title = entry.pageUrl || entry.originalUrl;
+
+  const link = document.createElement('a');
+  link.href = entry.transformedUrl;
+  link.target = '_blank';
+  link.rel = 'noopener';
+
+  const img = document.createElement('img');
+  img.src = entry.transformedUrl;
+  img.alt = `${entry.styleDisplayName} conversion`;
+  img.loading = 'lazy';
+  img.addEventListener('error', () => {
+    tile.classList.add('missing');
+    img.replaceWith(Object.assign(document.createElement('div'), {
+      className: 'thumbnail-missing',
+      textContent: 'Image no longer available'
+    }));
+  });
+  link.appendChild(img);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'remove-button';
+  removeBtn.title = 'Remove from gallery';
+  removeBtn.textContent = '×';
+  removeBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'galleryRemove', ids: [entry.id] });
+  });
+
+  tile.append(link, removeBtn);
+  return tile;
+}
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+function safeFileName(value) {
+  return String(value).replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'untitled';
+}
+
+// Download every image and save them as <site>/<style>/<n>.<ext>
+async function exportEntries(entries, name) {
+  if (exporting || entries.length === 0) return;
+  setExporting(true);
+
+  const files = [];
+  const counters = new Map();
+  let failed = 0;
+  try {
+    for (const entry of entries) {
+      showExportStatus(`Downloading ${files.length + failed + 1} of ${entries.length}...`);
+      try {
+        const response = await fetch(entry.transformedUrl);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const blob = await response.blob();
+        const folder = `${safeFileName(entry.hostname)}/${safeFileName(entry.styleDisplayName)}`;
+        const number = (counters.get(folder) || 0) + 1;
+        counters.set(folder, number);
+        files.push({
+          name: `${folder}/${number}.${IMAGE_EXTENSIONS[blob.type] || 'jpg'}`,
+          data: new Uint8Array(await blob.arrayBuffer()),
+          date: new Date(entry.updatedAt)
+        });
+      } catch (error) {
+        console.warn('Gallery: Could not download image for export:', entry.transformedUrl, error);
+        failed++;
+      }
+    }
+
+    if (files.length === 0) {
+      showExportStatus('None of these images could be downloaded, so there was nothing to export.', 'error');
+      return;
+    }
+
+    const url = URL.createObjectURL(SogniZip.create(files));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${safeFileName(name)}-${new Date().toISOString().slice(0, 10)}.zip`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+
+    showExportStatus(failed > 0
+      ? `Exported ${files.length} images. ${failed} could not be downloaded and were skipped.`
+      : `Exported ${files.length} images.`, failed > 0 ? 'error' : 'ok');
+  } finally {
+    setExporting(false);
+  }
+}
+
+function setExporting(value) {
+  exporting = value;
+  exportAllBtn.disabled = value || galleryEntries.length === 0;
+  document.querySelectorAll('.export-button').forEach((button) => {
+    button.disabled = value;
+  });
+}
+
+function showExportStatus(message, type = '') {
+  const element = document.getElementById('export-status');
+  element.textContent = message;
+  element.className = `export-status ${type}`.trim();
+  element.style.display = '';
+}
@@ -0,0 +1,191 @@
+// Options Page Script for Sogni Photobooth Extension
+// Lets users point the extension at a self-hosted photobooth backend.
+console.log('Sogni Photobooth Extension: Options script loaded');
+
+const apiUrlInput = document.getElementById('api-base-url');
+const appUrlInput = document.getElementById('app-url');
+const saveBtn = document.getElementById('save-btn');
+const testBtn = document.getElementById('test-btn');
+const resetBtn = document.getElementById('reset-btn');
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const settings = await SogniEndpoints.getSettings();
+  apiUrlInput.value = settings.customApiBaseUrl || '';
+  appUrlInput.value = settings.customAppUrl || '';
+
+  await showActiveEndpoint();
+  if (settings.customApiBaseUrl && settings.backendHandshake) {
+    showHandshake(settings.backendHandshake);
+  }
+
+  document.getElementById('backend-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveBackend();
+  });
+  testBtn.addEventListener('click', testConnection);
+  resetBtn.addEventListener('click', resetToDefault);
+});
+
+// Read and validate the form. Returns null (and shows why) if a URL is invalid.
+function readForm() {
+  const apiBaseUrl = SogniEndpoints.normalizeBaseUrl(apiUrlInput.value);
+  if (apiUrlInput.value.trim() && !apiBaseUrl) {
+    showStatus('The API base URL must start with http:// or https://', 'error');
+    return null;
+  }
+
+  const appUrl = SogniEndpoints.normalizeBaseUrl(appUrlInput.value);
+  if (appUrlInput.value.trim() && !appUrl) {
+    showStatus('The web app URL must start with http:// or https://', 'error');
+    return null;
+  }
+
+  return { apiBaseUrl, appUrl };
+}
+
+// Ask for host access to just the configured origins. Must be called straight
+// from the click handler, before any await, or Chrome refuses to show the prompt.
+function requestHostAccess(urls) {
+  const origins = [...new Set(urls.filter(Boolean).map((url) => SogniEndpoints.originPattern(url)))];
+  return chrome.permissions.request({ origins });
+}
+
+async function runHandshake(apiBaseUrl) {
+  showStatus(`Connecting to ${apiBaseUrl}...`);
+  const { sogni_extension_app_id: clientAppId } = await chrome.storage.local.get(['sogni_extension_app_id']);
+  const handshake = await SogniEndpoints.handshake(apiBaseUrl, { clientAppId });
+  showHandshake(handshake);
+  return handshake;
+}
+
+async function saveBackend() {
+  const form = readForm();
+  if (!form) return;
+
+  if (!form.apiBaseUrl) {
+    await resetToDefault();
+    return;
+  }
+
+  const permissionRequest = requestHostAccess([form.apiBaseUrl, form.appUrl]);
+  setBusy(true);
+  try {
+    const granted = await permissionRequest;
+    if (!granted) {
+      showStatus('Permission to reach this backend was denied, so nothing was saved.', 'error');
+      return;
+    }
+
+    const handshake = await runHandshake(form.apiBaseUrl);
+    if (!handshake.ok) {
+      return;
+    }
+
+    await chrome.storage.local.set({
+      customApiBaseUrl: form.apiBaseUrl,
+      backendHandshake: handshake
+    });
+    if (form.appUrl) {
+      await chrome.storage.local.set({ customAppUrl: form.appUrl });
+    } else {
+      await chrome.storage.local.remove('customAppUrl');
+    }
+
+    console.log('Options: Custom backend saved:', form.apiBaseUrl);
+    await showActiveEndpoint();
+    showStatus(`Saved. The extension now uses ${form.apiBaseUrl}`, 'ok');
+  } catch (error) {
+    console.error('Options: Failed to save backend:', error);
+    showStatus(`Could not save backend: ${error.message}`, 'error');
+  } finally {
+    setBusy(false);
+  }
+}
+
+async function testConnection() {
+  const form = readForm();
+  if (!form) return;
+
+  // Test what's typed in, or whatever the extension currently uses
+  const permissionRequest = form.apiBaseUrl ? requestHostAccess([form.apiBaseUrl]) : Promise.resolve(true);
+  setBusy(true);
+  try {
+    if (!await permissionRequest) {
+      showStatus('Permission to reach this backend was denied.', 'error');
+      return;
+    }
+    await runHandshake(form.apiBaseUrl || await SogniEndpoints.getApiBaseUrl());
+  } catch (error) {
+    showStatus(`Connection test failed: ${error.message}`, 'error');
+  } finally {
+    setBusy(false);
+  }
+}
+
+async function resetToDefault() {
+  setBusy(true);
+  try {
+    const settings = await SogniEndpoints.getSettings();
+    await chrome.storage.local.remove(['customApiBaseUrl', 'customAppUrl', 'backendHandshake']);
+
+    // Give back the optional access we asked for. Origins the manifest
+    // already grants can't be removed, which is fine.
+    const oldUrls = [settings.customApiBaseUrl, settings.customAppUrl].filter(Boolean);
+    if (oldUrls.length > 0) {
+      try {
+        await chrome.permissions.remove({ origins: oldUrls.map((url) => SogniEndpoints.originPattern(url)) });
+      } catch (error) {
+        console.log('Options: Host permission not removed:', error.message);
+      }
+    }
+
+    apiUrlInput.value = '';
+    appUrlInput.value = '';
+    document.getElementById('handshake-details').style.display = 'none';
+    await showActiveEndpoint();
+    showStatus('Using the default Sogni backend.', 'ok');
+  } finally {
+    setBusy(false);
+  }
+}
+
+async function showActiveEndpoint() {
+  const [apiBaseUrl, appUrl] = await Promise.all([SogniEndpoints.getApiBaseUrl(), SogniEndpoints.getAppUrl()]);
+  document.getElementById('active-endpoint').textContent = `API: ${apiBaseUrl}\nApp: ${appUrl}`;
+}
+
+function showHandshake(handshake) {
+  const details = document.getElementById('handshake-details');
+  if (handshake.ok) {
+    const checkedAt = handshake.checkedAt ? ` (checked ${new Date(handshake.checkedAt).toLocaleString()})` : '';
+    showStatus(`Connected${checkedAt}`, 'ok');
+  } else {
+    showStatus(`Could not connect: ${handshake.error}`, 'error');
+  }
+
+  // Only show details when the backend actually answered
+  if (handshake.latencyMs === undefined) {
+    details.style.display = 'none';
+    return;
+  }
+  document.getElementById('handshake-version').textContent = handshake.version || 'unknown';
+  document.getElementById('handshake-api-version').textContent = handshake.apiVersion || 'unknown';
+  document.getElementById('handshake-environment').textContent = handshake.environment || 'unknown';
+  document.getElementById('handshake-capabilities').textContent = handshake.capabilities
+    ? handshake.capabilities.join(', ')
+    : 'not reported (older backend)';
+  document.getElementById('handshake-latency').textContent = `${handshake.latencyMs} ms`;
+  details.style.display = '';
+}
+
+function showStatus(message, type = '') {
+  const status = document.getElementById('handshake-status');
+  status.textContent = message;
+  status.className = `handshake-status ${type}`.trim();
+}
+
+function setBusy(busy) {
+  [saveBtn, testBtn, resetBtn].forEach((button) => {
+    button.disabled = busy;
+  });
+}
@@ -26,6 +26,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Check for restorable cached images
   await checkForRestorableImages();
+
+  // Show how many conversions the gallery holds
+  await loadGalleryCount();
   
   // Setup event listeners
   setupEventListeners();
@@ -33,6 +36,29 @@ document.addEventListener('DOMContentLoaded', async () => {
   console.log('Extension popup ready - waiting for user to click "Open Style Explorer"');
 });
 
+// Inject the content scripts into a tab, in the order they depend on each other
+async function injectContentScripts(tabId) {
+  console.log('Injecting CSS...');
+  await chrome.scripting.insertCSS({
+    target: { tabId },
+    files: SogniExtensionConfig.CONTENT_STYLES
+  });
+
+  for (const file of SogniExtensionConfig.CONTENT_SCRIPTS) {
+    try {
+      console.log(`Injecting ${file}...`);
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: [file]
+      });
+    } catch (error) {
+      console.error(`Failed to inject ${file}:`, error);
+      throw new Error(`${file} injection failed: ${error.message}`);
+    }
+  }
+  console.log('Content scripts injected successfully');
+}
+
 // Inject content scripts and activate extension (only when user clicks extension icon)
 async function injectContentScriptsAndActivate() {
   console.log('Injecting content scripts with user permission...');
@@ -50,76 +76,9 @@ async function injectContentScriptsAndActivate() {
     // Inject content scripts using scripting API (requires user permission via activeTab)
     console.log('Injecting content scripts...');
     
-    // Inject CSS first
-    try {
-      console.log('Injecting CSS...');
-      await chrome.scripting.insertCSS({
-        target: { tabId: tab.id },
-        files: ['content.css']
-      });
-      console.log('CSS injected successfully');
-    } catch (cssError) {
-      console.error('Failed to inject CSS:', cssError);
-      throw new Error(`CSS injection failed: ${cssError.message}`);
-    }
-    
-    // Inject JavaScript files in order
-    try {
-      console.log('Injecting settings-service.js...');
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['settings-service.js']
-      });
-      console.log('settings-service.js injected successfully');
-    } catch (settingsError) {
-      console.error('Failed to inject settings-service.js:', settingsError);
-      throw new Error(`Settings service injection failed: ${settingsError.message}`);
-    }
-    
-    try {
-      console.log('Injecting cache-service.js...');
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['cache-service.js']
-      });
-      console.log('cache-service.js injected successfully');
-    } catch (cacheError) {
-      console.error('Failed to inject cache-service.js:', cacheError);
-      throw new Error(`Cache service injection failed: ${cacheError.message}`);
-    }
-    
-    try {
-      console.log('Injecting api-service.js...');
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['api-service.js']
-      });
-      console.log('api-service.js injected successfully');
-    } catch (apiError) {
-      console.error('Failed to inject api-service.js:', apiError);
-      throw new Error(`API service injection failed: ${apiError.message}`);
-    }
+    await injectContentScripts(tab.id);
     
     try {
-      console.log('Injecting progress-overlay.js...');
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['progress-overlay.js']
-      });
-      console.log('progress-overlay.js injected successfully');
-    } catch (overlayError) {
-      console.error('Failed to inject progress-overlay.js:', overlayError);
-      throw new Error(`Progress overlay injection failed: ${overlayError.message}`);
-    }
-    
-    try {
-      console.log('Injecting content.js...');
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['content.js']
-      });
-      console.log('content.js injected successfully');
-      
       // Also inject a simple test script to verify execution
       console.log('Injecting test script to verify execution...');
       await chrome.scripting.executeScript({
@@ -132,13 +91,11 @@ async function injectContentScriptsAndActivate() {
       });
       console.log('Test script injected successfully');
       
-    } catch (contentError) {
-      console.error('Failed to inject content.js:', contentError);
-      throw new Error(`Content script injection failed: ${contentError.message}`);
+    } catch (testScriptError) {
+      console.error('Failed to inject test script:', testScriptError);
+      throw new Error(`Content script injection failed: ${testScriptError.message}`);
     }
     
-    console.log('Content scripts injected successfully');
-    
     // Wait briefly for scripts to initialize
     console.log('Waiting for content scripts to initialize...');
     await new Promise(resolve => setTimeout(resolve, 200)); // Reduced from 2000ms to 200ms
@@ -354,6 +311,19 @@ async function checkForRestorableImages() {
   }
 }
 
+// Load the number of conversions in the gallery (all sites)
+async function loadGalleryCount() {
+  try {
+    const entries = await SogniGallery.getEntries();
+    const galleryCount = document.getElementById('gallery-count');
+    if (galleryCount && entries.length > 0) {
+      galleryCount.textContent = `(${entries.length})`;
+    }
+  } catch (error) {
+    console.error('Error loading gallery count:', error);
+  }
+}
+
 // Update UI with user settings
 function updateUserSettingsUI(userSettings) {
   // Show last used style if available
@@ -468,6 +438,11 @@ function styleIdToDisplay(styleId) {
 
 // Load dev mode settings
 async function loadDevModeSettings() {
+  if (!SogniExtensionConfig.allowDevMode) {
+    document.getElementById('dev-mode-controls')?.remove();
+    return;
+  }
+
   try {
     const result = await new Promise((resolve) => {
       chrome.storage.local.get(['devMode'], resolve);
@@ -550,15 +525,15 @@ async function activateExtensionAndOpenStyleExplorer() {
         try {
           console.log('Attempting direct script injection...');
           
-          // Get dev mode setting to pass to injected script
-          const result = await new Promise((resolve) => {
-            chrome.storage.local.get(['devMode'], resolve);
-          });
-          const isDevMode = result.devMode || false;
+          // Get dev mode setting and app URL to pass to injected script
+          const result = await SogniEndpoints.getSettings();
+          // A custom backend from the options page overrides dev mode
+          const isDevMode = (result.devMode && !result.customApiBaseUrl) || false;
+          const appUrl = await SogniEndpoints.getAppUrl();
           
           await chrome.scripting.executeScript({
             target: { tabId: tab.id },
-            func: (devMode) => {
+            func: (devMode, appUrl) => {
               // Direct inline Style Explorer creation
               console.log('Direct script execution - creating Style Explorer overlay');
               
@@ -578,7 +553,7 @@ async function activateExtensionAndOpenStyleExplorer() {
                 alert('Local development mode is enabled but local server is not available. Please start your local development server.');
                 return;
               } else {
-                baseUrl = 'https://photobooth.sogni.ai';
+                baseUrl = appUrl;
               }
               
               // Create overlay
@@ -636,7 +611,7 @@ async function activateExtensionAndOpenStyleExplorer() {
               
               console.log('Style Explorer overlay created via direct injection');
             },
-            args: [isDevMode]
+            args: [isDevMode, appUrl]
           });
           console.log('Direct script injection completed');
         } catch (scriptError) {
@@ -721,6 +696,15 @@ function setupEventListeners() {
     });
   }
   
+  // Gallery of every conversion, across sites
+  const openGalleryBtn = document.getElementById('open-gallery-btn');
+  if (openGalleryBtn) {
+    openGalleryBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('gallery.html') });
+      window.close();
+    });
+  }
+
   // Help and about links (only if they exist)
   const helpLink = document.getElementById('help-link');
   if (helpLink) {
@@ -793,6 +777,15 @@ function setupEventListeners() {
     });
   }
 
+  // Backend settings (options page)
+  const backendSettingsLink = document.getElementById('backend-settings-link');
+  if (backendSettingsLink) {
+    backendSettingsLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+  }
+
   // Dev mode toggle
   const devModeToggle = document.getElementById('dev-mode-toggle');
   if (devModeToggle) {
@@ -895,35 +888,7 @@ function setupEventListeners() {
           
           // Inject content scripts first
           try {
-            await chrome.scripting.insertCSS({
-              target: { tabId: tab.id },
-              files: ['content.css']
-            });
-            
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['settings-service.js']
-            });
-            
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['cache-service.js']
-            });
-            
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['api-service.js']
-            });
-            
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['progress-overlay.js']
-            });
-            
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['content.js']
-            });
+            await injectContentScripts(tab.id);
             
             // Wait for initialization
             await new Promise(resolve => setTimeout(resolve, 500));
@@ -1004,39 +969,7 @@ function setupEventListeners() {
           
           // Inject content scripts (same as in injectContentScriptsAndActivate)
           try {
-            // Inject CSS first
-            await chrome.scripting.insertCSS({
-              target: { tabId: tab.id },
-              files: ['content.css']
-            });
-            
-            // Inject JavaScript files in order
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['settings-service.js']
-            });
-            
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['cache-service.js']
-            });
-            
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['api-service.js']
-            });
-            
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['progress-overlay.js']
-            });
-            
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['content.js']
-            });
-            
-            console.log('Content scripts injected successfully');
+            await injectContentScripts(tab.id);
             
             // Wait a moment for initialization
             await new Promise(resolve => setTimeout(resolve, 500));
@@ -0,0 +1,418 @@
+// Profile photo detection for the Sogni Photobooth Extension
+// Finds the headshots on a page (speaker grids, team and leadership pages).
+// Loaded before content.js; the unit tests in __tests__ run it against the
+// pages in test-prototypes/.
+//
+// Every function takes an optional { apiBaseUrl } so images served by a custom
+// backend also count as already converted.
+
+// Wrapped so injecting the script into a tab twice doesn't redeclare it
+(function () {
+  // Find profile images on the page
+  function findProfileImages(options = {}) {
+    const profileImages = [];
+    const seenUrls = new Set(); // Track URLs to prevent duplicates
+    const seenElements = new Set(); // Track DOM elements to prevent duplicates
+
+
+    // Check for Netflix-specific patterns first
+    const netflixHeadshotImages = document.querySelectorAll('img[class*="headshot" i], img[class*="Headshot" i]');
+    console.log(`🔍 Found ${netflixHeadshotImages.length} images with "headshot" in class name`);
+    netflixHeadshotImages.forEach((img, index) => {
+      console.log(`   ${index + 1}. Class: "${img.className}" | Src: ${img.src}`);
+    });
+
+    // Look for containers with profile-related keywords in class/id
+    const profileContainers = document.querySelectorAll([
+      '[class*="speaker" i]',
+      '[id*="speaker" i]',
+      '[class*="profile" i]',
+      '[id*="profile" i]',
+      '[class*="team" i]',
+      '[id*="team" i]',
+      '[class*="member" i]',
+      '[id*="member" i]',
+      '[class*="management" i]',
+      '[id*="management" i]',
+      '[class*="leadership" i]',
+      '[id*="leadership" i]',
+      '[class*="headshot" i]',
+      '[id*="headshot" i]'
+    ].join(', '));
+
+    for (const container of profileContainers) {
+      const images = container.querySelectorAll('img');
+
+      for (const img of images) {
+        // Skip if we've already seen this exact element
+        if (seenElements.has(img)) {
+          continue;
+        }
+
+        // Skip if we've already seen this URL
+        if (seenUrls.has(img.src)) {
+          continue;
+        }
+
+        // Skip if this image has already been converted by our extension (extra check)
+        if (isAlreadyConvertedImage(img, options)) {
+          continue;
+        }
+
+        if (isProfileImage(img, options)) {
+          profileImages.push(img);
+          seenUrls.add(img.src);
+          seenElements.add(img);
+          console.log(`✅ Added unique profile image: ${img.src}`);
+        }
+      }
+    }
+
+    // If no profile containers found, look for direct headshot images (Netflix-style)
+    if (profileImages.length === 0) {
+      console.log('🔍 No profile containers found, looking for direct headshot images...');
+      const directHeadshotImages = document.querySelectorAll('img[class*="headshot" i], img[class*="Headshot" i]');
+      console.log(`🔍 Found ${directHeadshotImages.length} direct headshot images`);
+
+      for (const img of directHeadshotImages) {
+        if (seenElements.has(img) || seenUrls.has(img.src)) {
+          continue;
+        }
+
+        if (isAlreadyConvertedImage(img, options)) {
+          continue;
+        }
+
+        // For headshot images, be more lenient with validation
+        const rect = img.getBoundingClientRect();
+        if (rect.width >= 50 && rect.height >= 50 && rect.width <= 800 && rect.height <= 800) {
+          const aspectRatio = rect.width / rect.height;
+          if (aspectRatio >= 0.5 && aspectRatio <= 2.0) { // More lenient aspect ratio for headshots
+            profileImages.push(img);
+            seenUrls.add(img.src);
+            seenElements.add(img);
+            console.log(`✅ Added direct headshot image: ${img.src}`);
+          } else {
+            console.log(`❌ Headshot aspect ratio rejected: ${aspectRatio.toFixed(2)}`);
+          }
+        } else {
+          console.log(`❌ Headshot size rejected: ${rect.width}x${rect.height}`);
+        }
+      }
+    }
+
+    // If still no images found, look for grid patterns
+    if (profileImages.length === 0) {
+      console.log('🔍 No direct headshots found, looking for image grids...');
+      profileImages.push(...findImageGrids(options));
+    }
+
+    console.log(`🎯 FINAL RESULTS: Found ${profileImages.length} profile images`);
+    profileImages.forEach((img, index) => {
+      const rect = img.getBoundingClientRect();
+      console.log(`   ${index + 1}. ${img.src} (${rect.width}x${rect.height}) at (${rect.x}, ${rect.y})`);
+    });
+    return profileImages;
+  }
+
+  // Check if an image has already been converted by our extension
+  function isAlreadyConvertedImage(img, options = {}) {
+    // Method 1: Check if the image element has our conversion markers
+    if (img.dataset.originalUrl || img.dataset.transformedUrl) {
+      return true;
+    }
+
+    // Method 2: Check if the image is part of our comparison container
+    const parent = img.parentElement;
+    if (parent && parent.classList.contains('sogni-before-after-container')) {
+      return true;
+    }
+
+    // Method 3: Check if the image has our specific classes
+    if (img.classList.contains('sogni-before-image') || img.classList.contains('sogni-after-image')) {
+      return true;
+    }
+
+    // Method 4: Check if the image source contains our API domain patterns (converted images)
+    const src = img.src.toLowerCase();
+    if (src.includes('photobooth-api.sogni.ai') || 
+        src.includes('photobooth-api-local.sogni.ai') ||
+        (options.apiBaseUrl && src.startsWith(options.apiBaseUrl.toLowerCase())) ||
+        src.includes('storage.googleapis.com') && src.includes('sogni')) {
+      return true;
+    }
+
+    // Method 5: Check if there's a comparison container nearby (sibling or parent)
+    let element = img;
+    for (let i = 0; i < 3; i++) { // Check up to 3 levels
+      if (element.parentElement) {
+        element = element.parentElement;
+        const comparisonContainer = element.querySelector('.sogni-before-after-container');
+        if (comparisonContainer) {
+          // Check if this image is related to the comparison container
+          const containerImages = comparisonContainer.querySelectorAll('img');
+          for (const containerImg of containerImages) {
+            if (containerImg === img) {
+              return true;
+            }
+          }
+        }
+      } else {
+        break;
+      }
+    }
+
+    // Method 6: Check if the image is hidden (our original images are hidden after conversion)
+    const computedStyle = window.getComputedStyle(img);
+    if (computedStyle.display === 'none' && img.dataset.originalUrl) {
+      return true;
+    }
+
+    return false;
+  }
+
+  // Check if an image looks like a profile photo
+  function isProfileImage(img, options = {}) {
+    console.log(`🔍 Checking image: ${img.src}`);
+    console.log(`🔍 Image class: "${img.className}"`);
+
+    // Skip if this image has already been converted by our extension
+    if (isAlreadyConvertedImage(img, options)) {
+      console.log(`❌ Skipping already converted image: ${img.src}`);
+      return false;
+    }
+
+    // Skip if image is too small or too large (flexible sizing)
+    const rect = img.getBoundingClientRect();
+    console.log(`🔍 Image dimensions: ${rect.width}x${rect.height}`);
+    if (rect.width < 50 || rect.height < 50) {
+      console.log(`❌ Image too small: ${rect.width}x${rect.height}`);
+      return false;
+    }
+    if (rect.width > 800 || rect.height > 800) {
+      console.log(`❌ Image too large: ${rect.width}x${rect.height}`);
+      return false;
+    }
+
+    // Skip if image is not visible
+    if (rect.width === 0 || rect.height === 0) return false;
+
+    // Skip if image is hidden
+    const style = window.getComputedStyle(img);
+    if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
+      return false;
+    }
+
+    // Flexible aspect ratio check (allow more variation for different sites)
+    const aspectRatio = rect.width / rect.height;
+    console.log(`🔍 Image aspect ratio: ${aspectRatio.toFixed(2)}`);
+    if (aspectRatio < 0.5 || aspectRatio > 2.0) {
+      console.log(`❌ Aspect ratio rejected: ${aspectRatio.toFixed(2)} (must be between 0.5 and 2.0)`);
+      return false; // More flexible for different sites
+    }
+
+    // Check if image source looks like a profile photo
+    const src = img.src.toLowerCase();
+    if (src.includes('logo') || src.includes('icon') || src.includes('banner')) {
+      return false;
+    }
+
+    // Check alt text
+    const alt = img.alt.toLowerCase();
+    if (alt.includes('logo') || alt.includes('icon') || alt.includes('banner')) {
+      return false;
+    }
+
+    // Additional checks for common non-profile image patterns
+    if (src.includes('background') || src.includes('bg-') || src.includes('decoration')) {
+      return false;
+    }
+
+    // Check for backdrop images (Token2049 fix)
+    if (src.includes('backdrop')) {
+      return false;
+    }
+
+    // Check for background images and other decorative elements
+    if (alt.includes('background') || alt.includes('decoration') || alt.includes('hero')) {
+      return false;
+    }
+
+    // Check if image is used as CSS background (common pattern)
+    const computedStyle = window.getComputedStyle(img);
+    if (computedStyle.position === 'absolute' && (computedStyle.zIndex === '-1' || parseInt(computedStyle.zIndex) < 0)) {
+      return false; // Likely a background image
+    }
+
+    // Check parent elements for background/hero/decoration classes
+    let parent = img.parentElement;
+    let depth = 0;
+    while (parent && depth < 3) { // Check up to 3 levels up
+      const parentClass = parent.className.toLowerCase();
+      if (parentClass.includes('background') || parentClass.includes('hero') || 
+          parentClass.includes('banner') || parentClass.includes('decoration')) {
+        return false;
+      }
+      parent = parent.parentElement;
+      depth++;
+    }
+
+    // Check if the image itself has profile-related classes (Netflix-style)
+    const imgClass = img.className.toLowerCase();
+    const imgId = img.id.toLowerCase();
+    const directProfilePatterns = ['headshot', 'profile', 'avatar', 'portrait'];
+
+    console.log(`🔍 Checking direct profile patterns in: "${imgClass}" "${imgId}"`);
+    const matchedPattern = directProfilePatterns.find(pattern => 
+      imgClass.includes(pattern) || imgId.includes(pattern)
+    );
+
+    if (matchedPattern) {
+      console.log(`✅ Image has direct profile class (${matchedPattern}): ${imgClass} ${imgId}`);
+      return true;
+    } else {
+      console.log(`🔍 No direct profile patterns found in image class/id`);
+    }
+
+    // Check for profile context but be more flexible
+    let profileContext = false;
+    parent = img.parentElement;
+    depth = 0;
+    while (parent && depth < 5) {
+      const parentClass = parent.className.toLowerCase();
+      const parentId = parent.id.toLowerCase();
+
+      const profileContextPatterns = [
+        'speaker', 'profile', 'team', 'member', 'person', 'people',
+        'staff', 'employee', 'founder', 'executive', 'bio', 'about',
+        'management', 'leadership', 'headshot', 'leader', 'director'
+      ];
+
+      if (profileContextPatterns.some(pattern => 
+        parentClass.includes(pattern) || parentId.includes(pattern)
+      )) {
+        profileContext = true;
+        console.log(`✅ Image found in profile context: ${parentClass} ${parentId}`);
+        break;
+      }
+      parent = parent.parentElement;
+      depth++;
+    }
+
+    if (profileContext) {
+      return true;
+    }
+
+    // If no explicit profile context found, check if this looks like a profile image grid
+    // by looking for multiple similar-sized images in the same container or nearby containers
+    const parentContainer = img.parentElement;
+    if (parentContainer) {
+      const siblingImages = Array.from(parentContainer.querySelectorAll('img')).filter(siblingImg => {
+        if (siblingImg === img || isAlreadyConvertedImage(siblingImg, options)) return false;
+
+        const siblingRect = siblingImg.getBoundingClientRect();
+        const sizeDiff = Math.abs(siblingRect.width - rect.width) + Math.abs(siblingRect.height - rect.height);
+
+        // Consider images similar if they're within 100px of each other in total size difference
+        return sizeDiff < 200 && siblingRect.width > 0 && siblingRect.height > 0;
+      });
+
+      console.log(`🔍 Found ${siblingImages.length} similar-sized sibling images in container`);
+
+      // If there are similar-sized images, likely a profile grid
+      if (siblingImages.length >= 1) {
+        console.log(`✅ Image appears to be in a grid of ${siblingImages.length + 1} similar images`);
+        return true;
+      }
+
+      // Also check parent's parent for a broader search (sometimes images are in nested containers)
+      const grandparentContainer = parentContainer.parentElement;
+      if (grandparentContainer) {
+        const cousinImages = Array.from(grandparentContainer.querySelectorAll('img')).filter(cousinImg => {
+          if (cousinImg === img || isAlreadyConvertedImage(cousinImg, options)) return false;
+
+          const cousinRect = cousinImg.getBoundingClientRect();
+          const sizeDiff = Math.abs(cousinRect.width - rect.width) + Math.abs(cousinRect.height - rect.height);
+
+          return sizeDiff < 200 && cousinRect.width > 0 && cousinRect.height > 0;
+        });
+
+        console.log(`🔍 Found ${cousinImages.length} similar-sized images in grandparent container`);
+
+        if (cousinImages.length >= 2) {
+          console.log(`✅ Image appears to be in a broader grid of ${cousinImages.length + 1} similar images`);
+          return true;
+        }
+      }
+    }
+
+    console.log(`❌ No profile context or image grid detected`);
+    return false;
+  }
+
+  // Find image grids (fallback method)
+  function findImageGrids(options = {}) {
+    const allImages = document.querySelectorAll('img');
+
+    // Group images by similar size and position using basic validation
+    const imageGroups = new Map();
+
+    for (const img of allImages) {
+      // Use basic validation to avoid circular dependency
+      if (isAlreadyConvertedImage(img, options)) continue;
+
+      const rect = img.getBoundingClientRect();
+
+      // Basic size and visibility checks
+      if (rect.width < 50 || rect.height < 50) continue;
+      if (rect.width > 800 || rect.height > 800) continue;
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      // Basic aspect ratio check
+      const aspectRatio = rect.width / rect.height;
+      if (aspectRatio < 0.5 || aspectRatio > 2.0) continue;
+
+      // Check if image is hidden
+      const style = window.getComputedStyle(img);
+      if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') continue;
+
+      // Skip obvious non-profile images
+      const src = img.src.toLowerCase();
+      if (src.includes('logo') || src.includes('icon') || src.includes('banner')) continue;
+
+      const alt = img.alt.toLowerCase();
+      if (alt.includes('logo') || alt.includes('icon') || alt.includes('banner')) continue;
+
+      const sizeKey = `${Math.round(rect.width / 50) * 50}x${Math.round(rect.height / 50) * 50}`;
+
+      if (!imageGroups.has(sizeKey)) {
+        imageGroups.set(sizeKey, []);
+      }
+      imageGroups.get(sizeKey).push(img);
+    }
+
+    // Find the largest group (likely to be profile photos)
+    let largestGroup = [];
+    for (const group of imageGroups.values()) {
+      if (group.length > largestGroup.length && group.length >= 2) {
+        largestGroup = group;
+      }
+    }
+
+    console.log(`🔍 Grid detection found ${largestGroup.length} images in largest group`);
+    return largestGroup;
+  }
+
+  const SogniProfileDetection = {
+    findProfileImages,
+    isProfileImage,
+    isAlreadyConvertedImage,
+    findImageGrids
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SogniProfileDetection;
+  } else {
+    globalThis.SogniProfileDetection = SogniProfileDetection;
+  }
+})();
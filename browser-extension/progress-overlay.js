@@ -123,6 +123,46 @@ class ProgressOverlay {
     // No status text in the new design
   }
 
+  // Show how long a video job has left, under the progress bar. ETAs only
+  // arrive every so often, so count down locally in between.
+  updateEta(imageElement, etaSeconds) {
+    const overlayData = this.overlays.get(imageElement);
+    if (!overlayData || typeof etaSeconds !== 'number') return;
+
+    if (!overlayData.etaLabel) {
+      const rect = imageElement.getBoundingClientRect();
+      const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+      const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
+      const etaLabel = document.createElement('div');
+      etaLabel.className = 'sogni-progress-eta';
+      etaLabel.style.cssText = `
+        position: absolute;
+        top: ${rect.bottom + scrollTop + 18}px;
+        left: ${rect.left + scrollLeft}px;
+        width: ${rect.width}px;
+        text-align: center;
+        color: #6b7280;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 11px;
+        z-index: 999999;
+        pointer-events: none;
+      `;
+      document.body.appendChild(etaLabel);
+      overlayData.etaLabel = etaLabel;
+      overlayData.etaTimer = setInterval(() => this._renderEta(overlayData), 1000);
+    }
+
+    overlayData.etaDeadline = Date.now() + Math.max(0, etaSeconds) * 1000;
+    this._renderEta(overlayData);
+  }
+
+  _renderEta(overlayData) {
+    const remaining = Math.max(0, Math.round((overlayData.etaDeadline - Date.now()) / 1000));
+    overlayData.etaLabel.textContent = remaining > 0
+      ? `~${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')} left`
+      : 'Almost done…';
+  }
+
   // Update overlay text
   updateText(imageElement, newText) {
     const overlayData = this.overlays.get(imageElement);
@@ -186,17 +226,19 @@ class ProgressOverlay {
     const overlayData = this.overlays.get(imageElement);
     if (!overlayData) return;
 
-    const { overlay, barContainer } = overlayData;
+    const { overlay, barContainer, etaLabel } = overlayData;
     
     // Release the bouncer assigned to this image
     this._releaseBouncerFromImage(imageElement);
     
     // Fade out
     overlay.style.opacity = '0';
+    if (overlayData.etaTimer) clearInterval(overlayData.etaTimer);
     
     setTimeout(() => {
       if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
       if (barContainer && barContainer.parentNode) barContainer.parentNode.removeChild(barContainer);
+      if (etaLabel && etaLabel.parentNode) etaLabel.parentNode.removeChild(etaLabel);
       this.overlays.delete(imageElement);
     }, 300);
   }
@@ -269,7 +311,7 @@ class ProgressOverlay {
   // Update overlay positions on scroll/resize
   updatePositions() {
     for (const [imageElement, overlayData] of this.overlays) {
-      const { overlay, barContainer } = overlayData;
+      const { overlay, barContainer, etaLabel } = overlayData;
       const rect = imageElement.getBoundingClientRect();
       const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
       const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
@@ -283,6 +325,11 @@ class ProgressOverlay {
         barContainer.style.left = `${rect.left + scrollLeft}px`;
         barContainer.style.width = `${rect.width}px`;
       }
+      if (etaLabel) {
+        etaLabel.style.top = `${rect.bottom + scrollTop + 18}px`;
+        etaLabel.style.left = `${rect.left + scrollLeft}px`;
+        etaLabel.style.width = `${rect.width}px`;
+      }
     }
 
     // Reposition all active bouncers
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Builds a variant of the extension from this source tree.
+//
+//   node scripts/build.js production            -> ../browser-extension-production
+//   node scripts/build.js development [outDir]  -> dist/development (or outDir)
+//
+// Copies the files the extension loads, switches extension-config.js to the
+// variant and applies the variant's manifest changes. Store docs and the
+// signing script in the output directory are left alone.
+
+const fs = require('fs');
+const path = require('path');
+const process = require('process');
+const SogniExtensionConfig = require('../extension-config.js');
+
+const SOURCE_DIR = path.resolve(__dirname, '..');
+
+const DEFAULT_OUTPUT_DIRS = {
+  production: path.resolve(SOURCE_DIR, '../browser-extension-production')
+};
+
+// Everything the manifest, popup, options and gallery pages and injected scripts reference
+const EXTENSION_FILES = [
+  'manifest.json',
+  'background.js',
+  'gallery-service.js',
+  'zip-writer.js',
+  'popup.html',
+  'popup.css',
+  'popup.js',
+  'options.html',
+  'options.css',
+  'options.js',
+  'gallery.html',
+  'gallery.css',
+  'gallery.js',
+  'icons',
+  ...SogniExtensionConfig.CONTENT_STYLES,
+  ...SogniExtensionConfig.CONTENT_SCRIPTS
+];
+
+function buildManifest(variantConfig) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, 'manifest.json'), 'utf8'));
+  manifest.host_permissions = manifest.host_permissions.filter(
+    (permission) => !variantConfig.excludedHostPermissions.includes(permission)
+  );
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+function buildExtensionConfig(variant) {
+  const source = fs.readFileSync(path.join(SOURCE_DIR, 'extension-config.js'), 'utf8');
+  const activeVariantPattern = /const ACTIVE_VARIANT = '[^']+';/;
+  if (!activeVariantPattern.test(source)) {
+    throw new Error('ACTIVE_VARIANT not found in extension-config.js');
+  }
+  return source.replace(activeVariantPattern, `const ACTIVE_VARIANT = '${variant}';`);
+}
+
+function build(variant, outputDir) {
+  const variantConfig = SogniExtensionConfig.VARIANTS[variant];
+  if (!variantConfig) {
+    throw new Error(`Unknown variant "${variant}" (expected one of: ${Object.keys(SogniExtensionConfig.VARIANTS).join(', ')})`);
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  for (const file of new Set(EXTENSION_FILES)) {
+    const target = path.join(outputDir, file);
+    fs.rmSync(target, { recursive: true, force: true });
+
+    if (file === 'manifest.json') {
+      fs.writeFileSync(target, buildManifest(variantConfig));
+    } else if (file === 'extension-config.js') {
+      fs.writeFileSync(target, buildExtensionConfig(variant));
+    } else {
+      // Notes kept next to the sources (e.g. icons/create-icons.md) don't ship
+      fs.cpSync(path.join(SOURCE_DIR, file), target, {
+        recursive: true,
+        filter: (source) => !source.endsWith('.md')
+      });
+    }
+  }
+
+  console.log(`Built ${variant} extension into ${path.relative(process.cwd(), outputDir) || '.'}`);
+}
+
+const [variant = 'production', outputArg] = process.argv.slice(2);
+const outputDir = outputArg
+  ? path.resolve(outputArg)
+  : DEFAULT_OUTPUT_DIRS[variant] || path.join(SOURCE_DIR, 'dist', variant);
+
+try {
+  build(variant, outputDir);
+} catch (error) {
+  console.error(`Build failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,102 @@
+// Zip Writer for Sogni Vibe Explorer Extension
+// Builds an uncompressed (stored) zip archive in memory. The images going
+// in are already compressed, so deflating them again wouldn't save space.
+
+// Wrapped so loading the script twice doesn't redeclare it
+(function () {
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Zip entries store local time in MS-DOS format
+  function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  const SogniZip = {
+    crc32,
+
+    // files: [{ name, data: Uint8Array, date?: Date }]. Returns a Blob.
+    create(files) {
+      const encoder = new TextEncoder();
+      const localParts = [];
+      const centralParts = [];
+      let offset = 0;
+
+      for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = file.data;
+        const crc = crc32(data);
+        const { time, date } = dosDateTime(file.date || new Date());
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed to extract (2.0)
+        local.setUint16(6, 0x0800, true); // Flags: file name is UTF-8
+        local.setUint16(8, 0, true); // Compression: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true); // Extra field length
+        localParts.push(local, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory header signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        // Extra field, comment, disk number and attributes stay zero
+        central.setUint32(42, offset, true); // Offset of the local header
+        centralParts.push(central, name);
+
+        offset += 30 + name.length + data.length;
+      }
+
+      const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054b50, true); // End of central directory signature
+      end.setUint16(8, files.length, true); // Entries on this disk
+      end.setUint16(10, files.length, true); // Entries in total
+      end.setUint32(12, centralSize, true);
+      end.setUint32(16, offset, true); // Start of the central directory
+
+      return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SogniZip;
+  } else {
+    globalThis.SogniZip = SogniZip;
+  }
+})();
@@ -8,6 +8,10 @@ export default {
   transform: {
     '^.+\\.tsx?$': ['ts-jest', {
       tsconfig: 'tsconfig.test.json'
+    }],
+    // Server code is ESM JavaScript
+    '/server/.+\\.js$': ['ts-jest', {
+      tsconfig: 'tsconfig.test.json'
     }]
   },
   setupFilesAfterEnv: ['<rootDir>/src/setupTests.ts'],
@@ -1,5 +1,5 @@
 // Service Worker for Sogni AI Photobooth PWA - INTELLIGENT CACHING
-const CACHE_VERSION = '1.0.24';
+const CACHE_VERSION = '1.0.25';
 const CACHE_NAME = `sogni-photobooth-v${CACHE_VERSION}`;
 const STATIC_CACHE_NAME = `sogni-photobooth-static-v${CACHE_VERSION}`;
 
@@ -166,7 +166,23 @@ self.addEventListener('fetch', (event) => {
 });
 
 // Handle background sync for photo uploads when back online
+// Offline captures live in the page's IndexedDB and go through the app's own
+// generate path, so the worker just wakes any open window to send them
+const OFFLINE_CAPTURE_SYNC_TAG = 'offline-captures';
+
 self.addEventListener('sync', (event) => {
   console.log('Background sync event:', event.tag);
-  // Background sync functionality can be added here if needed
+  if (event.tag !== OFFLINE_CAPTURE_SYNC_TAG) {
+    return;
+  }
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      if (windows.length === 0) {
+        // Nobody to send them - fail so the browser tries the sync again later
+        throw new Error('No open window to send offline captures');
+      }
+      windows.forEach((client) => client.postMessage({ type: 'offline-captures-sync' }));
+    })
+  );
 });
\ No newline at end of file
@@ -9,6 +9,29 @@ export const TWITTER_SHARE_CONFIG = {
   DEFAULT_MESSAGE: "Just took my photo with the @sogni_protocol AI photobooth at https://photobooth.sogni.ai",
 };
 
+// Version of the API contract reported by /api/health; bump on breaking changes
+export const API_VERSION = 1;
+
+// Features this backend serves, reported by /api/health so clients such as
+// the browser extension can tell what a self-hosted deployment supports
+export const API_CAPABILITIES = [
+  'generate',
+  'generate-video',
+  'generate-audio',
+  'generate-angle',
+  'sse-progress',
+  'sse-replay',
+  'generation-queue',
+  'image-upload',
+  'mobile-share',
+  'themes',
+  'print',
+  'extension-gallery',
+  'social-share'
+];
+
 export default {
-  TWITTER_SHARE_CONFIG
+  TWITTER_SHARE_CONFIG,
+  API_VERSION,
+  API_CAPABILITIES
 };
@@ -12,10 +12,18 @@ import mobileShareRoutes from './routes/mobileShare.js';
 import imageHostingRoutes from './routes/imageHosting.js';
 import analyticsRoutes from './routes/analytics.js';
 import contestRoutes from './routes/contestRoutes.js';
+import contestRegistryRoutes from './routes/contestRegistryRoutes.js';
+import moderationRoutes from './routes/moderationRoutes.js';
 import audioTranscodeRoutes from './routes/audioTranscode.js';
 import faceAnalysisRoutes from './routes/faceAnalysis.js';
 import personalizeRoutes from './routes/personalize.js';
+import storageRoutes from './routes/storageRoutes.js';
+import themeRoutes from './routes/themeRoutes.js';
+import printRoutes from './routes/printRoutes.js';
+import extensionGalleryRoutes from './routes/extensionGallery.js';
+import socialShareRoutes from './routes/socialShareRoutes.js';
 import process from 'process'; // Added to address linter error
+import { API_VERSION, API_CAPABILITIES } from './constants.js';
 
 // Load environment variables FIRST
 dotenv.config();
@@ -70,8 +78,8 @@ app.use(cors({
   },
   credentials: true, // Important for cookies
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'X-Client-App-ID', 'Accept'],
-  exposedHeaders: ['Set-Cookie']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'X-Client-App-ID', 'X-API-Key', 'Accept'],
+  exposedHeaders: ['Set-Cookie', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
 }));
 
 // 3. Cookie Parser
@@ -117,9 +125,16 @@ app.use('/api/mobile-share', mobileShareRoutes); // Mobile sharing routes
 app.use('/api/images', imageHostingRoutes); // Image hosting routes
 app.use('/api/analytics', analyticsRoutes); // Analytics routes
 app.use('/api/contest', contestRoutes); // Contest routes
+app.use('/api/contests', contestRegistryRoutes); // Contest registry (schedule, close, results)
+app.use('/api/moderation', moderationRoutes); // Moderator sessions and audit log
 app.use('/api/audio', audioTranscodeRoutes); // Audio transcoding routes
 app.use('/api/face-analysis', faceAnalysisRoutes); // Face analysis routes
 app.use('/api/personalize', personalizeRoutes); // Personalize custom prompts routes
+app.use('/api/storage', storageRoutes); // Signed URLs for locally stored objects
+app.use('/api/themes', themeRoutes); // Event theme configs, authoring and frame uploads
+app.use('/api/print', printRoutes); // Photobooth print queue (CUPS printer or spool directory)
+app.use('/api/extension-gallery', extensionGalleryRoutes); // Browser extension conversions synced per account
+app.use('/api/social-share', socialShareRoutes); // Bluesky/Mastodon posting (X has its own routes above)
 // Note: Stripe payments call Sogni API directly via SDK (no backend proxy needed)
 
 // Health check endpoint
@@ -127,9 +142,27 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', message: 'Server is running', environment: process.env.NODE_ENV || 'development' });
 });
 
+// Server version for the /api/health handshake (APP_VERSION wins, e.g. a deploy tag)
+const SERVER_VERSION = process.env.APP_VERSION || (() => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8')).version;
+  } catch {
+    return null;
+  }
+})();
+
 // Also add the health check at /api/health
+// Clients (the browser extension's options page) use it as a handshake to learn what this backend supports
 app.get('/api/health', (req, res) => {
-  res.status(200).json({ status: 'ok', message: 'Server is running', environment: process.env.NODE_ENV || 'development' });
+  res.status(200).json({
+    status: 'ok',
+    message: 'Server is running',
+    environment: process.env.NODE_ENV || 'development',
+    version: SERVER_VERSION,
+    apiVersion: API_VERSION,
+    capabilities: API_CAPABILITIES,
+    frontendUrl: process.env.CLIENT_ORIGIN || null
+  });
 });
 
 // Robots.txt to discourage crawling of API endpoints
@@ -6,11 +6,38 @@ import {
   getTopPrompts,
   clearAllAnalytics,
   trackMetric,
-  getHistoricalData
+  trackGenerationBreakdown,
+  getRangeData,
+  getBreakdownData,
+  getLastDaysRange,
+  HISTORICAL_METRICS,
+  MAX_RANGE_DAYS
 } from '../services/analyticsService.js';
+import { requireScope, ADMIN_SCOPES } from '../services/adminAuthService.js';
+import { recordAuditEvent } from '../services/auditLogService.js';
 
 const router = express.Router();
 
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive, UTC) or the last ?days=N
+const resolveRange = (query, defaultDays = 30) => {
+  if (query.from || query.to) {
+    return { from: query.from, to: query.to };
+  }
+  const days = Math.min(parseInt(query.days) || defaultDays, MAX_RANGE_DAYS);
+  return getLastDaysRange(days);
+};
+
+// Quote a CSV field when it contains a delimiter, quote or newline
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\n') + '\n';
+
 /**
  * Track a download event
  * POST /api/analytics/track/download
@@ -94,8 +121,9 @@ router.post('/track/share', async (req, res) => {
 /**
  * Get analytics dashboard data
  * GET /api/analytics/dashboard
+ * Requires read scope (X-API-Key or moderator session)
  */
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requireScope(ADMIN_SCOPES.READ), async (req, res) => {
   try {
     const dashboardData = await getDashboardData();
     
@@ -114,8 +142,9 @@ router.get('/dashboard', async (req, res) => {
 /**
  * Get top prompts leaderboard
  * GET /api/analytics/top?limit=10
+ * Requires read scope
  */
-router.get('/top', async (req, res) => {
+router.get('/top', requireScope(ADMIN_SCOPES.READ), async (req, res) => {
   try {
     const { limit = 10 } = req.query;
     const limitNum = Math.min(parseInt(limit) || 10, 50); // Cap at 50
@@ -137,19 +166,24 @@ router.get('/top', async (req, res) => {
 /**
  * Get historical analytics data
  * GET /api/analytics/historical?days=30
+ * GET /api/analytics/historical?from=2025-01-01&to=2025-01-31
+ * Requires read scope
  */
-router.get('/historical', async (req, res) => {
+router.get('/historical', requireScope(ADMIN_SCOPES.READ), async (req, res) => {
   try {
-    const { days = 30 } = req.query;
-    const daysNum = Math.min(parseInt(days) || 30, 365); // Cap at 1 year
-    
-    const historicalData = await getHistoricalData(daysNum);
+    const { from, to } = resolveRange(req.query);
+    const historicalData = await getRangeData(from, to);
     
     res.json({
-      days: daysNum,
+      from,
+      to,
+      days: historicalData.length,
       data: historicalData
     });
   } catch (error) {
+    if (error.code === 'INVALID_DATE_RANGE') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     console.error('[Analytics API] ❌ Error getting historical data:', error);
     res.status(500).json({ 
       error: 'Failed to get historical data' 
@@ -157,6 +191,81 @@ router.get('/historical', async (req, res) => {
   }
 });
 
+/**
+ * Get downloads/shares/generations broken down by theme, share type, model and aspect ratio
+ * GET /api/analytics/breakdowns?from=2025-01-01&to=2025-01-31 (or ?days=30)
+ * Requires read scope
+ */
+router.get('/breakdowns', requireScope(ADMIN_SCOPES.READ), async (req, res) => {
+  try {
+    const { from, to } = resolveRange(req.query);
+    const { totals } = await getBreakdownData(from, to);
+    
+    res.json({
+      from,
+      to,
+      breakdowns: totals
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_DATE_RANGE') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('[Analytics API] ❌ Error getting breakdowns:', error);
+    res.status(500).json({ 
+      error: 'Failed to get breakdowns' 
+    });
+  }
+});
+
+/**
+ * Export analytics for a date range
+ * GET /api/analytics/export?from=&to=&format=csv|ndjson&dataset=daily|breakdowns
+ * daily: one row per day with every counter
+ * breakdowns: one row per day/dimension/event/value
+ * Requires read scope
+ */
+router.get('/export', requireScope(ADMIN_SCOPES.READ), async (req, res) => {
+  try {
+    const { format = 'csv', dataset = 'daily' } = req.query;
+    if (!['csv', 'ndjson'].includes(format) || !['daily', 'breakdowns'].includes(dataset)) {
+      return res.status(400).json({ 
+        error: 'format must be csv or ndjson and dataset must be daily or breakdowns' 
+      });
+    }
+    
+    const { from, to } = resolveRange(req.query);
+    let columns;
+    let rows;
+    if (dataset === 'daily') {
+      columns = ['date', ...HISTORICAL_METRICS, 'combined'];
+      rows = await getRangeData(from, to);
+    } else {
+      columns = ['date', 'dimension', 'event', 'value', 'count'];
+      ({ rows } = await getBreakdownData(from, to, { daily: true }));
+    }
+    
+    const filename = `photobooth-analytics-${dataset}-${from}-to-${to}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    
+    if (format === 'csv') {
+      res.type('text/csv').send(toCsv(columns, rows));
+    } else {
+      res.type('application/x-ndjson').send(rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : ''));
+    }
+    
+    console.log(`[Analytics API] Exported ${rows.length} ${dataset} rows (${from} to ${to}) as ${format} for ${req.moderator}`);
+  } catch (error) {
+    if (error.code === 'INVALID_DATE_RANGE') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('[Analytics API] ❌ Error exporting analytics:', error);
+    res.status(500).json({ 
+      error: 'Failed to export analytics' 
+    });
+  }
+});
+
 /**
  * Track a general metric
  * POST /api/analytics/track/metric
@@ -194,18 +303,21 @@ router.post('/track/metric', async (req, res) => {
  * Body: { 
  *   numberImages: number, 
  *   sourceType?: 'camera' | 'upload',
- *   selectedModel?: string
+ *   selectedModel?: string,
+ *   tezdevTheme?: string,
+ *   aspectRatio?: string
  * }
  */
 router.post('/track/generation', async (req, res) => {
   try {
-    const { numberImages = 1, sourceType, selectedModel } = req.body;
+    const { numberImages = 1, sourceType, selectedModel, tezdevTheme, aspectRatio } = req.body;
     
     // Track batch generated
     await trackMetric('batches_generated', 1);
     
     // Track photos generated
     await trackMetric('photos_generated', numberImages);
+    await trackGenerationBreakdown({ numberImages, selectedModel, tezdevTheme, aspectRatio });
     
     // Track enhancement if applicable
     if (selectedModel === 'flux1-schnell-fp8') {
@@ -328,8 +440,9 @@ router.post('/track/video-generation', async (req, res) => {
 /**
  * Admin endpoint: Clear all analytics data
  * DELETE /api/analytics/clear-all?confirm=true
+ * Requires admin scope, recorded in the audit log
  */
-router.delete('/clear-all', async (req, res) => {
+router.delete('/clear-all', requireScope(ADMIN_SCOPES.ADMIN), async (req, res) => {
   try {
     const { confirm } = req.query;
     
@@ -348,7 +461,14 @@ router.delete('/clear-all', async (req, res) => {
       });
     }
     
-    console.log(`[Analytics API] ✅ Cleared all analytics data`);
+    await recordAuditEvent({
+      actor: req.moderator,
+      action: 'analytics.clear_all',
+      details: { via: req.adminPrincipal.via },
+      ip: req.ip
+    });
+    
+    console.log(`[Analytics API] ✅ Cleared all analytics data (by ${req.moderator})`);
     
     res.json({ 
       success: true, 
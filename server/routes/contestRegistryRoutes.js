@@ -0,0 +1,204 @@
+import express from 'express';
+import {
+  listContests,
+  getContest,
+  createContest,
+  updateContest,
+  closeContest,
+  toPublicContest,
+  formatStandingsCsv
+} from '../services/contestRegistryService.js';
+import { requireModerator } from '../services/moderatorAuthService.js';
+import { recordAuditEvent } from '../services/auditLogService.js';
+
+const router = express.Router();
+
+const CONTEST_ERROR_STATUS = {
+  INVALID_CONTEST: 400,
+  CONTEST_EXISTS: 409,
+  CONTEST_CLOSED: 409
+};
+
+function sendContestError(res, error, fallbackMessage) {
+  const status = CONTEST_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({ success: false, code: error.code, message: error.message });
+  }
+
+  console.error('[Contest Registry] Error:', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+}
+
+function contestNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    code: 'CONTEST_NOT_FOUND',
+    message: 'hmm, can\'t find that contest 🤔'
+  });
+}
+
+// GET /api/contests - List registered contests with their current status
+router.get('/', async (req, res) => {
+  try {
+    const contests = await listContests();
+    res.json({
+      success: true,
+      contests: contests.map(toPublicContest)
+    });
+  } catch (error) {
+    sendContestError(res, error, 'oops! couldn\'t load contests. try again? 🙏');
+  }
+});
+
+// POST /api/contests - Register a contest
+router.post('/', requireModerator, async (req, res) => {
+  try {
+    const contest = await createContest(req.body || {}, { moderator: req.moderator });
+
+    await recordAuditEvent({
+      actor: req.moderator,
+      action: 'contest.create',
+      contestId: contest.id,
+      details: { startsAt: contest.startsAt, endsAt: contest.endsAt },
+      ip: req.ip
+    });
+
+    res.status(201).json({ success: true, contest: toPublicContest(contest) });
+  } catch (error) {
+    sendContestError(res, error, 'oops! couldn\'t create the contest. try again? 🙏');
+  }
+});
+
+// GET /api/contests/:contestId - Contest definition and status
+router.get('/:contestId', async (req, res) => {
+  try {
+    const contest = await getContest(req.params.contestId);
+    if (!contest) {
+      return contestNotFound(res);
+    }
+    res.json({ success: true, contest: toPublicContest(contest) });
+  } catch (error) {
+    sendContestError(res, error, 'oops! couldn\'t load the contest. try again? 🙏');
+  }
+});
+
+// PATCH /api/contests/:contestId - Edit or reschedule a contest (until it's closed)
+router.patch('/:contestId', requireModerator, async (req, res) => {
+  try {
+    const contest = await updateContest(req.params.contestId, req.body || {}, { moderator: req.moderator });
+    if (!contest) {
+      return contestNotFound(res);
+    }
+
+    await recordAuditEvent({
+      actor: req.moderator,
+      action: 'contest.update',
+      contestId: contest.id,
+      details: { fields: Object.keys(req.body || {}) },
+      ip: req.ip
+    });
+
+    res.json({ success: true, contest: toPublicContest(contest) });
+  } catch (error) {
+    sendContestError(res, error, 'oops! couldn\'t update the contest. try again? 🙏');
+  }
+});
+
+// POST /api/contests/:contestId/close - Freeze results and compute winners
+router.post('/:contestId/close', requireModerator, async (req, res) => {
+  try {
+    const contest = await closeContest(req.params.contestId, {
+      moderator: req.moderator,
+      winnerCount: req.body?.winnerCount
+    });
+    if (!contest) {
+      return contestNotFound(res);
+    }
+
+    await recordAuditEvent({
+      actor: req.moderator,
+      action: 'contest.close',
+      contestId: contest.id,
+      details: {
+        totalEntries: contest.results.totalEntries,
+        winners: contest.results.winners.map(winner => winner.entryId)
+      },
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      contest: toPublicContest(contest),
+      results: contest.results
+    });
+  } catch (error) {
+    sendContestError(res, error, 'oops! couldn\'t close the contest. try again? 🙏');
+  }
+});
+
+// GET /api/contests/:contestId/results - Public winners and standings of a closed contest
+router.get('/:contestId/results', async (req, res) => {
+  try {
+    const contest = await getContest(req.params.contestId);
+    if (!contest) {
+      return contestNotFound(res);
+    }
+    if (!contest.results) {
+      return res.status(409).json({
+        success: false,
+        code: 'CONTEST_NOT_CLOSED',
+        message: 'results aren\'t in yet! check back after the contest closes 🏁'
+      });
+    }
+
+    const { standings, ...summary } = contest.results;
+    res.json({
+      success: true,
+      contest: toPublicContest(contest),
+      results: {
+        ...summary,
+        // Addresses are emails/wallets, so they only appear in the moderator export
+        standings: standings.map(({ address: _address, ...standing }) => standing)
+      }
+    });
+  } catch (error) {
+    sendContestError(res, error, 'oops! couldn\'t load the results. try again? 🙏');
+  }
+});
+
+// GET /api/contests/:contestId/results/export?format=csv|json - Full final standings
+router.get('/:contestId/results/export', requireModerator, async (req, res) => {
+  try {
+    const contest = await getContest(req.params.contestId);
+    if (!contest) {
+      return contestNotFound(res);
+    }
+    if (!contest.results) {
+      return res.status(409).json({
+        success: false,
+        code: 'CONTEST_NOT_CLOSED',
+        message: 'Close the contest before exporting results'
+      });
+    }
+
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    res.set('Content-Disposition', `attachment; filename="${contest.id}-results.${format}"`);
+
+    if (format === 'csv') {
+      res.type('text/csv').send(formatStandingsCsv(contest));
+    } else {
+      res.json({
+        contest: toPublicContest(contest),
+        results: contest.results
+      });
+    }
+  } catch (error) {
+    sendContestError(res, error, 'oops! couldn\'t export the results. try again? 🙏');
+  }
+});
+
+export default router;
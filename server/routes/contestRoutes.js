@@ -7,15 +7,140 @@ import {
   getContestEntries,
   getContestEntry,
   getContestStats,
-  deleteContestEntry
+  deleteContestEntry,
+  updateModerationStatus,
+  castContestVote,
+  retractContestVote,
+  attachVoteInfo,
+  getContestLeaderboard
 } from '../services/contestService.js';
 import { redisReady } from '../services/redisService.js';
+import { getStorage, storageKey, sendStoredObject } from '../services/storageService.js';
+import { requireModerator, getModeratorFromRequest } from '../services/moderatorAuthService.js';
+import { recordAuditEvent } from '../services/auditLogService.js';
+import { resolveVoterIdentity } from '../services/voterIdentityService.js';
+import { consumeRateLimit } from '../services/rateLimitService.js';
+import { assertSubmissionAllowed, releaseSubmissionSlot, assertVotingAllowed, isValidContestId } from '../services/contestRegistryService.js';
+import { IMAGE_ERROR_STATUS } from '../services/imageValidationService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+// Moderation actions exposed as POST /:contestId/entry/:entryId/<action>
+const MODERATION_ACTIONS = {
+  approve: 'APPROVED',
+  reject: 'REJECTED',
+  hide: 'HIDDEN',
+  reset: 'PENDING'
+};
+const MAX_BULK_MODERATION = 100;
+
+/**
+ * Apply a moderation status change and write the audit entry.
+ * Returns the result object used by both single and bulk endpoints.
+ */
+async function moderateEntry(req, contestId, entryId, moderationStatus, reason) {
+  try {
+    const result = await updateModerationStatus(contestId, entryId, moderationStatus, {
+      moderator: req.moderator,
+      reason
+    });
+
+    if (!result) {
+      return { entryId, success: false, code: 'NOT_FOUND', message: 'hmm, can\'t find that entry 🤔' };
+    }
+
+    await recordAuditEvent({
+      actor: req.moderator,
+      action: `moderation.${moderationStatus.toLowerCase()}`,
+      contestId,
+      entryId,
+      details: { from: result.previousStatus, to: moderationStatus, reason },
+      ip: req.ip
+    });
+
+    return { entryId, success: true, entry: result.entry };
+  } catch (error) {
+    if (error.code === 'INVALID_STATUS' || error.code === 'INVALID_TRANSITION') {
+      return { entryId, success: false, code: error.code, message: error.message };
+    }
+    throw error;
+  }
+}
+
+// Vote rate limits (per minute); each vote or unvote counts as one action
+const VOTE_RATE_LIMITS = {
+  ip: { limit: 60, windowSeconds: 60 },
+  account: { limit: 30, windowSeconds: 60 }
+};
+
+/**
+ * Middleware: resolve the verified voter and enforce per-IP/per-account vote limits.
+ * Sets req.voter on success.
+ */
+async function requireVoter(req, res, next) {
+  try {
+    const ipLimit = await consumeRateLimit(`vote:ip:${req.ip}`, VOTE_RATE_LIMITS.ip);
+    if (!ipLimit.allowed) {
+      res.set('Retry-After', String(ipLimit.retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: 'RATE_LIMITED',
+        message: 'whoa, slow down! try voting again in a moment 💛',
+        retryAfter: ipLimit.retryAfter
+      });
+    }
+
+    const voter = await resolveVoterIdentity(req);
+    if (!voter) {
+      return res.status(401).json({
+        success: false,
+        code: 'VOTER_AUTH_REQUIRED',
+        message: 'hey! just need u to sign in first :)'
+      });
+    }
+
+    const accountLimit = await consumeRateLimit(`vote:account:${voter.id}`, VOTE_RATE_LIMITS.account);
+    if (!accountLimit.allowed) {
+      res.set('Retry-After', String(accountLimit.retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: 'RATE_LIMITED',
+        message: 'whoa, slow down! try voting again in a moment 💛',
+        retryAfter: accountLimit.retryAfter
+      });
+    }
+
+    req.voter = voter;
+    next();
+  } catch (error) {
+    console.error('[Contest] Error verifying voter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'oops! couldn\'t verify ur account. try again? 🙏',
+      error: error.message
+    });
+  }
+}
+
+// Contest registry rule violations on /submit and /vote
+const CONTEST_RULE_STATUS = {
+  SUBMISSIONS_CLOSED: 403,
+  VOTING_CLOSED: 403,
+  PROMPT_NOT_ALLOWED: 400,
+  SUBMITTER_REQUIRED: 401,
+  ENTRY_LIMIT_REACHED: 403,
+  SUBMISSIONS_UNAVAILABLE: 503
+};
+
+function moderationErrorStatus(code) {
+  if (code === 'NOT_FOUND') return 404;
+  if (code === 'INVALID_TRANSITION') return 409;
+  return 400;
+}
+
 // POST /api/contest/submit - Submit a contest entry (called after successful Twitter share)
 router.post('/submit', async (req, res) => {
   try {
@@ -37,18 +162,33 @@ router.post('/submit', async (req, res) => {
       });
     }
 
-    // Save the contest entry
-    const entry = await saveContestEntry({
-      contestId,
-      imageUrl,
-      prompt,
-      username,
-      address,
-      tweetId,
-      tweetUrl,
-      metadata
+    // Registered contests must be open and the entry within their rules; entry
+    // limits count the verified account, never the username/address in the body
+    const submitter = await resolveVoterIdentity(req);
+    const contest = await assertSubmissionAllowed(contestId, {
+      submitterId: submitter?.id,
+      promptKey: req.body.promptKey || metadata?.promptKey
     });
 
+    // Save the contest entry
+    let entry;
+    try {
+      entry = await saveContestEntry({
+        contestId,
+        imageUrl,
+        prompt,
+        username,
+        address,
+        tweetId,
+        tweetUrl,
+        submitterId: submitter?.id,
+        metadata
+      });
+    } catch (error) {
+      await releaseSubmissionSlot(contest, submitter?.id);
+      throw error;
+    }
+
     console.log(`[Contest] New entry saved for ${contestId}:`, entry.id);
 
     res.json({
@@ -60,6 +200,14 @@ router.post('/submit', async (req, res) => {
       }
     });
   } catch (error) {
+    const status = CONTEST_RULE_STATUS[error.code] || IMAGE_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
     console.error('[Contest] Error submitting entry:', error);
     res.status(500).json({
       success: false,
@@ -74,22 +222,16 @@ router.get('/gallery-submissions/approved/:promptKey', async (req, res) => {
   try {
     const { promptKey } = req.params;
     
-    // Check if moderation is enabled (via MODERATION_ENABLED env var)
-    const moderationEnabled = process.env.MODERATION_ENABLED !== 'false';
-    
-    console.log(`[Gallery] Fetching entries for promptKey: ${promptKey}`);
-    console.log(`[Gallery] MODERATION_ENABLED env var: ${process.env.MODERATION_ENABLED}`);
-    console.log(`[Gallery] moderationEnabled: ${moderationEnabled}`);
-    console.log(`[Gallery] moderationStatus filter: ${moderationEnabled ? 'APPROVED' : 'undefined (all entries)'}`);
-    
-    // Get entries for gallery-submissions
-    // If moderation is disabled, get all entries. Otherwise, only approved ones.
+    console.log(`[Gallery] Fetching approved entries for promptKey: ${promptKey}`);
+
+    // Only APPROVED entries are ever public. With MODERATION_ENABLED=false new
+    // entries are auto-approved at submission, so no special case is needed here.
     const result = await getContestEntries('gallery-submissions', {
       page: 1,
       limit: 100, // Get up to 100 images per prompt
       sortBy: 'timestamp',
       order: 'desc',
-      moderationStatus: moderationEnabled ? 'APPROVED' : undefined
+      moderationStatus: 'APPROVED'
     });
     
     // Filter by promptKey
@@ -186,6 +328,14 @@ router.post('/gallery-submissions/entry', async (req, res) => {
       }
     });
   } catch (error) {
+    // Rejected image/video (wrong type, too big, blocked URL...)
+    if (IMAGE_ERROR_STATUS[error.code]) {
+      return res.status(IMAGE_ERROR_STATUS[error.code]).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
     console.error('[Gallery] Error submitting to gallery:', error);
     res.status(500).json({
       success: false,
@@ -203,7 +353,9 @@ router.get('/:contestId/entries', async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const sortBy = req.query.sortBy || 'timestamp'; // timestamp, username, votes
     const order = req.query.order || 'desc'; // asc, desc
-    const moderationStatus = req.query.moderationStatus; // Filter by moderation status
+    // Anyone without a moderator session only ever sees approved entries
+    const isModerator = Boolean(getModeratorFromRequest(req));
+    const moderationStatus = isModerator ? req.query.moderationStatus : 'APPROVED';
 
     const result = await getContestEntries(contestId, {
       page,
@@ -213,9 +365,13 @@ router.get('/:contestId/entries', async (req, res) => {
       moderationStatus
     });
 
+    // Identity is optional here - it only powers the hasVoted flag
+    const voter = req.headers.cookie ? await resolveVoterIdentity(req) : null;
+
     res.json({
       success: true,
-      ...result
+      ...result,
+      entries: await attachVoteInfo(contestId, result.entries, voter)
     });
   } catch (error) {
     console.error('[Contest] Error fetching entries:', error);
@@ -234,16 +390,22 @@ router.get('/:contestId/entry/:entryId', async (req, res) => {
 
     const entry = await getContestEntry(contestId, entryId);
 
-    if (!entry) {
+    // Unmoderated/hidden entries are only visible to moderators
+    const isVisible = entry && (entry.moderationStatus === 'APPROVED' || getModeratorFromRequest(req));
+
+    if (!isVisible) {
       return res.status(404).json({
         success: false,
         message: 'hmm, can\'t find that entry 🤔'
       });
     }
 
+    const voter = req.headers.cookie ? await resolveVoterIdentity(req) : null;
+    const [entryWithVotes] = await attachVoteInfo(contestId, [entry], voter);
+
     res.json({
       success: true,
-      entry
+      entry: entryWithVotes
     });
   } catch (error) {
     console.error('[Contest] Error fetching entry:', error);
@@ -255,6 +417,31 @@ router.get('/:contestId/entry/:entryId', async (req, res) => {
   }
 });
 
+// GET /api/contest/:contestId/leaderboard - Approved entries ranked by vote count (paginated)
+router.get('/:contestId/leaderboard', async (req, res) => {
+  try {
+    const { contestId } = req.params;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+
+    const result = await getContestLeaderboard(contestId, { page, limit });
+    const voter = req.headers.cookie ? await resolveVoterIdentity(req) : null;
+
+    res.json({
+      success: true,
+      ...result,
+      entries: await attachVoteInfo(contestId, result.entries, voter)
+    });
+  } catch (error) {
+    console.error('[Contest] Error fetching leaderboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'oops! couldn\'t load the leaderboard right now. try again? 🙏',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/contest/:contestId/stats - Get contest statistics
 router.get('/:contestId/stats', async (req, res) => {
   try {
@@ -288,29 +475,28 @@ router.get('/:contestId/image/:filename', async (req, res) => {
         message: 'hmm, that filename looks weird 🤔'
       });
     }
+    if (!isValidContestId(contestId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'hmm, that contest id looks weird 🤔'
+      });
+    }
 
-    // Use the same uploads directory pattern as imageHosting.js
-    const uploadsDir = path.join(process.cwd(), 'uploads');
-    const mediaPath = path.join(uploadsDir, 'contest', contestId, filename);
-
-    // Check if file exists
-    try {
-      await fs.access(mediaPath);
-    } catch (err) {
-      console.error(`[Contest] Media file not found at ${mediaPath}:`, err);
+    const key = storageKey('contest', contestId, filename);
+    const sent = await sendStoredObject(res, key);
+    if (!sent) {
+      console.error(`[Contest] Media file not found at ${key}`);
       return res.status(404).json({
         success: false,
         message: 'Media file not found',
-        path: mediaPath,
         filename: filename
       });
     }
 
-    console.log(`[Contest] Serving media: ${mediaPath}`);
-    // Serve the file
-    res.sendFile(mediaPath);
+    console.log(`[Contest] Served media: ${key}`);
   } catch (error) {
     console.error('[Contest] Error serving media:', error);
+    if (res.headersSent) return;
     res.status(500).json({
       success: false,
       message: 'oops! couldn\'t load that media file. try again? 🙏',
@@ -319,132 +505,158 @@ router.get('/:contestId/image/:filename', async (req, res) => {
   }
 });
 
-// PATCH /api/contest/:contestId/entry/:entryId/moderation - Update moderation status
-router.patch('/:contestId/entry/:entryId/moderation', async (req, res) => {
+// PATCH /api/contest/:contestId/entry/:entryId/moderation - Update moderation status (moderators only)
+router.patch('/:contestId/entry/:entryId/moderation', requireModerator, async (req, res) => {
   try {
     const { contestId, entryId } = req.params;
-    const { moderationStatus, moderatedBy } = req.body;
+    const { moderationStatus, reason } = req.body;
+
+    const result = await moderateEntry(req, contestId, entryId, moderationStatus, reason || null);
 
-    // Validate moderation status
-    const validStatuses = ['PENDING', 'APPROVED', 'REJECTED'];
-    if (!validStatuses.includes(moderationStatus)) {
+    if (!result.success) {
+      return res.status(moderationErrorStatus(result.code)).json(result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Moderation status updated successfully',
+      entry: result.entry
+    });
+  } catch (error) {
+    console.error('[Contest] Error updating moderation status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'oops! couldn\'t update moderation status. try again? 🙏',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/contest/:contestId/moderation/bulk - Apply one moderation action to many entries (moderators only)
+router.post('/:contestId/moderation/bulk', requireModerator, async (req, res) => {
+  try {
+    const { contestId } = req.params;
+    const { entryIds, action, reason } = req.body;
+    const moderationStatus = MODERATION_ACTIONS[action];
+
+    if (!moderationStatus) {
       return res.status(400).json({
         success: false,
-        message: 'oops! moderation status must be pending, approved, or rejected'
+        message: `oops! action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`
       });
     }
 
-    // Get the entry first
-    const entry = await getContestEntry(contestId, entryId);
-
-    if (!entry) {
-      return res.status(404).json({
+    if (!Array.isArray(entryIds) || entryIds.length === 0 || entryIds.length > MAX_BULK_MODERATION) {
+      return res.status(400).json({
         success: false,
-        message: 'hmm, can\'t find that entry 🤔'
+        message: `oops! send between 1 and ${MAX_BULK_MODERATION} entry ids`
       });
     }
 
-    // Update the moderation status
-    entry.moderationStatus = moderationStatus;
-    entry.moderatedAt = Date.now();
-    if (moderatedBy) {
-      entry.moderatedBy = moderatedBy;
+    // Sequential on purpose: keeps the audit log ordered and Redis load predictable
+    const results = [];
+    for (const entryId of entryIds) {
+      results.push(await moderateEntry(req, contestId, String(entryId), moderationStatus, reason || null));
     }
 
-    // Update in Redis
-    const { redisReady, storeContestEntry } = await import('../services/redisService.js');
-    if (redisReady()) {
-      await storeContestEntry(contestId, entryId, entry);
-    }
+    const updated = results.filter(result => result.success).length;
+    console.log(`[Contest] Bulk ${action} by ${req.moderator}: ${updated}/${entryIds.length} entries updated`);
 
-    // Update metadata JSON file
-    const uploadsDir = path.join(process.cwd(), 'uploads');
-    const metadataPath = path.join(uploadsDir, 'contest', contestId, `${entryId}.json`);
-    await fs.writeFile(metadataPath, JSON.stringify(entry, null, 2));
+    res.json({
+      success: true,
+      updated,
+      failed: results.length - updated,
+      results: results.map(({ entry, ...rest }) => ({
+        ...rest,
+        moderationStatus: entry?.moderationStatus
+      }))
+    });
+  } catch (error) {
+    console.error('[Contest] Error applying bulk moderation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'oops! couldn\'t apply bulk moderation. try again? 🙏',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/contest/:contestId/entry/:entryId/(approve|reject|hide|reset) - Single moderation action (moderators only)
+router.post('/:contestId/entry/:entryId/:action(approve|reject|hide|reset)', requireModerator, async (req, res) => {
+  try {
+    const { contestId, entryId, action } = req.params;
+    const result = await moderateEntry(req, contestId, entryId, MODERATION_ACTIONS[action], req.body?.reason || null);
 
-    console.log(`[Contest] Updated moderation status for ${entryId} to ${moderationStatus}`);
+    if (!result.success) {
+      return res.status(moderationErrorStatus(result.code)).json(result);
+    }
 
     res.json({
       success: true,
-      message: 'Moderation status updated successfully',
-      entry
+      message: `Entry ${result.entry.moderationStatus.toLowerCase()}`,
+      entry: result.entry
     });
   } catch (error) {
-    console.error('[Contest] Error updating moderation status:', error);
+    console.error('[Contest] Error moderating entry:', error);
     res.status(500).json({
       success: false,
-      message: 'oops! couldn\'t update moderation status. try again? 🙏',
+      message: 'oops! couldn\'t update that entry. try again? 🙏',
       error: error.message
     });
   }
 });
 
-// POST /api/contest/:contestId/entry/:entryId/vote - Vote for an entry (requires authentication)
-router.post('/:contestId/entry/:entryId/vote', async (req, res) => {
+// POST /api/contest/:contestId/entry/:entryId/vote - Vote for an entry (verified Sogni or X session required)
+router.post('/:contestId/entry/:entryId/vote', requireVoter, async (req, res) => {
   try {
     const { contestId, entryId } = req.params;
-    const { username } = req.body;
 
-    console.log(`[Contest] POST vote request for ${contestId}:${entryId}`, { body: req.body, username });
+    await assertVotingAllowed(contestId);
 
-    if (!username) {
-      console.log('[Contest] No username provided in POST request');
-      return res.status(401).json({
-        success: false,
-        message: 'hey! just need u to sign in first :)'
-      });
-    }
-
-    // Get the entry
     const entry = await getContestEntry(contestId, entryId);
 
-    if (!entry) {
+    // Only approved entries can be voted on
+    if (!entry || entry.moderationStatus !== 'APPROVED') {
       return res.status(404).json({
         success: false,
         message: 'hmm, can\'t find that entry 🤔'
       });
     }
 
-    // Initialize votes array if it doesn't exist
-    if (!entry.votes) {
-      entry.votes = [];
-    }
+    const { added, voteCount } = await castContestVote(contestId, entryId, req.voter);
 
-    // Check if user already voted
-    const existingVoteIndex = entry.votes.findIndex(vote => vote.username === username);
-    if (existingVoteIndex !== -1) {
+    if (!added) {
       return res.status(400).json({
         success: false,
-        message: 'u already voted for this one! 💛'
+        message: 'u already voted for this one! 💛',
+        voteCount,
+        hasVoted: true
       });
     }
 
-    // Add the vote
-    entry.votes.push({
-      username,
-      timestamp: Date.now()
-    });
-
-    // Update in Redis
-    const { redisReady, storeContestEntry } = await import('../services/redisService.js');
-    if (redisReady()) {
-      await storeContestEntry(contestId, entryId, entry);
-    }
-
-    // Update metadata JSON file
-    const uploadsDir = path.join(process.cwd(), 'uploads');
-    const metadataPath = path.join(uploadsDir, 'contest', contestId, `${entryId}.json`);
-    await fs.writeFile(metadataPath, JSON.stringify(entry, null, 2));
-
-    console.log(`[Contest] User ${username} voted for entry ${entryId}`);
+    console.log(`[Contest] ${req.voter.id} voted for entry ${contestId}:${entryId}`);
 
     res.json({
       success: true,
       message: 'Vote recorded successfully',
-      voteCount: entry.votes.length,
-      votes: entry.votes
+      voteCount,
+      hasVoted: true
     });
   } catch (error) {
+    if (error.code === 'VOTING_UNAVAILABLE') {
+      return res.status(503).json({
+        success: false,
+        code: error.code,
+        message: 'voting is taking a quick break, try again in a minute 🙏'
+      });
+    }
+    if (error.code === 'VOTING_CLOSED') {
+      return res.status(CONTEST_RULE_STATUS.VOTING_CLOSED).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
     console.error('[Contest] Error recording vote:', error);
     res.status(500).json({
       success: false,
@@ -455,67 +667,47 @@ router.post('/:contestId/entry/:entryId/vote', async (req, res) => {
 });
 
 // DELETE /api/contest/:contestId/entry/:entryId/vote - Remove vote (unheart)
-router.delete('/:contestId/entry/:entryId/vote', async (req, res) => {
+router.delete('/:contestId/entry/:entryId/vote', requireVoter, async (req, res) => {
   try {
     const { contestId, entryId } = req.params;
-    const { username } = req.body;
-
-    console.log(`[Contest] DELETE vote request for ${contestId}:${entryId}`, { body: req.body, username });
-
-    if (!username) {
-      console.log('[Contest] No username provided in DELETE request');
-      return res.status(401).json({
-        success: false,
-        message: 'hey! just need u to sign in first :)'
-      });
-    }
-
-    // Get the entry
-    const entry = await getContestEntry(contestId, entryId);
 
-    if (!entry) {
-      return res.status(404).json({
-        success: false,
-        message: 'hmm, can\'t find that entry 🤔'
-      });
-    }
+    // Votes are frozen outside the voting window too
+    await assertVotingAllowed(contestId);
 
-    // Initialize votes array if it doesn't exist
-    if (!entry.votes) {
-      entry.votes = [];
-    }
-
-    // Remove the vote
-    const initialLength = entry.votes.length;
-    entry.votes = entry.votes.filter(vote => vote.username !== username);
+    const { removed, voteCount } = await retractContestVote(contestId, entryId, req.voter);
 
-    if (entry.votes.length === initialLength) {
+    if (!removed) {
       return res.status(400).json({
         success: false,
-        message: 'u haven\'t voted for this one yet!'
+        message: 'u haven\'t voted for this one yet!',
+        voteCount,
+        hasVoted: false
       });
     }
 
-    // Update in Redis
-    const { redisReady, storeContestEntry } = await import('../services/redisService.js');
-    if (redisReady()) {
-      await storeContestEntry(contestId, entryId, entry);
-    }
-
-    // Update metadata JSON file
-    const uploadsDir = path.join(process.cwd(), 'uploads');
-    const metadataPath = path.join(uploadsDir, 'contest', contestId, `${entryId}.json`);
-    await fs.writeFile(metadataPath, JSON.stringify(entry, null, 2));
-
-    console.log(`[Contest] User ${username} removed vote for entry ${entryId}`);
+    console.log(`[Contest] ${req.voter.id} removed vote for entry ${contestId}:${entryId}`);
 
     res.json({
       success: true,
       message: 'Vote removed successfully',
-      voteCount: entry.votes.length,
-      votes: entry.votes
+      voteCount,
+      hasVoted: false
     });
   } catch (error) {
+    if (error.code === 'VOTING_UNAVAILABLE') {
+      return res.status(503).json({
+        success: false,
+        code: error.code,
+        message: 'voting is taking a quick break, try again in a minute 🙏'
+      });
+    }
+    if (error.code === 'VOTING_CLOSED') {
+      return res.status(CONTEST_RULE_STATUS.VOTING_CLOSED).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
     console.error('[Contest] Error removing vote:', error);
     res.status(500).json({
       success: false,
@@ -525,8 +717,8 @@ router.delete('/:contestId/entry/:entryId/vote', async (req, res) => {
   }
 });
 
-// DELETE /api/contest/:contestId/entry/:entryId - Delete a contest entry
-router.delete('/:contestId/entry/:entryId', async (req, res) => {
+// DELETE /api/contest/:contestId/entry/:entryId - Delete a contest entry (moderators only)
+router.delete('/:contestId/entry/:entryId', requireModerator, async (req, res) => {
   try {
     const { contestId, entryId } = req.params;
 
@@ -540,16 +732,14 @@ router.delete('/:contestId/entry/:entryId', async (req, res) => {
       });
     }
 
-    // Delete the image file if it exists
-    if (entry.imageFilename) {
-      const uploadsDir = path.join(process.cwd(), 'uploads');
-      const imagePath = path.join(uploadsDir, 'contest', contestId, entry.imageFilename);
-      
+    // Delete the image (and video) files if they exist
+    for (const filename of [entry.imageFilename, entry.videoFilename].filter(Boolean)) {
+      const key = storageKey('contest', contestId, filename);
       try {
-        await fs.unlink(imagePath);
-        console.log(`[Contest] Deleted image file: ${imagePath}`);
+        await getStorage().delete(key);
+        console.log(`[Contest] Deleted media file: ${key}`);
       } catch (err) {
-        console.warn(`[Contest] Could not delete image file: ${imagePath}`, err);
+        console.warn(`[Contest] Could not delete media file: ${key}`, err);
       }
     }
 
@@ -568,6 +758,19 @@ router.delete('/:contestId/entry/:entryId', async (req, res) => {
       await deleteContestEntry(contestId, entryId);
     }
 
+    await recordAuditEvent({
+      actor: req.moderator,
+      action: 'contest.entry.delete',
+      contestId,
+      entryId,
+      details: {
+        moderationStatus: entry.moderationStatus,
+        username: entry.username,
+        imageFilename: entry.imageFilename
+      },
+      ip: req.ip
+    });
+
     res.json({
       success: true,
       message: 'Contest entry deleted successfully'
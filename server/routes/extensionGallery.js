@@ -0,0 +1,91 @@
+import express from 'express';
+import { resolveVoterIdentity } from '../services/voterIdentityService.js';
+import { consumeRateLimit } from '../services/rateLimitService.js';
+import {
+  getExtensionGallery,
+  syncExtensionGallery,
+  MAX_GALLERY_ENTRIES,
+  MAX_SYNC_ENTRIES
+} from '../services/extensionGalleryService.js';
+
+const router = express.Router();
+
+// Per account; the extension syncs after each conversion (debounced) and on demand
+const SYNC_RATE_LIMIT = { limit: 60, windowSeconds: 60 };
+
+const GALLERY_ERROR_STATUS = {
+  INVALID_GALLERY_SYNC: 400,
+  TOO_MANY_ENTRIES: 413
+};
+
+// Galleries belong to a signed-in photobooth (Sogni or X) account
+async function requireAccount(req, res, next) {
+  try {
+    const account = await resolveVoterIdentity(req);
+    if (!account) {
+      return res.status(401).json({
+        success: false,
+        code: 'ACCOUNT_REQUIRED',
+        message: 'sign in to photobooth to sync ur gallery across devices 💛'
+      });
+    }
+
+    const limit = await consumeRateLimit(`extension-gallery:${account.id}`, SYNC_RATE_LIMIT);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: 'RATE_LIMITED',
+        message: 'whoa, slow down! try syncing again in a moment',
+        retryAfter: limit.retryAfter
+      });
+    }
+
+    req.account = account;
+    next();
+  } catch (error) {
+    console.error('[Extension Gallery] Error verifying account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'oops! couldn\'t verify ur account. try again? 🙏',
+      error: error.message
+    });
+  }
+}
+
+const galleryResponse = (account, entries, extra = {}) => ({
+  success: true,
+  account: account.displayName,
+  entries,
+  limits: { maxEntries: MAX_GALLERY_ENTRIES, maxSyncEntries: MAX_SYNC_ENTRIES },
+  syncedAt: Date.now(),
+  ...extra
+});
+
+// GET /api/extension-gallery - The account's gallery, tombstones included
+router.get('/', requireAccount, async (req, res) => {
+  try {
+    const entries = await getExtensionGallery(req.account.id);
+    res.json(galleryResponse(req.account, entries));
+  } catch (error) {
+    console.error('[Extension Gallery] Error loading gallery:', error);
+    res.status(500).json({ success: false, message: 'couldn\'t load ur gallery rn, try again?', error: error.message });
+  }
+});
+
+// POST /api/extension-gallery/sync - Merge this device's entries and get the whole gallery back
+router.post('/sync', requireAccount, async (req, res) => {
+  try {
+    const { entries, rejected } = await syncExtensionGallery(req.account.id, req.body?.entries);
+    res.json(galleryResponse(req.account, entries, { rejected }));
+  } catch (error) {
+    const status = GALLERY_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('[Extension Gallery] Error syncing gallery:', error);
+    res.status(500).json({ success: false, message: 'sync didn\'t go through, try again?', error: error.message });
+  }
+});
+
+export default router;
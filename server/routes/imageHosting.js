@@ -1,67 +1,57 @@
 import express from 'express';
 import multer from 'multer';
-import fs from 'fs';
-import path from 'path';
 import crypto from 'crypto';
+import { getStorage, storageKey, sendStoredObject, isExpired, deleteExpiredObjects } from '../services/storageService.js';
+import { MOBILE_SHARE_TTLS, DEFAULT_MOBILE_SHARE_TTL } from '../services/mobileShareService.js';
+import { normalizeImage, MAX_IMAGE_BYTES, IMAGE_ERROR_STATUS } from '../services/imageValidationService.js';
 
 const router = express.Router();
 
-// Create uploads directory if it doesn't exist
-const UPLOADS_DIR = path.join(process.cwd(), 'uploads');
-if (!fs.existsSync(UPLOADS_DIR)) {
-  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-  console.log(`[Image Hosting] Created uploads directory: ${UPLOADS_DIR}`);
-}
+// Hosted images live under this prefix in the configured storage (see storageService.js)
+const HOSTED_PREFIX = 'hosted';
 
 // Configure multer for image uploads
 const storage = multer.memoryStorage(); // Store in memory first for processing
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_IMAGE_BYTES, // 10MB unless IMAGE_MAX_BYTES is set
   },
   fileFilter: (req, file, cb) => {
-    // Accept images only
+    // Cheap early reject; the real type is sniffed from the bytes afterwards
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      const error = new Error('only JPEG, PNG, WebP or GIF images please 🖼️');
+      error.code = 'UNSUPPORTED_IMAGE_TYPE';
+      cb(error, false);
     }
   }
 });
 
-// Cleanup old images (older than 1 hour)
-const cleanupOldImages = () => {
-  try {
-    const oneHourAgo = Date.now() - (60 * 60 * 1000); // 1 hour in milliseconds
-    
-    if (!fs.existsSync(UPLOADS_DIR)) {
-      return;
+const sendImageError = (res, error) =>
+  res.status(IMAGE_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+
+// Run multer so its size/type rejections get the same structured errors
+const receiveImage = (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      error.code = 'IMAGE_TOO_LARGE';
+      error.message = `that image is too big! max is ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)}MB 📦`;
     }
-    
-    const files = fs.readdirSync(UPLOADS_DIR);
-    let deletedCount = 0;
-    
-    for (const file of files) {
-      const filePath = path.join(UPLOADS_DIR, file);
-      const stats = fs.statSync(filePath);
-      
-      // Skip directories
-      if (!stats.isFile()) {
-        continue;
-      }
-      
-      if (stats.mtime.getTime() < oneHourAgo) {
-        try {
-          fs.unlinkSync(filePath);
-          deletedCount++;
-          console.log(`[Image Hosting] Deleted expired image: ${file}`);
-        } catch (deleteError) {
-          console.error(`[Image Hosting] Error deleting file ${file}:`, deleteError);
-        }
-      }
+    if (IMAGE_ERROR_STATUS[error.code]) {
+      console.log(`[Image Hosting] Rejected upload: ${error.code}`);
+      return sendImageError(res, error);
     }
-    
+    next(error);
+  });
+};
+
+// Cleanup expired images
+const cleanupOldImages = async () => {
+  try {
+    const deletedCount = await deleteExpiredObjects(`${HOSTED_PREFIX}/`);
     if (deletedCount > 0) {
       console.log(`[Image Hosting] Cleanup completed: deleted ${deletedCount} expired images`);
     }
@@ -77,14 +67,14 @@ setInterval(cleanupOldImages, 60 * 60 * 1000);
 cleanupOldImages();
 
 // Upload image endpoint
-router.post('/upload', upload.single('image'), (req, res) => {
+router.post('/upload', receiveImage, async (req, res) => {
   console.log(`[Image Hosting] ==========================================`);
   console.log(`[Image Hosting] POST /upload request received`);
   
   try {
     if (!req.file) {
       console.log(`[Image Hosting] ERROR: No file provided`);
-      return res.status(400).json({ error: 'No image file provided' });
+      return res.status(400).json({ error: 'No image file provided', code: 'IMAGE_REQUIRED' });
     }
     
     console.log(`[Image Hosting] File details:`, {
@@ -93,17 +83,29 @@ router.post('/upload', upload.single('image'), (req, res) => {
       size: req.file.size
     });
     
+    // Images backing a share link should live as long as the link
+    const ttl = req.body?.ttl || DEFAULT_MOBILE_SHARE_TTL;
+    if (!MOBILE_SHARE_TTLS[ttl]) {
+      return res.status(400).json({ error: `ttl must be one of ${Object.keys(MOBILE_SHARE_TTLS).join(', ')}` });
+    }
+    
+    // Sniff, check dimensions and re-encode without EXIF/GPS metadata
+    const image = await normalizeImage(req.file.buffer);
+    
     // Generate unique filename
-    const fileExtension = path.extname(req.file.originalname) || '.jpg';
+    const fileExtension = `.${image.extension}`;
     const uniqueId = crypto.randomBytes(16).toString('hex');
     const timestamp = Date.now();
     const filename = `${timestamp}-${uniqueId}${fileExtension}`;
-    const filePath = path.join(UPLOADS_DIR, filename);
+    const key = storageKey(HOSTED_PREFIX, filename);
+    const expiresAt = timestamp + MOBILE_SHARE_TTLS[ttl] * 1000;
     
-    console.log(`[Image Hosting] Saving file as: ${filename}`);
+    console.log(`[Image Hosting] Saving file as: ${filename} (expires in ${ttl})`);
     
-    // Save file to disk
-    fs.writeFileSync(filePath, req.file.buffer);
+    await getStorage().put(key, image.buffer, {
+      contentType: image.contentType,
+      expiresAt
+    });
     
     // Generate public URL - always use the API domain for consistency
     const isProduction = process.env.NODE_ENV === 'production';
@@ -111,27 +113,31 @@ router.post('/upload', upload.single('image'), (req, res) => {
     const imageUrl = `${apiDomain}/api/images/${filename}`;
     
     console.log(`[Image Hosting] Image uploaded successfully`);
-    console.log(`[Image Hosting] File saved to: ${filePath}`);
     
     res.json({
       success: true,
       imageUrl: imageUrl,
       filename: filename,
-      size: req.file.size,
-      expiresAt: new Date(Date.now() + (60 * 60 * 1000)).toISOString()
+      size: image.buffer.length,
+      width: image.width,
+      height: image.height,
+      expiresAt: new Date(expiresAt).toISOString()
     });
     
   } catch (error) {
+    if (IMAGE_ERROR_STATUS[error.code]) {
+      console.log(`[Image Hosting] Rejected upload: ${error.code}`);
+      return sendImageError(res, error);
+    }
     console.error('[Image Hosting] Error uploading image:', error);
     res.status(500).json({ error: 'Failed to upload image' });
   }
 });
 
 // Serve uploaded images with security measures
-router.get('/:filename', (req, res) => {
+router.get('/:filename', async (req, res) => {
   try {
     const filename = req.params.filename;
-    const filePath = path.join(UPLOADS_DIR, filename);
     
     console.log(`[Image Hosting] Image request: ${filename}`);
     console.log(`[Image Hosting] User-Agent: ${req.get('User-Agent')}`);
@@ -193,74 +199,43 @@ router.get('/:filename', (req, res) => {
       return res.status(429).json({ error: 'Too many requests' });
     }
     
-    // Security: Check file exists and validate path
-    if (!fs.existsSync(filePath)) {
+    const key = storageKey(HOSTED_PREFIX, filename);
+    const info = await getStorage().stat(key);
+    if (!info) {
       console.log(`[Image Hosting] Image not found: ${filename}`);
       return res.status(404).json({ error: 'Not found' });
     }
     
-    // Ensure the resolved path is still within our uploads directory (prevent path traversal)
-    const resolvedPath = path.resolve(filePath);
-    const uploadsPath = path.resolve(UPLOADS_DIR);
-    if (!resolvedPath.startsWith(uploadsPath)) {
-      console.log(`[Image Hosting] PATH TRAVERSAL ATTEMPT: ${filename}`);
-      return res.status(403).json({ error: 'Access denied' });
-    }
-    
-    // Check if file is expired (older than 1 hour)
-    const stats = fs.statSync(filePath);
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
-    
-    if (stats.mtime.getTime() < oneHourAgo) {
+    if (isExpired(info)) {
       console.log(`[Image Hosting] Image expired, deleting: ${filename}`);
-      fs.unlinkSync(filePath);
+      await getStorage().delete(key);
       return res.status(404).json({ error: 'Not found' });
     }
     
-    // Set appropriate headers
-    const ext = path.extname(filename).toLowerCase();
-    let contentType = 'image/jpeg'; // default
-    
-    switch (ext) {
-      case '.png':
-        contentType = 'image/png';
-        break;
-      case '.gif':
-        contentType = 'image/gif';
-        break;
-      case '.webp':
-        contentType = 'image/webp';
-        break;
-      case '.jpg':
-      case '.jpeg':
-      default:
-        contentType = 'image/jpeg';
-        break;
-    }
+    console.log(`[Image Hosting] Serving image: ${filename} to ${clientIP}`);
     
     // Security headers
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Cache-Control', 'private, max-age=3600'); // Private cache, 1 hour
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'DENY');
-    res.setHeader('X-Robots-Tag', 'noindex, nofollow, noarchive, nosnippet, noimageindex');
-    
     // Don't set Expires header to make caching less predictable
-    
-    console.log(`[Image Hosting] Serving image: ${filename} to ${clientIP}`);
-    
-    // Stream the file
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
+    await sendStoredObject(res, key, {
+      info,
+      headers: {
+        'Cache-Control': 'private, max-age=3600', // Private cache, 1 hour
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'X-Robots-Tag': 'noindex, nofollow, noarchive, nosnippet, noimageindex'
+      }
+    });
     
   } catch (error) {
     console.error('[Image Hosting] Error serving image:', error);
-    res.status(500).json({ error: 'Server error' });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Server error' });
+    }
   }
 });
 
 // Get image info endpoint (with same security measures)
-router.get('/info/:filename', (req, res) => {
+router.get('/info/:filename', async (req, res) => {
   try {
     const filename = req.params.filename;
     
@@ -289,24 +264,11 @@ router.get('/info/:filename', (req, res) => {
       return res.status(404).json({ error: 'Not found' });
     }
     
-    const filePath = path.join(UPLOADS_DIR, filename);
-    
-    if (!fs.existsSync(filePath)) {
+    const info = await getStorage().stat(storageKey(HOSTED_PREFIX, filename));
+    if (!info) {
       return res.status(404).json({ error: 'Not found' });
     }
     
-    // Path traversal protection
-    const resolvedPath = path.resolve(filePath);
-    const uploadsPath = path.resolve(UPLOADS_DIR);
-    if (!resolvedPath.startsWith(uploadsPath)) {
-      console.log(`[Image Hosting] PATH TRAVERSAL ATTEMPT in info: ${filename}`);
-      return res.status(403).json({ error: 'Access denied' });
-    }
-    
-    const stats = fs.statSync(filePath);
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
-    const isExpired = stats.mtime.getTime() < oneHourAgo;
-    
     // Set security headers
     res.setHeader('X-Robots-Tag', 'noindex, nofollow, noarchive, nosnippet');
     res.setHeader('Cache-Control', 'private, no-cache');
@@ -317,10 +279,10 @@ router.get('/info/:filename', (req, res) => {
     
     res.json({
       filename: filename,
-      size: stats.size,
-      uploadedAt: stats.mtime.toISOString(),
-      expiresAt: new Date(stats.mtime.getTime() + (60 * 60 * 1000)).toISOString(),
-      isExpired: isExpired,
+      size: info.size,
+      uploadedAt: new Date(info.lastModified).toISOString(),
+      expiresAt: info.expiresAt ? new Date(info.expiresAt).toISOString() : null,
+      isExpired: isExpired(info),
       url: `${apiDomain}/api/images/${filename}`
     });
     
@@ -1,74 +1,93 @@
 import express from 'express';
-import fs from 'fs';
-import path from 'path';
-import process from 'process';
 import { renderMobileSharePage } from '../templates/mobileSharePage.js';
 import { TWITTER_SHARE_CONFIG } from '../constants.js';
+import {
+  createMobileShare,
+  getMobileShare,
+  recordMobileShareView,
+  revokeMobileShare,
+  isMobileShareOwner,
+  MOBILE_SHARE_TTLS,
+  DEFAULT_MOBILE_SHARE_TTL
+} from '../services/mobileShareService.js';
+import { getModeratorFromRequest } from '../services/moderatorAuthService.js';
 const router = express.Router();
 
-// File-based persistent storage for share data
-const SHARE_DATA_FILE = path.join(process.cwd(), 'mobile-shares.json');
-
-// Load existing share data from file
-let shareData = new Map();
-
-const loadShareData = () => {
-  try {
-    if (fs.existsSync(SHARE_DATA_FILE)) {
-      const data = fs.readFileSync(SHARE_DATA_FILE, 'utf8');
-      const parsed = JSON.parse(data);
-      shareData = new Map(Object.entries(parsed));
-    }
-  } catch (error) {
-    console.error(`[Mobile Share] Error loading share data:`, error);
-    shareData = new Map(); // Fallback to empty storage
-  }
-};
-
-const saveShareData = () => {
-  try {
-    const dataToSave = Object.fromEntries(shareData.entries());
-    fs.writeFileSync(SHARE_DATA_FILE, JSON.stringify(dataToSave, null, 2));
-  } catch (error) {
-    console.error(`[Mobile Share] Error saving share data:`, error);
-  }
-};
-
-// Load data on startup
-loadShareData();
-
-// Cleanup old shares (older than 1 hour)
-const cleanupOldShares = () => {
-  const oneHourAgo = Date.now() - (60 * 60 * 1000);
-  let deletedCount = 0;
-  for (const [shareId, data] of shareData.entries()) {
-    if (data.timestamp < oneHourAgo) {
-      shareData.delete(shareId);
-      deletedCount++;
-    }
-  }
-  if (deletedCount > 0) {
-    saveShareData(); // Save after cleanup
-  }
-};
+// Simple full-page message used for missing, expired, revoked and broken shares
+const renderShareMessagePage = (title, heading, message) => `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${title} - Sogni Photobooth</title>
+          <style>
+            body {
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+              display: flex;
+              justify-content: center;
+              align-items: center;
+              height: 100vh;
+              margin: 0;
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white;
+              text-align: center;
+              padding: 20px;
+            }
+            .container {
+              max-width: 400px;
+            }
+            h1 { margin-bottom: 20px; }
+            p { margin-bottom: 30px; opacity: 0.9; }
+            .btn {
+              background: white;
+              color: #667eea;
+              padding: 12px 24px;
+              border: none;
+              border-radius: 25px;
+              font-weight: 600;
+              text-decoration: none;
+              display: inline-block;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1>${heading}</h1>
+            <p>${message}</p>
+            <a href="https://photobooth.sogni.ai" class="btn">Visit Sogni Photobooth</a>
+          </div>
+        </body>
+        </html>
+      `;
 
-// Run cleanup every 15 minutes
-setInterval(cleanupOldShares, 15 * 60 * 1000);
+// The share's creator (manage token from /create) or a moderator may manage it
+const canManageShare = (req, share) =>
+  isMobileShareOwner(share, req.get('X-Share-Token')) || Boolean(getModeratorFromRequest(req));
 
 // Create a new mobile share
-router.post('/create', (req, res) => {
+router.post('/create', async (req, res) => {
   try {
     const { 
       shareId, photoIndex, imageUrl, videoUrl, isVideo, 
       tezdevTheme, aspectRatio, outputFormat, timestamp, twitterMessage,
       // New fields for proper filename generation
-      styleName, videoDuration, videoResolution, videoFramerate
+      styleName, videoDuration, videoResolution, videoFramerate,
+      isFramed,
+      // How long the link stays valid: '1h', '24h' or '7d'
+      ttl = DEFAULT_MOBILE_SHARE_TTL
     } = req.body;
     
     if (!shareId || (!imageUrl && !videoUrl)) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    if (!MOBILE_SHARE_TTLS[ttl]) {
+      return res.status(400).json({
+        error: `Invalid ttl, expected one of ${Object.keys(MOBILE_SHARE_TTLS).join(', ')}`
+      });
+    }
+
     // Store the share data
     const shareDataObj = {
       photoIndex,
@@ -79,6 +98,7 @@ router.post('/create', (req, res) => {
       aspectRatio,
       outputFormat,
       timestamp,
+      isFramed: isFramed || false,
       // Persist the precomputed Twitter message so the mobile share UI uses the correct text
       twitterMessage,
       // Add creation timestamp for additional validation
@@ -90,18 +110,75 @@ router.post('/create', (req, res) => {
       videoFramerate: videoFramerate || null
     };
     
-    shareData.set(shareId, shareDataObj);
-    
-    // Save to persistent storage
-    saveShareData();
+    const share = await createMobileShare(shareId, shareDataObj, ttl);
 
-    res.json({ success: true, shareId });
+    res.json({
+      success: true,
+      shareId,
+      ttl: share.ttl,
+      expiresAt: share.expiresAt,
+      // Needed to revoke the link or read its view count later
+      manageToken: share.manageToken
+    });
   } catch (error) {
+    if (error.code === 'SHARE_EXISTS') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.code === 'INVALID_SHARE_ID' || error.code === 'INVALID_TTL') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error creating mobile share:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Get view count and expiry for a share (creator or moderator)
+router.get('/:shareId/stats', async (req, res) => {
+  try {
+    const share = await getMobileShare(req.params.shareId);
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found or expired' });
+    }
+    if (!canManageShare(req, share)) {
+      return res.status(403).json({ error: 'Not allowed to manage this share' });
+    }
+
+    res.json({
+      success: true,
+      shareId: req.params.shareId,
+      views: share.views,
+      expiresAt: share.expiresAt,
+      revoked: Boolean(share.revokedAt),
+      revokedAt: share.revokedAt
+    });
+  } catch (error) {
+    console.error('[Mobile Share] Error fetching share stats:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a share (creator or moderator)
+router.delete('/:shareId', async (req, res) => {
+  try {
+    const { shareId } = req.params;
+    const share = await getMobileShare(shareId);
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found or expired' });
+    }
+    if (!canManageShare(req, share)) {
+      return res.status(403).json({ error: 'Not allowed to manage this share' });
+    }
+
+    await revokeMobileShare(shareId);
+    console.log(`[Mobile Share] Share ${shareId} revoked`);
+
+    res.json({ success: true, shareId, revoked: true });
+  } catch (error) {
+    console.error('[Mobile Share] Error revoking share:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Serve the mobile sharing page
 router.get('/:shareId', async (req, res) => {
   // Prevent caching of mobile share pages by browsers, proxies, and CDNs
@@ -111,159 +188,35 @@ router.get('/:shareId', async (req, res) => {
 
   try {
     const { shareId } = req.params;
-    const data = shareData.get(shareId);
-    if (!data) {
+    const share = await getMobileShare(shareId);
 
-      return res.status(404).send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Share Not Found - Sogni Photobooth</title>
-          <style>
-            body {
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-              display: flex;
-              justify-content: center;
-              align-items: center;
-              height: 100vh;
-              margin: 0;
-              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-              color: white;
-              text-align: center;
-              padding: 20px;
-            }
-            .container {
-              max-width: 400px;
-            }
-            h1 { margin-bottom: 20px; }
-            p { margin-bottom: 30px; opacity: 0.9; }
-            .btn {
-              background: white;
-              color: #667eea;
-              padding: 12px 24px;
-              border: none;
-              border-radius: 25px;
-              font-weight: 600;
-              text-decoration: none;
-              display: inline-block;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>🔗 Share Not Found</h1>
-            <p>This sharing link has expired or doesn't exist.</p>
-            <a href="https://photobooth.sogni.ai" class="btn">Visit Sogni Photobooth</a>
-          </div>
-        </body>
-        </html>
-      `);
+    // Expired shares are dropped by the store, so they look the same as unknown ones
+    if (!share) {
+      return res.status(404).send(renderShareMessagePage(
+        'Share Not Found',
+        '🔗 Share Not Found',
+        'This sharing link has expired or doesn\'t exist.'
+      ));
     }
 
-    // Check if share is expired
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
-    if (data.timestamp < oneHourAgo) {
-      shareData.delete(shareId);
-      saveShareData(); // Save after deletion
-      return res.status(404).send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Share Expired - Sogni Photobooth</title>
-          <style>
-            body {
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-              display: flex;
-              justify-content: center;
-              align-items: center;
-              height: 100vh;
-              margin: 0;
-              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-              color: white;
-              text-align: center;
-              padding: 20px;
-            }
-            .container {
-              max-width: 400px;
-            }
-            h1 { margin-bottom: 20px; }
-            p { margin-bottom: 30px; opacity: 0.9; }
-            .btn {
-              background: white;
-              color: #667eea;
-              padding: 12px 24px;
-              border: none;
-              border-radius: 25px;
-              font-weight: 600;
-              text-decoration: none;
-              display: inline-block;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>⏰ Share Expired</h1>
-            <p>This sharing link has expired. Sharing links are valid for 1 hour.</p>
-            <a href="https://photobooth.sogni.ai" class="btn">Visit Sogni Photobooth</a>
-          </div>
-        </body>
-        </html>
-      `);
+    if (share.revokedAt) {
+      return res.status(410).send(renderShareMessagePage(
+        'Share Revoked',
+        '🚫 Share Revoked',
+        'This sharing link was turned off by the person who created it.'
+      ));
     }
 
+    const data = share.data;
+
     // Verify the image URL is accessible before serving the page
     try {
       if (!data.imageUrl) {
-        return res.status(404).send(`
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Photo Not Available - Sogni Photobooth</title>
-            <style>
-              body {
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                display: flex;
-                justify-content: center;
-                align-items: center;
-                height: 100vh;
-                margin: 0;
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                text-align: center;
-                padding: 20px;
-              }
-              .container {
-                max-width: 400px;
-              }
-              h1 { margin-bottom: 20px; }
-              p { margin-bottom: 30px; opacity: 0.9; }
-              .btn {
-                background: white;
-                color: #667eea;
-                padding: 12px 24px;
-                border: none;
-                border-radius: 25px;
-                font-weight: 600;
-                text-decoration: none;
-                display: inline-block;
-              }
-            </style>
-          </head>
-          <body>
-            <div class="container">
-              <h1>📸 Photo Not Available</h1>
-              <p>No image URL was provided for this share.</p>
-              <a href="https://photobooth.sogni.ai" class="btn">Visit Sogni Photobooth</a>
-            </div>
-          </body>
-          </html>
-        `);
+        return res.status(404).send(renderShareMessagePage(
+          'Photo Not Available',
+          '📸 Photo Not Available',
+          'No image URL was provided for this share.'
+        ));
       }
       
       // Create a timeout promise
@@ -278,52 +231,11 @@ router.get('/:shareId', async (req, res) => {
         ]);
       
       if (!imageResponse.ok) {
-        return res.status(404).send(`
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Photo Not Available - Sogni Photobooth</title>
-            <style>
-              body {
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                display: flex;
-                justify-content: center;
-                align-items: center;
-                height: 100vh;
-                margin: 0;
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                text-align: center;
-                padding: 20px;
-              }
-              .container {
-                max-width: 400px;
-              }
-              h1 { margin-bottom: 20px; }
-              p { margin-bottom: 30px; opacity: 0.9; }
-              .btn {
-                background: white;
-                color: #667eea;
-                padding: 12px 24px;
-                border: none;
-                border-radius: 25px;
-                font-weight: 600;
-                text-decoration: none;
-                display: inline-block;
-              }
-            </style>
-          </head>
-          <body>
-            <div class="container">
-              <h1>📸 Photo Not Available</h1>
-              <p>The photo you're trying to share is no longer available. This may happen if the photo has expired or was removed.</p>
-              <a href="https://photobooth.sogni.ai" class="btn">Visit Sogni Photobooth</a>
-            </div>
-          </body>
-          </html>
-        `);
+        return res.status(404).send(renderShareMessagePage(
+          'Photo Not Available',
+          '📸 Photo Not Available',
+          'The photo you\'re trying to share is no longer available. This may happen if the photo has expired or was removed.'
+        ));
       }
 
     } catch (imageError) {
@@ -332,54 +244,15 @@ router.get('/:shareId', async (req, res) => {
       console.error(`[Mobile Share] Error message:`, imageError.message);
       console.error(`[Mobile Share] Error stack:`, imageError.stack);
       
-      return res.status(404).send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Photo Not Available - Sogni Photobooth</title>
-          <style>
-            body {
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-              display: flex;
-              justify-content: center;
-              align-items: center;
-              height: 100vh;
-              margin: 0;
-              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-              color: white;
-              text-align: center;
-              padding: 20px;
-            }
-            .container {
-              max-width: 400px;
-            }
-            h1 { margin-bottom: 20px; }
-            p { margin-bottom: 30px; opacity: 0.9; }
-            .btn {
-              background: white;
-              color: #667eea;
-              padding: 12px 24px;
-              border: none;
-              border-radius: 25px;
-              font-weight: 600;
-              text-decoration: none;
-              display: inline-block;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>📸 Photo Not Available</h1>
-            <p>The photo you're trying to share is no longer available. Please try creating a new share link.</p>
-            <a href="https://photobooth.sogni.ai" class="btn">Visit Sogni Photobooth</a>
-          </div>
-        </body>
-        </html>
-      `);
+      return res.status(404).send(renderShareMessagePage(
+        'Photo Not Available',
+        '📸 Photo Not Available',
+        'The photo you\'re trying to share is no longer available. Please try creating a new share link.'
+      ));
     }
 
+    await recordMobileShareView(shareId);
+
     // Generate the mobile sharing page
     // Use the custom Twitter message if provided, otherwise use default
     const twitterMessage = data.twitterMessage || TWITTER_SHARE_CONFIG.DEFAULT_MESSAGE;
@@ -0,0 +1,130 @@
+import express from 'express';
+import {
+  MODERATOR_COOKIE_NAME,
+  isModeratorLoginConfigured,
+  verifyModeratorPassword,
+  verifyAdminPassword,
+  createModeratorToken,
+  getModeratorCookieOptions,
+  getModeratorFromRequest,
+  requireModerator
+} from '../services/moderatorAuthService.js';
+import { recordAuditEvent, getAuditEvents } from '../services/auditLogService.js';
+
+const router = express.Router();
+
+// POST /api/moderation/session - Log in as a moderator (sets a signed httpOnly cookie)
+router.post('/session', async (req, res) => {
+  try {
+    const { password, moderator } = req.body;
+
+    if (!isModeratorLoginConfigured()) {
+      return res.status(503).json({
+        success: false,
+        code: 'MODERATION_LOGIN_DISABLED',
+        message: 'moderator login isn\'t configured on this server'
+      });
+    }
+
+    const moderatorName = typeof moderator === 'string' ? moderator.trim().slice(0, 64) : '';
+    if (!moderatorName) {
+      return res.status(400).json({
+        success: false,
+        message: 'oops! we need ur name so we know who moderated what :)'
+      });
+    }
+
+    // The admin password opens a session that can also use admin-scoped APIs (e.g. clearing analytics)
+    const role = verifyAdminPassword(password) ? 'admin' : 'moderator';
+    if (role === 'moderator' && !verifyModeratorPassword(password)) {
+      console.warn(`[Moderation] Failed login attempt for "${moderatorName}" from ${req.ip}`);
+      await recordAuditEvent({ actor: moderatorName, action: 'moderation.login_failed', ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_CREDENTIALS',
+        message: 'Incorrect password. Try again.'
+      });
+    }
+
+    const { token, expiresAt } = createModeratorToken(moderatorName, role);
+    res.cookie(MODERATOR_COOKIE_NAME, token, getModeratorCookieOptions(req));
+    await recordAuditEvent({ actor: moderatorName, action: 'moderation.login', details: { role }, ip: req.ip });
+
+    console.log(`[Moderation] Moderator "${moderatorName}" logged in (${role})`);
+
+    res.json({
+      success: true,
+      moderator: moderatorName,
+      role,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('[Moderation] Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'oops! couldn\'t log u in. try again? 🙏',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/moderation/session - Check the current moderator session
+router.get('/session', (req, res) => {
+  const payload = getModeratorFromRequest(req);
+
+  if (!payload) {
+    return res.status(401).json({
+      success: false,
+      authenticated: false
+    });
+  }
+
+  res.json({
+    success: true,
+    authenticated: true,
+    moderator: payload.sub,
+    role: payload.role,
+    expiresAt: payload.exp
+  });
+});
+
+// DELETE /api/moderation/session - Log out
+router.delete('/session', async (req, res) => {
+  const payload = getModeratorFromRequest(req);
+  // clearCookie rejects maxAge in newer Express versions
+  const cookieOptions = getModeratorCookieOptions(req);
+  delete cookieOptions.maxAge;
+  res.clearCookie(MODERATOR_COOKIE_NAME, cookieOptions);
+
+  if (payload) {
+    await recordAuditEvent({ actor: payload.sub, action: 'moderation.logout', ip: req.ip });
+  }
+
+  res.json({ success: true });
+});
+
+// GET /api/moderation/audit - Recent moderation/admin actions
+router.get('/audit', requireModerator, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const events = await getAuditEvents({
+      limit,
+      contestId: req.query.contestId || null,
+      action: req.query.action || null
+    });
+
+    res.json({
+      success: true,
+      events
+    });
+  } catch (error) {
+    console.error('[Moderation] Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'oops! couldn\'t load the audit log. try again? 🙏',
+      error: error.message
+    });
+  }
+});
+
+export default router;
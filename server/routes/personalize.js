@@ -1,19 +1,20 @@
 import express from 'express';
 import multer from 'multer';
 import crypto from 'crypto';
-import fs from 'fs';
 import {
   expandPrompts,
   saveCustomPrompts,
   getCustomPrompts,
   deleteCustomPrompts,
   savePreviewImage,
-  getPreviewImagePath,
+  getPreviewImageKey,
   cleanupOrphanedImages,
   getModelType,
   saveModelType
 } from '../services/personalizeService.js';
 import { initializeSogniClient } from '../services/sogni.js';
+import { sendStoredObject } from '../services/storageService.js';
+import { loadAndNormalizeImage } from '../services/imageValidationService.js';
 
 const router = express.Router();
 
@@ -35,22 +36,22 @@ const upload = multer({
  * Serve a stored preview image
  * NOTE: Must be defined BEFORE /:address to avoid "images" matching as an address param
  */
-router.get('/images/:address/:filename', (req, res) => {
+router.get('/images/:address/:filename', async (req, res) => {
   try {
     const { address, filename } = req.params;
 
     // Sanitize filename to prevent path traversal
     const sanitizedFilename = filename.replace(/[^a-zA-Z0-9_.-]/g, '');
-    const imagePath = getPreviewImagePath(address, sanitizedFilename);
+    const sent = await sendStoredObject(res, getPreviewImageKey(address, sanitizedFilename));
 
-    if (!fs.existsSync(imagePath)) {
+    if (!sent) {
       return res.status(404).json({ error: 'Image not found' });
     }
-
-    res.sendFile(imagePath);
   } catch (error) {
     console.error('[Personalize] Error serving image:', error);
-    res.status(500).json({ error: 'Failed to serve image' });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to serve image' });
+    }
   }
 });
 
@@ -159,26 +160,12 @@ router.post('/:address', async (req, res) => {
           .digest('hex')
           .slice(0, 12);
 
-        if (p.previewImageUrl.startsWith('data:')) {
-          // Handle data: URLs (e.g. from imported prompts) by decoding base64 directly
-          const matches = p.previewImageUrl.match(/^data:image\/([a-zA-Z0-9]+);base64,(.+)$/);
-          if (matches) {
-            const ext = matches[1] === 'jpeg' ? 'jpg' : matches[1];
-            const base64Data = matches[2];
-            const filename = `preview_${hash}.${ext}`;
-            savePreviewImage(address, filename, Buffer.from(base64Data, 'base64'));
-            p.imageFilename = filename;
-          }
-        } else {
-          // Handle HTTP(S) URLs by fetching the image server-side
-          const imgResponse = await fetch(p.previewImageUrl);
-          if (imgResponse.ok) {
-            const arrayBuffer = await imgResponse.arrayBuffer();
-            const filename = `preview_${hash}.jpg`;
-            savePreviewImage(address, filename, Buffer.from(arrayBuffer));
-            p.imageFilename = filename;
-          }
-        }
+        // Data URLs (e.g. from imported prompts) or remote URLs; either way the
+        // image is validated and re-encoded, and only public hosts are fetched
+        const image = await loadAndNormalizeImage(p.previewImageUrl);
+        const filename = `preview_${hash}.${image.extension}`;
+        await savePreviewImage(address, filename, image.buffer);
+        p.imageFilename = filename;
       } catch (err) {
         console.warn(`[Personalize] Could not fetch preview image ${i}:`, err.message);
       }
@@ -195,7 +182,7 @@ router.post('/:address', async (req, res) => {
 
     // Clean up orphaned image files that are no longer referenced by any prompt
     const activeFilenames = prompts.map(p => p.imageFilename).filter(Boolean);
-    cleanupOrphanedImages(address, activeFilenames);
+    await cleanupOrphanedImages(address, activeFilenames);
 
     res.json({ success: true, message: `Saved ${prompts.length} custom prompts`, prompts });
   } catch (error) {
@@ -0,0 +1,148 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  createPrintJob,
+  reprintJob,
+  getPrintJob,
+  listPrintJobs,
+  getPrinterStatus
+} from '../services/printService.js';
+import { requireScope, ADMIN_SCOPES } from '../services/adminAuthService.js';
+import { consumeRateLimit } from '../services/rateLimitService.js';
+import { MAX_IMAGE_BYTES, IMAGE_ERROR_STATUS } from '../services/imageValidationService.js';
+
+const router = express.Router();
+
+const PRINT_ERROR_STATUS = {
+  ...IMAGE_ERROR_STATUS,
+  PRINTING_DISABLED: 503,
+  INVALID_LAYOUT: 400,
+  INVALID_COPIES: 400,
+  INVALID_PRINT_SIZE: 400,
+  PRINT_EXPIRED: 410
+};
+
+// Prints cost paper and ink, so each booth/guest gets a modest allowance
+const PRINT_RATE_LIMIT = { limit: 30, windowSeconds: 10 * 60 };
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES }
+});
+
+function sendPrintError(res, error, fallbackMessage) {
+  const status = PRINT_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  console.error('[Print] Error:', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+}
+
+function jobNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    code: 'PRINT_JOB_NOT_FOUND',
+    message: 'hmm, can\'t find that print job 🤔'
+  });
+}
+
+async function limitPrints(req, res, next) {
+  try {
+    const limit = await consumeRateLimit(`print:ip:${req.ip}`, PRINT_RATE_LIMIT);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: 'RATE_LIMITED',
+        message: 'whoa, that\'s a lot of prints! try again in a little bit 🖨️',
+        retryAfter: limit.retryAfter
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Run multer so oversized uploads get the same structured errors
+const receivePrint = (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      error.code = 'IMAGE_TOO_LARGE';
+      error.message = `that print is too big! max is ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)}MB 📦`;
+    }
+    sendPrintError(res, error, 'oops! couldn\'t send that to the printer. try again? 🙏');
+  });
+};
+
+// GET /api/print/status - Whether printing is set up, printer state and layout sizes
+router.get('/status', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getPrinterStatus()) });
+  } catch (error) {
+    sendPrintError(res, error, 'oops! couldn\'t check the printer. try again? 🙏');
+  }
+});
+
+// GET /api/print/jobs - Recent jobs for staff
+router.get('/jobs', requireScope(ADMIN_SCOPES.READ), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    res.json({ success: true, jobs: await listPrintJobs({ limit }) });
+  } catch (error) {
+    sendPrintError(res, error, 'oops! couldn\'t load print jobs. try again? 🙏');
+  }
+});
+
+// POST /api/print/jobs - Queue a rendered print (multipart: image, layout, copies, label)
+router.post('/jobs', limitPrints, receivePrint, async (req, res) => {
+  try {
+    const job = await createPrintJob(req.file?.buffer, {
+      layout: req.body?.layout,
+      copies: req.body?.copies ?? 1,
+      label: req.body?.label
+    });
+    res.status(201).json({ success: true, job });
+  } catch (error) {
+    sendPrintError(res, error, 'oops! couldn\'t send that to the printer. try again? 🙏');
+  }
+});
+
+// GET /api/print/jobs/:jobId - Status of one job (job ids are unguessable)
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await getPrintJob(req.params.jobId);
+    if (!job) {
+      return jobNotFound(res);
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    sendPrintError(res, error, 'oops! couldn\'t check that print. try again? 🙏');
+  }
+});
+
+// POST /api/print/jobs/:jobId/reprint - Print an earlier job again ({ copies? })
+router.post('/jobs/:jobId/reprint', limitPrints, async (req, res) => {
+  try {
+    const job = await reprintJob(req.params.jobId, { copies: req.body?.copies });
+    if (!job) {
+      return jobNotFound(res);
+    }
+    res.status(201).json({ success: true, job });
+  } catch (error) {
+    sendPrintError(res, error, 'oops! couldn\'t reprint that. try again? 🙏');
+  }
+});
+
+export default router;
@@ -0,0 +1,237 @@
+import express from 'express';
+import crypto from 'crypto';
+import process from 'process';
+import { getSessionId } from '../utils/sessionCookie.js';
+import { consumeRateLimit } from '../services/rateLimitService.js';
+import { trackMetric } from '../services/analyticsService.js';
+import { IMAGE_ERROR_STATUS } from '../services/imageValidationService.js';
+import {
+  SHARE_ERROR_STATUS,
+  getShareProvider,
+  listShareProviders,
+  shareToProvider,
+  getShareSession,
+  storeShareSession,
+  deleteShareSession,
+  storePendingShare,
+  takePendingShare
+} from '../services/socialShareService.js';
+
+const router = express.Router();
+
+// Per browser session; also slows down app password guessing
+const SHARE_RATE_LIMIT = { limit: 10, windowSeconds: 60 };
+
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || '/';
+
+router.param('provider', (req, res, next, providerId) => {
+  req.provider = getShareProvider(providerId);
+  if (!req.provider) {
+    return res.status(404).json({ success: false, code: 'UNKNOWN_PROVIDER', message: `we can't share to "${providerId}" (yet!) 🤔` });
+  }
+  next();
+});
+
+async function limitShares(req, res, next) {
+  const limit = await consumeRateLimit(`social-share:${req.sessionId}`, SHARE_RATE_LIMIT);
+  if (!limit.allowed) {
+    res.set('Retry-After', String(limit.retryAfter));
+    return res.status(429).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      message: 'whoa, slow down! try sharing again in a moment',
+      retryAfter: limit.retryAfter
+    });
+  }
+  next();
+}
+
+function sendShareError(res, provider, error) {
+  const status = SHARE_ERROR_STATUS[error.code] || IMAGE_ERROR_STATUS[error.code];
+  if (!status) {
+    console.error(`[Social Share] ${provider.name} share failed:`, error);
+    return res.status(500).json({ success: false, message: `oops! couldn't share to ${provider.name}. try again? 🙏` });
+  }
+  console.warn(`[Social Share] ${provider.name}: ${error.code} ${error.message}`);
+  res.status(status).json({ success: false, code: error.code, message: error.message });
+}
+
+const callbackUrl = (req, provider) =>
+  `${process.env.SOCIAL_SHARE_CALLBACK_BASE_URL || `${req.protocol}://${req.get('host')}`}/api/social-share/${provider.id}/callback`;
+
+// Pulls the fields shareToProvider understands out of a request body
+const shareFromBody = ({ imageUrl, videoUrl, isVideo, message, shareUrl, altText }) => ({
+  imageUrl,
+  videoUrl: videoUrl || null,
+  isVideo: Boolean(isVideo),
+  message: typeof message === 'string' ? message : '',
+  shareUrl: shareUrl || null,
+  altText: typeof altText === 'string' ? altText.slice(0, 1000) : ''
+});
+
+async function publish(provider, sessionId, session, share) {
+  const result = await shareToProvider(provider, session, share);
+  await storeShareSession(provider.id, sessionId, result.session);
+  await trackMetric(`${provider.id}_shares`, 1);
+  console.log(`[Social Share] Shared to ${provider.name} as ${result.session.account}: ${result.post.url}`);
+  return result.post;
+}
+
+// GET /api/social-share/providers - What can be shared to, and which accounts this browser connected
+router.get('/providers', async (req, res) => {
+  try {
+    const sessionId = req.cookies?.sogni_session_id;
+    const providers = await Promise.all(listShareProviders().map(async (provider) => {
+      const session = sessionId ? await getShareSession(provider.id, sessionId) : null;
+      return { ...provider, connected: Boolean(session), account: session?.account || null };
+    }));
+    res.json({ success: true, providers });
+  } catch (error) {
+    console.error('[Social Share] Error listing providers:', error);
+    res.status(500).json({ success: false, message: 'oops! couldn\'t load share options. try again? 🙏' });
+  }
+});
+
+// POST /api/social-share/:provider/connect - Sign in with an app password (Bluesky)
+router.post('/:provider/connect', getSessionId, limitShares, async (req, res) => {
+  const { provider } = req;
+  if (provider.authType !== 'app-password') {
+    return res.status(400).json({ success: false, code: 'OAUTH_PROVIDER', message: `${provider.name} signs in through its own page, use share instead` });
+  }
+
+  try {
+    const session = await provider.login({ identifier: req.body?.identifier, password: req.body?.password });
+    await storeShareSession(provider.id, req.sessionId, session);
+    res.json({ success: true, connected: true, account: session.account });
+  } catch (error) {
+    sendShareError(res, provider, error);
+  }
+});
+
+// POST /api/social-share/:provider/share - Post right away if connected, otherwise start OAuth
+router.post('/:provider/share', getSessionId, limitShares, async (req, res) => {
+  const { provider, sessionId } = req;
+  const share = shareFromBody(req.body || {});
+  if (!share.imageUrl) {
+    return res.status(400).json({ success: false, code: 'IMAGE_REQUIRED', message: 'no image to share 🤔' });
+  }
+
+  try {
+    const session = await getShareSession(provider.id, sessionId);
+    if (session) {
+      try {
+        const post = await publish(provider, sessionId, session, share);
+        return res.json({ success: true, postUrl: post.url, account: session.account });
+      } catch (error) {
+        if (error.code !== 'SESSION_EXPIRED') {
+          throw error;
+        }
+        // Revoked or expired for good: sign in again below
+        await deleteShareSession(provider.id, sessionId);
+      }
+    }
+
+    if (provider.authType !== 'oauth') {
+      return res.status(401).json({
+        success: false,
+        code: 'AUTH_REQUIRED',
+        message: `connect ur ${provider.name} account first 🔑`
+      });
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    const redirectUri = callbackUrl(req, provider);
+    const { url, pending } = await provider.getAuthUrl({ instance: req.body?.instance, state, redirectUri });
+    await storePendingShare(state, { providerId: provider.id, sessionId, redirectUri, pending, share });
+    res.json({ success: true, authUrl: url });
+  } catch (error) {
+    sendShareError(res, provider, error);
+  }
+});
+
+// GET /api/social-share/:provider/callback - OAuth redirect target; finishes the pending share
+router.get('/:provider/callback', async (req, res) => {
+  const { provider } = req;
+  const { state, code, error: authError } = req.query;
+
+  if (typeof state !== 'string') {
+    return sendResultPage(res, provider, { error: 'that sign-in link is missing something. try sharing again? 🙏' });
+  }
+  const pendingShare = await takePendingShare(state);
+  if (!pendingShare || pendingShare.providerId !== provider.id) {
+    return sendResultPage(res, provider, { error: 'that sign-in took too long. try sharing again? ⏱️' });
+  }
+  // Only the browser that started the share may finish it; otherwise anyone could
+  // send someone their auth link and end up with that person's account connected
+  if (req.cookies?.sogni_session_id !== pendingShare.sessionId) {
+    console.warn(`[Social Share] ${provider.name} callback from a different session, ignoring`);
+    return sendResultPage(res, provider, { error: 'that sign-in was started in another browser. try sharing again from here? 🙏' });
+  }
+  if (authError || typeof code !== 'string') {
+    return sendResultPage(res, provider, { error: `${provider.name} sign-in was cancelled` });
+  }
+
+  try {
+    const session = await provider.completeAuth({ code, pending: pendingShare.pending, redirectUri: pendingShare.redirectUri });
+    const post = await publish(provider, pendingShare.sessionId, session, pendingShare.share);
+    sendResultPage(res, provider, { postUrl: post.url });
+  } catch (error) {
+    const known = SHARE_ERROR_STATUS[error.code] || IMAGE_ERROR_STATUS[error.code];
+    console.error(`[Social Share] ${provider.name} callback failed:`, known ? error.message : error);
+    sendResultPage(res, provider, { error: known ? error.message : `oops! couldn't share to ${provider.name}. try again? 🙏` });
+  }
+});
+
+// DELETE /api/social-share/:provider/session - Disconnect the account
+router.delete('/:provider/session', async (req, res) => {
+  const sessionId = req.cookies?.sogni_session_id;
+  if (sessionId) {
+    await deleteShareSession(req.provider.id, sessionId);
+  }
+  res.json({ success: true, connected: false });
+});
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Popup page: tells the opener how it went, then closes itself
+function sendResultPage(res, provider, { postUrl = null, error = null }) {
+  const message = {
+    type: error ? 'social-share-error' : 'social-share-success',
+    service: provider.id,
+    ...(error ? { message: error } : { postUrl })
+  };
+  // JSON inside <script>: escape "<" so a message can't close the tag
+  const payload = JSON.stringify(message).replace(/</g, '\\u003c');
+  const fallbackUrl = `${CLIENT_ORIGIN}?share_status=${error ? 'error' : 'success'}&service=${provider.id}`;
+
+  res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${error ? 'Share Failed' : 'Shared!'}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; display: flex; align-items: center; justify-content: center; height: 100vh; margin: 0; padding: 20px; background: #f8f9fa; color: #333; text-align: center; }
+    .card { background: white; border-radius: 10px; box-shadow: 0 8px 16px rgba(0,0,0,0.1); padding: 30px; max-width: 400px; width: 100%; }
+    h2 { margin-top: 0; color: ${error ? '#E0245E' : '#17bf63'}; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h2>${error ? 'Share Failed' : `Shared to ${escapeHtml(provider.name)}!`}</h2>
+    <p>${escapeHtml(error || 'You can close this window.')}</p>
+  </div>
+  <script>
+    if (window.opener) {
+      window.opener.postMessage(${payload}, '*');
+    }
+    setTimeout(function() {
+      window.close();
+      setTimeout(function() { window.location.href = ${JSON.stringify(fallbackUrl)}; }, 500);
+    }, ${error ? 3000 : 1500});
+  </script>
+</body>
+</html>`);
+}
+
+export default router;
@@ -8,8 +8,11 @@ import {
   incrementPhotosTakenViaCamera,
   incrementPhotosUploadedViaBrowse
 } from '../services/redisService.js';
-import { trackMetric } from '../services/analyticsService.js';
+import { trackMetric, trackGenerationBreakdown } from '../services/analyticsService.js';
 import { redactProjectResult } from '../utils/logRedaction.js';
+import { limitGeneration } from '../services/generationRateLimitService.js';
+import { recordSSEEvent, getSSEEventsSince, parseLastEventId } from '../services/sseEventLog.js';
+import { scheduleGeneration, cancelQueuedGeneration, getGenerationPriority, getGenerationQueueStats } from '../services/generationQueueService.js';
 import process from 'process';
 import { Buffer } from 'buffer';
 
@@ -92,14 +95,16 @@ const ensureSessionId = (req, res, next) => {
 
 // Helper function to send SSE messages
 // Helper function to forward events to both project-based and client-based SSE connections
+// Returns the event's ID so reconnecting clients can replay from it
 function forwardEventToSSE(localProjectId, clientAppId, sseEvent, sessionId) {
   let totalClients = 0;
+  const eventId = recordSSEEvent(sseEvent, { projectId: localProjectId, clientAppId, sessionId });
   
   // Send to project-based connections (legacy)
   if (activeProjects.has(localProjectId)) {
     const projectClients = activeProjects.get(localProjectId);
     projectClients.forEach(client => {
-      sendSSEMessage(client, sseEvent);
+      sendSSEMessage(client, sseEvent, eventId);
     });
     totalClients += projectClients.size;
   }
@@ -108,7 +113,7 @@ function forwardEventToSSE(localProjectId, clientAppId, sseEvent, sessionId) {
   if (clientAppId && activeClients.has(clientAppId)) {
     const clientConnections = activeClients.get(clientAppId);
     clientConnections.forEach(client => {
-      sendSSEMessage(client, sseEvent);
+      sendSSEMessage(client, sseEvent, eventId);
     });
     totalClients += clientConnections.size;
   }
@@ -117,7 +122,7 @@ function forwardEventToSSE(localProjectId, clientAppId, sseEvent, sessionId) {
   if (sessionId && activeSessions.has(sessionId)) {
     const sessionConnections = activeSessions.get(sessionId);
     sessionConnections.forEach(client => {
-      sendSSEMessage(client, sseEvent);
+      sendSSEMessage(client, sseEvent, eventId);
     });
     totalClients += sessionConnections.size;
   }
@@ -131,18 +136,61 @@ function forwardEventToSSE(localProjectId, clientAppId, sseEvent, sessionId) {
       pendingProjectEvents.set(localProjectId, []);
     }
     // Add clientAppId to event for client-based retrieval
-    const eventWithClient = { ...sseEvent, clientAppId, sessionId };
+    const eventWithClient = { ...sseEvent, clientAppId, sessionId, eventId };
     pendingProjectEvents.get(localProjectId).push(eventWithClient);
   }
+
+  return eventId;
+}
+
+// Run a project through the generation queue, telling its SSE clients where it is in line
+function queueGeneration(req, route, localProjectId, clientAppId, run) {
+  return scheduleGeneration({
+    projectId: localProjectId,
+    sessionId: req.sessionId,
+    priority: getGenerationPriority(route, req.body),
+    onQueueUpdate: ({ queuePosition, queueLength }) => {
+      forwardEventToSSE(localProjectId, clientAppId, {
+        type: 'serverQueue',
+        projectId: localProjectId,
+        queuePosition,
+        queueLength
+      }, req.sessionId);
+    }
+  }, run);
+}
+
+// Send an event to a project's own SSE connections (e.g. a startup error)
+function sendProjectEvent(projectId, sseEvent) {
+  const eventId = recordSSEEvent(sseEvent, { projectId });
+  activeProjects.get(projectId)?.forEach(client => {
+    sendSSEMessage(client, sseEvent, eventId);
+  });
+}
+
+// Replay buffered events a reconnecting client missed. Pending events are
+// part of that replay, so they're dropped rather than sent twice.
+function replayMissedEvents(res, audience, lastEventId, isPendingForAudience) {
+  const missed = getSSEEventsSince(audience, lastEventId);
+  console.log(`[SSE Replay] Replaying ${missed.length} event(s) after ${lastEventId} for ${JSON.stringify(audience)}`);
+  missed.forEach(({ id, event }) => {
+    sendSSEMessage(res, event, id);
+  });
+
+  for (const [projectId, events] of pendingProjectEvents.entries()) {
+    if (events.length > 0 && isPendingForAudience(projectId, events[0])) {
+      pendingProjectEvents.delete(projectId);
+    }
+  }
 }
 
-const sendSSEMessage = (client, data) => {
+const sendSSEMessage = (client, data, eventId) => {
   if (!client || !client.writable) {
     return false;
   }
   
   try {
-    const message = `data: ${JSON.stringify(data)}\n\n`;
+    const message = `${eventId ? `id: ${eventId}\n` : ''}data: ${JSON.stringify(data)}\n\n`;
     return client.write(message);
   } catch (error) {
     console.error('Error sending SSE message:', error);
@@ -257,13 +305,19 @@ router.get('/progress/client', ensureSessionId, (req, res) => {
   }
   activeClients.get(clientAppId).add(res);
   
+  // A reconnecting client gets everything it missed since its last event
+  const lastEventId = parseLastEventId(req);
+  if (lastEventId) {
+    replayMissedEvents(res, { clientAppId }, lastEventId, (projectId, event) => event.clientAppId === clientAppId);
+  }
+  
   // Send any pending events for ALL projects from this client
   for (const [projectId, events] of pendingProjectEvents.entries()) {
     if (events.length > 0 && events[0].clientAppId === clientAppId) {
       console.log(`[${clientAppId}] Sending ${events.length} stored events for project ${projectId}`);
       try {
         for (const event of events) {
-          res.write(`data: ${JSON.stringify(event)}\n\n`);
+          sendSSEMessage(res, event, event.eventId);
         }
         pendingProjectEvents.delete(projectId);
       } catch (error) {
@@ -316,13 +370,19 @@ router.get('/progress/session', ensureSessionId, (req, res) => {
   }
   activeSessions.get(sessionId).add(res);
 
+  // Replay what a reconnecting session missed since its last event
+  const lastEventId = parseLastEventId(req);
+  if (lastEventId) {
+    replayMissedEvents(res, { sessionId }, lastEventId, (projectId, event) => event.sessionId === sessionId);
+  }
+
   // Flush any pending events for this session (across all projects)
   for (const [projectId, events] of pendingProjectEvents.entries()) {
     if (events.length > 0 && events[0].sessionId === sessionId) {
       console.log(`[session:${sessionId}] Sending ${events.length} stored events for project ${projectId}`);
       try {
         for (const event of events) {
-          res.write(`data: ${JSON.stringify(event)}\n\n`);
+          sendSSEMessage(res, event, event.eventId);
         }
         pendingProjectEvents.delete(projectId);
       } catch (error) {
@@ -385,6 +445,12 @@ router.get('/progress/:projectId', ensureSessionId, (req, res) => {
   }
   activeProjects.get(projectId).add(res);
   
+  // Replay what a reconnecting client missed since its last event
+  const lastEventId = parseLastEventId(req);
+  if (lastEventId) {
+    replayMissedEvents(res, { projectId }, lastEventId, pendingProjectId => pendingProjectId === projectId);
+  }
+  
   // Check for any pending events for this project and send them immediately
   console.log(`[${projectId}] Checking for pending events. Available events:`, 
     pendingProjectEvents.has(projectId) ? pendingProjectEvents.get(projectId).length : 0);
@@ -396,7 +462,7 @@ router.get('/progress/:projectId', ensureSessionId, (req, res) => {
     try {
       // Send all pending events in order
       for (const event of events) {
-        res.write(`data: ${JSON.stringify(event)}\n\n`);
+        sendSSEMessage(res, event, event.eventId);
       }
       res.flushHeaders();
       console.log(`[${projectId}] Successfully sent ${events.length} pending events`);
@@ -516,6 +582,12 @@ router.post('/cancel/:projectId', ensureSessionId, async (req, res) => {
     const clientAppId = req.headers['x-client-app-id'] || req.body.clientAppId || req.query.clientAppId;
     console.log(`Request to cancel project ${projectId} for session ${req.sessionId} with app ID: ${clientAppId || 'none provided'}`);
 
+    // A project still waiting in our queue never reached Sogni
+    if (cancelQueuedGeneration(projectId, req.sessionId)) {
+      sendProjectEvent(projectId, { type: 'cancelled', projectId });
+      return res.json({ status: 'cancelled', projectId });
+    }
+
     // Get the existing client for this session
     const client = await getSessionClient(req.sessionId, clientAppId, isMandalaOrigin(req));
     
@@ -523,14 +595,7 @@ router.post('/cancel/:projectId', ensureSessionId, async (req, res) => {
     await client.projects.cancel(projectId);
     
     // Notify any connected clients
-    if (activeProjects.has(projectId)) {
-      const clients = activeProjects.get(projectId);
-      clients.forEach(client => {
-        if (client.writable) {
-          client.write(`data: ${JSON.stringify({ type: 'cancelled', projectId })}\n\n`);
-        }
-      });
-    }
+    sendProjectEvent(projectId, { type: 'cancelled', projectId });
     
     res.json({ status: 'cancelled', projectId });
   } catch (error) {
@@ -589,7 +654,7 @@ router.options('/generate', (req, res) => {
 });
 
 // Generate image with project tracking
-router.post('/generate', ensureSessionId, async (req, res) => {
+router.post('/generate', ensureSessionId, limitGeneration('generate'), async (req, res) => {
   const localProjectId = `project-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   console.log(`[${localProjectId}] Starting image generation request for session ${req.sessionId}...`);
   
@@ -693,6 +758,12 @@ router.post('/generate', ensureSessionId, async (req, res) => {
       const numberImages = parseInt(req.body.numberImages);
       await incrementPhotosGenerated(numberImages);
       await trackMetric('photos_generated', numberImages);
+      await trackGenerationBreakdown({
+        numberImages,
+        selectedModel: req.body.selectedModel,
+        tezdevTheme: req.body.tezdevTheme,
+        aspectRatio: req.body.aspectRatio
+      });
       // if the selectedModel is flux it is an enhance job
       if (req.body.selectedModel === 'flux1-schnell-fp8') {
         await incrementPhotosEnhanced();
@@ -702,6 +773,12 @@ router.post('/generate', ensureSessionId, async (req, res) => {
       // Default to 1 if not specified
       await incrementPhotosGenerated(1);
       await trackMetric('photos_generated', 1);
+      await trackGenerationBreakdown({
+        numberImages: 1,
+        selectedModel: req.body.selectedModel,
+        tezdevTheme: req.body.tezdevTheme,
+        aspectRatio: req.body.aspectRatio
+      });
     }
     
     // Track camera vs file upload based on sourceType parameter
@@ -781,7 +858,7 @@ router.post('/generate', ensureSessionId, async (req, res) => {
       }
 
       // Forward all events (not just 'queued') to legacy, client-based, and session-based SSE connections
-      forwardEventToSSE(localProjectId, clientAppId, sseEvent, req.sessionId);
+      const eventId = forwardEventToSSE(localProjectId, clientAppId, sseEvent, req.sessionId);
 
       // Also maintain legacy pending storage for late project-based SSE connections
       if (!activeProjects.has(localProjectId)) {
@@ -790,7 +867,7 @@ router.post('/generate', ensureSessionId, async (req, res) => {
           pendingProjectEvents.set(localProjectId, []);
         }
         // Store the event
-        pendingProjectEvents.get(localProjectId).push({ ...sseEvent, clientAppId });
+        pendingProjectEvents.get(localProjectId).push({ ...sseEvent, clientAppId, eventId });
         
         // Limit stored events to prevent memory issues (keep last 50 events)
         const events = pendingProjectEvents.get(localProjectId);
@@ -948,8 +1025,8 @@ router.post('/generate', ensureSessionId, async (req, res) => {
         });
     };
 
-    // Start the generation process but don't wait for completion - just wait for first event
-    attemptGeneration(client)
+    // Start the generation process once the queue admits it, but don't wait for completion
+    queueGeneration(req, 'generate', localProjectId, clientAppId, () => attemptGeneration(client))
       .catch(error => {
         // This handles the final error after any retry attempts
         
@@ -985,9 +1062,7 @@ router.post('/generate', ensureSessionId, async (req, res) => {
             isInsufficientFunds: isInsufficientFundsError
           };
           console.log(`[${localProjectId}] Sending 'error' event to ${clients.size} SSE client(s):`, JSON.stringify(errorEvent));
-          clients.forEach((client) => {
-            sendSSEMessage(client, errorEvent);
-          });
+          sendProjectEvent(localProjectId, errorEvent);
         } else {
           // If no SSE clients are connected yet, we need to handle this differently
           // Store the error so the SSE connection can pick it up immediately
@@ -1080,7 +1155,7 @@ router.options('/generate-video', (req, res) => {
   res.sendStatus(200);
 });
 
-router.post('/generate-video', express.json({ limit: '100mb' }), ensureSessionId, async (req, res) => {
+router.post('/generate-video', express.json({ limit: '100mb' }), ensureSessionId, limitGeneration('generate-video'), async (req, res) => {
   const localProjectId = `video-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   console.log(`[${localProjectId}] Starting video generation request for session ${req.sessionId}...`);
 
@@ -1183,13 +1258,13 @@ router.post('/generate-video', express.json({ limit: '100mb' }), ensureSessionId
         return;
       }
 
-      forwardEventToSSE(localProjectId, clientAppId, sseEvent, req.sessionId);
+      const eventId = forwardEventToSSE(localProjectId, clientAppId, sseEvent, req.sessionId);
 
       if (!activeProjects.has(localProjectId)) {
         if (!pendingProjectEvents.has(localProjectId)) {
           pendingProjectEvents.set(localProjectId, []);
         }
-        pendingProjectEvents.get(localProjectId).push({ ...sseEvent, clientAppId });
+        pendingProjectEvents.get(localProjectId).push({ ...sseEvent, clientAppId, eventId });
 
         const events = pendingProjectEvents.get(localProjectId);
         if (events.length > 50) {
@@ -1264,14 +1339,13 @@ router.post('/generate-video', express.json({ limit: '100mb' }), ensureSessionId
         });
     };
 
-    attemptGeneration(client)
+    queueGeneration(req, 'generate-video', localProjectId, clientAppId, () => attemptGeneration(client))
       .catch(error => {
         const isInsufficientFundsError = error.payload?.errorCode === 4024 ||
                                        error.message?.includes('Insufficient funds') ||
                                        error.message?.includes('Debit Error');
 
         if (activeProjects.has(localProjectId)) {
-          const clients = activeProjects.get(localProjectId);
           let errorMessage = error.message || 'Video generation failed';
           if (isInsufficientFundsError) {
             errorMessage = 'Insufficient Sogni credits to generate video. Please add more credits to your account.';
@@ -1286,9 +1360,7 @@ router.post('/generate-video', express.json({ limit: '100mb' }), ensureSessionId
             status: error.status || 500,
             isInsufficientFunds: isInsufficientFundsError
           };
-          clients.forEach((client) => {
-            sendSSEMessage(client, errorEvent);
-          });
+          sendProjectEvent(localProjectId, errorEvent);
         } else {
           if (!globalThis.pendingProjectErrors) {
             globalThis.pendingProjectErrors = new Map();
@@ -1340,7 +1412,7 @@ router.options('/generate-audio', (req, res) => {
   res.sendStatus(200);
 });
 
-router.post('/generate-audio', ensureSessionId, async (req, res) => {
+router.post('/generate-audio', ensureSessionId, limitGeneration('generate-audio'), async (req, res) => {
   const localProjectId = `audio-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   console.log(`[${localProjectId}] Starting audio generation request for session ${req.sessionId}...`);
 
@@ -1400,13 +1472,13 @@ router.post('/generate-audio', ensureSessionId, async (req, res) => {
         return;
       }
 
-      forwardEventToSSE(localProjectId, clientAppId, sseEvent, req.sessionId);
+      const eventId = forwardEventToSSE(localProjectId, clientAppId, sseEvent, req.sessionId);
 
       if (!activeProjects.has(localProjectId)) {
         if (!pendingProjectEvents.has(localProjectId)) {
           pendingProjectEvents.set(localProjectId, []);
         }
-        pendingProjectEvents.get(localProjectId).push({ ...sseEvent, clientAppId });
+        pendingProjectEvents.get(localProjectId).push({ ...sseEvent, clientAppId, eventId });
 
         const events = pendingProjectEvents.get(localProjectId);
         if (events.length > 50) {
@@ -1480,14 +1552,13 @@ router.post('/generate-audio', ensureSessionId, async (req, res) => {
         });
     };
 
-    attemptGeneration(client)
+    queueGeneration(req, 'generate-audio', localProjectId, clientAppId, () => attemptGeneration(client))
       .catch(error => {
         const isInsufficientFundsError = error.payload?.errorCode === 4024 ||
                                        error.message?.includes('Insufficient funds') ||
                                        error.message?.includes('Debit Error');
 
         if (activeProjects.has(localProjectId)) {
-          const clients = activeProjects.get(localProjectId);
           let errorMessage = error.message || 'Audio generation failed';
           if (isInsufficientFundsError) {
             errorMessage = 'Insufficient Sogni credits to generate audio. Please add more credits to your account.';
@@ -1502,9 +1573,7 @@ router.post('/generate-audio', ensureSessionId, async (req, res) => {
             status: error.status || 500,
             isInsufficientFunds: isInsufficientFundsError
           };
-          clients.forEach((client) => {
-            sendSSEMessage(client, errorEvent);
-          });
+          sendProjectEvent(localProjectId, errorEvent);
         } else {
           if (!globalThis.pendingProjectErrors) {
             globalThis.pendingProjectErrors = new Map();
@@ -1556,7 +1625,7 @@ router.options('/generate-angle', (req, res) => {
 });
 
 // Generate image from different camera angle using Multiple Angles LoRA
-router.post('/generate-angle', ensureSessionId, async (req, res) => {
+router.post('/generate-angle', ensureSessionId, limitGeneration('generate-angle'), async (req, res) => {
   const localProjectId = `angle-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   console.log(`[${localProjectId}] Starting camera angle generation request for session ${req.sessionId}...`);
 
@@ -1671,14 +1740,14 @@ router.post('/generate-angle', ensureSessionId, async (req, res) => {
       }
 
       // Forward all other events
-      forwardEventToSSE(localProjectId, clientAppId, sseEvent, req.sessionId);
+      const eventId = forwardEventToSSE(localProjectId, clientAppId, sseEvent, req.sessionId);
 
       // Store pending events for late connections
       if (!activeProjects.has(localProjectId)) {
         if (!pendingProjectEvents.has(localProjectId)) {
           pendingProjectEvents.set(localProjectId, []);
         }
-        pendingProjectEvents.get(localProjectId).push({ ...sseEvent, clientAppId });
+        pendingProjectEvents.get(localProjectId).push({ ...sseEvent, clientAppId, eventId });
 
         const events = pendingProjectEvents.get(localProjectId);
         if (events.length > 50) {
@@ -1823,8 +1892,8 @@ router.post('/generate-angle', ensureSessionId, async (req, res) => {
         });
     };
 
-    // Start generation (don't await - let it run async)
-    attemptGeneration(client).catch(error => {
+    // Start generation once the queue admits it (don't await - let it run async)
+    queueGeneration(req, 'generate-angle', localProjectId, clientAppId, () => attemptGeneration(client)).catch(error => {
       console.error(`[${localProjectId}] Unhandled generation error:`, error);
     });
 
@@ -1860,7 +1929,8 @@ router.post('/generate-angle', ensureSessionId, async (req, res) => {
 router.get('/health', (req, res) => {
   res.status(200).json({
     status: 'ok',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    generationQueue: getGenerationQueueStats()
   });
 });
 
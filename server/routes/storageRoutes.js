@@ -0,0 +1,34 @@
+import express from 'express';
+import { getStorage, sendStoredObject } from '../services/storageService.js';
+
+const router = express.Router();
+
+// GET /api/storage/object?key=...&expires=...&signature=... - Serve a signed URL
+// from the local storage driver (S3 signed URLs point straight at the bucket)
+router.get('/object', async (req, res) => {
+  try {
+    const storage = getStorage();
+    const { key, expires, signature } = req.query;
+
+    if (!storage.verifySignedUrl || !storage.verifySignedUrl({ key, expires, signature })) {
+      return res.status(403).json({ error: 'Invalid or expired link' });
+    }
+
+    const sent = await sendStoredObject(res, key, {
+      headers: {
+        'Cache-Control': 'private, max-age=300',
+        'X-Content-Type-Options': 'nosniff'
+      }
+    });
+    if (!sent) {
+      res.status(404).json({ error: 'Not found' });
+    }
+  } catch (error) {
+    console.error('[Storage] Error serving signed object:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+});
+
+export default router;
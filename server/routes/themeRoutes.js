@@ -0,0 +1,185 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  THEME_SCHEMA,
+  getThemeConfig,
+  listThemes,
+  createTheme,
+  updateTheme,
+  validateTheme,
+  validateThemeConfig,
+  saveFrame,
+  frameStorageKey
+} from '../services/themeService.js';
+import { requireScope, ADMIN_SCOPES } from '../services/adminAuthService.js';
+import { recordAuditEvent } from '../services/auditLogService.js';
+import { sendStoredObject } from '../services/storageService.js';
+import { MAX_IMAGE_BYTES, IMAGE_ERROR_STATUS } from '../services/imageValidationService.js';
+
+const router = express.Router();
+
+const THEME_ERROR_STATUS = {
+  ...IMAGE_ERROR_STATUS,
+  INVALID_THEME: 400,
+  THEME_EXISTS: 409
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES }
+});
+
+function sendThemeError(res, error, fallbackMessage) {
+  const status = THEME_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      code: error.code,
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+
+  console.error('[Themes] Error:', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+}
+
+function themeNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    code: 'THEME_NOT_FOUND',
+    message: 'hmm, can\'t find that theme 🤔'
+  });
+}
+
+// Run multer so oversized uploads get the same structured errors
+const receiveFrame = (req, res, next) => {
+  upload.single('frame')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      error.code = 'IMAGE_TOO_LARGE';
+      error.message = `that frame is too big! max is ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)}MB 📦`;
+    }
+    sendThemeError(res, error, 'oops! couldn\'t upload the frame. try again? 🙏');
+  });
+};
+
+// GET /api/themes/config - Merged theme config for kiosks (base + authored themes)
+router.get('/config', async (req, res) => {
+  try {
+    const config = await getThemeConfig();
+    // Kiosks poll this for hot reload, so never let a CDN hold on to it
+    res.set('Cache-Control', 'no-cache');
+    res.json(config);
+  } catch (error) {
+    sendThemeError(res, error, 'oops! couldn\'t load themes. try again? 🙏');
+  }
+});
+
+// GET /api/themes/schema - JSON Schema theme configs are validated against
+router.get('/schema', (req, res) => {
+  res.json(THEME_SCHEMA);
+});
+
+// GET /api/themes - Themes with where each one comes from
+router.get('/', requireScope(ADMIN_SCOPES.READ), async (req, res) => {
+  try {
+    const [themes, { revision }] = await Promise.all([listThemes(), getThemeConfig()]);
+    res.json({ success: true, revision, themes });
+  } catch (error) {
+    sendThemeError(res, error, 'oops! couldn\'t load themes. try again? 🙏');
+  }
+});
+
+// POST /api/themes/validate - Check a theme ({ id, theme }) or a whole config ({ config }) without saving
+router.post('/validate', requireScope(ADMIN_SCOPES.READ), (req, res) => {
+  const { id, theme, config } = req.body || {};
+  const errors = config !== undefined ? validateThemeConfig(config) : validateTheme(id, theme);
+  res.json({ success: true, valid: errors.length === 0, errors });
+});
+
+// POST /api/themes - Create a theme
+router.post('/', requireScope(ADMIN_SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { id, theme } = req.body || {};
+    const result = await createTheme(id, theme, { actor: req.moderator });
+
+    await recordAuditEvent({
+      actor: req.moderator,
+      action: 'theme.create',
+      details: { themeId: result.id, revision: result.revision },
+      ip: req.ip
+    });
+
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    sendThemeError(res, error, 'oops! couldn\'t create the theme. try again? 🙏');
+  }
+});
+
+// PUT /api/themes/:themeId - Replace a theme
+router.put('/:themeId', requireScope(ADMIN_SCOPES.ADMIN), async (req, res) => {
+  try {
+    const result = await updateTheme(req.params.themeId, req.body?.theme, { actor: req.moderator });
+    if (!result) {
+      return themeNotFound(res);
+    }
+
+    await recordAuditEvent({
+      actor: req.moderator,
+      action: 'theme.update',
+      details: { themeId: result.id, revision: result.revision },
+      ip: req.ip
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendThemeError(res, error, 'oops! couldn\'t save the theme. try again? 🙏');
+  }
+});
+
+// POST /api/themes/:themeId/frames - Upload a frame PNG (multipart: frame, aspectRatio, attach)
+router.post('/:themeId/frames', requireScope(ADMIN_SCOPES.ADMIN), receiveFrame, async (req, res) => {
+  try {
+    const frame = await saveFrame(req.params.themeId, req.body?.aspectRatio, req.file?.buffer, {
+      actor: req.moderator,
+      attach: req.body?.attach !== 'false'
+    });
+    if (!frame) {
+      return themeNotFound(res);
+    }
+
+    await recordAuditEvent({
+      actor: req.moderator,
+      action: 'theme.frame_upload',
+      details: { themeId: req.params.themeId, aspectRatio: req.body.aspectRatio, url: frame.url },
+      ip: req.ip
+    });
+
+    res.status(201).json({ success: true, frame });
+  } catch (error) {
+    sendThemeError(res, error, 'oops! couldn\'t upload the frame. try again? 🙏');
+  }
+});
+
+// GET /api/themes/:themeId/frames/:filename - Serve an uploaded frame
+router.get('/:themeId/frames/:filename', async (req, res) => {
+  try {
+    const key = frameStorageKey(req.params.themeId, req.params.filename);
+    // Filenames are unique per upload, so they can be cached forever
+    const sent = key && await sendStoredObject(res, key, {
+      headers: { 'Cache-Control': 'public, max-age=31536000, immutable' }
+    });
+    if (!sent) {
+      return res.status(404).json({ success: false, code: 'FRAME_NOT_FOUND', message: 'frame not found' });
+    }
+  } catch (error) {
+    sendThemeError(res, error, 'oops! couldn\'t load the frame. try again? 🙏');
+  }
+});
+
+export default router;
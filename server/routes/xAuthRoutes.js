@@ -2,7 +2,6 @@ import express from 'express';
 // import { generateAuthLink, loginWithOAuth2, shareImageToX } from '../services/twitterShareService.js'; // We'll uncomment later
 import crypto from 'crypto'; // For generating a random state string
 import { generateAuthLink, loginWithOAuth2, shareImageToX, shareVideoToX, CLIENT_ORIGIN, refreshOAuth2Token, getClientFromToken } from '../services/twitterShareService.js';
-import { v4 as uuidv4 } from 'uuid';
 import process from 'process'; // Add process import for environment variables
 import { 
   storeTwitterOAuthData, 
@@ -16,6 +15,8 @@ import {
 } from '../services/redisService.js';
 import { trackMetric } from '../services/analyticsService.js';
 import { saveContestEntry } from '../services/contestService.js';
+import { assertSubmissionAllowed, releaseSubmissionSlot } from '../services/contestRegistryService.js';
+import { getSessionId } from '../utils/sessionCookie.js';
 
 const router = express.Router();
 
@@ -29,6 +30,26 @@ const OAUTH_DATA_TTL_SECONDS = 15 * 60; // 15 minutes TTL for Redis
 const TWITTER_MAX_TWEET_LENGTH = 280; // Non-premium account limit
 const TWITTER_URL_LENGTH = 23; // Twitter counts all URLs as 23 characters (t.co shortening)
 
+/**
+ * Save a Halloween contest entry for a tweet that was just posted. Entry limits
+ * count the X account the tweet went out from, the same id /api/contest/submit
+ * gets from resolveVoterIdentity for an X session.
+ * @param {Object} loggedUserClient - Twitter client for the sharing user
+ * @param {Object} entry - saveContestEntry fields (without contestId)
+ * @returns {Promise<Object>} Saved entry
+ */
+const submitHalloweenEntry = async (loggedUserClient, entry) => {
+  const { data: xUser } = await loggedUserClient.v2.me();
+  const submitterId = `x:${xUser.id}`;
+  const contest = await assertSubmissionAllowed('halloween', { submitterId, promptKey: entry.metadata?.promptKey });
+  try {
+    return await saveContestEntry({ ...entry, contestId: 'halloween', submitterId });
+  } catch (error) {
+    await releaseSubmissionSlot(contest, submitterId);
+    throw error;
+  }
+};
+
 /**
  * Truncate tweet text to fit within Twitter's character limit
  * Twitter counts all URLs as exactly 23 characters regardless of actual length (via t.co shortening)
@@ -158,60 +179,6 @@ router.get('/debug', async (req, res) => {
   }
 });
 
-// Middleware to ensure we have a session ID to work with
-const getSessionId = (req, res, next) => {
-  const sessionCookieName = 'sogni_session_id';
-  let sessionId = req.cookies?.[sessionCookieName];
-  
-  // Log the current cookie state for debugging
-  console.log(`[Twitter OAuth] Cookie check for ${sessionCookieName}: ${sessionId || 'not found'}`);
-  
-  // If no session ID exists, create one
-  if (!sessionId) {
-    sessionId = `sid-${uuidv4()}`;
-    
-    // Determine if we're in a secure context
-    const isSecureContext = req.secure || 
-                          req.headers['x-forwarded-proto'] === 'https' || 
-                          process.env.NODE_ENV === 'production' ||
-                          req.headers.origin?.startsWith('https:');
-    
-    // Get the origin for cross-domain access
-    const origin = req.headers.origin;
-    
-    // For cross-origin requests from HTTPS origins, use SameSite=None and Secure=true
-    // For all other requests, use SameSite=Lax for better compatibility
-    const sameSiteSetting = (origin && origin.startsWith('https:')) ? 'none' : 'lax';
-    const secure = isSecureContext || sameSiteSetting === 'none';
-    
-    console.log(`[Twitter OAuth] Creating new session ID: ${sessionId}, Secure: ${secure}, SameSite: ${sameSiteSetting}`);
-    
-    // Get effective cookie domain (same logic as in server/index.js)
-    const cookieDomain = process.env.COOKIE_DOMAIN || 
-                        (process.env.NODE_ENV === 'production' ? '.sogni.ai' : undefined);
-                        
-    if (cookieDomain) {
-      console.log(`[Twitter OAuth] Setting cookie with domain: ${cookieDomain}`);
-    }
-    
-    // Set cookie with long expiry (30 days) with proper security settings
-    res.cookie(sessionCookieName, sessionId, {
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-      httpOnly: true,
-      secure: secure, // Enable for HTTPS, even local
-      sameSite: sameSiteSetting, // Use 'none' for cross-domain requests
-      path: '/',  // Ensure cookie is available for all paths
-      domain: cookieDomain // Add domain for cross-subdomain support if defined
-    });
-  } else {
-    console.log(`[Twitter OAuth] Using existing session ID: ${sessionId}`);
-  }
-  
-  // Attach session ID to request for use in route handlers
-  req.sessionId = sessionId;
-  next();
-};
-
 // POST /api/auth/x/start - Initiate Twitter OAuth flow
 router.post('/start', getSessionId, async (req, res) => {
   try {
@@ -334,8 +301,8 @@ router.post('/start', getSessionId, async (req, res) => {
               console.log('[Contest] Submitting Halloween contest entry (direct share)');
               const tweetUrl = `https://twitter.com/i/web/status/${tweetResult.data.id}`;
               
-              await saveContestEntry({
-                contestId: 'halloween',
+              // Registered contests enforce their schedule and rules; throws are logged below
+              await submitHalloweenEntry(loggedUserClient, {
                 imageUrl,
                 prompt,
                 username,
@@ -581,8 +548,7 @@ router.get('/callback', async (req, res) => {
           console.log('[Contest] Submitting Halloween contest entry (OAuth callback)');
           const tweetUrl = `https://twitter.com/i/web/status/${tweetResult.data.id}`;
           
-          await saveContestEntry({
-            contestId: 'halloween',
+          await submitHalloweenEntry(loggedUserClient, {
             imageUrl,
             prompt: oauthData.prompt,
             username: oauthData.username,
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script to move legacy contest votes into the per-entry vote sets
+ * Older entries stored votes as a `votes` array of { username, timestamp } inside
+ * the entry JSON. Those usernames came from Sogni accounts, so they are migrated
+ * as sogni:<username> voters and the array is removed from the entry.
+ */
+
+import { getRedisClient, addContestVote, updateContestEntry } from '../services/redisService.js';
+
+const migrateContestVotes = async () => {
+  console.log('🔄 Starting contest vote migration...');
+
+  const redis = getRedisClient();
+  if (!redis) {
+    console.error('❌ Redis not available, cannot migrate');
+    process.exit(1);
+  }
+
+  try {
+    const entryKeys = await redis.keys('contest:entry:*');
+    console.log(`🗳️  Found ${entryKeys.length} contest entries`);
+
+    let migratedVotes = 0;
+    let migratedEntries = 0;
+
+    for (const key of entryKeys) {
+      try {
+        const entry = JSON.parse(await redis.get(key) || 'null');
+        if (!entry || !Array.isArray(entry.votes) || entry.votes.length === 0) {
+          continue;
+        }
+
+        for (const vote of entry.votes) {
+          if (!vote?.username) continue;
+          const result = await addContestVote(entry.contestId, entry.id, {
+            id: `sogni:${vote.username.toLowerCase()}`,
+            displayName: vote.username,
+            provider: 'sogni'
+          });
+          if (result?.added) {
+            migratedVotes++;
+          }
+        }
+
+        const { votes: _legacyVotes, ...migratedEntry } = entry;
+        await updateContestEntry(entry.contestId, entry.id, migratedEntry);
+        migratedEntries++;
+        console.log(`✅ Migrated ${entry.votes.length} votes for ${entry.contestId}:${entry.id}`);
+      } catch (error) {
+        console.error(`❌ Error migrating key ${key}:`, error);
+      }
+    }
+
+    console.log(`🎉 Migration completed! Migrated ${migratedVotes} votes across ${migratedEntries} entries.`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+
+  process.exit(0);
+};
+
+// Run the migration
+migrateContestVotes();
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import process from 'process';
+import { getModeratorFromRequest } from './moderatorAuthService.js';
+
+/**
+ * Access scopes for admin APIs (analytics etc.)
+ * READ can look at data, ADMIN can also change or delete it.
+ */
+export const ADMIN_SCOPES = {
+  READ: 'read',
+  ADMIN: 'admin'
+};
+
+export const API_KEY_HEADER = 'X-API-Key';
+
+// Moderator session roles -> scopes. Moderators get read access; sessions
+// opened with MODERATION_ADMIN_PASSWORD get admin.
+const ROLE_SCOPES = {
+  moderator: [ADMIN_SCOPES.READ],
+  admin: [ADMIN_SCOPES.READ, ADMIN_SCOPES.ADMIN]
+};
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Parse ADMIN_API_KEYS ("name:scope:key,name2:scope:key2")
+ * @returns {Array<{name: string, scopes: string[], keyHash: Buffer}>}
+ */
+function getConfiguredApiKeys() {
+  return (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, scope, ...keyParts] = entry.split(':');
+      const key = keyParts.join(':');
+      if (!name || !key || (scope !== ADMIN_SCOPES.READ && scope !== ADMIN_SCOPES.ADMIN)) {
+        console.warn(`[Admin Auth] Ignoring malformed ADMIN_API_KEYS entry "${name || '?'}"`);
+        return null;
+      }
+      return {
+        name,
+        // admin keys can also read
+        scopes: scope === ADMIN_SCOPES.ADMIN ? ROLE_SCOPES.admin : ROLE_SCOPES.moderator,
+        keyHash: hash(key)
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Work out who is calling an admin API and what they may do
+ * @param {Object} req - Express request
+ * @returns {{actor: string, scopes: string[], via: 'api-key'|'session'}|null|false}
+ *   null when no credentials were sent, false when an API key was sent but is invalid
+ */
+export function getAdminPrincipal(req) {
+  const apiKey = req.get(API_KEY_HEADER);
+  if (apiKey) {
+    const providedHash = hash(apiKey);
+    // Check every key so the time taken doesn't reveal which one matched
+    let match = null;
+    for (const configured of getConfiguredApiKeys()) {
+      if (crypto.timingSafeEqual(providedHash, configured.keyHash)) {
+        match = configured;
+      }
+    }
+    return match ? { actor: `api-key:${match.name}`, scopes: match.scopes, via: 'api-key' } : false;
+  }
+
+  const session = getModeratorFromRequest(req);
+  if (session) {
+    return { actor: session.sub, scopes: ROLE_SCOPES[session.role] || [], via: 'session' };
+  }
+  return null;
+}
+
+/**
+ * Express middleware factory: require an API key or moderator session with the given scope.
+ * On success the caller is available as req.moderator (for the audit log) and
+ * req.adminPrincipal.
+ * @param {string} scope - One of ADMIN_SCOPES
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const principal = getAdminPrincipal(req);
+
+    if (!principal) {
+      if (principal === false) {
+        console.warn(`[Admin Auth] Invalid API key from ${req.ip}`);
+      }
+      return res.status(401).json({
+        success: false,
+        code: 'ADMIN_AUTH_REQUIRED',
+        message: 'login or an API key required 🔐'
+      });
+    }
+
+    if (!principal.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        code: 'INSUFFICIENT_SCOPE',
+        message: `this needs ${scope} access 🔒`
+      });
+    }
+
+    req.moderator = principal.actor;
+    req.adminPrincipal = principal;
+    next();
+  };
+}
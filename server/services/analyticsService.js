@@ -1,4 +1,5 @@
 import { getRedisClient } from './redisService.js';
+import { getThemeConfig, ASPECT_RATIOS } from './themeService.js';
 
 /**
  * Get current UTC date in YYYY-MM-DD format
@@ -7,6 +8,132 @@ const getCurrentUTCDate = () => {
   return new Date().toISOString().split('T')[0];
 };
 
+// Daily counters returned by the historical/range queries (and their CSV export columns)
+export const HISTORICAL_METRICS = [
+  'downloads',
+  'shares',
+  'batches_generated',
+  'photos_generated',
+  'photos_enhanced',
+  'photos_taken_camera',
+  'photos_uploaded_browse',
+  'twitter_shares',
+  'videos_generated',
+  'videos_generated_failed'
+];
+
+// Events are also counted per value of these dimensions, e.g. downloads by event theme.
+// Stored as one hash per day/event/dimension: analytics:daily:<date>:<event>:by:<dimension>
+export const BREAKDOWN_DIMENSIONS = ['theme', 'shareType', 'model', 'aspectRatio'];
+export const BREAKDOWN_EVENTS = ['downloads', 'shares', 'photos_generated'];
+
+// Longest from/to range a single query or export may cover
+export const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate a from/to range (inclusive, YYYY-MM-DD, UTC) and list its dates
+ * @param {string} from - First day
+ * @param {string} to - Last day
+ * @returns {string[]} Dates in chronological order
+ * @throws {Error} With code INVALID_DATE_RANGE
+ */
+export const getDatesInRange = (from, to) => {
+  const fromTime = DATE_PATTERN.test(from || '') ? Date.parse(`${from}T00:00:00Z`) : NaN;
+  const toTime = DATE_PATTERN.test(to || '') ? Date.parse(`${to}T00:00:00Z`) : NaN;
+
+  let message = null;
+  if (isNaN(fromTime) || isNaN(toTime)) {
+    message = 'from and to must be dates like 2025-01-31';
+  } else if (fromTime > toTime) {
+    message = 'from must be on or before to';
+  } else if ((toTime - fromTime) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    message = `date ranges are limited to ${MAX_RANGE_DAYS} days`;
+  }
+  if (message) {
+    const error = new Error(message);
+    error.code = 'INVALID_DATE_RANGE';
+    throw error;
+  }
+
+  const dates = [];
+  for (let time = fromTime; time <= toTime; time += DAY_MS) {
+    dates.push(new Date(time).toISOString().split('T')[0]);
+  }
+  return dates;
+};
+
+/**
+ * The from/to range covering the last N days (including today)
+ * @param {number} days - Number of days
+ * @returns {{from: string, to: string}}
+ */
+export const getLastDaysRange = (days) => {
+  const to = getCurrentUTCDate();
+  const from = new Date(Date.parse(`${to}T00:00:00Z`) - (days - 1) * DAY_MS).toISOString().split('T')[0];
+  return { from, to };
+};
+
+// Models the photobooth offers (getModelOptions in src/constants/settings.ts)
+// plus the enhance model
+const KNOWN_MODELS = [
+  'coreml-sogniXLturbo_alpha1_ad',
+  'coreml-dreamshaperXL_v21TurboDPMSDE',
+  'coreml-juggernautXL_v9Rdphoto2Lightning',
+  'coreml-wildcardxXLLIGHTNING_wildcardxXL',
+  'coreml-realvisxlV40_v40LightningBakedvae',
+  'coreml-realDream_sdxlLightning1',
+  'coreml-fenrisxl_SDXLLightning',
+  'coreml-epicrealismXL_VXIAbeast4SLightning',
+  'qwen_image_edit_2511_fp8_lightning',
+  'qwen_image_edit_2511_fp8',
+  'flux2_dev_fp8',
+  'flux1-schnell-fp8'
+];
+const KNOWN_SHARE_TYPES = ['twitter', 'webshare', 'bluesky', 'mastodon'];
+
+const KNOWN_DIMENSION_VALUES = {
+  theme: async () => {
+    const { themes } = await getThemeConfig().catch(() => ({ themes: {} }));
+    return ['off', ...Object.keys(themes)];
+  },
+  shareType: async () => KNOWN_SHARE_TYPES,
+  model: async () => KNOWN_MODELS,
+  aspectRatio: async () => ASPECT_RATIOS
+};
+
+// Dimension values come from unauthenticated client metadata, so only known
+// values get their own hash field and everything else is counted as "other"
+const normalizeDimensionValue = async (dimension, value) => {
+  if (value === undefined || value === null || value === '' || value === 'unknown') {
+    return 'unknown';
+  }
+  const known = await KNOWN_DIMENSION_VALUES[dimension]();
+  return known.includes(value) ? value : 'other';
+};
+
+/**
+ * Count an event against each breakdown dimension it carries
+ * @param {Object} redis - Redis client
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} event - One of BREAKDOWN_EVENTS
+ * @param {Object} dimensions - { theme, shareType, model, aspectRatio }, missing keys aren't counted
+ * @param {number} amount - Amount to increment by
+ */
+const trackBreakdowns = async (redis, date, event, dimensions, amount = 1) => {
+  for (const dimension of BREAKDOWN_DIMENSIONS) {
+    if (dimension in dimensions) {
+      await redis.hIncrBy(
+        `analytics:daily:${date}:${event}:by:${dimension}`,
+        await normalizeDimensionValue(dimension, dimensions[dimension]),
+        amount
+      );
+    }
+  }
+};
+
 /**
  * Track a download event for a specific prompt
  * @param {string} promptId - The prompt ID (e.g., 'anime1990s')
@@ -39,6 +166,12 @@ export const trackDownload = async (promptId, metadata = {}) => {
     await redis.incrBy(dailyTotalKey, 1);
     await redis.incrBy(lifetimeTotalKey, 1);
     
+    await trackBreakdowns(redis, date, 'downloads', {
+      theme: metadata.tezdevTheme,
+      model: metadata.selectedModel,
+      aspectRatio: metadata.aspectRatio
+    });
+    
     // NO expiry on daily keys - keep forever for historical charting
     
   } catch (error) {
@@ -79,6 +212,13 @@ export const trackShare = async (promptId, shareType = 'unknown', metadata = {})
     await redis.incrBy(dailyTotalKey, 1);
     await redis.incrBy(lifetimeTotalKey, 1);
     
+    await trackBreakdowns(redis, date, 'shares', {
+      theme: metadata.tezdevTheme,
+      shareType,
+      model: metadata.selectedModel,
+      aspectRatio: metadata.aspectRatio
+    });
+    
     // NO expiry on daily keys - keep forever for historical charting
     
   } catch (error) {
@@ -315,12 +455,50 @@ export const trackMetric = async (metricType, amount = 1) => {
   }
 };
 
+/**
+ * Count generated photos by model (and theme/aspect ratio when the client sends them)
+ * @param {Object} params
+ * @param {number} params.numberImages - Photos in the batch
+ * @param {string} [params.selectedModel] - Model ID
+ * @param {string} [params.tezdevTheme] - Event theme
+ * @param {string} [params.aspectRatio] - Aspect ratio setting
+ */
+export const trackGenerationBreakdown = async ({ numberImages = 1, selectedModel, tezdevTheme, aspectRatio }) => {
+  const redis = getRedisClient();
+  if (!redis) {
+    return;
+  }
+
+  try {
+    const dimensions = { model: selectedModel };
+    if (tezdevTheme !== undefined) dimensions.theme = tezdevTheme;
+    if (aspectRatio !== undefined) dimensions.aspectRatio = aspectRatio;
+    await trackBreakdowns(redis, getCurrentUTCDate(), 'photos_generated', dimensions, parseInt(numberImages, 10) || 1);
+  } catch (error) {
+    console.error('[Analytics] ❌ Error tracking generation breakdown:', error);
+  }
+};
+
 /**
  * Get historical analytics data for the last N days
  * @param {number} days - Number of days to retrieve (default 30)
  * @returns {Array} Array of daily analytics data
  */
 export const getHistoricalData = async (days = 30) => {
+  const { from, to } = getLastDaysRange(days);
+  return getRangeData(from, to);
+};
+
+/**
+ * Get daily analytics data for a from/to range
+ * @param {string} from - First day (YYYY-MM-DD, UTC)
+ * @param {string} to - Last day (inclusive)
+ * @returns {Array} Array of daily analytics data, oldest first
+ * @throws {Error} With code INVALID_DATE_RANGE
+ */
+export const getRangeData = async (from, to) => {
+  const dates = getDatesInRange(from, to);
+
   const redis = getRedisClient();
   if (!redis) {
     console.warn('[Analytics] Redis not available, returning empty historical data');
@@ -329,49 +507,78 @@ export const getHistoricalData = async (days = 30) => {
 
   try {
     const historicalData = [];
-    const today = new Date();
     
-    for (let i = 0; i < days; i++) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toISOString().split('T')[0];
-      
+    for (const dateStr of dates) {
       // Get all daily metrics for this date
-      const dailyDownloads = parseInt(await redis.get(`analytics:daily:${dateStr}:downloads:total`) || '0', 10);
-      const dailyShares = parseInt(await redis.get(`analytics:daily:${dateStr}:shares:total`) || '0', 10);
-      const dailyBatches = parseInt(await redis.get(`analytics:daily:${dateStr}:batches_generated:total`) || '0', 10);
-      const dailyPhotos = parseInt(await redis.get(`analytics:daily:${dateStr}:photos_generated:total`) || '0', 10);
-      const dailyEnhanced = parseInt(await redis.get(`analytics:daily:${dateStr}:photos_enhanced:total`) || '0', 10);
-      const dailyCamera = parseInt(await redis.get(`analytics:daily:${dateStr}:photos_taken_camera:total`) || '0', 10);
-      const dailyUploaded = parseInt(await redis.get(`analytics:daily:${dateStr}:photos_uploaded_browse:total`) || '0', 10);
-      const dailyTwitter = parseInt(await redis.get(`analytics:daily:${dateStr}:twitter_shares:total`) || '0', 10);
-      const dailyVideos = parseInt(await redis.get(`analytics:daily:${dateStr}:videos_generated:total`) || '0', 10);
-      const dailyVideosFailed = parseInt(await redis.get(`analytics:daily:${dateStr}:videos_generated_failed:total`) || '0', 10);
-
-      historicalData.push({
-        date: dateStr,
-        downloads: dailyDownloads,
-        shares: dailyShares,
-        combined: dailyDownloads + dailyShares,
-        batches_generated: dailyBatches,
-        photos_generated: dailyPhotos,
-        photos_enhanced: dailyEnhanced,
-        photos_taken_camera: dailyCamera,
-        photos_uploaded_browse: dailyUploaded,
-        twitter_shares: dailyTwitter,
-        videos_generated: dailyVideos,
-        videos_generated_failed: dailyVideosFailed
+      const values = await redis.mGet(HISTORICAL_METRICS.map(metric => `analytics:daily:${dateStr}:${metric}:total`));
+      const row = { date: dateStr };
+      HISTORICAL_METRICS.forEach((metric, index) => {
+        row[metric] = parseInt(values[index] || '0', 10);
       });
+      row.combined = row.downloads + row.shares;
+      historicalData.push(row);
     }
     
-    // Return in chronological order (oldest first)
-    return historicalData.reverse();
+    return historicalData;
   } catch (error) {
     console.error('[Analytics] ❌ Error getting historical data:', error);
     return [];
   }
 };
 
+/**
+ * Get per-dimension breakdowns for a from/to range
+ * @param {string} from - First day (YYYY-MM-DD, UTC)
+ * @param {string} to - Last day (inclusive)
+ * @param {Object} [options]
+ * @param {boolean} [options.daily] - Also return the per-day rows (used by the export)
+ * @returns {Promise<{totals: Object, rows?: Array}>} totals[dimension][event][value] = count;
+ *   rows are { date, dimension, event, value, count }
+ * @throws {Error} With code INVALID_DATE_RANGE
+ */
+export const getBreakdownData = async (from, to, { daily = false } = {}) => {
+  const dates = getDatesInRange(from, to);
+
+  const totals = {};
+  for (const dimension of BREAKDOWN_DIMENSIONS) {
+    totals[dimension] = {};
+    for (const event of BREAKDOWN_EVENTS) {
+      totals[dimension][event] = {};
+    }
+  }
+  const rows = [];
+
+  const redis = getRedisClient();
+  if (!redis) {
+    console.warn('[Analytics] Redis not available, returning empty breakdowns');
+    return daily ? { totals, rows } : { totals };
+  }
+
+  try {
+    const pairs = BREAKDOWN_EVENTS.flatMap(event => BREAKDOWN_DIMENSIONS.map(dimension => ({ event, dimension })));
+    for (const date of dates) {
+      // Issued together so the client pipelines one round trip per day
+      const results = await Promise.all(pairs.map(({ event, dimension }) =>
+        redis.hGetAll(`analytics:daily:${date}:${event}:by:${dimension}`)
+      ));
+      pairs.forEach(({ event, dimension }, index) => {
+        for (const [value, rawCount] of Object.entries(results[index] || {})) {
+          const count = parseInt(rawCount, 10) || 0;
+          const bucket = totals[dimension][event];
+          bucket[value] = (bucket[value] || 0) + count;
+          if (daily) {
+            rows.push({ date, dimension, event, value, count });
+          }
+        }
+      });
+    }
+  } catch (error) {
+    console.error('[Analytics] ❌ Error getting breakdown data:', error);
+  }
+
+  return daily ? { totals, rows } : { totals };
+};
+
 /**
  * Get top prompts by popularity
  * @param {number} limit - Number of top prompts to return
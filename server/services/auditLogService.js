@@ -0,0 +1,87 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  redisReady,
+  appendAuditLogEntry as redisAppendAuditEntry,
+  getAuditLogEntries as redisGetAuditEntries
+} from './redisService.js';
+
+// Filesystem fallback lives next to the other uploads so it survives restarts
+const auditDir = path.join(process.cwd(), 'uploads', 'audit');
+const auditFilePath = path.join(auditDir, 'audit-log.jsonl');
+
+/**
+ * Record who did what. Never throws - a failed audit write is logged but
+ * must not break the action that triggered it.
+ * @param {Object} params - Audit parameters
+ * @param {string} params.actor - Moderator/admin name performing the action
+ * @param {string} params.action - Action name (e.g. 'moderation.approve', 'contest.entry.delete')
+ * @param {string} [params.contestId] - Contest the action applies to
+ * @param {string} [params.entryId] - Entry the action applies to
+ * @param {Object} [params.details] - Extra context (previous status, reason, ...)
+ * @param {string} [params.ip] - Requesting IP address
+ * @returns {Promise<Object>} The recorded audit entry
+ */
+export async function recordAuditEvent({ actor, action, contestId = null, entryId = null, details = {}, ip = null }) {
+  const auditEntry = {
+    id: uuidv4(),
+    timestamp: Date.now(),
+    actor: actor || 'unknown',
+    action,
+    contestId,
+    entryId,
+    details,
+    ip
+  };
+
+  try {
+    if (redisReady() && await redisAppendAuditEntry(auditEntry)) {
+      return auditEntry;
+    }
+
+    await fs.mkdir(auditDir, { recursive: true });
+    await fs.appendFile(auditFilePath, `${JSON.stringify(auditEntry)}\n`);
+  } catch (error) {
+    console.error('[Audit] Failed to record audit event:', error);
+  }
+
+  return auditEntry;
+}
+
+/**
+ * Get recent audit events, newest first
+ * @param {Object} options - Query options
+ * @param {number} [options.limit=100] - Maximum number of events
+ * @param {string} [options.contestId] - Only events for this contest
+ * @param {string} [options.action] - Only events whose action starts with this prefix
+ * @returns {Promise<Array>} Audit events
+ */
+export async function getAuditEvents({ limit = 100, contestId = null, action = null } = {}) {
+  // Over-fetch when filtering so a filtered page is still reasonably full
+  const fetchLimit = contestId || action ? limit * 10 : limit;
+
+  let events = redisReady() ? await redisGetAuditEntries(fetchLimit) : null;
+
+  if (!events) {
+    try {
+      const content = await fs.readFile(auditFilePath, 'utf-8');
+      events = content
+        .split('\n')
+        .filter(Boolean)
+        .slice(-fetchLimit)
+        .map(line => JSON.parse(line))
+        .reverse();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[Audit] Failed to read audit log file:', error);
+      }
+      events = [];
+    }
+  }
+
+  return events
+    .filter(event => !contestId || event.contestId === contestId)
+    .filter(event => !action || event.action?.startsWith(action))
+    .slice(0, limit);
+}
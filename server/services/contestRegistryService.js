@@ -0,0 +1,449 @@
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  redisReady,
+  storeContestDefinition as redisStoreDefinition,
+  getContestDefinition as redisGetDefinition,
+  listContestDefinitions as redisListDefinitions,
+  reserveContestEntrySlot,
+  adjustContestEntryCount
+} from './redisService.js';
+import { getContestLeaderboard } from './contestService.js';
+
+// Definitions are mirrored to JSON files (kept out of uploads/contest/<id>,
+// where every .json file is treated as an entry)
+const registryDir = path.join(process.cwd(), 'uploads', 'contest-registry');
+
+const CONTEST_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,63}$/;
+const DEFAULT_WINNER_COUNT = 3;
+const MAX_WINNER_COUNT = 100;
+
+/**
+ * Lifecycle of a registered contest, derived from its schedule:
+ * SCHEDULED → OPEN (submissions + voting) → VOTING (voting only) → ENDED → CLOSED (results frozen)
+ */
+export const CONTEST_STATUSES = ['SCHEDULED', 'OPEN', 'VOTING', 'ENDED', 'CLOSED'];
+
+function contestError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function parseTime(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw contestError('INVALID_CONTEST', `${field} must be an ISO date or a timestamp`);
+  }
+  return time;
+}
+
+function parseOptionalPositiveInt(value, field, max = Number.MAX_SAFE_INTEGER) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw contestError('INVALID_CONTEST', `${field} must be a whole number between 1 and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validate contest fields and merge them over an existing definition
+ * @param {Object} input - Fields supplied by the moderator
+ * @param {Object} [existing] - Current definition when updating
+ * @returns {Object} Validated definition (without audit fields)
+ * @throws {Error} With code INVALID_CONTEST
+ */
+function buildContestDefinition(input, existing = {}) {
+  const merged = { ...existing, ...input };
+
+  const title = typeof merged.title === 'string' ? merged.title.trim() : '';
+  if (!title) {
+    throw contestError('INVALID_CONTEST', 'title is required');
+  }
+
+  const startsAt = parseTime(merged.startsAt, 'startsAt');
+  const endsAt = parseTime(merged.endsAt, 'endsAt');
+  if (!startsAt || !endsAt) {
+    throw contestError('INVALID_CONTEST', 'startsAt and endsAt are required');
+  }
+  if (endsAt <= startsAt) {
+    throw contestError('INVALID_CONTEST', 'endsAt must be after startsAt');
+  }
+
+  // Voting defaults to the submission window
+  const votingStartsAt = parseTime(merged.votingStartsAt, 'votingStartsAt') ?? startsAt;
+  const votingEndsAt = parseTime(merged.votingEndsAt, 'votingEndsAt') ?? endsAt;
+  if (votingEndsAt <= votingStartsAt) {
+    throw contestError('INVALID_CONTEST', 'votingEndsAt must be after votingStartsAt');
+  }
+
+  let allowedPromptKeys = merged.allowedPromptKeys ?? null;
+  if (allowedPromptKeys !== null) {
+    if (!Array.isArray(allowedPromptKeys) || allowedPromptKeys.some(key => typeof key !== 'string' || !key.trim())) {
+      throw contestError('INVALID_CONTEST', 'allowedPromptKeys must be a list of prompt keys');
+    }
+    allowedPromptKeys = [...new Set(allowedPromptKeys.map(key => key.trim()))];
+    if (allowedPromptKeys.length === 0) {
+      allowedPromptKeys = null;
+    }
+  }
+
+  return {
+    title,
+    rules: typeof merged.rules === 'string' ? merged.rules.trim() : '',
+    startsAt,
+    endsAt,
+    votingStartsAt,
+    votingEndsAt,
+    allowedPromptKeys,
+    maxEntriesPerUser: parseOptionalPositiveInt(merged.maxEntriesPerUser, 'maxEntriesPerUser'),
+    winnerCount: parseOptionalPositiveInt(merged.winnerCount, 'winnerCount', MAX_WINNER_COUNT) ?? DEFAULT_WINNER_COUNT
+  };
+}
+
+async function readDefinitionFile(contestId) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(registryDir, `${contestId}.json`), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function saveDefinition(contest) {
+  if (redisReady()) {
+    await redisStoreDefinition(contest);
+  } else {
+    console.warn('[Contest Registry] Redis not available, definition only saved to filesystem');
+  }
+
+  await fs.mkdir(registryDir, { recursive: true });
+  await fs.writeFile(path.join(registryDir, `${contest.id}.json`), JSON.stringify(contest, null, 2));
+  return contest;
+}
+
+/**
+ * Check a contest id is well formed; unregistered legacy contests use the same shape
+ * @param {string} contestId - Contest identifier
+ * @returns {boolean}
+ */
+export function isValidContestId(contestId) {
+  return CONTEST_ID_PATTERN.test(contestId || '');
+}
+
+/**
+ * Work out where a contest is in its lifecycle
+ * @param {Object} contest - Contest definition
+ * @param {number} [now=Date.now()] - Reference time
+ * @returns {string} One of CONTEST_STATUSES
+ */
+export function getContestStatus(contest, now = Date.now()) {
+  if (contest.closedAt) return 'CLOSED';
+  if (now < contest.startsAt) return 'SCHEDULED';
+  if (now < contest.endsAt) return 'OPEN';
+  if (now >= contest.votingStartsAt && now < contest.votingEndsAt) return 'VOTING';
+  return 'ENDED';
+}
+
+/**
+ * Public view of a contest: definition plus derived status, without the frozen standings
+ * @param {Object} contest - Contest definition
+ * @returns {Object}
+ */
+export function toPublicContest(contest) {
+  const { results, ...definition } = contest;
+  return {
+    ...definition,
+    status: getContestStatus(contest),
+    winners: results?.winners || null
+  };
+}
+
+/**
+ * Get a registered contest
+ * @param {string} contestId - Contest identifier
+ * @returns {Promise<Object|null>} Contest definition or null if not registered
+ */
+export async function getContest(contestId) {
+  if (!isValidContestId(contestId)) {
+    return null;
+  }
+
+  const contest = redisReady() ? await redisGetDefinition(contestId) : undefined;
+  return contest === undefined ? readDefinitionFile(contestId) : contest;
+}
+
+/**
+ * List all registered contests, newest start first
+ * @returns {Promise<Array>} Contest definitions
+ */
+export async function listContests() {
+  let contests = redisReady() ? await redisListDefinitions() : null;
+
+  if (!contests) {
+    try {
+      const files = (await fs.readdir(registryDir)).filter(f => f.endsWith('.json'));
+      contests = await Promise.all(files.map(async file =>
+        JSON.parse(await fs.readFile(path.join(registryDir, file), 'utf-8'))
+      ));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      contests = [];
+    }
+  }
+
+  return contests.sort((a, b) => b.startsAt - a.startsAt);
+}
+
+/**
+ * Register a new contest
+ * @param {Object} input - Contest fields (id, title, rules, startsAt, endsAt, votingStartsAt,
+ *   votingEndsAt, allowedPromptKeys, maxEntriesPerUser, winnerCount)
+ * @param {Object} params - Audit details
+ * @param {string} params.moderator - Moderator creating the contest
+ * @returns {Promise<Object>} Created definition
+ * @throws {Error} With code INVALID_CONTEST or CONTEST_EXISTS
+ */
+export async function createContest(input, { moderator }) {
+  const contestId = typeof input.id === 'string' ? input.id.trim() : '';
+  if (!CONTEST_ID_PATTERN.test(contestId)) {
+    throw contestError('INVALID_CONTEST', 'id must be 2-64 lowercase letters, numbers or dashes');
+  }
+  if (await getContest(contestId)) {
+    throw contestError('CONTEST_EXISTS', `Contest ${contestId} already exists`);
+  }
+
+  const now = Date.now();
+  const contest = {
+    id: contestId,
+    ...buildContestDefinition(input),
+    createdAt: now,
+    createdBy: moderator,
+    updatedAt: now,
+    updatedBy: moderator,
+    closedAt: null,
+    closedBy: null,
+    results: null
+  };
+
+  await saveDefinition(contest);
+  console.log(`[Contest Registry] ${moderator} created contest ${contestId}`);
+  return contest;
+}
+
+/**
+ * Update (reschedule, edit rules of) a contest that hasn't been closed
+ * @param {string} contestId - Contest identifier
+ * @param {Object} changes - Fields to change
+ * @param {Object} params - Audit details
+ * @param {string} params.moderator - Moderator making the change
+ * @returns {Promise<Object|null>} Updated definition, or null if not registered
+ * @throws {Error} With code INVALID_CONTEST or CONTEST_CLOSED
+ */
+export async function updateContest(contestId, changes, { moderator }) {
+  const contest = await getContest(contestId);
+  if (!contest) {
+    return null;
+  }
+  if (contest.closedAt) {
+    throw contestError('CONTEST_CLOSED', 'Closed contests can\'t be changed');
+  }
+
+  const { id: _id, ...editable } = changes;
+  const updated = {
+    ...contest,
+    ...buildContestDefinition(editable, contest),
+    updatedAt: Date.now(),
+    updatedBy: moderator
+  };
+
+  await saveDefinition(updated);
+  console.log(`[Contest Registry] ${moderator} updated contest ${contestId}`);
+  return updated;
+}
+
+/**
+ * Check a submission against the contest's schedule and rules. Unregistered
+ * contest ids (the recurring Halloween/Winter/Gimi contests) keep the old
+ * always-open behaviour, like votes do.
+ * When the contest limits entries per user this also takes one of the
+ * submitter's slots; give it back with releaseSubmissionSlot if the entry
+ * isn't saved after all.
+ * @param {string} contestId - Contest identifier
+ * @param {Object} submission - Submission details
+ * @param {string} [submission.submitterId] - Verified submitter id (resolveVoterIdentity), never a body field
+ * @param {string} [submission.promptKey] - Prompt key the entry was made with
+ * @returns {Promise<Object|null>} The contest definition, or null if not registered
+ * @throws {Error} With code SUBMISSIONS_CLOSED, PROMPT_NOT_ALLOWED, SUBMITTER_REQUIRED,
+ *   ENTRY_LIMIT_REACHED or SUBMISSIONS_UNAVAILABLE
+ */
+export async function assertSubmissionAllowed(contestId, { submitterId, promptKey }) {
+  const contest = await getContest(contestId);
+  if (!contest) {
+    return null;
+  }
+
+  const status = getContestStatus(contest);
+  if (status !== 'OPEN') {
+    throw contestError('SUBMISSIONS_CLOSED', status === 'SCHEDULED'
+      ? 'this contest hasn\'t started yet! check back soon ⏳'
+      : 'submissions for this contest are closed 🏁');
+  }
+
+  if (contest.allowedPromptKeys && !contest.allowedPromptKeys.includes(promptKey)) {
+    throw contestError('PROMPT_NOT_ALLOWED', 'that style isn\'t part of this contest, try one of the contest styles 🎨');
+  }
+
+  if (contest.maxEntriesPerUser) {
+    if (!submitterId) {
+      throw contestError('SUBMITTER_REQUIRED', 'hey! just need u to sign in first so we can count ur entries :)');
+    }
+
+    const reserved = await reserveContestEntrySlot(contestId, submitterId, contest.maxEntriesPerUser);
+    if (reserved === null) {
+      // Can't count entries without Redis, so don't take any
+      throw contestError('SUBMISSIONS_UNAVAILABLE', 'entries are paused for a moment, try again soon? 🙏');
+    }
+    if (!reserved) {
+      const max = contest.maxEntriesPerUser;
+      throw contestError('ENTRY_LIMIT_REACHED', `u've already entered ${max} time${max === 1 ? '' : 's'}, that's the max for this contest! 💛`);
+    }
+  }
+
+  return contest;
+}
+
+/**
+ * Give back the entry slot assertSubmissionAllowed took, when saving the entry failed
+ * @param {Object|null} contest - Definition returned by assertSubmissionAllowed
+ * @param {string} [submitterId] - Verified submitter id
+ * @returns {Promise<void>}
+ */
+export async function releaseSubmissionSlot(contest, submitterId) {
+  if (contest?.maxEntriesPerUser && submitterId) {
+    await adjustContestEntryCount(contest.id, submitterId, -1);
+  }
+}
+
+/**
+ * Check that votes are currently accepted. Unregistered contest ids keep the
+ * old always-open behaviour.
+ * @param {string} contestId - Contest identifier
+ * @returns {Promise<Object|null>} The contest definition, or null if not registered
+ * @throws {Error} With code VOTING_CLOSED
+ */
+export async function assertVotingAllowed(contestId) {
+  const contest = await getContest(contestId);
+  if (!contest) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (contest.closedAt || now < contest.votingStartsAt || now >= contest.votingEndsAt) {
+    throw contestError('VOTING_CLOSED', now < contest.votingStartsAt && !contest.closedAt
+      ? 'voting hasn\'t opened yet! check back soon ⏳'
+      : 'voting for this contest is closed 🏁');
+  }
+
+  return contest;
+}
+
+/**
+ * Close a contest: freeze the final standings of approved entries and pick winners.
+ * Ties share a rank, so more than winnerCount entries can win.
+ * @param {string} contestId - Contest identifier
+ * @param {Object} params - Close details
+ * @param {string} params.moderator - Moderator closing the contest
+ * @param {number} [params.winnerCount] - Override the contest's winner count
+ * @returns {Promise<Object|null>} Closed definition (with results), or null if not registered
+ * @throws {Error} With code CONTEST_CLOSED or INVALID_CONTEST
+ */
+export async function closeContest(contestId, { moderator, winnerCount }) {
+  const contest = await getContest(contestId);
+  if (!contest) {
+    return null;
+  }
+  if (contest.closedAt) {
+    throw contestError('CONTEST_CLOSED', 'This contest is already closed');
+  }
+
+  const winners = parseOptionalPositiveInt(winnerCount, 'winnerCount', MAX_WINNER_COUNT) ?? contest.winnerCount;
+  const { entries } = await getContestLeaderboard(contestId, { page: 1, limit: Number.MAX_SAFE_INTEGER });
+
+  const standings = [];
+  for (const [index, entry] of entries.entries()) {
+    const previous = standings[index - 1];
+    standings.push({
+      rank: previous && previous.voteCount === entry.voteCount ? previous.rank : index + 1,
+      entryId: entry.id,
+      username: entry.username,
+      address: entry.address,
+      voteCount: entry.voteCount,
+      prompt: entry.prompt,
+      imageUrl: entry.imageUrl,
+      videoUrl: entry.videoUrl,
+      tweetUrl: entry.tweetUrl,
+      submittedAt: entry.timestamp
+    });
+  }
+
+  const closedAt = Date.now();
+  const closed = {
+    ...contest,
+    closedAt,
+    closedBy: moderator,
+    winnerCount: winners,
+    results: {
+      frozenAt: closedAt,
+      totalEntries: standings.length,
+      totalVotes: standings.reduce((sum, standing) => sum + standing.voteCount, 0),
+      winners: standings
+        .filter(standing => standing.rank <= winners && standing.voteCount > 0)
+        .map(({ address: _address, ...standing }) => standing),
+      standings
+    }
+  };
+
+  await saveDefinition(closed);
+  console.log(`[Contest Registry] ${moderator} closed contest ${contestId} (${standings.length} entries, ${closed.results.winners.length} winners)`);
+  return closed;
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format frozen standings as CSV (one row per approved entry)
+ * @param {Object} contest - Closed contest definition
+ * @returns {string}
+ */
+export function formatStandingsCsv(contest) {
+  const columns = ['rank', 'winner', 'entryId', 'username', 'address', 'voteCount', 'prompt', 'imageUrl', 'videoUrl', 'tweetUrl', 'submittedAt'];
+  const winnerIds = new Set(contest.results.winners.map(winner => winner.entryId));
+
+  const rows = contest.results.standings.map(standing => [
+    standing.rank,
+    winnerIds.has(standing.entryId) ? 'yes' : 'no',
+    standing.entryId,
+    standing.username,
+    standing.address,
+    standing.voteCount,
+    standing.prompt,
+    standing.imageUrl,
+    standing.videoUrl,
+    standing.tweetUrl,
+    new Date(standing.submittedAt).toISOString()
+  ].map(csvField).join(','));
+
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
@@ -1,6 +1,7 @@
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import fs from 'fs/promises';
+import process from 'process';
 import { fileURLToPath } from 'url';
 import {
   redisClient,
@@ -9,8 +10,17 @@ import {
   getContestEntries as redisGetEntries,
   getContestEntry as redisGetEntry,
   getContestStats as redisGetStats,
-  deleteContestEntry as redisDeleteEntry
+  deleteContestEntry as redisDeleteEntry,
+  updateContestEntry as redisUpdateEntry,
+  addContestVote as redisAddVote,
+  removeContestVote as redisRemoveVote,
+  getContestVoteCounts as redisGetVoteCounts,
+  getContestVoters as redisGetVoters,
+  hasContestVote as redisHasVote,
+  adjustContestEntryCount as redisAdjustEntryCount
 } from './redisService.js';
+import { getStorage, storageKey, contentTypeForKey } from './storageService.js';
+import { loadAndNormalizeImage, loadVideo } from './imageValidationService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,6 +28,54 @@ const __dirname = path.dirname(__filename);
 // Use the same uploads directory as imageHosting.js - relative to server's cwd
 const uploadsDir = path.join(process.cwd(), 'uploads');
 
+/**
+ * Moderation lifecycle for contest/gallery entries
+ * New entries start PENDING; only APPROVED entries are ever shown publicly.
+ */
+export const MODERATION_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'HIDDEN'];
+
+// Allowed moves from each status (PENDING is the "reset" target)
+const MODERATION_TRANSITIONS = {
+  PENDING: ['APPROVED', 'REJECTED', 'HIDDEN'],
+  APPROVED: ['HIDDEN', 'REJECTED', 'PENDING'],
+  REJECTED: ['APPROVED', 'PENDING'],
+  HIDDEN: ['APPROVED', 'PENDING']
+};
+
+/**
+ * Check whether an entry may move from one moderation status to another
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean}
+ */
+export function canTransitionModerationStatus(fromStatus, toStatus) {
+  return (MODERATION_TRANSITIONS[fromStatus || 'PENDING'] || []).includes(toStatus);
+}
+
+// Rejected and hidden entries give the submitter their maxEntriesPerUser slot back
+const countsTowardEntryLimit = (status) => status !== 'REJECTED' && status !== 'HIDDEN';
+
+const isModerationEnabled = () => process.env.MODERATION_ENABLED !== 'false';
+
+// With moderation switched off, entries left PENDING from before count as approved
+function withModerationMode(entry) {
+  if (!entry || isModerationEnabled() || (entry.moderationStatus && entry.moderationStatus !== 'PENDING')) {
+    return entry;
+  }
+  return { ...entry, moderationStatus: 'APPROVED', moderatedBy: entry.moderatedBy || 'auto' };
+}
+
+// Stored statuses that read back as the requested one
+function storedStatusesFor(moderationStatus) {
+  if (!moderationStatus || isModerationEnabled()) {
+    return moderationStatus;
+  }
+  if (moderationStatus === 'APPROVED') {
+    return ['APPROVED', 'PENDING', undefined];
+  }
+  return moderationStatus === 'PENDING' ? [] : moderationStatus;
+}
+
 /**
  * Save a contest entry image/video and metadata
  * @param {Object} params - Contest entry parameters
@@ -30,8 +88,10 @@ const uploadsDir = path.join(process.cwd(), 'uploads');
  * @param {string} [params.address] - Wallet address
  * @param {string} [params.tweetId] - Twitter tweet ID
  * @param {string} [params.tweetUrl] - Twitter tweet URL
+ * @param {string} [params.submitterId] - Verified submitter id (counts toward maxEntriesPerUser)
  * @param {Object} [params.metadata] - Additional metadata
  * @returns {Promise<Object>} Contest entry object
+ * @throws {Error} With an IMAGE_ERROR_STATUS code if the image or video is rejected
  */
 export async function saveContestEntry({
   contestId,
@@ -43,6 +103,7 @@ export async function saveContestEntry({
   address,
   tweetId,
   tweetUrl,
+  submitterId,
   metadata = {}
 }) {
   try {
@@ -50,92 +111,37 @@ export async function saveContestEntry({
     const entryId = uuidv4();
     const timestamp = Date.now();
 
-    // Create contest directory if it doesn't exist
+    // Create contest directory if it doesn't exist (holds the metadata backups;
+    // media goes to the configured storage under contest/<contestId>/)
     const contestDir = path.join(uploadsDir, 'contest', contestId);
     await fs.mkdir(contestDir, { recursive: true });
+    const storage = getStorage();
 
-    // Save image file
+    // Save image file (validated, re-encoded and stripped of EXIF/GPS metadata;
+    // remote URLs are only fetched from public hosts)
     let imageFilename = null;
-    let savedImagePath = null;
+    let imageKey = null;
     
     if (imageUrl) {
-      // Extract image data from data URL or download from URL
-      if (imageUrl.startsWith('data:')) {
-        // Data URL - extract and save
-        const matches = imageUrl.match(/^data:image\/([a-zA-Z0-9]+);base64,(.+)$/);
-        if (matches) {
-          const ext = matches[1] === 'jpeg' ? 'jpg' : matches[1]; // Normalize jpeg to jpg
-          const base64Data = matches[2];
-          imageFilename = `${entryId}.${ext}`;
-          savedImagePath = path.join(contestDir, imageFilename);
-          
-          await fs.writeFile(savedImagePath, Buffer.from(base64Data, 'base64'));
-          console.log(`[Contest] Saved data URL image to ${savedImagePath} (size: ${base64Data.length} chars)`);
-        } else {
-          console.error('[Contest] Failed to parse data URL format:', imageUrl.substring(0, 100));
-        }
-      } else {
-        // Regular URL - download and save
-        try {
-          const response = await fetch(imageUrl);
-          const buffer = await response.arrayBuffer();
-          
-          // Try to determine extension from content-type
-          const contentType = response.headers.get('content-type');
-          const ext = contentType?.includes('png') ? 'png' : 'jpg';
-          
-          imageFilename = `${entryId}.${ext}`;
-          savedImagePath = path.join(contestDir, imageFilename);
-          
-          await fs.writeFile(savedImagePath, Buffer.from(buffer));
-          console.log(`[Contest] Downloaded and saved image to ${savedImagePath}`);
-        } catch (downloadError) {
-          console.error('[Contest] Failed to download image:', downloadError);
-          // Continue without image file
-        }
-      }
+      const image = await loadAndNormalizeImage(imageUrl);
+      imageFilename = `${entryId}.${image.extension}`;
+      imageKey = storageKey('contest', contestId, imageFilename);
+      
+      await storage.put(imageKey, image.buffer, { contentType: image.contentType });
+      console.log(`[Contest] Saved image to ${imageKey} (${image.width}x${image.height}, ${image.buffer.length} bytes)`);
     }
 
     // Save video file if provided
     let videoFilename = null;
-    let savedVideoPath = null;
+    let videoKey = null;
     
     if (videoUrl && isVideo) {
-      // Extract video data from data URL or download from URL
-      if (videoUrl.startsWith('data:')) {
-        // Data URL - extract and save
-        const matches = videoUrl.match(/^data:video\/([a-zA-Z0-9]+);base64,(.+)$/);
-        if (matches) {
-          const ext = matches[1]; // e.g., 'mp4'
-          const base64Data = matches[2];
-          videoFilename = `${entryId}-video.${ext}`;
-          savedVideoPath = path.join(contestDir, videoFilename);
-          
-          await fs.writeFile(savedVideoPath, Buffer.from(base64Data, 'base64'));
-          console.log(`[Contest] Saved data URL video to ${savedVideoPath} (size: ${base64Data.length} chars)`);
-        } else {
-          console.error('[Contest] Failed to parse video data URL format:', videoUrl.substring(0, 100));
-        }
-      } else {
-        // Regular URL - download and save
-        try {
-          const response = await fetch(videoUrl);
-          const buffer = await response.arrayBuffer();
-          
-          // Try to determine extension from content-type
-          const contentType = response.headers.get('content-type');
-          const ext = contentType?.includes('webm') ? 'webm' : 'mp4';
-          
-          videoFilename = `${entryId}-video.${ext}`;
-          savedVideoPath = path.join(contestDir, videoFilename);
-          
-          await fs.writeFile(savedVideoPath, Buffer.from(buffer));
-          console.log(`[Contest] Downloaded and saved video to ${savedVideoPath}`);
-        } catch (downloadError) {
-          console.error('[Contest] Failed to download video:', downloadError);
-          // Continue without video file
-        }
-      }
+      const video = await loadVideo(videoUrl);
+      videoFilename = `${entryId}-video.${video.extension}`;
+      videoKey = storageKey('contest', contestId, videoFilename);
+      
+      await storage.put(videoKey, video.buffer, { contentType: contentTypeForKey(videoFilename) });
+      console.log(`[Contest] Saved video to ${videoKey} (${video.buffer.length} bytes)`);
     }
 
     // Determine the API base URL based on CLIENT_ORIGIN (same pattern as static file serving)
@@ -159,16 +165,20 @@ export async function saveContestEntry({
       prompt,
       username: username || 'Anonymous',
       address: address || null,
+      submitterId: submitterId || null,
       tweetId: tweetId || null,
       tweetUrl: tweetUrl || null,
       imageFilename,
-      imagePath: savedImagePath,
+      imageKey,
       imageUrl: imageFilename ? `${apiBaseUrl}/api/contest/${contestId}/image/${imageFilename}` : null,
       videoFilename: videoFilename || null,
-      videoPath: savedVideoPath || null,
+      videoKey,
       videoUrl: videoFilename ? `${apiBaseUrl}/api/contest/${contestId}/image/${videoFilename}` : null,
       isVideo: isVideo || false,
-      moderationStatus: 'PENDING',
+      // With moderation switched off, entries are auto-approved so public
+      // listings can still rely on APPROVED alone
+      moderationStatus: isModerationEnabled() ? 'PENDING' : 'APPROVED',
+      moderatedBy: isModerationEnabled() ? null : 'auto',
       metadata: {
         ...metadata,
         submittedAt: new Date(timestamp).toISOString()
@@ -215,8 +225,11 @@ export async function getContestEntries(contestId, options = {}) {
   } = options;
 
   try {
-    if (redisReady()) {
-      return await redisGetEntries(contestId, { page, limit, sortBy, order, moderationStatus });
+    if (redisReady() && sortBy === 'votes') {
+      return await getContestLeaderboard(contestId, { page, limit, moderationStatus });
+    } else if (redisReady()) {
+      const result = await redisGetEntries(contestId, { page, limit, sortBy, order, moderationStatus: storedStatusesFor(moderationStatus) });
+      return { ...result, entries: result.entries.map(withModerationMode) };
     } else {
       // Fallback to filesystem
       const contestDir = path.join(uploadsDir, 'contest', contestId);
@@ -241,7 +254,7 @@ export async function getContestEntries(contestId, options = {}) {
       let entries = [];
       for (const file of jsonFiles) {
         const content = await fs.readFile(path.join(contestDir, file), 'utf-8');
-        entries.push(JSON.parse(content));
+        entries.push(withModerationMode(JSON.parse(content)));
       }
 
       // Filter by moderation status if specified
@@ -304,12 +317,12 @@ export async function getContestEntries(contestId, options = {}) {
 export async function getContestEntry(contestId, entryId) {
   try {
     if (redisReady()) {
-      return await redisGetEntry(contestId, entryId);
+      return withModerationMode(await redisGetEntry(contestId, entryId));
     } else {
       // Fallback to filesystem
       const metadataPath = path.join(uploadsDir, 'contest', contestId, `${entryId}.json`);
       const content = await fs.readFile(metadataPath, 'utf-8');
-      return JSON.parse(content);
+      return withModerationMode(JSON.parse(content));
     }
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -384,6 +397,10 @@ export async function getContestStats(contestId) {
 export async function deleteContestEntry(contestId, entryId) {
   try {
     if (redisReady()) {
+      const entry = await redisGetEntry(contestId, entryId);
+      if (entry?.submitterId && countsTowardEntryLimit(entry.moderationStatus)) {
+        await redisAdjustEntryCount(contestId, entry.submitterId, -1);
+      }
       return await redisDeleteEntry(contestId, entryId);
     }
     // No filesystem-only delete needed as the route handles file deletion
@@ -394,3 +411,160 @@ export async function deleteContestEntry(contestId, entryId) {
   }
 }
 
+
+/**
+ * Persist changes to an existing contest entry (Redis + JSON backup file)
+ * @param {string} contestId - Contest identifier
+ * @param {Object} entry - Updated entry object
+ * @returns {Promise<Object>} The persisted entry
+ */
+export async function persistContestEntry(contestId, entry) {
+  if (redisReady()) {
+    await redisUpdateEntry(contestId, entry.id, entry);
+  }
+
+  const contestDir = path.join(uploadsDir, 'contest', contestId);
+  await fs.mkdir(contestDir, { recursive: true });
+  await fs.writeFile(path.join(contestDir, `${entry.id}.json`), JSON.stringify(entry, null, 2));
+
+  return entry;
+}
+
+/**
+ * Move a contest entry through the moderation lifecycle
+ * @param {string} contestId - Contest identifier
+ * @param {string} entryId - Entry ID
+ * @param {string} moderationStatus - Target status (PENDING, APPROVED, REJECTED, HIDDEN)
+ * @param {Object} params - Moderation details
+ * @param {string} params.moderator - Moderator performing the change
+ * @param {string} [params.reason] - Optional reason (shown in the audit log)
+ * @returns {Promise<{entry: Object, previousStatus: string}|null>} Updated entry, or null if not found
+ * @throws {Error} With code INVALID_STATUS or INVALID_TRANSITION
+ */
+export async function updateModerationStatus(contestId, entryId, moderationStatus, { moderator, reason = null }) {
+  if (!MODERATION_STATUSES.includes(moderationStatus)) {
+    const error = new Error(`Invalid moderation status: ${moderationStatus}`);
+    error.code = 'INVALID_STATUS';
+    throw error;
+  }
+
+  const entry = await getContestEntry(contestId, entryId);
+  if (!entry) {
+    return null;
+  }
+
+  const previousStatus = entry.moderationStatus || 'PENDING';
+  if (!canTransitionModerationStatus(previousStatus, moderationStatus)) {
+    const error = new Error(`Cannot move entry from ${previousStatus} to ${moderationStatus}`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  entry.moderationStatus = moderationStatus;
+  entry.moderatedAt = Date.now();
+  entry.moderatedBy = moderator;
+  entry.moderationReason = reason;
+
+  await persistContestEntry(contestId, entry);
+  const wasCounted = countsTowardEntryLimit(previousStatus);
+  if (entry.submitterId && wasCounted !== countsTowardEntryLimit(moderationStatus)) {
+    await redisAdjustEntryCount(contestId, entry.submitterId, wasCounted ? -1 : 1);
+  }
+  console.log(`[Contest] ${moderator} moved ${contestId}:${entryId} from ${previousStatus} to ${moderationStatus}`);
+
+  return { entry, previousStatus };
+}
+
+const MAX_VOTERS_LISTED = 100;
+
+function votingUnavailableError() {
+  const error = new Error('Voting is temporarily unavailable');
+  error.code = 'VOTING_UNAVAILABLE';
+  return error;
+}
+
+/**
+ * Record a vote from a verified voter. Votes live in a Redis set per entry so
+ * dedupe is atomic; there is deliberately no filesystem fallback.
+ * @param {string} contestId - Contest identifier
+ * @param {string} entryId - Entry ID
+ * @param {Object} voter - Verified voter from resolveVoterIdentity
+ * @returns {Promise<{added: boolean, voteCount: number}>}
+ * @throws {Error} With code VOTING_UNAVAILABLE when Redis is down
+ */
+export async function castContestVote(contestId, entryId, voter) {
+  const result = redisReady() ? await redisAddVote(contestId, entryId, voter) : null;
+  if (!result) {
+    throw votingUnavailableError();
+  }
+  return result;
+}
+
+/**
+ * Remove a verified voter's vote
+ * @param {string} contestId - Contest identifier
+ * @param {string} entryId - Entry ID
+ * @param {Object} voter - Verified voter from resolveVoterIdentity
+ * @returns {Promise<{removed: boolean, voteCount: number}>}
+ * @throws {Error} With code VOTING_UNAVAILABLE when Redis is down
+ */
+export async function retractContestVote(contestId, entryId, voter) {
+  const result = redisReady() ? await redisRemoveVote(contestId, entryId, voter.id) : null;
+  if (!result) {
+    throw votingUnavailableError();
+  }
+  return result;
+}
+
+/**
+ * Attach vote information to entries for API responses
+ * Replaces the legacy per-entry `votes` array with voteCount/voters/hasVoted.
+ * @param {string} contestId - Contest identifier
+ * @param {Array} entries - Contest entries
+ * @param {Object|null} voter - Verified voter (for hasVoted), if any
+ * @returns {Promise<Array>} Entries with vote info
+ */
+export async function attachVoteInfo(contestId, entries, voter = null) {
+  const voteCounts = await redisGetVoteCounts(contestId, entries.map(entry => entry.id));
+
+  return Promise.all(entries.map(async ({ votes: _legacyVotes, ...entry }) => {
+    const voteCount = voteCounts[entry.id] || 0;
+    const voters = voteCount > 0 ? await redisGetVoters(contestId, entry.id) : [];
+    return {
+      ...entry,
+      voteCount,
+      voters: voters.slice(0, MAX_VOTERS_LISTED).map(v => v.displayName),
+      hasVoted: voter ? await redisHasVote(contestId, entry.id, voter.id) : false
+    };
+  }));
+}
+
+/**
+ * Get entries ranked by vote count (ties broken by newest first)
+ * @param {string} contestId - Contest identifier
+ * @param {Object} options - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Entries per page
+ * @param {string} [options.moderationStatus='APPROVED'] - Only rank entries with this status
+ * @returns {Promise<Object>} Paginated, ranked entries (each with voteCount and rank)
+ */
+export async function getContestLeaderboard(contestId, { page = 1, limit = 20, moderationStatus = 'APPROVED' } = {}) {
+  const entries = redisReady()
+    ? (await redisGetEntries(contestId, { page: 1, limit: Number.MAX_SAFE_INTEGER, moderationStatus: storedStatusesFor(moderationStatus) })).entries.map(withModerationMode)
+    : (await getContestEntries(contestId, { page: 1, limit: Number.MAX_SAFE_INTEGER, moderationStatus })).entries;
+
+  const voteCounts = await redisGetVoteCounts(contestId, entries.map(entry => entry.id));
+  const ranked = entries
+    .map(entry => ({ ...entry, voteCount: voteCounts[entry.id] || 0 }))
+    .sort((a, b) => (b.voteCount - a.voteCount) || (b.timestamp - a.timestamp))
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+
+  const start = (page - 1) * limit;
+  return {
+    entries: ranked.slice(start, start + limit),
+    total: ranked.length,
+    page,
+    limit,
+    totalPages: Math.ceil(ranked.length / limit)
+  };
+}
@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+import {
+  redisReady,
+  getExtensionGalleryEntries as redisGetEntries,
+  storeExtensionGalleryEntries as redisStoreEntries
+} from './redisService.js';
+
+/**
+ * Account-wide index of the images the browser extension has converted, so
+ * every device signed in to the same account can browse them.
+ *
+ * Entries are merged by ID, newest updatedAt wins. Deletions are kept as
+ * tombstones (deletedAt set) for TOMBSTONE_TTL_MS so other devices learn
+ * about them on their next sync instead of uploading the entry again.
+ */
+
+export const MAX_GALLERY_ENTRIES = 1000;
+export const MAX_SYNC_ENTRIES = 500;
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Clients' clocks drift; an entry can't claim to be edited further ahead than this
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const ENTRY_ID_PATTERN = /^[A-Za-z0-9_-]{1,160}$/;
+const MAX_URL_LENGTH = 2048;
+
+// File store, only used while Redis is down
+const galleryDir = path.join(process.cwd(), 'uploads', 'extension-galleries');
+
+// accountId -> tail of that account's sync chain, so two devices syncing at
+// once can't overwrite each other's merge
+const accountQueues = new Map();
+
+function galleryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function galleryFile(accountId) {
+  const accountHash = crypto.createHash('sha256').update(accountId).digest('hex');
+  return path.join(galleryDir, `${accountHash}.json`);
+}
+
+async function readGalleryFile(accountId) {
+  try {
+    return JSON.parse(await fs.readFile(galleryFile(accountId), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function loadEntries(accountId) {
+  const entries = redisReady() ? await redisGetEntries(accountId) : undefined;
+  return entries ?? readGalleryFile(accountId);
+}
+
+async function saveEntries(accountId, allEntries, changedEntries, removedIds) {
+  if (redisReady() && await redisStoreEntries(accountId, changedEntries, removedIds)) {
+    return;
+  }
+  console.warn('[Extension Gallery] Redis not available, saving gallery to file store');
+  await fs.mkdir(galleryDir, { recursive: true });
+  await fs.writeFile(galleryFile(accountId), JSON.stringify(allEntries));
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) {
+    return false;
+  }
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+function optionalString(value, maxLength) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+function timestamp(value) {
+  const time = Number(value);
+  return Number.isFinite(time) && time > 0 ? Math.min(time, Date.now() + MAX_CLOCK_SKEW_MS) : null;
+}
+
+/**
+ * Check an entry sent by the extension and keep only known fields
+ * @param {Object} input - Entry from the request body
+ * @returns {Object|null} Clean entry, or null if it isn't valid
+ */
+function sanitizeEntry(input) {
+  if (!input || typeof input !== 'object' || !ENTRY_ID_PATTERN.test(input.id || '')) {
+    return null;
+  }
+
+  const updatedAt = timestamp(input.updatedAt);
+  if (!updatedAt) {
+    return null;
+  }
+
+  // A tombstone only needs to say which entry went away
+  const deletedAt = timestamp(input.deletedAt);
+  if (deletedAt) {
+    return { id: input.id, updatedAt, deletedAt };
+  }
+
+  const styleKey = optionalString(input.styleKey, 100);
+  const hostname = optionalString(input.hostname, 253);
+  if (!isHttpUrl(input.originalUrl) || !isHttpUrl(input.transformedUrl) || !styleKey || !hostname) {
+    return null;
+  }
+
+  return {
+    id: input.id,
+    originalUrl: input.originalUrl,
+    transformedUrl: input.transformedUrl,
+    styleKey,
+    styleDisplayName: optionalString(input.styleDisplayName, 120) || styleKey,
+    stylePrompt: optionalString(input.stylePrompt, 2000),
+    hostname: hostname.toLowerCase(),
+    pageUrl: isHttpUrl(input.pageUrl) ? input.pageUrl : null,
+    createdAt: timestamp(input.createdAt) || updatedAt,
+    updatedAt,
+    deletedAt: null
+  };
+}
+
+function runForAccount(accountId, task) {
+  const previous = accountQueues.get(accountId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  accountQueues.set(accountId, run);
+  run.finally(() => {
+    if (accountQueues.get(accountId) === run) {
+      accountQueues.delete(accountId);
+    }
+  }).catch(() => {});
+  return run;
+}
+
+/**
+ * Get an account's gallery
+ * @param {string} accountId - Verified account ID
+ * @returns {Promise<Array>} Entries, including tombstones
+ */
+export async function getExtensionGallery(accountId) {
+  return loadEntries(accountId);
+}
+
+/**
+ * Merge a device's entries into the account's gallery
+ * @param {string} accountId - Verified account ID
+ * @param {Array} entries - Entries and tombstones from the device
+ * @returns {Promise<{entries: Array, rejected: string[]}>} The merged gallery (tombstones included)
+ *   and the IDs of entries that weren't valid
+ * @throws {Error} With code INVALID_GALLERY_SYNC or TOO_MANY_ENTRIES
+ */
+export function syncExtensionGallery(accountId, entries) {
+  if (!Array.isArray(entries)) {
+    throw galleryError('INVALID_GALLERY_SYNC', 'entries must be an array');
+  }
+  if (entries.length > MAX_SYNC_ENTRIES) {
+    throw galleryError('TOO_MANY_ENTRIES', `Send at most ${MAX_SYNC_ENTRIES} entries per sync`);
+  }
+
+  return runForAccount(accountId, async () => {
+    const stored = new Map((await loadEntries(accountId)).map(entry => [entry.id, entry]));
+    const changed = new Map();
+    const rejected = [];
+
+    for (const input of entries) {
+      const entry = sanitizeEntry(input);
+      if (!entry) {
+        rejected.push(typeof input?.id === 'string' ? input.id : null);
+        continue;
+      }
+      const current = stored.get(entry.id);
+      if (!current || entry.updatedAt > current.updatedAt) {
+        stored.set(entry.id, entry);
+        changed.set(entry.id, entry);
+      }
+    }
+
+    const now = Date.now();
+    const removedIds = [];
+    for (const entry of stored.values()) {
+      if (entry.deletedAt && now - entry.deletedAt > TOMBSTONE_TTL_MS) {
+        stored.delete(entry.id);
+        changed.delete(entry.id);
+        removedIds.push(entry.id);
+      }
+    }
+
+    // Over the limit, the oldest conversions become tombstones so devices drop them too
+    const live = [...stored.values()].filter(entry => !entry.deletedAt);
+    if (live.length > MAX_GALLERY_ENTRIES) {
+      live.sort((a, b) => a.createdAt - b.createdAt)
+        .slice(0, live.length - MAX_GALLERY_ENTRIES)
+        .forEach(entry => {
+          const tombstone = { id: entry.id, updatedAt: now, deletedAt: now };
+          stored.set(entry.id, tombstone);
+          changed.set(entry.id, tombstone);
+        });
+    }
+
+    if (changed.size > 0 || removedIds.length > 0) {
+      await saveEntries(accountId, [...stored.values()], [...changed.values()], removedIds);
+      console.log(`[Extension Gallery] ${accountId}: ${changed.size} changed, ${removedIds.length} pruned, ${stored.size} total`);
+    }
+
+    return { entries: [...stored.values()], rejected };
+  });
+}
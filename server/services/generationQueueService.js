@@ -0,0 +1,222 @@
+import process from 'process';
+
+/**
+ * Admission control for projects sent to the Sogni network.
+ *
+ * Every generation route runs its project through this queue. At most
+ * GENERATION_QUEUE_CONCURRENCY projects run at once, and at most
+ * GENERATION_QUEUE_MAX_PER_SESSION of them from any one session, so a guest's
+ * 16-image batch can't starve a kiosk's enhancement. Waiting projects start
+ * in priority order (interactive, then standard, then bulk), and within a
+ * priority the session with the least running (then the one served longest
+ * ago) goes next. Waiting projects hear their position through onQueueUpdate.
+ */
+
+export const GENERATION_PRIORITIES = {
+  interactive: 0, // Enhance, refresh: a guest is staring at one photo
+  standard: 1, // Batches, videos, audio
+  bulk: 2 // Montages and 360 transitions
+};
+
+const positiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+};
+
+const CONCURRENCY = positiveInt(process.env.GENERATION_QUEUE_CONCURRENCY, 10);
+const MAX_PER_SESSION = positiveInt(process.env.GENERATION_QUEUE_MAX_PER_SESSION, 2);
+
+// Waiting jobs, in arrival order
+const queue = [];
+// sessionId -> running project count
+const runningBySession = new Map();
+// sessionId -> turn the session last started a project on
+const lastTurnBySession = new Map();
+let running = 0;
+let turnCounter = 0;
+let arrivalCounter = 0;
+
+/**
+ * Queue priority for a generation request, judged from its params so a
+ * client can't jump the line by claiming to be interactive
+ * @param {string} route - 'generate', 'generate-video', 'generate-audio' or 'generate-angle'
+ * @param {Object} params - Request body
+ * @returns {string} Key of GENERATION_PRIORITIES
+ */
+export function getGenerationPriority(route, params = {}) {
+  if (route === 'generate') {
+    const isEnhancement = params.startingImage !== undefined;
+    const isSingleImage = (parseInt(params.numberImages, 10) || 1) <= 1;
+    return isEnhancement || isSingleImage ? 'interactive' : 'standard';
+  }
+  if (route === 'generate-video' && params.referenceImageEnd) {
+    // Only transitions between two frames (montages, 360s) have an end frame
+    return 'bulk';
+  }
+  return 'standard';
+}
+
+function compareJobs(a, b, runningCounts, lastTurns) {
+  return (GENERATION_PRIORITIES[a.priority] - GENERATION_PRIORITIES[b.priority])
+    || ((runningCounts.get(a.sessionId) || 0) - (runningCounts.get(b.sessionId) || 0))
+    || ((lastTurns.get(a.sessionId) ?? -1) - (lastTurns.get(b.sessionId) ?? -1))
+    || (a.arrival - b.arrival);
+}
+
+function pickNext(jobs, runningCounts, lastTurns, respectSessionLimit) {
+  let best = null;
+  for (const job of jobs) {
+    if (respectSessionLimit && (runningCounts.get(job.sessionId) || 0) >= MAX_PER_SESSION) {
+      continue;
+    }
+    if (!best || compareJobs(job, best, runningCounts, lastTurns) < 0) {
+      best = job;
+    }
+  }
+  return best;
+}
+
+// Order waiting jobs will start in, assuming running ones finish first
+function startOrder() {
+  const runningCounts = new Map(runningBySession);
+  const lastTurns = new Map(lastTurnBySession);
+  const remaining = [...queue];
+  const order = [];
+  let turn = turnCounter;
+
+  while (remaining.length > 0) {
+    const next = pickNext(remaining, runningCounts, lastTurns, false);
+    remaining.splice(remaining.indexOf(next), 1);
+    order.push(next);
+    runningCounts.set(next.sessionId, (runningCounts.get(next.sessionId) || 0) + 1);
+    lastTurns.set(next.sessionId, ++turn);
+  }
+  return order;
+}
+
+function reportPositions() {
+  const order = startOrder();
+  order.forEach((job, index) => {
+    const queuePosition = index + 1;
+    if (job.queuePosition !== queuePosition) {
+      job.queuePosition = queuePosition;
+      job.onQueueUpdate?.({ queuePosition, queueLength: order.length });
+    }
+  });
+}
+
+function finish(job) {
+  running--;
+  const remaining = (runningBySession.get(job.sessionId) || 1) - 1;
+  if (remaining > 0) {
+    runningBySession.set(job.sessionId, remaining);
+  } else {
+    runningBySession.delete(job.sessionId);
+    if (!queue.some(waiting => waiting.sessionId === job.sessionId)) {
+      lastTurnBySession.delete(job.sessionId);
+    }
+  }
+  pump();
+}
+
+function start(job) {
+  running++;
+  runningBySession.set(job.sessionId, (runningBySession.get(job.sessionId) || 0) + 1);
+  lastTurnBySession.set(job.sessionId, ++turnCounter);
+
+  if (job.queuePosition) {
+    console.log(`[Generation Queue] ${job.projectId} starting after ${Math.round((Date.now() - job.enqueuedAt) / 1000)}s in line`);
+    job.onQueueUpdate?.({ queuePosition: 0, queueLength: queue.length });
+  }
+
+  Promise.resolve()
+    .then(job.run)
+    .then(job.resolve, job.reject)
+    .finally(() => finish(job));
+}
+
+function pump() {
+  while (running < CONCURRENCY) {
+    const next = pickNext(queue, runningBySession, lastTurnBySession, true);
+    if (!next) {
+      break;
+    }
+    queue.splice(queue.indexOf(next), 1);
+    start(next);
+  }
+  reportPositions();
+}
+
+/**
+ * Run a project when the queue lets it start
+ * @param {Object} job - Who is asking
+ * @param {string} job.projectId - Local project ID
+ * @param {string} job.sessionId - Owning session
+ * @param {string} [job.priority='standard'] - Key of GENERATION_PRIORITIES
+ * @param {Function} [job.onQueueUpdate] - Called with { queuePosition, queueLength } while waiting, and queuePosition 0 on start
+ * @param {Function} run - Starts the project; resolves once it has finished
+ * @returns {Promise<*>} run's result, or undefined if cancelled while waiting
+ */
+export function scheduleGeneration({ projectId, sessionId, priority = 'standard', onQueueUpdate }, run) {
+  if (!(priority in GENERATION_PRIORITIES)) {
+    throw new Error(`Unknown generation priority: ${priority}`);
+  }
+
+  return new Promise((resolve, reject) => {
+    queue.push({
+      projectId,
+      sessionId,
+      priority,
+      onQueueUpdate,
+      run,
+      resolve,
+      reject,
+      arrival: ++arrivalCounter,
+      enqueuedAt: Date.now(),
+      queuePosition: 0
+    });
+    pump();
+
+    const waiting = queue.find(job => job.projectId === projectId);
+    if (waiting) {
+      console.log(`[Generation Queue] ${projectId} (${priority}) waiting at position ${waiting.queuePosition}, ${running}/${CONCURRENCY} running`);
+    }
+  });
+}
+
+/**
+ * Drop a project that hasn't started yet. Only the session that queued it
+ * can cancel it.
+ * @param {string} projectId - Local project ID
+ * @param {string} sessionId - Session asking to cancel
+ * @returns {boolean} Whether it was waiting for this session
+ */
+export function cancelQueuedGeneration(projectId, sessionId) {
+  const index = queue.findIndex(job => job.projectId === projectId && job.sessionId === sessionId);
+  if (index === -1) {
+    return false;
+  }
+  const [job] = queue.splice(index, 1);
+  console.log(`[Generation Queue] ${projectId} cancelled while waiting`);
+  job.resolve(undefined);
+  reportPositions();
+  return true;
+}
+
+/**
+ * Snapshot for the health check
+ * @returns {{running: number, waiting: number, concurrency: number, maxPerSession: number, waitingByPriority: Object}}
+ */
+export function getGenerationQueueStats() {
+  const waitingByPriority = Object.fromEntries(Object.keys(GENERATION_PRIORITIES).map(priority => [priority, 0]));
+  queue.forEach(job => {
+    waitingByPriority[job.priority]++;
+  });
+  return {
+    running,
+    waiting: queue.length,
+    concurrency: CONCURRENCY,
+    maxPerSession: MAX_PER_SESSION,
+    waitingByPriority
+  };
+}
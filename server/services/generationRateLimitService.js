@@ -0,0 +1,178 @@
+import process from 'process';
+import { consumeTokenBucket } from './rateLimitService.js';
+import { resolveVoterIdentity, resolveSogniPremium } from './voterIdentityService.js';
+
+/**
+ * Token-bucket limits for the generation endpoints, so no single guest can
+ * flood the shared Sogni client with projects. Each request takes tokens for
+ * the work it asks for (see GENERATION_COSTS) from its caller's bucket (per
+ * account when signed in, otherwise per session) and from its IP's bucket,
+ * which is roomier because a whole venue can share one address.
+ *
+ * The session cookie is the client's to drop, so for anonymous callers the IP
+ * bucket is the real cap; the session bucket only keeps one guest from using
+ * up a shared venue's allowance.
+ *
+ * Limits are per route and tier, as a burst capacity plus a refill rate.
+ * Override them with GENERATION_RATE_LIMITS=route:tier:capacity/perMinute,...
+ * (e.g. generate:anonymous:40/30,generate-video:ip:30/20), or set it to "off".
+ */
+
+export const RATE_LIMIT_TIERS = ['anonymous', 'loggedIn', 'premium', 'ip'];
+
+const DEFAULT_GENERATION_RATE_LIMITS = {
+  // Images (a default batch is 8, the most a project can ask for is 16)
+  generate: {
+    anonymous: { capacity: 32, refillPerMinute: 24 },
+    loggedIn: { capacity: 80, refillPerMinute: 60 },
+    premium: { capacity: 160, refillPerMinute: 120 },
+    ip: { capacity: 240, refillPerMinute: 160 }
+  },
+  // Video clips, per started VIDEO_SECONDS_PER_TOKEN of length
+  'generate-video': {
+    anonymous: { capacity: 3, refillPerMinute: 2 },
+    loggedIn: { capacity: 6, refillPerMinute: 4 },
+    premium: { capacity: 12, refillPerMinute: 8 },
+    ip: { capacity: 20, refillPerMinute: 12 }
+  },
+  'generate-audio': {
+    anonymous: { capacity: 4, refillPerMinute: 3 },
+    loggedIn: { capacity: 8, refillPerMinute: 6 },
+    premium: { capacity: 16, refillPerMinute: 12 },
+    ip: { capacity: 24, refillPerMinute: 16 }
+  },
+  'generate-angle': {
+    anonymous: { capacity: 6, refillPerMinute: 4 },
+    loggedIn: { capacity: 12, refillPerMinute: 8 },
+    premium: { capacity: 24, refillPerMinute: 16 },
+    ip: { capacity: 40, refillPerMinute: 24 }
+  }
+};
+
+const OVERRIDES = (process.env.GENERATION_RATE_LIMITS || '').trim();
+const RATE_LIMITS_ENABLED = OVERRIDES.toLowerCase() !== 'off';
+
+function parseRateLimitOverrides(value) {
+  const limits = structuredClone(DEFAULT_GENERATION_RATE_LIMITS);
+  if (!RATE_LIMITS_ENABLED) {
+    return limits;
+  }
+
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const match = entry.match(/^([\w-]+):(\w+):(\d+)\/(\d+(?:\.\d+)?)$/);
+    const [, route, tier, capacity, refillPerMinute] = match || [];
+    if (!match || !limits[route] || !RATE_LIMIT_TIERS.includes(tier) || Number(capacity) < 1 || Number(refillPerMinute) <= 0) {
+      console.warn(`[Rate Limit] Ignoring invalid GENERATION_RATE_LIMITS entry: ${entry}`);
+      return;
+    }
+    limits[route][tier] = { capacity: Number(capacity), refillPerMinute: Number(refillPerMinute) };
+  });
+  return limits;
+}
+
+export const GENERATION_RATE_LIMITS = parseRateLimitOverrides(OVERRIDES);
+
+const VIDEO_SECONDS_PER_TOKEN = 5;
+const DEFAULT_VIDEO_FPS = 16;
+
+const atLeastOne = (value) => Math.max(parseInt(value, 10) || 1, 1);
+
+// Tokens a request takes, from its body; routes not listed take one
+const GENERATION_COSTS = {
+  generate: (body) => atLeastOne(body.numberImages),
+  'generate-video': (body) => {
+    // Video models take frames as duration * fps + 1
+    const seconds = ((Number(body.frames) || 1) - 1) / (Number(body.fps) || DEFAULT_VIDEO_FPS);
+    return atLeastOne(body.numberOfMedia) * atLeastOne(Math.ceil(seconds / VIDEO_SECONDS_PER_TOKEN));
+  }
+};
+
+/**
+ * Tokens a generation request takes
+ * @param {string} route - Key of GENERATION_RATE_LIMITS
+ * @param {Object} [body] - Request body
+ * @returns {number}
+ */
+export function getGenerationCost(route, body = {}) {
+  return GENERATION_COSTS[route] ? GENERATION_COSTS[route](body || {}) : 1;
+}
+
+// Seconds for an empty bucket to fill back up
+const refillWindow = ({ capacity, refillPerMinute }) => Math.ceil(capacity / refillPerMinute * 60);
+
+/**
+ * Which tier and bucket a request counts against. Both signing in and premium
+ * balance are verified with the Sogni API; request body flags are ignored.
+ * @param {Object} req - Express request (after ensureSessionId)
+ * @returns {Promise<{tier: string, subject: string}>}
+ */
+export async function resolveRateLimitTier(req) {
+  const identity = await resolveVoterIdentity(req).catch(() => null);
+  if (identity) {
+    return {
+      tier: identity.provider === 'sogni' && await resolveSogniPremium(req) ? 'premium' : 'loggedIn',
+      subject: `account:${identity.id}`
+    };
+  }
+  return { tier: 'anonymous', subject: `session:${req.sessionId}` };
+}
+
+function setRateLimitHeaders(res, limit, policies) {
+  res.set({
+    'RateLimit-Limit': String(limit.limit),
+    'RateLimit-Remaining': String(limit.remaining),
+    'RateLimit-Reset': String(limit.allowed ? limit.resetAfter : limit.retryAfter),
+    'RateLimit-Policy': policies.map(policy => `${policy.capacity};w=${refillWindow(policy)}`).join(', ')
+  });
+}
+
+/**
+ * Middleware: rate limit a generation route, reporting the tighter of the
+ * caller and IP buckets in RateLimit-* headers.
+ * @param {string} route - Key of GENERATION_RATE_LIMITS (e.g. 'generate-video')
+ */
+export function limitGeneration(route) {
+  const limits = GENERATION_RATE_LIMITS[route];
+  if (!limits) {
+    throw new Error(`No generation rate limits for route: ${route}`);
+  }
+
+  return async (req, res, next) => {
+    if (!RATE_LIMITS_ENABLED) {
+      return next();
+    }
+
+    try {
+      const { tier, subject } = await resolveRateLimitTier(req);
+      // Capped at the bucket size, so an oversized request waits for a full
+      // bucket instead of never fitting
+      const cost = getGenerationCost(route, req.body);
+      const callerLimit = await consumeTokenBucket(`${route}:${subject}`, { ...limits[tier], cost: Math.min(cost, limits[tier].capacity) });
+      // A caller who is already limited doesn't use up the venue's IP bucket
+      const ipLimit = callerLimit.allowed
+        ? await consumeTokenBucket(`${route}:ip:${req.ip}`, { ...limits.ip, cost: Math.min(cost, limits.ip.capacity) })
+        : null;
+
+      const binding = !ipLimit || (ipLimit.allowed && ipLimit.remaining >= callerLimit.remaining) ? callerLimit : ipLimit;
+      setRateLimitHeaders(res, binding, [limits[tier], limits.ip]);
+
+      if (!binding.allowed) {
+        console.warn(`[Rate Limit] ${route} (cost ${cost}) limited for ${binding === ipLimit ? `ip:${req.ip}` : subject} (${tier}), retry in ${binding.retryAfter}s`);
+        res.set('Retry-After', String(binding.retryAfter));
+        return res.status(429).json({
+          error: 'Rate limit exceeded',
+          code: 'RATE_LIMITED',
+          message: `whoa, slow down! the robots need a sec to catch up 🐢 try again in ${binding.retryAfter}s`,
+          retryAfter: binding.retryAfter,
+          tier
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never block generation because the limiter itself broke
+      console.error(`[Rate Limit] Error checking ${route} limits, allowing request:`, error);
+      next();
+    }
+  };
+}
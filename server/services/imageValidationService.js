@@ -0,0 +1,384 @@
+import sharp from 'sharp';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { Buffer } from 'buffer';
+import process from 'process';
+
+/**
+ * Validation and normalization for every image the server accepts (hosted
+ * share uploads, contest entries, personalize previews).
+ *
+ * - the real type is sniffed from magic bytes, the declared mimetype is ignored
+ * - width/height/pixel count are capped before anything is decoded
+ * - images are re-encoded to a canonical JPEG (or WebP), which drops EXIF/GPS,
+ *   ICC and XMP metadata after applying the EXIF orientation
+ * - remote URLs are only fetched from public addresses (SSRF protection)
+ *
+ * Failures throw an Error with a `code` from IMAGE_ERROR_STATUS and a message
+ * that can be shown to the user as-is.
+ */
+
+export const MAX_IMAGE_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 10 * 1024 * 1024;
+export const MAX_IMAGE_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION) || 8192;
+const MAX_IMAGE_PIXELS = Number(process.env.IMAGE_MAX_PIXELS) || 40 * 1000 * 1000;
+const OUTPUT_FORMAT = process.env.IMAGE_OUTPUT_FORMAT === 'webp' ? 'webp' : 'jpeg';
+const MAX_VIDEO_BYTES = Number(process.env.VIDEO_MAX_BYTES) || 50 * 1024 * 1024;
+const REMOTE_FETCH_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+
+/**
+ * HTTP status for each error code
+ */
+export const IMAGE_ERROR_STATUS = {
+  IMAGE_REQUIRED: 400,
+  IMAGE_TOO_LARGE: 413,
+  UNSUPPORTED_IMAGE_TYPE: 415,
+  UNSUPPORTED_VIDEO_TYPE: 415,
+  IMAGE_DIMENSIONS_TOO_LARGE: 422,
+  INVALID_IMAGE: 422,
+  REMOTE_URL_NOT_ALLOWED: 400,
+  REMOTE_FETCH_FAILED: 502
+};
+
+const OUTPUT_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+
+function imageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+/**
+ * Detect an image type from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {'jpeg'|'png'|'webp'|'gif'|null}
+ */
+export function sniffImageType(buffer) {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return 'webp';
+  if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38])) return 'gif';
+  return null;
+}
+
+/**
+ * Detect a video type from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {'mp4'|'webm'|null}
+ */
+export function sniffVideoType(buffer) {
+  if (startsWith(buffer, [0x66, 0x74, 0x79, 0x70], 4)) return 'mp4';
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'webm';
+  return null;
+}
+
+// Addresses a server-side fetch must never reach: loopback, private networks,
+// link-local (cloud metadata at 169.254.169.254), CGNAT, multicast, reserved.
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched by the IPv4 rules.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is private/internal
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const allowPrivateFetches = () => process.env.IMAGE_FETCH_ALLOW_PRIVATE === 'true';
+
+// dns.lookup replacement for http.request: the check runs on the address the
+// socket actually connects to, so DNS rebinding can't slip past it
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!allowPrivateFetches() && addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(imageError('REMOTE_URL_NOT_ALLOWED', 'that image link points somewhere we can\'t fetch from 🚫'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function parseRemoteUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw imageError('REMOTE_URL_NOT_ALLOWED', 'hmm, that image link doesn\'t look right 🤔');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw imageError('REMOTE_URL_NOT_ALLOWED', 'only http(s) image links are supported 🔗');
+  }
+  if (url.username || url.password) {
+    throw imageError('REMOTE_URL_NOT_ALLOWED', 'image links with credentials aren\'t allowed 🚫');
+  }
+  // IP literals never go through the lookup, so check them here
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !allowPrivateFetches() && isPrivateAddress(hostname)) {
+    throw imageError('REMOTE_URL_NOT_ALLOWED', 'that image link points somewhere we can\'t fetch from 🚫');
+  }
+  return url;
+}
+
+function requestOnce(url, maxBytes) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, {
+      // No pooled sockets, so every request goes through guardedLookup
+      agent: false,
+      lookup: guardedLookup,
+      timeout: REMOTE_FETCH_TIMEOUT_MS,
+      headers: { 'User-Agent': 'SogniPhotobooth/1.0', Accept: 'image/*,video/*' }
+    }, (response) => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        return resolve({ redirect: new URL(headers.location, url).toString() });
+      }
+      if (statusCode !== 200) {
+        response.resume();
+        return reject(imageError('REMOTE_FETCH_FAILED', `couldn't download that file (status ${statusCode}) 😕`));
+      }
+      if (Number(headers['content-length']) > maxBytes) {
+        response.destroy();
+        return reject(imageError('IMAGE_TOO_LARGE', `that file is too big! max is ${Math.round(maxBytes / 1024 / 1024)}MB 📦`));
+      }
+
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          response.destroy();
+          reject(imageError('IMAGE_TOO_LARGE', `that file is too big! max is ${Math.round(maxBytes / 1024 / 1024)}MB 📦`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ body: Buffer.concat(chunks), contentType: headers['content-type'] || null }));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(imageError('REMOTE_FETCH_FAILED', 'downloading that file took too long ⏱️')));
+    request.on('error', (error) => {
+      reject(error.code && IMAGE_ERROR_STATUS[error.code]
+        ? error
+        : imageError('REMOTE_FETCH_FAILED', 'couldn\'t download that file 😕'));
+    });
+  });
+}
+
+/**
+ * Download a remote file, refusing private/internal destinations (also after redirects)
+ * @param {string} rawUrl - http(s) URL
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Size limit
+ * @returns {Promise<{body: Buffer, contentType: string|null}>}
+ */
+export async function fetchRemoteFile(rawUrl, { maxBytes = MAX_IMAGE_BYTES } = {}) {
+  let url = parseRemoteUrl(rawUrl);
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const result = await requestOnce(url, maxBytes);
+    if (!result.redirect) {
+      return result;
+    }
+    url = parseRemoteUrl(result.redirect);
+  }
+  throw imageError('REMOTE_FETCH_FAILED', 'that link redirects too many times 🔁');
+}
+
+/**
+ * fetch() for hosts a user typed in (e.g. their Mastodon server): the socket
+ * only connects to public addresses, checked by guardedLookup, and redirects
+ * come back as-is instead of being followed
+ * Blocked destinations reject with a REMOTE_URL_NOT_ALLOWED error; anything
+ * else that fails rejects with a TypeError like fetch does.
+ * @param {string} rawUrl - http(s) URL
+ * @param {RequestInit} [init] - fetch options; `redirect` is always 'manual'
+ * @returns {Promise<Response>}
+ */
+export async function publicFetch(rawUrl, { signal, ...init } = {}) {
+  const url = parseRemoteUrl(rawUrl);
+  // Let Request serialize the body (JSON strings, FormData with its boundary)
+  const prepared = new Request(url, { ...init, redirect: 'manual' });
+  const body = prepared.body ? Buffer.from(await prepared.arrayBuffer()) : null;
+  const headers = Object.fromEntries(prepared.headers);
+  if (body) {
+    headers['content-length'] = String(body.length);
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: prepared.method,
+      headers,
+      // No pooled sockets, so every request goes through guardedLookup
+      agent: false,
+      lookup: guardedLookup,
+      signal
+    }, (response) => {
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > MAX_IMAGE_BYTES) {
+          response.destroy(new Error('response too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => {
+        const status = response.statusCode;
+        const responseHeaders = new Headers();
+        Object.entries(response.headers).forEach(([name, value]) => {
+          [].concat(value).forEach(item => responseHeaders.append(name, item));
+        });
+        resolve(new Response([204, 205, 304].includes(status) ? null : Buffer.concat(chunks), {
+          status,
+          statusText: response.statusMessage,
+          headers: responseHeaders
+        }));
+      });
+      response.on('error', error => reject(new TypeError('fetch failed', { cause: error })));
+    });
+
+    request.on('error', (error) => {
+      reject(error.code && IMAGE_ERROR_STATUS[error.code] ? error : new TypeError('fetch failed', { cause: error }));
+    });
+    request.end(body || undefined);
+  });
+}
+
+/**
+ * Decode a base64 data URL
+ * @param {string} dataUrl - data:<kind>/<subtype>;base64,... URL
+ * @param {Object} [options]
+ * @param {'image'|'video'} [options.kind='image'] - Expected media kind
+ * @param {number} [options.maxBytes] - Size limit
+ * @returns {Buffer}
+ */
+export function decodeDataUrl(dataUrl, { kind = 'image', maxBytes = MAX_IMAGE_BYTES } = {}) {
+  const match = dataUrl.match(/^data:([a-z]+)\/[a-zA-Z0-9.+-]+;base64,(.+)$/s);
+  if (!match || match[1] !== kind) {
+    throw imageError(kind === 'image' ? 'UNSUPPORTED_IMAGE_TYPE' : 'UNSUPPORTED_VIDEO_TYPE', `that doesn't look like a${kind === 'image' ? 'n image' : ' video'} 🤔`);
+  }
+  // Check the size before allocating the decoded buffer
+  if (Math.floor(match[2].length * 3 / 4) > maxBytes) {
+    throw imageError('IMAGE_TOO_LARGE', `that file is too big! max is ${Math.round(maxBytes / 1024 / 1024)}MB 📦`);
+  }
+  return Buffer.from(match[2], 'base64');
+}
+
+/**
+ * Validate an image and re-encode it to the canonical format without metadata
+ * @param {Buffer} input - Raw image bytes
+ * @param {Object} [options]
+ * @param {'jpeg'|'webp'} [options.format] - Output format (default IMAGE_OUTPUT_FORMAT or jpeg)
+ * @returns {Promise<{buffer: Buffer, width: number, height: number, format: string, contentType: string, extension: string, sourceType: string}>}
+ */
+export async function normalizeImage(input, { format = OUTPUT_FORMAT } = {}) {
+  if (!input || input.length === 0) {
+    throw imageError('IMAGE_REQUIRED', 'no image data received 🤔');
+  }
+  if (input.length > MAX_IMAGE_BYTES) {
+    throw imageError('IMAGE_TOO_LARGE', `that image is too big! max is ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)}MB 📦`);
+  }
+
+  const sourceType = sniffImageType(input);
+  if (!sourceType) {
+    throw imageError('UNSUPPORTED_IMAGE_TYPE', 'only JPEG, PNG, WebP or GIF images please 🖼️');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch {
+    throw imageError('INVALID_IMAGE', 'that image looks corrupted. try another one? 🙏');
+  }
+
+  const { width, height } = metadata;
+  if (!width || !height) {
+    throw imageError('INVALID_IMAGE', 'that image looks corrupted. try another one? 🙏');
+  }
+  if (Math.max(width, height) > MAX_IMAGE_DIMENSION || width * height > MAX_IMAGE_PIXELS) {
+    throw imageError('IMAGE_DIMENSIONS_TOO_LARGE', `that image is too large! max is ${MAX_IMAGE_DIMENSION}px on the longest side 📐`);
+  }
+
+  // rotate() bakes in the EXIF orientation; sharp drops all metadata on output
+  // unless withMetadata() is called. Only the first frame of a GIF is kept.
+  let pipeline = sharp(input, { limitInputPixels: MAX_IMAGE_PIXELS, failOn: 'error' }).rotate();
+  pipeline = format === 'webp'
+    ? pipeline.webp({ quality: 90 })
+    : pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: 92, mozjpeg: true });
+
+  let output;
+  try {
+    output = await pipeline.toBuffer({ resolveWithObject: true });
+  } catch {
+    throw imageError('INVALID_IMAGE', 'that image looks corrupted. try another one? 🙏');
+  }
+
+  return {
+    buffer: output.data,
+    width: output.info.width,
+    height: output.info.height,
+    format,
+    ...OUTPUT_FORMATS[format],
+    sourceType
+  };
+}
+
+/**
+ * Load an image from a data URL or remote URL, then validate and normalize it
+ * @param {string} source - data:image/... URL or http(s) URL
+ * @param {Object} [options] - normalizeImage options
+ * @returns {Promise<Object>} normalizeImage result
+ */
+export async function loadAndNormalizeImage(source, options = {}) {
+  if (!source || typeof source !== 'string') {
+    throw imageError('IMAGE_REQUIRED', 'no image data received 🤔');
+  }
+  const input = source.startsWith('data:')
+    ? decodeDataUrl(source, { kind: 'image' })
+    : (await fetchRemoteFile(source, { maxBytes: MAX_IMAGE_BYTES })).body;
+  return normalizeImage(input, options);
+}
+
+/**
+ * Load a video from a data URL or remote URL and check it really is MP4/WebM
+ * @param {string} source - data:video/... URL or http(s) URL
+ * @returns {Promise<{buffer: Buffer, extension: string}>}
+ */
+export async function loadVideo(source) {
+  const buffer = source.startsWith('data:')
+    ? decodeDataUrl(source, { kind: 'video', maxBytes: MAX_VIDEO_BYTES })
+    : (await fetchRemoteFile(source, { maxBytes: MAX_VIDEO_BYTES })).body;
+
+  const extension = sniffVideoType(buffer);
+  if (!extension) {
+    throw imageError('UNSUPPORTED_VIDEO_TYPE', 'only MP4 or WebM videos please 🎬');
+  }
+  return { buffer, extension };
+}
@@ -0,0 +1,205 @@
+import { Buffer } from 'buffer';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import process from 'process';
+import {
+  redisReady,
+  storeMobileShare as redisStoreShare,
+  getMobileShare as redisGetShare,
+  incrementMobileShareViews as redisIncrementViews,
+  revokeMobileShare as redisRevokeShare
+} from './redisService.js';
+
+/**
+ * Share lifetimes the client can pick from
+ */
+export const MOBILE_SHARE_TTLS = {
+  '1h': 60 * 60,
+  '24h': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60
+};
+export const DEFAULT_MOBILE_SHARE_TTL = '1h';
+
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// File store, only used while Redis is down. Shares written here stay
+// readable after Redis comes back until they expire.
+const SHARE_DATA_FILE = path.join(process.cwd(), 'mobile-shares.json');
+const LEGACY_SHARE_TTL_MS = MOBILE_SHARE_TTLS['1h'] * 1000;
+
+let fileShares = new Map();
+let fileWriteChain = Promise.resolve();
+
+const loadFileShares = () => {
+  try {
+    if (existsSync(SHARE_DATA_FILE)) {
+      const parsed = JSON.parse(readFileSync(SHARE_DATA_FILE, 'utf8'));
+      fileShares = new Map(Object.entries(parsed).map(([shareId, share]) => [
+        shareId,
+        // Shares written before per-share TTLs stored the data directly
+        share.data ? share : {
+          data: share,
+          views: 0,
+          revokedAt: null,
+          expiresAt: (share.timestamp || share.createdAt || 0) + LEGACY_SHARE_TTL_MS
+        }
+      ]));
+    }
+  } catch (error) {
+    console.error('[Mobile Share] Error loading share file:', error);
+    fileShares = new Map();
+  }
+};
+
+// Writes are queued so concurrent changes never interleave
+const saveFileShares = () => {
+  fileWriteChain = fileWriteChain
+    .then(() => fs.writeFile(SHARE_DATA_FILE, JSON.stringify(Object.fromEntries(fileShares), null, 2)))
+    .catch(error => console.error('[Mobile Share] Error saving share file:', error));
+  return fileWriteChain;
+};
+
+const getFileShare = (shareId) => {
+  const share = fileShares.get(shareId);
+  if (share && share.expiresAt <= Date.now()) {
+    fileShares.delete(shareId);
+    saveFileShares();
+    return null;
+  }
+  return share || null;
+};
+
+loadFileShares();
+
+// Drop expired file shares every 15 minutes
+setInterval(() => {
+  const now = Date.now();
+  let deletedCount = 0;
+  for (const [shareId, share] of fileShares.entries()) {
+    if (share.expiresAt <= now) {
+      fileShares.delete(shareId);
+      deletedCount++;
+    }
+  }
+  if (deletedCount > 0) {
+    saveFileShares();
+  }
+}, 15 * 60 * 1000).unref();
+
+function shareError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a share link
+ * @param {string} shareId - Client-generated share ID
+ * @param {Object} data - Share data (image/video URLs, theme, Twitter message...)
+ * @param {string} [ttl='1h'] - One of the MOBILE_SHARE_TTLS keys
+ * @returns {Promise<{shareId: string, ttl: string, expiresAt: number, manageToken: string}>}
+ *   manageToken is required to revoke the share or read its stats
+ * @throws {Error} With code INVALID_SHARE_ID, INVALID_TTL or SHARE_EXISTS
+ */
+export async function createMobileShare(shareId, data, ttl = DEFAULT_MOBILE_SHARE_TTL) {
+  if (!SHARE_ID_PATTERN.test(shareId || '')) {
+    throw shareError('INVALID_SHARE_ID', 'Invalid share ID');
+  }
+  const ttlSeconds = MOBILE_SHARE_TTLS[ttl];
+  if (!ttlSeconds) {
+    throw shareError('INVALID_TTL', `ttl must be one of ${Object.keys(MOBILE_SHARE_TTLS).join(', ')}`);
+  }
+
+  const manageToken = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  const shareData = { ...data, ttl, manageTokenHash: hashToken(manageToken) };
+
+  const stored = redisReady() ? await redisStoreShare(shareId, shareData, ttlSeconds) : null;
+  if (stored === false || (stored === null && getFileShare(shareId))) {
+    throw shareError('SHARE_EXISTS', 'A share with this ID already exists');
+  }
+
+  if (stored === null) {
+    console.warn('[Mobile Share] Redis not available, saving share to file store');
+    fileShares.set(shareId, { data: shareData, views: 0, revokedAt: null, expiresAt });
+    await saveFileShares();
+  }
+
+  return { shareId, ttl, expiresAt, manageToken };
+}
+
+/**
+ * Look up a share (expired shares are never returned)
+ * @param {string} shareId - Share ID
+ * @returns {Promise<{data: Object, views: number, revokedAt: number|null, expiresAt: number|null}|null>}
+ */
+export async function getMobileShare(shareId) {
+  if (!SHARE_ID_PATTERN.test(shareId || '')) {
+    return null;
+  }
+
+  const share = redisReady() ? await redisGetShare(shareId) : undefined;
+  return share || getFileShare(shareId);
+}
+
+/**
+ * Count a view of a share page
+ * @param {string} shareId - Share ID
+ * @returns {Promise<number|null>} New view count, or null if the share is gone
+ */
+export async function recordMobileShareView(shareId) {
+  const views = redisReady() ? await redisIncrementViews(shareId) : null;
+  if (views !== null) {
+    return views;
+  }
+
+  const share = getFileShare(shareId);
+  if (!share) {
+    return null;
+  }
+  share.views += 1;
+  saveFileShares();
+  return share.views;
+}
+
+/**
+ * Check a manage token against a share
+ * @param {Object} share - Share from getMobileShare
+ * @param {string} manageToken - Token returned when the share was created
+ * @returns {boolean}
+ */
+export function isMobileShareOwner(share, manageToken) {
+  if (!manageToken || !share?.data?.manageTokenHash) {
+    return false;
+  }
+  return crypto.timingSafeEqual(
+    Buffer.from(hashToken(manageToken)),
+    Buffer.from(share.data.manageTokenHash)
+  );
+}
+
+/**
+ * Revoke a share so its page stops serving the photo
+ * @param {string} shareId - Share ID
+ * @returns {Promise<boolean>} false if the share doesn't exist
+ */
+export async function revokeMobileShare(shareId) {
+  const revoked = redisReady() ? await redisRevokeShare(shareId) : null;
+  if (revoked) {
+    return true;
+  }
+
+  const share = getFileShare(shareId);
+  if (!share) {
+    return false;
+  }
+  share.revokedAt = Date.now();
+  await saveFileShares();
+  return true;
+}
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import process from 'process';
+
+export const MODERATOR_COOKIE_NAME = 'sogni_moderator_token';
+const MODERATOR_SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+
+// Generated per-process when no secret is configured, so tokens simply stop
+// validating after a restart instead of being forgeable
+let ephemeralSecret = null;
+
+function getSigningSecret() {
+  const configuredSecret = process.env.MODERATION_SESSION_SECRET || process.env.SESSION_SECRET;
+  if (configuredSecret) {
+    return configuredSecret;
+  }
+  if (!ephemeralSecret) {
+    console.warn('[Moderation] No MODERATION_SESSION_SECRET/SESSION_SECRET set, using an ephemeral signing secret');
+    ephemeralSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return ephemeralSecret;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  // Hash first so the comparison is constant-time regardless of input length
+  const aHash = crypto.createHash('sha256').update(String(a)).digest();
+  const bHash = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(aHash, bHash);
+}
+
+/**
+ * Whether server-side moderator login is configured
+ * @returns {boolean}
+ */
+export function isModeratorLoginConfigured() {
+  return Boolean(process.env.MODERATION_PASSWORD || process.env.MODERATION_ADMIN_PASSWORD);
+}
+
+/**
+ * Check a moderator password against MODERATION_PASSWORD
+ * @param {string} password - Password supplied by the client
+ * @returns {boolean}
+ */
+export function verifyModeratorPassword(password) {
+  if (!process.env.MODERATION_PASSWORD || typeof password !== 'string') {
+    return false;
+  }
+  return safeEqual(password, process.env.MODERATION_PASSWORD);
+}
+
+/**
+ * Check a password against MODERATION_ADMIN_PASSWORD (sessions with the admin role)
+ * @param {string} password - Password supplied by the client
+ * @returns {boolean}
+ */
+export function verifyAdminPassword(password) {
+  if (!process.env.MODERATION_ADMIN_PASSWORD || typeof password !== 'string') {
+    return false;
+  }
+  return safeEqual(password, process.env.MODERATION_ADMIN_PASSWORD);
+}
+
+/**
+ * Create a signed moderator token
+ * @param {string} moderator - Display name of the moderator (recorded in the audit log)
+ * @param {'moderator'|'admin'} [role] - Session role, admins can also use admin-scoped APIs
+ * @returns {{ token: string, expiresAt: number }}
+ */
+export function createModeratorToken(moderator, role = 'moderator') {
+  const issuedAt = Date.now();
+  const payload = {
+    sub: moderator,
+    role,
+    iat: issuedAt,
+    exp: issuedAt + MODERATOR_SESSION_TTL_MS
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return {
+    token: `${encodedPayload}.${sign(encodedPayload)}`,
+    expiresAt: payload.exp
+  };
+}
+
+/**
+ * Verify a moderator token
+ * @param {string} token - Token from cookie or Authorization header
+ * @returns {Object|null} Decoded payload, or null if invalid/expired
+ */
+export function verifyModeratorToken(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  if (!encodedPayload || !signature || !safeEqual(signature, sign(encodedPayload))) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf-8'));
+    if (!payload.exp || payload.exp < Date.now()) {
+      return null;
+    }
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function getTokenFromRequest(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader?.startsWith('Bearer ')) {
+    return authHeader.slice('Bearer '.length).trim();
+  }
+  return req.cookies?.[MODERATOR_COOKIE_NAME] || null;
+}
+
+/**
+ * Cookie options for the moderator session, mirroring the sogni_session_id cookie
+ * @param {Object} req - Express request
+ * @returns {Object} Cookie options
+ */
+export function getModeratorCookieOptions(req) {
+  const origin = req.headers.origin;
+  const sameSite = (origin && origin.startsWith('https:')) ? 'none' : 'lax';
+  const isSecureContext = req.secure ||
+                          req.headers['x-forwarded-proto'] === 'https' ||
+                          process.env.NODE_ENV === 'production';
+
+  return {
+    maxAge: MODERATOR_SESSION_TTL_MS,
+    httpOnly: true,
+    secure: isSecureContext || sameSite === 'none',
+    sameSite,
+    path: '/'
+  };
+}
+
+/**
+ * Resolve the moderator session for a request without rejecting it
+ * @param {Object} req - Express request
+ * @returns {Object|null} Moderator payload or null
+ */
+export function getModeratorFromRequest(req) {
+  return verifyModeratorToken(getTokenFromRequest(req));
+}
+
+/**
+ * Express middleware: reject the request unless it carries a valid moderator token.
+ * On success the moderator name is available as req.moderator.
+ */
+export function requireModerator(req, res, next) {
+  const payload = getModeratorFromRequest(req);
+
+  if (!payload) {
+    return res.status(401).json({
+      success: false,
+      code: 'MODERATOR_AUTH_REQUIRED',
+      message: 'moderator login required 🔐'
+    });
+  }
+
+  req.moderator = payload.sub;
+  next();
+}
@@ -1,4 +1,5 @@
 import { getRedisClient } from './redisService.js';
+import { getStorage, storageKey, contentTypeForKey } from './storageService.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -260,10 +261,19 @@ export async function deleteCustomPrompts(address) {
 
   // Delete preview images
   const sanitized = sanitizeAddress(address);
+  const storage = getStorage();
+  const previews = await storage.list(`${storageKey('personalize', sanitized)}/`);
+  for (const { key } of previews) {
+    await storage.delete(key);
+  }
+  if (previews.length > 0) {
+    console.log(`[Personalize] Deleted preview images for ${address}`);
+  }
+
+  // And the file fallbacks (prompts.json, modeltype.json)
   const dir = path.join(UPLOADS_DIR, sanitized);
   if (fs.existsSync(dir)) {
     fs.rmSync(dir, { recursive: true, force: true });
-    console.log(`[Personalize] Deleted preview images for ${address}`);
   }
 
   console.log(`[Personalize] Cleared all custom prompts for ${address}`);
@@ -271,50 +281,41 @@ export async function deleteCustomPrompts(address) {
 }
 
 /**
- * Save a preview image to disk
+ * Storage key of a preview image
  */
-export function savePreviewImage(address, filename, imageBuffer) {
-  const dir = ensureUploadDir(address);
-  const filePath = path.join(dir, filename);
-  fs.writeFileSync(filePath, imageBuffer);
-  console.log(`[Personalize] Saved preview image: ${filePath}`);
-  return filename;
+export function getPreviewImageKey(address, filename) {
+  return storageKey('personalize', sanitizeAddress(address), filename);
 }
 
 /**
- * Get the path to a preview image
+ * Save a preview image to storage
  */
-export function getPreviewImagePath(address, filename) {
-  const sanitized = sanitizeAddress(address);
-  const imagePath = path.join(UPLOADS_DIR, sanitized, filename);
-  const resolved = path.resolve(imagePath);
-  if (!resolved.startsWith(path.resolve(UPLOADS_DIR))) {
-    throw new Error('Invalid path');
-  }
-  return imagePath;
+export async function savePreviewImage(address, filename, imageBuffer) {
+  const key = getPreviewImageKey(address, filename);
+  await getStorage().put(key, imageBuffer, { contentType: contentTypeForKey(filename) });
+  console.log(`[Personalize] Saved preview image: ${key}`);
+  return filename;
 }
 
 /**
  * Clean up orphaned preview images that are no longer referenced by any prompt.
  * This prevents stale image files from accumulating after prompts are removed.
  */
-export function cleanupOrphanedImages(address, activeFilenames) {
+export async function cleanupOrphanedImages(address, activeFilenames) {
   try {
-    const sanitized = sanitizeAddress(address);
-    const dir = path.join(UPLOADS_DIR, sanitized);
-    if (!fs.existsSync(dir)) return;
-
+    const storage = getStorage();
+    const prefix = `${storageKey('personalize', sanitizeAddress(address))}/`;
     const activeSet = new Set(activeFilenames);
-    const files = fs.readdirSync(dir);
+    const objects = await storage.list(prefix);
 
-    for (const file of files) {
+    for (const { key } of objects) {
+      const file = key.slice(prefix.length);
       // Only clean up preview image files, not prompts.json or other metadata
-      if (!file.startsWith('preview_') || !file.endsWith('.jpg')) continue;
+      if (!file.startsWith('preview_') || !/\.(jpg|png|webp)$/.test(file)) continue;
       if (activeSet.has(file)) continue;
 
-      const filePath = path.join(dir, file);
-      fs.unlinkSync(filePath);
-      console.log(`[Personalize] Cleaned up orphaned image: ${filePath}`);
+      await storage.delete(key);
+      console.log(`[Personalize] Cleaned up orphaned image: ${key}`);
     }
   } catch (err) {
     // Non-critical: log but don't throw
@@ -0,0 +1,444 @@
+import { Buffer } from 'buffer';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+import sharp from 'sharp';
+import { spawn } from 'child_process';
+import { getStorage, storageKey, deleteExpiredObjects } from './storageService.js';
+import { sniffImageType, MAX_IMAGE_BYTES } from './imageValidationService.js';
+
+/**
+ * Print queue for event photobooths.
+ *
+ * The browser renders the finished layout (see src/utils/printLayouts.js)
+ * and posts it here. Jobs print one at a time: with PRINT_PRINTER set they
+ * go to that CUPS queue through `lp` (for an IPP printer, point a CUPS queue
+ * at it or set PRINT_CUPS_SERVER); otherwise the file is written to
+ * PRINT_SPOOL_DIR for a print station or hot folder to pick up. Printing is
+ * off unless one of the two is configured.
+ */
+
+const PRINTER = process.env.PRINT_PRINTER || '';
+const CUPS_SERVER = process.env.PRINT_CUPS_SERVER || '';
+const SPOOL_DIR = process.env.PRINT_SPOOL_DIR || '';
+// Extra `lp -o` options, e.g. "ColorModel=RGB StpBorderless=True"
+const EXTRA_LP_OPTIONS = (process.env.PRINT_LP_OPTIONS || '').split(/\s+/).filter(Boolean);
+
+export const PRINT_DPI = 300;
+export const PRINT_BLEED_INCHES = 0.125;
+
+/**
+ * Trim sizes in inches; prints are rendered at PRINT_DPI with PRINT_BLEED_INCHES
+ * extra on every side. Keep in sync with src/utils/printLayouts.js.
+ */
+export const PRINT_LAYOUTS = {
+  '4x6': { widthIn: 4, heightIn: 6, media: 'na_index-4x6_4x6in' },
+  '2x6': { widthIn: 2, heightIn: 6, media: 'Custom.2x6in' },
+  '5x7': { widthIn: 5, heightIn: 7, media: 'na_5x7_5x7in' }
+};
+
+export const MAX_PRINT_COPIES = 10;
+
+const JOBS_KEY = storageKey('prints', 'jobs.json');
+// Jobs (and their images, for reprints) are kept this long
+const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_JOBS = 500;
+// How often job lists may ask CUPS what is still pending
+const CUPS_REFRESH_MS = 5 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'printing'];
+
+let jobs = null;
+let processing = false;
+let lastCupsRefresh = 0;
+let writeQueue = Promise.resolve();
+
+function printError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Where jobs end up: a CUPS printer, the spool directory, or nowhere
+ * @returns {'cups'|'spool'|null}
+ */
+export function getPrintMode() {
+  if (PRINTER) return 'cups';
+  if (SPOOL_DIR) return 'spool';
+  return null;
+}
+
+/**
+ * Pixel size of a layout including bleed
+ * @param {string} layoutId - Key of PRINT_LAYOUTS
+ * @returns {{width: number, height: number}}
+ */
+export function layoutPixelSize(layoutId) {
+  const layout = PRINT_LAYOUTS[layoutId];
+  return {
+    width: Math.round((layout.widthIn + PRINT_BLEED_INCHES * 2) * PRINT_DPI),
+    height: Math.round((layout.heightIn + PRINT_BLEED_INCHES * 2) * PRINT_DPI)
+  };
+}
+
+async function loadJobs() {
+  if (jobs) return jobs;
+
+  const object = await getStorage().get(JOBS_KEY);
+  const stored = object ? JSON.parse(object.body.toString('utf-8')) : [];
+  jobs = new Map(stored.map(job => [job.id, job]));
+
+  // Jobs cut off by a restart go back in the queue
+  for (const job of jobs.values()) {
+    if (job.status === 'printing') {
+      job.status = 'queued';
+    }
+  }
+  return jobs;
+}
+
+// Writes are queued so concurrent changes never interleave
+function saveJobs() {
+  writeQueue = writeQueue
+    .then(async () => {
+      const cutoff = Date.now() - JOB_RETENTION_MS;
+      const kept = [...jobs.values()]
+        .filter(job => job.createdAt > cutoff || ACTIVE_STATUSES.includes(job.status))
+        .slice(-MAX_JOBS);
+      jobs = new Map(kept.map(job => [job.id, job]));
+      await getStorage().put(JOBS_KEY, Buffer.from(JSON.stringify(kept, null, 2)), {
+        contentType: 'application/json'
+      });
+    })
+    .catch(error => console.error('[Print] Error saving print jobs:', error));
+  return writeQueue;
+}
+
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  return saveJobs();
+}
+
+/**
+ * Run a command, optionally piping a buffer to stdin
+ * @returns {Promise<string>} stdout
+ */
+function run(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) resolve(stdout);
+      else reject(new Error(stderr.trim() || `${command} exited with code ${code}`));
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+const cupsArgs = () => (CUPS_SERVER ? ['-h', CUPS_SERVER] : []);
+
+async function sendToCups(job, image) {
+  const layout = PRINT_LAYOUTS[job.layout];
+  const options = [`media=${layout.media}`, 'print-scaling=fill', ...EXTRA_LP_OPTIONS];
+  const args = [
+    ...cupsArgs(),
+    '-d', PRINTER,
+    '-n', String(job.copies),
+    '-t', `photobooth-${job.id}`,
+    ...options.flatMap(option => ['-o', option]),
+    '-'
+  ];
+  const output = await run('lp', args, image);
+  // "request id is Printer-42 (0 file(s))"
+  const cupsJobId = output.match(/request id is (\S+)/)?.[1] || null;
+  return { status: 'sent', cupsJobId };
+}
+
+async function writeToSpool(job, image, extension) {
+  await fs.mkdir(SPOOL_DIR, { recursive: true });
+  const baseName = `${new Date(job.createdAt).toISOString().replace(/[:.]/g, '-')}_${job.layout}_${job.id}`;
+  const spoolFile = path.join(SPOOL_DIR, `${baseName}.${extension}`);
+  // Write the image under a temp name so hot folders never see half a file
+  await fs.writeFile(`${spoolFile}.part`, image);
+  await fs.rename(`${spoolFile}.part`, spoolFile);
+  await fs.writeFile(path.join(SPOOL_DIR, `${baseName}.json`), JSON.stringify({
+    id: job.id,
+    layout: job.layout,
+    copies: job.copies,
+    widthInches: PRINT_LAYOUTS[job.layout].widthIn,
+    heightInches: PRINT_LAYOUTS[job.layout].heightIn,
+    bleedInches: PRINT_BLEED_INCHES,
+    dpi: PRINT_DPI,
+    label: job.label
+  }, null, 2));
+  return { status: 'spooled', spoolFile: path.basename(spoolFile) };
+}
+
+async function printJob(job) {
+  const object = await getStorage().get(job.imageKey);
+  if (!object) {
+    throw new Error('Print image is no longer stored');
+  }
+  return getPrintMode() === 'cups'
+    ? sendToCups(job, object.body)
+    : writeToSpool(job, object.body, path.extname(job.imageKey).slice(1));
+}
+
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+  try {
+    await loadJobs();
+    let job;
+    while ((job = [...jobs.values()].find(candidate => candidate.status === 'queued'))) {
+      await updateJob(job, { status: 'printing', attempts: (job.attempts || 0) + 1 });
+      try {
+        const result = await printJob(job);
+        await updateJob(job, { ...result, error: null });
+        console.log(`[Print] Job ${job.id} (${job.layout} x${job.copies}) ${result.status}`);
+      } catch (error) {
+        console.error(`[Print] Job ${job.id} failed:`, error.message);
+        await updateJob(job, { status: 'failed', error: error.message });
+      }
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Mark jobs CUPS no longer lists as pending as printed
+ */
+async function refreshCupsJobs() {
+  if (getPrintMode() !== 'cups' || Date.now() - lastCupsRefresh < CUPS_REFRESH_MS) return;
+  lastCupsRefresh = Date.now();
+
+  const sent = [...jobs.values()].filter(job => job.status === 'sent' && job.cupsJobId);
+  if (sent.length === 0) return;
+
+  let pending;
+  try {
+    // One line per unfinished job, starting with its request id
+    const output = await run('lpstat', [...cupsArgs(), '-o', PRINTER]);
+    pending = new Set(output.split('\n').map(line => line.split(/\s+/)[0]).filter(Boolean));
+  } catch (error) {
+    console.warn('[Print] Could not read the CUPS queue:', error.message);
+    return;
+  }
+
+  let changed = false;
+  for (const job of sent) {
+    if (!pending.has(job.cupsJobId)) {
+      Object.assign(job, { status: 'printed', updatedAt: Date.now() });
+      changed = true;
+    }
+  }
+  if (changed) {
+    await saveJobs();
+  }
+}
+
+function publicJob(job) {
+  const publicFields = { ...job };
+  delete publicFields.imageKey;
+  return publicFields;
+}
+
+function queuePosition(job) {
+  if (job.status !== 'queued') return null;
+  return [...jobs.values()].filter(candidate => candidate.status === 'queued' && candidate.createdAt <= job.createdAt).length;
+}
+
+/**
+ * Queue a rendered print
+ * @param {Buffer} buffer - PNG or JPEG at the layout's exact pixel size (either orientation)
+ * @param {Object} options
+ * @param {string} options.layout - Key of PRINT_LAYOUTS
+ * @param {number} [options.copies=1]
+ * @param {string} [options.label] - Free text shown to staff (e.g. photo number)
+ * @returns {Promise<Object>} The queued job
+ */
+export async function createPrintJob(buffer, { layout, copies = 1, label = null }) {
+  if (!getPrintMode()) {
+    throw printError('PRINTING_DISABLED', 'printing isn\'t set up on this server 🖨️');
+  }
+  if (!PRINT_LAYOUTS[layout]) {
+    throw printError('INVALID_LAYOUT', `layout must be one of ${Object.keys(PRINT_LAYOUTS).join(', ')}`);
+  }
+  const copyCount = Number(copies);
+  if (!Number.isInteger(copyCount) || copyCount < 1 || copyCount > MAX_PRINT_COPIES) {
+    throw printError('INVALID_COPIES', `copies must be between 1 and ${MAX_PRINT_COPIES}`);
+  }
+  if (!buffer || buffer.length === 0) {
+    throw printError('IMAGE_REQUIRED', 'no print image received 🤔');
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw printError('IMAGE_TOO_LARGE', `that print is too big! max is ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)}MB 📦`);
+  }
+
+  const type = sniffImageType(buffer);
+  if (type !== 'png' && type !== 'jpeg') {
+    throw printError('UNSUPPORTED_IMAGE_TYPE', 'prints must be PNG or JPEG 🖼️');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw printError('INVALID_IMAGE', 'that print looks corrupted. try again? 🙏');
+  }
+  const expected = layoutPixelSize(layout);
+  const matches = (metadata.width === expected.width && metadata.height === expected.height) ||
+    (metadata.width === expected.height && metadata.height === expected.width);
+  if (!matches) {
+    throw printError(
+      'INVALID_PRINT_SIZE',
+      `a ${layout} print must be ${expected.width}x${expected.height}px (${PRINT_DPI} DPI with bleed), got ${metadata.width}x${metadata.height} 📐`
+    );
+  }
+
+  await loadJobs();
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    layout,
+    copies: copyCount,
+    label: label ? String(label).slice(0, 80) : null,
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    attempts: 0,
+    error: null,
+    reprintOf: null,
+    imageKey: storageKey('prints', 'images', `${now.toString(36)}_${crypto.randomBytes(4).toString('hex')}.${type === 'png' ? 'png' : 'jpg'}`)
+  };
+
+  await getStorage().put(job.imageKey, buffer, {
+    contentType: type === 'png' ? 'image/png' : 'image/jpeg',
+    expiresAt: now + JOB_RETENTION_MS
+  });
+  jobs.set(job.id, job);
+  await saveJobs();
+  processQueue();
+
+  return { ...publicJob(job), position: queuePosition(job) };
+}
+
+/**
+ * Queue another print of an earlier job
+ * @param {string} jobId - Job to reprint
+ * @param {Object} [options]
+ * @param {number} [options.copies] - Defaults to the original job's copies
+ * @returns {Promise<Object|null>} The new job, or null if the original doesn't exist
+ */
+export async function reprintJob(jobId, { copies } = {}) {
+  await loadJobs();
+  const original = jobs.get(jobId);
+  if (!original) return null;
+  if (!getPrintMode()) {
+    throw printError('PRINTING_DISABLED', 'printing isn\'t set up on this server 🖨️');
+  }
+
+  const copyCount = copies === undefined ? original.copies : Number(copies);
+  if (!Number.isInteger(copyCount) || copyCount < 1 || copyCount > MAX_PRINT_COPIES) {
+    throw printError('INVALID_COPIES', `copies must be between 1 and ${MAX_PRINT_COPIES}`);
+  }
+  if (!(await getStorage().stat(original.imageKey))) {
+    throw printError('PRINT_EXPIRED', 'that print is too old to reprint 😢');
+  }
+
+  const now = Date.now();
+  const job = {
+    ...original,
+    id: crypto.randomUUID(),
+    copies: copyCount,
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    attempts: 0,
+    error: null,
+    cupsJobId: undefined,
+    spoolFile: undefined,
+    reprintOf: original.id
+  };
+  jobs.set(job.id, job);
+  await saveJobs();
+  processQueue();
+
+  return { ...publicJob(job), position: queuePosition(job) };
+}
+
+/**
+ * Get one job
+ * @param {string} jobId
+ * @returns {Promise<Object|null>}
+ */
+export async function getPrintJob(jobId) {
+  await loadJobs();
+  await refreshCupsJobs();
+  const job = jobs.get(jobId);
+  return job ? { ...publicJob(job), position: queuePosition(job) } : null;
+}
+
+/**
+ * Recent jobs, newest first
+ * @param {Object} [options]
+ * @param {number} [options.limit=100]
+ * @returns {Promise<Object[]>}
+ */
+export async function listPrintJobs({ limit = 100 } = {}) {
+  await loadJobs();
+  await refreshCupsJobs();
+  return [...jobs.values()]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit)
+    .map(job => ({ ...publicJob(job), position: queuePosition(job) }));
+}
+
+/**
+ * Printer and queue summary for staff
+ * @returns {Promise<Object>}
+ */
+export async function getPrinterStatus() {
+  const mode = getPrintMode();
+  let printerState = null;
+  if (mode === 'cups') {
+    try {
+      // "printer Canon is idle.  enabled since ..."
+      printerState = (await run('lpstat', [...cupsArgs(), '-p', PRINTER])).split('\n')[0].trim() || null;
+    } catch (error) {
+      printerState = `unreachable: ${error.message}`;
+    }
+  }
+
+  const queued = mode ? [...(await loadJobs()).values()].filter(job => ACTIVE_STATUSES.includes(job.status)).length : 0;
+  return {
+    enabled: Boolean(mode),
+    mode,
+    printer: mode === 'cups' ? PRINTER : null,
+    printerState,
+    queued,
+    layouts: Object.fromEntries(Object.entries(PRINT_LAYOUTS).map(([id, layout]) => [id, {
+      widthInches: layout.widthIn,
+      heightInches: layout.heightIn,
+      ...layoutPixelSize(id)
+    }])),
+    dpi: PRINT_DPI,
+    bleedInches: PRINT_BLEED_INCHES
+  };
+}
+
+// Pick up jobs left queued by a restart, and drop expired print images hourly
+if (getPrintMode()) {
+  setTimeout(() => processQueue().catch(error => console.error('[Print] Error resuming queue:', error)), 1000).unref();
+  setInterval(() => {
+    deleteExpiredObjects('prints/images/').catch(error => console.error('[Print] Error cleaning up print images:', error));
+  }, 60 * 60 * 1000).unref();
+}
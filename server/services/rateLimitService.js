@@ -0,0 +1,91 @@
+import { redisReady, incrementRateLimitCounter, takeTokenBucketTokens } from './redisService.js';
+
+// In-memory fallback counters: key -> { count, resetAt }
+const memoryCounters = new Map();
+// In-memory fallback token buckets: key -> { tokens, ts, fullAt }
+const memoryBuckets = new Map();
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, counter] of memoryCounters.entries()) {
+    if (counter.resetAt <= now) {
+      memoryCounters.delete(key);
+    }
+  }
+  // A full bucket is the same as no bucket
+  for (const [key, bucket] of memoryBuckets.entries()) {
+    if (bucket.fullAt <= now) {
+      memoryBuckets.delete(key);
+    }
+  }
+}, MEMORY_SWEEP_INTERVAL_MS).unref();
+
+function incrementMemoryCounter(key, windowSeconds) {
+  const now = Date.now();
+  let counter = memoryCounters.get(key);
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowSeconds * 1000 };
+    memoryCounters.set(key, counter);
+  }
+  counter.count += 1;
+  return { count: counter.count, ttl: Math.ceil((counter.resetAt - now) / 1000) };
+}
+
+/**
+ * Count one hit against a fixed-window limit
+ * Uses Redis so limits hold across backend instances, with an in-memory fallback.
+ * @param {string} key - Limit bucket (e.g. 'vote:ip:1.2.3.4')
+ * @param {Object} options - Limit options
+ * @param {number} options.limit - Allowed hits per window
+ * @param {number} options.windowSeconds - Window length in seconds
+ * @returns {Promise<{allowed: boolean, remaining: number, retryAfter: number}>}
+ */
+export async function consumeRateLimit(key, { limit, windowSeconds }) {
+  const result = (redisReady() && await incrementRateLimitCounter(key, windowSeconds)) ||
+    incrementMemoryCounter(key, windowSeconds);
+
+  return {
+    allowed: result.count <= limit,
+    remaining: Math.max(0, limit - result.count),
+    retryAfter: result.ttl
+  };
+}
+
+function takeMemoryTokens(key, { capacity, refillPerSecond, cost }) {
+  const now = Date.now();
+  const bucket = memoryBuckets.get(key) || { tokens: capacity, ts: now };
+  let tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.ts) * refillPerSecond / 1000);
+
+  const allowed = tokens >= cost;
+  if (allowed) {
+    tokens -= cost;
+  }
+  memoryBuckets.set(key, { tokens, ts: now, fullAt: now + (capacity - tokens) / refillPerSecond * 1000 });
+  return { allowed, tokens };
+}
+
+/**
+ * Take from a token bucket: bursts of up to `capacity`, refilled steadily
+ * Uses Redis so limits hold across backend instances, with an in-memory fallback.
+ * @param {string} key - Bucket (e.g. 'generate:session:sid-123')
+ * @param {Object} options - Bucket options
+ * @param {number} options.capacity - Max tokens (burst size)
+ * @param {number} options.refillPerMinute - Tokens added per minute
+ * @param {number} [options.cost=1] - Tokens this request takes
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetAfter: number, retryAfter: number}>}
+ *   resetAfter is seconds until the bucket is full again; retryAfter is seconds until `cost` tokens are available
+ */
+export async function consumeTokenBucket(key, { capacity, refillPerMinute, cost = 1 }) {
+  const bucket = { capacity, refillPerSecond: refillPerMinute / 60, cost };
+  const result = (redisReady() && await takeTokenBucketTokens(key, bucket)) ||
+    takeMemoryTokens(key, bucket);
+
+  return {
+    allowed: result.allowed,
+    limit: capacity,
+    remaining: Math.floor(result.tokens),
+    resetAfter: Math.ceil((capacity - result.tokens) / bucket.refillPerSecond),
+    retryAfter: result.allowed ? 0 : Math.ceil((cost - result.tokens) / bucket.refillPerSecond)
+  };
+}
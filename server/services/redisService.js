@@ -473,8 +473,8 @@ export const getContestEntries = async (contestId, options = {}) => {
       const data = await redisClient.get(entryKey);
       if (data) {
         const entry = JSON.parse(data);
-        // Filter by moderation status if specified
-        if (!moderationStatus || entry.moderationStatus === moderationStatus) {
+        // Filter by moderation status (or any of a list of statuses) if specified
+        if (!moderationStatus || [].concat(moderationStatus).includes(entry.moderationStatus)) {
           entries.push(entry);
         }
       }
@@ -657,4 +657,674 @@ export const deleteContestEntry = async (contestId, entryId) => {
     console.error('[Redis] Error deleting contest entry:', error);
     return false;
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Overwrite an existing contest entry in Redis without touching the
+ * timestamp index or the entry counter (used for moderation/vote updates)
+ * @param {string} contestId - Contest identifier
+ * @param {string} entryId - Entry ID
+ * @param {Object} entry - Updated entry data
+ * @returns {Promise<boolean>} - Success status
+ */
+export const updateContestEntry = async (contestId, entryId, entry) => {
+  if (!redisClient.isOpen) {
+    console.warn('[Redis] Not connected, cannot update contest entry');
+    return false;
+  }
+
+  try {
+    const entryKey = `${CONTEST_ENTRY_PREFIX}${contestId}:${entryId}`;
+    await redisClient.set(entryKey, JSON.stringify(entry));
+    return true;
+  } catch (error) {
+    console.error('[Redis] Error updating contest entry:', error);
+    return false;
+  }
+};
+
+// Audit log (moderation and admin actions)
+const AUDIT_LOG_KEY = 'audit:log';
+const AUDIT_LOG_MAX_ENTRIES = 10000;
+
+/**
+ * Append an entry to the audit log (newest first, capped length)
+ * @param {Object} auditEntry - Audit entry data
+ * @returns {Promise<boolean>} - Success status
+ */
+export const appendAuditLogEntry = async (auditEntry) => {
+  if (!redisClient.isOpen) {
+    console.warn('[Redis] Not connected, cannot append audit log entry');
+    return false;
+  }
+
+  try {
+    await redisClient.lPush(AUDIT_LOG_KEY, JSON.stringify(auditEntry));
+    await redisClient.lTrim(AUDIT_LOG_KEY, 0, AUDIT_LOG_MAX_ENTRIES - 1);
+    return true;
+  } catch (error) {
+    console.error('[Redis] Error appending audit log entry:', error);
+    return false;
+  }
+};
+
+/**
+ * Get the most recent audit log entries
+ * @param {number} limit - Maximum number of entries to return
+ * @returns {Promise<Array|null>} - Audit entries (newest first) or null if unavailable
+ */
+export const getAuditLogEntries = async (limit = 100) => {
+  if (!redisClient.isOpen) {
+    console.warn('[Redis] Not connected, cannot retrieve audit log');
+    return null;
+  }
+
+  try {
+    const rawEntries = await redisClient.lRange(AUDIT_LOG_KEY, 0, limit - 1);
+    return rawEntries.map(raw => JSON.parse(raw));
+  } catch (error) {
+    console.error('[Redis] Error retrieving audit log:', error);
+    return null;
+  }
+};
+
+// Contest votes: one set of voter ids per entry (atomic dedupe), a hash of
+// voter display info, and a per-contest sorted set of vote counts
+const CONTEST_VOTES_PREFIX = 'contest:votes:';
+const CONTEST_VOTERS_PREFIX = 'contest:voters:';
+const CONTEST_LEADERBOARD_PREFIX = 'contest:leaderboard:';
+
+// KEYS: votes set, voters hash, leaderboard zset | ARGV: voterId, entryId, voter JSON
+const ADD_VOTE_SCRIPT = `
+local added = redis.call('SADD', KEYS[1], ARGV[1])
+if added == 1 then
+  redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+end
+local count = redis.call('SCARD', KEYS[1])
+redis.call('ZADD', KEYS[3], count, ARGV[2])
+return { added, count }
+`;
+
+// KEYS: votes set, voters hash, leaderboard zset | ARGV: voterId, entryId
+const REMOVE_VOTE_SCRIPT = `
+local removed = redis.call('SREM', KEYS[1], ARGV[1])
+redis.call('HDEL', KEYS[2], ARGV[1])
+local count = redis.call('SCARD', KEYS[1])
+redis.call('ZADD', KEYS[3], count, ARGV[2])
+return { removed, count }
+`;
+
+const contestVoteKeys = (contestId, entryId) => [
+  `${CONTEST_VOTES_PREFIX}${contestId}:${entryId}`,
+  `${CONTEST_VOTERS_PREFIX}${contestId}:${entryId}`,
+  `${CONTEST_LEADERBOARD_PREFIX}${contestId}`
+];
+
+/**
+ * Atomically record a vote (no-op if this voter already voted)
+ * @param {string} contestId - Contest identifier
+ * @param {string} entryId - Entry ID
+ * @param {Object} voter - Verified voter ({ id, displayName, provider })
+ * @returns {Promise<{added: boolean, voteCount: number}|null>} - Result or null if Redis unavailable
+ */
+export const addContestVote = async (contestId, entryId, voter) => {
+  if (!redisClient.isOpen) {
+    console.warn('[Redis] Not connected, cannot record contest vote');
+    return null;
+  }
+
+  try {
+    const [added, voteCount] = await redisClient.eval(ADD_VOTE_SCRIPT, {
+      keys: contestVoteKeys(contestId, entryId),
+      arguments: [
+        voter.id,
+        entryId,
+        JSON.stringify({ displayName: voter.displayName, provider: voter.provider, timestamp: Date.now() })
+      ]
+    });
+    return { added: added === 1, voteCount };
+  } catch (error) {
+    console.error('[Redis] Error recording contest vote:', error);
+    return null;
+  }
+};
+
+/**
+ * Atomically remove a vote
+ * @param {string} contestId - Contest identifier
+ * @param {string} entryId - Entry ID
+ * @param {string} voterId - Verified voter id
+ * @returns {Promise<{removed: boolean, voteCount: number}|null>} - Result or null if Redis unavailable
+ */
+export const removeContestVote = async (contestId, entryId, voterId) => {
+  if (!redisClient.isOpen) {
+    console.warn('[Redis] Not connected, cannot remove contest vote');
+    return null;
+  }
+
+  try {
+    const [removed, voteCount] = await redisClient.eval(REMOVE_VOTE_SCRIPT, {
+      keys: contestVoteKeys(contestId, entryId),
+      arguments: [voterId, entryId]
+    });
+    return { removed: removed === 1, voteCount };
+  } catch (error) {
+    console.error('[Redis] Error removing contest vote:', error);
+    return null;
+  }
+};
+
+// Entries per verified submitter, so maxEntriesPerUser never scans a contest
+const CONTEST_SUBMITTERS_PREFIX = 'contest:submitters:';
+
+// KEYS: submitters hash | ARGV: submitterId, max entries
+const RESERVE_ENTRY_SCRIPT = `
+local count = redis.call('HINCRBY', KEYS[1], ARGV[1], 1)
+if count > tonumber(ARGV[2]) then
+  redis.call('HINCRBY', KEYS[1], ARGV[1], -1)
+  return 0
+end
+return 1
+`;
+
+/**
+ * Atomically take one of a submitter's entry slots
+ * @param {string} contestId - Contest identifier
+ * @param {string} submitterId - Verified submitter id
+ * @param {number} maxEntries - Entries allowed per submitter
+ * @returns {Promise<boolean|null>} - Whether a slot was free, or null if Redis unavailable
+ */
+export const reserveContestEntrySlot = async (contestId, submitterId, maxEntries) => {
+  if (!redisClient.isOpen) {
+    console.warn('[Redis] Not connected, cannot count contest entries');
+    return null;
+  }
+
+  try {
+    const reserved = await redisClient.eval(RESERVE_ENTRY_SCRIPT, {
+      keys: [`${CONTEST_SUBMITTERS_PREFIX}${contestId}`],
+      arguments: [submitterId, String(maxEntries)]
+    });
+    return reserved === 1;
+  } catch (error) {
+    console.error('[Redis] Error reserving contest entry slot:', error);
+    return null;
+  }
+};
+
+/**
+ * Change a submitter's counted entries (failed saves, moderation, deletes)
+ * @param {string} contestId - Contest identifier
+ * @param {string} submitterId - Verified submitter id
+ * @param {number} delta - Amount to add (negative to release)
+ * @returns {Promise<boolean>} - Success status
+ */
+export const adjustContestEntryCount = async (contestId, submitterId, delta) => {
+  if (!redisClient.isOpen) {
+    return false;
+  }
+
+  try {
+    await redisClient.hIncrBy(`${CONTEST_SUBMITTERS_PREFIX}${contestId}`, submitterId, delta);
+    return true;
+  } catch (error) {
+    console.error('[Redis] Error adjusting contest entry count:', error);
+    return false;
+  }
+};
+
+/**
+ * Get vote counts for several entries at once
+ * @param {string} contestId - Contest identifier
+ * @param {string[]} entryIds - Entry IDs
+ * @returns {Promise<Object>} - Map of entryId -> vote count
+ */
+export const getContestVoteCounts = async (contestId, entryIds) => {
+  if (!redisClient.isOpen || entryIds.length === 0) {
+    return {};
+  }
+
+  try {
+    const scores = await redisClient.zmScore(`${CONTEST_LEADERBOARD_PREFIX}${contestId}`, entryIds);
+    return Object.fromEntries(entryIds.map((entryId, i) => [entryId, Number(scores[i]) || 0]));
+  } catch (error) {
+    console.error('[Redis] Error getting contest vote counts:', error);
+    return {};
+  }
+};
+
+/**
+ * Get the voters for an entry
+ * @param {string} contestId - Contest identifier
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<Array>} - Voter info objects ({ voterId, displayName, provider, timestamp })
+ */
+export const getContestVoters = async (contestId, entryId) => {
+  if (!redisClient.isOpen) {
+    return [];
+  }
+
+  try {
+    const voters = await redisClient.hGetAll(`${CONTEST_VOTERS_PREFIX}${contestId}:${entryId}`);
+    return Object.entries(voters)
+      .map(([voterId, raw]) => ({ voterId, ...JSON.parse(raw) }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  } catch (error) {
+    console.error('[Redis] Error getting contest voters:', error);
+    return [];
+  }
+};
+
+/**
+ * Check whether a voter has voted for an entry
+ * @param {string} contestId - Contest identifier
+ * @param {string} entryId - Entry ID
+ * @param {string} voterId - Verified voter id
+ * @returns {Promise<boolean>}
+ */
+export const hasContestVote = async (contestId, entryId, voterId) => {
+  if (!redisClient.isOpen) {
+    return false;
+  }
+
+  try {
+    return Boolean(await redisClient.sIsMember(`${CONTEST_VOTES_PREFIX}${contestId}:${entryId}`, voterId));
+  } catch (error) {
+    console.error('[Redis] Error checking contest vote:', error);
+    return false;
+  }
+};
+
+// Fixed-window rate limit counters
+const RATE_LIMIT_PREFIX = 'ratelimit:';
+
+/**
+ * Increment a fixed-window rate limit counter
+ * @param {string} key - Counter key (without prefix)
+ * @param {number} windowSeconds - Window length in seconds
+ * @returns {Promise<{count: number, ttl: number}|null>} - Current count and seconds left, or null if unavailable
+ */
+export const incrementRateLimitCounter = async (key, windowSeconds) => {
+  if (!redisClient.isOpen) {
+    return null;
+  }
+
+  try {
+    const redisKey = `${RATE_LIMIT_PREFIX}${key}`;
+    const [count, ttl] = await redisClient.multi().incr(redisKey).ttl(redisKey).exec();
+
+    // First hit in the window (or a counter that lost its expiry) starts the window
+    if (Number(ttl) < 0) {
+      await redisClient.expire(redisKey, windowSeconds);
+      return { count: Number(count), ttl: windowSeconds };
+    }
+    return { count: Number(count), ttl: Number(ttl) };
+  } catch (error) {
+    console.error('[Redis] Error incrementing rate limit counter:', error);
+    return null;
+  }
+};
+
+// Token buckets: hash of { tokens, ts }, refilled lazily on each take
+const TOKEN_BUCKET_PREFIX = 'tokenbucket:';
+
+// KEYS: bucket hash | ARGV: capacity, refill tokens per second, cost, now (ms)
+const TAKE_TOKENS_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * refill / 1000)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refill * 1000) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Atomically take tokens from a token bucket
+ * @param {string} key - Bucket key (without prefix)
+ * @param {Object} bucket - Bucket options
+ * @param {number} bucket.capacity - Max tokens (burst size)
+ * @param {number} bucket.refillPerSecond - Tokens added per second
+ * @param {number} bucket.cost - Tokens to take
+ * @returns {Promise<{allowed: boolean, tokens: number}|null>} - Result and tokens left, or null if unavailable
+ */
+export const takeTokenBucketTokens = async (key, { capacity, refillPerSecond, cost }) => {
+  if (!redisClient.isOpen) {
+    return null;
+  }
+
+  try {
+    const [allowed, tokens] = await redisClient.eval(TAKE_TOKENS_SCRIPT, {
+      keys: [`${TOKEN_BUCKET_PREFIX}${key}`],
+      arguments: [String(capacity), String(refillPerSecond), String(cost), String(Date.now())]
+    });
+    return { allowed: allowed === 1, tokens: Number(tokens) };
+  } catch (error) {
+    console.error('[Redis] Error taking token bucket tokens:', error);
+    return null;
+  }
+};
+
+// Contest registry: one JSON definition per contest plus a set of known ids
+const CONTEST_DEFINITION_PREFIX = 'contest:def:';
+const CONTEST_DEFINITIONS_KEY = 'contest:defs';
+
+/**
+ * Store (create or overwrite) a contest definition
+ * @param {Object} contest - Contest definition (must include id)
+ * @returns {Promise<boolean>} - Success status
+ */
+export const storeContestDefinition = async (contest) => {
+  if (!redisClient.isOpen) {
+    console.warn('[Redis] Not connected, cannot store contest definition');
+    return false;
+  }
+
+  try {
+    await redisClient.set(`${CONTEST_DEFINITION_PREFIX}${contest.id}`, JSON.stringify(contest));
+    await redisClient.sAdd(CONTEST_DEFINITIONS_KEY, contest.id);
+    return true;
+  } catch (error) {
+    console.error('[Redis] Error storing contest definition:', error);
+    return false;
+  }
+};
+
+/**
+ * Get a contest definition
+ * @param {string} contestId - Contest identifier
+ * @returns {Promise<Object|null|undefined>} - Definition, null if not registered, undefined if Redis is unavailable
+ */
+export const getContestDefinition = async (contestId) => {
+  if (!redisClient.isOpen) {
+    return undefined;
+  }
+
+  try {
+    const data = await redisClient.get(`${CONTEST_DEFINITION_PREFIX}${contestId}`);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error('[Redis] Error getting contest definition:', error);
+    return undefined;
+  }
+};
+
+/**
+ * List all contest definitions
+ * @returns {Promise<Array|null>} - Definitions, or null if Redis is unavailable
+ */
+export const listContestDefinitions = async () => {
+  if (!redisClient.isOpen) {
+    return null;
+  }
+
+  try {
+    const contestIds = await redisClient.sMembers(CONTEST_DEFINITIONS_KEY);
+    if (contestIds.length === 0) {
+      return [];
+    }
+    const rawDefinitions = await redisClient.mGet(contestIds.map(id => `${CONTEST_DEFINITION_PREFIX}${id}`));
+    return rawDefinitions.filter(Boolean).map(raw => JSON.parse(raw));
+  } catch (error) {
+    console.error('[Redis] Error listing contest definitions:', error);
+    return null;
+  }
+};
+
+// Mobile shares: one hash per share (data JSON, view count, revokedAt) that
+// expires with the share
+const MOBILE_SHARE_PREFIX = 'mobile-share:';
+
+// KEYS: share hash | ARGV: data JSON, ttl seconds
+const CREATE_MOBILE_SHARE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'data', ARGV[1], 'views', 0)
+redis.call('EXPIRE', KEYS[1], ARGV[2])
+return 1
+`;
+
+// KEYS: share hash | ARGV: field, increment (HINCRBY would recreate an expired share without a TTL)
+const INCREMENT_EXISTING_SHARE_FIELD_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return -1
+end
+return redis.call('HINCRBY', KEYS[1], ARGV[1], ARGV[2])
+`;
+
+// KEYS: share hash | ARGV: revokedAt
+const REVOKE_MOBILE_SHARE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'revokedAt', ARGV[1])
+return 1
+`;
+
+/**
+ * Store a new mobile share with its own expiry
+ * @param {string} shareId - Share ID
+ * @param {Object} data - Share data
+ * @param {number} ttlSeconds - Lifetime of the share
+ * @returns {Promise<boolean|null>} - true if stored, false if the ID is taken, null if Redis unavailable
+ */
+export const storeMobileShare = async (shareId, data, ttlSeconds) => {
+  if (!redisClient.isOpen) {
+    console.warn('[Redis] Not connected, cannot store mobile share');
+    return null;
+  }
+
+  try {
+    const created = await redisClient.eval(CREATE_MOBILE_SHARE_SCRIPT, {
+      keys: [`${MOBILE_SHARE_PREFIX}${shareId}`],
+      arguments: [JSON.stringify(data), String(ttlSeconds)]
+    });
+    return created === 1;
+  } catch (error) {
+    console.error('[Redis] Error storing mobile share:', error);
+    return null;
+  }
+};
+
+/**
+ * Get a mobile share
+ * @param {string} shareId - Share ID
+ * @returns {Promise<Object|null|undefined>} - { data, views, revokedAt, expiresAt }, null if missing/expired,
+ *   undefined if Redis unavailable
+ */
+export const getMobileShare = async (shareId) => {
+  if (!redisClient.isOpen) {
+    return undefined;
+  }
+
+  try {
+    const key = `${MOBILE_SHARE_PREFIX}${shareId}`;
+    const [share, ttlSeconds] = await redisClient.multi().hGetAll(key).ttl(key).exec();
+    if (!share?.data) {
+      return null;
+    }
+    return {
+      data: JSON.parse(share.data),
+      views: parseInt(share.views) || 0,
+      revokedAt: share.revokedAt ? parseInt(share.revokedAt) : null,
+      expiresAt: ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : null
+    };
+  } catch (error) {
+    console.error('[Redis] Error getting mobile share:', error);
+    return undefined;
+  }
+};
+
+/**
+ * Count a view of a mobile share
+ * @param {string} shareId - Share ID
+ * @returns {Promise<number|null>} - New view count, or null if missing or Redis unavailable
+ */
+export const incrementMobileShareViews = async (shareId) => {
+  if (!redisClient.isOpen) {
+    return null;
+  }
+
+  try {
+    const views = await redisClient.eval(INCREMENT_EXISTING_SHARE_FIELD_SCRIPT, {
+      keys: [`${MOBILE_SHARE_PREFIX}${shareId}`],
+      arguments: ['views', '1']
+    });
+    return views >= 0 ? views : null;
+  } catch (error) {
+    console.error('[Redis] Error counting mobile share view:', error);
+    return null;
+  }
+};
+
+/**
+ * Mark a mobile share as revoked. The record is kept until it expires so the
+ * share page can say it was revoked rather than "not found".
+ * @param {string} shareId - Share ID
+ * @returns {Promise<boolean|null>} - true if revoked, false if missing, null if Redis unavailable
+ */
+export const revokeMobileShare = async (shareId) => {
+  if (!redisClient.isOpen) {
+    return null;
+  }
+
+  try {
+    const revoked = await redisClient.eval(REVOKE_MOBILE_SHARE_SCRIPT, {
+      keys: [`${MOBILE_SHARE_PREFIX}${shareId}`],
+      arguments: [String(Date.now())]
+    });
+    return revoked === 1;
+  } catch (error) {
+    console.error('[Redis] Error revoking mobile share:', error);
+    return null;
+  }
+};
+
+// Extension galleries: one hash per account, field = entry ID, value = entry JSON
+const EXTENSION_GALLERY_PREFIX = 'extension-gallery:';
+
+/**
+ * Get every entry (tombstones included) in an account's extension gallery
+ * @param {string} accountId - Verified account ID (e.g. 'sogni:alice')
+ * @returns {Promise<Array|undefined>} - Entries, or undefined if Redis unavailable
+ */
+export const getExtensionGalleryEntries = async (accountId) => {
+  if (!redisClient.isOpen) {
+    return undefined;
+  }
+
+  try {
+    const entries = await redisClient.hGetAll(`${EXTENSION_GALLERY_PREFIX}${accountId}`);
+    return Object.values(entries).map(raw => JSON.parse(raw));
+  } catch (error) {
+    console.error('[Redis] Error getting extension gallery:', error);
+    return undefined;
+  }
+};
+
+/**
+ * Write entries to an account's extension gallery and remove others
+ * @param {string} accountId - Verified account ID
+ * @param {Array} entries - Entries to create or overwrite (each with an id)
+ * @param {string[]} [removeIds=[]] - Entry IDs to drop entirely
+ * @returns {Promise<boolean>} - Success status
+ */
+export const storeExtensionGalleryEntries = async (accountId, entries, removeIds = []) => {
+  if (!redisClient.isOpen) {
+    console.warn('[Redis] Not connected, cannot store extension gallery');
+    return false;
+  }
+
+  try {
+    const key = `${EXTENSION_GALLERY_PREFIX}${accountId}`;
+    const transaction = redisClient.multi();
+    if (entries.length > 0) {
+      transaction.hSet(key, Object.fromEntries(entries.map(entry => [entry.id, JSON.stringify(entry)])));
+    }
+    if (removeIds.length > 0) {
+      transaction.hDel(key, removeIds);
+    }
+    await transaction.exec();
+    return true;
+  } catch (error) {
+    console.error('[Redis] Error storing extension gallery:', error);
+    return false;
+  }
+};
+
+// Social share providers (Bluesky, Mastodon): connected accounts per browser
+// session and pending OAuth shares per state, each a JSON string with a TTL
+const SOCIAL_SHARE_PREFIX = 'social-share:';
+
+/**
+ * Store social share data with automatic expiration
+ * @param {string} key - Key below the social share prefix (e.g. 'session:bluesky:sid-123')
+ * @param {Object} data - Data to store
+ * @param {number} ttlSeconds - Time to live in seconds
+ * @returns {Promise<boolean>} - Success status
+ */
+export const storeSocialShareData = async (key, data, ttlSeconds) => {
+  if (!redisClient.isOpen) {
+    console.warn('[Redis] Not connected, cannot store social share data');
+    return false;
+  }
+
+  try {
+    await redisClient.set(`${SOCIAL_SHARE_PREFIX}${key}`, JSON.stringify(data), { EX: ttlSeconds });
+    return true;
+  } catch (error) {
+    console.error('[Redis] Error storing social share data:', error);
+    return false;
+  }
+};
+
+/**
+ * Get social share data
+ * @param {string} key - Key below the social share prefix
+ * @param {Object} [options]
+ * @param {boolean} [options.remove=false] - Delete the key in the same step (one-time OAuth state)
+ * @returns {Promise<Object|null|undefined>} - Data, null if missing, undefined if Redis unavailable
+ */
+export const getSocialShareData = async (key, { remove = false } = {}) => {
+  if (!redisClient.isOpen) {
+    return undefined;
+  }
+
+  try {
+    const fullKey = `${SOCIAL_SHARE_PREFIX}${key}`;
+    const data = remove ? await redisClient.getDel(fullKey) : await redisClient.get(fullKey);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error('[Redis] Error getting social share data:', error);
+    return undefined;
+  }
+};
+
+/**
+ * Delete social share data
+ * @param {string} key - Key below the social share prefix
+ * @returns {Promise<boolean>} - Success status
+ */
+export const deleteSocialShareData = async (key) => {
+  if (!redisClient.isOpen) {
+    return false;
+  }
+
+  try {
+    await redisClient.del(`${SOCIAL_SHARE_PREFIX}${key}`);
+    return true;
+  } catch (error) {
+    console.error('[Redis] Error deleting social share data:', error);
+    return false;
+  }
+};
@@ -0,0 +1,200 @@
+/**
+ * Minimal JSON Schema (draft-07) validator.
+ *
+ * Supports the subset our schemas use: type, enum, const, pattern,
+ * min/maxLength, minimum/maximum, items, min/maxItems, properties, required,
+ * additionalProperties, propertyNames, anyOf and local $refs
+ * (#/definitions/...). Unknown keywords are ignored.
+ *
+ * Errors are reported as { path, message } with dotted paths
+ * (e.g. "themes.mandala.framePadding.bottom") so they can be shown next to
+ * the field that's wrong.
+ */
+
+const MAX_SUGGESTION_DISTANCE = 2;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(path, segment) {
+  if (typeof segment === 'number') return `${path}[${segment}]`;
+  return path ? `${path}.${segment}` : segment;
+}
+
+function resolveRef(rootSchema, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $refs are supported (got ${ref})`);
+  }
+  const target = ref.slice(2).split('/').reduce((node, key) => node?.[key], rootSchema);
+  if (!target) {
+    throw new Error(`Unresolvable $ref ${ref}`);
+  }
+  return target;
+}
+
+// Edit distance, used to suggest the intended property for typos like "framepadding"
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = a[i - 1].toLowerCase() === b[j - 1].toLowerCase()
+        ? diagonal
+        : 1 + Math.min(diagonal, previous[j], previous[j - 1]);
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function suggest(name, candidates) {
+  let best = null;
+  let bestDistance = MAX_SUGGESTION_DISTANCE + 1;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+function validateNode(value, schema, path, rootSchema, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(rootSchema, schema.$ref), path, rootSchema, errors);
+    return;
+  }
+
+  if (schema.anyOf) {
+    const branchErrors = schema.anyOf.map(branch => {
+      const collected = [];
+      validateNode(value, branch, path, rootSchema, collected);
+      return collected;
+    });
+    if (branchErrors.every(collected => collected.length > 0)) {
+      // Report the branch that got furthest (fewest errors) rather than all of them
+      const closest = branchErrors.reduce((a, b) => (b.length < a.length ? b : a));
+      errors.push(...closest);
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${describe(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const hint = typeof value === 'string' ? suggest(value, schema.enum) : null;
+    errors.push({
+      path,
+      message: `must be one of ${schema.enum.map(describe).join(', ')}${hint ? ` - did you mean "${hint}"?` : ''}`
+    });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `${describe(value)} is not in the expected format` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, joinPath(path, index), rootSchema, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = joinPath(path, key);
+
+      if (schema.propertyNames) {
+        const nameErrors = [];
+        validateNode(key, schema.propertyNames, childPath, rootSchema, nameErrors);
+        if (nameErrors.length > 0) {
+          errors.push({ path: childPath, message: `${describe(key)} is not a valid name` });
+          continue;
+        }
+      }
+
+      if (properties[key]) {
+        validateNode(child, properties[key], childPath, rootSchema, errors);
+      } else if (schema.additionalProperties === false) {
+        const hint = suggest(key, Object.keys(properties));
+        errors.push({
+          path: childPath,
+          message: `unknown property${hint ? ` - did you mean "${hint}"?` : ''}`
+        });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, childPath, rootSchema, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (or sub-schema) to check against
+ * @param {Object} [options]
+ * @param {Object} [options.rootSchema] - Schema that $refs resolve against (defaults to schema)
+ * @param {string} [options.path] - Path prefix for error messages
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+export function validateAgainstSchema(value, schema, { rootSchema = schema, path = '' } = {}) {
+  const errors = [];
+  validateNode(value, schema, path, rootSchema, errors);
+  return errors;
+}
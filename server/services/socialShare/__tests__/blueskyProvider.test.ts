@@ -0,0 +1,228 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { buildFacets, createBlueskyProvider } from '../blueskyProvider.js';
+
+interface RecordedRequest {
+  method: string;
+  url: string;
+  headers: http.IncomingHttpHeaders;
+  body: Buffer;
+}
+
+const DID = 'did:plc:alice123';
+
+/**
+ * Minimal PDS: createSession with one app password, refreshSession,
+ * uploadBlob and createRecord; tokens can be expired on demand
+ */
+function createBlueskyStub() {
+  const requests: RecordedRequest[] = [];
+  let accessJwt = 'access-1';
+
+  const server = http.createServer((req, res) => {
+    const chunks: Buffer[] = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method || '', url: req.url || '', headers: req.headers, body });
+
+      const send = (status: number, json: unknown) => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(json));
+      };
+      const session = () => ({ accessJwt, refreshJwt: 'refresh-1', did: DID, handle: 'alice.bsky.social' });
+      const authorized = req.headers.authorization === `Bearer ${accessJwt}`;
+
+      switch (`${req.method} ${req.url}`) {
+        case 'POST /xrpc/com.atproto.server.createSession': {
+          const { identifier, password } = JSON.parse(body.toString());
+          if (identifier === 'alice.bsky.social' && password === 'app-pass-word') {
+            return send(200, session());
+          }
+          if (password === 'main-password') {
+            return send(401, { error: 'AuthFactorTokenRequired', message: 'A sign in code has been sent to your email address' });
+          }
+          return send(401, { error: 'AuthenticationRequired', message: 'Invalid identifier or password' });
+        }
+        case 'POST /xrpc/com.atproto.server.refreshSession':
+          if (req.headers.authorization !== 'Bearer refresh-1') {
+            return send(400, { error: 'ExpiredToken', message: 'Token has expired' });
+          }
+          accessJwt = 'access-2';
+          return send(200, session());
+        case 'POST /xrpc/com.atproto.repo.uploadBlob':
+          if (!authorized) return send(400, { error: 'ExpiredToken', message: 'Token has expired' });
+          return send(200, {
+            blob: { $type: 'blob', ref: { $link: 'bafkrei-blob' }, mimeType: req.headers['content-type'], size: body.length }
+          });
+        case 'POST /xrpc/com.atproto.repo.createRecord':
+          if (!authorized) return send(400, { error: 'ExpiredToken', message: 'Token has expired' });
+          return send(200, { uri: `at://${DID}/app.bsky.feed.post/3kpost`, cid: 'bafyrei-post' });
+        default:
+          return send(501, { error: 'MethodNotImplemented', message: 'Method Not Implemented' });
+      }
+    });
+  });
+
+  return {
+    requests,
+    expireTokens: () => { accessJwt = `access-${Date.now()}`; },
+    listen: () => new Promise<string>(resolve => {
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${(server.address() as AddressInfo).port}`));
+    }),
+    close: () => new Promise<void>(resolve => server.close(() => resolve()))
+  };
+}
+
+describe('buildFacets', () => {
+  it('uses UTF-8 byte offsets for links and hashtags', () => {
+    const text = '📸 café pics https://sogni.ai/photobooth! #SogniPhotobooth';
+    const facets = buildFacets(text);
+    const bytes = Buffer.from(text);
+    const slice = ({ byteStart, byteEnd }: { byteStart: number; byteEnd: number }) =>
+      bytes.subarray(byteStart, byteEnd).toString();
+
+    expect(facets).toHaveLength(2);
+    expect(facets[0].features).toEqual([{ $type: 'app.bsky.richtext.facet#link', uri: 'https://sogni.ai/photobooth' }]);
+    expect(slice(facets[0].index)).toBe('https://sogni.ai/photobooth');
+    expect(facets[1].features).toEqual([{ $type: 'app.bsky.richtext.facet#tag', tag: 'SogniPhotobooth' }]);
+    expect(slice(facets[1].index)).toBe('#SogniPhotobooth');
+  });
+
+  it('skips numeric and overlong tags', () => {
+    expect(buildFacets(`we're #1 #${'a'.repeat(65)}`)).toEqual([]);
+  });
+});
+
+describe('Bluesky provider', () => {
+  const stub = createBlueskyStub();
+  let provider: ReturnType<typeof createBlueskyProvider>;
+
+  beforeAll(async () => {
+    const serviceUrl = await stub.listen();
+    provider = createBlueskyProvider({ serviceUrl: `${serviceUrl}/`, appUrl: 'https://bsky.example' });
+  });
+
+  afterAll(() => stub.close());
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+  });
+
+  const login = () => provider.login({ identifier: ' @alice.bsky.social', password: 'app-pass-word' });
+
+  describe('login', () => {
+    it('signs in with an app password and keeps only the session tokens', async () => {
+      const session = await login();
+
+      expect(session).toEqual({
+        accessJwt: expect.stringMatching(/^access-/),
+        refreshJwt: 'refresh-1',
+        did: DID,
+        handle: 'alice.bsky.social',
+        account: '@alice.bsky.social'
+      });
+      expect(JSON.parse(stub.requests[0].body.toString())).toEqual({ identifier: 'alice.bsky.social', password: 'app-pass-word' });
+    });
+
+    it('needs both a handle and a password', async () => {
+      await expect(provider.login({ identifier: 'alice.bsky.social', password: '' }))
+        .rejects.toMatchObject({ code: 'CREDENTIALS_REQUIRED' });
+      expect(stub.requests).toHaveLength(0);
+    });
+
+    it('rejects bad credentials', async () => {
+      await expect(provider.login({ identifier: 'alice.bsky.social', password: 'wrong' }))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS', message: expect.stringMatching(/didn't accept/) });
+    });
+
+    it('points people using their main password at app passwords', async () => {
+      await expect(provider.login({ identifier: 'alice.bsky.social', password: 'main-password' }))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS', message: expect.stringMatching(/app password/) });
+    });
+  });
+
+  describe('posting', () => {
+    it('uploads the image as a blob', async () => {
+      const session = await login();
+      stub.requests.length = 0;
+
+      const media = await provider.uploadMedia(session, {
+        buffer: Buffer.from('jpeg-bytes'),
+        contentType: 'image/jpeg',
+        altText: 'a photobooth portrait',
+        width: 768,
+        height: 1024
+      });
+
+      const [request] = stub.requests;
+      expect(request.headers.authorization).toBe(`Bearer ${session.accessJwt}`);
+      expect(request.headers['content-type']).toBe('image/jpeg');
+      expect(request.body.toString()).toBe('jpeg-bytes');
+      expect(media).toEqual({
+        alt: 'a photobooth portrait',
+        image: { $type: 'blob', ref: { $link: 'bafkrei-blob' }, mimeType: 'image/jpeg', size: 10 },
+        aspectRatio: { width: 768, height: 1024 }
+      });
+    });
+
+    it('refuses images over the blob limit before uploading', async () => {
+      const session = await login();
+      stub.requests.length = 0;
+
+      await expect(provider.uploadMedia(session, { buffer: Buffer.alloc(1000 * 1000 + 1), contentType: 'image/jpeg' }))
+        .rejects.toMatchObject({ code: 'MEDIA_TOO_LARGE' });
+      expect(stub.requests).toHaveLength(0);
+    });
+
+    it('creates a post record with facets and the image embed, and links to it', async () => {
+      const session = await login();
+      stub.requests.length = 0;
+      const image = { alt: '', image: { $type: 'blob', ref: { $link: 'bafkrei-blob' } } };
+
+      const post = await provider.createPost(session, { text: 'made at https://sogni.ai #photobooth', media: [image] });
+
+      expect(post).toEqual({
+        id: `at://${DID}/app.bsky.feed.post/3kpost`,
+        url: 'https://bsky.example/profile/alice.bsky.social/post/3kpost'
+      });
+      const { repo, collection, record } = JSON.parse(stub.requests[0].body.toString());
+      expect(repo).toBe(DID);
+      expect(collection).toBe('app.bsky.feed.post');
+      expect(record).toMatchObject({
+        $type: 'app.bsky.feed.post',
+        text: 'made at https://sogni.ai #photobooth',
+        facets: buildFacets('made at https://sogni.ai #photobooth'),
+        embed: { $type: 'app.bsky.embed.images', images: [image] }
+      });
+      expect(Date.parse(record.createdAt)).not.toBeNaN();
+    });
+  });
+
+  describe('expired sessions', () => {
+    it('maps an expired access token to SESSION_EXPIRED', async () => {
+      const session = await login();
+      stub.expireTokens();
+
+      await expect(provider.createPost(session, { text: 'hi' })).rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+    });
+
+    it('refreshes the session with the refresh token', async () => {
+      const session = await login();
+      stub.expireTokens();
+
+      const refreshed = await provider.refreshSession(session);
+
+      expect(refreshed.accessJwt).toBe('access-2');
+      await expect(provider.createPost(refreshed, { text: 'hi' })).resolves.toMatchObject({ id: expect.any(String) });
+    });
+
+    it('treats a refresh token that no longer works as SESSION_EXPIRED too', async () => {
+      await expect(provider.refreshSession({ refreshJwt: 'stale' } as any))
+        .rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+    });
+  });
+});
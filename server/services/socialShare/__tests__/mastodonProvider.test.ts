@@ -0,0 +1,275 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { createMastodonProvider } from '../mastodonProvider.js';
+import { publicFetch } from '../../imageValidationService.js';
+
+interface RecordedRequest {
+  method: string;
+  url: string;
+  headers: http.IncomingHttpHeaders;
+  body: string;
+}
+
+const REDIRECT_URI = 'https://photobooth.example/api/social-share/mastodon/callback';
+
+/**
+ * Minimal Mastodon instance: app registration, OAuth token exchange, one
+ * account, media that takes a couple of polls to process, and statuses
+ */
+function createMastodonStub() {
+  const requests: RecordedRequest[] = [];
+  const canned: Array<{ status: number; headers?: Record<string, string>; body?: unknown }> = [];
+  let base = '';
+  let mediaPolls = 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks: Buffer[] = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('latin1');
+      requests.push({ method: req.method || '', url: req.url || '', headers: req.headers, body });
+
+      const send = (status: number, json?: unknown, headers: Record<string, string> = {}) => {
+        res.writeHead(status, { 'content-type': 'application/json', ...headers });
+        res.end(json === undefined ? undefined : JSON.stringify(json));
+      };
+
+      const next = canned.shift();
+      if (next) {
+        return send(next.status, next.body, next.headers);
+      }
+
+      const authorized = req.headers.authorization === 'Bearer user-token';
+      const route = `${req.method} ${(req.url || '').split('?')[0]}`;
+      switch (route) {
+        case 'POST /api/v1/apps':
+          return send(200, { client_id: 'client-1', client_secret: 'secret-1' });
+        case 'POST /oauth/token':
+          return JSON.parse(body).code === 'good-code'
+            ? send(200, { access_token: 'user-token', token_type: 'Bearer' })
+            : send(400, { error: 'invalid_grant', error_description: 'The provided authorization grant is invalid' });
+        case 'GET /api/v1/accounts/verify_credentials':
+          return authorized ? send(200, { acct: 'alice' }) : send(401, { error: 'The access token is invalid' });
+        case 'POST /api/v2/media':
+          if (!authorized) return send(401, { error: 'The access token is invalid' });
+          mediaPolls = 0;
+          return send(202, { id: 'media-1', url: null });
+        case 'GET /api/v1/media/media-1':
+          mediaPolls += 1;
+          return mediaPolls < 2
+            ? send(206, { id: 'media-1', url: null })
+            : send(200, { id: 'media-1', url: `${base}/media/1.mp4` });
+        case 'POST /api/v1/statuses':
+          if (!authorized) return send(401, { error: 'The access token is invalid' });
+          return send(200, { id: 'status-1', url: `${base}/@alice/status-1` });
+        default:
+          return send(404, { error: 'Record not found' });
+      }
+    });
+  });
+
+  return {
+    requests,
+    respondNext: (status: number, body?: unknown, headers?: Record<string, string>) => canned.push({ status, body, headers }),
+    listen: () => new Promise<string>(resolve => {
+      server.listen(0, '127.0.0.1', () => {
+        base = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+        resolve(base);
+      });
+    }),
+    close: () => new Promise<void>(resolve => server.close(() => resolve()))
+  };
+}
+
+describe('Mastodon provider', () => {
+  const stub = createMastodonStub();
+  let instance: string;
+  let provider: ReturnType<typeof createMastodonProvider>;
+
+  beforeAll(async () => {
+    instance = await stub.listen();
+    provider = createMastodonProvider({ fetch: globalThis.fetch, allowPrivateHosts: true, pollIntervalMs: 5 });
+  });
+
+  afterAll(() => stub.close());
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+  });
+
+  const connect = async () => {
+    const { pending } = await provider.getAuthUrl({ instance, state: 'state-1', redirectUri: REDIRECT_URI });
+    return provider.completeAuth({ code: 'good-code', pending, redirectUri: REDIRECT_URI });
+  };
+
+  describe('instances', () => {
+    it('asks for an instance when none is given', async () => {
+      await expect(provider.getAuthUrl({ instance: '  ', state: 's', redirectUri: REDIRECT_URI }))
+        .rejects.toMatchObject({ code: 'INSTANCE_REQUIRED' });
+    });
+
+    it('rejects things that are not server addresses', async () => {
+      await expect(provider.getAuthUrl({ instance: 'https://exa mple', state: 's', redirectUri: REDIRECT_URI }))
+        .rejects.toMatchObject({ code: 'INVALID_INSTANCE' });
+    });
+
+    it('requires https unless private hosts are allowed', async () => {
+      const strict = createMastodonProvider({ fetch: globalThis.fetch });
+      await expect(strict.getAuthUrl({ instance, state: 's', redirectUri: REDIRECT_URI }))
+        .rejects.toMatchObject({ code: 'INVALID_INSTANCE', message: expect.stringMatching(/https/) });
+      expect(stub.requests).toHaveLength(0);
+    });
+
+    it('treats an instance that answers with errors as not a Mastodon server', async () => {
+      stub.respondNext(404, { error: 'Not found' });
+      await expect(provider.getAuthUrl({ instance: `${instance}/`, state: 's', redirectUri: 'https://other.example/cb' }))
+        .rejects.toMatchObject({ code: 'INVALID_INSTANCE' });
+    });
+
+    it('refuses to follow redirects', async () => {
+      stub.respondNext(302, undefined, { location: 'http://169.254.169.254/latest/meta-data/' });
+      await expect(provider.getAuthUrl({ instance, state: 's', redirectUri: 'https://redirected.example/cb' }))
+        .rejects.toMatchObject({ code: 'INVALID_INSTANCE' });
+      expect(stub.requests).toHaveLength(1);
+    });
+  });
+
+  describe('sign-in', () => {
+    it('registers the app once per instance and builds the authorize URL', async () => {
+      const first = await provider.getAuthUrl({ instance: `@alice@${instance}`, state: 'state-1', redirectUri: REDIRECT_URI });
+      await provider.getAuthUrl({ instance, state: 'state-2', redirectUri: REDIRECT_URI });
+
+      const registrations = stub.requests.filter(request => request.url === '/api/v1/apps');
+      expect(registrations).toHaveLength(1);
+      expect(JSON.parse(registrations[0].body)).toMatchObject({
+        client_name: 'Sogni Photobooth',
+        redirect_uris: REDIRECT_URI,
+        scopes: 'write:media write:statuses read:accounts'
+      });
+
+      const url = new URL(first.url);
+      expect(`${url.origin}${url.pathname}`).toBe(`${instance}/oauth/authorize`);
+      expect(Object.fromEntries(url.searchParams)).toEqual({
+        response_type: 'code',
+        client_id: 'client-1',
+        redirect_uri: REDIRECT_URI,
+        scope: 'write:media write:statuses read:accounts',
+        state: 'state-1'
+      });
+      expect(first.pending).toEqual({ instance, clientId: 'client-1', clientSecret: 'secret-1' });
+    });
+
+    it('exchanges the code and labels the account with its instance', async () => {
+      const session = await connect();
+
+      expect(session).toEqual({
+        instance,
+        accessToken: 'user-token',
+        account: `@alice@${new URL(instance).host}`
+      });
+      const tokenRequest = stub.requests.find(request => request.url === '/oauth/token');
+      expect(JSON.parse(tokenRequest!.body)).toMatchObject({
+        grant_type: 'authorization_code',
+        code: 'good-code',
+        client_id: 'client-1',
+        client_secret: 'secret-1',
+        redirect_uri: REDIRECT_URI
+      });
+    });
+
+    it('reports a rejected code as AUTH_FAILED', async () => {
+      const { pending } = await provider.getAuthUrl({ instance, state: 's', redirectUri: REDIRECT_URI });
+      await expect(provider.completeAuth({ code: 'bad-code', pending, redirectUri: REDIRECT_URI }))
+        .rejects.toMatchObject({ code: 'AUTH_FAILED' });
+    });
+  });
+
+  describe('posting', () => {
+    it('uploads media and waits for it to finish processing', async () => {
+      const session = await connect();
+      stub.requests.length = 0;
+
+      const media = await provider.uploadMedia(session, {
+        buffer: Buffer.from('fake-video'),
+        contentType: 'video/mp4',
+        altText: 'a photobooth clip',
+        fileName: 'clip.mp4'
+      });
+
+      expect(media).toEqual({ id: 'media-1' });
+      const [upload, ...polls] = stub.requests;
+      expect(upload.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+      expect(upload.body).toContain('filename="clip.mp4"');
+      expect(upload.body).toContain('fake-video');
+      expect(upload.body).toContain('a photobooth clip');
+      expect(polls.map(request => request.url)).toEqual(['/api/v1/media/media-1', '/api/v1/media/media-1']);
+    });
+
+    it('posts a public status with the media and an idempotency key', async () => {
+      const session = await connect();
+      stub.requests.length = 0;
+
+      const post = await provider.createPost(session, { text: 'hello #SogniPhotobooth', media: [{ id: 'media-1' }] });
+
+      expect(post).toEqual({ id: 'status-1', url: `${instance}/@alice/status-1` });
+      const [request] = stub.requests;
+      expect(request.headers['idempotency-key']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(JSON.parse(request.body)).toEqual({ status: 'hello #SogniPhotobooth', media_ids: ['media-1'], visibility: 'public' });
+    });
+
+    it('maps a revoked token to SESSION_EXPIRED', async () => {
+      await expect(provider.createPost({ instance, accessToken: 'revoked' }, { text: 'hi' }))
+        .rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+    });
+
+    it('maps oversized uploads to MEDIA_TOO_LARGE', async () => {
+      const session = await connect();
+      stub.respondNext(413, { error: 'File is too large' });
+      await expect(provider.uploadMedia(session, { buffer: Buffer.from('x'), contentType: 'image/jpeg' }))
+        .rejects.toMatchObject({ code: 'MEDIA_TOO_LARGE' });
+    });
+  });
+
+  describe('default fetch', () => {
+    const allowPrivate = process.env.IMAGE_FETCH_ALLOW_PRIVATE;
+
+    afterEach(() => {
+      if (allowPrivate === undefined) {
+        delete process.env.IMAGE_FETCH_ALLOW_PRIVATE;
+      } else {
+        process.env.IMAGE_FETCH_ALLOW_PRIVATE = allowPrivate;
+      }
+    });
+
+    it('never connects to private addresses, whatever the name resolves to', async () => {
+      delete process.env.IMAGE_FETCH_ALLOW_PRIVATE;
+      const guarded = createMastodonProvider({ allowPrivateHosts: true });
+      const port = new URL(instance).port;
+
+      await expect(guarded.getAuthUrl({ instance, state: 's', redirectUri: 'https://guarded.example/cb' }))
+        .rejects.toMatchObject({ code: 'INVALID_INSTANCE' });
+      await expect(guarded.getAuthUrl({ instance: `http://localhost:${port}`, state: 's', redirectUri: 'https://guarded.example/cb' }))
+        .rejects.toMatchObject({ code: 'INVALID_INSTANCE' });
+      expect(stub.requests).toHaveLength(0);
+    });
+
+    it('sends JSON and multipart bodies and hands redirects back unfollowed', async () => {
+      process.env.IMAGE_FETCH_ALLOW_PRIVATE = 'true';
+      const guarded = createMastodonProvider({ allowPrivateHosts: true, pollIntervalMs: 5 });
+
+      const { pending } = await guarded.getAuthUrl({ instance, state: 's', redirectUri: 'https://guarded.example/cb' });
+      const session = await guarded.completeAuth({ code: 'good-code', pending, redirectUri: 'https://guarded.example/cb' });
+      expect(session.account).toBe(`@alice@${new URL(instance).host}`);
+      await expect(guarded.uploadMedia(session, { buffer: Buffer.from('img'), contentType: 'image/jpeg' }))
+        .resolves.toEqual({ id: 'media-1' });
+
+      stub.respondNext(301, undefined, { location: 'http://169.254.169.254/' });
+      const response = await publicFetch(`${instance}/api/v1/instance`);
+      expect(response.status).toBe(301);
+      expect(response.headers.get('location')).toBe('http://169.254.169.254/');
+    });
+  });
+});
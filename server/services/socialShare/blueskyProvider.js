@@ -0,0 +1,159 @@
+import { Buffer } from 'buffer';
+import { shareError, requestJson } from './providerUtils.js';
+
+// Bluesky rejects image blobs over 1,000,000 bytes and posts over 300 graphemes
+const MAX_IMAGE_BYTES = 1000 * 1000;
+const MAX_POST_LENGTH = 300;
+const MAX_TAG_LENGTH = 64;
+
+const URL_PATTERN = /https?:\/\/[^\s]+/g;
+const TAG_PATTERN = /(^|\s)#([^\s#]+)/g;
+const TRAILING_PUNCTUATION = /[.,;:!?)'"…]+$/;
+
+const byteLength = (text) => Buffer.byteLength(text, 'utf8');
+
+/**
+ * Rich text facets so links and hashtags are clickable in the Bluesky app.
+ * Offsets are UTF-8 byte positions, not string indices.
+ * @param {string} text - Post text
+ * @returns {Array} app.bsky.richtext.facet records
+ */
+export function buildFacets(text) {
+  const facets = [];
+  const addFacet = (start, value, feature) => {
+    const byteStart = byteLength(text.slice(0, start));
+    facets.push({
+      index: { byteStart, byteEnd: byteStart + byteLength(value) },
+      features: [feature]
+    });
+  };
+
+  for (const match of text.matchAll(URL_PATTERN)) {
+    const uri = match[0].replace(TRAILING_PUNCTUATION, '');
+    addFacet(match.index, uri, { $type: 'app.bsky.richtext.facet#link', uri });
+  }
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const tag = match[2].replace(TRAILING_PUNCTUATION, '');
+    // Purely numeric tags (#1) aren't hashtags on Bluesky
+    if (!tag || tag.length > MAX_TAG_LENGTH || /^\d+$/.test(tag)) continue;
+    addFacet(match.index + match[1].length, `#${tag}`, { $type: 'app.bsky.richtext.facet#tag', tag });
+  }
+
+  return facets;
+}
+
+/**
+ * Bluesky provider (AT Protocol) signing in with an app password.
+ * Only the session tokens are kept; the app password is never stored.
+ * @param {Object} [options]
+ * @param {string} [options.serviceUrl='https://bsky.social'] - PDS / entryway to talk to
+ * @param {Function} [options.fetch] - fetch implementation (a local mock server works too)
+ * @param {string} [options.appUrl='https://bsky.app'] - Web app used for post links
+ */
+export function createBlueskyProvider({
+  serviceUrl = 'https://bsky.social',
+  fetch: fetchImpl = globalThis.fetch,
+  appUrl = 'https://bsky.app'
+} = {}) {
+  const service = serviceUrl.replace(/\/+$/, '');
+  const xrpc = (method) => `${service}/xrpc/${method}`;
+
+  // Access tokens last a couple of hours; the route refreshes and retries once
+  const withSessionErrors = async (request) => {
+    try {
+      return await request();
+    } catch (error) {
+      if (error.code) throw error;
+      if (error.status === 401 || error.body?.error === 'ExpiredToken' || error.body?.error === 'InvalidToken') {
+        throw shareError('SESSION_EXPIRED', 'ur Bluesky sign-in expired. connect again? 🔑');
+      }
+      throw shareError('PROVIDER_ERROR', `Bluesky said no: ${error.message}`);
+    }
+  };
+
+  const toSession = (body) => ({
+    accessJwt: body.accessJwt,
+    refreshJwt: body.refreshJwt,
+    did: body.did,
+    handle: body.handle,
+    account: `@${body.handle}`
+  });
+
+  return {
+    id: 'bluesky',
+    name: 'Bluesky',
+    authType: 'app-password',
+    maxPostLength: MAX_POST_LENGTH,
+    // Bluesky counts links at their full length
+    urlLength: null,
+    maxImageBytes: MAX_IMAGE_BYTES,
+    supportsVideo: false,
+
+    async login({ identifier, password }) {
+      if (!identifier || !password) {
+        throw shareError('CREDENTIALS_REQUIRED', 'we need ur Bluesky handle and an app password 🔑');
+      }
+      try {
+        const { body } = await requestJson(fetchImpl, xrpc('com.atproto.server.createSession'), {
+          method: 'POST',
+          json: { identifier: identifier.trim().replace(/^@/, ''), password }
+        });
+        return toSession(body);
+      } catch (error) {
+        if (error.code) throw error;
+        if (error.body?.error === 'AuthFactorTokenRequired') {
+          throw shareError('INVALID_CREDENTIALS', 'use an app password (Settings → Privacy and security → App passwords), not ur main password 🔑');
+        }
+        if (error.status === 400 || error.status === 401) {
+          throw shareError('INVALID_CREDENTIALS', 'Bluesky didn\'t accept that handle or app password 🤔');
+        }
+        throw shareError('PROVIDER_ERROR', `couldn't sign in to Bluesky: ${error.message}`);
+      }
+    },
+
+    async refreshSession(session) {
+      const { body } = await withSessionErrors(() => requestJson(fetchImpl, xrpc('com.atproto.server.refreshSession'), {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${session.refreshJwt}` }
+      }));
+      return toSession(body);
+    },
+
+    async uploadMedia(session, { buffer, contentType, altText = '', width, height }) {
+      if (buffer.length > MAX_IMAGE_BYTES) {
+        throw shareError('MEDIA_TOO_LARGE', 'that image is too big for Bluesky 📦');
+      }
+      const { body } = await withSessionErrors(() => requestJson(fetchImpl, xrpc('com.atproto.repo.uploadBlob'), {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${session.accessJwt}`, 'Content-Type': contentType },
+        body: buffer
+      }));
+      return {
+        alt: altText,
+        image: body.blob,
+        ...(width && height ? { aspectRatio: { width, height } } : {})
+      };
+    },
+
+    async createPost(session, { text, media = [] }) {
+      const facets = buildFacets(text);
+      const record = {
+        $type: 'app.bsky.feed.post',
+        text,
+        createdAt: new Date().toISOString(),
+        ...(facets.length > 0 ? { facets } : {}),
+        ...(media.length > 0 ? { embed: { $type: 'app.bsky.embed.images', images: media } } : {})
+      };
+
+      const { body } = await withSessionErrors(() => requestJson(fetchImpl, xrpc('com.atproto.repo.createRecord'), {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${session.accessJwt}` },
+        json: { repo: session.did, collection: 'app.bsky.feed.post', record }
+      }));
+
+      const postId = body.uri.split('/').pop();
+      return { id: body.uri, url: `${appUrl}/profile/${session.handle}/post/${postId}` };
+    }
+  };
+}
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import { publicFetch } from '../imageValidationService.js';
+import { shareError, requestJson } from './providerUtils.js';
+
+// Mastodon's default limits; every link counts as 23 characters
+const MAX_POST_LENGTH = 500;
+const URL_LENGTH = 23;
+const MAX_IMAGE_BYTES = 16 * 1024 * 1024;
+const SCOPES = 'write:media write:statuses read:accounts';
+// Video attachments are processed asynchronously after upload
+const MEDIA_PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Mastodon provider: OAuth against whichever instance the user is on.
+ * The app is registered on each instance the first time someone from it shares.
+ * @param {Object} [options]
+ * @param {string} [options.clientName='Sogni Photobooth'] - App name shown on posts
+ * @param {string} [options.website] - App website shown on posts
+ * @param {Function} [options.fetch] - fetch implementation; the default only
+ *   connects to public addresses, so instances can't point us at internal hosts
+ * @param {boolean} [options.allowPrivateHosts=false] - Allow http:// instances, e.g. a
+ *   local mock server (with a plain fetch). Never enable this in production.
+ * @param {number} [options.pollIntervalMs=1000] - How often to check on media processing
+ */
+export function createMastodonProvider({
+  clientName = 'Sogni Photobooth',
+  website = 'https://photobooth.sogni.ai',
+  fetch: fetchImpl = publicFetch,
+  allowPrivateHosts = false,
+  pollIntervalMs = 1000
+} = {}) {
+  // `${instance} ${redirectUri}` -> Promise<{clientId, clientSecret}>
+  const registeredApps = new Map();
+
+  // Accepts "mastodon.social", "@alice@mastodon.social" or a full URL
+  const resolveInstance = (input) => {
+    const value = String(input || '').trim().replace(/^@?[^@\s/]+@/, '');
+    if (!value) {
+      throw shareError('INSTANCE_REQUIRED', 'which Mastodon server are you on? (e.g. mastodon.social) 🐘');
+    }
+
+    let url;
+    try {
+      url = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+    } catch {
+      throw shareError('INVALID_INSTANCE', 'that doesn\'t look like a Mastodon server 🤔');
+    }
+    if (url.protocol !== 'https:' && !(allowPrivateHosts && url.protocol === 'http:')) {
+      throw shareError('INVALID_INSTANCE', 'Mastodon servers need to use https 🔒');
+    }
+    return url.origin;
+  };
+
+  // Every call to an instance: redirects are refused rather than followed, and
+  // an instance that resolves to a private address is just not a Mastodon server
+  const instanceRequest = async (url, options = {}) => {
+    try {
+      return await requestJson(fetchImpl, url, { ...options, redirect: 'manual' });
+    } catch (error) {
+      if (error.code === 'REMOTE_URL_NOT_ALLOWED') {
+        throw shareError('INVALID_INSTANCE', 'that doesn\'t look like a Mastodon server 🤔');
+      }
+      throw error;
+    }
+  };
+
+  const registerApp = (instance, redirectUri) => {
+    const key = `${instance} ${redirectUri}`;
+    if (!registeredApps.has(key)) {
+      const registration = instanceRequest(`${instance}/api/v1/apps`, {
+        method: 'POST',
+        json: { client_name: clientName, redirect_uris: redirectUri, scopes: SCOPES, website }
+      }).then(({ body }) => ({ clientId: body.client_id, clientSecret: body.client_secret }));
+      // Don't cache failures; the next share tries again
+      registration.catch(() => registeredApps.delete(key));
+      registeredApps.set(key, registration);
+    }
+    return registeredApps.get(key);
+  };
+
+  const withSessionErrors = async (request) => {
+    try {
+      return await request();
+    } catch (error) {
+      if (error.code) throw error;
+      if (error.status === 401 || error.status === 403) {
+        throw shareError('SESSION_EXPIRED', 'ur Mastodon sign-in expired. connect again? 🔑');
+      }
+      if (error.status === 413) {
+        throw shareError('MEDIA_TOO_LARGE', 'that file is too big for ur Mastodon server 📦');
+      }
+      throw shareError('PROVIDER_ERROR', `Mastodon said no: ${error.message}`);
+    }
+  };
+
+  const authHeaders = (session) => ({ Authorization: `Bearer ${session.accessToken}` });
+
+  return {
+    id: 'mastodon',
+    name: 'Mastodon',
+    authType: 'oauth',
+    maxPostLength: MAX_POST_LENGTH,
+    urlLength: URL_LENGTH,
+    maxImageBytes: MAX_IMAGE_BYTES,
+    supportsVideo: true,
+
+    async getAuthUrl({ instance: instanceInput, state, redirectUri }) {
+      const instance = resolveInstance(instanceInput);
+      let app;
+      try {
+        app = await registerApp(instance, redirectUri);
+      } catch (error) {
+        if (error.code) throw error;
+        throw shareError('INVALID_INSTANCE', `${new URL(instance).host} doesn't look like a Mastodon server 🤔`);
+      }
+
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: app.clientId,
+        redirect_uri: redirectUri,
+        scope: SCOPES,
+        state
+      });
+      return {
+        url: `${instance}/oauth/authorize?${params}`,
+        pending: { instance, ...app }
+      };
+    },
+
+    async completeAuth({ code, pending, redirectUri }) {
+      const { instance, clientId, clientSecret } = pending;
+      let token;
+      try {
+        ({ body: token } = await instanceRequest(`${instance}/oauth/token`, {
+          method: 'POST',
+          json: {
+            grant_type: 'authorization_code',
+            code,
+            client_id: clientId,
+            client_secret: clientSecret,
+            redirect_uri: redirectUri,
+            scope: SCOPES
+          }
+        }));
+      } catch (error) {
+        if (error.code) throw error;
+        throw shareError('AUTH_FAILED', 'couldn\'t finish signing in to Mastodon. try again? 🙏');
+      }
+
+      const session = { instance, accessToken: token.access_token };
+      const { body: account } = await withSessionErrors(() =>
+        instanceRequest(`${instance}/api/v1/accounts/verify_credentials`, { headers: authHeaders(session) }));
+      return { ...session, account: `@${account.acct}@${new URL(instance).host}` };
+    },
+
+    async uploadMedia(session, { buffer, contentType, altText = '', fileName = 'photobooth' }) {
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type: contentType }), fileName);
+      if (altText) {
+        form.append('description', altText);
+      }
+
+      let { body: media } = await withSessionErrors(() => instanceRequest(`${session.instance}/api/v2/media`, {
+        method: 'POST',
+        headers: authHeaders(session),
+        body: form
+      }));
+
+      // 202 with url: null means the server is still transcoding; statuses can't
+      // attach it until that finishes
+      const deadline = Date.now() + MEDIA_PROCESSING_TIMEOUT_MS;
+      while (!media.url) {
+        if (Date.now() > deadline) {
+          throw shareError('PROVIDER_ERROR', 'ur Mastodon server is taking too long to process that video ⏱️');
+        }
+        await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+        ({ body: media } = await withSessionErrors(() =>
+          instanceRequest(`${session.instance}/api/v1/media/${media.id}`, { headers: authHeaders(session) })));
+      }
+      return { id: media.id };
+    },
+
+    async createPost(session, { text, media = [] }) {
+      const { body } = await withSessionErrors(() => instanceRequest(`${session.instance}/api/v1/statuses`, {
+        method: 'POST',
+        headers: { ...authHeaders(session), 'Idempotency-Key': crypto.randomUUID() },
+        json: { status: text, media_ids: media.map(item => item.id), visibility: 'public' }
+      }));
+      return { id: body.id, url: body.url };
+    }
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Helpers shared by the social share providers
+ */
+
+/**
+ * Create an error with a code from SHARE_ERROR_STATUS
+ * @param {string} code - Error code
+ * @param {string} message - Message that can be shown to the user as-is
+ * @returns {Error}
+ */
+export function shareError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Call a provider API and parse its JSON response
+ * Non-2xx responses throw an Error carrying `status` and the parsed `body`
+ * so providers can map them to their own error codes.
+ * @param {Function} fetchImpl - fetch implementation
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options; a plain object `json` is sent as the body
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+export async function requestJson(fetchImpl, url, { json, headers = {}, ...options } = {}) {
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      ...options,
+      headers: json !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: json !== undefined ? JSON.stringify(json) : options.body,
+      signal: options.signal || AbortSignal.timeout(30000)
+    });
+  } catch (error) {
+    // publicFetch refusing a private address isn't an outage; let the provider say so
+    if (error.code === 'REMOTE_URL_NOT_ALLOWED') throw error;
+    throw shareError('PROVIDER_UNAVAILABLE', `couldn't reach ${new URL(url).host} right now. try again in a bit? 🙏`);
+  }
+
+  const text = await response.text();
+  let body = {};
+  try {
+    body = text ? JSON.parse(text) : {};
+  } catch {
+    body = { message: text.slice(0, 200) };
+  }
+
+  if (!response.ok) {
+    const error = new Error(body.message || body.error_description || body.error || `HTTP ${response.status}`);
+    error.status = response.status;
+    error.body = body;
+    throw error;
+  }
+  return { status: response.status, body };
+}
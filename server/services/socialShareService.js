@@ -0,0 +1,260 @@
+import process from 'process';
+import sharp from 'sharp';
+import { createBlueskyProvider } from './socialShare/blueskyProvider.js';
+import { createMastodonProvider } from './socialShare/mastodonProvider.js';
+import { loadAndNormalizeImage, loadVideo } from './imageValidationService.js';
+import { storeSocialShareData, getSocialShareData, deleteSocialShareData } from './redisService.js';
+import { TWITTER_SHARE_CONFIG } from '../constants.js';
+
+/**
+ * Posting to social networks other than X (X keeps its own flow in
+ * twitterShareService.js / xAuthRoutes.js).
+ *
+ * Every provider implements:
+ *   id, name
+ *   authType          'app-password' | 'oauth'
+ *   maxPostLength     post length limit
+ *   urlLength         how long the network counts a link (null = real length)
+ *   maxImageBytes     images are re-encoded smaller until they fit
+ *   supportsVideo     false = videos are shared as their still image
+ *   login({ identifier, password }) -> session                 (app-password)
+ *   getAuthUrl({ instance, state, redirectUri }) -> { url, pending }  (oauth)
+ *   completeAuth({ code, pending, redirectUri }) -> session   (oauth)
+ *   refreshSession(session) -> session                         (optional)
+ *   uploadMedia(session, { buffer, contentType, altText, width, height, fileName }) -> media
+ *   createPost(session, { text, media: [media] }) -> { id, url }
+ *
+ * Sessions carry an `account` label for display. Failures throw an Error
+ * with a `code` from SHARE_ERROR_STATUS and a message that can be shown to
+ * the user as-is. Providers take a `fetch` (and base URL) so they can be
+ * pointed at local mock servers.
+ */
+
+/**
+ * HTTP status for each error code
+ */
+export const SHARE_ERROR_STATUS = {
+  UNKNOWN_PROVIDER: 404,
+  CREDENTIALS_REQUIRED: 400,
+  INSTANCE_REQUIRED: 400,
+  INVALID_INSTANCE: 400,
+  INVALID_CREDENTIALS: 401,
+  AUTH_REQUIRED: 401,
+  AUTH_FAILED: 401,
+  SESSION_EXPIRED: 401,
+  MEDIA_TOO_LARGE: 413,
+  PROVIDER_ERROR: 502,
+  PROVIDER_UNAVAILABLE: 503
+};
+
+// Connected accounts stay signed in for a month of inactivity; OAuth round trips get 15 minutes
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+const PENDING_TTL_SECONDS = 15 * 60;
+
+const DEFAULT_SHARE_URL = 'https://photobooth.sogni.ai';
+
+let providers = null;
+
+function getProviders() {
+  if (!providers) {
+    providers = new Map([
+      createBlueskyProvider({ serviceUrl: process.env.BLUESKY_SERVICE_URL || undefined }),
+      createMastodonProvider({ website: process.env.CLIENT_ORIGIN || undefined })
+    ].map(provider => [provider.id, provider]));
+  }
+  return providers;
+}
+
+/**
+ * Get a provider by ID
+ * @param {string} providerId - e.g. 'bluesky'
+ * @returns {Object|null} Provider or null if unknown
+ */
+export function getShareProvider(providerId) {
+  return getProviders().get(providerId) || null;
+}
+
+/**
+ * List every provider with the limits clients need
+ * @returns {Array<{id: string, name: string, authType: string, maxPostLength: number, supportsVideo: boolean}>}
+ */
+export function listShareProviders() {
+  return [...getProviders().values()].map(({ id, name, authType, maxPostLength, supportsVideo }) => ({
+    id, name, authType, maxPostLength, supportsVideo
+  }));
+}
+
+/**
+ * Fit a message and optional link into a provider's post length
+ * Lengths are counted in code points, which never undercounts graphemes.
+ * @param {Object} provider - Share provider
+ * @param {string} [message] - Message, e.g. from a theme's tweet template
+ * @param {string} [shareUrl] - Link appended after the message
+ * @returns {string} Post text
+ */
+export function formatPostText(provider, message, shareUrl = null) {
+  const text = message || TWITTER_SHARE_CONFIG.DEFAULT_MESSAGE;
+  const linkLength = shareUrl ? (provider.urlLength || [...shareUrl].length) + 1 : 0;
+  const available = provider.maxPostLength - linkLength;
+
+  const chars = [...text];
+  const body = chars.length > available ? `${chars.slice(0, available - 1).join('').trimEnd()}…` : text;
+  return shareUrl ? `${body} ${shareUrl}` : body;
+}
+
+// Re-encode until the JPEG fits: lower quality first, then smaller dimensions
+async function fitImage(image, maxBytes) {
+  if (image.buffer.length <= maxBytes) {
+    return image;
+  }
+
+  let longestSide = Math.max(image.width, image.height);
+  for (let attempt = 0; attempt < 6; attempt++) {
+    const quality = attempt < 2 ? 85 - attempt * 10 : 70;
+    const { data, info } = await sharp(image.buffer)
+      .resize({ width: longestSide, height: longestSide, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+    if (data.length <= maxBytes) {
+      return { ...image, buffer: data, width: info.width, height: info.height, contentType: 'image/jpeg', extension: 'jpg' };
+    }
+    if (attempt >= 1) {
+      longestSide = Math.round(longestSide * 0.75);
+    }
+  }
+  const error = new Error('that image is too big to share there 📦');
+  error.code = 'MEDIA_TOO_LARGE';
+  throw error;
+}
+
+/**
+ * Upload the media and publish a post
+ * @param {Object} provider - Share provider
+ * @param {Object} session - Provider session
+ * @param {Object} share - What to post
+ * @param {string} share.imageUrl - data: or https URL of the image (video thumbnail for videos)
+ * @param {string} [share.videoUrl] - Video URL, used when isVideo and the provider supports video
+ * @param {boolean} [share.isVideo=false]
+ * @param {string} [share.message] - Message, e.g. from a theme's tweet template
+ * @param {string} [share.shareUrl] - Link appended to the message
+ * @param {string} [share.altText] - Image description
+ * @returns {Promise<{post: {id: string, url: string}, session: Object}>} The post and the
+ *   session, which may have been refreshed and should be stored again
+ */
+export async function shareToProvider(provider, session, { imageUrl, videoUrl, isVideo = false, message, shareUrl, altText = '' }) {
+  const postVideo = isVideo && videoUrl && provider.supportsVideo;
+  let upload;
+  if (postVideo) {
+    const video = await loadVideo(videoUrl);
+    upload = { buffer: video.buffer, contentType: `video/${video.extension}`, fileName: `photobooth.${video.extension}` };
+  } else {
+    const image = await fitImage(await loadAndNormalizeImage(imageUrl), provider.maxImageBytes);
+    upload = {
+      buffer: image.buffer,
+      contentType: image.contentType,
+      width: image.width,
+      height: image.height,
+      fileName: `photobooth.${image.extension}`
+    };
+  }
+
+  // Videos shared as a still link back to the photobooth so people can watch them
+  const text = formatPostText(provider, message, shareUrl || (isVideo && !postVideo ? DEFAULT_SHARE_URL : null));
+
+  const publish = async (activeSession) => {
+    const media = await provider.uploadMedia(activeSession, { ...upload, altText });
+    return provider.createPost(activeSession, { text, media: [media] });
+  };
+
+  try {
+    return { post: await publish(session), session };
+  } catch (error) {
+    if (error.code !== 'SESSION_EXPIRED' || !provider.refreshSession) {
+      throw error;
+    }
+    console.log(`[Social Share] ${provider.name} session expired, refreshing`);
+    const refreshed = await provider.refreshSession(session);
+    return { post: await publish(refreshed), session: refreshed };
+  }
+}
+
+// In-memory fallback when Redis is unavailable: key -> { data, expiresAt }
+const memoryStore = new Map();
+
+async function storeData(key, data, ttlSeconds) {
+  if (!await storeSocialShareData(key, data, ttlSeconds)) {
+    memoryStore.set(key, { data, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+}
+
+async function getData(key, { remove = false } = {}) {
+  const stored = await getSocialShareData(key, { remove });
+  if (stored !== undefined) {
+    return stored;
+  }
+  const entry = memoryStore.get(key);
+  if (remove) {
+    memoryStore.delete(key);
+  }
+  return entry && entry.expiresAt > Date.now() ? entry.data : null;
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of memoryStore) {
+    if (entry.expiresAt <= now) {
+      memoryStore.delete(key);
+    }
+  }
+}, 5 * 60 * 1000).unref();
+
+const sessionKey = (providerId, sessionId) => `session:${providerId}:${sessionId}`;
+
+/**
+ * Get the account a browser session connected for a provider
+ * @param {string} providerId - Provider ID
+ * @param {string} sessionId - sogni_session_id cookie value
+ * @returns {Promise<Object|null>} Provider session or null
+ */
+export function getShareSession(providerId, sessionId) {
+  return getData(sessionKey(providerId, sessionId));
+}
+
+/**
+ * Remember a connected account (also renews its expiry)
+ * @param {string} providerId - Provider ID
+ * @param {string} sessionId - sogni_session_id cookie value
+ * @param {Object} session - Provider session
+ */
+export function storeShareSession(providerId, sessionId, session) {
+  return storeData(sessionKey(providerId, sessionId), session, SESSION_TTL_SECONDS);
+}
+
+/**
+ * Forget a connected account
+ * @param {string} providerId - Provider ID
+ * @param {string} sessionId - sogni_session_id cookie value
+ */
+export async function deleteShareSession(providerId, sessionId) {
+  const key = sessionKey(providerId, sessionId);
+  memoryStore.delete(key);
+  await deleteSocialShareData(key);
+}
+
+/**
+ * Keep a share waiting for the user to finish OAuth
+ * @param {string} state - OAuth state parameter
+ * @param {Object} pending - Provider ID, session ID, provider auth data and the share itself
+ */
+export function storePendingShare(state, pending) {
+  return storeData(`pending:${state}`, pending, PENDING_TTL_SECONDS);
+}
+
+/**
+ * Take (and forget) the share waiting on an OAuth state
+ * @param {string} state - OAuth state parameter
+ * @returns {Promise<Object|null>} Pending share or null if unknown/expired
+ */
+export function takePendingShare(state) {
+  return getData(`pending:${state}`, { remove: true });
+}
@@ -111,7 +111,7 @@ const SOGNI_HOSTS = {
   }
 };
 
-const getSogniUrls = (env) => {
+export const getSogniUrls = (env) => {
   if (!SOGNI_HOSTS[env]) {
     console.warn(`Unknown Sogni environment: ${env}, falling back to production`);
     return SOGNI_HOSTS.production;
@@ -0,0 +1,103 @@
+/**
+ * Recent SSE progress events, kept so a client that drops its connection
+ * (a phone hopping from Wi-Fi to cellular mid-batch) can reconnect with
+ * Last-Event-ID and replay what it missed instead of leaving tiles stuck.
+ *
+ * Every event gets an ID from one process-wide counter, and is buffered under
+ * each audience it was sent to: its project, its client app and its session.
+ * IDs start from the clock, so they keep increasing across restarts and a
+ * stale Last-Event-ID never matches a newer event by accident.
+ */
+
+// Events kept per audience; a batch of 16 with previews fits comfortably
+const MAX_EVENTS_PER_KEY = 500;
+// Audiences with no new events for this long are dropped
+const EVENT_TTL_MS = 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// key -> { events: [{ id, event }], droppedThrough, updatedAt }
+const eventLogs = new Map();
+let lastEventId = 0;
+
+setInterval(() => {
+  const cutoff = Date.now() - EVENT_TTL_MS;
+  for (const [key, log] of eventLogs.entries()) {
+    if (log.updatedAt < cutoff) {
+      eventLogs.delete(key);
+    }
+  }
+}, SWEEP_INTERVAL_MS).unref();
+
+function nextEventId() {
+  lastEventId = Math.max(lastEventId + 1, Date.now() * 1000);
+  return lastEventId;
+}
+
+function audienceKeys({ projectId, clientAppId, sessionId }) {
+  return [
+    projectId && `project:${projectId}`,
+    clientAppId && `client:${clientAppId}`,
+    sessionId && `session:${sessionId}`
+  ].filter(Boolean);
+}
+
+/**
+ * Assign an event its ID and buffer it for replay
+ * @param {Object} event - SSE event payload
+ * @param {Object} audience - Who the event is for
+ * @param {string} [audience.projectId] - Local project ID
+ * @param {string} [audience.clientAppId] - Client app ID
+ * @param {string} [audience.sessionId] - Session ID
+ * @returns {number} Event ID
+ */
+export function recordSSEEvent(event, audience) {
+  const id = nextEventId();
+  const now = Date.now();
+
+  audienceKeys(audience).forEach(key => {
+    let log = eventLogs.get(key);
+    if (!log) {
+      log = { events: [], droppedThrough: 0 };
+      eventLogs.set(key, log);
+    }
+    log.events.push({ id, event });
+    if (log.events.length > MAX_EVENTS_PER_KEY) {
+      const dropped = log.events.splice(0, log.events.length - MAX_EVENTS_PER_KEY);
+      log.droppedThrough = dropped[dropped.length - 1].id;
+    }
+    log.updatedAt = now;
+  });
+
+  return id;
+}
+
+/**
+ * Buffered events newer than a Last-Event-ID
+ * @param {Object} audience - One of projectId, clientAppId or sessionId
+ * @param {number} lastId - Last event ID the client saw
+ * @returns {Array<{id: number, event: Object}>} Missed events, oldest first
+ */
+export function getSSEEventsSince(audience, lastId) {
+  const [key] = audienceKeys(audience);
+  const log = key && eventLogs.get(key);
+  if (!log) {
+    return [];
+  }
+  if (lastId < log.droppedThrough) {
+    console.warn(`[SSE Replay] ${key} reconnected from event ${lastId}, but events through ${log.droppedThrough} were already dropped`);
+  }
+  return log.events.filter(entry => entry.id > lastId);
+}
+
+/**
+ * Read the Last-Event-ID a reconnecting client sent. Browsers send the header
+ * when EventSource reconnects on its own; our client passes ?lastEventId= when
+ * it opens a fresh EventSource after an error.
+ * @param {Object} req - Express request
+ * @returns {number|null} Last event ID, or null for a first connection
+ */
+export function parseLastEventId(req) {
+  const value = req.headers['last-event-id'] || req.query.lastEventId;
+  const id = Number(value);
+  return value && Number.isSafeInteger(id) && id > 0 ? id : null;
+}
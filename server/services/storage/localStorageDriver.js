@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import fs from 'fs/promises';
+import path from 'path';
+import { contentTypeForKey } from './storageKeys.js';
+
+// Sidecar metadata (content type, expiry) lives outside the object tree so
+// directory listings such as uploads/contest/<id>/*.json aren't affected
+const META_DIR = '.storage-meta';
+
+/**
+ * Storage driver that keeps objects on the local disk (default: ./uploads).
+ * Signed URLs point at /api/storage/object and are checked with an HMAC.
+ */
+export function createLocalStorageDriver({ rootDir, signingSecret }) {
+  const root = path.resolve(rootDir);
+
+  const resolvePath = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const metaPath = (key) => path.join(root, META_DIR, `${key}.json`);
+
+  const readMeta = async (key) => {
+    try {
+      return JSON.parse(await fs.readFile(metaPath(key), 'utf-8'));
+    } catch {
+      return {};
+    }
+  };
+
+  const signature = (key, expires) =>
+    crypto.createHmac('sha256', signingSecret).update(`${key}\n${expires}`).digest('base64url');
+
+  const stat = async (key) => {
+    let stats;
+    try {
+      stats = await fs.stat(resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    if (!stats.isFile()) return null;
+
+    const meta = await readMeta(key);
+    return {
+      key,
+      size: stats.size,
+      lastModified: stats.mtime.getTime(),
+      contentType: meta.contentType || contentTypeForKey(key),
+      expiresAt: meta.expiresAt || null
+    };
+  };
+
+  const remove = async (key) => {
+    await fs.rm(metaPath(key), { force: true });
+    try {
+      await fs.unlink(resolvePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  };
+
+  const list = async (prefix) => {
+    const objects = [];
+    const walk = async (dir) => {
+      let dirents;
+      try {
+        dirents = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const dirent of dirents) {
+        const fullPath = path.join(dir, dirent.name);
+        if (dirent.isDirectory()) {
+          if (dirent.name !== META_DIR) await walk(fullPath);
+        } else if (dirent.isFile()) {
+          const key = path.relative(root, fullPath).split(path.sep).join('/');
+          if (key.startsWith(prefix)) {
+            const stats = await fs.stat(fullPath);
+            objects.push({ key, size: stats.size, lastModified: stats.mtime.getTime() });
+          }
+        }
+      }
+    };
+
+    // Only walk the directory that can contain the prefix
+    const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    await walk(prefixDir ? resolvePath(prefixDir) : root);
+    return objects;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body, { contentType, expiresAt = null } = {}) {
+      const filePath = resolvePath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+
+      if (contentType || expiresAt) {
+        await fs.mkdir(path.dirname(metaPath(key)), { recursive: true });
+        await fs.writeFile(metaPath(key), JSON.stringify({ contentType, expiresAt }));
+      } else {
+        await fs.rm(metaPath(key), { force: true });
+      }
+      return { key };
+    },
+
+    async get(key) {
+      const info = await stat(key);
+      if (!info) return null;
+      return { ...info, body: await fs.readFile(resolvePath(key)) };
+    },
+
+    stat,
+
+    delete: remove,
+
+    list,
+
+    async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+      resolvePath(key);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({ key, expires: String(expires), signature: signature(key, expires) });
+      return `/api/storage/object?${query}`;
+    },
+
+    /**
+     * Check a signed URL produced by getSignedUrl
+     * @returns {boolean}
+     */
+    verifySignedUrl({ key, expires, signature: providedSignature }) {
+      if (!key || !expires || !providedSignature || Number(expires) * 1000 < Date.now()) {
+        return false;
+      }
+      const expected = Buffer.from(signature(key, expires));
+      const provided = Buffer.from(String(providedSignature));
+      return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    },
+
+    /**
+     * Absolute path of an object, so routes can stream it with res.sendFile (range requests)
+     */
+    resolvePath
+  };
+}
@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+// Objects written with an expiry carry it as user metadata; the bucket can also
+// have a lifecycle rule, but reads treat expired objects as missing either way
+const EXPIRES_AT_HEADER = 'x-amz-meta-expires-at';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const REQUEST_TIMEOUT_MS = 30000;
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const canonicalQueryString = (params) =>
+  Object.keys(params)
+    .sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+    .join('&');
+
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Storage driver for S3 and S3-compatible services (MinIO, R2, Spaces...).
+ * Requests are signed with AWS Signature V4 directly so no SDK is needed.
+ */
+export function createS3StorageDriver({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = true,
+  keyPrefix = ''
+}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const host = forcePathStyle ? baseUrl.host : `${bucket}.${baseUrl.host}`;
+  const bucketPath = forcePathStyle ? `/${bucket}` : '';
+
+  const objectPath = (key) =>
+    `${bucketPath}/${`${keyPrefix}${key}`.split('/').map(encodeRfc3986).join('/')}`;
+
+  const amzDates = () => {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    return { amzDate, dateStamp: amzDate.slice(0, 8) };
+  };
+
+  const signingKey = (dateStamp) =>
+    hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+
+  const sign = ({ method, canonicalPath, query, headers, payloadHash, amzDate, dateStamp }) => {
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+    const canonicalRequest = [
+      method,
+      canonicalPath,
+      canonicalQueryString(query),
+      headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    return {
+      scope,
+      signedHeaders: headerNames.join(';'),
+      signature: crypto.createHmac('sha256', signingKey(dateStamp)).update(stringToSign).digest('hex')
+    };
+  };
+
+  const request = async (method, canonicalPath, { query = {}, headers = {}, body } = {}) => {
+    const { amzDate, dateStamp } = amzDates();
+    const payloadHash = body ? sha256Hex(body) : sha256Hex('');
+    // fetch sets Host itself, so it's only added for signing
+    const fetchHeaders = {
+      ...headers,
+      'x-amz-date': amzDate,
+      'x-amz-content-sha256': payloadHash
+    };
+    const { scope, signedHeaders: signedHeaderNames, signature } = sign({
+      method, canonicalPath, query, headers: { ...fetchHeaders, host }, payloadHash, amzDate, dateStamp
+    });
+
+    const queryString = canonicalQueryString(query);
+    const url = `${baseUrl.protocol}//${host}${canonicalPath}${queryString ? `?${queryString}` : ''}`;
+
+    return fetch(url, {
+      method,
+      headers: {
+        ...fetchHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  };
+
+  const failure = async (action, key, response) => {
+    const details = await response.text().catch(() => '');
+    return new Error(`S3 ${action} failed for ${key}: ${response.status} ${details.slice(0, 200)}`);
+  };
+
+  const infoFromHeaders = (key, headers) => {
+    const expiresAt = Number(headers.get(EXPIRES_AT_HEADER)) || null;
+    return {
+      key,
+      size: Number(headers.get('content-length')) || 0,
+      lastModified: Date.parse(headers.get('last-modified')) || null,
+      contentType: headers.get('content-type') || 'application/octet-stream',
+      expiresAt
+    };
+  };
+
+  const isExpired = (info) => Boolean(info.expiresAt && info.expiresAt <= Date.now());
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType, expiresAt = null } = {}) {
+      const headers = { 'content-type': contentType || 'application/octet-stream' };
+      if (expiresAt) {
+        headers[EXPIRES_AT_HEADER] = String(expiresAt);
+      }
+      const response = await request('PUT', objectPath(key), { headers, body });
+      if (!response.ok) {
+        throw await failure('put', key, response);
+      }
+      return { key };
+    },
+
+    async get(key) {
+      const response = await request('GET', objectPath(key));
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw await failure('get', key, response);
+      }
+      const info = infoFromHeaders(key, response.headers);
+      if (isExpired(info)) return null;
+      return { ...info, body: Buffer.from(await response.arrayBuffer()) };
+    },
+
+    async stat(key) {
+      const response = await request('HEAD', objectPath(key));
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw await failure('head', key, response);
+      }
+      return infoFromHeaders(key, response.headers);
+    },
+
+    async delete(key) {
+      const response = await request('DELETE', objectPath(key));
+      // S3 answers 204 whether or not the object existed
+      if (!response.ok && response.status !== 404) {
+        throw await failure('delete', key, response);
+      }
+      return true;
+    },
+
+    async list(prefix) {
+      const objects = [];
+      let continuationToken = null;
+      do {
+        const query = { 'list-type': '2', prefix: `${keyPrefix}${prefix}` };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+
+        const response = await request('GET', bucketPath || '/', { query });
+        if (!response.ok) {
+          throw await failure('list', prefix, response);
+        }
+        const xml = await response.text();
+        for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          const field = (name) => decodeXml(contents.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`))?.[1] || '');
+          objects.push({
+            key: field('Key').slice(keyPrefix.length),
+            size: Number(field('Size')) || 0,
+            lastModified: Date.parse(field('LastModified')) || null
+          });
+        }
+        const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+        continuationToken = truncated ? decodeXml(xml.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/)?.[1] || '') : null;
+      } while (continuationToken);
+      return objects;
+    },
+
+    async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+      const { amzDate, dateStamp } = amzDates();
+      const canonicalPath = objectPath(key);
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${dateStamp}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      const { signature } = sign({
+        method: 'GET', canonicalPath, query, headers: { host }, payloadHash: UNSIGNED_PAYLOAD, amzDate, dateStamp
+      });
+      return `${baseUrl.protocol}//${host}${canonicalPath}?${canonicalQueryString({ ...query, 'X-Amz-Signature': signature })}`;
+    }
+  };
+}
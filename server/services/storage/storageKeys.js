@@ -0,0 +1,37 @@
+import path from 'path';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.json': 'application/json'
+};
+
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._/-]*$/;
+
+/**
+ * Guess a content type from an object key's extension
+ * @param {string} key - Storage key
+ * @returns {string}
+ */
+export function contentTypeForKey(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Build a storage key from path segments, rejecting anything that could escape its prefix
+ * @param {...string} segments - Key segments (e.g. 'contest', contestId, filename)
+ * @returns {string} Key like 'contest/halloween/abc.jpg'
+ * @throws {Error} If a segment is empty or contains '..'
+ */
+export function storageKey(...segments) {
+  const key = segments.join('/');
+  if (!KEY_PATTERN.test(key) || segments.some(segment => !segment || segment === '.' || segment === '..' || segment.includes('/'))) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return key;
+}
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import path from 'path';
+import process from 'process';
+import { createLocalStorageDriver } from './storage/localStorageDriver.js';
+import { createS3StorageDriver } from './storage/s3StorageDriver.js';
+
+export { storageKey, contentTypeForKey } from './storage/storageKeys.js';
+
+/**
+ * Blob storage for uploaded media (hosted share images, contest entries,
+ * personalize previews).
+ *
+ * STORAGE_DRIVER=local (default) keeps files in ./uploads like before.
+ * STORAGE_DRIVER=s3 writes to an S3-compatible bucket (AWS, MinIO, R2...) so
+ * the server can run on ephemeral containers.
+ *
+ * Every driver implements:
+ *   put(key, body, { contentType, expiresAt }) -> { key }
+ *   get(key)       -> { key, body, size, contentType, lastModified, expiresAt } | null
+ *   stat(key)      -> same without body | null
+ *   delete(key)    -> boolean
+ *   list(prefix)   -> [{ key, size, lastModified }]
+ *   getSignedUrl(key, { expiresIn }) -> string
+ */
+
+let storage = null;
+
+function createStorage() {
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 's3') {
+    console.log(`[Storage] Using S3 storage (bucket: ${process.env.S3_BUCKET}, endpoint: ${process.env.S3_ENDPOINT || 'AWS'})`);
+    return createS3StorageDriver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+      keyPrefix: process.env.S3_PREFIX || ''
+    });
+  }
+
+  if (driver !== 'local') {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "local" or "s3")`);
+  }
+
+  const rootDir = process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads');
+  const signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.SESSION_SECRET;
+  if (!signingSecret) {
+    console.warn('[Storage] STORAGE_SIGNING_SECRET not set, signed URLs will stop working after a restart');
+  }
+  console.log(`[Storage] Using local storage at ${rootDir}`);
+  return createLocalStorageDriver({
+    rootDir,
+    signingSecret: signingSecret || crypto.randomBytes(32).toString('hex')
+  });
+}
+
+/**
+ * Get the configured storage driver
+ * @returns {Object} Storage driver
+ */
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+/**
+ * Check whether a stored object has passed its expiry
+ * @param {{expiresAt: number|null}} info - Result of stat()/get()
+ * @returns {boolean}
+ */
+export function isExpired(info) {
+  return Boolean(info?.expiresAt && info.expiresAt <= Date.now());
+}
+
+/**
+ * Send a stored object in a response. Local files are streamed (with range
+ * support for videos); S3 objects are redirected to a short-lived signed URL.
+ * @param {Object} res - Express response
+ * @param {string} key - Storage key
+ * @param {Object} [options]
+ * @param {Object} [options.info] - stat() result if the caller already has it
+ * @param {Object} [options.headers] - Extra headers (Cache-Control etc.)
+ * @returns {Promise<boolean>} false if the object doesn't exist (nothing was sent)
+ */
+export async function sendStoredObject(res, key, { info, headers = {} } = {}) {
+  const store = getStorage();
+  const objectInfo = info || await store.stat(key);
+  if (!objectInfo || isExpired(objectInfo)) {
+    return false;
+  }
+
+  res.set(headers);
+
+  if (store.resolvePath) {
+    res.type(objectInfo.contentType);
+    await new Promise((resolve, reject) => {
+      res.sendFile(store.resolvePath(key), error => {
+        // Client aborts after the headers went out aren't worth reporting
+        if (error && !res.headersSent) reject(error);
+        else resolve();
+      });
+    });
+    return true;
+  }
+
+  res.redirect(302, await store.getSignedUrl(key, { expiresIn: 300 }));
+  return true;
+}
+
+/**
+ * Delete objects under a prefix whose expiry has passed
+ * @param {string} prefix - Key prefix (e.g. 'hosted/')
+ * @returns {Promise<number>} Number of deleted objects
+ */
+export async function deleteExpiredObjects(prefix) {
+  const store = getStorage();
+  let deletedCount = 0;
+  for (const { key } of await store.list(prefix)) {
+    const info = await store.stat(key);
+    if (info && isExpired(info)) {
+      await store.delete(key);
+      deletedCount++;
+    }
+  }
+  return deletedCount;
+}
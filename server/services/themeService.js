@@ -0,0 +1,320 @@
+import { Buffer } from 'buffer';
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { getStorage, storageKey } from './storageService.js';
+import { validateAgainstSchema } from './schemaValidator.js';
+import { sniffImageType, MAX_IMAGE_BYTES, MAX_IMAGE_DIMENSION } from './imageValidationService.js';
+
+/**
+ * Event theme configs.
+ *
+ * The themes shipped in public/events/config.json are the base. Themes
+ * created or edited through /api/themes are stored as an overlay in the
+ * configured storage (themes/config.json) and win over base themes with the
+ * same id. Every write bumps `revision`, which running kiosks poll to know
+ * when to reload.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const BASE_CONFIG_PATH = process.env.THEME_BASE_CONFIG ||
+  path.join(__dirname, '..', '..', 'public', 'events', 'config.json');
+const OVERLAY_KEY = storageKey('themes', 'config.json');
+const FRAMES_PREFIX = 'frames';
+
+// Other server instances pick up overlay changes after at most this long
+const CACHE_TTL_MS = 10 * 1000;
+
+export const THEME_SCHEMA = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'schemas', 'themeConfig.schema.json'), 'utf-8')
+);
+
+export const ASPECT_RATIOS = THEME_SCHEMA.definitions.aspectRatio.enum;
+
+const THEME_ID_PATTERN = new RegExp(THEME_SCHEMA.definitions.themeId.pattern);
+const FRAME_FILENAME_PATTERN = /^[a-z]+_[a-z0-9]+\.png$/;
+
+let cache = null;
+// Writes are read-modify-write on one object, so run them one at a time
+let writeQueue = Promise.resolve();
+
+function themeError(code, message, errors) {
+  const error = new Error(message);
+  error.code = code;
+  if (errors) {
+    error.errors = errors;
+  }
+  return error;
+}
+
+/**
+ * Validate a single theme definition
+ * @param {string} themeId - Theme identifier
+ * @param {Object} theme - Theme definition
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+export function validateTheme(themeId, theme) {
+  return [
+    ...validateAgainstSchema(themeId, THEME_SCHEMA.definitions.themeId, { rootSchema: THEME_SCHEMA, path: 'id' }),
+    ...validateAgainstSchema(theme, THEME_SCHEMA.definitions.theme, { rootSchema: THEME_SCHEMA, path: `themes.${themeId}` })
+  ];
+}
+
+/**
+ * Validate a whole config file (same shape as /events/config.json)
+ * @param {Object} config - Theme config
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+export function validateThemeConfig(config) {
+  const errors = validateAgainstSchema(config, THEME_SCHEMA);
+  if (config?.defaultTheme && !config.themes?.[config.defaultTheme]) {
+    errors.push({ path: 'defaultTheme', message: `"${config.defaultTheme}" is not one of the themes` });
+  }
+  return errors;
+}
+
+function readBaseConfig() {
+  try {
+    const config = JSON.parse(fs.readFileSync(BASE_CONFIG_PATH, 'utf-8'));
+    const errors = validateThemeConfig(config);
+    if (errors.length > 0) {
+      // Still serve it - the shipped file is what kiosks used before validation existed
+      console.warn(`[Themes] ${BASE_CONFIG_PATH} has ${errors.length} schema error(s):`,
+        errors.slice(0, 5).map(error => `${error.path} ${error.message}`).join('; '));
+    }
+    return config;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Themes] Failed to read base config ${BASE_CONFIG_PATH}:`, error.message);
+    }
+    return { themes: {}, defaultTheme: null };
+  }
+}
+
+async function readOverlay() {
+  const object = await getStorage().get(OVERLAY_KEY);
+  if (!object) {
+    return { revision: 0, themes: {} };
+  }
+  return JSON.parse(object.body.toString('utf-8'));
+}
+
+async function loadConfigs({ fresh = false } = {}) {
+  if (!fresh && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+  cache = { base: readBaseConfig(), overlay: await readOverlay(), loadedAt: Date.now() };
+  return cache;
+}
+
+/**
+ * Apply a change to the stored overlay and bump its revision
+ * @param {Function} update - Receives (overlay, base) and mutates the overlay;
+ *   may throw, or return false to leave everything unchanged
+ * @param {string} actor - Who made the change
+ * @returns {Promise<number|null>} New revision, or null if update() returned false
+ */
+function updateOverlay(update, actor) {
+  const run = writeQueue.then(async () => {
+    const { base, overlay } = await loadConfigs({ fresh: true });
+    if (update(overlay, base) === false) {
+      return null;
+    }
+
+    overlay.revision = (overlay.revision || 0) + 1;
+    overlay.updatedAt = Date.now();
+    overlay.updatedBy = actor;
+
+    await getStorage().put(OVERLAY_KEY, Buffer.from(JSON.stringify(overlay, null, 2)), {
+      contentType: 'application/json'
+    });
+    cache = null;
+    return overlay.revision;
+  });
+  // Keep the queue going even if this write failed
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Get the merged theme config served to kiosks
+ * @returns {Promise<{version: string, revision: number, defaultTheme: string|null, themes: Object}>}
+ */
+export async function getThemeConfig() {
+  const { base, overlay } = await loadConfigs();
+  const themes = { ...base.themes, ...overlay.themes };
+  const defaultTheme = overlay.defaultTheme !== undefined ? overlay.defaultTheme : (base.defaultTheme ?? null);
+
+  return {
+    version: base.version || '1.0',
+    revision: overlay.revision || 0,
+    defaultTheme: defaultTheme && themes[defaultTheme] ? defaultTheme : null,
+    themes
+  };
+}
+
+/**
+ * List themes with where each one comes from
+ * @returns {Promise<Array<{id: string, source: 'base'|'custom', overridesBase: boolean, theme: Object}>>}
+ */
+export async function listThemes() {
+  const { base, overlay } = await loadConfigs();
+  const ids = new Set([...Object.keys(base.themes || {}), ...Object.keys(overlay.themes || {})]);
+
+  return [...ids].sort().map(id => {
+    const custom = overlay.themes?.[id];
+    return {
+      id,
+      source: custom ? 'custom' : 'base',
+      overridesBase: Boolean(custom && base.themes?.[id]),
+      theme: custom || base.themes[id]
+    };
+  });
+}
+
+/**
+ * Get one theme from the merged config
+ * @param {string} themeId - Theme identifier
+ * @returns {Promise<Object|null>}
+ */
+export async function getTheme(themeId) {
+  const { themes } = await getThemeConfig();
+  return Object.hasOwn(themes, themeId) ? themes[themeId] : null;
+}
+
+function assertValidTheme(themeId, theme) {
+  const errors = validateTheme(themeId, theme);
+  if (errors.length > 0) {
+    throw themeError('INVALID_THEME', `theme has ${errors.length} problem${errors.length === 1 ? '' : 's'} - fix them and save again 🛠️`, errors);
+  }
+}
+
+/**
+ * Create a new theme
+ * @param {string} themeId - Theme identifier
+ * @param {Object} theme - Theme definition
+ * @param {Object} options
+ * @param {string} options.actor - Who is creating it
+ * @returns {Promise<{id: string, theme: Object, revision: number}>}
+ * @throws {Error} With code INVALID_THEME or THEME_EXISTS
+ */
+export async function createTheme(themeId, theme, { actor }) {
+  assertValidTheme(themeId, theme);
+
+  const revision = await updateOverlay((overlay, base) => {
+    if (overlay.themes[themeId] || base.themes?.[themeId]) {
+      throw themeError('THEME_EXISTS', `a theme called "${themeId}" already exists`);
+    }
+    overlay.themes[themeId] = theme;
+  }, actor);
+
+  console.log(`[Themes] ${actor} created theme ${themeId} (revision ${revision})`);
+  return { id: themeId, theme, revision };
+}
+
+/**
+ * Replace a theme. Editing a base theme stores a custom copy that overrides it.
+ * @param {string} themeId - Theme identifier
+ * @param {Object} theme - Full theme definition
+ * @param {Object} options
+ * @param {string} options.actor - Who is editing it
+ * @returns {Promise<{id: string, theme: Object, revision: number}|null>} null if the theme doesn't exist
+ * @throws {Error} With code INVALID_THEME
+ */
+export async function updateTheme(themeId, theme, { actor }) {
+  assertValidTheme(themeId, theme);
+
+  const revision = await updateOverlay((overlay, base) => {
+    if (!overlay.themes[themeId] && !base.themes?.[themeId]) {
+      return false;
+    }
+    overlay.themes[themeId] = theme;
+  }, actor);
+  if (revision === null) {
+    return null;
+  }
+
+  console.log(`[Themes] ${actor} updated theme ${themeId} (revision ${revision})`);
+  return { id: themeId, theme, revision };
+}
+
+/**
+ * Validate and store an uploaded frame overlay PNG
+ * @param {string} themeId - Theme identifier
+ * @param {string} aspectRatio - One of ASPECT_RATIOS
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Object} options
+ * @param {string} options.actor - Who uploaded it
+ * @param {boolean} [options.attach=true] - Also add the frame to theme.frames[aspectRatio]
+ * @returns {Promise<{url: string, filename: string, width: number, height: number, revision: number}|null>}
+ *   null if the theme doesn't exist
+ * @throws {Error} With code INVALID_THEME or one of the IMAGE_ERROR_STATUS codes
+ */
+export async function saveFrame(themeId, aspectRatio, buffer, { actor, attach = true }) {
+  if (!ASPECT_RATIOS.includes(aspectRatio)) {
+    throw themeError('INVALID_THEME', `aspectRatio must be one of ${ASPECT_RATIOS.join(', ')}`);
+  }
+  if (!(await getTheme(themeId))) {
+    return null;
+  }
+
+  if (!buffer || buffer.length === 0) {
+    throw themeError('IMAGE_REQUIRED', 'no frame image received 🤔');
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw themeError('IMAGE_TOO_LARGE', `that frame is too big! max is ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)}MB 📦`);
+  }
+  // Frames are overlaid on photos, so they need a transparent area
+  if (sniffImageType(buffer) !== 'png') {
+    throw themeError('UNSUPPORTED_IMAGE_TYPE', 'frames must be transparent PNGs 🖼️');
+  }
+
+  let output;
+  try {
+    const metadata = await sharp(buffer).metadata();
+    if (Math.max(metadata.width, metadata.height) > MAX_IMAGE_DIMENSION) {
+      throw themeError('IMAGE_DIMENSIONS_TOO_LARGE', `that frame is too large! max is ${MAX_IMAGE_DIMENSION}px on the longest side 📐`);
+    }
+    if (!metadata.hasAlpha) {
+      throw themeError('INVALID_IMAGE', 'that PNG has no transparency, so it would cover the whole photo 🫥');
+    }
+    // Re-encode to drop metadata and anything hiding after the image data
+    output = await sharp(buffer, { failOn: 'error' }).png({ compressionLevel: 9 }).toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    if (error.code) throw error;
+    throw themeError('INVALID_IMAGE', 'that frame looks corrupted. try another one? 🙏');
+  }
+
+  const filename = `${aspectRatio}_${Date.now().toString(36)}.png`;
+  await getStorage().put(storageKey('themes', themeId, FRAMES_PREFIX, filename), output.data, {
+    contentType: 'image/png'
+  });
+  const url = `/api/themes/${themeId}/frames/${filename}`;
+
+  const revision = attach
+    ? await updateOverlay((overlay, base) => {
+      const theme = structuredClone(overlay.themes[themeId] || base.themes[themeId]);
+      theme.frames = { ...theme.frames, [aspectRatio]: [...(theme.frames?.[aspectRatio] || []), url] };
+      overlay.themes[themeId] = theme;
+    }, actor)
+    : (await getThemeConfig()).revision;
+
+  console.log(`[Themes] ${actor} uploaded frame ${filename} for ${themeId}`);
+  return { url, filename, width: output.info.width, height: output.info.height, revision };
+}
+
+/**
+ * Storage key for an uploaded frame, or null if the filename isn't one we generate
+ * @param {string} themeId - Theme identifier
+ * @param {string} filename - Frame filename
+ * @returns {string|null}
+ */
+export function frameStorageKey(themeId, filename) {
+  if (!THEME_ID_PATTERN.test(themeId) || !FRAME_FILENAME_PATTERN.test(filename)) {
+    return null;
+  }
+  return storageKey('themes', themeId, FRAMES_PREFIX, filename);
+}
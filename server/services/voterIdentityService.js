@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import process from 'process';
+import { getSogniUrls } from './sogni.js';
+import { getClientFromToken } from './twitterShareService.js';
+import { redisReady, getTwitterOAuthData, storeTwitterOAuthData } from './redisService.js';
+
+const IDENTITY_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const SOGNI_LOOKUP_TIMEOUT_MS = 5000;
+const OAUTH_DATA_TTL_SECONDS = 15 * 60; // Same TTL xAuthRoutes uses for stored OAuth data
+// Cookies the Sogni API authenticates with; everything else (our own session
+// and moderator cookies included) stays out of the request
+const SOGNI_AUTH_COOKIES = (process.env.SOGNI_AUTH_COOKIES || 'authorization')
+  .split(',').map(name => name.trim()).filter(Boolean);
+
+// Premium thresholds match isPremiumBoosted() in the frontend wallet service
+const PREMIUM_MIN_BALANCE = 1;
+
+// credential hash -> { value, expiresAt }; value may be null/false (negative cache)
+const identityCache = new Map();
+
+function getCached(cacheKey) {
+  const cached = identityCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+  identityCache.delete(cacheKey);
+  return null;
+}
+
+function setCached(cacheKey, value) {
+  identityCache.set(cacheKey, { value, expiresAt: Date.now() + IDENTITY_CACHE_TTL_MS });
+  // Keep the cache bounded; oldest insertions go first
+  if (identityCache.size > 5000) {
+    identityCache.delete(identityCache.keys().next().value);
+  }
+}
+
+/**
+ * The Cookie header to forward to the Sogni API: only the Sogni auth cookies
+ * from the browser's request, kept exactly as sent
+ * @param {Object} req - Express request
+ * @returns {string} Cookie header, empty when there are none
+ */
+export function getSogniAuthCookieHeader(req) {
+  return (req.headers.cookie || '')
+    .split(';')
+    .map(pair => pair.trim())
+    .filter(pair => SOGNI_AUTH_COOKIES.includes(pair.slice(0, pair.indexOf('=')).trim()))
+    .join('; ');
+}
+
+// The browser's Sogni credentials, or null when it sent none
+function getSogniCredentials(req) {
+  const cookieHeader = getSogniAuthCookieHeader(req);
+  const authorization = req.headers.authorization;
+  if (!cookieHeader && !authorization) {
+    return null;
+  }
+  return {
+    cookieHeader,
+    authorization,
+    hash: crypto.createHash('sha256').update(`${cookieHeader}|${authorization || ''}`).digest('hex')
+  };
+}
+
+function fetchSogniAccount({ cookieHeader, authorization }, path) {
+  const { rest } = getSogniUrls(process.env.SOGNI_ENV || 'production');
+  return fetch(`${rest}${path}`, {
+    headers: {
+      ...(cookieHeader ? { Cookie: cookieHeader } : {}),
+      ...(authorization ? { Authorization: authorization } : {}),
+      Accept: 'application/json'
+    },
+    signal: AbortSignal.timeout(SOGNI_LOOKUP_TIMEOUT_MS)
+  });
+}
+
+/**
+ * Verify a Sogni account session by asking the Sogni REST API who the
+ * browser's .sogni.ai auth cookies (or bearer token) belong to.
+ */
+async function resolveSogniIdentity(req) {
+  const credentials = getSogniCredentials(req);
+  if (!credentials) {
+    return null;
+  }
+
+  const cacheKey = `sogni:${credentials.hash}`;
+  const cached = getCached(cacheKey);
+  if (cached) {
+    return cached.value;
+  }
+
+  let identity = null;
+  try {
+    const response = await fetchSogniAccount(credentials, '/v1/account/me');
+
+    if (response.ok) {
+      const body = await response.json();
+      const username = body?.data?.username;
+      if (username) {
+        identity = {
+          id: `sogni:${username.toLowerCase()}`,
+          displayName: username,
+          provider: 'sogni'
+        };
+      }
+    }
+  } catch (error) {
+    console.warn('[Voter Identity] Sogni account lookup failed:', error.message);
+    // Don't cache transport failures
+    return null;
+  }
+
+  setCached(cacheKey, identity);
+  return identity;
+}
+
+/**
+ * Verify an X (Twitter) session established through /api/auth/x for this
+ * sogni_session_id. The X user is looked up once and stored with the OAuth data.
+ */
+async function resolveXIdentity(req) {
+  const sessionId = req.cookies?.sogni_session_id;
+  if (!sessionId || !redisReady()) {
+    return null;
+  }
+
+  const oauthData = await getTwitterOAuthData(sessionId);
+  if (!oauthData?.accessToken) {
+    return null;
+  }
+
+  if (!oauthData.xUser) {
+    try {
+      const { data } = await getClientFromToken(oauthData.accessToken).v2.me();
+      oauthData.xUser = { id: data.id, username: data.username };
+      await storeTwitterOAuthData(sessionId, oauthData,
+        oauthData.expiresIn ? Math.min(oauthData.expiresIn, OAUTH_DATA_TTL_SECONDS) : OAUTH_DATA_TTL_SECONDS);
+    } catch (error) {
+      console.warn('[Voter Identity] X user lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  return {
+    id: `x:${oauthData.xUser.id}`,
+    displayName: `@${oauthData.xUser.username}`,
+    provider: 'x'
+  };
+}
+
+/**
+ * Resolve the verified identity of the person making this request.
+ * Never trusts usernames from the request body.
+ * @param {Object} req - Express request
+ * @returns {Promise<{id: string, displayName: string, provider: 'sogni'|'x'}|null>}
+ */
+export async function resolveVoterIdentity(req) {
+  return (await resolveSogniIdentity(req)) || (await resolveXIdentity(req));
+}
+
+/**
+ * Whether the Sogni account behind this request has premium balance (premium
+ * Spark credits or SOGNI tokens), read from the Sogni API. Never trusts the
+ * client's own isPremiumSpark flag.
+ * @param {Object} req - Express request
+ * @returns {Promise<boolean>}
+ */
+export async function resolveSogniPremium(req) {
+  const credentials = getSogniCredentials(req);
+  if (!credentials) {
+    return false;
+  }
+
+  const cacheKey = `premium:${credentials.hash}`;
+  const cached = getCached(cacheKey);
+  if (cached) {
+    return cached.value;
+  }
+
+  let premium = false;
+  try {
+    const response = await fetchSogniAccount(credentials, '/v4/account/balance');
+    if (response.ok) {
+      const balances = (await response.json())?.data;
+      premium = parseFloat(balances?.spark?.premiumCredit || '0') > PREMIUM_MIN_BALANCE
+        || parseFloat(balances?.sogni?.net || '0') > PREMIUM_MIN_BALANCE;
+    }
+  } catch (error) {
+    console.warn('[Voter Identity] Sogni balance lookup failed:', error.message);
+    return false;
+  }
+
+  setCached(cacheKey, premium);
+  return premium;
+}
@@ -0,0 +1,62 @@
+import { v4 as uuidv4 } from 'uuid';
+import process from 'process';
+
+/**
+ * Anonymous browser session shared by the share flows (X, Bluesky, Mastodon):
+ * a long-lived sogni_session_id cookie that OAuth data and connected accounts
+ * are keyed by.
+ */
+
+// Middleware to ensure we have a session ID to work with
+export const getSessionId = (req, res, next) => {
+  const sessionCookieName = 'sogni_session_id';
+  let sessionId = req.cookies?.[sessionCookieName];
+  
+  // Log the current cookie state for debugging
+  console.log(`[Session] Cookie check for ${sessionCookieName}: ${sessionId || 'not found'}`);
+  
+  // If no session ID exists, create one
+  if (!sessionId) {
+    sessionId = `sid-${uuidv4()}`;
+    
+    // Determine if we're in a secure context
+    const isSecureContext = req.secure || 
+                          req.headers['x-forwarded-proto'] === 'https' || 
+                          process.env.NODE_ENV === 'production' ||
+                          req.headers.origin?.startsWith('https:');
+    
+    // Get the origin for cross-domain access
+    const origin = req.headers.origin;
+    
+    // For cross-origin requests from HTTPS origins, use SameSite=None and Secure=true
+    // For all other requests, use SameSite=Lax for better compatibility
+    const sameSiteSetting = (origin && origin.startsWith('https:')) ? 'none' : 'lax';
+    const secure = isSecureContext || sameSiteSetting === 'none';
+    
+    console.log(`[Session] Creating new session ID: ${sessionId}, Secure: ${secure}, SameSite: ${sameSiteSetting}`);
+    
+    // Get effective cookie domain (same logic as in server/index.js)
+    const cookieDomain = process.env.COOKIE_DOMAIN || 
+                        (process.env.NODE_ENV === 'production' ? '.sogni.ai' : undefined);
+                        
+    if (cookieDomain) {
+      console.log(`[Session] Setting cookie with domain: ${cookieDomain}`);
+    }
+    
+    // Set cookie with long expiry (30 days) with proper security settings
+    res.cookie(sessionCookieName, sessionId, {
+      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+      httpOnly: true,
+      secure: secure, // Enable for HTTPS, even local
+      sameSite: sameSiteSetting, // Use 'none' for cross-domain requests
+      path: '/',  // Ensure cookie is available for all paths
+      domain: cookieDomain // Add domain for cross-subdomain support if defined
+    });
+  } else {
+    console.log(`[Session] Using existing session ID: ${sessionId}`);
+  }
+  
+  // Attach session ID to request for use in route handlers
+  req.sessionId = sessionId;
+  next();
+};
@@ -1,6 +1,6 @@
 import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 
-import { getModelOptions, defaultStylePrompts as initialStylePrompts, TIMEOUT_CONFIG, isQwenImageEditModel, isQwenImageEditLightningModel, isContextImageModel, isFluxModel, TWITTER_SHARE_CONFIG, getQRWatermarkConfig, DEFAULT_MODEL_ID, QWEN_IMAGE_EDIT_LIGHTNING_MODEL_ID } from './constants/settings';
+import { getModelOptions, defaultStylePrompts as initialStylePrompts, TIMEOUT_CONFIG, isQwenImageEditModel, isQwenImageEditLightningModel, isContextImageModel, isFluxModel, TWITTER_SHARE_CONFIG, DEFAULT_MODEL_ID, QWEN_IMAGE_EDIT_LIGHTNING_MODEL_ID } from './constants/settings';
 import { COPY_IMAGE_STYLE_PROMPT, EDIT_MODEL_TRANSFORMATION_PREFIX, EDIT_MODEL_NEGATIVE_PROMPT_PREFIX, stripTransformationPrefix } from './constants/editPrompts';
 import { photoThoughts, randomThoughts } from './constants/thoughts';
 import { saveSettingsToCookies, shouldShowPromoPopup, markPromoPopupShown, hasDoneDemoRender, markDemoRenderDone, clearSessionSettings } from './utils/cookies';
@@ -14,13 +14,14 @@ import { fetchCustomPrompts as fetchPersonalizedPrompts, fetchPersonalizeData, g
 import { getDefaultThemeGroupState, getEnabledPrompts, getOneOfEachPrompts, injectPersonalizedThemeGroup, removePersonalizedThemeGroup } from './constants/themeGroups';
 import { getThemeGroupPreferences, saveThemeGroupPreferences, getSimplePickStyles, getPersonalizeModelType, savePersonalizeModelType } from './utils/cookies';
 import { initializeSogniClient } from './services/sogni';
-import { isNetworkError } from './services/api';
+import { isNetworkError, isRateLimitError } from './services/api';
 import { AuthStatus } from './components/auth/AuthStatus';
 import { useSogniAuth, sogniAuth } from './services/sogniAuth';
 import { createFrontendClientAdapter } from './services/frontendSogniAdapter';
 import { enhancePhoto, undoEnhancement, redoEnhancement } from './services/PhotoEnhancer';
 import { refreshPhoto } from './services/PhotoRefresher';
 import { shareToTwitter } from './services/TwitterShare';
+import { shareToSocialProvider } from './services/SocialShare';
 import { shareViaWebShare, isWebShareSupported } from './services/WebShare';
 import { themeConfigService } from './services/themeConfig';
 import { trackPageView, initializeGA, trackEvent, trackBatchGeneration } from './utils/analytics';
@@ -28,6 +29,7 @@ import { getCampaignSource } from './utils/campaignAttribution';
 import { setReferralSource, getReferralSource } from './utils/referralTracking';
 import { ensurePermanentUrl } from './utils/imageUpload.js';
 import { createPolaroidImage } from './utils/imageProcessing.js';
+import { createShareLink, resolveQRWatermarkOptions } from './utils/qrWatermark';
 import { getPhotoHashtag } from './services/TwitterShare.js';
 import { trackShareWithStyle } from './services/analyticsService';
 import { CUSTOM_PROMPT_IMAGE_KEY } from './components/shared/CustomPromptPopup';
@@ -70,6 +72,7 @@ import { useWallet } from './hooks/useWallet';
 import { isPremiumBoosted } from './services/walletService';
 import { estimateJobCost } from './hooks/useCostEstimation.ts';
 import TwitterShareModal from './components/shared/TwitterShareModal';
+import SocialShareModal from './components/shared/SocialShareModal';
 import BaldForBaseConfirmationPopup from './components/shared/BaldForBaseConfirmationPopup';
 
 import FriendlyErrorModal from './components/shared/FriendlyErrorModal';
@@ -95,6 +98,15 @@ import StripePurchase from './components/stripe/StripePurchase.tsx';
 import { ApiProvider } from './hooks/useSogniApi.ts';
 import { RecentProjects } from './components/projectHistory';
 import { getProjectImages, createImageBlobUrl } from './utils/localProjectsDB.ts';
+import { createMobileShare } from './services/mobileShare';
+import KioskPinDialog from './components/kiosk/KioskPinDialog';
+import KioskAttractLoop from './components/kiosk/KioskAttractLoop';
+import KioskResetWarning from './components/kiosk/KioskResetWarning';
+import { useKioskIdle } from './hooks/useKioskIdle.ts';
+import { useKioskRecovery } from './hooks/useKioskRecovery.ts';
+import { useOfflineCaptureQueue } from './hooks/useOfflineCaptureQueue.ts';
+import { useBurstCapture } from './hooks/useBurstCapture.ts';
+import { getKioskLockdown, enableKioskLockdown, disableKioskLockdown, verifyKioskPin, getKioskPinLockoutSeconds, DEFAULT_KIOSK_CONFIG, KIOSK_GUEST_SETTINGS } from './utils/kioskLockdown';
 
 
 
@@ -281,7 +293,7 @@ const App = () => {
   }, []);
 
   // --- Use AppContext for settings ---
-  const { settings, updateSetting: baseUpdateSetting, switchToModel, resetSettings: contextResetSettings, registerCacheClearingCallback } = useApp();
+  const { settings, updateSetting: baseUpdateSetting, switchToModel, resetSettings: contextResetSettings, registerCacheClearingCallback, clearImageCaches } = useApp();
   
   // Track auth state in a ref so we always get the current value
   const authStateRef = useRef(authState);
@@ -308,6 +320,10 @@ const App = () => {
     guidance,
     flashEnabled, 
     keepOriginalPhoto,
+    burstMode,
+    burstShotCount,
+    burstIntervalSeconds,
+    burstLayout,
     positivePrompt,
     customSceneName,
     stylePrompt,
@@ -1238,6 +1254,16 @@ const App = () => {
   const [countdown, setCountdown] = useState(0);
   // Show flash overlay
   const [showFlash, setShowFlash] = useState(false);
+  const { burstShot, captureBurst, styleBurst } = useBurstCapture({
+    shotCount: burstShotCount,
+    intervalSeconds: burstIntervalSeconds,
+    layout: burstLayout,
+    tezdevTheme,
+    selectedStyle,
+    setCountdown,
+    setPhotos: setRegularPhotos,
+    showToast
+  });
 
   // Sogni
   const [sogniClient, setSogniClient] = useState(null);
@@ -1798,6 +1824,9 @@ const App = () => {
     return () => { cancelled = true; };
   }, [authState.isAuthenticated]);
 
+  // Bumped whenever the theme config is hot-reloaded so theme styles get re-applied
+  const [themeConfigRevision, setThemeConfigRevision] = useState(0);
+
   // Load themes on startup and set default theme if needed
   useEffect(() => {
     const loadDefaultTheme = async () => {
@@ -1844,6 +1873,23 @@ const App = () => {
     loadDefaultTheme();
   }, []); // Only run on mount
 
+  // While an event theme is active, pick up edits made in the theme editor without a redeploy
+  useEffect(() => {
+    if (tezdevTheme === 'off') {
+      return undefined;
+    }
+
+    const unsubscribe = themeConfigService.subscribe(() => {
+      setThemeConfigRevision(revision => revision + 1);
+    });
+    const stopAutoReload = themeConfigService.startAutoReload();
+
+    return () => {
+      unsubscribe();
+      stopAutoReload();
+    };
+  }, [tezdevTheme]);
+
   // Note: Model/style/prompt resets now happen in AppContext initialization
   // This ensures they happen before any useEffect runs, preventing race conditions
 
@@ -1982,7 +2028,7 @@ const App = () => {
     };
 
     updateThemeStyles();
-  }, [tezdevTheme, currentPage]);
+  }, [tezdevTheme, currentPage, themeConfigRevision]);
 
   // At the top of App component, add a new ref for tracking project state
   const projectStateReference = useRef({
@@ -2028,11 +2074,40 @@ const App = () => {
   const [showTwitterModal, setShowTwitterModal] = useState(false);
   const [twitterPhotoIndex, setTwitterPhotoIndex] = useState(null);
   const [twitterPhotoData, setTwitterPhotoData] = useState(null); // Store actual photo object for sharing
+  const [socialShareTarget, setSocialShareTarget] = useState(null); // { providerId, photo } for the Bluesky/Mastodon modal
   const [lastTwitterMessage, setLastTwitterMessage] = useState(null);
 
   // Add state for QR code modal (Kiosk Mode)
   const [qrCodeData, setQrCodeData] = useState(null);
 
+  // Kiosk lockdown: locked theme/style, idle guest reset and PIN-protected settings
+  const [kioskLocked, setKioskLocked] = useState(() => !!getKioskLockdown());
+  const [kioskConfig, setKioskConfig] = useState(DEFAULT_KIOSK_CONFIG);
+  // { mode: 'set' } when locking down, { mode: 'unlock', purpose: 'settings' | 'exit' } otherwise
+  const [kioskPinRequest, setKioskPinRequest] = useState(null);
+
+  // Kiosk timings come from the theme's `kiosk` block in events/config.json
+  useEffect(() => {
+    let cancelled = false;
+    themeConfigService.getKioskConfig(tezdevTheme)
+      .then(config => {
+        if (!cancelled) setKioskConfig(config);
+      })
+      .catch(error => console.warn('[Kiosk] Failed to load kiosk config:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [tezdevTheme, themeConfigRevision]);
+
+  // Settings button handler; a locked-down kiosk asks for the admin PIN first
+  const toggleSettingsOverlay = () => {
+    if (!showControlOverlay && getKioskLockdown()) {
+      setKioskPinRequest({ mode: 'unlock', purpose: 'settings' });
+      return;
+    }
+    setShowControlOverlay(!showControlOverlay);
+  };
+
   // Add state for splash screen (DISABLED - CameraStartMenu is now the splash screen)
   const [showSplashScreen, setShowSplashScreen] = useState(false);
   const [splashTriggeredByInactivity, setSplashTriggeredByInactivity] = useState(false);
@@ -2922,6 +2997,13 @@ const App = () => {
     setShowTwitterModal(true);
   };
 
+  // Bluesky/Mastodon: open the compose modal for the photo
+  const handleShareToProvider = (providerId, photoIndex, photoObject = null) => {
+    const photo = photoObject || photos[photoIndex] || null;
+    if (!photo?.images?.[0]) return;
+    setSocialShareTarget({ providerId, photo });
+  };
+
   // Handle generic Web Share API share
   const handleShareViaWebShare = async (photoIndex) => {
     console.log('📤 Web Share - Starting share process');
@@ -2957,6 +3039,7 @@ const App = () => {
       aspectRatio,
       outputFormat,
       hasWatermark: settings.sogniWatermark,
+      selectedModel: settings.selectedModel,
     });
   };
 
@@ -3006,7 +3089,7 @@ const App = () => {
         // This is required because blob URLs are only accessible in the browser that created them
         const thumbnailBlobUrl = photo.images[selectedSubIndex || 0];
         console.log('🔗 Converting thumbnail blob URL to permanent URL...');
-        const permanentThumbnailUrl = await ensurePermanentUrl(thumbnailBlobUrl);
+        const permanentThumbnailUrl = await ensurePermanentUrl(thumbnailBlobUrl, { ttl: settings.mobileShareTtl });
         console.log('🔗 Thumbnail uploaded, permanent URL:', permanentThumbnailUrl);
 
         // Generate a unique sharing ID
@@ -3041,19 +3124,14 @@ const App = () => {
         };
 
         // Send to backend
-        const response = await fetch('/api/mobile-share/create', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(shareData),
-        });
-
-        if (!response.ok) {
-          throw new Error('Failed to create video mobile share');
-        }
+        const share = await createMobileShare(shareData, settings.mobileShareTtl);
 
         // Set QR code data
         setQrCodeData({
           shareUrl: mobileShareUrl,
+          shareId,
+          expiresAt: share.expiresAt,
+          manageToken: share.manageToken,
           photoIndex: photoIndex,
           isLoading: false
         });
@@ -3074,7 +3152,7 @@ const App = () => {
       
       // Create cache keys for this specific image configuration
       const currentTaipeiFrameNumber = photo.taipeiFrameNumber || 1;
-      const mobileShareCacheKey = `${photoIndex}-${currentSubIndex}-${tezdevTheme}-${currentTaipeiFrameNumber}-${outputFormat}-${aspectRatio}`;
+      const mobileShareCacheKey = `${photoIndex}-${currentSubIndex}-${tezdevTheme}-${currentTaipeiFrameNumber}-${outputFormat}-${aspectRatio}-${settings.mobileShareTtl}`;
       const photoGalleryCacheKey = `${photoIndex}-${currentSubIndex}-${tezdevTheme}-${currentTaipeiFrameNumber}-${outputFormat}-${aspectRatio}`;
       
       // First, check if we already have a cached mobile share for this exact configuration
@@ -3109,21 +3187,15 @@ const App = () => {
           };
 
           console.log('🔗 Sending cached mobile share data to backend...');
-          const response = await fetch('/api/mobile-share/create', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(shareData),
-          });
-
-          if (!response.ok) {
-            console.error('🔗 Backend response not OK:', response.status, response.statusText);
-            throw new Error(`Failed to create mobile share from cache: ${response.status} ${response.statusText}`);
-          }
+          const share = await createMobileShare(shareData, settings.mobileShareTtl);
           console.log('🔗 Cached mobile share created successfully');
 
           // Present the fresh link in the QR overlay
           setQrCodeData({
             shareUrl: mobileShareUrl,
+            shareId,
+            expiresAt: share.expiresAt,
+            manageToken: share.manageToken,
             photoIndex: photoIndex,
             isLoading: false
           });
@@ -3142,7 +3214,7 @@ const App = () => {
         console.log('Found PhotoGallery framed image, using directly for mobile share:', photoGalleryCacheKey);
         try {
           // Use the PhotoGallery framed image directly without conversion
-          const permanentImageUrl = await ensurePermanentUrl(photoGalleryFramedImage);
+          const permanentImageUrl = await ensurePermanentUrl(photoGalleryFramedImage, { ttl: settings.mobileShareTtl });
           console.log('PhotoGallery framed image uploaded directly without conversion');
           
           // Generate Twitter message
@@ -3188,15 +3260,7 @@ const App = () => {
           };
           
           // Send to backend
-          const response = await fetch('/api/mobile-share/create', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(shareData),
-          });
-          
-          if (!response.ok) {
-            throw new Error('Failed to create mobile share from PhotoGallery cache');
-          }
+          const share = await createMobileShare(shareData, settings.mobileShareTtl);
           
           // Cache the result using the same key format
           setMobileShareCache(prev => ({
@@ -3212,6 +3276,9 @@ const App = () => {
           // Set QR code data
           setQrCodeData({
             shareUrl: mobileShareUrl,
+            shareId,
+            expiresAt: share.expiresAt,
+            manageToken: share.manageToken,
             photoIndex: photoIndex,
             isLoading: false
           });
@@ -3241,6 +3308,10 @@ const App = () => {
       }
       
       let framedImageDataUrl;
+
+      // Mint the share link first so a theme's QR can point at this photo's own page
+      const shareLink = createShareLink();
+      const watermarkOptions = await resolveQRWatermarkOptions(settings, tezdevTheme, { shareLink });
       
       if (tezdevTheme !== 'off') {
         // For TezDev themes, create full frame version (no polaroid frame, just TezDev overlay)
@@ -3257,7 +3328,7 @@ const App = () => {
           // For Taipei theme, pass the current frame number to ensure consistency
           taipeiFrameNumber: tezdevTheme === 'taipeiblockchain' ? currentTaipeiFrameNumber : undefined,
           // Add QR watermark for mobile sharing (if enabled)
-          watermarkOptions: settings.sogniWatermark ? getQRWatermarkConfig(settings) : null
+          watermarkOptions
         });
       } else {
         // For non-TezDev themes, use traditional polaroid frame
@@ -3276,14 +3347,14 @@ const App = () => {
           aspectRatio,
           outputFormat: 'jpg', // Use JPG for mobile sharing
           // Add QR watermark for mobile sharing (if enabled)
-          watermarkOptions: settings.sogniWatermark ? getQRWatermarkConfig(settings) : null
+          watermarkOptions
         });
       }
       
       console.log('Framed image created, uploading to server...');
       
       // Convert the framed image data URL to a permanent URL
-      const permanentImageUrl = await ensurePermanentUrl(framedImageDataUrl);
+      const permanentImageUrl = await ensurePermanentUrl(framedImageDataUrl, { ttl: settings.mobileShareTtl });
       console.log('Permanent framed image uploaded successfully');
       
       // Generate Twitter message using the same logic as Twitter sharing
@@ -3339,15 +3410,8 @@ const App = () => {
       
       console.log('Generated Twitter message:', twitterMessage);
       
-      // Generate a unique sharing ID
-      const shareId = `share-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      
-      // Get the current URL configuration
-      const currentUrl = new URL(window.location.href);
-      const baseUrl = currentUrl.origin;
-      
-      // Create the mobile sharing URL
-      const mobileShareUrl = `${baseUrl}/mobile-share/${shareId}`;
+      // The sharing ID and URL were minted before framing (the QR may point at them)
+      const { shareId, shareUrl: mobileShareUrl } = shareLink;
       
       // Extract style name from photo for filename
       const styleName = photo.statusText?.replace('#', '') || 
@@ -3374,20 +3438,7 @@ const App = () => {
 
       // Send the share data to the backend for storage
       console.log('🔗 Sending new mobile share data to backend...');
-      const response = await fetch('/api/mobile-share/create', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(shareData),
-      });
-
-      if (!response.ok) {
-        console.error('🔗 Backend response not OK:', response.status, response.statusText);
-        const errorText = await response.text();
-        console.error('🔗 Backend error response:', errorText);
-        throw new Error(`Failed to create mobile share: ${response.status} ${response.statusText}`);
-      }
+      const share = await createMobileShare(shareData, settings.mobileShareTtl);
       console.log('🔗 New mobile share created successfully');
 
       // Cache the mobile share data for future use
@@ -3404,6 +3455,9 @@ const App = () => {
       // Set QR code data for overlay
       setQrCodeData({
         shareUrl: mobileShareUrl,
+        shareId,
+        expiresAt: share.expiresAt,
+        manageToken: share.manageToken,
         photoIndex: photoIndex,
         isLoading: false
       });
@@ -3474,7 +3528,7 @@ const App = () => {
       let permanentThumbnailUrl = thumbnailUrl;
       if (thumbnailUrl && thumbnailUrl.startsWith('blob:')) {
         console.log('🔗 Converting thumbnail blob URL to permanent URL...');
-        permanentThumbnailUrl = await ensurePermanentUrl(thumbnailUrl);
+        permanentThumbnailUrl = await ensurePermanentUrl(thumbnailUrl, { ttl: settings.mobileShareTtl });
         console.log('🔗 Thumbnail uploaded, permanent URL:', permanentThumbnailUrl);
       }
 
@@ -3503,23 +3557,16 @@ const App = () => {
       };
 
       console.log('🔗 Sending stitched video share data to backend...');
-      const response = await fetch('/api/mobile-share/create', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(shareData),
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('🔗 Backend error response:', errorText);
-        throw new Error(`Failed to create stitched video mobile share: ${response.status}`);
-      }
+      const share = await createMobileShare(shareData, settings.mobileShareTtl);
 
       console.log('🔗 Stitched video mobile share created successfully');
 
       // Set QR code data
       setQrCodeData({
         shareUrl: mobileShareUrl,
+        shareId,
+        expiresAt: share.expiresAt,
+        manageToken: share.manageToken,
         photoIndex: 'stitched',
         isLoading: false,
         isStitchedVideo: true
@@ -3543,6 +3590,24 @@ const App = () => {
   };
   
   // Add a handler for the actual sharing with custom message
+  // Link back to the photobooth for share posts - use /event path if user came from an event
+  const buildShareUrl = () => {
+    const shareUrl = new URL(window.location.origin);
+    if (settings.halloweenContext) {
+      shareUrl.pathname = '/event/halloween';
+    } else if (settings.winterContext) {
+      shareUrl.pathname = '/event/winter';
+    } else if (window.location.pathname === '/event/bald-for-base') {
+      shareUrl.pathname = '/event/bald-for-base';
+    }
+    
+    // Only add the prompt parameter if we have a hashtag and it's not from a custom prompt
+    if (currentHashtag && selectedStyle !== 'custom') {
+      shareUrl.searchParams.set('prompt', currentHashtag);
+    }
+    return shareUrl;
+  };
+
   const handleTwitterShare = async (customMessage, submitToContest = false) => {
     // Store the message for potential retry
     setLastTwitterMessage(customMessage);
@@ -3590,20 +3655,7 @@ const App = () => {
       photoToShare = livePhoto;
     }
     
-    // Create a clean URL - use /event path if user came from an event
-    const shareUrl = new URL(window.location.origin);
-    if (settings.halloweenContext) {
-      shareUrl.pathname = '/event/halloween';
-    } else if (settings.winterContext) {
-      shareUrl.pathname = '/event/winter';
-    } else if (window.location.pathname === '/event/bald-for-base') {
-      shareUrl.pathname = '/event/bald-for-base';
-    }
-    
-    // Only add the prompt parameter if we have a hashtag and it's not from a custom prompt
-    if (currentHashtag && selectedStyle !== 'custom') {
-      shareUrl.searchParams.set('prompt', currentHashtag);
-    }
+    const shareUrl = buildShareUrl();
     
     // Call the extracted Twitter sharing service with custom message and URL
     // Pass the actual photo to share (using stored photo data to handle filtered scenarios)
@@ -3660,6 +3712,7 @@ const App = () => {
           aspectRatio,
           outputFormat,
           hasWatermark: settings.sogniWatermark,
+          selectedModel: settings.selectedModel,
           halloweenContext: settings.halloweenContext || false,
           submitToContest
         });
@@ -3667,6 +3720,44 @@ const App = () => {
     });
   };
 
+  // Post from the Bluesky/Mastodon modal; errors are shown inside the modal
+  const handleSocialShare = async (message, { provider, instance, altText }) => {
+    const photo = socialShareTarget.photo;
+    const shareUrl = buildShareUrl();
+    // No awaits before this call: Mastodon's sign-in popup must open on the click
+    const { postUrl } = await shareToSocialProvider({
+      provider,
+      photo,
+      message,
+      shareUrl: shareUrl.toString(),
+      instance,
+      altText,
+      tezdevTheme,
+      aspectRatio,
+      sogniWatermark: settings.sogniWatermark,
+      sogniWatermarkSize: settings.sogniWatermarkSize,
+      sogniWatermarkMargin: settings.sogniWatermarkMargin
+    });
+
+    showToast({
+      title: 'Success!',
+      message: `Your ${photo.videoUrl && provider.supportsVideo ? 'video' : 'photo'} has been shared to ${provider.name}!`,
+      type: 'success',
+      timeout: 4000
+    });
+    console.log(`Shared to ${provider.name}: ${postUrl}`);
+
+    await trackShareWithStyle(selectedStyle, stylePrompts, provider.id, {
+      customMessage: message,
+      shareUrl: shareUrl.toString(),
+      tezdevTheme,
+      aspectRatio,
+      outputFormat,
+      hasWatermark: settings.sogniWatermark,
+      selectedModel: settings.selectedModel
+    });
+  };
+
   // -------------------------
   //   Connection State Management
   // -------------------------
@@ -5294,235 +5385,325 @@ const App = () => {
   // -------------------------
   //   Shared logic for generating images from a Blob
   // -------------------------
-  const generateFromBlob = async (photoBlob, newPhotoIndex, dataUrl, isMoreOperation = false, sourceType = 'upload') => {
-    try {
-      // Check if user has Premium Spark (used multiple times in this function)
-      const hasPremiumSpark = isPremiumBoosted(balances, walletTokenType);
-      
-      // Ensure we have a working client (should already be initialized)
-      if (!sogniClient) {
-        console.error('🔐 No Sogni client available for generation');
-        setBackendError('Sogni client not initialized. Please refresh the page.');
-        return;
+  /**
+   * Resolve the prompts for a generation from the current style settings
+   * (random/mix/pick styles, worker preferences, edit-model rewriting, seed).
+   * Returns null if the style can't be used yet.
+   */
+  const resolveGenerationPrompts = () => {
+    const hasPremiumSpark = isPremiumBoosted(balances, walletTokenType);
+    // Get theme-filtered prompts for random selection
+    // Read latest theme state from localStorage to avoid stale closure values
+    const getFilteredPromptsForRandom = () => {
+      // For context image models (Qwen, Flux), use all available prompts without theme filtering
+      const usesContextImages = isContextImageModel(selectedModel);
+      if (usesContextImages) {
+        return stylePrompts;
       }
+      // Read latest theme preferences from localStorage to ensure we use the most current settings
+      const saved = getThemeGroupPreferences();
+      const defaultState = getDefaultThemeGroupState();
+      const latestThemeState = { ...defaultState, ...saved };
+      return getEnabledPrompts(latestThemeState, stylePrompts);
+    };
 
-      // Clear any existing timeouts before starting new generation
-      if (!isMoreOperation) {
-        clearAllTimeouts();
-        
-        // Clear QR codes and mobile share cache when starting a new batch since photo indices will change
-        if (qrCodeData) {
-          console.log('Clearing QR code due to new batch generation from fresh photo');
-          setQrCodeData(null);
-        }
-        
-        // Clear mobile share cache since photo indices will point to different images
-        console.log('Clearing mobile share cache due to new batch generation from fresh photo');
-        setMobileShareCache({});
+    // Get blocked prompts from localStorage to filter them out
+    let blockedPrompts = [];
+    try {
+      const blocked = localStorage.getItem('sogni_blocked_prompts');
+      if (blocked) {
+        blockedPrompts = JSON.parse(blocked);
       }
-      
-      setLastPhotoData({ blob: photoBlob, dataUrl, sourceType });
-      const isIOS = /iphone|ipad|ipod/i.test(navigator.userAgent);
-      // Get theme-filtered prompts for random selection
-      // Read latest theme state from localStorage to avoid stale closure values
-      const getFilteredPromptsForRandom = () => {
-        // For context image models (Qwen, Flux), use all available prompts without theme filtering
-        const usesContextImages = isContextImageModel(selectedModel);
-        if (usesContextImages) {
-          return stylePrompts;
-        }
-        // Read latest theme preferences from localStorage to ensure we use the most current settings
-        const saved = getThemeGroupPreferences();
-        const defaultState = getDefaultThemeGroupState();
-        const latestThemeState = { ...defaultState, ...saved };
-        return getEnabledPrompts(latestThemeState, stylePrompts);
-      };
+    } catch (e) {
+      console.warn('Error reading blocked prompts:', e);
+    }
 
-      // Get blocked prompts from localStorage to filter them out
-      let blockedPrompts = [];
+    // Prompt logic: use context state
+    console.log('🎨 [generateFromBlob] Using custom prompt:', { 
+      selectedStyle, 
+      positivePrompt,
+      customSceneName,
+      positivePromptLength: positivePrompt?.length 
+    });
+    let finalPositivePrompt = positivePrompt.trim();
+    
+    // Handle special style modes (these override any existing prompt text)
+    if (selectedStyle === 'copyImageStyle') {
+      // Validate that we have a style reference image
+      if (!styleReferenceImage?.croppedBlob) {
+        console.error('❌ copyImageStyle mode is active but no style reference image is available');
+        setBackendError('No style reference image found. Please upload a style reference by clicking "Copy Image Style".');
+        return null;
+      }
+      
+      // Special prompt for style reference mode
+      finalPositivePrompt = COPY_IMAGE_STYLE_PROMPT;
+      console.log('🎨 Using Copy Image Style mode with special prompt');
+    } else if (selectedStyle === 'custom') {
+      finalPositivePrompt = finalPositivePrompt || '';
+    } else if (selectedStyle === 'random') {
+      // Pick one random style and use it for all images in the batch
+      const filteredPrompts = getFilteredPromptsForRandom();
+      const randomStyle = getRandomStyle(filteredPrompts);
+      finalPositivePrompt = filteredPrompts[randomStyle] || '';
+    } else if (selectedStyle === 'randomMix') {
+      // Use different random prompts for each image - creates {prompt1|prompt2|...} syntax
+      const filteredPrompts = getFilteredPromptsForRandom();
+      finalPositivePrompt = getRandomMixPrompts(numImages, filteredPrompts); 
+    } else if (selectedStyle === 'oneOfEach') {
+      // Use one prompt from each enabled theme group in order
+      // Read latest theme state from localStorage to avoid stale closure values
+      const saved = getThemeGroupPreferences();
+      const defaultState = getDefaultThemeGroupState();
+      const latestThemeState = { ...defaultState, ...saved };
+      console.log('🎨 Generating with "One of each" - latest theme state from localStorage:', latestThemeState);
+      // Also log favorites to verify they're up to date
       try {
-        const blocked = localStorage.getItem('sogni_blocked_prompts');
-        if (blocked) {
-          blockedPrompts = JSON.parse(blocked);
+        const favorites = localStorage.getItem('sogni_favorite_images');
+        if (favorites) {
+          const favoriteIds = JSON.parse(favorites);
+          console.log('⭐ Current favorites count:', favoriteIds.length, 'favorites:', favoriteIds);
         }
       } catch (e) {
-        console.warn('Error reading blocked prompts:', e);
-      }
-
-      // Prompt logic: use context state
-      console.log('🎨 [generateFromBlob] Using custom prompt:', { 
-        selectedStyle, 
-        positivePrompt,
-        customSceneName,
-        positivePromptLength: positivePrompt?.length 
-      });
-      let finalPositivePrompt = positivePrompt.trim();
-      
-      // Handle special style modes (these override any existing prompt text)
-      if (selectedStyle === 'copyImageStyle') {
-        // Validate that we have a style reference image
-        if (!styleReferenceImage?.croppedBlob) {
-          console.error('❌ copyImageStyle mode is active but no style reference image is available');
-          setBackendError('No style reference image found. Please upload a style reference by clicking "Copy Image Style".');
-          return;
+        console.warn('Error reading favorites for logging:', e);
+      }
+      finalPositivePrompt = getOneOfEachPrompts(latestThemeState, stylePrompts, numImages);
+    } else if (selectedStyle === 'simplePick') {
+      const selectedKeys = getSimplePickStyles();
+      if (selectedKeys.length === 0) {
+        // No explicit picks — check if personalized prompts exist in stylePrompts
+        // and use them directly if only the Personalized category is enabled
+        const customKeys = Object.keys(stylePrompts).filter(k => k.startsWith('custom_'));
+        if (customKeys.length > 0) {
+          console.log('🎯 simplePick has no stored picks, using personalized prompts directly:', customKeys);
+          finalPositivePrompt = getSimplePickPrompts(customKeys, stylePrompts);
+        } else {
+          const filteredPrompts = getFilteredPromptsForRandom();
+          finalPositivePrompt = getRandomMixPrompts(numImages, filteredPrompts);
         }
-        
-        // Special prompt for style reference mode
-        finalPositivePrompt = COPY_IMAGE_STYLE_PROMPT;
-        console.log('🎨 Using Copy Image Style mode with special prompt');
-      } else if (selectedStyle === 'custom') {
-        finalPositivePrompt = finalPositivePrompt || '';
-      } else if (selectedStyle === 'random') {
-        // Pick one random style and use it for all images in the batch
+      } else {
+        finalPositivePrompt = getSimplePickPrompts(selectedKeys, stylePrompts);
+      }
+    } else {
+      // Use the selected style prompt, but skip if it's blocked
+      if (blockedPrompts.includes(selectedStyle)) {
+        console.log(`🚫 Selected style "${selectedStyle}" is blocked, falling back to random style`);
+        // Fall back to random style from enabled prompts
         const filteredPrompts = getFilteredPromptsForRandom();
         const randomStyle = getRandomStyle(filteredPrompts);
-        finalPositivePrompt = filteredPrompts[randomStyle] || '';
-      } else if (selectedStyle === 'randomMix') {
-        // Use different random prompts for each image - creates {prompt1|prompt2|...} syntax
-        const filteredPrompts = getFilteredPromptsForRandom();
-        finalPositivePrompt = getRandomMixPrompts(numImages, filteredPrompts); 
-      } else if (selectedStyle === 'oneOfEach') {
-        // Use one prompt from each enabled theme group in order
-        // Read latest theme state from localStorage to avoid stale closure values
-        const saved = getThemeGroupPreferences();
-        const defaultState = getDefaultThemeGroupState();
-        const latestThemeState = { ...defaultState, ...saved };
-        console.log('🎨 Generating with "One of each" - latest theme state from localStorage:', latestThemeState);
-        // Also log favorites to verify they're up to date
-        try {
-          const favorites = localStorage.getItem('sogni_favorite_images');
-          if (favorites) {
-            const favoriteIds = JSON.parse(favorites);
-            console.log('⭐ Current favorites count:', favoriteIds.length, 'favorites:', favoriteIds);
-          }
-        } catch (e) {
-          console.warn('Error reading favorites for logging:', e);
-        }
-        finalPositivePrompt = getOneOfEachPrompts(latestThemeState, stylePrompts, numImages);
-      } else if (selectedStyle === 'simplePick') {
-        const selectedKeys = getSimplePickStyles();
-        if (selectedKeys.length === 0) {
-          // No explicit picks — check if personalized prompts exist in stylePrompts
-          // and use them directly if only the Personalized category is enabled
-          const customKeys = Object.keys(stylePrompts).filter(k => k.startsWith('custom_'));
-          if (customKeys.length > 0) {
-            console.log('🎯 simplePick has no stored picks, using personalized prompts directly:', customKeys);
-            finalPositivePrompt = getSimplePickPrompts(customKeys, stylePrompts);
-          } else {
-            const filteredPrompts = getFilteredPromptsForRandom();
-            finalPositivePrompt = getRandomMixPrompts(numImages, filteredPrompts);
-          }
-        } else {
-          finalPositivePrompt = getSimplePickPrompts(selectedKeys, stylePrompts);
-        }
+        finalPositivePrompt = filteredPrompts[randomStyle] || finalPositivePrompt || '';
       } else {
-        // Use the selected style prompt, but skip if it's blocked
-        if (blockedPrompts.includes(selectedStyle)) {
-          console.log(`🚫 Selected style "${selectedStyle}" is blocked, falling back to random style`);
-          // Fall back to random style from enabled prompts
-          const filteredPrompts = getFilteredPromptsForRandom();
-          const randomStyle = getRandomStyle(filteredPrompts);
-          finalPositivePrompt = filteredPrompts[randomStyle] || finalPositivePrompt || '';
-        } else {
-          // Use the selected style prompt, or fallback to user's custom text
-          finalPositivePrompt = stylePrompts[selectedStyle] || finalPositivePrompt || '';
-        }
+        // Use the selected style prompt, or fallback to user's custom text
+        finalPositivePrompt = stylePrompts[selectedStyle] || finalPositivePrompt || '';
       }
+    }
 
-      // Inject worker preferences into the prompt
-      // Worker preferences are a Premium Spark feature - only add them if:
-      // 1. Using SOGNI tokens, OR
-      // 2. Using Spark with Premium status
-      // For backend/demo mode: server will enforce its own preferences
-      // For frontend auth mode: use user-configured preferences (if premium)
-      const workerPreferences = [];
-      
-      // Check if user has Premium Spark to determine if worker preferences are allowed
-      const canUseWorkerPreferences = walletTokenType !== 'spark' || hasPremiumSpark;
-      
-      if (canUseWorkerPreferences) {
-        if (authState.authMode !== 'frontend') {
-          // Backend/demo mode - use hardcoded server preferences (kept for backward compatibility)
-          if (settings.requiredWorkers && Array.isArray(settings.requiredWorkers) && settings.requiredWorkers.length > 0) {
-            workerPreferences.push(`--workers=${settings.requiredWorkers.join(',')}`);
-          }
-          if (settings.preferWorkers && settings.preferWorkers.length > 0) {
-            workerPreferences.push(`--preferred-workers=${settings.preferWorkers.join(',')}`);
-          }
-          if (settings.skipWorkers && settings.skipWorkers.length > 0) {
-            workerPreferences.push(`--skip-workers=${settings.skipWorkers.join(',')}`);
-          }
-        } else {
-          // Frontend auth mode - use user-configured preferences
-          if (settings.requiredWorkers && Array.isArray(settings.requiredWorkers) && settings.requiredWorkers.length > 0) {
-            workerPreferences.push(`--workers=${settings.requiredWorkers.join(',')}`);
-          }
-          if (settings.preferWorkers && settings.preferWorkers.length > 0) {
-            workerPreferences.push(`--preferred-workers=${settings.preferWorkers.join(',')}`);
-          }
-          if (settings.skipWorkers && settings.skipWorkers.length > 0) {
-            workerPreferences.push(`--skip-workers=${settings.skipWorkers.join(',')}`);
-          }
+    // Inject worker preferences into the prompt
+    // Worker preferences are a Premium Spark feature - only add them if:
+    // 1. Using SOGNI tokens, OR
+    // 2. Using Spark with Premium status
+    // For backend/demo mode: server will enforce its own preferences
+    // For frontend auth mode: use user-configured preferences (if premium)
+    const workerPreferences = [];
+    
+    // Check if user has Premium Spark to determine if worker preferences are allowed
+    const canUseWorkerPreferences = walletTokenType !== 'spark' || hasPremiumSpark;
+    
+    if (canUseWorkerPreferences) {
+      if (authState.authMode !== 'frontend') {
+        // Backend/demo mode - use hardcoded server preferences (kept for backward compatibility)
+        if (settings.requiredWorkers && Array.isArray(settings.requiredWorkers) && settings.requiredWorkers.length > 0) {
+          workerPreferences.push(`--workers=${settings.requiredWorkers.join(',')}`);
+        }
+        if (settings.preferWorkers && settings.preferWorkers.length > 0) {
+          workerPreferences.push(`--preferred-workers=${settings.preferWorkers.join(',')}`);
         }
-        if (workerPreferences.length > 0) {
-          finalPositivePrompt = `${finalPositivePrompt}${workerPreferences.join(' ')}`;
+        if (settings.skipWorkers && settings.skipWorkers.length > 0) {
+          workerPreferences.push(`--skip-workers=${settings.skipWorkers.join(',')}`);
         }
       } else {
-        console.log('⚠️ Worker preferences SKIPPED in frontend - Premium Spark required');
+        // Frontend auth mode - use user-configured preferences
+        if (settings.requiredWorkers && Array.isArray(settings.requiredWorkers) && settings.requiredWorkers.length > 0) {
+          workerPreferences.push(`--workers=${settings.requiredWorkers.join(',')}`);
+        }
+        if (settings.preferWorkers && settings.preferWorkers.length > 0) {
+          workerPreferences.push(`--preferred-workers=${settings.preferWorkers.join(',')}`);
+        }
+        if (settings.skipWorkers && settings.skipWorkers.length > 0) {
+          workerPreferences.push(`--skip-workers=${settings.skipWorkers.join(',')}`);
+        }
+      }
+      if (workerPreferences.length > 0) {
+        finalPositivePrompt = `${finalPositivePrompt}${workerPreferences.join(' ')}`;
       }
+    } else {
+      console.log('⚠️ Worker preferences SKIPPED in frontend - Premium Spark required');
+    }
 
-      // When using an edit model, rewrite prompts with subject context for identity preservation
-      const usesEditModel = isContextImageModel(selectedModel);
-      const isUsingEditPromptStyle = selectedStyle === 'copyImageStyle' || isEditPrompt(selectedStyle);
-      const isCopyImageStylePrompt = finalPositivePrompt === COPY_IMAGE_STYLE_PROMPT;
+    // When using an edit model, rewrite prompts with subject context for identity preservation
+    const usesEditModel = isContextImageModel(selectedModel);
+    const isUsingEditPromptStyle = selectedStyle === 'copyImageStyle' || isEditPrompt(selectedStyle);
+    const isCopyImageStylePrompt = finalPositivePrompt === COPY_IMAGE_STYLE_PROMPT;
 
-      if (usesEditModel && !isCopyImageStylePrompt && finalPositivePrompt && selectedStyle !== 'custom') {
-        // Get subject analysis (pre-warmed from ImageAdjuster, or use fallback)
-        const subjectAnalysis = subjectAnalysisRef.current || { faceCount: 1, subjectDescription: 'the person' };
-        const { subjectDescription, faceCount } = subjectAnalysis;
+    if (usesEditModel && !isCopyImageStylePrompt && finalPositivePrompt && selectedStyle !== 'custom') {
+      // Get subject analysis (pre-warmed from ImageAdjuster, or use fallback)
+      const subjectAnalysis = subjectAnalysisRef.current || { faceCount: 1, subjectDescription: 'the person' };
+      const { subjectDescription, faceCount } = subjectAnalysis;
 
-        console.log('✏️ Edit model detected - rewriting prompt with subject context:', { subjectDescription, faceCount, isEditPrompt: isUsingEditPromptStyle });
+      console.log('✏️ Edit model detected - rewriting prompt with subject context:', { subjectDescription, faceCount, isEditPrompt: isUsingEditPromptStyle });
 
-        // Check if prompt uses pipe-separated syntax (randomMix, oneOfEach)
-        if (finalPositivePrompt.startsWith('{') && finalPositivePrompt.includes('|') && finalPositivePrompt.endsWith('}')) {
-          const inner = finalPositivePrompt.slice(1, -1);
-          const rewritten = inner.split('|').map(p =>
-            rewritePromptForEditModel(p.trim(), { subjectDescription, faceCount, isEditPrompt: false })
-          );
-          finalPositivePrompt = `{${rewritten.join('|')}}`;
-        } else {
-          finalPositivePrompt = rewritePromptForEditModel(finalPositivePrompt, {
-            subjectDescription,
-            faceCount,
-            isEditPrompt: isUsingEditPromptStyle && !isCopyImageStylePrompt
-          });
-        }
+      // Check if prompt uses pipe-separated syntax (randomMix, oneOfEach)
+      if (finalPositivePrompt.startsWith('{') && finalPositivePrompt.includes('|') && finalPositivePrompt.endsWith('}')) {
+        const inner = finalPositivePrompt.slice(1, -1);
+        const rewritten = inner.split('|').map(p =>
+          rewritePromptForEditModel(p.trim(), { subjectDescription, faceCount, isEditPrompt: false })
+        );
+        finalPositivePrompt = `{${rewritten.join('|')}}`;
+      } else {
+        finalPositivePrompt = rewritePromptForEditModel(finalPositivePrompt, {
+          subjectDescription,
+          faceCount,
+          isEditPrompt: isUsingEditPromptStyle && !isCopyImageStylePrompt
+        });
+      }
 
-        // Legacy static prefix fallback removed — rewritePromptForEditModel now always rewrites,
-        // even when subjectDescription is "the person" (provides transformation context anchors)
+      // Legacy static prefix fallback removed — rewritePromptForEditModel now always rewrites,
+      // even when subjectDescription is "the person" (provides transformation context anchors)
+    }
+
+    // Style prompt logic: use context state
+    let finalStylePrompt = stylePrompt.trim() || '';
+    // Negative prompt logic: use context state
+    let finalNegativePrompt = negativePrompt.trim() || 'lowres, worst quality, low quality';
+
+    // When using an edit model, prepend "black bars, " to negative prompt
+    // This helps prevent black bars/letterboxing artifacts common in edit model outputs
+    if (usesEditModel && finalNegativePrompt) {
+      console.log('✏️ Edit model detected - prepending "black bars, " to negative prompt');
+      finalNegativePrompt = `${EDIT_MODEL_NEGATIVE_PROMPT_PREFIX}${finalNegativePrompt}`;
+    } 
+    // Seed logic: use context state
+    let seedValue = seed.trim();
+    let seedParam = undefined;
+    if (seedValue !== '') {
+      const parsed = parseInt(seedValue, 10);
+      if (!isNaN(parsed) && parsed >= 0 && parsed <= 4294967295) {
+        seedParam = parsed;
+      }
+    }
+    
+
+    return { finalPositivePrompt, finalNegativePrompt, finalStylePrompt, seedParam, workerPreferences };
+  };
+
+  /**
+   * Build the Sogni project config for generating from a photo with the current settings
+   * @param {ArrayBuffer} blobArrayBuffer - The source photo
+   * @param {Object} prompts - From resolveGenerationPrompts
+   * @param {Object} options - numberOfMedia, sourceType and hasPremiumSpark
+   */
+  const buildGenerationProjectConfig = async (blobArrayBuffer, prompts, { numberOfMedia, sourceType, hasPremiumSpark }) => {
+    const { finalPositivePrompt, finalNegativePrompt, finalStylePrompt, seedParam } = prompts;
+    const usesContextImages = isContextImageModel(selectedModel);
+
+    const projectConfig = {
+      type: 'image', // Required in SDK v4.x.x
+      testnet: false,
+      tokenType: walletTokenType, // Use selected payment method from wallet
+      isPremiumSpark: hasPremiumSpark, // Pass premium status to backend
+      modelId: selectedModel,
+      positivePrompt: finalPositivePrompt,
+      negativePrompt: finalNegativePrompt,
+      stylePrompt: finalStylePrompt,
+      sizePreset: 'custom',
+      width: getCustomDimensions(aspectRatio).width,  // Use aspectRatio here
+      height: getCustomDimensions(aspectRatio).height, // Use aspectRatio here
+      steps: inferenceSteps,
+      guidance: usesContextImages ? guidance : promptGuidance, // Use guidance for context image models, promptGuidance for others
+      numberOfMedia,
+      numberOfPreviews: authState.authMode === 'frontend' && usesContextImages ? 5 : 10, // Frontend context image models get 5 previews, backend gets 10
+      // Only skip sampler and scheduler for Qwen Image Edit Lightning (server provides defaults)
+      ...(isQwenImageEditLightningModel(selectedModel) ? {} : {
+        sampler: normalizeSampler(sampler),
+        scheduler: normalizeScheduler(scheduler)
+      }),
+      outputFormat: outputFormat, // Add output format setting
+      sensitiveContentFilter: sensitiveContentFilter, // Adapters will convert to disableNSFWFilter for SDK
+      sourceType: sourceType, // Add sourceType for analytics tracking
+      tezdevTheme, aspectRatio, // Analytics breakdowns only, kept out of the SDK call by the adapters
+      ...(seedParam !== undefined ? { seed: seedParam } : {})
+    };
+    
+    // Add image configuration based on model type
+    if (usesContextImages) {
+      // For context image models (Qwen, Flux), use contextImages array (SDK expects array)
+      // Check if we're in Copy Image Style mode
+      if (selectedStyle === 'copyImageStyle') {
+        if (!styleReferenceImage?.croppedBlob) {
+          console.error('❌ Copy Image Style mode active but no style reference blob available');
+          throw new Error('Please select a style reference image first by clicking "Copy Image Style"');
+        }
+        
+        // In style reference mode, use both images: [styleReference, userPhoto]
+        const styleRefArrayBuffer = await styleReferenceImage.croppedBlob.arrayBuffer();
+        projectConfig.contextImages = [
+          new Uint8Array(styleRefArrayBuffer),  // First image: style reference
+          new Uint8Array(blobArrayBuffer)       // Second image: user's photo (subject)
+        ];
+        console.log('🎨 Using both style reference and user photo for context image model');
+        console.log(`📊 Context images: Style ref (${styleRefArrayBuffer.byteLength} bytes) + User photo (${blobArrayBuffer.byteLength} bytes)`);
+      } else {
+        // Normal mode - just use the user's photo
+        projectConfig.contextImages = [new Uint8Array(blobArrayBuffer)];
       }
+    } else {
+      // For SDXL models, use controlNet
+      projectConfig.controlNet = {
+        name: 'instantid',
+        image: new Uint8Array(blobArrayBuffer),
+        strength: controlNetStrength,
+        mode: 'balanced',
+        guidanceStart: 0,
+        guidanceEnd: controlNetGuidanceEnd,
+      };
+    }
 
-      // Style prompt logic: use context state
-      let finalStylePrompt = stylePrompt.trim() || '';
-      // Negative prompt logic: use context state
-      let finalNegativePrompt = negativePrompt.trim() || 'lowres, worst quality, low quality';
+    return projectConfig;
+  };
+
+  // Resolves true once the project is created, false when the batch never started
+  const generateFromBlob = async (photoBlob, newPhotoIndex, dataUrl, isMoreOperation = false, sourceType = 'upload') => {
+    try {
+      // Check if user has Premium Spark (used multiple times in this function)
+      const hasPremiumSpark = isPremiumBoosted(balances, walletTokenType);
+      
+      // Ensure we have a working client (should already be initialized)
+      if (!sogniClient) {
+        console.error('🔐 No Sogni client available for generation');
+        setBackendError('Sogni client not initialized. Please refresh the page.');
+        return false;
+      }
 
-      // When using an edit model, prepend "black bars, " to negative prompt
-      // This helps prevent black bars/letterboxing artifacts common in edit model outputs
-      if (usesEditModel && finalNegativePrompt) {
-        console.log('✏️ Edit model detected - prepending "black bars, " to negative prompt');
-        finalNegativePrompt = `${EDIT_MODEL_NEGATIVE_PROMPT_PREFIX}${finalNegativePrompt}`;
-      } 
-      // Seed logic: use context state
-      let seedValue = seed.trim();
-      let seedParam = undefined;
-      if (seedValue !== '') {
-        const parsed = parseInt(seedValue, 10);
-        if (!isNaN(parsed) && parsed >= 0 && parsed <= 4294967295) {
-          seedParam = parsed;
+      // Clear any existing timeouts before starting new generation
+      if (!isMoreOperation) {
+        clearAllTimeouts();
+        
+        // Clear QR codes and mobile share cache when starting a new batch since photo indices will change
+        if (qrCodeData) {
+          console.log('Clearing QR code due to new batch generation from fresh photo');
+          setQrCodeData(null);
         }
+        
+        // Clear mobile share cache since photo indices will point to different images
+        console.log('Clearing mobile share cache due to new batch generation from fresh photo');
+        setMobileShareCache({});
       }
       
+      setLastPhotoData({ blob: photoBlob, dataUrl, sourceType });
+      const isIOS = /iphone|ipad|ipod/i.test(navigator.userAgent);
+      const prompts = resolveGenerationPrompts();
+      if (!prompts) return false;
+      const { finalPositivePrompt, workerPreferences } = prompts;
       console.log('Style prompt:', finalPositivePrompt);
       console.log('Prompt length:', finalPositivePrompt.length);
       console.log('Worker preferences applied:', workerPreferences);
@@ -5630,66 +5811,7 @@ const App = () => {
       // Create project using context state for settings
       const usesContextImages = isContextImageModel(selectedModel);
       
-      const projectConfig = {
-        type: 'image', // Required in SDK v4.x.x
-        testnet: false,
-        tokenType: walletTokenType, // Use selected payment method from wallet
-        isPremiumSpark: hasPremiumSpark, // Pass premium status to backend
-        modelId: selectedModel,
-        positivePrompt: finalPositivePrompt,
-        negativePrompt: finalNegativePrompt,
-        stylePrompt: finalStylePrompt,
-        sizePreset: 'custom',
-        width: getCustomDimensions(aspectRatio).width,  // Use aspectRatio here
-        height: getCustomDimensions(aspectRatio).height, // Use aspectRatio here
-        steps: inferenceSteps,
-        guidance: usesContextImages ? guidance : promptGuidance, // Use guidance for context image models, promptGuidance for others
-        numberOfMedia: numImages, // Use context state
-        numberOfPreviews: authState.authMode === 'frontend' && usesContextImages ? 5 : 10, // Frontend context image models get 5 previews, backend gets 10
-        // Only skip sampler and scheduler for Qwen Image Edit Lightning (server provides defaults)
-        ...(isQwenImageEditLightningModel(selectedModel) ? {} : {
-          sampler: normalizeSampler(sampler),
-          scheduler: normalizeScheduler(scheduler)
-        }),
-        outputFormat: outputFormat, // Add output format setting
-        sensitiveContentFilter: sensitiveContentFilter, // Adapters will convert to disableNSFWFilter for SDK
-        sourceType: sourceType, // Add sourceType for analytics tracking
-        ...(seedParam !== undefined ? { seed: seedParam } : {})
-      };
-      
-      // Add image configuration based on model type
-      if (usesContextImages) {
-        // For context image models (Qwen, Flux), use contextImages array (SDK expects array)
-        // Check if we're in Copy Image Style mode
-        if (selectedStyle === 'copyImageStyle') {
-          if (!styleReferenceImage?.croppedBlob) {
-            console.error('❌ Copy Image Style mode active but no style reference blob available');
-            throw new Error('Please select a style reference image first by clicking "Copy Image Style"');
-          }
-          
-          // In style reference mode, use both images: [styleReference, userPhoto]
-          const styleRefArrayBuffer = await styleReferenceImage.croppedBlob.arrayBuffer();
-          projectConfig.contextImages = [
-            new Uint8Array(styleRefArrayBuffer),  // First image: style reference
-            new Uint8Array(blobArrayBuffer)       // Second image: user's photo (subject)
-          ];
-          console.log('🎨 Using both style reference and user photo for context image model');
-          console.log(`📊 Context images: Style ref (${styleRefArrayBuffer.byteLength} bytes) + User photo (${blobArrayBuffer.byteLength} bytes)`);
-        } else {
-          // Normal mode - just use the user's photo
-          projectConfig.contextImages = [new Uint8Array(blobArrayBuffer)];
-        }
-      } else {
-        // For SDXL models, use controlNet
-        projectConfig.controlNet = {
-          name: 'instantid',
-          image: new Uint8Array(blobArrayBuffer),
-          strength: controlNetStrength,
-          mode: 'balanced',
-          guidanceStart: 0,
-          guidanceEnd: controlNetGuidanceEnd,
-        };
-      }
+      const projectConfig = await buildGenerationProjectConfig(blobArrayBuffer, prompts, { numberOfMedia: numImages, sourceType, hasPremiumSpark });
 
       // Estimate job cost before creating project (for smart wallet switching)
       // Only do cost estimation for authenticated users - demo mode doesn't need it
@@ -5777,7 +5899,7 @@ const App = () => {
             // Show daily boost if available, otherwise out of credits popup
             handleOutOfCreditsShow();
 
-            return;
+            return false;
           }
         }
       }
@@ -5834,7 +5956,7 @@ const App = () => {
           });
         });
         
-        return; // Exit early - don't continue with event setup
+        return false; // Exit early - don't continue with event setup
       }
 
       activeProjectReference.current = project.id;
@@ -6091,7 +6213,7 @@ const App = () => {
                 const currentStatusText = updated[photoIndex].statusText || 'Calling Art Robot...';
                 // Only update with queue position if it's greater than 1
                 // Queue position 1 means it's next/being processed, so keep the worker assignment label
-                if ((currentStatusText.includes('Calling Art Robot') || currentStatusText.includes('In queue')) && queuePosition > 1) {
+                if ((currentStatusText.includes('Calling Art Robot') || currentStatusText.includes('In queue') || currentStatusText.includes('Queue position')) && queuePosition > 1) {
                   updated[photoIndex] = {
                     ...updated[photoIndex],
                     generating: true,
@@ -6505,8 +6627,18 @@ const App = () => {
           // Early return to avoid updating photos or showing error messages for old projects
           return;
         }
-        
-        // Update the state for photos that belong to this failed project only
+
+        if (isRateLimitError(error)) {
+          setBackendError({
+            type: 'rate_limited',
+            title: '🐢 Slow Down a Sec',
+            message: error.message,
+            retryAfter: error.retryAfter,
+            canRetry: false
+          });
+        }
+        
+        // Update the state for photos that belong to this failed project only
         setRegularPhotos(prevPhotos => {
           return prevPhotos.map(photo => {
             // Only mark photos as failed if they belong to this specific project
@@ -6517,7 +6649,9 @@ const App = () => {
               let errorMessage = 'GENERATION FAILED: unknown error';
               
               if (error && typeof error === 'object') {
-                if (error.isInsufficientFunds || error.errorCode === 'insufficient_funds') {
+                if (isRateLimitError(error)) {
+                  errorMessage = 'SLOW DOWN: try again shortly';
+                } else if (error.isInsufficientFunds || error.errorCode === 'insufficient_funds') {
                   errorMessage = getCreditErrorMessage('GENERATION FAILED: replenish tokens');
                 } else if (error.isAuthError || error.errorCode === 'auth_error') {
                   errorMessage = 'GENERATION FAILED: authentication failed';
@@ -7011,6 +7145,7 @@ const App = () => {
         setPhotos(updatePhotoWithError);
       });
 
+      return true;
     } catch (error) {
       console.error('Generation failed:', error);
       
@@ -7113,6 +7248,84 @@ const App = () => {
       stopCamera();
       setShowPhotoGrid(true);
       setShowStartMenu(false);
+      return false;
+    }
+  };
+
+  // -------------------------
+  //   Offline capture queue
+  // -------------------------
+  // Shots taken offline wait in IndexedDB and go through generateFromBlob once we're back online
+  const [pendingOfflineCapture, setPendingOfflineCapture] = useState(null);
+  const offlineSubmitDoneRef = useRef(null);
+  // The effect below runs generateFromBlob from a render that has the restored settings
+  const generateFromBlobRef = useRef(generateFromBlob);
+  generateFromBlobRef.current = generateFromBlob;
+
+  const submitOfflineCapture = useCallback((capture) => new Promise((resolve) => {
+    // Restore the style and settings the guest picked; generation waits for them to render
+    const { selectedModel: capturedModel, ...capturedSettings } = capture.settings;
+    if (capturedModel && capturedModel !== selectedModel) {
+      updateSetting('selectedModel', capturedModel);
+    }
+    Object.entries(capturedSettings).forEach(([key, value]) => {
+      if (value !== undefined) {
+        updateSetting(key, value);
+      }
+    });
+    offlineSubmitDoneRef.current = resolve;
+    setPendingOfflineCapture(capture);
+  }), [selectedModel, updateSetting]);
+
+  const { queuedCaptures, queueCapture, discardCapture, retryCapture } = useOfflineCaptureQueue({
+    canSubmit: !isGenerating && !showImageAdjuster && !!sogniClient && !pendingOfflineCapture,
+    submitCapture: submitOfflineCapture
+  });
+
+  useEffect(() => {
+    if (!pendingOfflineCapture) return;
+    const capture = pendingOfflineCapture;
+    setPendingOfflineCapture(null);
+    generateFromBlobRef.current(capture.blob, 0, capture.dataUrl, false, capture.sourceType)
+      .catch(() => false)
+      .then((started) => {
+        offlineSubmitDoneRef.current?.(started);
+        offlineSubmitDoneRef.current = null;
+      });
+  }, [pendingOfflineCapture]);
+
+  const queueOfflineShot = async (blob, sourceType) => {
+    try {
+      const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      });
+      await queueCapture({
+        blob,
+        dataUrl,
+        sourceType,
+        settings: { selectedStyle, selectedModel, numImages, positivePrompt, customSceneName, stylePrompt }
+      });
+      stopCamera();
+      setShowPhotoGrid(true);
+      setShowStartMenu(false);
+      showToast({
+        type: 'info',
+        title: '📶 Saved for Later',
+        message: "You're offline, so this shot is queued. It'll be sent automatically when the connection is back.",
+        timeout: 5000
+      });
+    } catch (error) {
+      console.error('Failed to queue offline capture:', error);
+      showToast({
+        type: 'error',
+        title: 'Could Not Save Photo',
+        message: error.message || 'This photo could not be saved while offline.',
+        timeout: 6000
+      });
+      setShowStartMenu(true);
     }
   };
 
@@ -7194,95 +7407,12 @@ const App = () => {
   // -------------------------
   //   Capture (webcam)
   // -------------------------
-  const handleTakePhoto = async (e) => {
-    if (!isSogniReady || isPhotoButtonCooldown || photoCaptureLockRef.current) {
-      return;
-    }
-    // Lock immediately (synchronous) to prevent double-fire from rapid keypresses
-    photoCaptureLockRef.current = true;
-
-    // Cancel any existing project
-    if (activeProjectReference.current) {
-      console.log('Cancelling existing project:', activeProjectReference.current);
-      if (sogniClient) {
-        try {
-          await sogniClient.cancelProject(activeProjectReference.current);
-        } catch (error) {
-          console.warn('Error cancelling previous project:', error);
-        }
-      }
-      activeProjectReference.current = null;
-    }
-
-    // Start cooldown
-    setIsPhotoButtonCooldown(true);
-    setTimeout(() => {
-      setIsPhotoButtonCooldown(false);
-      photoCaptureLockRef.current = false;
-    }, 5000);
-
-    console.log('handleTakePhoto called - device type:', /iphone|ipad|ipod|android/i.test(navigator.userAgent) ? 'mobile' : 'desktop');
-    
-    // Check if we should skip countdown (back camera on mobile)
-    const isMobileDevice = /iphone|ipad|ipod|android/i.test(navigator.userAgent);
-    const shouldSkipCountdown = isMobileDevice && !isFrontCamera;
-    
-    if (shouldSkipCountdown) {
-      console.log('Skipping countdown for back camera on mobile device');
-    } else {
-      // Start countdown without slothicorn initially
-      for (let index = 3; index > 0; index--) {
-        setCountdown(index);
-        
-        // Show slothicorn when countdown reaches 2, but only for front-facing camera
-        if (index === 2 && slothicornReference.current && isFrontCamera) {
-          // Force the slothicorn to be visible and animated
-          slothicornReference.current.style.position = 'fixed'; // Ensure it's fixed positioning
-          slothicornReference.current.style.zIndex = '5000'; // Above photo grid but below action buttons
-          slothicornReference.current.style.setProperty('bottom', '-360px', 'important');
-          slothicornReference.current.style.transition = 'none';
-          slothicornReference.current.classList.add('animating');
-          
-          // Force reflow
-          void slothicornReference.current.offsetHeight;
-          
-          // After a small delay, start the upward animation
-          setTimeout(() => {
-            if (slothicornReference.current) {
-              slothicornReference.current.style.transition = 'bottom 0.8s cubic-bezier(0.34, 1.2, 0.64, 1)';
-              slothicornReference.current.style.setProperty('bottom', '0px', 'important');
-            }
-          }, 50);
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
-    
-    setCountdown(0);
-    triggerFlashAndCapture(e);
-    
-    // Make slothicorn return more gradually, but only if front camera is active
-    if (isFrontCamera) {
-      setTimeout(() => {
-        if (slothicornReference.current) {
-          slothicornReference.current.style.transition = 'bottom 1.5s cubic-bezier(0.25, 0.1, 0.25, 1)';
-          slothicornReference.current.style.setProperty('bottom', '-340px', 'important');
-          
-          // Wait for animation to complete, then clean up
-          setTimeout(() => {
-            // Re-check ref since this is a delayed callback
-            if (slothicornReference.current) {
-              slothicornReference.current.style.transition = 'none';
-              slothicornReference.current.classList.remove('animating');
-              // Reset z-index after animation completes
-              slothicornReference.current.style.zIndex = '5000';
-            }
-          }, 1500);
-        }
-      }, 300);
-    }
-
+  /**
+   * Grab the current camera frame, cropped to the aspect ratio and mirrored for
+   * the front camera, as an upload-ready JPEG (PNG if conversion fails)
+   * @returns {Promise<Blob|null>}
+   */
+  const captureVideoFrame = async () => {
     // Custom canvas size and aspect ratio to match the model's expectations
     const { width: canvasWidth, height: canvasHeight } = getCustomDimensions(aspectRatio);
     console.log(`Capturing at ${canvasWidth}x${canvasHeight}`);
@@ -7386,7 +7516,7 @@ const App = () => {
     
     if (!pngBlob) {
       console.error('Failed to create blob from canvas');
-      return;
+      return null;
     }
 
     // Convert PNG to high-quality JPEG for efficient upload
@@ -7407,6 +7537,105 @@ const App = () => {
     const finalSizeMB = (finalBlob.size / 1024 / 1024).toFixed(2);
     console.log(`📤 Final transmission size: ${finalSizeMB}MB`);
 
+    return finalBlob;
+  };
+
+  const handleTakePhoto = async (e) => {
+    if (burstMode) {
+      await handleTakeBurst(e);
+      return;
+    }
+    if (!isSogniReady || isPhotoButtonCooldown || photoCaptureLockRef.current) {
+      return;
+    }
+    // Lock immediately (synchronous) to prevent double-fire from rapid keypresses
+    photoCaptureLockRef.current = true;
+
+    // Cancel any existing project
+    if (activeProjectReference.current) {
+      console.log('Cancelling existing project:', activeProjectReference.current);
+      if (sogniClient) {
+        try {
+          await sogniClient.cancelProject(activeProjectReference.current);
+        } catch (error) {
+          console.warn('Error cancelling previous project:', error);
+        }
+      }
+      activeProjectReference.current = null;
+    }
+
+    // Start cooldown
+    setIsPhotoButtonCooldown(true);
+    setTimeout(() => {
+      setIsPhotoButtonCooldown(false);
+      photoCaptureLockRef.current = false;
+    }, 5000);
+
+    console.log('handleTakePhoto called - device type:', /iphone|ipad|ipod|android/i.test(navigator.userAgent) ? 'mobile' : 'desktop');
+    
+    // Check if we should skip countdown (back camera on mobile)
+    const isMobileDevice = /iphone|ipad|ipod|android/i.test(navigator.userAgent);
+    const shouldSkipCountdown = isMobileDevice && !isFrontCamera;
+    
+    if (shouldSkipCountdown) {
+      console.log('Skipping countdown for back camera on mobile device');
+    } else {
+      // Start countdown without slothicorn initially
+      for (let index = 3; index > 0; index--) {
+        setCountdown(index);
+        
+        // Show slothicorn when countdown reaches 2, but only for front-facing camera
+        if (index === 2 && slothicornReference.current && isFrontCamera) {
+          // Force the slothicorn to be visible and animated
+          slothicornReference.current.style.position = 'fixed'; // Ensure it's fixed positioning
+          slothicornReference.current.style.zIndex = '5000'; // Above photo grid but below action buttons
+          slothicornReference.current.style.setProperty('bottom', '-360px', 'important');
+          slothicornReference.current.style.transition = 'none';
+          slothicornReference.current.classList.add('animating');
+          
+          // Force reflow
+          void slothicornReference.current.offsetHeight;
+          
+          // After a small delay, start the upward animation
+          setTimeout(() => {
+            if (slothicornReference.current) {
+              slothicornReference.current.style.transition = 'bottom 0.8s cubic-bezier(0.34, 1.2, 0.64, 1)';
+              slothicornReference.current.style.setProperty('bottom', '0px', 'important');
+            }
+          }, 50);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+    
+    setCountdown(0);
+    triggerFlashAndCapture(e);
+    
+    // Make slothicorn return more gradually, but only if front camera is active
+    if (isFrontCamera) {
+      setTimeout(() => {
+        if (slothicornReference.current) {
+          slothicornReference.current.style.transition = 'bottom 1.5s cubic-bezier(0.25, 0.1, 0.25, 1)';
+          slothicornReference.current.style.setProperty('bottom', '-340px', 'important');
+          
+          // Wait for animation to complete, then clean up
+          setTimeout(() => {
+            // Re-check ref since this is a delayed callback
+            if (slothicornReference.current) {
+              slothicornReference.current.style.transition = 'none';
+              slothicornReference.current.classList.remove('animating');
+              // Reset z-index after animation completes
+              slothicornReference.current.style.zIndex = '5000';
+            }
+          }, 1500);
+        }
+      }, 300);
+    }
+
+    const finalBlob = await captureVideoFrame();
+    if (!finalBlob) return;
+
     // Create a temporary URL for the blob and show the image adjuster
     const tempUrl = URL.createObjectURL(finalBlob);
     setCurrentUploadedImageUrl(tempUrl);
@@ -7425,10 +7654,89 @@ const App = () => {
     setShowImageAdjuster(true);
   };
 
-  const triggerFlashAndCapture = (e) => {
-    // Check if we're in countdown mode, and if so, abort
-    if (countdown > 0) return;
-    
+  // -------------------------
+  //   Photo-strip burst
+  // -------------------------
+  const handleTakeBurst = async (e) => {
+    if (!isSogniReady || isPhotoButtonCooldown || photoCaptureLockRef.current) {
+      return;
+    }
+    photoCaptureLockRef.current = true;
+    setIsPhotoButtonCooldown(true);
+
+    if (activeProjectReference.current && sogniClient) {
+      try {
+        await sogniClient.cancelProject(activeProjectReference.current);
+      } catch (error) {
+        console.warn('Error cancelling previous project:', error);
+      }
+      activeProjectReference.current = null;
+    }
+
+    let frames;
+    try {
+      frames = await captureBurst(async () => {
+        playShutterEffects(e);
+        return captureVideoFrame();
+      });
+    } finally {
+      setIsPhotoButtonCooldown(false);
+      photoCaptureLockRef.current = false;
+    }
+
+    if (frames) {
+      await generateBurstSession(frames);
+    }
+  };
+
+  // Style each burst frame, then composite the results into one strip/grid
+  const generateBurstSession = async (frames) => {
+    if (!authState.isAuthenticated && !isEventDomain() && hasDoneDemoRender()) {
+      console.log('🚫 Non-authenticated user has already used their demo render - showing login upsell');
+      setShowLoginUpsellPopup(true);
+      return;
+    }
+    if (!sogniClient) {
+      setBackendError('Sogni client not initialized. Please refresh the page.');
+      return;
+    }
+
+    const prompts = resolveGenerationPrompts();
+    if (!prompts) return;
+    const hasPremiumSpark = isPremiumBoosted(balances, walletTokenType);
+
+    const styledCount = await styleBurst(frames, {
+      sogniClient,
+      buildProjectConfig: frame => buildGenerationProjectConfig(frame, prompts, { numberOfMedia: 1, sourceType: 'camera', hasPremiumSpark }),
+      showPlaceholders: (placeholders, dataUrls) => {
+        clearAllTimeouts();
+        setQrCodeData(null);
+        setMobileShareCache({});
+        setLastPhotoData({ blob: frames[0], dataUrl: dataUrls[0], sourceType: 'camera' });
+        setRegularPhotos(previous => {
+          previous.forEach(photo => {
+            photo.images?.forEach(imageUrl => {
+              if (imageUrl && imageUrl.startsWith('blob:')) {
+                URL.revokeObjectURL(imageUrl);
+              }
+            });
+          });
+          return placeholders;
+        });
+        stopCamera();
+        setShowPhotoGrid(true);
+        setShowStartMenu(false);
+      },
+      onOutOfCredits: handleOutOfCreditsShow
+    });
+
+    if (styledCount > 0) {
+      trackDemoRenderCompletion();
+    }
+  };
+
+  // Shutter sound and flash for a capture
+  const playShutterEffects = (e) => {
     // Play camera shutter sound if enabled - immediate playback for iOS
     if (soundEnabled && shutterSoundReference.current && e) {
       // Reset to beginning to ensure sound plays every time
@@ -7447,13 +7755,20 @@ const App = () => {
       }
     }
     
-    // Rest of the function remains the same
     if (flashEnabled) {
       setShowFlash(true);
       setTimeout(() => {
         setShowFlash(false);
       }, 700); 
     }
+  };
+
+  const triggerFlashAndCapture = (e) => {
+    // Check if we're in countdown mode, and if so, abort
+    if (countdown > 0) return;
+
+    playShutterEffects(e);
+
     // Process the capture
     captureAndSend();
     
@@ -7890,7 +8205,7 @@ const App = () => {
           handlePhotoViewerClick={handlePhotoViewerClick}
                 handleGenerateMorePhotos={handleGenerateMorePhotos}
                 handleOpenImageAdjusterForNextBatch={handleOpenImageAdjusterForNextBatch}
-                handleShowControlOverlay={() => setShowControlOverlay(!showControlOverlay)}
+                handleShowControlOverlay={toggleSettingsOverlay}
                 numImages={numImages}
                 isGenerating={photos.some(photo => photo.generating)}
                 keepOriginalPhoto={keepOriginalPhoto}
@@ -7911,6 +8226,7 @@ const App = () => {
                 outputFormat={outputFormat}
                 sensitiveContentFilter={sensitiveContentFilter}
                 handleShareToX={handleShareToX}
+                handleShareToProvider={handleShareToProvider}
                 handleShareViaWebShare={handleShareViaWebShare}
                 handleShareQRCode={handleKioskModeShare}
                 handleStitchedVideoQRShare={handleStitchedVideoQRShare}
@@ -8058,13 +8374,14 @@ const App = () => {
             isReady={isSogniReady && !isPhotoButtonCooldown}
             countdown={countdown}
             isDisabled={isPhotoButtonCooldown || showImageAdjuster}
-            buttonLabel={isPhotoButtonCooldown ? "Get Ready!" : "Take Photo"}
+            buttonLabel={isPhotoButtonCooldown ? "Get Ready!" : (burstMode ? `Take ${burstShotCount || 4} Shots` : "Take Photo")}
+            burstShotCount={burstMode ? burstShotCount || 4 : 0}
             onTakePhoto={handleTakePhoto}
             showPhotoGrid={showPhotoGrid}
             selectedStyle={selectedStyle}
             onStyleSelect={handleUpdateStyle}
             showSettings={showControlOverlay}
-            onToggleSettings={() => setShowControlOverlay(!showControlOverlay)}
+            onToggleSettings={toggleSettingsOverlay}
             testId="camera-view"
             stylePrompts={stylePrompts}
             cameraDevices={cameraDevices}
@@ -9157,6 +9474,105 @@ const App = () => {
     stopCamera();
   }, [stopCamera]);
 
+  // Kiosk lockdown: wipe everything the last guest left behind and go back to the start menu
+  const resetKioskGuestSession = () => {
+    const lockdown = getKioskLockdown();
+    if (!lockdown) return;
+    console.log('[Kiosk] Resetting guest session');
+
+    setPhotos([]);
+    setRegularPhotos([]);
+    setSelectedPhotoIndex(null);
+    setShowPhotoGrid(false);
+    setShowImageAdjuster(false);
+    setCurrentUploadedImageUrl('');
+    setLastPhotoData({ blob: null, dataUrl: null });
+    setLastAdjustedPhoto(null);
+    setLastCameraPhoto(null);
+    setLastUploadedPhoto(null);
+    setShowTwitterModal(false);
+    setTwitterPhotoIndex(null);
+    setTwitterPhotoData(null);
+    setBackendError(null);
+    // QR codes, mobile share links and framed images
+    clearImageCaches();
+
+    // Put back the settings the kiosk was locked down with
+    KIOSK_GUEST_SETTINGS.forEach(key => {
+      if (key in lockdown.settings) {
+        updateSetting(key, lockdown.settings[key]);
+      }
+    });
+
+    setShowControlOverlay(false);
+    setKioskPinRequest(null);
+    if (currentPage !== 'camera') {
+      updateUrlParams({ page: null, prompt: null, gallery: null }, { usePushState: false });
+      setCurrentPage('camera');
+    }
+    setCameraManuallyStarted(false);
+    stopCamera();
+    setShowStartMenu(true);
+    window.scrollTo({ top: 0 });
+  };
+
+  const handleKioskPinSubmit = async (pin) => {
+    if (kioskPinRequest.mode === 'set') {
+      try {
+        const lockdown = await enableKioskLockdown(pin, settings, kioskConfig);
+        if (lockdown.style && lockdown.style !== selectedStyle) {
+          updateSetting('selectedStyle', lockdown.style);
+        }
+      } catch (error) {
+        return error.message;
+      }
+      setKioskLocked(true);
+      setKioskPinRequest(null);
+      setShowControlOverlay(false);
+      return null;
+    }
+
+    const result = await verifyKioskPin(pin);
+    if (result === 'wrong') return 'Wrong PIN';
+    if (result === 'locked-out') {
+      const seconds = getKioskPinLockoutSeconds();
+      return `Too many wrong PINs. Try again in ${seconds >= 60 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`}.`;
+    }
+
+    if (kioskPinRequest.purpose === 'exit') {
+      disableKioskLockdown();
+      setKioskLocked(false);
+    } else {
+      setShowControlOverlay(true);
+    }
+    setKioskPinRequest(null);
+    return null;
+  };
+
+  const kioskIdle = useKioskIdle({
+    enabled: kioskLocked,
+    idleResetSeconds: kioskConfig.idleResetSeconds,
+    resetWarningSeconds: kioskConfig.resetWarningSeconds,
+    attractEnabled: kioskConfig.attractLoop.enabled,
+    attractIdleSeconds: kioskConfig.attractLoop.idleSeconds,
+    onStartMenu: showStartMenu && currentPage === 'camera',
+    // Don't reset while results are on the way or while staff are in settings
+    busy: isGenerating || photos.some(photo => photo.generating) || showControlOverlay || !!kioskPinRequest,
+    onIdleReset: resetKioskGuestSession
+  });
+
+  useKioskRecovery({
+    enabled: kioskLocked,
+    cameraExpected: cameraManuallyStarted && !showStartMenu && !showPhotoGrid && !showImageAdjuster && !cameraPermissionDenied,
+    videoRef: videoReference,
+    restartCamera: () => startCamera(selectedCameraDeviceId || preferredCameraDeviceId),
+    sogniClient,
+    connectionState,
+    cameraRetrySeconds: kioskConfig.recovery.cameraRetrySeconds,
+    maxCameraRetries: kioskConfig.recovery.maxCameraRetries,
+    socketReloadSeconds: kioskConfig.recovery.socketReloadSeconds
+  });
+
   // Handle remixing a single image from the slideshow
   const handleRemixSingleImage = useCallback(async (imageUrl) => {
     console.log('[Remix Single Image] Loading image:', imageUrl);
@@ -10013,6 +10429,18 @@ const App = () => {
       source: currentUploadedSource
     });
 
+    // Offline: keep the shot and send it once the connection is back
+    if (!navigator.onLine || connectionState === 'offline') {
+      // Guests still only get their one demo render
+      if (!authState.isAuthenticated && !isEventDomain() && queuedCaptures.length > 0) {
+        setShowLoginUpsellPopup(true);
+        setShowStartMenu(true);
+        return;
+      }
+      queueOfflineShot(adjustedBlob, currentUploadedSource === 'camera' ? 'camera' : 'upload');
+      return;
+    }
+
     // Create a new photo item with temporary placeholder
     const newPhoto = {
       id: Date.now().toString(),
@@ -10480,6 +10908,16 @@ const App = () => {
         outputFormat={outputFormat}
       />
 
+      {/* Bluesky / Mastodon Share Modal */}
+      <SocialShareModal
+        isOpen={!!socialShareTarget}
+        onClose={() => setSocialShareTarget(null)}
+        onShare={handleSocialShare}
+        providerId={socialShareTarget?.providerId}
+        photoData={socialShareTarget?.photo}
+        tezdevTheme={tezdevTheme}
+      />
+
 
 
 
@@ -10489,6 +10927,11 @@ const App = () => {
           {countdown}
         </div>
       )}
+      {burstShot && (
+        <div className="burst-shot-indicator" data-testid="burst-shot-indicator">
+          Shot {burstShot.shot} of {burstShot.total}
+        </div>
+      )}
       
       {currentThought && 
         (/iphone|ipad|ipod|android/i.test(navigator.userAgent) === false) && 
@@ -10650,8 +11093,31 @@ const App = () => {
           }}
           onResetSettings={resetSettings} // Pass context reset function
           modelOptions={getModelOptions()} 
+          kioskLocked={kioskLocked}
+          onKioskLockdown={() => setKioskPinRequest({ mode: 'set' })}
+          onKioskUnlock={() => setKioskPinRequest({ mode: 'unlock', purpose: 'exit' })}
         />
 
+        {/* Kiosk lockdown overlays */}
+        {kioskIdle.showAttract && (
+          <KioskAttractLoop
+            images={kioskConfig.attractLoop.images}
+            slideSeconds={kioskConfig.attractLoop.slideSeconds}
+            headline={kioskConfig.attractLoop.headline}
+            onDismiss={kioskIdle.dismissAttract}
+          />
+        )}
+        {kioskIdle.warningSecondsLeft !== null && (
+          <KioskResetWarning secondsLeft={kioskIdle.warningSecondsLeft} />
+        )}
+        {kioskPinRequest && (
+          <KioskPinDialog
+            mode={kioskPinRequest.mode}
+            onSubmit={handleKioskPinSubmit}
+            onCancel={() => setKioskPinRequest(null)}
+          />
+        )}
+
         {/* Authentication Status - top-left corner (hidden in kiosk mode and on event domains) */}
         {!showSplashScreen && currentPage !== 'prompts' && !showSplashOnInactivity && !isEventDomain() && (
           <div 
@@ -10683,7 +11149,7 @@ const App = () => {
           <>
             <button
               className="header-settings-btn"
-              onClick={() => setShowControlOverlay(!showControlOverlay)}
+              onClick={toggleSettingsOverlay}
               style={{
                 position: 'fixed',
                 top: 24,
@@ -10763,7 +11229,7 @@ const App = () => {
           <>
             <button
               className="header-settings-btn"
-              onClick={() => setShowControlOverlay(!showControlOverlay)}
+              onClick={toggleSettingsOverlay}
               style={{
                 position: 'fixed',
                 top: 24,
@@ -10944,9 +11410,12 @@ const App = () => {
           showPhotoGrid={showPhotoGrid}
           handleBackToCamera={handleBackToMenu}
           handlePhotoViewerClick={handlePhotoViewerClick}
+          queuedCaptures={queuedCaptures}
+          onDiscardQueuedCapture={discardCapture}
+          onRetryQueuedCapture={retryCapture}
           handleGenerateMorePhotos={handleGenerateMorePhotos}
           handleOpenImageAdjusterForNextBatch={handleOpenImageAdjusterForNextBatch}
-          handleShowControlOverlay={() => setShowControlOverlay(!showControlOverlay)}
+          handleShowControlOverlay={toggleSettingsOverlay}
           isGenerating={photos.some(photo => photo.generating)}
           keepOriginalPhoto={keepOriginalPhoto}
           lastPhotoData={lastPhotoData}
@@ -10966,6 +11435,7 @@ const App = () => {
           outputFormat={outputFormat}
           sensitiveContentFilter={sensitiveContentFilter}
           handleShareToX={handleShareToX}
+          handleShareToProvider={handleShareToProvider}
           handleShareViaWebShare={handleShareViaWebShare}
           handleShareQRCode={handleKioskModeShare}
           handleStitchedVideoQRShare={handleStitchedVideoQRShare}
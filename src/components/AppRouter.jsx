@@ -2,6 +2,7 @@ import React, { useState, useEffect, createContext, useContext } from 'react';
 import App from '../App';
 import AnalyticsDashboard from './admin/AnalyticsDashboard';
 import Moderate from './admin/Moderate';
+import ThemeEditor from './admin/ThemeEditor';
 import ContestVote from './contest/ContestVote';
 import HalloweenEvent from './events/HalloweenEvent';
 import WinterEvent from './events/WinterEvent';
@@ -38,6 +39,9 @@ const AppRouter = () => {
     if (hash === '#moderate' || pathname === '/admin/moderate') {
       return 'moderate';
     }
+    if (hash === '#themes' || pathname === '/admin/themes') {
+      return 'themes';
+    }
     if (pathname === '/contest/vote') {
       return 'contest-vote';
     }
@@ -98,6 +102,8 @@ const AppRouter = () => {
         setCurrentRoute('analytics');
       } else if (hash === '#moderate' || pathname === '/admin/moderate') {
         setCurrentRoute('moderate');
+      } else if (hash === '#themes' || pathname === '/admin/themes') {
+        setCurrentRoute('themes');
       } else if (pathname === '/contest/vote') {
         setCurrentRoute('contest-vote');
       } else if (hash === '#halloween' || pathname === '/halloween' || pathname === '/event/halloween') {
@@ -143,6 +149,8 @@ const AppRouter = () => {
           <AnalyticsDashboard />
         ) : currentRoute === 'moderate' ? (
           <Moderate />
+        ) : currentRoute === 'themes' ? (
+          <ThemeEditor />
         ) : currentRoute === 'contest-vote' ? (
           <ContestVote />
         ) : currentRoute === 'halloween' ? (
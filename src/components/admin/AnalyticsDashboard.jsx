@@ -1,5 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { getAnalyticsDashboard, getHistoricalAnalytics } from '../../services/analyticsService';
+import {
+  getAnalyticsDashboard,
+  getHistoricalAnalyticsRange,
+  getAnalyticsBreakdowns,
+  downloadAnalyticsExport,
+  getApiBaseUrl
+} from '../../services/analyticsService';
+import ModeratorLogin from './ModeratorLogin';
 import '../../styles/components/AnalyticsDashboard.css';
 import {
   Chart as ChartJS,
@@ -25,14 +32,45 @@ ChartJS.register(
   Legend
 );
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are UTC (YYYY-MM-DD) to match the server's daily buckets
+const toDateInput = (time) => new Date(time).toISOString().split('T')[0];
+
+const lastDaysRange = (days) => ({
+  from: toDateInput(Date.now() - (days - 1) * DAY_MS),
+  to: toDateInput(Date.now())
+});
+
+// One bar chart per breakdown dimension, one dataset per event
+const BREAKDOWN_CHARTS = [
+  { dimension: 'theme', title: '🎨 By Event Theme' },
+  { dimension: 'shareType', title: '📤 By Share Type' },
+  { dimension: 'model', title: '🤖 By Model' },
+  { dimension: 'aspectRatio', title: '📐 By Aspect Ratio' }
+];
+
+const BREAKDOWN_SERIES = [
+  { event: 'downloads', label: 'Downloads', color: '39, 174, 96' },
+  { event: 'shares', label: 'Shares', color: '52, 152, 219' },
+  { event: 'photos_generated', label: 'Photos Generated', color: '230, 126, 34' }
+];
+
+const MAX_BREAKDOWN_VALUES = 10;
+
 const AnalyticsDashboard = () => {
   const [dashboardData, setDashboardData] = useState(null);
   const [historicalData, setHistoricalData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [authRequired, setAuthRequired] = useState(false);
   const [lastRefresh, setLastRefresh] = useState(null);
   const [chartType, setChartType] = useState('line');
-  const [chartDays, setChartDays] = useState(30);
+  const [rangePreset, setRangePreset] = useState('30');
+  const [range, setRange] = useState(() => lastDaysRange(30));
+  const [breakdownData, setBreakdownData] = useState(null);
+  const [exportDataset, setExportDataset] = useState('daily');
+  const [exporting, setExporting] = useState(false);
   const [windowWidth, setWindowWidth] = useState(window.innerWidth);
 
   // Ensure proper scrolling on mobile when analytics dashboard is active
@@ -53,11 +91,19 @@ const AnalyticsDashboard = () => {
       setLoading(true);
       setError(null);
       
-      const [dashboardResponse, historicalResponse] = await Promise.all([
+      const [dashboardResponse, historicalResponse, breakdownResponse] = await Promise.all([
         getAnalyticsDashboard(),
-        getHistoricalAnalytics(chartDays)
+        getHistoricalAnalyticsRange(range.from, range.to),
+        getAnalyticsBreakdowns(range.from, range.to)
       ]);
       
+      // The analytics API needs a moderator session (or API key)
+      if ([dashboardResponse, historicalResponse, breakdownResponse].some(response => response?.authRequired)) {
+        setAuthRequired(true);
+        return;
+      }
+      setAuthRequired(false);
+      
       if (dashboardResponse) {
         setDashboardData(dashboardResponse);
         setLastRefresh(new Date());
@@ -68,6 +114,10 @@ const AnalyticsDashboard = () => {
       if (historicalResponse) {
         setHistoricalData(historicalResponse);
       }
+      
+      if (breakdownResponse) {
+        setBreakdownData(breakdownResponse);
+      }
     } catch (err) {
       console.error('Error fetching dashboard data:', err);
       setError('Failed to load analytics data');
@@ -85,12 +135,36 @@ const AnalyticsDashboard = () => {
     return () => clearInterval(interval);
   }, []);
 
-  // Refetch data when chart settings change
+  // Refetch data when the date range changes
   useEffect(() => {
     if (dashboardData) { // Only refetch if we already have data
       fetchDashboardData();
     }
-  }, [chartDays]);
+  }, [range.from, range.to]);
+
+  const handlePresetChange = (value) => {
+    setRangePreset(value);
+    if (value !== 'custom') {
+      setRange(lastDaysRange(Number(value)));
+    }
+  };
+
+  const handleRangeChange = (field, value) => {
+    if (!value) return;
+    setRangePreset('custom');
+    setRange(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    const result = await downloadAnalyticsExport({ ...range, format, dataset: exportDataset });
+    setExporting(false);
+    if (result?.authRequired) {
+      setAuthRequired(true);
+    } else if (!result) {
+      alert('Export failed. Please try again.');
+    }
+  };
 
   // Handle window resize for responsive chart options
   useEffect(() => {
@@ -210,6 +284,35 @@ const AnalyticsDashboard = () => {
     };
   };
 
+  // Bar chart data for one breakdown dimension (top values across all events)
+  const generateBreakdownChartData = (dimension) => {
+    const byEvent = breakdownData?.breakdowns?.[dimension];
+    if (!byEvent) return null;
+
+    const totals = {};
+    BREAKDOWN_SERIES.forEach(({ event }) => {
+      Object.entries(byEvent[event] || {}).forEach(([value, count]) => {
+        totals[value] = (totals[value] || 0) + count;
+      });
+    });
+    const labels = Object.keys(totals)
+      .sort((a, b) => totals[b] - totals[a])
+      .slice(0, MAX_BREAKDOWN_VALUES);
+    if (labels.length === 0) return null;
+
+    return {
+      labels,
+      datasets: BREAKDOWN_SERIES
+        .filter(({ event }) => Object.keys(byEvent[event] || {}).length > 0)
+        .map(({ event, label, color }) => ({
+          label,
+          data: labels.map(value => byEvent[event]?.[value] || 0),
+          borderColor: `rgb(${color})`,
+          backgroundColor: `rgba(${color}, 0.8)`,
+        }))
+    };
+  };
+
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
@@ -226,7 +329,7 @@ const AnalyticsDashboard = () => {
       },
       title: {
         display: true,
-        text: `Analytics Trends - Last ${chartDays} Days`,
+        text: `Analytics Trends - ${range.from} to ${range.to}`,
         font: {
           size: windowWidth < 480 ? 14 : 16,
         },
@@ -260,6 +363,19 @@ const AnalyticsDashboard = () => {
     },
   };
 
+  if (authRequired) {
+    return (
+      <div className="analytics-dashboard">
+        <ModeratorLogin
+          description="Log in as a moderator to view analytics."
+          notice={dashboardData ? 'Your session expired. Please log in again.' : ''}
+          sessionUrl={`${getApiBaseUrl()}/api/moderation/session`}
+          onLoggedIn={fetchDashboardData}
+        />
+      </div>
+    );
+  }
+
   if (loading && !dashboardData) {
     return (
       <div className="analytics-dashboard">
@@ -306,14 +422,35 @@ const AnalyticsDashboard = () => {
           </button>
           <div className="chart-controls">
             <select 
-              value={chartDays} 
-              onChange={(e) => setChartDays(Number(e.target.value))}
+              value={rangePreset} 
+              onChange={(e) => handlePresetChange(e.target.value)}
               className="chart-select"
             >
-              <option value={7}>Last 7 days</option>
-              <option value={30}>Last 30 days</option>
-              <option value={90}>Last 90 days</option>
+              <option value="7">Last 7 days</option>
+              <option value="30">Last 30 days</option>
+              <option value="90">Last 90 days</option>
+              <option value="custom">Custom range</option>
             </select>
+            <div className="range-inputs">
+              <input
+                type="date"
+                value={range.from}
+                max={range.to}
+                onChange={(e) => handleRangeChange('from', e.target.value)}
+                className="chart-select"
+                aria-label="From date (UTC)"
+              />
+              <span>→</span>
+              <input
+                type="date"
+                value={range.to}
+                min={range.from}
+                max={toDateInput(Date.now())}
+                onChange={(e) => handleRangeChange('to', e.target.value)}
+                className="chart-select"
+                aria-label="To date (UTC)"
+              />
+            </div>
             <select 
               value={chartType} 
               onChange={(e) => setChartType(e.target.value)}
@@ -330,6 +467,22 @@ const AnalyticsDashboard = () => {
           >
             {loading ? '🔄' : '↻'} Refresh
           </button>
+          <div className="export-controls">
+            <select
+              value={exportDataset}
+              onChange={(e) => setExportDataset(e.target.value)}
+              className="chart-select"
+            >
+              <option value="daily">Daily totals</option>
+              <option value="breakdowns">Breakdowns</option>
+            </select>
+            <button onClick={() => handleExport('csv')} className="refresh-btn" disabled={exporting}>
+              ⬇ CSV
+            </button>
+            <button onClick={() => handleExport('ndjson')} className="refresh-btn" disabled={exporting}>
+              ⬇ NDJSON
+            </button>
+          </div>
           {lastRefresh && (
             <span className="last-refresh">
               Last updated: {lastRefresh.toLocaleTimeString()}
@@ -351,6 +504,31 @@ const AnalyticsDashboard = () => {
         </div>
       )}
 
+      {/* Breakdown Charts */}
+      <div className="breakdown-grid">
+        {BREAKDOWN_CHARTS.map(({ dimension, title }) => {
+          const breakdownChartData = generateBreakdownChartData(dimension);
+          return (
+            <div key={dimension} className="chart-section breakdown-section">
+              <h3>{title}</h3>
+              {breakdownChartData ? (
+                <div className="chart-container breakdown-chart">
+                  <Bar
+                    data={breakdownChartData}
+                    options={{
+                      ...chartOptions,
+                      plugins: { ...chartOptions.plugins, title: { display: false } }
+                    }}
+                  />
+                </div>
+              ) : (
+                <p className="no-data">No data for this range</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
       {/* Summary Cards */}
       <div className="summary-cards">
         <div className="summary-card today">
@@ -1,20 +1,49 @@
 import React, { useState, useEffect } from 'react';
 import { useSogniAuth } from '../../services/sogniAuth';
-import LoginModal from '../auth/LoginModal';
 import { AuthStatus } from '../auth/AuthStatus';
 import { isModerationEnabled } from '../../config/env';
+import ModeratorLogin from './ModeratorLogin';
 import '../../styles/admin/Moderate.css';
 
-const CORRECT_PASSWORD = import.meta.env.VITE_MODERATION_PASSWORD || '';
-const AUTH_KEY = 'moderation_auth';
+// Moderation actions supported by POST /api/contest/:contestId/entry/:entryId/:action
+const MODERATION_ACTIONS = [
+  { action: 'approve', status: 'APPROVED', label: '✓ Approve', className: 'approve-btn' },
+  { action: 'reject', status: 'REJECTED', label: '✗ Reject', className: 'reject-btn' },
+  { action: 'hide', status: 'HIDDEN', label: '🙈 Hide', className: 'hide-btn' },
+  { action: 'reset', status: 'PENDING', label: '⟲ Reset', className: 'pending-btn' }
+];
+
+// Mirrors the server-side lifecycle so impossible moves are disabled up front
+const ALLOWED_TRANSITIONS = {
+  PENDING: ['APPROVED', 'REJECTED', 'HIDDEN'],
+  APPROVED: ['HIDDEN', 'REJECTED', 'PENDING'],
+  REJECTED: ['APPROVED', 'PENDING'],
+  HIDDEN: ['APPROVED', 'PENDING']
+};
+
+const canMoveTo = (entry, status) =>
+  ALLOWED_TRANSITIONS[entry.moderationStatus || 'PENDING'].includes(status);
+
+// Returns the recent audit events for a contest, or null when the moderator session is gone
+const fetchAuditEvents = async (contestId) => {
+  const response = await fetch(`/api/moderation/audit?contestId=${contestId}&limit=50`, {
+    credentials: 'include'
+  });
+
+  if (response.status === 401) {
+    return null;
+  }
+
+  const data = await response.json();
+  return data.success ? data.events || [] : [];
+};
 
 const Moderate = () => {
-  const { isAuthenticated: isSogniAuthenticated, user } = useSogniAuth();
+  const { user } = useSogniAuth();
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [passwordInput, setPasswordInput] = useState('');
-  const [passwordError, setPasswordError] = useState('');
-  const [showLoginModal, setShowLoginModal] = useState(false);
-  const [loginModalMode, setLoginModalMode] = useState('login');
+  const [isCheckingSession, setIsCheckingSession] = useState(true);
+  const [moderatorName, setModeratorName] = useState('');
+  const [loginNotice, setLoginNotice] = useState('');
   
   // Check if moderation is enabled
   const moderationEnabled = isModerationEnabled();
@@ -28,37 +57,43 @@ const Moderate = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [total, setTotal] = useState(0);
   const [expandedPrompts, setExpandedPrompts] = useState(new Set());
+  const [statusFilter, setStatusFilter] = useState('');
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [showAuditLog, setShowAuditLog] = useState(false);
+  const [auditEvents, setAuditEvents] = useState([]);
   const limit = 20;
 
-  // Check if already authenticated on mount
+  // Restore an existing moderator session (signed httpOnly cookie) on mount
   useEffect(() => {
-    const authData = localStorage.getItem(AUTH_KEY);
-    if (authData) {
-      try {
-        const { timestamp } = JSON.parse(authData);
-        // Session expires after 24 hours
-        const hoursSinceAuth = (Date.now() - timestamp) / (1000 * 60 * 60);
-        if (hoursSinceAuth < 24) {
+    fetch('/api/moderation/session', { credentials: 'include' })
+      .then(response => response.json())
+      .then(data => {
+        if (data.authenticated) {
           setIsAuthenticated(true);
-        } else {
-          localStorage.removeItem(AUTH_KEY);
+          setModeratorName(data.moderator);
         }
-      } catch (e) {
-        localStorage.removeItem(AUTH_KEY);
-      }
-    }
+      })
+      .catch(err => console.error('Error checking moderator session:', err))
+      .finally(() => setIsCheckingSession(false));
   }, []);
 
-  const handlePasswordSubmit = (e) => {
-    e.preventDefault();
-    if (passwordInput === CORRECT_PASSWORD) {
-      setIsAuthenticated(true);
-      setPasswordError('');
-      localStorage.setItem(AUTH_KEY, JSON.stringify({ timestamp: Date.now() }));
-    } else {
-      setPasswordError('Incorrect password. Try again.');
-      setPasswordInput('');
-    }
+  // Any 401 means the moderator session expired - drop back to the login form
+  const handleSessionExpired = () => {
+    setIsAuthenticated(false);
+    setModeratorName('');
+    setLoginNotice('Your moderator session expired. Please log in again.');
+  };
+
+  const handleLoggedIn = (session) => {
+    setIsAuthenticated(true);
+    setModeratorName(session.moderator);
+    setLoginNotice('');
+  };
+
+  const handleLogout = async () => {
+    await fetch('/api/moderation/session', { method: 'DELETE', credentials: 'include' });
+    setIsAuthenticated(false);
+    setModeratorName('');
   };
 
   // Fetch contest entries
@@ -67,8 +102,10 @@ const Moderate = () => {
       setLoading(true);
       setError(null);
 
+      const statusParam = statusFilter ? `&moderationStatus=${statusFilter}` : '';
       const response = await fetch(
-        `/api/contest/${contestId}/entries?page=${page}&limit=${limit}&sortBy=timestamp&order=desc`
+        `/api/contest/${contestId}/entries?page=${page}&limit=${limit}&sortBy=timestamp&order=desc${statusParam}`,
+        { credentials: 'include' }
       );
 
       if (!response.ok) {
@@ -81,6 +118,7 @@ const Moderate = () => {
         setEntries(data.entries || []);
         setTotal(data.total || 0);
         setTotalPages(data.totalPages || 1);
+        setSelectedIds(new Set());
       }
     } catch (err) {
       console.error('Error fetching entries:', err);
@@ -109,21 +147,44 @@ const Moderate = () => {
     }
   };
 
+  // Fetch the moderation audit log for the current contest
+  const fetchAuditLog = async () => {
+    try {
+      const events = await fetchAuditEvents(contestId);
+      if (events === null) {
+        handleSessionExpired();
+        return;
+      }
+      setAuditEvents(events);
+    } catch (err) {
+      console.error('Error fetching audit log:', err);
+    }
+  };
+
   // Load entries and stats (only when authenticated)
+  const entriesQueryKey = `${contestId}|${page}|${statusFilter}`;
   useEffect(() => {
     if (isAuthenticated) {
       fetchEntries();
       fetchStats();
     }
-  }, [contestId, page, isAuthenticated]);
+  }, [entriesQueryKey, isAuthenticated]);
 
-  // Close login modal when user successfully authenticates
+  // Load the audit log when the panel is opened
   useEffect(() => {
-    if (isSogniAuthenticated && showLoginModal) {
-      console.log('User authenticated for moderation, closing login modal');
-      setShowLoginModal(false);
+    if (!isAuthenticated || !showAuditLog) {
+      return;
     }
-  }, [isSogniAuthenticated, showLoginModal]);
+    fetchAuditEvents(contestId)
+      .then(events => {
+        if (events === null) {
+          setIsAuthenticated(false);
+          return;
+        }
+        setAuditEvents(events);
+      })
+      .catch(err => console.error('Error fetching audit log:', err));
+  }, [contestId, showAuditLog, isAuthenticated]);
 
   const formatDate = (timestamp) => {
     return new Date(timestamp).toLocaleString();
@@ -141,9 +202,24 @@ const Moderate = () => {
     });
   };
 
+  const toggleSelected = (entryId) => {
+    setSelectedIds(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(entryId)) {
+        newSet.delete(entryId);
+      } else {
+        newSet.add(entryId);
+      }
+      return newSet;
+    });
+  };
+
   const handleRefresh = () => {
     fetchEntries();
     fetchStats();
+    if (showAuditLog) {
+      fetchAuditLog();
+    }
   };
 
   const handleDelete = async (entryId) => {
@@ -154,8 +230,14 @@ const Moderate = () => {
     try {
       const response = await fetch(`/api/contest/${contestId}/entry/${entryId}`, {
         method: 'DELETE',
+        credentials: 'include',
       });
 
+      if (response.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+
       if (!response.ok) {
         throw new Error('Failed to delete entry');
       }
@@ -173,76 +255,98 @@ const Moderate = () => {
     }
   };
 
-  const handleModerationChange = async (entryId, newStatus) => {
-    // Check if user is logged in via Sogni auth
-    if (!isSogniAuthenticated || !user?.username) {
-      console.log('User not authenticated for moderation, showing login modal');
-      setShowLoginModal(true);
-      return;
-    }
-
-    console.log(`Moderating entry ${entryId} to ${newStatus} by ${user.username}`);
+  const handleModerationAction = async (entryId, action) => {
+    console.log(`Moderating entry ${entryId}: ${action} by ${moderatorName}`);
 
     try {
-      const response = await fetch(`/api/contest/${contestId}/entry/${entryId}/moderation`, {
-        method: 'PATCH',
+      const response = await fetch(`/api/contest/${contestId}/entry/${entryId}/${action}`, {
+        method: 'POST',
+        credentials: 'include',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ 
-          moderationStatus: newStatus,
-          moderatedBy: user.username
-        }),
+        body: JSON.stringify({}),
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to update moderation status');
+      if (response.status === 401) {
+        handleSessionExpired();
+        return;
       }
 
       const data = await response.json();
 
-      if (data.success) {
-        // Update the local state
-        setEntries(prevEntries =>
-          prevEntries.map(entry =>
-            entry.id === entryId ? { ...entry, moderationStatus: newStatus } : entry
-          )
-        );
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to update moderation status');
       }
+
+      // Update the local state
+      setEntries(prevEntries =>
+        prevEntries.map(entry => (entry.id === entryId ? data.entry : entry))
+      );
     } catch (err) {
       console.error('Error updating moderation status:', err);
       alert('Failed to update moderation status: ' + err.message);
     }
   };
 
+  const handleBulkAction = async (action) => {
+    if (selectedIds.size === 0) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/contest/${contestId}/moderation/bulk`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ entryIds: Array.from(selectedIds), action }),
+      });
+
+      if (response.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to apply bulk moderation');
+      }
+
+      if (data.failed > 0) {
+        alert(`${data.updated} updated, ${data.failed} skipped (not allowed from their current status).`);
+      }
+
+      fetchEntries();
+      fetchStats();
+    } catch (err) {
+      console.error('Error applying bulk moderation:', err);
+      alert('Failed to apply bulk moderation: ' + err.message);
+    }
+  };
+
+  if (isCheckingSession) {
+    return (
+      <div className="moderation-page">
+        <div className="loading-message">Checking moderator session...</div>
+      </div>
+    );
+  }
+
   // Show password modal if not authenticated
   if (!isAuthenticated) {
   return (
     <div className="moderation-page">
-      <div className="password-modal-overlay">
-        <div className="password-modal">
-          <h2>🔐 Access Restricted</h2>
-          <p>Please enter the password to view moderation panel.</p>
-            <form onSubmit={handlePasswordSubmit}>
-              <input
-                type="password"
-                value={passwordInput}
-                onChange={(e) => setPasswordInput(e.target.value)}
-                placeholder="Enter password"
-                className="password-input"
-                autoFocus
-              />
-              {passwordError && (
-                <div className="password-error">{passwordError}</div>
-              )}
-              <button type="submit" className="password-submit-btn">
-                Submit
-              </button>
-            </form>
-          </div>
-        </div>
-      </div>
-    );
+      <ModeratorLogin
+        description="Please log in as a moderator to view the moderation panel."
+        initialName={user?.username || ''}
+        notice={loginNotice}
+        onLoggedIn={handleLoggedIn}
+      />
+    </div>
+  );
   }
 
   return (
@@ -279,12 +383,56 @@ const Moderate = () => {
             <option value="halloween">Halloween Contest</option>
             <option value="gallery-submissions">Gallery Submissions</option>
           </select>
+          <select
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value);
+              setPage(1);
+            }}
+            className="contest-select"
+          >
+            <option value="">All Statuses</option>
+            <option value="PENDING">Pending</option>
+            <option value="APPROVED">Approved</option>
+            <option value="REJECTED">Rejected</option>
+            <option value="HIDDEN">Hidden</option>
+          </select>
           <button onClick={handleRefresh} className="refresh-btn">
             🔄 Refresh
           </button>
+          <button onClick={() => setShowAuditLog(prev => !prev)} className="refresh-btn">
+            📜 {showAuditLog ? 'Hide' : 'Audit'} Log
+          </button>
+          <button onClick={handleLogout} className="refresh-btn" title={`Logged in as ${moderatorName}`}>
+            🚪 Log out {moderatorName}
+          </button>
         </div>
       </header>
 
+      {/* Audit Log */}
+      {showAuditLog && (
+        <div className="audit-log">
+          <h2>Recent Moderation Activity</h2>
+          {auditEvents.length === 0 ? (
+            <p className="audit-log-empty">No moderation activity recorded yet.</p>
+          ) : (
+            <ul className="audit-log-list selectable">
+              {auditEvents.map((event) => (
+                <li key={event.id} className="audit-log-item">
+                  <span className="audit-log-time">{formatDate(event.timestamp)}</span>
+                  <strong>{event.actor}</strong>
+                  <span className="audit-log-action">{event.action}</span>
+                  {event.entryId && <code>{event.entryId.substring(0, 8)}</code>}
+                  {event.details?.from && (
+                    <span>{event.details.from} → {event.details.to}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Stats Section */}
       {stats && (
         <div className="contest-stats">
@@ -339,9 +487,32 @@ const Moderate = () => {
             </div>
           </div>
 
+          {moderationEnabled && (
+            <div className="bulk-actions">
+              <label className="bulk-select-all">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.size > 0 && selectedIds.size === entries.length}
+                  onChange={(e) => setSelectedIds(e.target.checked ? new Set(entries.map(entry => entry.id)) : new Set())}
+                />
+                {selectedIds.size} selected
+              </label>
+              {MODERATION_ACTIONS.map(({ action, label, className }) => (
+                <button
+                  key={action}
+                  onClick={() => handleBulkAction(action)}
+                  className={`quick-action-btn ${className}`}
+                  disabled={selectedIds.size === 0}
+                >
+                  {label} Selected
+                </button>
+              ))}
+            </div>
+          )}
+
           <div className="entries-grid">
             {entries.map((entry) => (
-              <div key={entry.id} className="entry-card">
+              <div key={entry.id} className={`entry-card ${selectedIds.has(entry.id) ? 'selected' : ''}`}>
                 {(entry.videoUrl || entry.imageUrl) && (
                   <div className="entry-image">
                     {entry.videoUrl ? (
@@ -392,33 +563,33 @@ const Moderate = () => {
                   {moderationEnabled && (
                     <div className="entry-moderation">
                       <div className="moderation-info">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.has(entry.id)}
+                          onChange={() => toggleSelected(entry.id)}
+                          aria-label="Select entry"
+                        />
                         <strong>Moderation Status:</strong>
                         <span className={`status-badge status-${(entry.moderationStatus || 'PENDING').toLowerCase()}`}>
                           {entry.moderationStatus || 'PENDING'}
                         </span>
                       </div>
+                      {entry.moderatedBy && (
+                        <div className="moderation-by">
+                          by {entry.moderatedBy}{entry.moderatedAt ? ` · ${formatDate(entry.moderatedAt)}` : ''}
+                        </div>
+                      )}
                       <div className="moderation-actions">
-                        <button
-                          onClick={() => handleModerationChange(entry.id, 'APPROVED')}
-                          className="quick-action-btn approve-btn"
-                          disabled={entry.moderationStatus === 'APPROVED'}
-                        >
-                          ✓ Approve
-                        </button>
-                        <button
-                          onClick={() => handleModerationChange(entry.id, 'REJECTED')}
-                          className="quick-action-btn reject-btn"
-                          disabled={entry.moderationStatus === 'REJECTED'}
-                        >
-                          ✗ Reject
-                        </button>
-                        <button
-                          onClick={() => handleModerationChange(entry.id, 'PENDING')}
-                          className="quick-action-btn pending-btn"
-                          disabled={entry.moderationStatus === 'PENDING'}
-                        >
-                          ⟲ Reset
-                        </button>
+                        {MODERATION_ACTIONS.map(({ action, status, label, className }) => (
+                          <button
+                            key={action}
+                            onClick={() => handleModerationAction(entry.id, action)}
+                            className={`quick-action-btn ${className}`}
+                            disabled={!canMoveTo(entry, status)}
+                          >
+                            {label}
+                          </button>
+                        ))}
                       </div>
                     </div>
                   )}
@@ -530,20 +701,6 @@ const Moderate = () => {
           <p>No contest entries found.</p>
         </div>
       )}
-
-      {/* Login Modal */}
-      <LoginModal
-        open={showLoginModal}
-        mode={loginModalMode}
-        onModeChange={setLoginModalMode}
-        onClose={() => setShowLoginModal(false)}
-        onSignupComplete={() => {
-          setShowLoginModal(false);
-          // Refresh entries after signup
-          fetchEntries();
-          fetchStats();
-        }}
-      />
     </div>
   );
 };
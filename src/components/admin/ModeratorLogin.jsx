@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import '../../styles/admin/Moderate.css';
+
+/**
+ * Moderator login form (POST /api/moderation/session).
+ * Shared by the moderation panel and the analytics dashboard.
+ */
+const ModeratorLogin = ({
+  title = '🔐 Access Restricted',
+  description,
+  initialName = '',
+  notice = '',
+  sessionUrl = '/api/moderation/session',
+  onLoggedIn
+}) => {
+  const [nameInput, setNameInput] = useState(initialName);
+  const [passwordInput, setPasswordInput] = useState('');
+  const [passwordError, setPasswordError] = useState(notice);
+
+  // Prefill the name once it's known (e.g. the Sogni account finished loading)
+  useEffect(() => {
+    if (initialName) {
+      setNameInput(prev => prev || initialName);
+    }
+  }, [initialName]);
+
+  useEffect(() => {
+    setPasswordError(notice);
+  }, [notice]);
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await fetch(sessionUrl, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ password: passwordInput, moderator: nameInput }),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setPasswordError('');
+        onLoggedIn(data);
+      } else {
+        setPasswordError(data.message || 'Incorrect password. Try again.');
+      }
+    } catch (err) {
+      console.error('Error logging in as moderator:', err);
+      setPasswordError('Could not reach the server. Try again.');
+    } finally {
+      setPasswordInput('');
+    }
+  };
+
+  return (
+    <div className="password-modal-overlay">
+      <div className="password-modal">
+        <h2>{title}</h2>
+        {description && <p>{description}</p>}
+        <form onSubmit={handlePasswordSubmit}>
+          <input
+            type="text"
+            value={nameInput}
+            onChange={(e) => setNameInput(e.target.value)}
+            placeholder="Your name"
+            className="password-input"
+            required
+          />
+          <input
+            type="password"
+            value={passwordInput}
+            onChange={(e) => setPasswordInput(e.target.value)}
+            placeholder="Enter password"
+            className="password-input"
+            autoFocus
+            required
+          />
+          {passwordError && (
+            <div className="password-error">{passwordError}</div>
+          )}
+          <button type="submit" className="password-submit-btn">
+            Submit
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+ModeratorLogin.propTypes = {
+  title: PropTypes.string,
+  description: PropTypes.string,
+  initialName: PropTypes.string,
+  notice: PropTypes.string,
+  sessionUrl: PropTypes.string,
+  onLoggedIn: PropTypes.func.isRequired
+};
+
+export default ModeratorLogin;
@@ -0,0 +1,422 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import ModeratorLogin from './ModeratorLogin';
+import { getApiBaseUrl } from '../../services/analyticsService';
+import { listThemes, validateTheme, saveTheme, uploadThemeFrame } from '../../services/themeAdminService';
+import '../../styles/admin/ThemeEditor.css';
+
+const ASPECT_RATIOS = ['ultranarrow', 'narrow', 'portrait', 'square', 'landscape', 'wide', 'ultrawide'];
+
+const NEW_THEME_TEMPLATE = {
+  label: 'My Event',
+  defaultAspectRatio: 'narrow',
+  framePadding: { top: 0, left: 0, right: 0, bottom: 0 },
+  frames: {},
+  brand: {
+    title: 'MY EVENT x SOGNI',
+    colors: {}
+  }
+};
+
+const SESSION_EXPIRED = 'Your session expired. Please log in again.';
+
+// Uploaded frames are served by the API server; shipped ones by the site itself
+const assetUrl = (url) => (url.startsWith('/api/') ? `${getApiBaseUrl()}${url}` : url);
+
+/**
+ * Run a save or upload and report how it went through the editor's callbacks
+ * @param {Function} request - Calls the theme admin API
+ * @param {Object} handlers
+ * @param {string} handlers.adminNotice - Login notice when the request needs admin access
+ * @param {string} handlers.failMessage - Status message when the server says no
+ * @returns {Promise<Object|null>} Response data, or null if it didn't go through
+ */
+const runAdminRequest = async (request, { adminNotice, failMessage, onAuthRequired, onStatus, onErrors }) => {
+  try {
+    const result = await request();
+    if (result.authRequired) {
+      onAuthRequired(result.status === 403 ? adminNotice : SESSION_EXPIRED);
+      return null;
+    }
+    if (!result.ok) {
+      onErrors?.(result.data.errors || []);
+      onStatus({ type: 'error', message: result.data.message || failMessage });
+      return null;
+    }
+    return result.data;
+  } catch (err) {
+    console.error(`[Theme Editor] ${failMessage}:`, err);
+    onStatus({ type: 'error', message: 'Could not reach the server.' });
+    return null;
+  }
+};
+
+/**
+ * Theme list and config revision from the server; `auth` is set when the
+ * moderator has to log in (again) before anything loads
+ */
+const useThemeLibrary = (onStatus) => {
+  const [library, setLibrary] = useState({ themes: [], revision: null, loadCount: 0 });
+  const [loading, setLoading] = useState(true);
+  const [auth, setAuth] = useState(null);
+
+  const fetchThemes = async () => {
+    setLoading(true);
+    try {
+      const result = await listThemes();
+      if (result.authRequired) {
+        setAuth({ notice: library.themes.length > 0 ? SESSION_EXPIRED : '' });
+        return;
+      }
+      if (!result.ok) {
+        onStatus({ type: 'error', message: result.data.message || 'Failed to load themes' });
+        return;
+      }
+
+      setAuth(null);
+      setLibrary(current => ({ themes: result.data.themes, revision: result.data.revision, loadCount: current.loadCount + 1 }));
+    } catch (err) {
+      console.error('[Theme Editor] Failed to load themes:', err);
+      onStatus({ type: 'error', message: 'Could not reach the server.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchThemes();
+    // Only load on mount; later loads are triggered by saves and the refresh button
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return { ...library, loading, auth, setAuth, fetchThemes };
+};
+
+/**
+ * Draft JSON for one theme (or a new one) plus validate and save
+ */
+const useThemeDraft = ({ entry, onStatus, onAuthRequired, onSaved }) => {
+  const isNew = !entry;
+  const [newId, setNewId] = useState('');
+  const [draft, setDraft] = useState(() => JSON.stringify(entry ? entry.theme : NEW_THEME_TEMPLATE, null, 2));
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const themeId = isNew ? newId.trim() : entry.id;
+
+  const parseDraft = () => {
+    try {
+      return JSON.parse(draft);
+    } catch (err) {
+      setErrors([{ path: '(json)', message: err.message }]);
+      return null;
+    }
+  };
+
+  const handleValidate = async () => {
+    const theme = parseDraft();
+    if (!theme) return;
+
+    const result = await validateTheme(themeId, theme);
+    if (result.authRequired) {
+      onAuthRequired(SESSION_EXPIRED);
+      return;
+    }
+    setErrors(result.data.errors || []);
+    onStatus(result.data.valid ? { type: 'success', message: 'Looks good ✅' } : null);
+  };
+
+  const handleSave = async () => {
+    const theme = parseDraft();
+    if (!theme) return;
+
+    setSaving(true);
+    onStatus(null);
+    const saved = await runAdminRequest(() => saveTheme(themeId, theme, { isNew }), {
+      adminNotice: 'Saving themes needs admin access. Log in with the admin password.',
+      failMessage: 'Save failed',
+      onAuthRequired,
+      onStatus,
+      onErrors: setErrors
+    });
+    setSaving(false);
+    if (saved) {
+      await onSaved(saved.id, `Saved "${saved.id}" (revision ${saved.revision}). Running kiosks will pick it up within a minute.`);
+    }
+  };
+
+  return { isNew, themeId, newId, setNewId, draft, setDraft, errors, saving, handleValidate, handleSave };
+};
+
+// The main app locks page scrolling; the editor needs it back
+const usePageScroll = () => {
+  useEffect(() => {
+    document.documentElement.style.overflow = 'auto';
+    document.body.style.overflow = 'auto';
+
+    return () => {
+      document.documentElement.style.overflow = '';
+      document.body.style.overflow = '';
+    };
+  }, []);
+};
+
+const ThemeEditorHeader = ({ revision, loading, onRefresh, onNewTheme }) => (
+  <div className="theme-editor-header">
+    <h1>🎨 Event Themes</h1>
+    <div className="theme-editor-header-controls">
+      {revision !== null && <span className="theme-editor-revision">revision {revision}</span>}
+      <button className="theme-editor-btn" onClick={onRefresh} disabled={loading}>
+        🔄 Refresh
+      </button>
+      <button className="theme-editor-btn primary" onClick={onNewTheme}>
+        ➕ New theme
+      </button>
+    </div>
+  </div>
+);
+
+ThemeEditorHeader.propTypes = {
+  revision: PropTypes.number,
+  loading: PropTypes.bool,
+  onRefresh: PropTypes.func.isRequired,
+  onNewTheme: PropTypes.func.isRequired
+};
+
+const ThemeList = ({ themes, loading, activeId, onSelect }) => (
+  <ul className="theme-editor-list">
+    {themes.map(entry => (
+      <li key={entry.id}>
+        <button
+          className={`theme-editor-list-item ${entry.id === activeId ? 'active' : ''}`}
+          onClick={() => onSelect(entry.id)}
+        >
+          <span className="theme-editor-list-label">{entry.theme.label}</span>
+          <span className="theme-editor-list-meta">
+            {entry.id} · {entry.source === 'custom' ? (entry.overridesBase ? 'edited' : 'custom') : 'built-in'}
+          </span>
+        </button>
+      </li>
+    ))}
+    {!loading && themes.length === 0 && <li className="theme-editor-empty">No themes yet</li>}
+  </ul>
+);
+
+ThemeList.propTypes = {
+  themes: PropTypes.arrayOf(PropTypes.object).isRequired,
+  loading: PropTypes.bool,
+  activeId: PropTypes.string,
+  onSelect: PropTypes.func.isRequired
+};
+
+// Schema errors from the server, or the JSON syntax error while mid-edit
+const ValidationErrors = ({ errors }) => {
+  if (errors.length === 0) return null;
+
+  return (
+    <ul className="theme-editor-errors">
+      {errors.map((error, index) => (
+        <li key={`${error.path}-${index}`}>
+          <code>{error.path}</code> {error.message}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+ValidationErrors.propTypes = {
+  errors: PropTypes.arrayOf(PropTypes.shape({
+    path: PropTypes.string,
+    message: PropTypes.string
+  })).isRequired
+};
+
+// Adds a frame PNG to one aspect ratio of a saved theme
+const FrameUpload = ({ themeId, disabled, onAuthRequired, onStatus, onSaved }) => {
+  const [frameRatio, setFrameRatio] = useState('narrow');
+  const [frameFile, setFrameFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  // Remounts the file input to clear it after an upload
+  const [frameInputKey, setFrameInputKey] = useState(0);
+
+  const handleUpload = async () => {
+    if (!frameFile) return;
+
+    setUploading(true);
+    onStatus(null);
+    const uploaded = await runAdminRequest(() => uploadThemeFrame(themeId, frameRatio, frameFile), {
+      adminNotice: 'Uploading frames needs admin access. Log in with the admin password.',
+      failMessage: 'Upload failed',
+      onAuthRequired,
+      onStatus
+    });
+    setUploading(false);
+    if (uploaded) {
+      setFrameFile(null);
+      setFrameInputKey(key => key + 1);
+      await onSaved(themeId, `Frame added to ${frameRatio} (revision ${uploaded.frame.revision}).`);
+    }
+  };
+
+  return (
+    <div className="theme-editor-frame-upload">
+      <select value={frameRatio} onChange={(e) => setFrameRatio(e.target.value)}>
+        {ASPECT_RATIOS.map(ratio => (
+          <option key={ratio} value={ratio}>{ratio}</option>
+        ))}
+      </select>
+      <input
+        key={frameInputKey}
+        type="file"
+        accept="image/png"
+        onChange={(e) => setFrameFile(e.target.files?.[0] || null)}
+      />
+      <button className="theme-editor-btn" onClick={handleUpload} disabled={disabled || uploading || !frameFile}>
+        ⬆️ Upload PNG
+      </button>
+    </div>
+  );
+};
+
+FrameUpload.propTypes = {
+  themeId: PropTypes.string.isRequired,
+  disabled: PropTypes.bool,
+  onAuthRequired: PropTypes.func.isRequired,
+  onStatus: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired
+};
+
+const ThemeDraftEditor = ({ entry, status, onStatus, onAuthRequired, onSaved }) => {
+  const { isNew, themeId, newId, setNewId, draft, setDraft, errors, saving, handleValidate, handleSave } =
+    useThemeDraft({ entry, onStatus, onAuthRequired, onSaved });
+
+  let draftFrames = {};
+  try {
+    draftFrames = JSON.parse(draft)?.frames || {};
+  } catch {
+    // Preview just stays empty while the JSON is mid-edit
+  }
+
+  return (
+    <div className="theme-editor-main">
+      {isNew ? (
+        <label className="theme-editor-field">
+          Theme id
+          <input type="text" value={newId} onChange={(e) => setNewId(e.target.value)} placeholder="my-event" />
+        </label>
+      ) : (
+        <h2 className="theme-editor-title">{themeId}</h2>
+      )}
+
+      <textarea className="theme-editor-json" value={draft} onChange={(e) => setDraft(e.target.value)} spellCheck={false} />
+
+      <ValidationErrors errors={errors} />
+
+      {status && <div className={`theme-editor-status ${status.type}`}>{status.message}</div>}
+
+      <div className="theme-editor-actions">
+        <button className="theme-editor-btn" onClick={handleValidate} disabled={saving}>
+          ✔️ Validate
+        </button>
+        <button className="theme-editor-btn primary" onClick={handleSave} disabled={saving || !themeId}>
+          {saving ? 'Saving...' : '💾 Save'}
+        </button>
+      </div>
+
+      {!isNew && (
+        <div className="theme-editor-frames">
+          <h3>Frames</h3>
+          {Object.entries(draftFrames).map(([ratio, urls]) => (
+            <div key={ratio} className="theme-editor-frame-row">
+              <span className="theme-editor-frame-ratio">{ratio}</span>
+              {Array.isArray(urls) && urls.map(url => (
+                <img key={url} src={assetUrl(url)} alt={`${ratio} frame`} className="theme-editor-frame-thumb" />
+              ))}
+            </div>
+          ))}
+          <FrameUpload themeId={themeId} disabled={saving} onAuthRequired={onAuthRequired} onStatus={onStatus} onSaved={onSaved} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+ThemeDraftEditor.propTypes = {
+  entry: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    theme: PropTypes.object.isRequired
+  }),
+  status: PropTypes.shape({
+    type: PropTypes.string,
+    message: PropTypes.string
+  }),
+  onStatus: PropTypes.func.isRequired,
+  onAuthRequired: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired
+};
+
+/**
+ * Admin page for authoring event themes (/admin/themes).
+ * Themes are checked against the server's JSON Schema on save, and running
+ * kiosks pick up saved changes on their next config poll.
+ */
+const ThemeEditor = () => {
+  const [selection, setSelection] = useState(null);
+  const [status, setStatus] = useState(null);
+  const { themes, revision, loadCount, loading, auth, setAuth, fetchThemes } = useThemeLibrary(setStatus);
+
+  usePageScroll();
+
+  const select = (nextSelection) => {
+    setSelection(nextSelection);
+    setStatus(null);
+  };
+
+  const handleSaved = async (id, message) => {
+    await fetchThemes();
+    setSelection({ id, isNew: false });
+    setStatus({ type: 'success', message });
+  };
+
+  if (auth) {
+    return (
+      <div className="theme-editor">
+        <ModeratorLogin
+          description="Log in as a moderator to edit event themes."
+          notice={auth.notice}
+          sessionUrl={`${getApiBaseUrl()}/api/moderation/session`}
+          onLoggedIn={() => fetchThemes()}
+        />
+      </div>
+    );
+  }
+
+  const entry = selection && !selection.isNew ? themes.find(theme => theme.id === selection.id) : null;
+
+  return (
+    <div className="theme-editor">
+      <ThemeEditorHeader revision={revision} loading={loading} onRefresh={() => fetchThemes()} onNewTheme={() => select({ isNew: true })} />
+
+      <div className="theme-editor-layout">
+        <ThemeList themes={themes} loading={loading} activeId={entry?.id} onSelect={(id) => select({ id, isNew: false })} />
+
+        {(selection?.isNew || entry) ? (
+          // Remounting on every load resets the draft to what the server has
+          <ThemeDraftEditor
+            key={entry ? `${entry.id}:${loadCount}` : 'new'}
+            entry={entry}
+            status={status}
+            onStatus={setStatus}
+            onAuthRequired={(notice) => setAuth({ notice })}
+            onSaved={handleSaved}
+          />
+        ) : (
+          <div className="theme-editor-main theme-editor-empty">
+            {loading ? 'Loading themes...' : 'Pick a theme to edit, or create a new one.'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ThemeEditor;
@@ -17,6 +17,8 @@ interface CameraViewProps {
   buttonLabel?: string;
   /** Handler for when the shutter button is clicked */
   onTakePhoto: () => void;
+  /** Shots per press when photo-strip burst mode is on (0 for single captures) */
+  burstShotCount?: number;
   /** Whether to show the photo grid */
   showPhotoGrid?: boolean;
   /** Current style selection */
@@ -121,6 +123,7 @@ export const CameraView: React.FC<CameraViewProps> = (props) => {
     isDisabled = false,
     buttonLabel = 'Take Photo',
     onTakePhoto,
+    burstShotCount = 0,
     showPhotoGrid = false,
     selectedStyle = '',
     showSettings = false,
@@ -488,6 +491,7 @@ export const CameraView: React.FC<CameraViewProps> = (props) => {
             data-testid="shutter-button"
           >
             <span className={styles.shutterDot} />
+            {burstShotCount > 1 && <span className={styles.shutterBurstBadge}>×{burstShotCount}</span>}
           </button>
           
           {/* Empty space to balance the layout */}
@@ -505,6 +509,7 @@ export const CameraView: React.FC<CameraViewProps> = (props) => {
             data-testid="shutter-button"
           >
             <span className={styles.shutterDot} />
+            {burstShotCount > 1 && <span className={styles.shutterBurstBadge}>×{burstShotCount}</span>}
             <span className={styles.shutterLabel}>{buttonLabel}</span>
           </button>
 
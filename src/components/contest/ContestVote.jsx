@@ -27,9 +27,12 @@ const ContestVote = () => {
       setLoading(true);
       setError(null);
 
-      const response = await fetch(
-        `/api/contest/${contestId}/entries?page=${page}&limit=${limit}&sortBy=${sortBy}&order=desc&moderationStatus=APPROVED`
-      );
+      // "Most Popular" pages through the server-side leaderboard (ranked by verified votes)
+      const url = sortBy === 'votes'
+        ? `/api/contest/${contestId}/leaderboard?page=${page}&limit=${limit}`
+        : `/api/contest/${contestId}/entries?page=${page}&limit=${limit}&sortBy=${sortBy}&order=desc&moderationStatus=APPROVED`;
+
+      const response = await fetch(url, { credentials: 'include' });
 
       if (!response.ok) {
         throw new Error('Failed to fetch contest entries');
@@ -86,84 +89,66 @@ const ContestVote = () => {
   };
 
   const handleVote = async (entryId, currentlyVoted) => {
-    // Check if user is logged in
-    console.log('Auth state check:', {
-      isAuthenticated,
-      username: user?.username
-    });
-    
-    if (!isAuthenticated || !user?.username) {
-      console.log('User not authenticated, showing login modal');
-      setShowLoginModal(true);
-      return;
-    }
-
-    console.log(`Voting for entry ${entryId}, currently voted: ${currentlyVoted}, username: ${user.username}`);
+    console.log(`Voting for entry ${entryId}, currently voted: ${currentlyVoted}`);
 
     try {
       const method = currentlyVoted ? 'DELETE' : 'POST';
       const url = `/api/contest/${contestId}/entry/${entryId}/vote`;
-      
-      console.log(`Sending ${method} request to ${url}`);
-      
+
+      // The server resolves who is voting from the Sogni (or X) session cookies
       const response = await fetch(url, {
         method,
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ username: user.username }),
+        credentials: 'include',
       });
 
-      console.log(`Response status: ${response.status}`);
+      const data = await response.json();
 
-      if (!response.ok) {
-        const data = await response.json();
-        console.error('Vote failed:', data);
-        throw new Error(data.message || 'Failed to update vote');
+      if (response.status === 401) {
+        console.log('Voter not verified, showing login modal');
+        setShowLoginModal(true);
+        return;
       }
 
-      const data = await response.json();
-      console.log('Vote response:', data);
+      if (response.status === 429) {
+        alert(data.message || 'Too many votes, please wait a moment.');
+        return;
+      }
 
-      if (data.success) {
-        // Update the local state
-        setEntries(prevEntries =>
-          prevEntries.map(entry =>
-            entry.id === entryId
-              ? { ...entry, votes: data.votes || [] }
-              : entry
-          )
-        );
-        console.log('Local state updated');
+      if (!response.ok && typeof data.hasVoted !== 'boolean') {
+        console.error('Vote failed:', data);
+        throw new Error(data.message || 'Failed to update vote');
       }
+
+      // Sync with the server's view even when the vote was a duplicate/no-op
+      setEntries(prevEntries =>
+        prevEntries.map(entry => {
+          if (entry.id !== entryId) return entry;
+          const voters = (entry.voters || []).filter(name => name !== user?.username);
+          return {
+            ...entry,
+            voteCount: data.voteCount,
+            hasVoted: data.hasVoted,
+            voters: data.hasVoted && user?.username ? [...voters, user.username] : voters
+          };
+        })
+      );
     } catch (err) {
       console.error('Error updating vote:', err);
       alert('Failed to update vote: ' + err.message);
     }
   };
 
-  const hasUserVoted = (entry) => {
-    if (!user?.username) return false;
-    return (entry.votes || []).some(vote => vote.username === user.username);
-  };
+  const hasUserVoted = (entry) => Boolean(entry.hasVoted);
 
-  const getVoteCount = (entry) => {
-    return (entry.votes || []).length;
-  };
+  const getVoteCount = (entry) => entry.voteCount || 0;
 
   const getVotersList = (entry) => {
-    const votes = entry.votes || [];
-    const voters = votes.map(vote => vote.username);
-    
+    const voters = entry.voters || [];
+
     if (voters.length === 0) return 'No votes yet';
-    
-    if (voters.length <= 100) {
-      return voters.join(', ');
-    }
-    
-    const displayVoters = voters.slice(0, 100);
-    const remaining = voters.length - 100;
-    return `${displayVoters.join(', ')} and ${remaining} more`;
+
+    const remaining = getVoteCount(entry) - voters.length;
+    return remaining > 0 ? `${voters.join(', ')} and ${remaining} more` : voters.join(', ');
   };
 
   return (
@@ -178,7 +163,7 @@ const ContestVote = () => {
         <div className="header-info">
           <p>Vote for your favorite entries by clicking the heart icon.</p>
           {!isAuthenticated && (
-            <p className="login-hint">💡 Login required to vote</p>
+            <p className="login-hint">💡 Log in with Sogni (or share to X) to vote</p>
           )}
         </div>
       </header>
@@ -235,6 +220,9 @@ const ContestVote = () => {
                 <div key={entry.id} className="entry-card">
                   {entry.imageUrl && (
                     <div className="entry-image">
+                      {sortBy === 'votes' && entry.rank && (
+                        <span className="entry-rank">#{entry.rank}</span>
+                      )}
                       <img src={entry.imageUrl} alt="Contest entry" />
                     </div>
                   )}
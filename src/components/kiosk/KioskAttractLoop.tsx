@@ -0,0 +1,50 @@
+import React, { useEffect, useState } from 'react';
+import '../../styles/components/Kiosk.css';
+
+interface KioskAttractLoopProps {
+  images: string[];
+  slideSeconds: number;
+  headline: string;
+  onDismiss: () => void;
+}
+
+/**
+ * Full-screen slideshow shown while a locked-down kiosk sits idle on the
+ * start menu. The first tap only dismisses it, so it can't start anything
+ * by accident.
+ */
+const KioskAttractLoop: React.FC<KioskAttractLoopProps> = ({ images, slideSeconds, headline, onDismiss }) => {
+  const [slide, setSlide] = useState(0);
+
+  useEffect(() => {
+    if (images.length < 2) return;
+    const interval = setInterval(() => {
+      setSlide(current => (current + 1) % images.length);
+    }, slideSeconds * 1000);
+    return () => clearInterval(interval);
+  }, [images.length, slideSeconds]);
+
+  return (
+    <div
+      className="kiosk-attract"
+      onClick={(e) => {
+        e.stopPropagation();
+        onDismiss();
+      }}
+      onKeyDown={onDismiss}
+      role="button"
+      tabIndex={0}
+    >
+      {images.map((image, index) => (
+        <div
+          key={image}
+          className={`kiosk-attract-slide ${index === slide ? 'active' : ''}`}
+          style={{ backgroundImage: `url(${image})` }}
+        />
+      ))}
+      <div className="kiosk-attract-headline">{headline}</div>
+    </div>
+  );
+};
+
+export default KioskAttractLoop;
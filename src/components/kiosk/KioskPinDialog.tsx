@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { KIOSK_PIN_PATTERN } from '../../utils/kioskLockdown';
+import '../../styles/components/Kiosk.css';
+
+interface KioskPinDialogProps {
+  /** 'set' picks a new PIN when locking down; 'unlock' asks for the existing one */
+  mode: 'set' | 'unlock';
+  /** Resolves to an error message, or null when the PIN was accepted */
+  onSubmit: (pin: string) => Promise<string | null>;
+  onCancel: () => void;
+}
+
+const KioskPinDialog: React.FC<KioskPinDialogProps> = ({ mode, onSubmit, onCancel }) => {
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (mode === 'set') {
+      if (!KIOSK_PIN_PATTERN.test(pin)) {
+        setError('PIN must be 4 to 8 digits');
+        return;
+      }
+      if (pin !== confirmPin) {
+        setError("PINs don't match");
+        return;
+      }
+    }
+
+    setSubmitting(true);
+    const result = await onSubmit(pin);
+    setSubmitting(false);
+    if (result) {
+      setError(result);
+      setPin('');
+      setConfirmPin('');
+    }
+  };
+
+  const digitsOnly = (value: string) => value.replace(/\D/g, '').slice(0, 8);
+
+  return (
+    <div className="kiosk-pin-overlay" onClick={onCancel}>
+      <form className="kiosk-pin-dialog" onClick={(e) => e.stopPropagation()} onSubmit={(e) => void handleSubmit(e)}>
+        <div className="kiosk-pin-icon">🔒</div>
+        <h3 className="kiosk-pin-title">{mode === 'set' ? 'Lock down this kiosk' : 'Staff only'}</h3>
+        <p className="kiosk-pin-message">
+          {mode === 'set'
+            ? 'Choose an admin PIN. Guests will be kept on the current theme and settings, and you will need the PIN to open settings again.'
+            : 'Enter the admin PIN to open settings.'}
+        </p>
+        <input
+          className="kiosk-pin-input"
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          placeholder="PIN"
+          value={pin}
+          onChange={(e) => setPin(digitsOnly(e.target.value))}
+          autoFocus
+        />
+        {mode === 'set' && (
+          <input
+            className="kiosk-pin-input"
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            placeholder="Confirm PIN"
+            value={confirmPin}
+            onChange={(e) => setConfirmPin(digitsOnly(e.target.value))}
+          />
+        )}
+        {error && <div className="kiosk-pin-error">{error}</div>}
+        <div className="kiosk-pin-buttons">
+          <button type="submit" className="kiosk-btn kiosk-btn-primary" disabled={submitting || pin.length < 4}>
+            {mode === 'set' ? 'Lock down' : 'Unlock'}
+          </button>
+          <button type="button" className="kiosk-btn kiosk-btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default KioskPinDialog;
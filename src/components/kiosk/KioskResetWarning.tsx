@@ -0,0 +1,29 @@
+import React from 'react';
+import '../../styles/components/Kiosk.css';
+
+interface KioskResetWarningProps {
+  secondsLeft: number;
+}
+
+/**
+ * "Still there?" countdown before an idle kiosk wipes the guest's session.
+ * Any touch cancels it, so the button is only there to give guests something to tap.
+ */
+const KioskResetWarning: React.FC<KioskResetWarningProps> = ({ secondsLeft }) => (
+  <div className="kiosk-pin-overlay">
+    <div className="kiosk-pin-dialog">
+      <div className="kiosk-pin-icon">👋</div>
+      <h3 className="kiosk-pin-title">Still there?</h3>
+      <p className="kiosk-pin-message">
+        Starting over for the next guest in <strong>{secondsLeft}</strong>s. Your photos will be cleared.
+      </p>
+      <div className="kiosk-pin-buttons">
+        <button type="button" className="kiosk-btn kiosk-btn-primary">
+          I&apos;m still here
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default KioskResetWarning;
@@ -1,4 +1,4 @@
-import { useState, useCallback, useEffect, useMemo, useRef, memo } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef, memo } from 'react';
 import type { SogniClient } from '@sogni-ai/sogni-client';
 import { useProjectHistory } from '../../hooks/useProjectHistory';
 import { useLocalProjects } from '../../hooks/useLocalProjects';
@@ -11,6 +11,7 @@ import { LOCAL_PROJECT_MAX_IMAGES, LOCAL_PROJECT_SUPPORTED_EXTENSIONS, LOCAL_PRO
 import { pluralize, timeAgo } from '../../utils/string';
 import { downloadImagesAsZip, downloadVideosAsZip } from '../../utils/bulkDownload';
 import { getExtensionFromUrl } from '../../utils/url';
+import { formatBytes, isQuotaExceededError } from '../../utils/storageQuota';
 import './RecentProjects.css';
 
 interface RecentProjectsProps {
@@ -246,6 +247,8 @@ function RecentProjects({
 
   // File input ref for local project image uploads
   const fileInputRef = useRef<HTMLInputElement>(null);
+  // File input ref for local project archive imports
+  const archiveInputRef = useRef<HTMLInputElement>(null);
 
   // ============================================================================
   // Local Projects State & Handlers
@@ -259,7 +262,12 @@ function RecentProjects({
     addImages: addLocalImages,
     deleteImage: deleteLocalImage,
     getProjectImageUrls: getLocalProjectImageUrls,
+    getProjectPreviewUrls: getLocalProjectPreviewUrls,
+    getImageUrl: getLocalImageUrl,
+    getEvictionSuggestions,
     reorderImages: reorderLocalImages,
+    exportProject: exportLocalProject,
+    importProject: importLocalProject,
     isSupported: localProjectsSupported
   } = useLocalProjects();
 
@@ -305,6 +313,21 @@ function RecentProjects({
   const [downloadingProject, setDownloadingProject] = useState<string | null>(null);
   const [downloadProgress, setDownloadProgress] = useState<{ current: number; total: number; message: string } | null>(null);
 
+  // Local project archive export/import state
+  const [exportingArchive, setExportingArchive] = useState<string | null>(null);
+  const [importingArchive, setImportingArchive] = useState(false);
+  const [archiveStatus, setArchiveStatus] = useState<{ message: string; isError: boolean } | null>(null);
+
+  // Storage full notice with least-recently-used projects to delete
+  const [storageFull, setStorageFull] = useState<{ bytesNeeded: number; suggestions: LocalProject[] } | null>(null);
+
+  // Offer the least recently used projects for deletion after a quota failure
+  const showStorageFull = useCallback(async (pendingFiles: File[], excludeProjectId?: string) => {
+    const bytesNeeded = pendingFiles.reduce((sum, file) => sum + file.size, 0);
+    const suggestions = await getEvictionSuggestions(bytesNeeded, excludeProjectId);
+    setStorageFull({ bytesNeeded, suggestions });
+  }, [getEvictionSuggestions]);
+
   // Auto-load all images for local projects when initialized
   useEffect(() => {
     if (!localProjectsInitialized) return;
@@ -317,7 +340,7 @@ function RecentProjects({
         if (project.imageIds.length === 0) continue;
 
         try {
-          const images = await getLocalProjectImageUrls(project.id);
+          const images = await getLocalProjectPreviewUrls(project.id);
           setExpandedProjectImages(prev => ({
             ...prev,
             [project.id]: images
@@ -329,7 +352,7 @@ function RecentProjects({
     };
 
     loadAllProjectImages();
-  }, [localProjects, localProjectsInitialized, getLocalProjectImageUrls]); // Note: removed expandedProjectImages from deps to avoid re-running
+  }, [localProjects, localProjectsInitialized, getLocalProjectPreviewUrls]); // Note: removed expandedProjectImages from deps to avoid re-running
 
   // Handle creating a new local project
   const handleCreateLocalProject = useCallback(async () => {
@@ -392,10 +415,13 @@ function RecentProjects({
     try {
       const result = await addLocalImages(projectId, fileArray);
       setUploadProgress({ added: result.added, total: fileArray.length });
+      if (result.quotaExceeded) {
+        void showStorageFull(fileArray.slice(result.added), projectId);
+      }
 
       // Refresh images if this project has images loaded (in edit mode or carousel)
       if (expandedProjectImages[projectId] || expandedProjectId === projectId) {
-        const refreshedImages = await getLocalProjectImageUrls(projectId);
+        const refreshedImages = await getLocalProjectPreviewUrls(projectId);
         setExpandedProjectImages(prev => ({
           ...prev,
           [projectId]: refreshedImages
@@ -415,7 +441,7 @@ function RecentProjects({
 
     // Reset file input
     event.target.value = '';
-  }, [uploadingToProject, addLocalImages, expandedProjectImages, expandedProjectId, getLocalProjectImageUrls]);
+  }, [uploadingToProject, addLocalImages, expandedProjectImages, expandedProjectId, getLocalProjectPreviewUrls, showStorageFull]);
 
   // Handle clicking upload button on a local project
   const handleUploadClick = useCallback((projectId: string) => {
@@ -456,7 +482,7 @@ function RecentProjects({
 
     // Always reload images from DB when entering edit mode to ensure correct order
     try {
-      const images = await getLocalProjectImageUrls(project.id);
+      const images = await getLocalProjectPreviewUrls(project.id);
       setExpandedProjectImages(prev => ({
         ...prev,
         [project.id]: images
@@ -465,7 +491,7 @@ function RecentProjects({
     } catch (error) {
       console.error('Failed to load project images:', error);
     }
-  }, [expandedProjectId, getLocalProjectImageUrls]);
+  }, [expandedProjectId, getLocalProjectPreviewUrls]);
 
   // Handle closing inline expanded view
   const handleCollapseProject = useCallback(() => {
@@ -624,10 +650,13 @@ function RecentProjects({
     try {
       const result = await addLocalImages(projectId, validFiles);
       setUploadProgress({ added: result.added, total: validFiles.length });
+      if (result.quotaExceeded) {
+        void showStorageFull(validFiles.slice(result.added), projectId);
+      }
 
       // Refresh images if this project has images loaded
       if (expandedProjectImages[projectId] || expandedProjectId === projectId) {
-        const refreshedImages = await getLocalProjectImageUrls(projectId);
+        const refreshedImages = await getLocalProjectPreviewUrls(projectId);
         setExpandedProjectImages(prev => ({
           ...prev,
           [projectId]: refreshedImages
@@ -644,7 +673,7 @@ function RecentProjects({
       setUploadProgress(null);
       setUploadingToProject(null);
     }
-  }, [draggedImageId, addLocalImages, expandedProjectImages, expandedProjectId, getLocalProjectImageUrls]);
+  }, [draggedImageId, addLocalImages, expandedProjectImages, expandedProjectId, getLocalProjectPreviewUrls, showStorageFull]);
 
   const {
     visibleProjects,
@@ -920,14 +949,18 @@ function RecentProjects({
     setSlideshow(null);
   }, []);
 
-  // Handle opening local project slideshow
-  const handleLocalImageClick = useCallback((
+  // Handle opening local project slideshow (with full-size images, not thumbnails)
+  const handleLocalImageClick = useCallback(async (
+    projectId: string,
     projectName: string,
-    images: Array<{ id: string; url: string; width: number; height: number; filename: string }>,
-    clickedIndex: number
+    clickedImageId: string
   ) => {
+    const images = await getLocalProjectImageUrls(projectId);
+    const clickedIndex = images.findIndex(image => image.id === clickedImageId);
+    if (clickedIndex === -1) return;
+
     setLocalSlideshow({ projectName, images, currentIndex: clickedIndex });
-  }, []);
+  }, [getLocalProjectImageUrls]);
 
   // Handle closing local slideshow
   const handleCloseLocalSlideshow = useCallback(() => {
@@ -942,6 +975,14 @@ function RecentProjects({
     }
   }, [onAdjustImage, onClose]);
 
+  // Adjust a local image - the carousel shows thumbnails, so load the full image first
+  const handleAdjustLocalImage = useCallback(async (imageId: string) => {
+    const imageUrl = await getLocalImageUrl(imageId);
+    if (imageUrl) {
+      handleAdjustImage(imageUrl);
+    }
+  }, [getLocalImageUrl, handleAdjustImage]);
+
   const handleDismissDisclaimer = useCallback(() => {
     try {
       localStorage.setItem(DISCLAIMER_STORAGE_KEY, 'true');
@@ -1148,13 +1189,8 @@ function RecentProjects({
     setDownloadProgress({ current: 0, total: 0, message: 'Preparing download...' });
 
     try {
-      const images = expandedProjectImages[project.id];
-      
-      // If images aren't loaded yet, load them
-      let imagesToDownload = images;
-      if (!imagesToDownload) {
-        imagesToDownload = await getLocalProjectImageUrls(project.id);
-      }
+      // Load full-size images (the loaded carousel only holds thumbnails)
+      const imagesToDownload = await getLocalProjectImageUrls(project.id);
 
       if (!imagesToDownload || imagesToDownload.length === 0) {
         setDownloadProgress({ current: 0, total: 0, message: 'No images available to download' });
@@ -1227,7 +1263,54 @@ function RecentProjects({
         setDownloadProgress(null);
       }, 3000);
     }
-  }, [downloadingProject, expandedProjectImages, getLocalProjectImageUrls]);
+  }, [downloadingProject, getLocalProjectImageUrls]);
+
+  // Export a local project as a zip archive (images, order and thumbnail)
+  const handleExportLocalProject = useCallback(async (project: LocalProject) => {
+    if (exportingArchive) return;
+
+    setExportingArchive(project.id);
+    const success = await exportLocalProject(project.id);
+    setExportingArchive(null);
+
+    if (!success) {
+      setArchiveStatus({ message: `Couldn't export "${project.name}". Please try again.`, isError: true });
+    }
+  }, [exportingArchive, exportLocalProject]);
+
+  // Import a project archive chosen in the hidden file input
+  const handleArchiveSelect = useCallback(async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    // Reset so the same archive can be picked again
+    e.target.value = '';
+    if (!file) return;
+
+    setImportingArchive(true);
+    setArchiveStatus(null);
+
+    try {
+      const { project, imported, duplicates, skipped } = await importLocalProject(file);
+      const notes = [
+        duplicates > 0 ? `${duplicates} duplicate${duplicates === 1 ? '' : 's'} removed` : '',
+        skipped > 0 ? `${skipped} skipped` : ''
+      ].filter(Boolean).join(', ');
+      setArchiveStatus({
+        message: `Imported "${project.name}" with ${imported} image${imported === 1 ? '' : 's'}${notes ? ` (${notes})` : ''}.`,
+        isError: false
+      });
+    } catch (err) {
+      console.error('[RecentProjects] Failed to import project archive:', err);
+      if (isQuotaExceededError(err)) {
+        void showStorageFull([file]);
+      }
+      setArchiveStatus({
+        message: err instanceof Error ? err.message : 'Failed to import project archive',
+        isError: true
+      });
+    } finally {
+      setImportingArchive(false);
+    }
+  }, [importLocalProject, showStorageFull]);
 
   return (
     <div className="recent-projects-page">
@@ -1287,6 +1370,16 @@ function RecentProjects({
               </div>
             </div>
           )}
+          {localProjectsSupported && (
+            <button
+              className="recent-projects-new-btn recent-projects-import-btn"
+              onClick={() => archiveInputRef.current?.click()}
+              disabled={importingArchive}
+              title="Import a local project archive (.zip) exported on another device"
+            >
+              {importingArchive ? '⏳ importing...' : '📦 import'}
+            </button>
+          )}
           <button
             className="recent-projects-close-btn"
             onClick={onClose}
@@ -1306,6 +1399,13 @@ function RecentProjects({
         onChange={handleFileSelect}
         style={{ display: 'none' }}
       />
+      <input
+        ref={archiveInputRef}
+        type="file"
+        accept=".zip,application/zip"
+        onChange={(e) => { void handleArchiveSelect(e); }}
+        style={{ display: 'none' }}
+      />
 
       <div ref={scrollContainerRef} className="recent-projects-scroll-container">
         {showDisclaimer && (
@@ -1324,6 +1424,77 @@ function RecentProjects({
           </div>
         )}
 
+        {/* Storage full - suggest least recently used local projects to delete */}
+        {storageFull && (
+          <div className="recent-projects-desc-wrapper">
+            <div className="recent-projects-desc recent-projects-archive-status recent-projects-storage-full error">
+              <p>
+                ⚠️ Your browser storage is full{storageFull.bytesNeeded > 0 ? ` (about ${formatBytes(storageFull.bytesNeeded)} more is needed)` : ''}.
+                {storageFull.suggestions.length > 0
+                  ? ' These local projects haven\'t been used in a while - deleting one frees up space:'
+                  : ' Delete some local projects or export them as archives to free up space.'}
+              </p>
+              {storageFull.suggestions.length > 0 && (
+                <ul className="recent-projects-eviction-list">
+                  {storageFull.suggestions
+                    .filter(suggestion => localProjects.some(project => project.id === suggestion.id))
+                    .map(suggestion => (
+                      <li key={suggestion.id}>
+                        <span className="recent-projects-eviction-name">{suggestion.name}</span>
+                        <span className="recent-projects-eviction-meta">
+                          {formatBytes(suggestion.sizeBytes)} • last used {timeAgo(suggestion.lastAccessedAt)}
+                        </span>
+                        <button
+                          className="recent-project-action-btn"
+                          onClick={() => void handleExportLocalProject(suggestion)}
+                          title="Export project archive (.zip) before deleting"
+                        >
+                          📦
+                        </button>
+                        <button
+                          className="recent-project-delete-btn"
+                          onClick={() => setLocalDeleteConfirm({
+                            show: true,
+                            projectId: suggestion.id,
+                            projectName: suggestion.name
+                          })}
+                          title="Delete project"
+                        >
+                          🗑️
+                        </button>
+                      </li>
+                    ))}
+                </ul>
+              )}
+            </div>
+            <button
+              className="recent-projects-desc-close"
+              onClick={() => setStorageFull(null)}
+              title="Dismiss"
+              aria-label="Dismiss"
+            >
+              ✕
+            </button>
+          </div>
+        )}
+
+        {/* Local project archive import/export result */}
+        {archiveStatus && (
+          <div className="recent-projects-desc-wrapper">
+            <p className={`recent-projects-desc recent-projects-archive-status${archiveStatus.isError ? ' error' : ''}`}>
+              {archiveStatus.isError ? '⚠️ ' : '📦 '}{archiveStatus.message}
+            </p>
+            <button
+              className="recent-projects-desc-close"
+              onClick={() => setArchiveStatus(null)}
+              title="Dismiss"
+              aria-label="Dismiss"
+            >
+              ✕
+            </button>
+          </div>
+        )}
+
         {/* Error state */}
         {error && (
           <div className="recent-projects-error">
@@ -1412,6 +1583,16 @@ function RecentProjects({
                           {downloadingProject === project.id ? '⏳' : '↓'}
                         </button>
                       )}
+                      {project.imageIds.length > 0 && (
+                        <button
+                          className="recent-project-action-btn"
+                          onClick={() => { void handleExportLocalProject(project); }}
+                          disabled={exportingArchive === project.id}
+                          title="Export project archive (.zip) to move it to another device"
+                        >
+                          {exportingArchive === project.id ? '⏳' : '📦'}
+                        </button>
+                      )}
                       {project.imageIds.length > 0 && onReuseLocalProject && (
                         <button
                           className="recent-project-reuse-btn"
@@ -1526,7 +1707,7 @@ function RecentProjects({
                     <div className="recent-project-jobs-carousel">
                       {expandedProjectImages[project.id] ? (
                         /* Show all loaded images in carousel - click opens slideshow */
-                        expandedProjectImages[project.id].map((image, index) => {
+                        expandedProjectImages[project.id].map((image) => {
                           // Default to 1:1 square if aspect is invalid
                           const aspect = image.width && image.height && image.width / image.height > 0.1
                             ? image.width / image.height
@@ -1539,10 +1720,10 @@ function RecentProjects({
                               aspectRatio: `${aspect}`,
                               cursor: 'pointer'
                             }}
-                            onClick={() => handleLocalImageClick(
+                            onClick={() => void handleLocalImageClick(
+                              project.id,
                               project.name,
-                              expandedProjectImages[project.id],
-                              index
+                              image.id
                             )}
                             title="Click to view full size"
                           >
@@ -1557,7 +1738,7 @@ function RecentProjects({
                                 className="job-item-adjust-btn"
                                 onClick={(e) => {
                                   e.stopPropagation();
-                                  handleAdjustImage(image.url);
+                                  void handleAdjustLocalImage(image.id);
                                 }}
                                 title="Adjust this image"
                               >
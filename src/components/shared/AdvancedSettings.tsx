@@ -12,6 +12,7 @@ import { getCustomDimensions } from '../../utils/imageProcessing';
 import { useWallet } from '../../hooks/useWallet';
 import { getTokenLabel } from '../../services/walletService';
 import TagInput from './TagInput';
+import { MOBILE_SHARE_TTL_OPTIONS } from '../../services/mobileShare';
 import useVideoCostEstimation from '../../hooks/useVideoCostEstimation';
 
 interface AdvancedSettingsProps {
@@ -119,6 +120,12 @@ interface AdvancedSettingsProps {
   showSplashOnInactivity?: boolean;
   /** Handler for show splash on inactivity change */
   onShowSplashOnInactivityChange?: (enabled: boolean) => void;
+  /** Whether the kiosk is locked down behind an admin PIN */
+  kioskLocked?: boolean;
+  /** Handler for locking the kiosk down (asks for a new PIN) */
+  onKioskLockdown?: () => void;
+  /** Handler for leaving kiosk lockdown */
+  onKioskUnlock?: () => void;
 }
 
 /**
@@ -313,6 +320,9 @@ export const AdvancedSettings: React.FC<AdvancedSettingsProps> = (props) => {
     // sensitiveContentFilter now read from settings context directly
     showSplashOnInactivity = false,
     onShowSplashOnInactivityChange,
+    kioskLocked = false,
+    onKioskLockdown,
+    onKioskUnlock,
   } = props;
 
   // Determine the current model for getting defaults and ranges
@@ -1152,6 +1162,20 @@ export const AdvancedSettings: React.FC<AdvancedSettingsProps> = (props) => {
                   </select>
                 </div>
               )}
+
+              {/* How long "Scan to Share" links stay valid */}
+              <div className="control-option">
+                <label className="control-label">Share Links Expire After:</label>
+                <select
+                  className="model-select"
+                  onChange={(e) => updateSetting('mobileShareTtl', e.target.value as Settings['mobileShareTtl'])}
+                  value={settings.mobileShareTtl || '1h'}
+                >
+                  {MOBILE_SHARE_TTL_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
             </div>
           )}
         </div>
@@ -1194,6 +1218,99 @@ export const AdvancedSettings: React.FC<AdvancedSettingsProps> = (props) => {
                 />
                 <label htmlFor="keep-original-toggle" className="control-label">Show Original Image In Gallery</label>
               </div>
+
+              {/* Photo-strip burst: several countdown shots styled and composited together */}
+              <div className="control-option checkbox">
+                <input
+                  type="checkbox"
+                  id="burst-mode-toggle"
+                  checked={!!settings.burstMode}
+                  onChange={(e) => updateSetting('burstMode', e.target.checked)}
+                />
+                <label htmlFor="burst-mode-toggle" className="control-label">Photo Strip Burst</label>
+              </div>
+
+              {settings.burstMode && (
+                <>
+                  <div className="control-option">
+                    <label className="control-label">Shots Per Burst:</label>
+                    <select
+                      className="model-select"
+                      onChange={(e) => updateSetting('burstShotCount', Number(e.target.value))}
+                      value={settings.burstShotCount || 4}
+                    >
+                      {[2, 3, 4].map(count => (
+                        <option key={count} value={count}>{count} shots</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="control-option">
+                    <label className="control-label">Time Between Shots:</label>
+                    <select
+                      className="model-select"
+                      onChange={(e) => updateSetting('burstIntervalSeconds', Number(e.target.value))}
+                      value={settings.burstIntervalSeconds || 3}
+                    >
+                      {[1, 2, 3, 4, 5].map(seconds => (
+                        <option key={seconds} value={seconds}>{seconds} second{seconds > 1 ? 's' : ''}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="control-option">
+                    <label className="control-label">Burst Layout:</label>
+                    <select
+                      className="model-select"
+                      onChange={(e) => updateSetting('burstLayout', e.target.value as Settings['burstLayout'])}
+                      value={settings.burstLayout || 'strip'}
+                    >
+                      <option value="strip">Strip</option>
+                      <option value="grid">Grid</option>
+                    </select>
+                  </div>
+                </>
+              )}
+
+              {/* Animated GIF export */}
+              <div className="control-option">
+                <label className="control-label">GIF Frame Rate:</label>
+                <select
+                  className="model-select"
+                  onChange={(e) => updateSetting('gifFrameRate', Number(e.target.value))}
+                  value={settings.gifFrameRate || 10}
+                >
+                  {[6, 8, 10, 12, 15].map(fps => (
+                    <option key={fps} value={fps}>{fps} fps</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="control-option">
+                <label className="control-label">GIF Colors:</label>
+                <select
+                  className="model-select"
+                  onChange={(e) => updateSetting('gifPaletteSize', Number(e.target.value))}
+                  value={settings.gifPaletteSize || 128}
+                >
+                  {[32, 64, 128, 256].map(colors => (
+                    <option key={colors} value={colors}>{colors} colors</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="control-option">
+                <label className="control-label">GIF Dithering:</label>
+                <select
+                  className="model-select"
+                  onChange={(e) => updateSetting('gifDithering', e.target.value as Settings['gifDithering'])}
+                  value={settings.gifDithering || 'floyd-steinberg'}
+                >
+                  <option value="floyd-steinberg">Smooth (Floyd-Steinberg)</option>
+                  <option value="ordered">Pattern (ordered)</option>
+                  <option value="none">None (smallest)</option>
+                </select>
+              </div>
               
               {/* Sound toggle */}
               <div className="control-option checkbox">
@@ -1538,9 +1655,27 @@ export const AdvancedSettings: React.FC<AdvancedSettingsProps> = (props) => {
                   id="splash-inactivity-toggle"
                   checked={showSplashOnInactivity || settings.showSplashOnInactivity}
                   onChange={(e) => handleShowSplashOnInactivityChange(e.target.checked)}
+                  disabled={kioskLocked}
                 />
                 <label htmlFor="splash-inactivity-toggle" className="control-label">Kiosk Mode</label>
               </div>
+
+              {/* Unattended lockdown: locked theme/style, idle reset, PIN-protected settings */}
+              {(kioskLocked || showSplashOnInactivity || settings.showSplashOnInactivity) && (onKioskLockdown || onKioskUnlock) && (
+                <div className="control-option">
+                  <button
+                    className="reset-settings-btn"
+                    onClick={kioskLocked ? onKioskUnlock : onKioskLockdown}
+                  >
+                    {kioskLocked ? '🔓 Exit Kiosk Lockdown' : '🔒 Lock Down Kiosk'}
+                  </button>
+                  <div className="control-description">
+                    {kioskLocked
+                      ? 'Locked down: idle guests are reset to these settings. Exit lockdown to change the theme or style'
+                      : 'Locks the theme and style, resets idle guests and puts settings behind an admin PIN'}
+                  </div>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -1550,6 +1685,8 @@ export const AdvancedSettings: React.FC<AdvancedSettingsProps> = (props) => {
           <button 
             className="reset-settings-btn"
             onClick={onResetSettings}
+            disabled={kioskLocked}
+            title={kioskLocked ? 'Exit kiosk lockdown to reset settings' : undefined}
           >
             Reset to Defaults
           </button>
@@ -1,6 +1,38 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 
+// Counts down a rate limit's retry-after
+const RetryCountdown = ({ seconds }) => {
+  const [remaining, setRemaining] = useState(seconds);
+
+  useEffect(() => {
+    setRemaining(seconds);
+    const interval = setInterval(() => {
+      setRemaining(current => Math.max(0, current - 1));
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [seconds]);
+
+  const minutes = Math.floor(remaining / 60);
+  const secs = String(remaining % 60).padStart(2, '0');
+
+  return (
+    <p style={{
+      margin: '0 0 24px 0',
+      color: remaining > 0 ? '#856404' : '#2e7d32',
+      fontSize: '1.1rem',
+      fontWeight: '600',
+      textAlign: 'center'
+    }}>
+      {remaining > 0 ? `⏳ u can try again in ${minutes}:${secs}` : '✨ ready when u are!'}
+    </p>
+  );
+};
+
+RetryCountdown.propTypes = {
+  seconds: PropTypes.number.isRequired
+};
+
 const FriendlyErrorModal = ({ error, onClose, onRetry }) => {
   if (!error) return null;
 
@@ -25,6 +57,7 @@ const FriendlyErrorModal = ({ error, onClose, onRetry }) => {
       case 'connection_error': return '🌐';
       case 'auth_error': return '🔐';
       case 'kiosk_mode_error': return '📱';
+      case 'rate_limited': return '⏳';
       default: return '⚠️';
     }
   };
@@ -35,6 +68,7 @@ const FriendlyErrorModal = ({ error, onClose, onRetry }) => {
       case 'connection_error': return '#2196f3'; // Blue for connection issues
       case 'auth_error': return '#9c27b0'; // Purple for auth issues
       case 'kiosk_mode_error': return '#ff5722'; // Deep orange for kiosk mode issues
+      case 'rate_limited': return '#ffb300'; // Amber for rate limits
       default: return '#f44336'; // Red for generic errors
     }
   };
@@ -97,6 +131,11 @@ const FriendlyErrorModal = ({ error, onClose, onRetry }) => {
             {errorData.message}
           </p>
 
+          {/* Retry-after countdown for rate limits */}
+          {errorData.retryAfter > 0 && (
+            <RetryCountdown seconds={errorData.retryAfter} />
+          )}
+
           {/* Helpful tips for popup blocked */}
           {errorData.type === 'popup_blocked' && (
             <div style={{ 
@@ -320,7 +359,8 @@ FriendlyErrorModal.propTypes = {
       fallbackUrl: PropTypes.string,
       fallbackText: PropTypes.string,
       fallbackAction: PropTypes.func,
-      fallbackLabel: PropTypes.string
+      fallbackLabel: PropTypes.string,
+      retryAfter: PropTypes.number
     })
   ]),
   onClose: PropTypes.func.isRequired,
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { revokeMobileShare } from '../../services/mobileShare';
+
+const formatExpiry = (expiresAt) => {
+  const remainingHours = (expiresAt - Date.now()) / (60 * 60 * 1000);
+  if (remainingHours <= 1) return 'in about an hour';
+  if (remainingHours <= 24) return `in ${Math.round(remainingHours)} hours`;
+  return `on ${new Date(expiresAt).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}`;
+};
+
+/**
+ * Expiry note and "Turn Off Link" button shown under a share QR code
+ */
+const MobileShareLinkInfo = ({ shareId, expiresAt, manageToken, onRevoked }) => {
+  const [status, setStatus] = useState('idle'); // idle | revoking | error
+
+  if (!shareId || !expiresAt) {
+    return null;
+  }
+
+  const handleRevoke = async () => {
+    setStatus('revoking');
+    try {
+      await revokeMobileShare(shareId, manageToken);
+      onRevoked();
+    } catch (error) {
+      console.error('🔗 Failed to revoke share link:', error);
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div style={{ margin: '-8px 0 16px 0', color: '#666', fontSize: '13px' }}>
+      <div>Link expires {formatExpiry(expiresAt)}</div>
+      {manageToken && (
+        <button
+          onClick={handleRevoke}
+          disabled={status === 'revoking'}
+          style={{
+            marginTop: '6px',
+            background: 'none',
+            border: 'none',
+            color: '#d9534f',
+            cursor: status === 'revoking' ? 'default' : 'pointer',
+            fontSize: '13px',
+            textDecoration: 'underline',
+            padding: 0
+          }}
+        >
+          {status === 'revoking' ? 'Turning off link...' : 'Turn Off Link'}
+        </button>
+      )}
+      {status === 'error' && (
+        <div style={{ color: '#d9534f', marginTop: '4px' }}>Couldn&apos;t turn off the link. Try again?</div>
+      )}
+    </div>
+  );
+};
+
+MobileShareLinkInfo.propTypes = {
+  shareId: PropTypes.string,
+  expiresAt: PropTypes.number,
+  manageToken: PropTypes.string,
+  onRevoked: PropTypes.func.isRequired
+};
+
+export default MobileShareLinkInfo;
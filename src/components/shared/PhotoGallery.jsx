@@ -8,6 +8,7 @@ import { fetchS3AsBlob, fetchS3WithFallback } from '../../utils/s3FetchWithFallb
 import '../../styles/film-strip.css'; // Using film-strip.css which contains the gallery styles
 import '../../styles/components/PhotoGallery.css';
 import { createPolaroidImage } from '../../utils/imageProcessing';
+import { resolveQRWatermarkOptions, publishQRShare } from '../../utils/qrWatermark';
 import { downloadImageMobile, enableMobileImageDownload } from '../../utils/mobileDownload';
 import { isMobile, styleIdToDisplay } from '../../utils/index';
 import { getPreviousPhotoIndex, getNextPhotoIndex } from '../../utils/photoNavigation';
@@ -18,17 +19,19 @@ import { exportPersonalizeZip, importPersonalizeZip, extractPromptsFromImages }
 import { stripTransformationPrefix } from '../../constants/editPrompts';
 import { getThemeGroupPreferences, saveThemeGroupPreferences, getFavoriteImages, toggleFavoriteImage, saveFavoriteImages, getBlockedPrompts, blockPrompt, hasSeenBatchVideoTip, markBatchVideoTipShown, getSimplePickStyles, saveSimplePickStyles, getVibeExplorerMode, saveVibeExplorerMode, getPersonalizeModelType, savePersonalizeModelType } from '../../utils/cookies';
 import { getAttributionText } from '../../config/ugcAttributions';
-import { isContextImageModel, isQwenImageEditLightningModel, SAMPLE_GALLERY_CONFIG, getQRWatermarkConfig, DEFAULT_SETTINGS, DEFAULT_MODEL_ID, QWEN_IMAGE_EDIT_LIGHTNING_MODEL_ID } from '../../constants/settings';
+import { isContextImageModel, isQwenImageEditLightningModel, SAMPLE_GALLERY_CONFIG, DEFAULT_SETTINGS, DEFAULT_MODEL_ID, QWEN_IMAGE_EDIT_LIGHTNING_MODEL_ID } from '../../constants/settings';
 import { TRANSITION_MUSIC_PRESETS } from '../../constants/transitionMusicPresets';
 import { themeConfigService } from '../../services/themeConfig';
 import { useApp } from '../../context/AppContext';
 import { trackDownloadWithStyle } from '../../services/analyticsService';
-import { downloadImagesAsZip, downloadVideosAsZip } from '../../utils/bulkDownload';
+import { downloadImagesAsZip, downloadVideosAsZip, downloadGifsAsZip, prepareGifsForBulkDownload } from '../../utils/bulkDownload';
+import { createGif, getGifSource, getGifOptions } from '../../utils/gifExport';
 import { concatenateVideos } from '../../utils/videoConcatenation';
 import { isWebShareSupported } from '../../services/WebShare';
 import { isEventDomain } from '../../utils/eventDomains';
 import CustomPromptPopup from './CustomPromptPopup';
 import ShareMenu from './ShareMenu';
+import PrintMenu from './PrintMenu';
 import GallerySubmissionConfirm from './GallerySubmissionConfirm';
 import GalleryCarousel from './GalleryCarousel';
 import { useSogniAuth } from '../../services/sogniAuth';
@@ -86,6 +89,7 @@ import CameraAnglePopup from './CameraAnglePopup';
 import CameraAngleReviewPopup from './CameraAngleReviewPopup';
 import Camera360WorkflowPopup from './Camera360WorkflowPopup';
 import SaveToLocalProjectPopup, { generateDefaultProjectName } from './SaveToLocalProjectPopup';
+import MobileShareLinkInfo from './MobileShareLinkInfo';
 import { useLocalProjects } from '../../hooks/useLocalProjects';
 import { extractLastFrame, extractFirstFrame } from '../../utils/videoFrameExtraction';
 import { generateCameraAngle } from '../../services/CameraAngleGenerator.ts';
@@ -896,6 +900,71 @@ PlaceholderImage.propTypes = {
   placeholderUrl: PropTypes.string
 };
 
+const queuedRetryButtonStyle = {
+  background: 'linear-gradient(135deg, var(--brand-cta-start) 0%, var(--brand-cta-end) 100%)',
+  border: 'none',
+  color: 'white',
+  padding: '4px 12px',
+  borderRadius: '12px',
+  fontSize: '11px',
+  fontWeight: 'bold',
+  cursor: 'pointer',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+};
+
+// A shot taken offline; once the queue gives up on it, it waits here for a retry or discard
+const QueuedCaptureTile = ({ capture, aspectRatio, onDiscard, onRetry }) => (
+  <div
+    className={capture.failed ? 'film-frame queued' : 'film-frame loading queued'}
+    data-queued="true"
+  >
+    <div style={{ position: 'relative', width: '100%', aspectRatio, overflow: 'hidden' }}>
+      <PlaceholderImage placeholderUrl={capture.dataUrl} />
+      {onDiscard && (
+        <button
+          className="photo-hide-btn"
+          onMouseDown={(e) => {
+            e.stopPropagation();
+            onDiscard(capture.id);
+          }}
+          title="Discard this queued photo"
+        >
+          ×
+        </button>
+      )}
+    </div>
+    <div className="photo-label">
+      {capture.failed ? (
+        <div>
+          <div style={{ marginBottom: '8px' }}>COULDN&apos;T SEND</div>
+          {onRetry && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onRetry(capture.id);
+              }}
+              style={queuedRetryButtonStyle}
+            >
+              🔄 Retry
+            </button>
+          )}
+        </div>
+      ) : '📶 Queued – sends when back online'}
+    </div>
+  </div>
+);
+
+QueuedCaptureTile.propTypes = {
+  capture: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    dataUrl: PropTypes.string.isRequired,
+    failed: PropTypes.bool
+  }).isRequired,
+  aspectRatio: PropTypes.string,
+  onDiscard: PropTypes.func,
+  onRetry: PropTypes.func
+};
+
 const PhotoGallery = ({
   photos,
   selectedPhotoIndex,
@@ -923,6 +992,7 @@ const PhotoGallery = ({
   selectedSubIndex = 0,
   outputFormat = 'jpg',
   handleShareToX,
+  handleShareToProvider,
   handleShareViaWebShare,
   handleShareQRCode,
   handleStitchedVideoQRShare,
@@ -965,6 +1035,10 @@ const PhotoGallery = ({
   styleReferenceImage = null,
   onRemoveStyleReference = null,
   onEditStyleReference = null, // Callback to open existing style reference in adjuster
+  // Props for the offline capture queue
+  queuedCaptures = [], // Shots taken offline, waiting to be sent
+  onDiscardQueuedCapture = null,
+  onRetryQueuedCapture = null,
   // New props for vibe selector widget
   updateStyle = null, // Function to update selected style
   switchToModel = null, // Function to switch AI model
@@ -981,7 +1055,7 @@ const PhotoGallery = ({
   const tokenLabel = getTokenLabel(tokenType);
 
   // Local projects hook for saving images to local storage
-  const { createProject: createLocalProject, addImages: addLocalImages, isSupported: isLocalProjectsSupported } = useLocalProjects();
+  const { createProject: createLocalProject, addImages: addLocalImages, exportProject: exportLocalProject, isSupported: isLocalProjectsSupported } = useLocalProjects();
 
   // Helper function to format cost - shows token cost with USD in parentheses
   const formatCost = (tokenCost, usdCost) => {
@@ -8233,6 +8307,66 @@ const PhotoGallery = ({
     }
   }, [photos, filteredPhotos, isPromptSelectorMode, isBulkDownloading, settings.videoDuration, settings.videoResolution, settings.videoFramerate, getStyleDisplayText, setIsBulkDownloading, setBulkDownloadProgress]);
 
+  // Handle download all animated photos/videos as GIFs in a ZIP
+  const handleDownloadAllGifs = useCallback(async (boomerang = false) => {
+    if (isBulkDownloading) {
+      console.log('Bulk download already in progress');
+      return;
+    }
+
+    try {
+      setIsBulkDownloading(true);
+      setBulkDownloadProgress({ current: 0, total: 0, message: 'Preparing GIFs...' });
+
+      const currentPhotosArray = isPromptSelectorMode ? filteredPhotos : photos;
+      const gifsToDownload = prepareGifsForBulkDownload(currentPhotosArray, getStyleDisplayText, boomerang);
+
+      if (gifsToDownload.length === 0) {
+        console.warn('No GIFs to download');
+        setBulkDownloadProgress({ current: 0, total: 0, message: 'Nothing to animate yet' });
+        setTimeout(() => {
+          setIsBulkDownloading(false);
+        }, 2000);
+        return;
+      }
+
+      const timestamp = new Date().toISOString().split('T')[0];
+      const zipFilename = `sogni-photobooth-${boomerang ? 'boomerangs' : 'gifs'}-${timestamp}.zip`;
+
+      const success = await downloadGifsAsZip(
+        gifsToDownload,
+        zipFilename,
+        (current, total, message) => {
+          setBulkDownloadProgress({ current, total, message });
+        },
+        { ...getGifOptions(settings), boomerang }
+      );
+
+      setBulkDownloadProgress({
+        current: success ? gifsToDownload.length : 0,
+        total: success ? gifsToDownload.length : 0,
+        message: success ? 'Download complete!' : 'GIF download failed. Please try again.'
+      });
+
+      setTimeout(() => {
+        setIsBulkDownloading(false);
+        setBulkDownloadProgress({ current: 0, total: 0, message: '' });
+      }, 3000);
+
+    } catch (error) {
+      console.error('Error in bulk GIF download:', error);
+      setBulkDownloadProgress({
+        current: 0,
+        total: 0,
+        message: `Error: ${error.message}`
+      });
+      setTimeout(() => {
+        setIsBulkDownloading(false);
+        setBulkDownloadProgress({ current: 0, total: 0, message: '' });
+      }, 3000);
+    }
+  }, [photos, filteredPhotos, isPromptSelectorMode, isBulkDownloading, settings, getStyleDisplayText, setIsBulkDownloading, setBulkDownloadProgress]);
+
   // Handle stitching all videos into one concatenated video (works with any workflow)
   const handleStitchAllVideos = useCallback(async () => {
     if (isBulkDownloading) {
@@ -11015,7 +11149,11 @@ const PhotoGallery = ({
       });
 
       if (!response.ok) {
-        throw new Error('Failed to submit to gallery');
+        const errorData = await response.json().catch(() => ({}));
+        const submitError = new Error(errorData.message || 'Failed to submit to gallery');
+        // Rejected media (IMAGE_TOO_LARGE, UNSUPPORTED_IMAGE_TYPE...) has a message worth showing
+        submitError.code = errorData.code;
+        throw submitError;
       }
 
       const data = await response.json();
@@ -11035,7 +11173,7 @@ const PhotoGallery = ({
       showToast({
         type: 'error',
         title: '❌ Submission Failed',
-        message: 'Failed to submit stitched video to gallery. Please try again.',
+        message: error.code ? error.message : 'Failed to submit stitched video to gallery. Please try again.',
         timeout: 5000
       });
     } finally {
@@ -12083,7 +12221,7 @@ const PhotoGallery = ({
               frameColor: !shouldUseTheme ? 'white' : 'transparent',
               outputFormat: outputFormat,
               taipeiFrameNumber: shouldUseTheme && tezdevTheme === 'taipeiblockchain' ? photo.taipeiFrameNumber : undefined,
-              watermarkOptions: settings.sogniWatermark ? getQRWatermarkConfig(settings) : null
+              watermarkOptions: await resolveQRWatermarkOptions(settings, shouldUseTheme ? tezdevTheme : 'off')
             });
 
             processedImageUrl = polaroidUrl;
@@ -12098,7 +12236,8 @@ const PhotoGallery = ({
             // Some legacy workers always return PNG regardless of the requested format.
 
             // Process raw image with QR watermark if enabled - SAME AS INDIVIDUAL
-            if (settings.sogniWatermark) {
+            const rawWatermarkOptions = await resolveQRWatermarkOptions(settings, isThemeSupported() && !photo.isGalleryImage ? tezdevTheme : 'off');
+            if (rawWatermarkOptions) {
               processedImageUrl = await new Promise((resolve) => {
                 const img = new Image();
                 img.crossOrigin = 'anonymous';
@@ -12116,7 +12255,7 @@ const PhotoGallery = ({
                     
                     // Add QR watermark - SAME AS INDIVIDUAL
                     const { addQRWatermark } = await import('../../utils/imageProcessing.js');
-                    await addQRWatermark(ctx, canvas.width, canvas.height, getQRWatermarkConfig(settings));
+                    await addQRWatermark(ctx, canvas.width, canvas.height, rawWatermarkOptions);
                     
                     const dataUrl = canvas.toDataURL(actualExtension === '.png' ? 'image/png' : 'image/jpeg', 0.95);
                     resolve(dataUrl);
@@ -12225,7 +12364,7 @@ const PhotoGallery = ({
   }, [isBulkDownloading, isPromptSelectorMode, filteredPhotos, photos, selectedSubIndex, getStyleDisplayText, outputFormat, settings, tezdevTheme, aspectRatio, isThemeSupported]);
 
   // Handle saving images to a local project
-  const handleSaveToLocalProject = useCallback(async (projectName) => {
+  const handleSaveToLocalProject = useCallback(async (projectName, { exportArchive = false } = {}) => {
     if (!isLocalProjectsSupported) {
       showToast({
         type: 'error',
@@ -12313,10 +12452,20 @@ const PhotoGallery = ({
 
       if (result.added > 0) {
         showToast({
-          type: 'success',
-          message: `Saved ${result.added} image${result.added !== 1 ? 's' : ''} to "${projectName}"`
+          type: result.quotaExceeded ? 'warning' : 'success',
+          message: result.quotaExceeded
+            ? `Browser storage filled up - saved ${result.added} of ${files.length} images to "${projectName}". Free up space from Recent Projects.`
+            : `Saved ${result.added} image${result.added !== 1 ? 's' : ''} to "${projectName}"`
         });
         setShowSaveToLocalProjectPopup(false);
+
+        // Optionally hand the user a portable archive to restore on another device
+        if (exportArchive && !(await exportLocalProject(project.id))) {
+          showToast({
+            type: 'error',
+            message: 'Project saved, but the archive download failed. You can export it from Recent Projects.'
+          });
+        }
       } else {
         showToast({
           type: 'error',
@@ -12333,7 +12482,7 @@ const PhotoGallery = ({
     } finally {
       setIsSavingToLocalProject(false);
     }
-  }, [isLocalProjectsSupported, isPromptSelectorMode, filteredPhotos, photos, createLocalProject, addLocalImages, showToast]);
+  }, [isLocalProjectsSupported, isPromptSelectorMode, filteredPhotos, photos, createLocalProject, addLocalImages, exportLocalProject, showToast]);
 
   // Generate default project name for save popup
   const defaultLocalProjectName = useMemo(() => {
@@ -12535,7 +12684,7 @@ const PhotoGallery = ({
                 // For Taipei theme, pass the current frame number to ensure consistency (but not for gallery images)
                 taipeiFrameNumber: (!isGalleryImage && tezdevTheme === 'taipeiblockchain') ? currentTaipeiFrameNumber : undefined,
                 // Add QR watermark to preview frames (if enabled)
-                watermarkOptions: settings.sogniWatermark ? getQRWatermarkConfig(settings) : null
+                watermarkOptions: await resolveQRWatermarkOptions(settings, isGalleryImage ? 'off' : tezdevTheme)
               });
               
               // Store the framed image URL
@@ -12778,7 +12927,7 @@ const PhotoGallery = ({
           // For Taipei theme, pass the current frame number to ensure consistency (but not for gallery images or QR-only)
           taipeiFrameNumber: (!isGalleryImage && !isQROnly && tezdevTheme === 'taipeiblockchain') ? currentTaipeiFrameNumber : undefined,
           // Add QR watermark to selected photo frames (if enabled) - match download size
-          watermarkOptions: settings.sogniWatermark ? getQRWatermarkConfig(settings) : null
+          watermarkOptions: await resolveQRWatermarkOptions(settings, isGalleryImage ? 'off' : tezdevTheme)
         });
         
         // Store the framed image URL
@@ -12958,6 +13107,40 @@ const PhotoGallery = ({
     }
   };
 
+  // Turn one photo's video or sub-images into a GIF and download it
+  const handleDownloadGif = async (photoIndex, boomerang = false) => {
+    const photo = (isPromptSelectorMode ? filteredPhotos : photos)[photoIndex];
+    const source = getGifSource(photo);
+    if (!source || isBulkDownloading) return;
+
+    setIsBulkDownloading(true);
+    try {
+      const { blob } = await createGif(source, {
+        ...getGifOptions(settings),
+        boomerang,
+        onProgress: (current, total, message) => setBulkDownloadProgress({ current, total, message })
+      });
+
+      const styleDisplayText = getStyleDisplayText(photo);
+      const cleanStyleName = styleDisplayText ? styleDisplayText.toLowerCase().replace(/\s+/g, '-') : 'sogni';
+      const blobUrl = URL.createObjectURL(blob);
+      await downloadImage(blobUrl, `sogni-photobooth-${cleanStyleName}${boomerang ? '-boomerang' : ''}.gif`);
+      // Give the download (or share sheet) time to read the blob
+      setTimeout(() => URL.revokeObjectURL(blobUrl), 10000);
+    } catch (error) {
+      console.error('[GIF] Export failed:', error);
+      showToast({
+        type: 'error',
+        title: '🎞️ GIF Failed',
+        message: error.code === 'GIF_TOO_LARGE' ? error.message : 'Could not make a GIF from this one. Please try again.',
+        timeout: 5000
+      });
+    } finally {
+      setIsBulkDownloading(false);
+      setBulkDownloadProgress({ current: 0, total: 0, message: '' });
+    }
+  };
+
   // Handle gallery submission
   const handleGallerySubmitRequest = useCallback(() => {
     const currentPhoto = photos[selectedPhotoIndex];
@@ -13063,7 +13246,11 @@ const PhotoGallery = ({
       });
       
       if (!response.ok) {
-        throw new Error('Failed to submit to gallery');
+        const errorData = await response.json().catch(() => ({}));
+        const submitError = new Error(errorData.message || 'Failed to submit to gallery');
+        // Rejected media (IMAGE_TOO_LARGE, UNSUPPORTED_IMAGE_TYPE...) has a message worth showing
+        submitError.code = errorData.code;
+        throw submitError;
       }
       
       const data = await response.json();
@@ -13084,7 +13271,7 @@ const PhotoGallery = ({
       showToast({
         type: 'error',
         title: '❌ Submission Failed',
-        message: 'Failed to submit to gallery. Please try again.',
+        message: error.code ? error.message : 'Failed to submit to gallery. Please try again.',
         timeout: 5000
       });
     } finally {
@@ -13096,6 +13283,59 @@ const PhotoGallery = ({
     setShowGalleryConfirm(false);
   }, []);
 
+  // Framed image for prints: same frame as the framed download, always PNG
+  const getFramedPrintImage = async (photoIndex) => {
+    const currentPhotosArray = isPromptSelectorMode ? filteredPhotos : photos;
+    const targetPhoto = currentPhotosArray[photoIndex];
+    const imageUrl = targetPhoto.enhanced && targetPhoto.enhancedImageUrl
+      ? targetPhoto.enhancedImageUrl
+      : targetPhoto.images[selectedSubIndex || 0];
+
+    const styleDisplayText = getStyleDisplayText(targetPhoto);
+    const photoLabel = (targetPhoto.statusText && targetPhoto.statusText.includes('#') && targetPhoto.statusText !== '#SogniPhotobooth')
+      ? targetPhoto.statusText
+      : styleDisplayText || '';
+    const shouldUseTheme = isThemeSupported();
+    const truncatedLabel = !shouldUseTheme && photoLabel.length > 20 ? photoLabel.substring(0, 20) + '...' : photoLabel;
+
+    await document.fonts.ready;
+    // Printed photos get their own share page when the theme asks for deep links
+    const watermarkOptions = await resolveQRWatermarkOptions(settings, shouldUseTheme ? tezdevTheme : 'off', { deepLink: true });
+    const framedUrl = await createPolaroidImage(imageUrl, !shouldUseTheme ? truncatedLabel : '', {
+      tezdevTheme: shouldUseTheme ? tezdevTheme : 'off',
+      aspectRatio,
+      frameWidth: !shouldUseTheme ? 56 : 0,
+      frameTopWidth: !shouldUseTheme ? 56 : 0,
+      frameBottomWidth: !shouldUseTheme ? 150 : 0,
+      frameColor: !shouldUseTheme ? 'white' : 'transparent',
+      outputFormat: 'png',
+      taipeiFrameNumber: shouldUseTheme && tezdevTheme === 'taipeiblockchain' ? targetPhoto.taipeiFrameNumber : undefined,
+      watermarkOptions
+    });
+    if (watermarkOptions?.shareId) {
+      // Wait for the page so a guest scanning the print straight away finds it
+      await publishDownloadShare(watermarkOptions, framedUrl, photoIndex, styleDisplayText, true);
+    }
+    return framedUrl;
+  };
+
+  // Register the share page a downloaded or printed photo's QR deep link points at
+  const publishDownloadShare = async (watermarkOptions, imageUrl, photoIndex, styleDisplayText, isFramed) => {
+    try {
+      await publishQRShare(watermarkOptions, imageUrl, {
+        photoIndex,
+        tezdevTheme,
+        aspectRatio,
+        outputFormat,
+        isFramed,
+        styleName: styleDisplayText ? styleDisplayText.toLowerCase().replace(/\s+/g, '-') : 'sogni'
+      });
+    } catch (error) {
+      // The download itself already worked; only the QR's page is missing
+      console.error('Failed to publish QR deep link share:', error);
+    }
+  };
+
   // Handle download photo with polaroid frame
   const handleDownloadPhoto = async (photoIndex) => {
     // Get the correct photo from the appropriate array (filtered or original)
@@ -13153,6 +13393,7 @@ const PhotoGallery = ({
       const truncatedLabel = !shouldUseTheme && photoLabel.length > maxLabelLength 
         ? photoLabel.substring(0, maxLabelLength) + '...' 
         : photoLabel;
+      const watermarkOptions = await resolveQRWatermarkOptions(settings, shouldUseTheme ? tezdevTheme : 'off', { deepLink: true });
 
       const polaroidUrl = await createPolaroidImage(imageUrl, !shouldUseTheme ? truncatedLabel : '', {
         tezdevTheme: shouldUseTheme ? tezdevTheme : 'off',
@@ -13166,7 +13407,7 @@ const PhotoGallery = ({
         // For Taipei theme, pass the current frame number to ensure consistency (but not for gallery images)
         taipeiFrameNumber: shouldUseTheme && tezdevTheme === 'taipeiblockchain' ? targetPhoto.taipeiFrameNumber : undefined,
         // Add QR watermark for downloads with improved settings (if enabled)
-        watermarkOptions: settings.sogniWatermark ? getQRWatermarkConfig(settings) : null
+        watermarkOptions
       });
       
       // Prepare analytics options for mobile sharing
@@ -13180,12 +13421,16 @@ const PhotoGallery = ({
           styleDisplayText,
           outputFormat,
           tezdevTheme,
-          aspectRatio
+          aspectRatio,
+          selectedModel: settings.selectedModel
         }
       };
       
       // Handle download
       const downloadSuccess = await downloadImage(polaroidUrl, filename, analyticsOptions);
+      if (downloadSuccess && watermarkOptions?.shareId) {
+        publishDownloadShare(watermarkOptions, polaroidUrl, photoIndex, styleDisplayText, true);
+      }
       
       // Track analytics if download was successful (for all platforms)
       if (downloadSuccess) {
@@ -13199,6 +13444,7 @@ const PhotoGallery = ({
           outputFormat,
           tezdevTheme,
           aspectRatio,
+          selectedModel: settings.selectedModel,
           platform: isMobile() ? 'mobile' : 'desktop',
           actualPrompt
         });
@@ -13242,7 +13488,8 @@ const PhotoGallery = ({
       const filename = `sogni-photobooth-${cleanStyleName}-raw${actualExtension}`;
       
       // For raw downloads, add QR watermark to the original image without frames (if enabled)
-      console.log(`[RAW DOWNLOAD] Processing original image${settings.sogniWatermark ? ' with QR watermark' : ''}: ${filename}`);
+      const watermarkOptions = await resolveQRWatermarkOptions(settings, isThemeSupported() && !targetPhoto.isGalleryImage ? tezdevTheme : 'off', { deepLink: true });
+      console.log(`[RAW DOWNLOAD] Processing original image${watermarkOptions ? ' with QR watermark' : ''}: ${filename}`);
       
       // Load the original image and optionally add QR watermark
       const processedImageUrl = await new Promise((resolve) => {
@@ -13264,9 +13511,9 @@ const PhotoGallery = ({
             ctx.drawImage(img, 0, 0);
             
             // Add QR watermark to raw image (if enabled)
-            if (settings.sogniWatermark) {
+            if (watermarkOptions) {
               const { addQRWatermark } = await import('../../utils/imageProcessing.js');
-              await addQRWatermark(ctx, canvas.width, canvas.height, getQRWatermarkConfig(settings));
+              await addQRWatermark(ctx, canvas.width, canvas.height, watermarkOptions);
             }
             
             // Convert to data URL
@@ -13298,12 +13545,18 @@ const PhotoGallery = ({
           photoIndex,
           styleDisplayText,
           actualExtension,
-          hasWatermark: settings.sogniWatermark
+          hasWatermark: !!watermarkOptions,
+          tezdevTheme,
+          aspectRatio,
+          selectedModel: settings.selectedModel
         }
       };
       
       // Handle download and track analytics
       const downloadSuccess = await downloadImage(processedImageUrl, filename, analyticsOptions);
+      if (downloadSuccess && watermarkOptions?.shareId && processedImageUrl !== imageUrl) {
+        publishDownloadShare(watermarkOptions, processedImageUrl, photoIndex, styleDisplayText, false);
+      }
       
       // Track analytics if download was successful (for all platforms)
       if (downloadSuccess) {
@@ -13315,7 +13568,10 @@ const PhotoGallery = ({
           photoIndex,
           styleDisplayText,
           actualExtension,
-          hasWatermark: settings.sogniWatermark,
+          hasWatermark: !!watermarkOptions,
+          tezdevTheme,
+          aspectRatio,
+          selectedModel: settings.selectedModel,
           platform: isMobile() ? 'mobile' : 'desktop',
           actualPrompt
         });
@@ -13750,6 +14006,43 @@ const PhotoGallery = ({
                     }
                     return null;
                   })()}
+                  {(() => {
+                    // GIFs need a video or 2+ sub-images to animate
+                    const currentPhotosArray = isPromptSelectorMode ? filteredPhotos : photos;
+                    if (!currentPhotosArray.some(photo => !photo.hidden && getGifSource(photo))) {
+                      return null;
+                    }
+
+                    return [false, true].map(boomerang => (
+                      <button
+                        key={boomerang ? 'boomerangs' : 'gifs'}
+                        className="more-dropdown-option"
+                        onClick={() => {
+                          setShowMoreDropdown(false);
+                          void handleDownloadAllGifs(boomerang);
+                        }}
+                        style={{
+                          width: '100%',
+                          padding: '12px 16px',
+                          border: 'none',
+                          background: 'transparent',
+                          color: '#333',
+                          fontSize: '14px',
+                          fontWeight: 'normal',
+                          textAlign: 'left',
+                          cursor: 'pointer',
+                          transition: 'background 0.2s ease',
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '8px'
+                        }}
+                        onMouseOver={(e) => e.currentTarget.style.background = 'rgba(255, 82, 82, 0.1)'}
+                        onMouseOut={(e) => e.currentTarget.style.background = 'transparent'}
+                      >
+                        <span>{boomerang ? '🔁' : '🎞️'}</span> {boomerang ? 'Download All as Boomerangs' : 'Download All as GIFs'}
+                      </button>
+                    ));
+                  })()}
                   {(() => {
                     // Check if we have at least 2 videos to stitch
                     const currentPhotosArray = isPromptSelectorMode ? filteredPhotos : photos;
@@ -14435,9 +14728,14 @@ const PhotoGallery = ({
                   const actualPhoto = (isPromptSelectorMode ? filteredPhotos : photos)[selectedPhotoIndex];
                   handleShareToX(selectedPhotoIndex, actualPhoto);
                 }}
+                onShareToProvider={handleShareToProvider ? (providerId) => {
+                  const actualPhoto = (isPromptSelectorMode ? filteredPhotos : photos)[selectedPhotoIndex];
+                  handleShareToProvider(providerId, selectedPhotoIndex, actualPhoto);
+                } : undefined}
                 onShareViaWebShare={handleShareViaWebShare ? () => handleShareViaWebShare(selectedPhotoIndex) : undefined}
                 onSubmitToGallery={handleGallerySubmitRequest}
                 onShareQRCode={handleShareQRCode ? () => handleShareQRCode(selectedPhotoIndex) : undefined}
+                onDownloadGif={getGifSource(selectedPhoto) ? (boomerang) => void handleDownloadGif(selectedPhotoIndex, boomerang) : undefined}
                 onSubmitToPromptContest={() => {
                   // Handle winter prompt contest submission
                   console.log('❄️ Submitting to winter prompt contest');
@@ -14650,6 +14948,26 @@ const PhotoGallery = ({
             </div>
           )}
 
+          {/* Print Button - only shows when the server has a printer or spool directory */}
+          {!isPromptSelectorMode && (
+            <PrintMenu
+              photos={photos}
+              photoIndex={selectedPhotoIndex}
+              getFramedImage={() => getFramedPrintImage(selectedPhotoIndex)}
+              tezdevTheme={tezdevTheme}
+              onOpen={() => {
+                setShowMoreDropdown(false);
+                setShowSlideshowDownloadDropdown(false);
+              }}
+              disabled={
+                selectedPhoto.loading ||
+                selectedPhoto.enhancing ||
+                !selectedPhoto.images ||
+                selectedPhoto.images.length === 0
+              }
+            />
+          )}
+
           {/* Video Button - Show in Vibe Explorer slideshow for styles with videos */}
           {isPromptSelectorMode && selectedPhoto.isGalleryImage && hasVideoEasterEgg(selectedPhoto.promptKey) && (
             <button
@@ -19812,6 +20130,17 @@ const PhotoGallery = ({
             </div>
           );
         })}
+
+        {/* Shots taken offline - sent automatically once the connection is back */}
+        {!isPromptSelectorMode && queuedCaptures.map((capture) => (
+          <QueuedCaptureTile
+            key={capture.id}
+            capture={capture}
+            aspectRatio={dynamicStyle.aspectRatio}
+            onDiscard={onDiscardQueuedCapture}
+            onRetry={onRetryQueuedCapture}
+          />
+        ))}
       </div>}
 
       {/* Gallery Carousel - show when in fullscreen mode in prompt selector */}
@@ -22623,6 +22952,13 @@ const PhotoGallery = ({
               />
             )}
 
+            <MobileShareLinkInfo
+              shareId={qrCodeData.shareId}
+              expiresAt={qrCodeData.expiresAt}
+              manageToken={qrCodeData.manageToken}
+              onRevoked={onCloseQR}
+            />
+
             <button
               onClick={onCloseQR}
               style={{
@@ -22753,6 +23089,13 @@ const PhotoGallery = ({
               </div>
             )}
 
+            <MobileShareLinkInfo
+              shareId={qrCodeData.shareId}
+              expiresAt={qrCodeData.expiresAt}
+              manageToken={qrCodeData.manageToken}
+              onRevoked={onCloseQR}
+            />
+
             <button
               onClick={onCloseQR}
               style={{
@@ -22841,6 +23184,7 @@ PhotoGallery.propTypes = {
   desiredHeight: PropTypes.number.isRequired,
   selectedSubIndex: PropTypes.number,
   handleShareToX: PropTypes.func.isRequired,
+  handleShareToProvider: PropTypes.func,
   handleShareViaWebShare: PropTypes.func,
   handleShareQRCode: PropTypes.func,
   handleStitchedVideoQRShare: PropTypes.func,
@@ -22882,6 +23226,14 @@ PhotoGallery.propTypes = {
   styleReferenceImage: PropTypes.object,
   onRemoveStyleReference: PropTypes.func,
   onEditStyleReference: PropTypes.func,
+  // Offline capture queue props
+  queuedCaptures: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    dataUrl: PropTypes.string.isRequired,
+    failed: PropTypes.bool
+  })),
+  onDiscardQueuedCapture: PropTypes.func,
+  onRetryQueuedCapture: PropTypes.func,
   // Vibe selector widget props
   updateStyle: PropTypes.func, // Function to update selected style
   switchToModel: PropTypes.func, // Function to switch AI model
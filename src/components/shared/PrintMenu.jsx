@@ -0,0 +1,344 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { PRINT_LAYOUTS, renderPrintLayout } from '../../utils/printLayouts';
+import { getPrintStatus, submitPrint, getPrintJob, reprintPrintJob, FINISHED_PRINT_STATUSES } from '../../services/printService';
+import { themeConfigService } from '../../services/themeConfig';
+import { useToastContext } from '../../context/ToastContext';
+import '../../styles/components/ShareMenu.css';
+import '../../styles/components/PrintMenu.css';
+
+const JOB_POLL_INTERVAL_MS = 3000;
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  printing: 'Printing…',
+  sent: 'At printer',
+  printed: 'Printed',
+  spooled: 'Sent to print station',
+  failed: 'Print failed'
+};
+
+// Last print per photo, kept across slideshow open/close for the session
+const lastJobByPhoto = new Map();
+
+const photoImageUrl = (photo) => (
+  photo.enhanced && photo.enhancedImageUrl ? photo.enhancedImageUrl : photo.images?.[0]
+);
+
+const isPrintablePhoto = (photo) => (
+  !!photo && !photo.loading && !photo.generating && !photo.isGalleryImage && !!photoImageUrl(photo)
+);
+
+// The selected photo plus the next printable ones, for strips
+const getStripImages = (photos, photoIndex) => {
+  const urls = [];
+  for (let offset = 0; offset < photos.length && urls.length < PRINT_LAYOUTS['2x6'].shots; offset++) {
+    const candidate = photos[(photoIndex + offset) % photos.length];
+    if (isPrintablePhoto(candidate)) {
+      urls.push(photoImageUrl(candidate));
+    }
+  }
+  return urls;
+};
+
+/**
+ * Render images into a print layout, branded with the event theme if there is one
+ * @param {string[]} imageUrls - One framed photo, or the strip's shots
+ * @param {string} layoutId - Key of PRINT_LAYOUTS
+ * @param {string} tezdevTheme - Event theme id, or 'off'
+ * @returns {Promise<Blob>}
+ */
+const renderPhotoPrint = async (imageUrls, layoutId, tezdevTheme) => {
+  const themeId = tezdevTheme !== 'off' ? tezdevTheme : null;
+  const [brandColors, title, logoUrl] = themeId
+    ? await Promise.all([
+      themeConfigService.getBrandColors(themeId),
+      themeConfigService.getBrandTitle(themeId),
+      themeConfigService.getBrandLogo(themeId)
+    ])
+    : [null, null, null];
+
+  // Strips sit on the event's frame color; single prints are already framed
+  const stripBackground = layoutId === '2x6' ? brandColors?.frameColor : null;
+  return renderPrintLayout(imageUrls, layoutId, {
+    background: stripBackground || '#ffffff',
+    textColor: stripBackground ? brandColors.darkText || '#ffffff' : '#333333',
+    title: title || '#SogniPhotobooth',
+    logoUrl
+  });
+};
+
+/**
+ * Render the selected photo (or strip) and queue it on the printer
+ * @returns {Promise<Object>} The queued job and the toast to show for it
+ */
+const printPhotos = async ({ photos, photoIndex, getFramedImage, tezdevTheme }, layoutId) => {
+  const imageUrls = layoutId === '2x6' ? getStripImages(photos, photoIndex) : [await getFramedImage()];
+  const image = await renderPhotoPrint(imageUrls, layoutId, tezdevTheme);
+  const queued = await submitPrint(image, { layout: layoutId, label: photos[photoIndex].statusText || undefined });
+  const { label } = PRINT_LAYOUTS[layoutId];
+  return {
+    job: queued,
+    title: '🖨️ Sent to Printer',
+    message: queued.position > 1 ? `Your ${label} is #${queued.position} in line.` : `Printing your ${label}!`
+  };
+};
+
+// Queue another copy of an earlier job
+const reprintJob = async (job) => ({
+  job: await reprintPrintJob(job.id),
+  title: '🖨️ Reprinting',
+  message: 'Another copy is on its way.'
+});
+
+// Whether the server has a printer set up
+const usePrintEnabled = () => {
+  const [printEnabled, setPrintEnabled] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getPrintStatus()
+      .then(status => {
+        if (!cancelled) setPrintEnabled(!!status.enabled);
+      })
+      .catch(error => {
+        console.warn('[Print] Printing unavailable:', error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return printEnabled;
+};
+
+// Last print job for a photo, followed until it's printed, spooled or failed
+const usePrintJob = (photoKey) => {
+  const [jobs, setJobs] = useState(() => new Map(lastJobByPhoto));
+  const job = photoKey ? jobs.get(photoKey) : null;
+
+  const rememberJob = useCallback((key, nextJob) => {
+    lastJobByPhoto.set(key, nextJob);
+    setJobs(new Map(lastJobByPhoto));
+  }, []);
+
+  useEffect(() => {
+    if (!job || FINISHED_PRINT_STATUSES.includes(job.status)) return;
+
+    const key = photoKey;
+    const interval = setInterval(() => {
+      getPrintJob(job.id)
+        .then(updated => {
+          if (updated.status !== job.status || updated.position !== job.position) {
+            rememberJob(key, updated);
+          }
+        })
+        .catch(error => {
+          console.warn('[Print] Could not refresh job status:', error.message);
+        });
+    }, JOB_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [job, photoKey, rememberJob]);
+
+  return { job, rememberJob };
+};
+
+// Sends a print or reprint one at a time, then tracks the job it comes back with
+const useSendToPrinter = (photoKey, rememberJob) => {
+  const { showToast } = useToastContext();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const sendToPrinter = async (send) => {
+    if (isSubmitting || !photoKey) return;
+
+    setIsSubmitting(true);
+    try {
+      const { job, title, message } = await send();
+      rememberJob(photoKey, job);
+      showToast({ type: 'success', title, message, timeout: 4000 });
+    } catch (error) {
+      console.error('[Print] Print failed:', error);
+      showToast({
+        type: 'error',
+        title: '🖨️ Print Failed',
+        message: error.message || 'Could not send that to the printer. Please try again.',
+        timeout: 5000
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return { isSubmitting, sendToPrinter };
+};
+
+// Close the menu when clicking outside it
+const useCloseOnClickOutside = (menuRef, isOpen, setIsOpen) => {
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [menuRef, isOpen, setIsOpen]);
+};
+
+const PrintJobStatus = ({ job }) => (
+  <span className={`print-status-badge print-status-${job.status}`}>
+    {job.status === 'queued' && job.position > 1 ? `#${job.position} in line` : STATUS_LABELS[job.status] || job.status}
+  </span>
+);
+
+PrintJobStatus.propTypes = {
+  job: PropTypes.shape({
+    status: PropTypes.string.isRequired,
+    position: PropTypes.number
+  }).isRequired
+};
+
+const PrintButton = ({ job, isSubmitting, disabled, onClick }) => (
+  <button
+    className="action-button print-btn"
+    onClick={onClick}
+    disabled={disabled || isSubmitting}
+  >
+    <svg fill="currentColor" width="16" height="16" viewBox="0 0 24 24">
+      <path d="M19 8H5c-1.66 0-3 1.34-3 3v6h4v4h12v-4h4v-6c0-1.66-1.34-3-3-3zm-3 11H8v-5h8v5zm3-7c-.55 0-1-.45-1-1s.45-1 1-1 1 .45 1 1-.45 1-1 1zm-1-9H6v4h12V3z"/>
+    </svg>
+    {isSubmitting ? 'Sending…' : 'Print'}
+    {job && <PrintJobStatus job={job} />}
+  </button>
+);
+
+PrintButton.propTypes = {
+  job: PropTypes.object,
+  isSubmitting: PropTypes.bool,
+  disabled: PropTypes.bool,
+  onClick: PropTypes.func.isRequired
+};
+
+// Layouts to print, plus Reprint once the photo has been printed
+const PrintLayoutPicker = ({ stripShots, job, onPrint, onReprint }) => (
+  <div className="share-menu-dropdown">
+    {Object.entries(PRINT_LAYOUTS).map(([layoutId, layout]) => {
+      const notEnoughShots = layout.minShots && stripShots < layout.minShots;
+      return (
+        <button
+          key={layoutId}
+          className="share-menu-option print-option"
+          onClick={(e) => {
+            e.stopPropagation();
+            void onPrint(layoutId);
+          }}
+          disabled={notEnoughShots}
+          title={notEnoughShots ? `Needs at least ${layout.minShots} photos` : undefined}
+        >
+          {layout.label}
+          {layout.minShots && !notEnoughShots && ` (${stripShots} shots)`}
+        </button>
+      );
+    })}
+
+    {job && (
+      <button
+        className="share-menu-option print-option reprint-option"
+        onClick={(e) => {
+          e.stopPropagation();
+          void onReprint();
+        }}
+      >
+        Reprint last {job.layout}
+      </button>
+    )}
+  </div>
+);
+
+PrintLayoutPicker.propTypes = {
+  stripShots: PropTypes.number.isRequired,
+  job: PropTypes.shape({
+    layout: PropTypes.string
+  }),
+  onPrint: PropTypes.func.isRequired,
+  onReprint: PropTypes.func.isRequired
+};
+
+/**
+ * PrintMenu - Print button for the slideshow.
+ * Renders the selected photo as a 4x6/5x7 print, or it and the photos after
+ * it as a 2x6 strip, queues it on /api/print and shows the job's status with
+ * a Reprint option. Hidden unless the server has printing set up.
+ */
+const PrintMenu = ({
+  photos,
+  photoIndex,
+  getFramedImage,
+  tezdevTheme = 'off',
+  onOpen,
+  disabled = false
+}) => {
+  const printEnabled = usePrintEnabled();
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+  useCloseOnClickOutside(menuRef, isOpen, setIsOpen);
+
+  const photo = photos[photoIndex];
+  const photoKey = photo ? (photo.id || photoImageUrl(photo)) : null;
+  const { job, rememberJob } = usePrintJob(photoKey);
+  const { isSubmitting, sendToPrinter } = useSendToPrinter(photoKey, rememberJob);
+
+  const handlePrint = (layoutId) => {
+    setIsOpen(false);
+    return sendToPrinter(() => printPhotos({ photos, photoIndex, getFramedImage, tezdevTheme }, layoutId));
+  };
+
+  const handleReprint = () => {
+    setIsOpen(false);
+    return sendToPrinter(() => reprintJob(job));
+  };
+
+  const handleMenuToggle = (e) => {
+    e.stopPropagation();
+    if (!isOpen && onOpen) {
+      onOpen();
+    }
+    setIsOpen(!isOpen);
+  };
+
+  if (!printEnabled || !photo || photo.isGalleryImage) {
+    return null;
+  }
+
+  return (
+    <div className="share-menu-container print-menu-container" ref={menuRef}>
+      <PrintButton job={job} isSubmitting={isSubmitting} disabled={disabled} onClick={handleMenuToggle} />
+
+      {isOpen && (
+        <PrintLayoutPicker
+          stripShots={getStripImages(photos, photoIndex).length}
+          job={job}
+          onPrint={handlePrint}
+          onReprint={handleReprint}
+        />
+      )}
+    </div>
+  );
+};
+
+PrintMenu.propTypes = {
+  photos: PropTypes.array.isRequired,
+  photoIndex: PropTypes.number.isRequired,
+  getFramedImage: PropTypes.func.isRequired,
+  tezdevTheme: PropTypes.string,
+  onOpen: PropTypes.func,
+  disabled: PropTypes.bool
+};
+
+export default PrintMenu;
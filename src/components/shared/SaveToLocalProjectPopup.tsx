@@ -15,10 +15,15 @@ interface PhotoData {
   error?: boolean;
 }
 
+export interface SaveToLocalProjectOptions {
+  /** Also download a project archive (.zip) after saving */
+  exportArchive: boolean;
+}
+
 interface SaveToLocalProjectPopupProps {
   isOpen: boolean;
   onClose: () => void;
-  onSave: (projectName: string) => Promise<void>;
+  onSave: (projectName: string, options: SaveToLocalProjectOptions) => Promise<void>;
   defaultName: string;
   imageCount: number;
   isSaving?: boolean;
@@ -34,6 +39,7 @@ const SaveToLocalProjectPopup: React.FC<SaveToLocalProjectPopupProps> = ({
 }) => {
   const [projectName, setProjectName] = useState(defaultName);
   const [error, setError] = useState<string | null>(null);
+  const [exportArchive, setExportArchive] = useState(false);
   const modalRef = useRef<HTMLDivElement>(null);
   const inputRef = useRef<HTMLInputElement>(null);
 
@@ -83,8 +89,8 @@ const SaveToLocalProjectPopup: React.FC<SaveToLocalProjectPopupProps> = ({
     }
 
     setError(null);
-    await onSave(trimmedName);
-  }, [projectName, onSave]);
+    await onSave(trimmedName, { exportArchive });
+  }, [projectName, exportArchive, onSave]);
 
   // Handle enter key in input
   const handleKeyDown = (e: React.KeyboardEvent) => {
@@ -142,6 +148,16 @@ const SaveToLocalProjectPopup: React.FC<SaveToLocalProjectPopupProps> = ({
             />
             {error && <span className="save-project-error">{error}</span>}
           </div>
+
+          <label className="save-project-checkbox">
+            <input
+              type="checkbox"
+              checked={exportArchive}
+              onChange={(e) => setExportArchive(e.target.checked)}
+              disabled={isSaving}
+            />
+            <span>Also download a project archive (.zip) to open it on another device</span>
+          </label>
         </div>
 
         <div className="save-project-footer">
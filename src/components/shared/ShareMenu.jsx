@@ -1,17 +1,20 @@
 import React, { useState, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import '../../styles/components/ShareMenu.css';
+import { SOCIAL_SHARE_PROVIDERS } from '../../services/SocialShare';
 
 /**
  * ShareMenu - A dropdown menu for sharing options
- * Shows "Share to Twitter", "Share..." (Web Share API), "Share QR Code", "Submit to Gallery", and "Submit to Prompt Contest" options
+ * Shows "Share to Twitter", "Share to Bluesky"/"Share to Mastodon", "Share..." (Web Share API), "Share QR Code", "Download GIF"/"Download Boomerang GIF", "Submit to Gallery", and "Submit to Prompt Contest" options
  */
 const ShareMenu = ({
   onShareToTwitter,
+  onShareToProvider,
   onShareViaWebShare,
   onSubmitToGallery,
   onShareQRCode,
   onSubmitToPromptContest,
+  onDownloadGif,
   onOpen,
   disabled = false,
   hasPromptKey = false,
@@ -54,6 +57,14 @@ const ShareMenu = ({
     onShareToTwitter();
   };
 
+  const handleShareToProvider = (e, providerId) => {
+    e.stopPropagation();
+    setIsOpen(false);
+    if (onShareToProvider) {
+      onShareToProvider(providerId);
+    }
+  };
+
   const handleShareViaWebShare = (e) => {
     e.stopPropagation();
     setIsOpen(false);
@@ -76,6 +87,14 @@ const ShareMenu = ({
     }
   };
 
+  const handleDownloadGif = (e, boomerang) => {
+    e.stopPropagation();
+    setIsOpen(false);
+    if (onDownloadGif) {
+      onDownloadGif(boomerang);
+    }
+  };
+
   const handleSubmitToPromptContest = (e) => {
     e.stopPropagation();
     setIsOpen(false);
@@ -111,6 +130,17 @@ const ShareMenu = ({
             </button>
           )}
 
+          {onShareToProvider && SOCIAL_SHARE_PROVIDERS.map((provider) => (
+            <button
+              key={provider.id}
+              className={`share-menu-option ${provider.id}-option`}
+              onClick={(e) => handleShareToProvider(e, provider.id)}
+            >
+              <span className="share-menu-emoji" aria-hidden="true">{provider.icon}</span>
+              Share to {provider.name}
+            </button>
+          ))}
+
           {showWebShare && onShareViaWebShare && (
             <button
               className="share-menu-option webshare-option"
@@ -135,6 +165,29 @@ const ShareMenu = ({
             </button>
           )}
 
+          {onDownloadGif && (
+            <>
+              <button
+                className="share-menu-option gif-option"
+                onClick={(e) => handleDownloadGif(e, false)}
+              >
+                <svg fill="currentColor" width="16" height="16" viewBox="0 0 24 24">
+                  <path d="M11.5 9H13v6h-1.5zM9 9H6c-.6 0-1 .5-1 1v4c0 .5.4 1 1 1h3c.6 0 1-.5 1-1v-2H8.5v1.5h-2v-3H10V10c0-.5-.4-1-1-1zm10 1.5V9h-4.5v6H16v-2h2v-1.5h-2v-1z"/>
+                </svg>
+                Download GIF
+              </button>
+              <button
+                className="share-menu-option gif-option"
+                onClick={(e) => handleDownloadGif(e, true)}
+              >
+                <svg fill="currentColor" width="16" height="16" viewBox="0 0 24 24">
+                  <path d="M12 4V1L8 5l4 4V6c3.31 0 6 2.69 6 6 0 1.01-.25 1.97-.7 2.8l1.46 1.46C19.54 15.03 20 13.57 20 12c0-4.42-3.58-8-8-8zm0 14c-3.31 0-6-2.69-6-6 0-1.01.25-1.97.7-2.8L5.24 7.74C4.46 8.97 4 10.43 4 12c0 4.42 3.58 8 8 8v3l4-4-4-4v3z"/>
+                </svg>
+                Download Boomerang GIF
+              </button>
+            </>
+          )}
+
           {hasPromptKey && (
             <button
               className="share-menu-option gallery-option"
@@ -166,10 +219,12 @@ const ShareMenu = ({
 
 ShareMenu.propTypes = {
   onShareToTwitter: PropTypes.func.isRequired,
+  onShareToProvider: PropTypes.func,
   onShareViaWebShare: PropTypes.func,
   onSubmitToGallery: PropTypes.func.isRequired,
   onShareQRCode: PropTypes.func,
   onSubmitToPromptContest: PropTypes.func,
+  onDownloadGif: PropTypes.func,
   onOpen: PropTypes.func,
   disabled: PropTypes.bool,
   hasPromptKey: PropTypes.bool,
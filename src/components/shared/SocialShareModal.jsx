@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import '../../styles/components/TwitterShareModal.css';
+import '../../styles/components/SocialShareModal.css';
+import {
+  SOCIAL_SHARE_PROVIDERS,
+  fetchShareProviders,
+  connectShareProvider,
+  disconnectShareProvider,
+  getShareMessage,
+  getSavedMastodonInstance
+} from '../../services/SocialShare';
+import { styleIdToDisplay } from '../../utils';
+
+// Style name and hashtag for the post, and alt text for the image
+const describeShare = (photoData) => {
+  const promptKey = photoData?.promptKey || photoData?.selectedStyle;
+  const styleName = photoData?.customSceneName || (promptKey && promptKey !== 'custom' ? styleIdToDisplay(promptKey) : '');
+  return {
+    isVideoShare: !!photoData?.videoUrl,
+    styleTag: styleName && !photoData?.customSceneName ? styleName.toLowerCase().replace(/\s+/g, '') : '',
+    altText: styleName ? `Photo made in Sogni Photobooth, ${styleName} style` : 'Photo made in Sogni Photobooth'
+  };
+};
+
+// What still has to happen before posting: a Bluesky app password or a Mastodon server
+const connectionNeeds = (provider) => ({
+  needsAppPassword: provider?.authType === 'app-password' && !provider.connected,
+  needsInstance: provider?.authType === 'oauth' && !provider.connected
+});
+
+// Runs a connect or post with the modal locked, keeping any error to show
+const useBusyAction = () => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runBusy = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return { busy, error, setError, runBusy };
+};
+
+/**
+ * Provider details and this browser's connection, loaded fresh every time the
+ * modal opens, plus connect, disconnect and posting
+ */
+const useShareProvider = (providerId, isOpen) => {
+  const [provider, setProvider] = useState(null);
+  const [instance, setInstance] = useState('');
+  const { busy, error, setError, runBusy } = useBusyAction();
+
+  const loadProvider = useCallback(async () => {
+    try {
+      const providers = await fetchShareProviders();
+      setProvider(providers.find(p => p.id === providerId) || null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [providerId, setError]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setProvider(null);
+    setError(null);
+    setInstance(getSavedMastodonInstance());
+    loadProvider();
+  }, [isOpen, loadProvider, setError]);
+
+  const connect = (credentials) => runBusy(async () => {
+    const { account } = await connectShareProvider(providerId, credentials);
+    setProvider(current => ({ ...current, connected: true, account }));
+  });
+
+  const disconnect = () => runBusy(async () => {
+    await disconnectShareProvider(providerId);
+    setProvider(current => ({ ...current, connected: false, account: null }));
+  });
+
+  const share = async (post) => {
+    const shared = await runBusy(post);
+    if (!shared) {
+      // The connection may have expired along the way
+      loadProvider();
+    }
+    return shared;
+  };
+
+  return { provider, instance, setInstance, busy, error, connect, disconnect, share };
+};
+
+// The theme's starting copy for the post, regenerated when the modal opens
+const useShareMessage = ({ isOpen, tezdevTheme, styleTag, isVideo }) => {
+  const [message, setMessage] = useState('');
+
+  const generateMessage = useCallback(
+    () => getShareMessage({ tezdevTheme, styleTag, isVideo }),
+    [tezdevTheme, styleTag, isVideo]
+  );
+
+  useEffect(() => {
+    if (!isOpen) return;
+    generateMessage()
+      .then(setMessage)
+      .catch(() => setMessage(''));
+  }, [isOpen, generateMessage]);
+
+  return [message, setMessage];
+};
+
+// Close when clicking outside, unless a connect or post is in flight; returns the modal's ref
+const useCloseOnClickOutside = (isOpen, busy, onClose) => {
+  const modalRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (!busy && modalRef.current && !modalRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen, busy, onClose]);
+
+  return modalRef;
+};
+
+// Bluesky sign-in; the password only goes to the server for this one login
+const AppPasswordForm = ({ busy, onConnect }) => {
+  const [identifier, setIdentifier] = useState('');
+  const [password, setPassword] = useState('');
+
+  return (
+    <div className="social-share-connect">
+      <input
+        type="text"
+        placeholder="Handle (you.bsky.social)"
+        value={identifier}
+        onChange={(e) => setIdentifier(e.target.value)}
+        autoComplete="username"
+        autoCapitalize="off"
+      />
+      <input
+        type="password"
+        placeholder="App password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete="current-password"
+      />
+      <p className="social-share-hint">
+        Create an app password in Bluesky under Settings → Privacy and security → App passwords. We never store it.
+      </p>
+      <button
+        className="social-share-secondary-btn"
+        onClick={() => onConnect({ identifier, password })}
+        disabled={busy || !identifier.trim() || !password}
+      >
+        {busy ? 'Connecting…' : 'Connect'}
+      </button>
+    </div>
+  );
+};
+
+AppPasswordForm.propTypes = {
+  busy: PropTypes.bool,
+  onConnect: PropTypes.func.isRequired
+};
+
+/**
+ * Connect step for the provider: app password (Bluesky), server to sign in
+ * to (Mastodon), or the connected account with a way to disconnect
+ */
+const ProviderConnectForm = ({ provider, instance, busy, onInstanceChange, onConnect, onDisconnect }) => {
+  const { needsAppPassword, needsInstance } = connectionNeeds(provider);
+
+  if (needsAppPassword) {
+    return <AppPasswordForm busy={busy} onConnect={onConnect} />;
+  }
+  if (needsInstance) {
+    return (
+      <div className="social-share-connect">
+        <input
+          type="text"
+          placeholder="Your server (mastodon.social)"
+          value={instance}
+          onChange={(e) => onInstanceChange(e.target.value)}
+          autoCapitalize="off"
+        />
+        <p className="social-share-hint">You&apos;ll sign in to your server in a popup when you post.</p>
+      </div>
+    );
+  }
+  if (!provider?.connected) return null;
+
+  return (
+    <div className="social-share-status">
+      Posting as <strong>{provider.account}</strong>
+      <button className="social-share-link-btn" onClick={onDisconnect} disabled={busy}>Disconnect</button>
+    </div>
+  );
+};
+
+ProviderConnectForm.propTypes = {
+  provider: PropTypes.shape({
+    authType: PropTypes.string,
+    connected: PropTypes.bool,
+    account: PropTypes.string
+  }),
+  instance: PropTypes.string.isRequired,
+  busy: PropTypes.bool,
+  onInstanceChange: PropTypes.func.isRequired,
+  onConnect: PropTypes.func.isRequired,
+  onDisconnect: PropTypes.func.isRequired
+};
+
+// Message box with the provider's length limit, and the image that goes with it
+const ShareComposer = ({ provider, name, message, onMessageChange, isVideoShare, imageUrl }) => {
+  const maxLength = provider?.maxPostLength || 300;
+
+  return (
+    <>
+      {isVideoShare && provider && !provider.supportsVideo && (
+        <div className="social-share-hint">{name} gets the still image with a link back to the photobooth.</div>
+      )}
+
+      <div className="twitter-message-container">
+        <textarea
+          className="twitter-message"
+          value={message}
+          onChange={(e) => onMessageChange(e.target.value)}
+          placeholder={isVideoShare ? 'What would you like to say about this video?' : 'What would you like to say about this photo?'}
+          maxLength={maxLength}
+          autoComplete="off"
+        />
+        <div className="twitter-char-counter">
+          {message.length}/{maxLength}
+        </div>
+      </div>
+
+      {imageUrl && (
+        <div className="twitter-image-preview">
+          <img src={imageUrl} alt="Preview" />
+        </div>
+      )}
+    </>
+  );
+};
+
+ShareComposer.propTypes = {
+  provider: PropTypes.shape({
+    maxPostLength: PropTypes.number,
+    supportsVideo: PropTypes.bool
+  }),
+  name: PropTypes.string.isRequired,
+  message: PropTypes.string.isRequired,
+  onMessageChange: PropTypes.func.isRequired,
+  isVideoShare: PropTypes.bool,
+  imageUrl: PropTypes.string
+};
+
+const ShareModalHeader = ({ icon, name, isVideoShare }) => (
+  <div className="twitter-modal-header">
+    <span className="social-share-logo" aria-hidden="true">{icon}</span>
+    <h2>{isVideoShare ? `Share Video to ${name}` : `Share to ${name}`}</h2>
+  </div>
+);
+
+ShareModalHeader.propTypes = {
+  icon: PropTypes.node,
+  name: PropTypes.string.isRequired,
+  isVideoShare: PropTypes.bool
+};
+
+// Posts once the provider is connected (or has a server to sign in to) and there's a message
+const PostButton = ({ provider, instance, message, busy, isVideoShare, onPost }) => {
+  const { needsAppPassword, needsInstance } = connectionNeeds(provider);
+
+  return (
+    <button
+      className="twitter-share-btn"
+      onClick={onPost}
+      disabled={busy || !provider || needsAppPassword || (needsInstance && !instance.trim()) || !message.trim()}
+    >
+      {busy && !needsAppPassword ? 'Sharing your masterpiece...' : (isVideoShare ? 'Post Video' : 'Post')}
+    </button>
+  );
+};
+
+PostButton.propTypes = {
+  provider: PropTypes.object,
+  instance: PropTypes.string.isRequired,
+  message: PropTypes.string.isRequired,
+  busy: PropTypes.bool,
+  isVideoShare: PropTypes.bool,
+  onPost: PropTypes.func.isRequired
+};
+
+/**
+ * SocialShareModal - Compose and post to Bluesky or Mastodon
+ * Bluesky signs in here with an app password; Mastodon asks for the user's
+ * server and signs in through a popup when the post is sent.
+ */
+const SocialShareModal = ({ isOpen, onClose, onShare, providerId, photoData, tezdevTheme = 'off' }) => {
+  const { isVideoShare, styleTag, altText } = describeShare(photoData);
+  const { provider, instance, setInstance, busy, error, connect, disconnect, share } = useShareProvider(providerId, isOpen);
+  const [message, setMessage] = useShareMessage({ isOpen, tezdevTheme, styleTag, isVideo: isVideoShare });
+  const modalRef = useCloseOnClickOutside(isOpen, busy, onClose);
+
+  const fallback = SOCIAL_SHARE_PROVIDERS.find(p => p.id === providerId);
+  if (!isOpen || !fallback) return null;
+
+  const name = provider?.name || fallback.name;
+
+  const handleShare = async () => {
+    const { needsInstance } = connectionNeeds(provider);
+    if (await share(() => onShare(message, { provider, instance: needsInstance ? instance.trim() : '', altText }))) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="twitter-modal-overlay">
+      <div className="twitter-modal social-share-modal" ref={modalRef}>
+        <button className="twitter-modal-close" onClick={onClose} disabled={busy}>×</button>
+
+        <ShareModalHeader icon={fallback.icon} name={name} isVideoShare={isVideoShare} />
+
+        <div className="twitter-modal-content">
+          {!provider && !error && <div className="social-share-status">Loading…</div>}
+          <ProviderConnectForm
+            provider={provider}
+            instance={instance}
+            busy={busy}
+            onInstanceChange={setInstance}
+            onConnect={connect}
+            onDisconnect={disconnect}
+          />
+          <ShareComposer
+            provider={provider}
+            name={name}
+            message={message}
+            onMessageChange={setMessage}
+            isVideoShare={isVideoShare}
+            imageUrl={photoData?.images?.[0]}
+          />
+          {error && <div className="social-share-error">{error}</div>}
+        </div>
+
+        <div className="twitter-modal-footer">
+          <PostButton provider={provider} instance={instance} message={message} busy={busy} isVideoShare={isVideoShare} onPost={handleShare} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+SocialShareModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onShare: PropTypes.func.isRequired,
+  providerId: PropTypes.string,
+  photoData: PropTypes.object,
+  tezdevTheme: PropTypes.string
+};
+
+export default SocialShareModal;
@@ -2,6 +2,7 @@ import React, { useState, useRef, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import '../../styles/components/TwitterShareModal.css';
 import { createPolaroidImage } from '../../utils/imageProcessing';
+import { resolveQRWatermarkOptions } from '../../utils/qrWatermark';
 // import { getPhotoHashtag } from '../../services/TwitterShare'; // Unused import
 import { themeConfigService } from '../../services/themeConfig';
 import { styleIdToDisplay } from '../../utils';
@@ -165,7 +166,7 @@ const TwitterShareModal = ({
               frameColor: 'transparent', // No polaroid background
               outputFormat: 'jpg', // Always use JPG for Twitter sharing
               // Add QR watermark for Twitter sharing (if enabled)
-              watermarkOptions: settings.sogniWatermark ? getQRWatermarkConfig(settings) : null
+              watermarkOptions: await resolveQRWatermarkOptions(settings, tezdevTheme)
             });
           } else {
             // For non-TezDev themes, use traditional polaroid frame
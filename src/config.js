@@ -27,6 +27,9 @@ const API = {
     twitter: {
       start: '/api/auth/x/start',
     },
+    socialShare: {
+      base: '/api/social-share',
+    },
     sogni: {
       base: '/api/sogni',
     }
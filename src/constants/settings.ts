@@ -322,6 +322,15 @@ const createDefaultSettings = (): Settings => {
     guidance: modelDefaults.guidance || 3,
     flashEnabled: true,
     keepOriginalPhoto: false,
+    // Photo-strip burst capture
+    burstMode: false,
+    burstShotCount: 4,
+    burstIntervalSeconds: 3,
+    burstLayout: 'strip' as const,
+    // Animated GIF export
+    gifFrameRate: 10,
+    gifPaletteSize: 128,
+    gifDithering: 'floyd-steinberg' as const,
     selectedStyle: "randomMix",
     positivePrompt: '',
     customSceneName: '',
@@ -343,6 +352,7 @@ const createDefaultSettings = (): Settings => {
     sogniWatermarkPosition: 'top-right' as const, // Default position
     qrCodeMarginStartsInsideFrame: false, // Default to margin from corner regardless of frame
     qrCodeUrl: 'https://qr.sogni.ai', // Default QR code URL
+    mobileShareTtl: '1h' as const, // Share links expire after 1 hour by default
     // Worker preferences
     requiredWorkers: [],
     preferWorkers: [],
@@ -414,14 +424,24 @@ export const TWITTER_SHARE_CONFIG = {
   DEFAULT_MESSAGE: "Just took my photo with the @sogni_protocol AI photobooth https://photobooth.sogni.ai",
 } as const;
 
+// QR watermark defaults, used when neither the settings nor the theme set a value
+export const QR_WATERMARK_DEFAULTS = {
+  size: 100,
+  margin: 26,
+  position: 'top-right',
+  url: 'https://qr.sogni.ai',
+  marginStartsInsideFrame: false,
+} as const;
+
 // QR Code watermark configuration - centralized settings for all QR watermark usage
+// (themes with a qrWatermark block override these - see utils/qrWatermark.js)
 export const getQRWatermarkConfig = (settings: Settings) => ({
-  size: settings.sogniWatermarkSize ?? 100,
-  margin: settings.sogniWatermarkMargin ?? 26,
-  position: settings.sogniWatermarkPosition ?? 'top-right',
+  size: settings.sogniWatermarkSize ?? QR_WATERMARK_DEFAULTS.size,
+  margin: settings.sogniWatermarkMargin ?? QR_WATERMARK_DEFAULTS.margin,
+  position: settings.sogniWatermarkPosition ?? QR_WATERMARK_DEFAULTS.position,
   opacity: 1.0, // Always 100% for maximum legibility
-  url: settings.qrCodeUrl || 'https://qr.sogni.ai', // URL to encode in QR code
-  marginStartsInsideFrame: settings.qrCodeMarginStartsInsideFrame ?? false, // Whether margin starts inside frame or from corner
+  url: settings.qrCodeUrl || QR_WATERMARK_DEFAULTS.url, // URL to encode in QR code
+  marginStartsInsideFrame: settings.qrCodeMarginStartsInsideFrame ?? QR_WATERMARK_DEFAULTS.marginStartsInsideFrame, // Whether margin starts inside frame or from corner
 });
 
 // Legacy static config for backward compatibility (deprecated - use getQRWatermarkConfig instead)
@@ -7,6 +7,7 @@ import { IMAGE_EDIT_PROMPTS_CATEGORY } from '../constants/editPrompts';
 import { getDefaultThemeGroupState } from '../constants/themeGroups';
 import promptsDataRaw from '../prompts.json';
 import { getEventThemeForDomain } from '../utils/eventDomains';
+import { isSettingLocked } from '../utils/kioskLockdown';
 
 // Helper function to check if a style is from the Christmas/Winter category
 const isWinterStyle = (styleKey: string): boolean => {
@@ -219,6 +220,13 @@ export const AppProvider: React.FC<{ children: React.ReactNode }> = ({ children
       guidance: modelSettings.guidance || DEFAULT_SETTINGS.guidance,
       flashEnabled: getSettingFromCookie('flashEnabled', DEFAULT_SETTINGS.flashEnabled),
       keepOriginalPhoto: getSettingFromCookie('keepOriginalPhoto', DEFAULT_SETTINGS.keepOriginalPhoto),
+      burstMode: getSettingFromCookie('burstMode', DEFAULT_SETTINGS.burstMode),
+      burstShotCount: getSettingFromCookie('burstShotCount', DEFAULT_SETTINGS.burstShotCount),
+      burstIntervalSeconds: getSettingFromCookie('burstIntervalSeconds', DEFAULT_SETTINGS.burstIntervalSeconds),
+      burstLayout: getSettingFromCookie('burstLayout', DEFAULT_SETTINGS.burstLayout),
+      gifFrameRate: getSettingFromCookie('gifFrameRate', DEFAULT_SETTINGS.gifFrameRate),
+      gifPaletteSize: getSettingFromCookie('gifPaletteSize', DEFAULT_SETTINGS.gifPaletteSize),
+      gifDithering: getSettingFromCookie('gifDithering', DEFAULT_SETTINGS.gifDithering),
       stylePrompt: getSettingFromCookie('stylePrompt', DEFAULT_SETTINGS.stylePrompt),
       negativePrompt: getSettingFromCookie('negativePrompt', DEFAULT_SETTINGS.negativePrompt),
       seed: getSettingFromCookie('seed', DEFAULT_SETTINGS.seed),
@@ -235,6 +243,7 @@ export const AppProvider: React.FC<{ children: React.ReactNode }> = ({ children
       sogniWatermarkSize: getSettingFromCookie('sogniWatermarkSize', DEFAULT_SETTINGS.sogniWatermarkSize),
       sogniWatermarkMargin: getSettingFromCookie('sogniWatermarkMargin', DEFAULT_SETTINGS.sogniWatermarkMargin),
       sogniWatermarkPosition: getSettingFromCookie('sogniWatermarkPosition', DEFAULT_SETTINGS.sogniWatermarkPosition),
+      mobileShareTtl: getSettingFromCookie('mobileShareTtl', DEFAULT_SETTINGS.mobileShareTtl),
       portraitType, // Include portraitType in settings
       // Worker preferences
       requiredWorkers: getSettingFromCookie('requiredWorkers', DEFAULT_SETTINGS.requiredWorkers),
@@ -293,6 +302,12 @@ export const AppProvider: React.FC<{ children: React.ReactNode }> = ({ children
         return;
       }
     }
+
+    // Guests can't move a locked-down kiosk off its theme or style
+    if (isSettingLocked(key, value)) {
+      console.log(`updateSetting: ${String(key)} is locked by kiosk lockdown, ignoring change`);
+      return;
+    }
     
     // Special handling for model changes
     if (key === 'selectedModel') {
@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import { generateBurst } from '../services/BurstGenerator';
+import { composeBurst, getBurstBranding } from '../utils/burstCompositor';
+import { blobToDataURL } from '../utils/imageProcessing';
+import { trackEvent } from '../utils/analytics';
+import { Photo, Settings } from '../types/index';
+
+// Style modes that pick a different prompt per photo, so there's no single prompt to record
+const MIXED_STYLE_MODES = ['custom', 'random', 'randomMix', 'oneOfEach', 'simplePick'];
+
+// Gallery photo fields the capture flow sets beyond Photo
+type BurstPhoto = Photo & {
+  sourceType: 'camera';
+  promptKey?: string;
+  originalStyleMode?: string;
+  framePadding: number;
+};
+
+type SogniClient = Parameters<typeof generateBurst>[0]['sogniClient'];
+
+interface UseBurstCaptureOptions {
+  shotCount?: number;
+  intervalSeconds?: number;
+  layout?: Settings['burstLayout'];
+  tezdevTheme: string;
+  selectedStyle: string;
+  setCountdown: (seconds: number) => void;
+  setPhotos: (updater: (prev: Photo[]) => Photo[]) => void;
+  showToast: (toast: { type: string; title: string; message: string; timeout?: number }) => void;
+}
+
+interface StyleBurstOptions {
+  sogniClient: SogniClient;
+  buildProjectConfig: (frame: ArrayBuffer) => Promise<Record<string, unknown>>;
+  /** Swaps the gallery over to the burst's placeholders before styling starts */
+  showPlaceholders: (photos: BurstPhoto[], dataUrls: string[]) => void;
+  onOutOfCredits?: () => void;
+}
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createBurstPlaceholders(burstId: string, dataUrls: string[], selectedStyle: string): BurstPhoto[] {
+  return dataUrls.map((dataUrl, index) => ({
+    id: `${burstId}-${index + 1}`,
+    burstId,
+    generating: true,
+    loading: true,
+    progress: 0,
+    images: [],
+    originalDataUrl: dataUrl,
+    newlyArrived: false,
+    statusText: `Shot ${index + 1} of ${dataUrls.length}`,
+    sourceType: 'camera',
+    promptKey: selectedStyle && !MIXED_STYLE_MODES.includes(selectedStyle) ? selectedStyle : undefined,
+    originalStyleMode: selectedStyle,
+    taipeiFrameNumber: (index % 6) + 1,
+    framePadding: 0
+  }));
+}
+
+/**
+ * Photo-strip burst: captures a few frames on a countdown, styles each one
+ * with BurstGenerator and adds the strip/grid composite to the gallery.
+ * Capture locking, auth checks and prompts stay with the caller.
+ */
+export function useBurstCapture({
+  shotCount,
+  intervalSeconds,
+  layout = 'strip',
+  tezdevTheme,
+  selectedStyle,
+  setCountdown,
+  setPhotos,
+  showToast
+}: UseBurstCaptureOptions) {
+  // { shot, total } while a burst is capturing
+  const [burstShot, setBurstShot] = useState<{ shot: number; total: number } | null>(null);
+
+  /**
+   * Take the burst's shots, counting down before each
+   * @param takeShot - Shutter effects and one frame from the camera (null if it failed)
+   * @returns The frames, or null if too few came out to make a strip
+   */
+  const captureBurst = async (takeShot: () => Promise<Blob | null>): Promise<Blob[] | null> => {
+    const total = Math.min(Math.max(shotCount || 4, 2), 4);
+    const frames: Blob[] = [];
+    try {
+      for (let shot = 1; shot <= total; shot++) {
+        setBurstShot({ shot, total });
+        // Full countdown before the first shot, the burst interval between the rest
+        for (let index = shot === 1 ? 3 : (intervalSeconds || 3); index > 0; index--) {
+          setCountdown(index);
+          await wait(1000);
+        }
+        setCountdown(0);
+        const frame = await takeShot();
+        if (frame) {
+          frames.push(frame);
+        }
+      }
+    } finally {
+      setCountdown(0);
+      setBurstShot(null);
+    }
+
+    trackEvent('Photo', 'burst_capture', selectedStyle, frames.length);
+
+    if (frames.length < 2) {
+      console.error(`[Burst] Only captured ${frames.length} of ${total} frames`);
+      showToast({
+        type: 'error',
+        title: 'Burst Failed',
+        message: 'Could not capture enough shots. Please try again.',
+        timeout: 5000
+      });
+      return null;
+    }
+    return frames;
+  };
+
+  // Composite the styled frames and add it after them, unless a newer capture replaced the burst
+  const addComposite = async (burstId: string, styledFrames: string[]) => {
+    try {
+      const branding = await getBurstBranding(tezdevTheme);
+      const composite = await composeBurst(styledFrames, { layout, branding });
+      const compositeUrl = URL.createObjectURL(composite);
+      const compositePhoto: BurstPhoto = {
+        id: `${burstId}-composite`,
+        burstId,
+        isBurstComposite: true,
+        generating: false,
+        loading: false,
+        images: [compositeUrl],
+        originalDataUrl: compositeUrl,
+        newlyArrived: true,
+        statusText: layout === 'grid' ? 'Photo Grid' : 'Photo Strip',
+        sourceType: 'camera',
+        taipeiFrameNumber: 1,
+        framePadding: 0
+      };
+      setPhotos(previous => {
+        if (!previous.some(photo => photo.burstId === burstId)) {
+          URL.revokeObjectURL(compositeUrl);
+          return previous;
+        }
+        return [...previous, compositePhoto];
+      });
+    } catch (error) {
+      console.error('[Burst] Failed to composite frames:', error);
+      showToast({
+        type: 'error',
+        title: 'Photo Strip Failed',
+        message: 'Your shots are ready, but the strip could not be made.',
+        timeout: 5000
+      });
+    }
+  };
+
+  /**
+   * Style each frame, then composite the results into one strip/grid
+   * @returns How many frames came back styled
+   */
+  const styleBurst = async (
+    frames: Blob[],
+    { sogniClient, buildProjectConfig, showPlaceholders, onOutOfCredits }: StyleBurstOptions
+  ): Promise<number> => {
+    const burstId = `burst-${Date.now()}`;
+    const dataUrls = await Promise.all(frames.map(frame => blobToDataURL(frame) as Promise<string>));
+    const placeholders = createBurstPlaceholders(burstId, dataUrls, selectedStyle);
+    showPlaceholders(placeholders, dataUrls);
+
+    const results = await generateBurst({
+      frames,
+      photoIds: placeholders.map(photo => photo.id),
+      sogniClient,
+      buildProjectConfig,
+      setPhotos,
+      onOutOfCredits
+    });
+
+    const styledFrames = results.filter((url): url is string => Boolean(url));
+    console.log(`[Burst] ${styledFrames.length} of ${frames.length} frames styled`);
+    if (styledFrames.length >= 2) {
+      await addComposite(burstId, styledFrames);
+    }
+    return styledFrames.length;
+  };
+
+  return { burstShot, captureBurst, styleBurst };
+}
@@ -0,0 +1,123 @@
+import { useEffect, useRef, useState, useCallback } from 'react';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'] as const;
+
+interface UseKioskIdleOptions {
+  /** Whether the kiosk is locked down (timers only run while it is) */
+  enabled: boolean;
+  /** Seconds without a touch before the guest session is wiped */
+  idleResetSeconds: number;
+  /** Seconds of "Still there?" warning before the reset */
+  resetWarningSeconds: number;
+  /** Whether the attract loop should play on the idle start menu */
+  attractEnabled: boolean;
+  /** Seconds idle on the start menu before the attract loop starts */
+  attractIdleSeconds: number;
+  /** Whether the start menu is showing */
+  onStartMenu: boolean;
+  /** Pauses the idle countdown (e.g. while photos are generating) */
+  busy: boolean;
+  /** Wipes the guest session */
+  onIdleReset: () => void;
+}
+
+/**
+ * Tracks guest activity on a locked-down kiosk.
+ * Once a guest has touched the screen, a stretch with no touches counts down
+ * to an idle reset (with a warning shown for the last few seconds). The
+ * attract loop starts after a quieter stretch on the start menu.
+ */
+export function useKioskIdle({
+  enabled,
+  idleResetSeconds,
+  resetWarningSeconds,
+  attractEnabled,
+  attractIdleSeconds,
+  onStartMenu,
+  busy,
+  onIdleReset
+}: UseKioskIdleOptions) {
+  const [showAttract, setShowAttract] = useState(false);
+  const [warningSecondsLeft, setWarningSecondsLeft] = useState<number | null>(null);
+  const lastActivityRef = useRef(Date.now());
+  // Whether a guest has used the kiosk since the last reset
+  const hasGuestRef = useRef(false);
+  const showAttractRef = useRef(false);
+  const onIdleResetRef = useRef(onIdleReset);
+  onIdleResetRef.current = onIdleReset;
+  showAttractRef.current = showAttract;
+
+  const dismissAttract = useCallback(() => {
+    lastActivityRef.current = Date.now();
+    setShowAttract(false);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) {
+      setShowAttract(false);
+      setWarningSecondsLeft(null);
+      return;
+    }
+
+    const handleActivity = () => {
+      lastActivityRef.current = Date.now();
+      hasGuestRef.current = true;
+      setWarningSecondsLeft(null);
+    };
+
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, handleActivity, { capture: true, passive: true }));
+    return () => {
+      ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, handleActivity, { capture: true }));
+    };
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const tick = () => {
+      const now = Date.now();
+      if (busy) {
+        // Waiting on results isn't idling
+        lastActivityRef.current = now;
+        setWarningSecondsLeft(null);
+        return;
+      }
+
+      const idleSeconds = (now - lastActivityRef.current) / 1000;
+
+      if (hasGuestRef.current && idleSeconds >= idleResetSeconds) {
+        console.log(`[Kiosk] No activity for ${idleResetSeconds}s, resetting guest session`);
+        hasGuestRef.current = false;
+        lastActivityRef.current = now;
+        setWarningSecondsLeft(null);
+        onIdleResetRef.current();
+        return;
+      }
+
+      // No countdown over the attract loop; nobody is looking at the screen
+      if (hasGuestRef.current && !showAttractRef.current && idleSeconds >= idleResetSeconds - resetWarningSeconds) {
+        setWarningSecondsLeft(Math.ceil(idleResetSeconds - idleSeconds));
+      } else {
+        setWarningSecondsLeft(null);
+      }
+
+      if (attractEnabled && onStartMenu && !showAttractRef.current && idleSeconds >= attractIdleSeconds) {
+        setShowAttract(true);
+      }
+    };
+
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [enabled, busy, idleResetSeconds, resetWarningSeconds, attractEnabled, attractIdleSeconds, onStartMenu]);
+
+  // Leaving the start menu (e.g. a deep link) ends the attract loop
+  useEffect(() => {
+    if (!onStartMenu) {
+      setShowAttract(false);
+    }
+  }, [onStartMenu]);
+
+  return { showAttract, dismissAttract, warningSecondsLeft };
+}
+
+export default useKioskIdle;
@@ -0,0 +1,137 @@
+import { useEffect, useRef, useState } from 'react';
+
+interface ApiClientLike {
+  on: (event: string, listener: (...args: unknown[]) => void) => unknown;
+  off?: (event: string, listener: (...args: unknown[]) => void) => void;
+}
+
+interface UseKioskRecoveryOptions {
+  /** Whether the kiosk is locked down (recovery only runs while it is) */
+  enabled: boolean;
+  /** Whether the camera should be streaming right now */
+  cameraExpected: boolean;
+  /** The live camera preview */
+  videoRef: React.RefObject<HTMLVideoElement | null>;
+  /** Restarts the camera stream */
+  restartCamera: () => Promise<void>;
+  /** Sogni client (its apiClient emits connected/disconnected) */
+  sogniClient: { apiClient?: ApiClientLike } | null;
+  /** Backend proxy connection state from services/api */
+  connectionState: string;
+  cameraRetrySeconds: number;
+  maxCameraRetries: number;
+  socketReloadSeconds: number;
+}
+
+const reloadPage = (reason: string) => {
+  // Reloading without a connection would strand the kiosk on the browser's offline page
+  if (!navigator.onLine) {
+    console.warn(`[Kiosk] ${reason}, but the device is offline; waiting before reloading`);
+    return false;
+  }
+  console.warn(`[Kiosk] ${reason}, reloading`);
+  window.location.reload();
+  return true;
+};
+
+/**
+ * Keeps an unattended kiosk working without staff.
+ * A dead camera stream (unplugged, stolen by another app, ended track) is
+ * restarted every few seconds and the page is reloaded if that keeps
+ * failing. A Sogni connection (frontend socket or backend proxy) that stays
+ * down for too long also reloads the page.
+ */
+export function useKioskRecovery({
+  enabled,
+  cameraExpected,
+  videoRef,
+  restartCamera,
+  sogniClient,
+  connectionState,
+  cameraRetrySeconds,
+  maxCameraRetries,
+  socketReloadSeconds
+}: UseKioskRecoveryOptions) {
+  const cameraFailuresRef = useRef(0);
+  const [socketDown, setSocketDown] = useState(false);
+  const restartCameraRef = useRef(restartCamera);
+  restartCameraRef.current = restartCamera;
+
+  useEffect(() => {
+    if (!enabled || !cameraExpected) {
+      cameraFailuresRef.current = 0;
+      return;
+    }
+
+    let restarting = false;
+    const checkCamera = async () => {
+      if (restarting) return;
+
+      const stream = videoRef.current?.srcObject as MediaStream | null | undefined;
+      const healthy = !!stream && stream.getVideoTracks().some(track => track.readyState === 'live');
+      if (healthy) {
+        cameraFailuresRef.current = 0;
+        return;
+      }
+
+      cameraFailuresRef.current += 1;
+      if (cameraFailuresRef.current > maxCameraRetries) {
+        if (reloadPage(`Camera failed ${maxCameraRetries} restarts`)) return;
+        cameraFailuresRef.current = 0;
+      }
+
+      console.warn(`[Kiosk] Camera stream is down, restarting (attempt ${cameraFailuresRef.current}/${maxCameraRetries})`);
+      restarting = true;
+      try {
+        await restartCameraRef.current();
+      } catch (error) {
+        console.error('[Kiosk] Camera restart failed:', error);
+      } finally {
+        restarting = false;
+      }
+    };
+
+    const interval = setInterval(() => void checkCamera(), cameraRetrySeconds * 1000);
+    return () => clearInterval(interval);
+  }, [enabled, cameraExpected, videoRef, cameraRetrySeconds, maxCameraRetries]);
+
+  // Frontend (logged-in) clients report their socket through the SDK's apiClient
+  useEffect(() => {
+    const apiClient = sogniClient?.apiClient;
+    setSocketDown(false);
+    if (!enabled || !apiClient || typeof apiClient.on !== 'function') return;
+
+    const handleDisconnected = () => setSocketDown(true);
+    const handleConnected = () => setSocketDown(false);
+    apiClient.on('disconnected', handleDisconnected);
+    apiClient.on('connected', handleConnected);
+
+    return () => {
+      if (typeof apiClient.off === 'function') {
+        apiClient.off('disconnected', handleDisconnected);
+        apiClient.off('connected', handleConnected);
+      }
+    };
+  }, [enabled, sogniClient]);
+
+  const connectionDown = socketDown || connectionState === 'timeout';
+
+  useEffect(() => {
+    if (!enabled || !connectionDown) return;
+
+    console.warn(`[Kiosk] Sogni connection lost, reloading in ${socketReloadSeconds}s unless it comes back`);
+    let reloadTimer: ReturnType<typeof setTimeout>;
+    const scheduleReload = () => {
+      reloadTimer = setTimeout(() => {
+        if (!reloadPage(`Sogni connection down for ${socketReloadSeconds}s`)) {
+          scheduleReload();
+        }
+      }, socketReloadSeconds * 1000);
+    };
+    scheduleReload();
+
+    return () => clearTimeout(reloadTimer);
+  }, [enabled, connectionDown, socketReloadSeconds]);
+}
+
+export default useKioskRecovery;
@@ -6,7 +6,11 @@
  */
 
 import { useState, useCallback, useEffect, useRef } from 'react';
-import type { LocalProject, LocalProjectsState } from '../types/localProjects';
+import type {
+  LocalProject,
+  LocalProjectImagePreview,
+  LocalProjectsState
+} from '../types/localProjects';
 import {
   getAllProjects,
   getProject,
@@ -19,8 +23,20 @@ import {
   getImage,
   isIndexedDBSupported,
   createImageBlobUrl,
-  reorderProjectImages as dbReorderImages
+  reorderProjectImages as dbReorderImages,
+  getProjectImagePreviews,
+  getProjectThumbnailUrl,
+  markProjectAccessed,
+  backfillThumbnails,
+  getEvictionSuggestions as dbGetEvictionSuggestions,
+  getStorageStats
 } from '../utils/localProjectsDB';
+import { requestPersistentStorage } from '../utils/storageQuota';
+import {
+  exportLocalProjectZip,
+  importLocalProjectZip,
+  type LocalProjectImportResult
+} from '../utils/localProjectArchive';
 
 interface UseLocalProjectsReturn extends LocalProjectsState {
   /** Create a new local project with the given name */
@@ -34,23 +50,31 @@ interface UseLocalProjectsReturn extends LocalProjectsState {
     added: number;
     skipped: number;
     error?: string;
+    /** True when the browser ran out of storage part way through */
+    quotaExceeded?: boolean;
   }>;
   /** Delete a single image from a project */
   deleteImage: (imageId: string) => Promise<boolean>;
   /** Get all images for a project as blob URLs (for loading into gallery) */
-  getProjectImageUrls: (projectId: string) => Promise<Array<{
-    id: string;
-    url: string;
-    width: number;
-    height: number;
-    filename: string;
-  }>>;
+  getProjectImageUrls: (projectId: string) => Promise<LocalProjectImagePreview[]>;
+  /** Get thumbnail URLs for a project's images (for lists - never loads full images once generated) */
+  getProjectPreviewUrls: (projectId: string) => Promise<LocalProjectImagePreview[]>;
+  /** Get a full-size blob URL for a single image */
+  getImageUrl: (imageId: string) => Promise<string | null>;
   /** Get a single project by ID */
   getProject: (projectId: string) => Promise<LocalProject | null>;
   /** Get thumbnail URL for a project */
   getThumbnailUrl: (project: LocalProject) => Promise<string | null>;
   /** Reorder images within a project */
   reorderImages: (projectId: string, newOrder: string[]) => Promise<boolean>;
+  /** Download a project as a zip archive (to move it to another device) */
+  exportProject: (projectId: string) => Promise<boolean>;
+  /** Restore a project archive as a new local project (throws if the archive is invalid) */
+  importProject: (file: File) => Promise<LocalProjectImportResult>;
+  /** Least recently used projects to offer for deletion when storage is full */
+  getEvictionSuggestions: (bytesNeeded?: number, excludeProjectId?: string) => Promise<LocalProject[]>;
+  /** Storage usage for local projects plus the browser's quota estimate */
+  getStorageInfo: typeof getStorageStats;
   /** Refresh the projects list from IndexedDB */
   refresh: () => Promise<void>;
   /** Whether IndexedDB is supported in this browser */
@@ -99,10 +123,16 @@ export function useLocalProjects(): UseLocalProjectsReturn {
     }
   }, [isSupported]);
 
-  // Load projects on mount
+  // Load projects on mount, then fill in any missing thumbnails in the background
   useEffect(() => {
-    loadProjects();
-  }, [loadProjects]);
+    loadProjects().then(() => {
+      if (isSupported) {
+        return backfillThumbnails();
+      }
+    }).catch((error) => {
+      console.error('[useLocalProjects] Failed to backfill thumbnails:', error);
+    });
+  }, [loadProjects, isSupported]);
 
   // Create a new project
   const createProject = useCallback(async (name: string): Promise<LocalProject | null> => {
@@ -110,6 +140,7 @@ export function useLocalProjects(): UseLocalProjectsReturn {
 
     try {
       const project = await dbCreateProject(name);
+      void requestPersistentStorage();
 
       // Add to state immediately
       setState(prev => ({
@@ -176,12 +207,13 @@ export function useLocalProjects(): UseLocalProjectsReturn {
   const addImages = useCallback(async (
     projectId: string,
     files: File[]
-  ): Promise<{ added: number; skipped: number; error?: string }> => {
+  ): Promise<{ added: number; skipped: number; error?: string; quotaExceeded?: boolean }> => {
     if (!isSupported) {
       return { added: 0, skipped: files.length, error: 'IndexedDB not supported' };
     }
 
     try {
+      void requestPersistentStorage();
       const result = await dbAddImages(projectId, files);
 
       // Refresh project in state to get updated imageIds
@@ -201,7 +233,8 @@ export function useLocalProjects(): UseLocalProjectsReturn {
       return {
         added: result.added.length,
         skipped: result.skipped,
-        error: result.error
+        error: result.error,
+        quotaExceeded: result.quotaExceeded
       };
     } catch (error) {
       console.error('[useLocalProjects] Failed to add images:', error);
@@ -248,11 +281,12 @@ export function useLocalProjects(): UseLocalProjectsReturn {
   // Get all project images as blob URLs
   const getProjectImageUrls = useCallback(async (
     projectId: string
-  ): Promise<Array<{ id: string; url: string; width: number; height: number; filename: string }>> => {
+  ): Promise<LocalProjectImagePreview[]> => {
     if (!isSupported) return [];
 
     try {
       const images = await getProjectImages(projectId);
+      markProjectAccessed(projectId).catch(() => {});
 
       return images.map(img => ({
         id: img.id,
@@ -267,6 +301,44 @@ export function useLocalProjects(): UseLocalProjectsReturn {
     }
   }, [isSupported]);
 
+  // Get project images as thumbnail blob URLs (for carousels and edit grids)
+  const getProjectPreviewUrls = useCallback(async (
+    projectId: string
+  ): Promise<LocalProjectImagePreview[]> => {
+    if (!isSupported) return [];
+
+    try {
+      const previews = await getProjectImagePreviews(projectId);
+
+      return previews.map(preview => ({
+        id: preview.id,
+        url: URL.createObjectURL(preview.blob),
+        width: preview.width,
+        height: preview.height,
+        filename: preview.filename
+      }));
+    } catch (error) {
+      console.error('[useLocalProjects] Failed to get project previews:', error);
+      return [];
+    }
+  }, [isSupported]);
+
+  // Get a full-size blob URL for one image
+  const getImageUrl = useCallback(async (imageId: string): Promise<string | null> => {
+    if (!isSupported) return null;
+
+    try {
+      const image = await getImage(imageId);
+      if (!image) return null;
+
+      markProjectAccessed(image.projectId).catch(() => {});
+      return createImageBlobUrl(image);
+    } catch (error) {
+      console.error('[useLocalProjects] Failed to get image:', error);
+      return null;
+    }
+  }, [isSupported]);
+
   // Get a single project
   const getProjectHandler = useCallback(async (projectId: string): Promise<LocalProject | null> => {
     if (!isSupported) return null;
@@ -288,10 +360,9 @@ export function useLocalProjects(): UseLocalProjectsReturn {
     if (cached) return cached;
 
     try {
-      const image = await getImage(project.thumbnailId);
-      if (!image) return null;
+      const url = await getProjectThumbnailUrl(project);
+      if (!url) return null;
 
-      const url = createImageBlobUrl(image);
       thumbnailUrlCache.set(project.id, url);
       return url;
     } catch (error) {
@@ -331,6 +402,45 @@ export function useLocalProjects(): UseLocalProjectsReturn {
     }
   }, [isSupported]);
 
+  // Least recently used projects that would free up space
+  const getEvictionSuggestions = useCallback(async (
+    bytesNeeded?: number,
+    excludeProjectId?: string
+  ): Promise<LocalProject[]> => {
+    if (!isSupported) return [];
+
+    try {
+      return await dbGetEvictionSuggestions(bytesNeeded, excludeProjectId);
+    } catch (error) {
+      console.error('[useLocalProjects] Failed to get eviction suggestions:', error);
+      return [];
+    }
+  }, [isSupported]);
+
+  // Export a project as a zip archive
+  const exportProject = useCallback(async (projectId: string): Promise<boolean> => {
+    if (!isSupported) return false;
+    return exportLocalProjectZip(projectId);
+  }, [isSupported]);
+
+  // Import a project archive as a new project
+  const importProject = useCallback(async (file: File): Promise<LocalProjectImportResult> => {
+    if (!isSupported) {
+      throw new Error('IndexedDB not supported');
+    }
+
+    void requestPersistentStorage();
+    const result = await importLocalProjectZip(file);
+
+    // Add to state immediately
+    setState(prev => ({
+      ...prev,
+      projects: [result.project, ...prev.projects]
+    }));
+
+    return result;
+  }, [isSupported]);
+
   // Refresh projects list
   const refresh = useCallback(async () => {
     await loadProjects();
@@ -344,9 +454,15 @@ export function useLocalProjects(): UseLocalProjectsReturn {
     addImages,
     deleteImage: deleteImageHandler,
     getProjectImageUrls,
+    getProjectPreviewUrls,
+    getImageUrl,
     getProject: getProjectHandler,
     getThumbnailUrl,
     reorderImages,
+    exportProject,
+    importProject,
+    getEvictionSuggestions,
+    getStorageInfo: getStorageStats,
     refresh,
     isSupported
   };
@@ -0,0 +1,199 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { checkConnectivity } from '../services/api';
+import {
+  deleteOfflineCapture,
+  getOfflineCaptures,
+  isOfflineCaptureDBSupported,
+  saveOfflineCapture,
+  type OfflineCapture
+} from '../utils/offlineCaptureDB';
+
+/** Background Sync tag; public/sw.js listens for the same tag */
+export const OFFLINE_CAPTURE_SYNC_TAG = 'offline-captures';
+/** Message public/sw.js posts to open windows when the browser fires the sync */
+const SYNC_MESSAGE_TYPE = 'offline-captures-sync';
+
+// Foreground retry while captures are waiting (Background Sync isn't everywhere)
+const RETRY_INTERVAL_MS = 30 * 1000;
+// Give up waiting for a submitted batch to show as generating after this long
+const BATCH_START_GRACE_MS = 10 * 1000;
+// Wait after a capture fails to generate, doubling per failure (out of credits, project errors...)
+const FAILED_RETRY_BASE_MS = 30 * 1000;
+const FAILED_RETRY_MAX_MS = 5 * 60 * 1000;
+// After this many failed submits a capture is marked failed and the queue moves on
+const MAX_FAILED_ATTEMPTS = 3;
+
+type SyncCapableRegistration = ServiceWorkerRegistration & {
+  sync?: { register: (tag: string) => Promise<void> };
+};
+
+async function registerBackgroundSync(): Promise<void> {
+  try {
+    // getRegistration (unlike .ready) resolves even when no worker is registered, e.g. in local dev
+    const registration = await navigator.serviceWorker?.getRegistration() as SyncCapableRegistration | undefined;
+    if (registration?.sync) {
+      await registration.sync.register(OFFLINE_CAPTURE_SYNC_TAG);
+      console.log('[Offline Queue] Background sync registered');
+    }
+  } catch (error) {
+    console.warn('[Offline Queue] Background sync unavailable, relying on foreground retry:', error);
+  }
+}
+
+interface UseOfflineCaptureQueueOptions {
+  /** Whether a queued capture may start a batch now (nothing generating, no capture in progress) */
+  canSubmit: boolean;
+  /** Sends one capture through the normal generate path; resolves false if the batch didn't start */
+  submitCapture: (capture: OfflineCapture) => Promise<boolean>;
+}
+
+/**
+ * Holds photos taken while offline in IndexedDB and submits them, oldest
+ * first and one batch at a time, once the connection is back. Submission is
+ * triggered by the browser's Background Sync (relayed by the service worker),
+ * the window's online event, or a foreground retry timer. A capture that keeps
+ * failing is marked failed and skipped until it's retried or discarded.
+ */
+export function useOfflineCaptureQueue({ canSubmit, submitCapture }: UseOfflineCaptureQueueOptions) {
+  const [captures, setCaptures] = useState<OfflineCapture[]>([]);
+  const [syncRequests, setSyncRequests] = useState(0);
+  const submittingRef = useRef(false);
+  // Set after a submit until its batch shows up as generating
+  const awaitingBatchRef = useRef(false);
+  const nextAttemptAtRef = useRef(0);
+  const submitCaptureRef = useRef(submitCapture);
+  submitCaptureRef.current = submitCapture;
+
+  const requestSync = useCallback(() => {
+    setSyncRequests(count => count + 1);
+  }, []);
+
+  // Restore captures left over from an earlier visit
+  useEffect(() => {
+    if (!isOfflineCaptureDBSupported()) return;
+    void getOfflineCaptures().then(stored => {
+      if (stored.length > 0) {
+        console.log(`[Offline Queue] ${stored.length} capture(s) waiting from an earlier visit`);
+        setCaptures(stored);
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    const handleMessage = (event: MessageEvent) => {
+      if ((event.data as { type?: string } | null)?.type === SYNC_MESSAGE_TYPE) {
+        requestSync();
+      }
+    };
+
+    window.addEventListener('online', requestSync);
+    navigator.serviceWorker?.addEventListener('message', handleMessage);
+    return () => {
+      window.removeEventListener('online', requestSync);
+      navigator.serviceWorker?.removeEventListener('message', handleMessage);
+    };
+  }, [requestSync]);
+
+  const pendingCount = captures.filter(capture => !capture.failed).length;
+
+  useEffect(() => {
+    if (pendingCount === 0) return;
+    const timer = setInterval(requestSync, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [pendingCount, requestSync]);
+
+  // Keep a capture's failure count (and whether we gave up on it) across reloads
+  const updateCapture = useCallback(async (updated: OfflineCapture) => {
+    setCaptures(previous => previous.map(capture => (capture.id === updated.id ? updated : capture)));
+    await saveOfflineCapture(updated).catch(error => {
+      console.warn(`[Offline Queue] Could not store the state of capture ${updated.id}:`, error);
+    });
+  }, []);
+
+  // Submit the oldest capture that hasn't failed whenever nothing else is generating
+  useEffect(() => {
+    if (!canSubmit) {
+      awaitingBatchRef.current = false;
+      return;
+    }
+    const next = captures.find(capture => !capture.failed);
+    if (!next || submittingRef.current || awaitingBatchRef.current || !navigator.onLine
+      || Date.now() < nextAttemptAtRef.current) {
+      return;
+    }
+
+    submittingRef.current = true;
+    void (async () => {
+      try {
+        if (!await checkConnectivity()) {
+          return;
+        }
+        console.log(`[Offline Queue] Submitting capture ${next.id}`);
+        if (!await submitCaptureRef.current(next)) {
+          const failedAttempts = (next.failedAttempts || 0) + 1;
+          if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+            // Keep the shot stored for a manual retry, and let the captures behind it go
+            console.warn(`[Offline Queue] Capture ${next.id} failed ${failedAttempts} times, moving on to the next one`);
+            nextAttemptAtRef.current = 0;
+            await updateCapture({ ...next, failedAttempts, failed: true });
+            return;
+          }
+          // Keep the shot stored and back off; the retry timer picks it up again
+          const delay = Math.min(FAILED_RETRY_BASE_MS * 2 ** (failedAttempts - 1), FAILED_RETRY_MAX_MS);
+          nextAttemptAtRef.current = Date.now() + delay;
+          console.warn(`[Offline Queue] Capture ${next.id} failed to generate, retrying in ${Math.round(delay / 1000)}s`);
+          await updateCapture({ ...next, failedAttempts });
+          return;
+        }
+        nextAttemptAtRef.current = 0;
+        awaitingBatchRef.current = true;
+        setTimeout(() => {
+          awaitingBatchRef.current = false;
+          requestSync();
+        }, BATCH_START_GRACE_MS);
+
+        await deleteOfflineCapture(next.id).catch(error => {
+          console.warn('[Offline Queue] Submitted capture could not be removed from storage:', error);
+        });
+        setCaptures(previous => previous.filter(capture => capture.id !== next.id));
+      } catch (error) {
+        console.warn(`[Offline Queue] Capture ${next.id} not submitted, will retry:`, error);
+      } finally {
+        submittingRef.current = false;
+      }
+    })();
+  }, [canSubmit, captures, syncRequests, requestSync, updateCapture]);
+
+  const queueCapture = useCallback(async (capture: Omit<OfflineCapture, 'id' | 'createdAt'>) => {
+    const queued: OfflineCapture = {
+      ...capture,
+      id: `offline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: Date.now()
+    };
+    await saveOfflineCapture(queued);
+    setCaptures(previous => [...previous, queued]);
+    void registerBackgroundSync();
+    return queued;
+  }, []);
+
+  const discardCapture = useCallback(async (id: string) => {
+    await deleteOfflineCapture(id);
+    setCaptures(previous => previous.filter(capture => capture.id !== id));
+  }, []);
+
+  // Give a failed capture a fresh set of attempts, right away
+  const retryCapture = useCallback(async (id: string) => {
+    const capture = captures.find(queued => queued.id === id);
+    if (!capture) return;
+    nextAttemptAtRef.current = 0;
+    await updateCapture({ ...capture, failedAttempts: 0, failed: false });
+    requestSync();
+  }, [captures, updateCapture, requestSync]);
+
+  return {
+    queuedCaptures: captures,
+    queueCapture,
+    discardCapture,
+    retryCapture
+  };
+}
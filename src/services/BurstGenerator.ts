@@ -0,0 +1,170 @@
+/**
+ * Burst Generator Service
+ *
+ * Styles every frame of a photo-strip burst. Each frame is its own
+ * one-image project on the same client (and so the same /sogni/generate
+ * flow) as a regular capture, with the project config built by the app
+ * from the current style settings. Follows the event pattern of
+ * CameraAngleGenerator.ts.
+ */
+
+/* eslint-disable @typescript-eslint/no-unsafe-assignment */
+/* eslint-disable @typescript-eslint/no-unsafe-member-access */
+/* eslint-disable @typescript-eslint/no-unsafe-call */
+/* eslint-disable @typescript-eslint/no-unsafe-argument */
+/* eslint-disable @typescript-eslint/no-explicit-any */
+
+import { Photo } from '../types/index';
+
+type SogniClient = {
+  projects: {
+    create: (params: Record<string, unknown>) => Promise<any>;
+  };
+};
+
+interface GenerateBurstOptions {
+  /** Captured frames, in shot order */
+  frames: Blob[];
+  /** Gallery photo id for each frame's placeholder */
+  photoIds: Photo['id'][];
+  sogniClient: SogniClient;
+  /** Builds the project config for one frame from the current settings */
+  buildProjectConfig: (frame: ArrayBuffer) => Promise<Record<string, unknown>>;
+  setPhotos: (updater: (prev: Photo[]) => Photo[]) => void;
+  onOutOfCredits?: () => void;
+}
+
+// One styled frame shouldn't take longer than this
+const FRAME_TIMEOUT_MS = 3 * 60 * 1000;
+
+const isInsufficientFunds = (error: any) => (
+  error?.code === 4024 || String(error?.message || error?.error || '').toLowerCase().includes('insufficient')
+);
+
+/**
+ * Submit one frame and keep its gallery placeholder up to date
+ * @returns Once the project is created, a promise for the styled image URL
+ *   (null if the frame failed)
+ */
+async function startBurstFrame(
+  frame: Blob,
+  photoId: Photo['id'],
+  shot: string,
+  { sogniClient, buildProjectConfig, setPhotos, onOutOfCredits }: Omit<GenerateBurstOptions, 'frames' | 'photoIds'>
+): Promise<{ result: Promise<string | null> }> {
+  // Placeholders that finished (or were cleared by a new capture) stay as they are
+  const updatePhoto = (changes: Partial<Photo>) => {
+    setPhotos(prev => prev.map(photo => (
+      photo.id === photoId && photo.generating ? { ...photo, ...changes } : photo
+    )));
+  };
+
+  const fail = (message: string) => {
+    console.error(`[Burst] ${shot} failed:`, message);
+    updatePhoto({ generating: false, loading: false, error: message, statusText: 'Failed' });
+    return null;
+  };
+
+  let project: any;
+  try {
+    const projectConfig = await buildProjectConfig(await frame.arrayBuffer());
+    project = await sogniClient.projects.create(projectConfig);
+  } catch (createError: any) {
+    if (isInsufficientFunds(createError)) {
+      onOutOfCredits?.();
+      return { result: Promise.resolve(fail('Insufficient credits')) };
+    }
+    return { result: Promise.resolve(fail(createError?.message || 'Failed to create project')) };
+  }
+
+  updatePhoto({ statusText: `${shot}: Calling Art Robot` });
+
+  const result = new Promise<string | null>(resolve => {
+    const ourProjectId = project.id;
+    let ourJobId: string | null = null;
+    let settled = false;
+
+    const finish = (resultUrl: string | null, errorMessage?: string) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutId);
+      resolve(resultUrl ?? fail(errorMessage || 'Generation failed'));
+    };
+
+    const timeoutId = setTimeout(() => finish(null, 'Generation timed out'), FRAME_TIMEOUT_MS);
+
+    project.on('job', (event: any) => {
+      if (event.projectId && event.projectId !== ourProjectId) return;
+
+      if (event.type === 'started' && event.jobId) {
+        ourJobId = event.jobId;
+        updatePhoto({ statusText: `${shot}: Processing` });
+      }
+
+      if (event.type === 'progress' && event.progress !== undefined) {
+        const progress = Math.floor((typeof event.progress === 'number' ? event.progress : 0) * 100);
+        updatePhoto({ progress, statusText: `${shot}: ${progress}%` });
+      }
+
+      if (event.type === 'queued' && event.queuePosition !== undefined) {
+        updatePhoto({ statusText: `${shot}: ${event.queuePosition === 1 ? 'Next in line' : `Queue #${event.queuePosition}`}` });
+      }
+    });
+
+    project.on('jobCompleted', (job: any) => {
+      const urlProjectId = job.resultUrl?.match(/\/([A-F0-9-]{36})\/complete-/i)?.[1];
+      if (urlProjectId && urlProjectId !== ourProjectId) return;
+      if (ourJobId && job.id !== ourJobId) return;
+
+      if (!job.resultUrl) {
+        finish(null, job.isNSFW ? 'Filtered by content safety' : 'No image returned');
+        return;
+      }
+
+      const preloadImage = new Image();
+      preloadImage.onload = () => {
+        updatePhoto({
+          generating: false,
+          loading: false,
+          progress: 100,
+          images: [job.resultUrl],
+          newlyArrived: true,
+          statusText: shot
+        });
+        finish(job.resultUrl);
+      };
+      preloadImage.onerror = () => finish(null, 'Image failed to load');
+      preloadImage.src = job.resultUrl;
+    });
+
+    project.on('jobFailed', (error: any) => {
+      if (isInsufficientFunds(error)) {
+        onOutOfCredits?.();
+      }
+      finish(null, error?.message || error?.error || 'Generation failed');
+    });
+
+    project.on('failed', (error: any) => finish(null, error?.message || 'Generation failed'));
+    project.on('error', (error: any) => finish(null, error?.message || 'Generation error'));
+  });
+
+  return { result };
+}
+
+/**
+ * Style all frames of a burst. Frames are submitted one after another and
+ * render in parallel; each placeholder photo updates as its frame finishes.
+ * @returns Styled image URL per frame (null where a frame failed)
+ */
+export async function generateBurst({ frames, photoIds, ...options }: GenerateBurstOptions): Promise<(string | null)[]> {
+  const pending: Promise<string | null>[] = [];
+  for (let index = 0; index < frames.length; index++) {
+    const { result } = await startBurstFrame(frames[index], photoIds[index], `Shot ${index + 1} of ${frames.length}`, options);
+    pending.push(result);
+  }
+  return Promise.all(pending);
+}
+
+export default {
+  generateBurst
+};
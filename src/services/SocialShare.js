@@ -0,0 +1,249 @@
+/**
+ * SocialShare.js
+ * Posting to Bluesky and Mastodon through the backend (/api/social-share).
+ * X keeps its own flow in TwitterShare.js; both post the same rendered image.
+ */
+import config from '../config';
+import { themeConfigService } from './themeConfig';
+import { createShareImage } from './TwitterShare';
+
+// Shown in the share menu; limits and connection state come from the backend
+export const SOCIAL_SHARE_PROVIDERS = [
+  { id: 'bluesky', name: 'Bluesky', icon: '🦋' },
+  { id: 'mastodon', name: 'Mastodon', icon: '🐘' }
+];
+
+const MASTODON_INSTANCE_KEY = 'sogni_mastodon_instance';
+
+const apiUrl = (path) => `${config.API.baseUrl}${config.API.endpoints.socialShare.base}${path}`;
+
+const shareError = (code, message) => Object.assign(new Error(message), { code });
+
+const requestJson = async (path, options = {}) => {
+  const response = await fetch(apiUrl(path), {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+    credentials: 'include' // The connected account is tied to the session cookie
+  });
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch (e) {
+    // Non-JSON error page from a proxy; fall through with the status
+  }
+  if (!response.ok || data.success === false) {
+    throw shareError(data.code || `HTTP_${response.status}`, data.message || 'Sharing is not available right now. Please try again.');
+  }
+  return data;
+};
+
+/**
+ * Get the share providers and which of them this browser has connected
+ * @returns {Promise<Array<{id: string, name: string, authType: string, maxPostLength: number, supportsVideo: boolean, connected: boolean, account: string|null}>>}
+ */
+export const fetchShareProviders = async () => (await requestJson('/providers')).providers;
+
+/**
+ * Connect an app-password provider (Bluesky). The password is only used to
+ * sign in; the backend keeps the session tokens, not the password.
+ * @param {string} providerId - Provider ID
+ * @param {Object} credentials
+ * @param {string} credentials.identifier - Handle or email
+ * @param {string} credentials.password - App password
+ * @returns {Promise<{account: string}>}
+ */
+export const connectShareProvider = (providerId, { identifier, password }) =>
+  requestJson(`/${providerId}/connect`, {
+    method: 'POST',
+    body: JSON.stringify({ identifier, password })
+  });
+
+/**
+ * Forget the connected account for a provider
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<void>}
+ */
+export const disconnectShareProvider = async (providerId) => {
+  await requestJson(`/${providerId}/session`, { method: 'DELETE' });
+};
+
+/**
+ * Starting message for a post: the theme's tweet template, so every network
+ * gets the same copy as X
+ * @param {Object} params
+ * @param {string} [params.tezdevTheme='off'] - TezDev theme or 'off'
+ * @param {string} [params.styleTag=''] - Style hashtag without '#'
+ * @param {boolean} [params.isVideo=false] - Say "video" instead of "photo"
+ * @returns {Promise<string>}
+ */
+export const getShareMessage = async ({ tezdevTheme = 'off', styleTag = '', isVideo = false }) => {
+  let message = await themeConfigService.getTweetTemplate(tezdevTheme, styleTag);
+  // Without a theme the default template has no style placeholder
+  if (tezdevTheme === 'off' && styleTag && !message.includes(`#${styleTag}`)) {
+    message = `${message} #${styleTag}`;
+  }
+  return isVideo ? message.replace(/\bphoto\b/gi, 'video') : message;
+};
+
+/**
+ * The Mastodon server this browser used last
+ * @returns {string}
+ */
+export const getSavedMastodonInstance = () => {
+  try {
+    return localStorage.getItem(MASTODON_INSTANCE_KEY) || '';
+  } catch (e) {
+    return '';
+  }
+};
+
+const saveMastodonInstance = (instance) => {
+  try {
+    localStorage.setItem(MASTODON_INSTANCE_KEY, instance);
+  } catch (e) {
+    // Private mode; the user just types it again next time
+  }
+};
+
+const openAuthPopup = () => {
+  const width = 600;
+  const height = 700;
+  const left = window.innerWidth / 2 - width / 2 + window.screenX;
+  const top = window.innerHeight / 2 - height / 2 + window.screenY;
+  try {
+    return window.open('', 'social-share-popup', `width=${width},height=${height},left=${left},top=${top},location=yes,resizable=yes,scrollbars=yes`);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Resolves with the post once the OAuth popup reports back
+const waitForPopupResult = (popup, providerId) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    window.removeEventListener('message', handleMessage);
+    clearInterval(closedCheck);
+  };
+
+  const handleMessage = (event) => {
+    if (!event.data || event.data.service !== providerId) return;
+    if (event.data.type === 'social-share-success') {
+      cleanup();
+      resolve({ postUrl: event.data.postUrl });
+    } else if (event.data.type === 'social-share-error') {
+      cleanup();
+      reject(shareError('SHARE_FAILED', event.data.message));
+    }
+  };
+
+  const closedCheck = setInterval(() => {
+    if (popup.closed) {
+      cleanup();
+      reject(shareError('AUTH_CANCELLED', 'The sign-in window was closed before sharing finished.'));
+    }
+  }, 1000);
+
+  window.addEventListener('message', handleMessage);
+});
+
+/**
+ * Post a photo (or its video) to a provider
+ * For OAuth providers that aren't connected yet, call this straight from the
+ * click handler: the sign-in popup has to open before anything is awaited.
+ * @param {Object} params
+ * @param {Object} params.provider - Entry from fetchShareProviders()
+ * @param {Object} params.photo - Photo object to share
+ * @param {string} params.message - Post text
+ * @param {string} [params.shareUrl] - Link appended to the post
+ * @param {string} [params.instance] - Mastodon server, for OAuth providers
+ * @param {string} [params.altText] - Image description
+ * @param {string} [params.tezdevTheme='off'] - TezDev theme or 'off'
+ * @param {string} [params.aspectRatio] - Aspect ratio of the image
+ * @param {boolean} [params.sogniWatermark=true] - Whether to include Sogni watermark
+ * @param {number} [params.sogniWatermarkSize=100] - Size of the QR watermark
+ * @param {number} [params.sogniWatermarkMargin=26] - Margin of the QR watermark from edge
+ * @returns {Promise<{postUrl: string}>}
+ */
+export const shareToSocialProvider = async ({
+  provider,
+  photo,
+  message,
+  shareUrl = null,
+  instance = '',
+  altText = '',
+  tezdevTheme = 'off',
+  aspectRatio = null,
+  sogniWatermark = true,
+  sogniWatermarkSize = 100,
+  sogniWatermarkMargin = 26
+}) => {
+  const needsSignIn = provider.authType === 'oauth' && !provider.connected;
+  const popup = needsSignIn ? openAuthPopup() : null;
+  if (needsSignIn && (!popup || popup.closed)) {
+    throw shareError('POPUP_BLOCKED', `Your browser blocked the ${provider.name} sign-in window. Allow pop-ups for this site and try again.`);
+  }
+
+  try {
+    if (popup) {
+      popup.document.write(`<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Preparing share…</title></head><body style="font-family:sans-serif;display:flex;justify-content:center;align-items:center;height:100vh;margin:0;color:#333">Preparing your image and opening ${provider.name}…</body></html>`);
+      popup.document.close();
+    }
+  } catch (e) {
+    // Ignore if we cannot write (rare cross-origin timing); continue
+  }
+
+  try {
+    const isVideo = !!photo.videoUrl;
+    const imageUrl = await createShareImage(photo, {
+      tezdevTheme,
+      aspectRatio,
+      sogniWatermark,
+      sogniWatermarkSize,
+      sogniWatermarkMargin
+    });
+
+    const result = await requestJson(`/${provider.id}/share`, {
+      method: 'POST',
+      body: JSON.stringify({
+        imageUrl,
+        videoUrl: isVideo ? photo.videoUrl : null,
+        isVideo,
+        message,
+        // Theme templates that already link back don't need a second link
+        shareUrl: /https?:\/\//.test(message) ? null : shareUrl,
+        instance,
+        altText
+      })
+    });
+
+    if (instance) {
+      saveMastodonInstance(instance);
+    }
+
+    if (result.postUrl) {
+      if (popup && !popup.closed) popup.close();
+      return { postUrl: result.postUrl };
+    }
+    if (!result.authUrl || !popup) {
+      throw shareError('AUTH_REQUIRED', `Connect your ${provider.name} account first.`);
+    }
+
+    popup.location.href = result.authUrl;
+    const post = await waitForPopupResult(popup, provider.id);
+    if (!popup.closed) popup.close();
+    return post;
+  } catch (error) {
+    if (popup && !popup.closed) popup.close();
+    throw error;
+  }
+};
+
+export default {
+  SOCIAL_SHARE_PROVIDERS,
+  fetchShareProviders,
+  connectShareProvider,
+  disconnectShareProvider,
+  getShareMessage,
+  getSavedMastodonInstance,
+  shareToSocialProvider
+};
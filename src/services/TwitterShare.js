@@ -5,6 +5,7 @@
 import config from '../config';
 import { createPolaroidImage } from '../utils/imageProcessing';
 import { themeConfigService } from './themeConfig';
+import { resolveQRWatermarkOptions } from '../utils/qrWatermark';
 import { TWITTER_SHARE_CONFIG, getQRWatermarkConfig } from '../constants/settings';
 
 /**
@@ -27,6 +28,81 @@ export const getPhotoHashtag = (photo) => {
   return foundLabel;
 };
 
+/**
+ * Render the image that gets posted: theme frame or polaroid, always JPG
+ * Shared by the X flow and the other share providers (SocialShare.js).
+ * @param {Object} photo - Photo object (images[0] is rendered)
+ * @param {Object} [options]
+ * @param {string} [options.tezdevTheme='off'] - TezDev theme or 'off'
+ * @param {string} [options.aspectRatio] - Aspect ratio of the image
+ * @param {boolean} [options.sogniWatermark=true] - Whether to include Sogni watermark
+ * @param {number} [options.sogniWatermarkSize=100] - Size of the QR watermark
+ * @param {number} [options.sogniWatermarkMargin=26] - Margin of the QR watermark from edge
+ * @param {boolean} [options.raw=false] - No frame or watermark (contest entries)
+ * @returns {Promise<string>} JPG data URL
+ */
+export const createShareImage = async (photo, {
+  tezdevTheme = 'off',
+  aspectRatio = null,
+  sogniWatermark = true,
+  sogniWatermarkSize = 100,
+  sogniWatermarkMargin = 26,
+  raw = false
+} = {}) => {
+  const originalImageUrl = photo.images[0];
+  let imageDataUrl;
+  
+  // For contest submissions, use raw image without any frames
+  if (raw) {
+    console.log('Using raw image for contest submission (no polaroid frame, always JPG)');
+    // Convert the original image to JPG format without any frames
+    imageDataUrl = await createPolaroidImage(originalImageUrl, '', {
+      tezdevTheme: 'off',
+      aspectRatio,
+      frameWidth: 0,
+      frameTopWidth: 0,
+      frameBottomWidth: 0,
+      frameColor: 'transparent',
+      outputFormat: 'jpg',
+      watermarkOptions: null // No watermark for contest entries
+    });
+  } else if (tezdevTheme !== 'off') {
+    // For TezDev themes, create full frame version (no polaroid frame, just TezDev overlay)
+    // Custom frames should not include labels - they have their own styling
+    console.log('Creating TezDev full frame version for sharing (always JPG)');
+    imageDataUrl = await createPolaroidImage(originalImageUrl, '', {
+      tezdevTheme,
+      aspectRatio,
+      frameWidth: 0,      // No polaroid frame
+      frameTopWidth: 0,   // No polaroid frame
+      frameBottomWidth: 0, // No polaroid frame
+      frameColor: 'transparent', // No polaroid background
+      outputFormat: 'jpg', // Always use JPG for sharing
+      // Add QR watermark (if enabled)
+      watermarkOptions: await resolveQRWatermarkOptions({ sogniWatermark, sogniWatermarkSize, sogniWatermarkMargin }, tezdevTheme)
+    });
+  } else {
+    // For non-TezDev themes, use traditional polaroid frame
+    const hashtag = getPhotoHashtag(photo);
+    const label = hashtag || photo.label || photo.style || '';
+    
+    console.log('Creating polaroid image for sharing (always JPG)');
+    imageDataUrl = await createPolaroidImage(originalImageUrl, label, {
+      tezdevTheme,
+      aspectRatio,
+      outputFormat: 'jpg', // Always use JPG for sharing
+      // Add QR watermark (if enabled)
+      watermarkOptions: sogniWatermark ? {
+        size: sogniWatermarkSize,
+        margin: sogniWatermarkMargin,
+        position: 'top-right',
+        opacity: 1.0
+      } : null
+    });
+  }
+  return imageDataUrl;
+};
+
 /**
  * Share a photo to Twitter (X) using the popup approach
  * @param {Object} params - Parameters for sharing
@@ -145,7 +221,6 @@ export const shareToTwitter = async ({
   // Check if this is a video - we now support video sharing via chunked upload
   const hasVideo = !!photo.videoUrl;
   const videoUrl = photo.videoUrl; // The video URL from Sogni (S3 signed URL)
-  const originalImageUrl = photo.images[0]; // Always have the image as fallback/thumbnail
   
   // Determine the appropriate message format based on TezDev theme
   let twitterMessage = customMessage;
@@ -184,61 +259,14 @@ export const shareToTwitter = async ({
       console.warn('Could not manually load font, using system fallback:', fontError);
     }
     
-    let imageDataUrl;
-    
-    // For contest submissions, use raw image without any frames
-    if (submitToContest) {
-      console.log('Using raw image for contest submission (no polaroid frame, always JPG for Twitter)');
-      // Convert the original image to JPG format without any frames
-      imageDataUrl = await createPolaroidImage(originalImageUrl, '', {
-        tezdevTheme: 'off',
-        aspectRatio,
-        frameWidth: 0,
-        frameTopWidth: 0,
-        frameBottomWidth: 0,
-        frameColor: 'transparent',
-        outputFormat: 'jpg',
-        watermarkOptions: null // No watermark for contest entries
-      });
-    } else if (tezdevTheme !== 'off') {
-      // For TezDev themes, create full frame version (no polaroid frame, just TezDev overlay)
-      // Custom frames should not include labels - they have their own styling
-      console.log('Creating TezDev full frame version for sharing (always JPG for Twitter)');
-      imageDataUrl = await createPolaroidImage(originalImageUrl, '', {
-        tezdevTheme,
-        aspectRatio,
-        frameWidth: 0,      // No polaroid frame
-        frameTopWidth: 0,   // No polaroid frame
-        frameBottomWidth: 0, // No polaroid frame
-        frameColor: 'transparent', // No polaroid background
-        outputFormat: 'jpg', // Always use JPG for Twitter sharing
-        // Add QR watermark for Twitter sharing (if enabled)
-        watermarkOptions: sogniWatermark ? {
-          size: sogniWatermarkSize,
-          margin: sogniWatermarkMargin,
-          position: 'top-right',
-          opacity: 1.0
-        } : null
-      });
-    } else {
-      // For non-TezDev themes, use traditional polaroid frame
-      const hashtag = getPhotoHashtag(photo);
-      const label = hashtag || photo.label || photo.style || '';
-      
-      console.log('Creating polaroid image for sharing (always JPG for Twitter)');
-      imageDataUrl = await createPolaroidImage(originalImageUrl, label, {
-        tezdevTheme,
-        aspectRatio,
-        outputFormat: 'jpg', // Always use JPG for Twitter sharing
-        // Add QR watermark for Twitter sharing (if enabled)
-        watermarkOptions: sogniWatermark ? {
-          size: sogniWatermarkSize,
-          margin: sogniWatermarkMargin,
-          position: 'top-right',
-          opacity: 1.0
-        } : null
-      });
-    }
+    const imageDataUrl = await createShareImage(photo, {
+      tezdevTheme,
+      aspectRatio,
+      sogniWatermark,
+      sogniWatermarkSize,
+      sogniWatermarkMargin,
+      raw: submitToContest
+    });
     
     // Use the data URL directly instead of creating a blob URL
     // This ensures the server can access the image data directly
@@ -417,5 +445,6 @@ export const shareToTwitter = async ({
 
 export default {
   shareToTwitter,
+  createShareImage,
   getPhotoHashtag
 }; 
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 import { createPolaroidImage } from '../utils/imageProcessing';
 import { fetchS3AsBlob } from '../utils/s3FetchWithFallback';
+import { resolveQRWatermarkOptions } from '../utils/qrWatermark';
 
 /**
  * Generic share using Web Share API
@@ -80,12 +81,7 @@ export const shareViaWebShare = async ({
           aspectRatio,
           outputFormat,
           // Add QR watermark for sharing (if enabled)
-          watermarkOptions: sogniWatermark ? {
-            size: sogniWatermarkSize,
-            margin: sogniWatermarkMargin,
-            position: 'top-right',
-            opacity: 1.0
-          } : null
+          watermarkOptions: await resolveQRWatermarkOptions({ sogniWatermark, sogniWatermarkSize, sogniWatermarkMargin }, tezdevTheme)
         });
       } else {
         // No custom theme - share raw image without polaroid frame
@@ -6,7 +6,7 @@
 /**
  * Get the API base URL based on environment
  */
-const getApiBaseUrl = () => {
+export const getApiBaseUrl = () => {
   if (typeof window !== 'undefined') {
     const hostname = window.location.hostname;
     
@@ -167,6 +167,28 @@ export const trackShareWithStyle = async (selectedStyle, stylePrompts, shareType
   }
 };
 
+/**
+ * Fetch one of the admin analytics endpoints (dashboard, top, historical).
+ * They need a moderator session cookie or an API key, so a 401/403 comes back
+ * as { authRequired: true, status } instead of null so the UI can ask for a login.
+ * @param {string} path - Path under /api/analytics
+ */
+const fetchAdminAnalytics = async (path) => {
+  const response = await fetch(`${getApiBaseUrl()}/api/analytics${path}`, {
+    credentials: 'include'
+  });
+  
+  if (response.status === 401 || response.status === 403) {
+    return { authRequired: true, status: response.status };
+  }
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
 /**
  * Get analytics data for a specific prompt
  * @param {string} promptId - The prompt ID
@@ -208,15 +230,7 @@ export const getTopPrompts = async (type = 'combined', period = 'lifetime', date
       params.set('date', date);
     }
     
-    const apiUrl = `${getApiBaseUrl()}/api/analytics/top?${params}`;
-    
-    const response = await fetch(apiUrl);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await fetchAdminAnalytics(`/top?${params}`);
   } catch (error) {
     console.error('[Analytics] Failed to get top prompts:', error);
     return null;
@@ -225,18 +239,11 @@ export const getTopPrompts = async (type = 'combined', period = 'lifetime', date
 
 /**
  * Get analytics dashboard data
+ * @returns {Promise<Object|null>} Dashboard data, { authRequired: true } without a session, null on error
  */
 export const getAnalyticsDashboard = async () => {
   try {
-    const apiUrl = `${getApiBaseUrl()}/api/analytics/dashboard`;
-    
-    const response = await fetch(apiUrl);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await fetchAdminAnalytics('/dashboard');
   } catch (error) {
     console.error('[Analytics] Failed to get analytics dashboard:', error);
     return null;
@@ -249,18 +256,84 @@ export const getAnalyticsDashboard = async () => {
  */
 export const getHistoricalAnalytics = async (days = 30) => {
   try {
-    const apiUrl = `${getApiBaseUrl()}/api/analytics/historical?days=${days}`;
+    return await fetchAdminAnalytics(`/historical?days=${days}`);
+  } catch (error) {
+    console.error('[Analytics] Failed to get historical analytics:', error);
+    return null;
+  }
+};
+
+/**
+ * Get daily analytics for a date range
+ * @param {string} from - First day (YYYY-MM-DD, UTC)
+ * @param {string} to - Last day (inclusive)
+ */
+export const getHistoricalAnalyticsRange = async (from, to) => {
+  try {
+    return await fetchAdminAnalytics(`/historical?${new URLSearchParams({ from, to })}`);
+  } catch (error) {
+    console.error('[Analytics] Failed to get historical analytics:', error);
+    return null;
+  }
+};
+
+/**
+ * Get downloads/shares/generations by theme, share type, model and aspect ratio
+ * @param {string} from - First day (YYYY-MM-DD, UTC)
+ * @param {string} to - Last day (inclusive)
+ * @returns {Promise<Object|null>} { from, to, breakdowns: { [dimension]: { [event]: { [value]: count } } } }
+ */
+export const getAnalyticsBreakdowns = async (from, to) => {
+  try {
+    return await fetchAdminAnalytics(`/breakdowns?${new URLSearchParams({ from, to })}`);
+  } catch (error) {
+    console.error('[Analytics] Failed to get analytics breakdowns:', error);
+    return null;
+  }
+};
+
+/**
+ * Download an analytics export as a file
+ * @param {Object} options
+ * @param {string} options.from - First day (YYYY-MM-DD, UTC)
+ * @param {string} options.to - Last day (inclusive)
+ * @param {'csv'|'ndjson'} options.format - File format
+ * @param {'daily'|'breakdowns'} options.dataset - Daily counters or per-dimension rows
+ * @returns {Promise<boolean|{authRequired: true, status: number}>}
+ */
+export const downloadAnalyticsExport = async ({ from, to, format = 'csv', dataset = 'daily' }) => {
+  try {
+    // Fetched rather than linked to so the session cookie / CORS credentials apply
+    const params = new URLSearchParams({ from, to, format, dataset });
+    const response = await fetch(`${getApiBaseUrl()}/api/analytics/export?${params}`, {
+      credentials: 'include'
+    });
     
-    const response = await fetch(apiUrl);
+    if (response.status === 401 || response.status === 403) {
+      return { authRequired: true, status: response.status };
+    }
     
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
     
-    return await response.json();
+    const blobUrl = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = blobUrl;
+    link.download = `photobooth-analytics-${dataset}-${from}-to-${to}.${format}`;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Clean up blob URL after a delay
+    setTimeout(() => {
+      URL.revokeObjectURL(blobUrl);
+    }, 1000);
+    return true;
   } catch (error) {
-    console.error('[Analytics] Failed to get historical analytics:', error);
-    return null;
+    console.error('[Analytics] Failed to export analytics:', error);
+    return false;
   }
 };
 
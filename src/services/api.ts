@@ -49,7 +49,7 @@ export function getCurrentConnectionState(): ConnectionState {
 /**
  * Check if the device is currently online by testing connectivity
  */
-async function checkConnectivity(): Promise<boolean> {
+export async function checkConnectivity(): Promise<boolean> {
   // Avoid rapid successive checks
   const now = Date.now();
   if (connectivityCheckInProgress || (now - lastConnectionCheck < 2000)) {
@@ -87,13 +87,34 @@ class NetworkError extends Error {
     message: string, 
     public isTimeout: boolean = false, 
     public isOffline: boolean = false,
-    public retryable: boolean = true
+    public retryable: boolean = true,
+    public retryAfter?: number // Seconds, when the server rate limited us
   ) {
     super(message);
     this.name = 'NetworkError';
   }
 }
 
+/**
+ * Turn a generation endpoint's 429 into a NetworkError carrying retryAfter
+ * (from the JSON body, or the Retry-After header)
+ */
+function rateLimitError(responseText: string, retryAfterHeader: string | null): NetworkError {
+  let body: Record<string, unknown> = {};
+  try {
+    const parsed: unknown = JSON.parse(responseText);
+    body = isObjectRecord(parsed) ? parsed : {};
+  } catch {
+    // Not JSON; fall back to the header
+  }
+
+  const retryAfter = typeof body.retryAfter === 'number' ? body.retryAfter : Number(retryAfterHeader) || 60;
+  const message = typeof body.message === 'string'
+    ? body.message
+    : `Too many requests. Please try again in ${retryAfter}s.`;
+  return new NetworkError(message, false, false, true, retryAfter);
+}
+
 // Listen for online/offline events
 window.addEventListener('online', () => {
   console.log('Device came online');
@@ -411,6 +432,10 @@ export async function createProject(params: Record<string, unknown>, progressCal
         isPremiumSpark: params.isPremiumSpark // Pass premium status
       };
     }
+
+    // Theme and aspect ratio only feed the analytics breakdowns
+    projectParams.tezdevTheme = params.tezdevTheme;
+    projectParams.aspectRatio = params.aspectRatio;
     
     return generateImage(projectParams, progressCallback);
   } catch (error: unknown) {
@@ -603,6 +628,8 @@ export async function generateImage(params: Record<string, unknown>, progressCal
               status: json.status as string | undefined,
               responseData: json
             });
+          } else if (xhr.status === 429) {
+            reject(rateLimitError(xhr.responseText, xhr.getResponseHeader('Retry-After')));
           } else {
             const errorMessage = xhr.status === 0 
               ? 'Network connection lost. Please check your internet and try again.'
@@ -689,6 +716,8 @@ export async function generateImage(params: Record<string, unknown>, progressCal
       let retryCount = 0;
       const maxRetries = 5; // Increase from 3 to 5
       let eventSource: EventSource | null = null;
+      // ID of the last event received, so a reconnect replays what was missed
+      let lastEventId = '';
       let connectionTimeout: NodeJS.Timeout | undefined = undefined;
       let overallTimeout: NodeJS.Timeout | undefined = undefined;
       
@@ -731,7 +760,7 @@ export async function generateImage(params: Record<string, unknown>, progressCal
         
         // Add client app ID to the URL as a query parameter for more reliable passing 
         // through proxies and better debugging
-        const progressUrl = `${API_BASE_URL}/sogni/progress/${projectId}?clientAppId=${encodeURIComponent(responseClientAppId)}&_t=${Date.now()}`;
+        const progressUrl = `${API_BASE_URL}/sogni/progress/${projectId}?clientAppId=${encodeURIComponent(responseClientAppId)}${lastEventId ? `&lastEventId=${lastEventId}` : ''}&_t=${Date.now()}`;
         console.log(`Connecting to progress stream: ${progressUrl} (attempt ${retryCount + 1})`);
         
         // Create the EventSource with the with-credentials flag for CORS
@@ -771,6 +800,9 @@ export async function generateImage(params: Record<string, unknown>, progressCal
           };
           
           eventSource.onmessage = (event) => {
+            if (event.lastEventId) {
+              lastEventId = event.lastEventId;
+            }
             try {
               const parsed: unknown = typeof event.data === 'string' ? JSON.parse(event.data) : {};
               const data: Record<string, unknown> = isObjectRecord(parsed) ? parsed : {};
@@ -1000,6 +1032,7 @@ function connectToSSEProgress(
     let retryCount = 0;
     const maxRetries = 5;
     let eventSource: EventSource | null = null;
+    let lastEventId = '';
     let connectionTimeout: NodeJS.Timeout | undefined = undefined;
     let overallTimeout: NodeJS.Timeout | undefined = undefined;
     let reconnectionTimer: NodeJS.Timeout | undefined = undefined;
@@ -1021,7 +1054,7 @@ function connectToSSEProgress(
       clearAllTimers();
       safelyCloseEventSource();
 
-      const progressUrl = `${API_BASE_URL}/sogni/progress/${projectId}?clientAppId=${encodeURIComponent(responseClientAppId)}&_t=${Date.now()}`;
+      const progressUrl = `${API_BASE_URL}/sogni/progress/${projectId}?clientAppId=${encodeURIComponent(responseClientAppId)}${lastEventId ? `&lastEventId=${lastEventId}` : ''}&_t=${Date.now()}`;
       console.log(`Connecting to progress stream: ${progressUrl} (attempt ${retryCount + 1})`);
 
       try {
@@ -1046,6 +1079,9 @@ function connectToSSEProgress(
         };
 
         eventSource.onmessage = (event) => {
+          if (event.lastEventId) {
+            lastEventId = event.lastEventId;
+          }
           try {
             const parsed: unknown = typeof event.data === 'string' ? JSON.parse(event.data) : {};
             const data: Record<string, unknown> = (typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed)) ? parsed as Record<string, unknown> : {};
@@ -1203,6 +1239,8 @@ export async function createVideoProject(params: Record<string, unknown>, progre
               status: json.status as string | undefined,
               responseData: json
             });
+          } else if (xhr.status === 429) {
+            reject(rateLimitError(xhr.responseText, xhr.getResponseHeader('Retry-After')));
           } else {
             reject(new NetworkError(`Server error (${xhr.status}). Please try again.`, false, xhr.status === 0, true));
           }
@@ -1288,6 +1326,9 @@ export async function createAudioProject(params: Record<string, unknown>, progre
       body: JSON.stringify(requestParams),
     });
 
+    if (response.status === 429) {
+      throw rateLimitError(await response.text(), response.headers.get('Retry-After'));
+    }
     if (!response.ok) {
       throw new NetworkError(`Server error (${response.status}). Please try again.`, false, false, true);
     }
@@ -1325,4 +1366,11 @@ export async function createAudioProject(params: Record<string, unknown>, progre
  */
 export function isNetworkError(error: unknown): error is NetworkError {
   return error instanceof NetworkError;
+}
+
+/**
+ * Check if an error is a generation endpoint's rate limit (has retryAfter seconds)
+ */
+export function isRateLimitError(error: unknown): error is NetworkError & { retryAfter: number } {
+  return error instanceof NetworkError && typeof error.retryAfter === 'number';
 } 
\ No newline at end of file
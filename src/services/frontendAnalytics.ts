@@ -17,6 +17,8 @@ export async function trackFrontendGeneration(params: {
   numberImages: number;
   sourceType?: 'camera' | 'upload' | 'audio-generation';
   selectedModel?: string;
+  tezdevTheme?: string;
+  aspectRatio?: string;
 }): Promise<void> {
   try {
     const response = await fetch(`${API_BASE_URL}/api/analytics/track/generation`, {
@@ -29,6 +31,8 @@ export async function trackFrontendGeneration(params: {
         numberImages: params.numberImages || 1,
         sourceType: params.sourceType,
         selectedModel: params.selectedModel,
+        tezdevTheme: params.tezdevTheme,
+        aspectRatio: params.aspectRatio,
       }),
     });
 
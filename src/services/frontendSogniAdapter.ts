@@ -635,7 +635,8 @@ export class FrontendSogniClientAdapter {
 
         // Convert sensitiveContentFilter to disableNSFWFilter for SDK compatibility
         // This matches the backend's conversion logic in server/services/sogni.js
-        const sdkParams = { ...params };
+        // Theme and aspect ratio are only for the analytics below, not the SDK
+        const { tezdevTheme, aspectRatio, ...sdkParams } = params as { tezdevTheme?: string; aspectRatio?: string; [key: string]: unknown };
         
         // Ensure type parameter is included (required in v4.x.x)
         if (!sdkParams.type) {
@@ -687,6 +688,8 @@ export class FrontendSogniClientAdapter {
             numberImages: params.numberOfMedia || 1,
             sourceType: params.sourceType,
             selectedModel: params.modelId,
+            tezdevTheme,
+            aspectRatio,
           }).catch(err => {
             console.error('[FrontendAdapter] Analytics tracking error:', err);
           });
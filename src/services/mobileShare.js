@@ -0,0 +1,49 @@
+/**
+ * Mobile share links (the QR code "Scan to Share" flow) backed by /api/mobile-share
+ */
+
+// Link lifetimes the backend accepts
+export const MOBILE_SHARE_TTL_OPTIONS = [
+  { value: '1h', label: '1 hour' },
+  { value: '24h', label: '24 hours' },
+  { value: '7d', label: '7 days' }
+];
+
+/**
+ * Register a share link with the backend
+ * @param {Object} shareData - Share data (shareId, imageUrl/videoUrl, theme, Twitter message...)
+ * @param {string} [ttl='1h'] - How long the link stays valid ('1h', '24h' or '7d')
+ * @returns {Promise<{shareId: string, ttl: string, expiresAt: number, manageToken: string}>}
+ */
+export async function createMobileShare(shareData, ttl = '1h') {
+  const response = await fetch('/api/mobile-share/create', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...shareData, ttl }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('🔗 Backend error response:', errorText);
+    throw new Error(`Failed to create mobile share: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Turn off a share link before it expires
+ * @param {string} shareId - Share ID
+ * @param {string} manageToken - Token returned by createMobileShare
+ * @returns {Promise<void>}
+ */
+export async function revokeMobileShare(shareId, manageToken) {
+  const response = await fetch(`/api/mobile-share/${encodeURIComponent(shareId)}`, {
+    method: 'DELETE',
+    headers: { 'X-Share-Token': manageToken },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to revoke mobile share: ${response.status} ${response.statusText}`);
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Photobooth printing backed by /api/print
+ */
+
+// Statuses after which a job won't change any more
+export const FINISHED_PRINT_STATUSES = ['printed', 'spooled', 'failed'];
+
+async function printRequest(path, options = {}) {
+  const response = await fetch(`/api/print${path}`, options);
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || data.success === false) {
+    const error = new Error(data.message || `Print request failed: ${response.status} ${response.statusText}`);
+    error.code = data.code;
+    error.status = response.status;
+    error.retryAfter = data.retryAfter;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Whether printing is set up, plus printer state and layout sizes
+ * @returns {Promise<{enabled: boolean, mode: string|null, printerState: string|null, queued: number, layouts: Object}>}
+ */
+export async function getPrintStatus() {
+  return printRequest('/status');
+}
+
+/**
+ * Queue a rendered print
+ * @param {Blob} image - Print-ready image from renderPrintLayout
+ * @param {Object} options
+ * @param {string} options.layout - '4x6', '2x6' or '5x7'
+ * @param {number} [options.copies=1] - Number of copies
+ * @param {string} [options.label] - Shown to staff in the job list
+ * @returns {Promise<Object>} The queued job
+ */
+export async function submitPrint(image, { layout, copies = 1, label }) {
+  const formData = new FormData();
+  formData.append('image', image, `print-${layout}.jpg`);
+  formData.append('layout', layout);
+  formData.append('copies', String(copies));
+  if (label) {
+    formData.append('label', label);
+  }
+
+  const { job } = await printRequest('/jobs', { method: 'POST', body: formData });
+  return job;
+}
+
+/**
+ * Current state of a print job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} The job
+ */
+export async function getPrintJob(jobId) {
+  const { job } = await printRequest(`/jobs/${encodeURIComponent(jobId)}`);
+  return job;
+}
+
+/**
+ * Print an earlier job again
+ * @param {string} jobId - Job ID
+ * @param {number} [copies] - Number of copies (defaults to the original job's)
+ * @returns {Promise<Object>} The new job
+ */
+export async function reprintPrintJob(jobId, copies) {
+  const { job } = await printRequest(`/jobs/${encodeURIComponent(jobId)}/reprint`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(copies ? { copies } : {})
+  });
+  return job;
+}
@@ -23,6 +23,8 @@ class QRCodeService {
     options: {
       width?: number;
       margin?: number;
+      /** Use 'H' when a logo covers the middle of the code */
+      errorCorrectionLevel?: 'L' | 'M' | 'Q' | 'H';
       color?: {
         dark?: string;
         light?: string;
@@ -45,6 +47,7 @@ class QRCodeService {
     const qrOptions = {
       width: options.width || 300,
       margin: options.margin || 2,
+      errorCorrectionLevel: options.errorCorrectionLevel || 'M',
       color: {
         dark: options.color?.dark || '#000000',
         light: options.color?.light || '#FFFFFF'
@@ -609,6 +609,24 @@ export class BackendSogniClient {
           console.log(`Event ${eventType} with jobId: ${jobId}`);
           
           // Handle project-level events first (these don't need a target job)
+          // The backend's own queue holds the whole project, so every job waits together
+          if (eventType === 'serverQueue') {
+            const queuePosition = event.queuePosition as number;
+            if (queuePosition > 0) {
+              project.jobs.filter(job => !job.realJobId).forEach(job => {
+                const queuedPayload = {
+                  type: 'queued',
+                  jobId: job.id,
+                  projectId: project.id,
+                  queuePosition: queuePosition,
+                };
+                project.emit('job', queuedPayload);
+                projectsEmitter.emit('job', queuedPayload);
+              });
+            }
+            return;
+          }
+
           if (eventType === 'completed') {
             console.log(`Project completion event received for ${project.id}`);
             
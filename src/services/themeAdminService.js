@@ -0,0 +1,71 @@
+/**
+ * Theme Admin Service
+ * Calls the theme authoring API (/api/themes) used by the admin theme editor.
+ * The endpoints need a moderator session cookie or an API key (saving needs
+ * admin access), so a 401/403 comes back as { authRequired: true, status }
+ * so the UI can ask for a login.
+ */
+import { getApiBaseUrl } from './analyticsService';
+
+/**
+ * Call a /api/themes endpoint
+ * @param {string} path - Path under /api/themes
+ * @param {RequestInit} [options] - fetch options
+ * @returns {Promise<{ok: boolean, status: number, data: Object}|{authRequired: true, status: number}>}
+ */
+const fetchThemesApi = async (path, options = {}) => {
+  const response = await fetch(`${getApiBaseUrl()}/api/themes${path}`, {
+    credentials: 'include',
+    ...options
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    const data = await response.json().catch(() => ({}));
+    return { authRequired: true, status: response.status, message: data.message };
+  }
+
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, data };
+};
+
+const jsonRequest = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+/**
+ * List themes ({ id, source, overridesBase, theme }) and the current config revision
+ */
+export const listThemes = () => fetchThemesApi('');
+
+/**
+ * Check a theme against the schema without saving it
+ * @param {string} id - Theme identifier
+ * @param {Object} theme - Theme definition
+ */
+export const validateTheme = (id, theme) => fetchThemesApi('/validate', jsonRequest('POST', { id, theme }));
+
+/**
+ * Create a theme, or replace an existing one
+ * @param {string} id - Theme identifier
+ * @param {Object} theme - Full theme definition
+ * @param {Object} options
+ * @param {boolean} options.isNew - Create instead of replace
+ */
+export const saveTheme = (id, theme, { isNew }) => (isNew
+  ? fetchThemesApi('', jsonRequest('POST', { id, theme }))
+  : fetchThemesApi(`/${encodeURIComponent(id)}`, jsonRequest('PUT', { theme })));
+
+/**
+ * Upload a frame PNG and add it to the theme's frames for an aspect ratio
+ * @param {string} id - Theme identifier
+ * @param {string} aspectRatio - Aspect ratio the frame is for
+ * @param {File} file - Transparent PNG
+ */
+export const uploadThemeFrame = (id, aspectRatio, file) => {
+  const formData = new FormData();
+  formData.append('frame', file);
+  formData.append('aspectRatio', aspectRatio);
+  return fetchThemesApi(`/${encodeURIComponent(id)}/frames`, { method: 'POST', body: formData });
+};
@@ -1,14 +1,30 @@
 /**
  * Theme Configuration Service
  * Handles loading and managing external event theme configurations
+ *
+ * Themes come from the API (/api/themes/config: the shipped config plus any
+ * themes authored through the admin theme editor). If the API can't be
+ * reached we fall back to the static /events/config.json. Every change made
+ * through the API bumps the config's `revision`, so running kiosks can poll
+ * for it with startAutoReload() and pick up edits without a redeploy.
  */
 import { TWITTER_SHARE_CONFIG } from '../constants/settings';
+import { getApiBaseUrl } from './analyticsService';
+import { resolveKioskConfig } from '../utils/kioskLockdown';
+
+const API_CONFIG_PATH = '/api/themes/config';
+const STATIC_CONFIG_URL = '/events/config.json';
+const DEFAULT_RELOAD_INTERVAL_MS = 30 * 1000;
 
 class ThemeConfigService {
   constructor() {
     this.config = null;
     this.loading = false;
     this.error = null;
+    // Revision of the loaded config (null when it came from the static file)
+    this.revision = null;
+    this.listeners = new Set();
+    this.autoReloadTimer = null;
     // Add caches for frequently accessed data
     this.themeCache = new Map();
     this.frameUrlsCache = new Map();
@@ -16,7 +32,53 @@ class ThemeConfigService {
   }
 
   /**
-   * Load theme configuration from external JSON file
+   * Fetch and sanity-check a config file
+   * @param {string} url - Config URL
+   * @returns {Promise<Object>} Theme configuration object
+   */
+  async fetchConfig(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load theme config: ${response.status} ${response.statusText}`);
+    }
+
+    const config = await response.json();
+
+    // Validate config structure (the server validates against the full schema on save)
+    if (!config.themes || typeof config.themes !== 'object') {
+      throw new Error('Invalid theme configuration: missing themes object');
+    }
+
+    return config;
+  }
+
+  /**
+   * Point frames/logos uploaded through the theme editor (/api/themes/...) at the API server
+   * @param {Object} config - Theme configuration object
+   * @returns {Object} Config with absolute upload URLs
+   */
+  resolveUploadedAssetUrls(config) {
+    const resolve = (url) => (typeof url === 'string' && url.startsWith('/api/') ? `${getApiBaseUrl()}${url}` : url);
+
+    const themes = Object.fromEntries(Object.entries(config.themes).map(([id, theme]) => [id, {
+      ...theme,
+      ...(theme.frames && {
+        frames: Object.fromEntries(Object.entries(theme.frames).map(([ratio, urls]) => [ratio, urls.map(resolve)]))
+      }),
+      ...(theme.brand && {
+        brand: { ...theme.brand, logo: resolve(theme.brand.logo), backgroundImage: resolve(theme.brand.backgroundImage) }
+      }),
+      ...(theme.qrWatermark && {
+        qrWatermark: { ...theme.qrWatermark, logo: resolve(theme.qrWatermark.logo) }
+      })
+    }]));
+
+    return { ...config, themes };
+  }
+
+  /**
+   * Load theme configuration from the API, falling back to the static JSON file
    * @returns {Promise<Object>} Theme configuration object
    */
   async loadConfig() {
@@ -38,20 +100,16 @@ class ThemeConfigService {
 
     try {
       console.log('Loading theme configuration...');
-      const response = await fetch('/events/config.json');
-      
-      if (!response.ok) {
-        throw new Error(`Failed to load theme config: ${response.status} ${response.statusText}`);
-      }
-
-      const config = await response.json();
-      
-      // Validate config structure
-      if (!config.themes || typeof config.themes !== 'object') {
-        throw new Error('Invalid theme configuration: missing themes object');
+      let config;
+      try {
+        config = this.resolveUploadedAssetUrls(await this.fetchConfig(`${getApiBaseUrl()}${API_CONFIG_PATH}`));
+      } catch (apiError) {
+        console.warn('Theme API unavailable, using static config:', apiError.message);
+        config = await this.fetchConfig(STATIC_CONFIG_URL);
       }
 
       this.config = config;
+      this.revision = Number.isInteger(config.revision) ? config.revision : null;
       console.log('Theme configuration loaded successfully:', Object.keys(config.themes).length, 'themes');
       return config;
 
@@ -232,6 +290,35 @@ class ThemeConfigService {
     return theme?.hiddenThemeGroups || [];
   }
 
+  /**
+   * Get the QR watermark block for a theme (link target, colors, logo, caption)
+   * @param {string} themeId - Theme identifier
+   * @returns {Promise<Object|null>} QR watermark config or null if the theme doesn't brand its QR
+   */
+  async getQRWatermark(themeId) {
+    if (!themeId || themeId === 'off') {
+      return null;
+    }
+    const theme = await this.getTheme(themeId);
+    return theme?.qrWatermark || null;
+  }
+
+  /**
+   * Get kiosk lockdown options for a theme, merged over the defaults.
+   * The attract loop falls back to the theme's background and logo when it
+   * doesn't list its own images.
+   * @param {string} themeId - Theme identifier ('off' or unknown themes get the defaults)
+   * @returns {Promise<Object>} Resolved kiosk options
+   */
+  async getKioskConfig(themeId) {
+    const theme = themeId && themeId !== 'off' ? await this.getTheme(themeId) : null;
+    const kiosk = resolveKioskConfig(theme?.kiosk);
+    if (kiosk.attractLoop.images.length === 0) {
+      kiosk.attractLoop.images = [theme?.brand?.backgroundImage, theme?.brand?.logo].filter(Boolean);
+    }
+    return kiosk;
+  }
+
   /**
    * Check if themes are available
    * @returns {Promise<boolean>} True if themes loaded successfully
@@ -252,7 +339,67 @@ class ThemeConfigService {
     this.themeCache.clear();
     this.frameUrlsCache.clear();
     this.framePaddingCache.clear();
-    return await this.loadConfig();
+    const config = await this.loadConfig();
+    this.listeners.forEach(listener => {
+      try {
+        listener(config);
+      } catch (error) {
+        console.error('Theme config listener failed:', error);
+      }
+    });
+    return config;
+  }
+
+  /**
+   * Get notified whenever the configuration is reloaded
+   * @param {Function} listener - Called with the new config
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Reload if the server's config revision differs from the loaded one
+   * @returns {Promise<boolean>} True if the config was reloaded
+   */
+  async checkForUpdates() {
+    try {
+      const { revision } = await this.fetchConfig(`${getApiBaseUrl()}${API_CONFIG_PATH}`);
+      if (!Number.isInteger(revision) || revision === this.revision) {
+        return false;
+      }
+      console.log(`Theme configuration changed (revision ${this.revision} → ${revision}), reloading`);
+      await this.reload();
+      return true;
+    } catch (error) {
+      // Keep the current themes if the API is briefly unreachable
+      console.warn('Theme update check failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Poll the server for theme changes (for kiosks left running during an event)
+   * @param {number} intervalMs - Poll interval
+   * @returns {Function} Stops polling
+   */
+  startAutoReload(intervalMs = DEFAULT_RELOAD_INTERVAL_MS) {
+    this.stopAutoReload();
+    this.autoReloadTimer = setInterval(() => {
+      // Don't poll from hidden tabs
+      if (typeof document !== 'undefined' && document.hidden) return;
+      this.checkForUpdates();
+    }, intervalMs);
+    return () => this.stopAutoReload();
+  }
+
+  stopAutoReload() {
+    if (this.autoReloadTimer) {
+      clearInterval(this.autoReloadTimer);
+      this.autoReloadTimer = null;
+    }
   }
 }
 
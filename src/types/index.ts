@@ -10,6 +10,11 @@ export interface Photo {
   loading?: boolean;
   progress?: number;
   permanentError?: boolean;
+  statusText?: string;
+
+  // Photo-strip burst fields
+  burstId?: string; // Shared by a burst's frames and its composite
+  isBurstComposite?: boolean; // The strip/grid made from the burst's styled frames
 
   // Timeout tracking fields
   jobStartTime?: number;
@@ -137,6 +142,15 @@ export interface Settings {
   guidance: number;
   flashEnabled: boolean;
   keepOriginalPhoto: boolean;
+  // Photo-strip burst capture
+  burstMode?: boolean;
+  burstShotCount?: number; // 2-4 shots per burst
+  burstIntervalSeconds?: number; // Countdown between shots
+  burstLayout?: 'strip' | 'grid';
+  // Animated GIF export
+  gifFrameRate?: number; // Frames sampled per second of video
+  gifPaletteSize?: number; // 32-256 colors
+  gifDithering?: 'none' | 'ordered' | 'floyd-steinberg';
   positivePrompt?: string;
   customSceneName?: string;
   stylePrompt?: string;
@@ -157,6 +171,7 @@ export interface Settings {
   sogniWatermarkPosition?: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
   qrCodeMarginStartsInsideFrame?: boolean;
   qrCodeUrl?: string;
+  mobileShareTtl?: '1h' | '24h' | '7d'; // How long "Scan to Share" links stay valid
   portraitType?: string; // 'headshot', 'headshot2', or 'medium'
   // Worker preferences
   requiredWorkers: string[];
@@ -19,6 +19,10 @@ export interface LocalProject {
   imageIds: string[];
   /** Thumbnail image ID (first image or user-selected) */
   thumbnailId: string | null;
+  /** Timestamp when project was last opened or used (for LRU eviction) */
+  lastAccessedAt: number;
+  /** Total size of the project's images in bytes */
+  sizeBytes: number;
 }
 
 export interface LocalProjectImage {
@@ -42,6 +46,33 @@ export interface LocalProjectImage {
   addedAt: number;
 }
 
+/** Small preview generated in the background so lists never load full images */
+export interface LocalProjectThumbnail {
+  /** ID of the image this thumbnail was generated from */
+  imageId: string;
+  /** Project ID the image belongs to */
+  projectId: string;
+  /** Downscaled JPEG */
+  blob: Blob;
+  /** Original image width in pixels */
+  width: number;
+  /** Original image height in pixels */
+  height: number;
+  /** Original filename */
+  filename: string;
+  /** Timestamp when the thumbnail was generated */
+  createdAt: number;
+}
+
+/** Image entry as shown in project lists (thumbnail URL when available) */
+export interface LocalProjectImagePreview {
+  id: string;
+  url: string;
+  width: number;
+  height: number;
+  filename: string;
+}
+
 export interface LocalProjectWithImages extends LocalProject {
   /** Full image data for this project */
   images: LocalProjectImage[];
@@ -1,5 +1,6 @@
 import JSZip from 'jszip';
 import { isMobile, fetchWithRetry } from './index';
+import { createGif, getGifSource } from './gifExport';
 
 /**
  * Downloads multiple images as a ZIP file
@@ -323,3 +324,133 @@ export async function downloadVideosAsZip(videos, zipFilename = 'sogni-photoboot
   }
 }
 
+/**
+ * Prepares animated GIF sources from photos array for bulk download.
+ * Photos with a video animate it; others need at least two sub-images.
+ * @param {Array} photos - Array of photo objects from PhotoGallery
+ * @param {Function} getStyleDisplayText - Function to get style display text
+ * @param {boolean} boomerang - Whether the GIFs ping-pong
+ * @returns {Array} - Array of {source, filename, photoIndex} objects
+ */
+export function prepareGifsForBulkDownload(photos, getStyleDisplayText = null, boomerang = false) {
+  const gifs = [];
+  const filenameCount = {}; // Track how many times each base filename is used
+
+  photos.forEach((photo, i) => {
+    if (photo.hidden) return;
+    const source = getGifSource(photo);
+    if (!source) return;
+
+    const styleDisplayText = getStyleDisplayText ? getStyleDisplayText(photo) : '';
+    const cleanStyleName = styleDisplayText
+      ? styleDisplayText.toLowerCase().replace(/\s+/g, '-')
+      : 'sogni';
+    const baseFilename = `sogni-photobooth-${cleanStyleName}${boomerang ? '-boomerang' : ''}`;
+
+    filenameCount[baseFilename] = (filenameCount[baseFilename] || 0) + 1;
+    const filename = filenameCount[baseFilename] > 1
+      ? `${baseFilename}-${filenameCount[baseFilename]}.gif`
+      : `${baseFilename}.gif`;
+
+    gifs.push({ source, filename, photoIndex: i });
+  });
+
+  return gifs;
+}
+
+/**
+ * Encodes each source as an animated GIF and downloads them as a ZIP file
+ * @param {Array} gifs - Array of {source, filename} objects from prepareGifsForBulkDownload
+ * @param {string} zipFilename - Name for the output ZIP file
+ * @param {Function} onProgress - Callback for progress updates (current, total, message)
+ * @param {Object} gifOptions - Options for createGif (boomerang, frameRate, paletteSize, dithering, maxBytes)
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function downloadGifsAsZip(gifs, zipFilename = 'sogni-photobooth-gifs.zip', onProgress = null, gifOptions = {}) {
+  try {
+    if (!gifs || gifs.length === 0) {
+      console.warn('No GIFs to download');
+      return false;
+    }
+
+    const zip = new JSZip();
+    const totalGifs = gifs.length;
+    let addedGifs = 0;
+
+    if (onProgress) {
+      onProgress(0, totalGifs, 'Starting GIF preparation...');
+    }
+
+    for (let i = 0; i < gifs.length; i++) {
+      const gif = gifs[i];
+
+      try {
+        if (onProgress) {
+          onProgress(i, totalGifs, `Creating GIF ${i + 1} of ${totalGifs}...`);
+        }
+
+        const { blob } = await createGif(gif.source, gifOptions);
+
+        // GIFs are already compressed, so store them as-is
+        zip.file(gif.filename, blob, { compression: 'STORE' });
+        addedGifs++;
+
+      } catch (error) {
+        console.error(`Error creating GIF ${i + 1}:`, error);
+        // Continue with other GIFs even if one fails
+      }
+    }
+
+    if (addedGifs === 0) {
+      if (onProgress) {
+        onProgress(0, 0, 'Could not create any GIFs');
+      }
+      return false;
+    }
+
+    if (onProgress) {
+      onProgress(totalGifs, totalGifs, 'Generating ZIP file...');
+    }
+
+    const zipBlob = await zip.generateAsync({ type: 'blob' });
+
+    if (onProgress) {
+      onProgress(totalGifs, totalGifs, 'Downloading ZIP file...');
+    }
+
+    const blobUrl = URL.createObjectURL(zipBlob);
+
+    if (isMobile()) {
+      // For mobile, open the ZIP file in a new tab/window
+      window.open(blobUrl, '_blank');
+    } else {
+      // For desktop, trigger automatic download
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.download = zipFilename;
+      link.style.display = 'none';
+
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    }
+
+    // Clean up blob URL after a delay
+    setTimeout(() => {
+      URL.revokeObjectURL(blobUrl);
+    }, 1000);
+
+    if (onProgress) {
+      onProgress(totalGifs, totalGifs, 'Download complete!');
+    }
+
+    return true;
+
+  } catch (error) {
+    console.error('Error creating GIF ZIP file:', error);
+    if (onProgress) {
+      onProgress(0, 0, `Error: ${error.message}`);
+    }
+    return false;
+  }
+}
@@ -0,0 +1,137 @@
+import { themeConfigService } from '../services/themeConfig';
+
+/**
+ * Lays out the styled frames of a photo-strip burst into one image:
+ * a single-column strip or a two-column grid, on the event's brand
+ * gradient with its logo (or title) underneath.
+ */
+
+export const BURST_LAYOUTS = ['strip', 'grid'];
+
+// Pixel sizes at the composite's base resolution
+const CELL_WIDTH = 600;
+const PADDING = 32;
+const GAP = 20;
+const FOOTER_HEIGHT = 150;
+const DEFAULT_BACKGROUND = ['#ffffff', '#ffffff'];
+const DEFAULT_TITLE = '#SogniPhotobooth';
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    if (!url.startsWith('data:') && !url.startsWith('blob:')) {
+      img.crossOrigin = 'anonymous';
+    }
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load burst frame'));
+    img.src = url;
+  });
+}
+
+/**
+ * Branding for a composite from the event theme
+ * @param {string} themeId - Theme ID ('off' for no theme)
+ * @returns {Promise<{background: string[], textColor: string, logoUrl: string|null, title: string}>}
+ */
+export async function getBurstBranding(themeId) {
+  if (!themeId || themeId === 'off') {
+    return { background: DEFAULT_BACKGROUND, textColor: '#333333', logoUrl: null, title: DEFAULT_TITLE };
+  }
+
+  const [colors, logoUrl, title] = await Promise.all([
+    themeConfigService.getBrandColors(themeId),
+    themeConfigService.getBrandLogo(themeId),
+    themeConfigService.getBrandTitle(themeId)
+  ]);
+  return {
+    background: colors?.gradientStart ? [colors.gradientStart, colors.gradientEnd || colors.gradientStart] : DEFAULT_BACKGROUND,
+    textColor: colors?.gradientStart ? colors.darkText || '#ffffff' : '#333333',
+    logoUrl,
+    title: title || DEFAULT_TITLE
+  };
+}
+
+// Contain-fit an image in the box, centered
+function drawContained(ctx, img, x, y, width, height) {
+  const scale = Math.min(width / img.width, height / img.height);
+  const drawWidth = img.width * scale;
+  const drawHeight = img.height * scale;
+  ctx.drawImage(img, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+async function drawFooter(ctx, canvas, { logoUrl, title, textColor }) {
+  const top = canvas.height - PADDING - FOOTER_HEIGHT;
+  const width = canvas.width - PADDING * 2;
+
+  if (logoUrl) {
+    try {
+      drawContained(ctx, await loadImage(logoUrl), PADDING, top + FOOTER_HEIGHT * 0.15, width, FOOTER_HEIGHT * 0.7);
+      return;
+    } catch (error) {
+      console.warn('[Burst] Could not load logo for composite, using title instead:', error);
+    }
+  }
+
+  ctx.fillStyle = textColor;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  let fontSize = 64;
+  ctx.font = `${fontSize}px "Permanent Marker", cursive`;
+  while (fontSize > 16 && ctx.measureText(title).width > width) {
+    fontSize -= 4;
+    ctx.font = `${fontSize}px "Permanent Marker", cursive`;
+  }
+  ctx.fillText(title, canvas.width / 2, top + FOOTER_HEIGHT / 2);
+}
+
+/**
+ * Composite styled burst frames into a strip or grid
+ * @param {string[]} imageUrls - Styled frames in shot order
+ * @param {Object} options
+ * @param {'strip'|'grid'} [options.layout='strip'] - One column, or two
+ * @param {Object} options.branding - From getBurstBranding
+ * @returns {Promise<Blob>} JPEG composite
+ */
+export async function composeBurst(imageUrls, { layout = 'strip', branding }) {
+  const images = await Promise.all(imageUrls.map(loadImage));
+  if (images.length === 0) {
+    throw new Error('No frames to composite');
+  }
+
+  // Frames share the capture's aspect ratio, so the first one sizes every cell
+  const cellHeight = Math.round(CELL_WIDTH * images[0].height / images[0].width);
+  const columns = layout === 'grid' && images.length > 1 ? 2 : 1;
+  const rows = Math.ceil(images.length / columns);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = PADDING * 2 + columns * CELL_WIDTH + (columns - 1) * GAP;
+  canvas.height = PADDING * 2 + rows * cellHeight + (rows - 1) * GAP + FOOTER_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+
+  const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+  gradient.addColorStop(0, branding.background[0]);
+  gradient.addColorStop(1, branding.background[1]);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  images.forEach((img, index) => {
+    const row = Math.floor(index / columns);
+    const column = index % columns;
+    // Center a lone frame on the last row of a grid
+    const rowColumns = Math.min(columns, images.length - row * columns);
+    const rowOffset = (columns - rowColumns) * (CELL_WIDTH + GAP) / 2;
+    const x = PADDING + rowOffset + column * (CELL_WIDTH + GAP);
+    const y = PADDING + row * (cellHeight + GAP);
+    drawContained(ctx, img, x, y, CELL_WIDTH, cellHeight);
+  });
+
+  await drawFooter(ctx, canvas, branding);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) resolve(blob);
+      else reject(new Error('Failed to encode burst composite'));
+    }, 'image/jpeg', 0.92);
+  });
+}
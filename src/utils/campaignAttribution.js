@@ -71,3 +71,24 @@ export function isFromGimiChallenge() {
   return source === 'gimi-challenge' || source === 'gimi-notification';
 }
 
+
+/**
+ * Tag a campaign URL with UTM params (used for QR codes printed on event photos)
+ * @param {string} url - Campaign landing page
+ * @param {Object} [utm] - UTM params; source, medium, campaign, content and term
+ * @returns {string} URL with utm_* params set (existing ones in the URL are kept unless overridden)
+ */
+export function buildCampaignUrl(url, utm = {}) {
+  try {
+    const campaignUrl = new URL(url);
+    ['source', 'medium', 'campaign', 'content', 'term'].forEach((key) => {
+      if (utm[key]) {
+        campaignUrl.searchParams.set(`utm_${key}`, utm[key]);
+      }
+    });
+    return campaignUrl.toString();
+  } catch (error) {
+    console.error('[Campaign] Invalid campaign URL:', url, error);
+    return url;
+  }
+}
@@ -0,0 +1,374 @@
+/**
+ * Animated GIF (GIF89a) encoder.
+ * Builds one median-cut palette shared by every frame, maps pixels onto it
+ * with optional dithering and LZW-compresses the result. Runs on the main
+ * thread, yielding between frames so the UI keeps painting.
+ */
+
+export const GIF_DITHERING = ['none', 'ordered', 'floyd-steinberg'];
+
+// Pixels sampled across all frames when building the palette
+const PALETTE_SAMPLE_SIZE = 60000;
+const MAX_LZW_CODE = 4095;
+
+// 4x4 Bayer thresholds, centered on zero
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(value => (value / 16 - 0.5) * 32);
+
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const clampByte = value => (value < 0 ? 0 : value > 255 ? 255 : value);
+
+/**
+ * Median-cut palette over a sample of the frames' pixels
+ * @param {ImageData[]} frames - Frames to sample
+ * @param {number} paletteSize - Max colors (2-256)
+ * @returns {Uint8Array} RGB triplets
+ */
+export function buildPalette(frames, paletteSize) {
+  const totalPixels = frames.reduce((sum, frame) => sum + frame.width * frame.height, 0);
+  const step = Math.max(1, Math.floor(totalPixels / PALETTE_SAMPLE_SIZE));
+
+  const samples = [];
+  let offset = 0;
+  frames.forEach(frame => {
+    const { data } = frame;
+    const pixels = frame.width * frame.height;
+    for (let pixel = offset; pixel < pixels; pixel += step) {
+      const i = pixel * 4;
+      samples.push((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+    }
+    offset = (offset + pixels) % step;
+  });
+
+  const channel = (color, shift) => (color >> shift) & 0xff;
+  const describe = colors => {
+    let widest = 16;
+    let widestRange = -1;
+    [16, 8, 0].forEach(shift => {
+      let min = 255;
+      let max = 0;
+      colors.forEach(color => {
+        const value = channel(color, shift);
+        if (value < min) min = value;
+        if (value > max) max = value;
+      });
+      if (max - min > widestRange) {
+        widestRange = max - min;
+        widest = shift;
+      }
+    });
+    return { colors, shift: widest, range: widestRange };
+  };
+
+  const boxes = [describe(samples)];
+  while (boxes.length < paletteSize) {
+    // Split the box with the widest spread (weighted by how many pixels it holds)
+    let target = -1;
+    let best = 0;
+    boxes.forEach((box, index) => {
+      const score = box.range * Math.sqrt(box.colors.length);
+      if (box.colors.length > 1 && box.range > 0 && score > best) {
+        best = score;
+        target = index;
+      }
+    });
+    if (target === -1) break;
+
+    const { colors, shift } = boxes[target];
+    colors.sort((a, b) => channel(a, shift) - channel(b, shift));
+    // Cut where the channel value changes, so one color never ends up in both halves
+    const medianValue = channel(colors[colors.length >> 1], shift);
+    let middle = colors.findIndex(color => channel(color, shift) >= medianValue);
+    if (middle === 0) {
+      middle = colors.findIndex(color => channel(color, shift) > medianValue);
+    }
+    boxes.splice(target, 1, describe(colors.slice(0, middle)), describe(colors.slice(middle)));
+  }
+
+  const palette = new Uint8Array(boxes.length * 3);
+  boxes.forEach(({ colors }, index) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    colors.forEach(color => {
+      r += channel(color, 16);
+      g += channel(color, 8);
+      b += channel(color, 0);
+    });
+    const count = colors.length || 1;
+    palette[index * 3] = Math.round(r / count);
+    palette[index * 3 + 1] = Math.round(g / count);
+    palette[index * 3 + 2] = Math.round(b / count);
+  });
+  return palette;
+}
+
+// Nearest palette entry, cached per 15-bit color
+function createColorMatcher(palette) {
+  const colorCount = palette.length / 3;
+  const cache = new Int16Array(32768).fill(-1);
+
+  return (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (cache[key] !== -1) return cache[key];
+
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    for (let index = 0; index < colorCount; index++) {
+      const dr = palette[index * 3] - r;
+      const dg = palette[index * 3 + 1] - g;
+      const db = palette[index * 3 + 2] - b;
+      const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = index;
+      }
+    }
+    cache[key] = nearest;
+    return nearest;
+  };
+}
+
+function indexFrame(frame, palette, matchColor, dithering) {
+  const { width, height, data } = frame;
+  const indices = new Uint8Array(width * height);
+
+  if (dithering === 'floyd-steinberg') {
+    const working = new Float32Array(width * height * 3);
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      working[pixel * 3] = data[pixel * 4];
+      working[pixel * 3 + 1] = data[pixel * 4 + 1];
+      working[pixel * 3 + 2] = data[pixel * 4 + 2];
+    }
+
+    const spread = (x, y, channelErrors, weight) => {
+      if (x < 0 || x >= width || y >= height) return;
+      const i = (y * width + x) * 3;
+      working[i] += channelErrors[0] * weight;
+      working[i + 1] += channelErrors[1] * weight;
+      working[i + 2] += channelErrors[2] * weight;
+    };
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = y * width + x;
+        const r = clampByte(working[pixel * 3]);
+        const g = clampByte(working[pixel * 3 + 1]);
+        const b = clampByte(working[pixel * 3 + 2]);
+        const index = matchColor(r, g, b);
+        indices[pixel] = index;
+
+        const errors = [r - palette[index * 3], g - palette[index * 3 + 1], b - palette[index * 3 + 2]];
+        spread(x + 1, y, errors, 7 / 16);
+        spread(x - 1, y + 1, errors, 3 / 16);
+        spread(x, y + 1, errors, 5 / 16);
+        spread(x + 1, y + 1, errors, 1 / 16);
+      }
+    }
+    return indices;
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = y * width + x;
+      const offset = dithering === 'ordered' ? BAYER_4X4[(y & 3) * 4 + (x & 3)] : 0;
+      indices[pixel] = matchColor(
+        clampByte(data[pixel * 4] + offset),
+        clampByte(data[pixel * 4 + 1] + offset),
+        clampByte(data[pixel * 4 + 2] + offset)
+      );
+    }
+  }
+  return indices;
+}
+
+// Growable byte buffer
+function createByteWriter(initialSize = 1 << 16) {
+  let bytes = new Uint8Array(initialSize);
+  let length = 0;
+
+  const ensure = (extra) => {
+    if (length + extra <= bytes.length) return;
+    let size = bytes.length * 2;
+    while (size < length + extra) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(bytes.subarray(0, length));
+    bytes = grown;
+  };
+
+  return {
+    byte(value) {
+      ensure(1);
+      bytes[length++] = value;
+    },
+    short(value) {
+      ensure(2);
+      bytes[length++] = value & 0xff;
+      bytes[length++] = (value >> 8) & 0xff;
+    },
+    bytes(values) {
+      ensure(values.length);
+      bytes.set(values, length);
+      length += values.length;
+    },
+    string(text) {
+      for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    },
+    result: () => bytes.slice(0, length)
+  };
+}
+
+// LZW-compress one frame's indices into image data sub-blocks
+function writeLzwData(writer, indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+
+  const block = new Uint8Array(255);
+  let blockLength = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const flushBlock = () => {
+    if (blockLength === 0) return;
+    writer.byte(blockLength);
+    writer.bytes(block.subarray(0, blockLength));
+    blockLength = 0;
+  };
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block[blockLength++] = bitBuffer & 0xff;
+      if (blockLength === 255) flushBlock();
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writer.byte(minCodeSize);
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const pixel = indices[i];
+    const key = prefix * 256 + pixel;
+    const known = dictionary.get(key);
+    if (known !== undefined) {
+      prefix = known;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode <= MAX_LZW_CODE) {
+      dictionary.set(key, nextCode);
+      // The decoder widens one code later than we add it, so compare after adding
+      if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+      nextCode++;
+    } else {
+      emit(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+    prefix = pixel;
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) {
+    block[blockLength++] = bitBuffer & 0xff;
+    if (blockLength === 255) flushBlock();
+  }
+  flushBlock();
+  writer.byte(0);
+}
+
+/**
+ * Encode frames as a looping animated GIF
+ * @param {ImageData[]} frames - Frames, all the same size
+ * @param {Object} [options]
+ * @param {number|number[]} [options.delayMs=100] - Delay per frame (or one for all)
+ * @param {number} [options.paletteSize=256] - Colors in the shared palette (2-256)
+ * @param {'none'|'ordered'|'floyd-steinberg'} [options.dithering='floyd-steinberg'] - Dithering method
+ * @param {number} [options.loop=0] - Times to repeat (0 = forever)
+ * @param {Function} [options.onProgress] - Called with (encodedFrames, totalFrames)
+ * @returns {Promise<Uint8Array>} GIF file bytes
+ */
+export async function encodeGif(frames, options = {}) {
+  const {
+    delayMs = 100,
+    paletteSize = 256,
+    dithering = 'floyd-steinberg',
+    loop = 0,
+    onProgress = null
+  } = options;
+
+  if (!frames || frames.length === 0) {
+    throw new Error('No frames to encode');
+  }
+  if (!GIF_DITHERING.includes(dithering)) {
+    throw new Error(`Unknown dithering method: ${dithering}`);
+  }
+  const { width, height } = frames[0];
+  if (frames.some(frame => frame.width !== width || frame.height !== height)) {
+    throw new Error('All GIF frames must be the same size');
+  }
+
+  const palette = buildPalette(frames, Math.max(2, Math.min(256, Math.round(paletteSize))));
+  const matchColor = createColorMatcher(palette);
+
+  // Color tables hold a power of two entries; unused ones stay black
+  let tableBits = 1;
+  while (1 << tableBits < palette.length / 3) tableBits++;
+  const colorTable = new Uint8Array(3 * (1 << tableBits));
+  colorTable.set(palette);
+
+  const writer = createByteWriter();
+  writer.string('GIF89a');
+  writer.short(width);
+  writer.short(height);
+  writer.byte(0x80 | (tableBits - 1)); // Global color table, its size
+  writer.byte(0); // Background color index
+  writer.byte(0); // Square pixels
+  writer.bytes(colorTable);
+
+  // NETSCAPE2.0 looping extension
+  writer.bytes([0x21, 0xff, 0x0b]);
+  writer.string('NETSCAPE2.0');
+  writer.bytes([0x03, 0x01]);
+  writer.short(loop);
+  writer.byte(0);
+
+  for (let index = 0; index < frames.length; index++) {
+    const delay = Array.isArray(delayMs) ? delayMs[index] : delayMs;
+
+    // Graphic control extension: delay in centiseconds (browsers treat < 2 as 10)
+    writer.bytes([0x21, 0xf9, 0x04, 0x04]);
+    writer.short(Math.max(2, Math.round(delay / 10)));
+    writer.bytes([0x00, 0x00]);
+
+    // Image descriptor, full frame with the global palette
+    writer.byte(0x2c);
+    writer.short(0);
+    writer.short(0);
+    writer.short(width);
+    writer.short(height);
+    writer.byte(0);
+
+    const indices = indexFrame(frames[index], palette, matchColor, dithering);
+    writeLzwData(writer, indices, Math.max(2, tableBits));
+
+    if (onProgress) {
+      onProgress(index + 1, frames.length);
+    }
+    await yieldToBrowser();
+  }
+
+  writer.byte(0x3b);
+  return writer.result();
+}
@@ -0,0 +1,190 @@
+import { encodeGif } from './gifEncoder';
+import { sampleVideoFrames } from './videoFrameExtraction';
+import { fetchS3AsBlob } from './s3FetchWithFallback';
+
+/**
+ * Animated GIF export for messaging apps: a photo's sub-images, or its
+ * generated video sampled into frames, optionally played as a ping-pong
+ * boomerang and squeezed under a file size cap.
+ */
+
+export const GIF_EXPORT_DEFAULTS = {
+  frameRate: 10, // Frames sampled per second of video
+  maxFrames: 48,
+  maxWidth: 480,
+  paletteSize: 128,
+  dithering: 'floyd-steinberg',
+  maxBytes: 8 * 1024 * 1024, // Most messaging apps reject bigger GIFs
+  stillDelayMs: 700 // How long each sub-image shows
+};
+
+// Never shrink below this width to meet the size cap
+const MIN_WIDTH = 200;
+const MIN_FRAMES = 6;
+const MAX_ATTEMPTS = 6;
+
+/**
+ * What a photo can be animated from: its video, or 2+ sub-images
+ * @param {Object} photo - Photo from the gallery
+ * @returns {{type: 'video', url: string}|{type: 'images', urls: string[]}|null}
+ */
+export function getGifSource(photo) {
+  if (!photo || photo.loading || photo.generating || photo.error || photo.isOriginal) {
+    return null;
+  }
+  if (photo.videoUrl) {
+    return { type: 'video', url: photo.videoUrl };
+  }
+  const urls = (photo.images || []).filter(Boolean);
+  return urls.length > 1 ? { type: 'images', urls } : null;
+}
+
+/**
+ * GIF options from the user's settings
+ * @param {Object} settings - App settings
+ * @returns {{frameRate: number, paletteSize: number, dithering: string}}
+ */
+export function getGifOptions(settings) {
+  return {
+    frameRate: settings.gifFrameRate || GIF_EXPORT_DEFAULTS.frameRate,
+    paletteSize: settings.gifPaletteSize || GIF_EXPORT_DEFAULTS.paletteSize,
+    dithering: settings.gifDithering || GIF_EXPORT_DEFAULTS.dithering
+  };
+}
+
+/**
+ * Play frames forward then backward, without repeating the turnaround frames
+ * @param {Array} frames - Frames in order
+ * @returns {Array} Boomerang sequence
+ */
+export function toBoomerang(frames) {
+  return [...frames, ...frames.slice(1, -1).reverse()];
+}
+
+async function loadImageFrames(urls) {
+  const objectUrls = [];
+  try {
+    const images = await Promise.all(urls.map(async (url) => {
+      // Go through a blob so S3 images don't taint the canvas
+      const objectUrl = URL.createObjectURL(await fetchS3AsBlob(url));
+      objectUrls.push(objectUrl);
+      return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image for GIF'));
+        img.src = objectUrl;
+      });
+    }));
+    return images;
+  } finally {
+    // Decoded images stay drawable after their URLs are revoked
+    objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+  }
+}
+
+async function loadSourceFrames(source, { frameRate, maxFrames, maxWidth, stillDelayMs }) {
+  if (source.type === 'video') {
+    return sampleVideoFrames(source.url, { fps: frameRate, maxFrames, maxWidth });
+  }
+
+  const frames = await loadImageFrames(source.urls.slice(0, maxFrames));
+  return {
+    frames,
+    width: frames[0].naturalWidth,
+    height: frames[0].naturalHeight,
+    frameDelayMs: stillDelayMs
+  };
+}
+
+// Cover-fit every frame into width x height and read back its pixels
+function rasterizeFrames(frames, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.imageSmoothingQuality = 'high';
+
+  return frames.map(frame => {
+    const frameWidth = frame.naturalWidth || frame.width;
+    const frameHeight = frame.naturalHeight || frame.height;
+    const scale = Math.max(width / frameWidth, height / frameHeight);
+    const drawWidth = frameWidth * scale;
+    const drawHeight = frameHeight * scale;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(frame, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    return ctx.getImageData(0, 0, width, height);
+  });
+}
+
+/**
+ * Create an animated GIF no bigger than maxBytes. Oversized results are
+ * re-encoded smaller: first at a lower resolution, then with fewer colors,
+ * then with every other frame.
+ * @param {{type: 'video', url: string}|{type: 'images', urls: string[]}} source - From getGifSource
+ * @param {Object} [options] - Overrides for GIF_EXPORT_DEFAULTS, plus:
+ * @param {boolean} [options.boomerang=false] - Ping-pong the frames
+ * @param {Function} [options.onProgress] - Called with (current, total, message)
+ * @returns {Promise<{blob: Blob, width: number, height: number, frameCount: number}>}
+ */
+export async function createGif(source, options = {}) {
+  const { boomerang = false, onProgress = null, ...overrides } = options;
+  const settings = { ...GIF_EXPORT_DEFAULTS, ...overrides };
+
+  if (onProgress) {
+    onProgress(0, 0, source.type === 'video' ? 'Sampling video frames...' : 'Loading images...');
+  }
+  const loaded = await loadSourceFrames(source, settings);
+  if (loaded.frames.length === 0) {
+    throw new Error('Nothing to animate');
+  }
+
+  const sequence = boomerang ? toBoomerang(loaded.frames) : loaded.frames;
+  const aspectRatio = loaded.height / loaded.width;
+  let width = Math.min(settings.maxWidth, loaded.width);
+  let { paletteSize } = settings;
+  let frameStep = 1;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const height = Math.max(1, Math.round(width * aspectRatio));
+    const frames = sequence.filter((_, index) => index % frameStep === 0);
+
+    const bytes = await encodeGif(rasterizeFrames(frames, width, height), {
+      delayMs: loaded.frameDelayMs * frameStep,
+      paletteSize,
+      dithering: settings.dithering,
+      onProgress: onProgress
+        ? (current, total) => onProgress(current, total, `Encoding GIF frame ${current} of ${total}...`)
+        : null
+    });
+
+    if (bytes.length <= settings.maxBytes) {
+      return {
+        blob: new Blob([bytes], { type: 'image/gif' }),
+        width,
+        height,
+        frameCount: frames.length
+      };
+    }
+
+    console.log(`[GIF] ${width}px, ${paletteSize} colors, ${frames.length} frames is ${Math.round(bytes.length / 1024)}KB, over the ${Math.round(settings.maxBytes / 1024)}KB cap`);
+
+    // Size scales roughly with pixel count, so shrink by the square root of the overshoot
+    const fittedWidth = Math.floor(width * Math.sqrt(settings.maxBytes / bytes.length) * 0.95);
+    if (fittedWidth >= MIN_WIDTH) {
+      width = fittedWidth;
+    } else if (width > MIN_WIDTH) {
+      width = MIN_WIDTH;
+    } else if (paletteSize > 64) {
+      paletteSize = 64;
+    } else if (frames.length / 2 >= MIN_FRAMES) {
+      frameStep *= 2;
+    } else {
+      break;
+    }
+  }
+
+  const error = new Error('This one is too big to fit in a GIF. Try fewer frames or colors.');
+  error.code = 'GIF_TOO_LARGE';
+  throw error;
+}
@@ -0,0 +1,106 @@
+/**
+ * IndexedDB Migrations
+ *
+ * Opens an IndexedDB database from an ordered list of schema migrations.
+ * The database version is the highest migration version. On upgrade, every
+ * migration newer than the stored version runs in order inside the
+ * versionchange transaction, so a fresh install and an upgrade from any
+ * older version end up with the same schema.
+ */
+
+export interface IDBMigration {
+  /** Schema version this migration upgrades to (1, 2, 3, ...) */
+  version: number;
+  /** Short description for logs */
+  description: string;
+  /**
+   * Apply the migration. Runs inside the versionchange transaction, so it may
+   * only issue IndexedDB requests on that transaction - awaiting anything else
+   * would let the transaction auto-commit half way through.
+   */
+  migrate: (db: IDBDatabase, transaction: IDBTransaction) => void;
+}
+
+interface OpenDatabaseOptions {
+  name: string;
+  migrations: IDBMigration[];
+  /** Prefix for console output, e.g. 'LocalProjectsDB' */
+  logTag: string;
+  /** Called when the connection is closed so callers can drop cached handles */
+  onClose?: () => void;
+}
+
+/**
+ * Schema version for a migration list (the highest migration version)
+ */
+export function getSchemaVersion(migrations: IDBMigration[]): number {
+  return migrations.reduce((max, migration) => Math.max(max, migration.version), 0);
+}
+
+/**
+ * Ensure migrations are numbered 1..n without gaps or duplicates
+ */
+function validateMigrations(migrations: IDBMigration[]): void {
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`IndexedDB migrations must be numbered 1..n in order (found version ${migration.version} at position ${index + 1})`);
+    }
+  });
+}
+
+/**
+ * Open a database, running any pending migrations
+ */
+export function openDatabaseWithMigrations({
+  name,
+  migrations,
+  logTag,
+  onClose
+}: OpenDatabaseOptions): Promise<IDBDatabase> {
+  validateMigrations(migrations);
+  const version = getSchemaVersion(migrations);
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+
+    request.onerror = () => {
+      console.error(`[${logTag}] Failed to open database:`, request.error);
+      reject(new Error(`Failed to open ${name} database`));
+    };
+
+    request.onblocked = () => {
+      console.warn(`[${logTag}] Upgrade to v${version} is waiting for other tabs to close the database`);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Handle database closing unexpectedly
+      db.onclose = () => {
+        onClose?.();
+      };
+
+      // Another tab wants to upgrade - step aside instead of blocking it
+      db.onversionchange = () => {
+        db.close();
+        onClose?.();
+      };
+
+      resolve(db);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      const transaction = request.transaction;
+      if (!transaction) return;
+
+      const fromVersion = event.oldVersion;
+      for (const migration of migrations) {
+        if (migration.version <= fromVersion) continue;
+
+        console.log(`[${logTag}] Migrating to v${migration.version}: ${migration.description}`);
+        migration.migrate(db, transaction);
+      }
+    };
+  });
+}
@@ -504,6 +504,9 @@ export const blobToDataURL = (blob) => {
  * @param {number} options.frameOffsetX - X offset of image from canvas edge (required when marginStartsInsideFrame is true)
  * @param {number} options.frameOffsetY - Y offset of image from canvas edge (required when marginStartsInsideFrame is true)
  * @param {Object} options.framePadding - Frame padding object for custom themes
+ * @param {Object} options.colors - QR colors { dark, light } as hex (default: black on white)
+ * @param {string} options.logoUrl - Logo drawn in the middle of the QR code
+ * @param {string} options.caption - Short text drawn next to the QR code (e.g. "Scan for your photo")
  */
 export async function addQRWatermark(ctx, canvasWidth, canvasHeight, options = {}) {
   const {
@@ -511,8 +514,13 @@ export async function addQRWatermark(ctx, canvasWidth, canvasHeight, options = {
     margin = 20,
     position = 'bottom-right',
     opacity = 1.0,
-    url = 'https://qr.sogni.ai'
+    url = 'https://qr.sogni.ai',
+    colors = {},
+    logoUrl = null,
+    caption = ''
   } = options;
+  const dark = colors.dark || '#000000';
+  const light = colors.light || '#FFFFFF';
 
   try {
     // Import QR code service dynamically
@@ -522,12 +530,13 @@ export async function addQRWatermark(ctx, canvasWidth, canvasHeight, options = {
     const qrDataUrl = await qrCodeService.generateQRCode(url, {
       width: size * 2, // Generate at higher resolution for better quality
       margin: 1, // Minimal margin since we control positioning
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
+      // The logo hides the middle of the code, so it needs the most redundancy
+      errorCorrectionLevel: logoUrl ? 'H' : 'M',
+      color: { dark, light }
     });
 
+    const logoImage = logoUrl ? await loadWatermarkLogo(logoUrl) : null;
+
     return new Promise((resolve) => {
     const qrImage = new Image();
     qrImage.crossOrigin = 'anonymous';
@@ -621,6 +630,13 @@ export async function addQRWatermark(ctx, canvasWidth, canvasHeight, options = {
       
       // Draw the QR code
       ctx.drawImage(qrImage, x, y, size, size);
+
+      if (logoImage) {
+        drawQRLogo(ctx, logoImage, x, y, size, light);
+      }
+      if (caption) {
+        drawQRCaption(ctx, caption, x, y, size, { position, canvasHeight, dark, light });
+      }
       
       // Restore context state
       ctx.restore();
@@ -643,6 +659,69 @@ export async function addQRWatermark(ctx, canvasWidth, canvasHeight, options = {
   }
 }
 
+/**
+ * Load a QR watermark logo, or null if it can't be loaded (the QR still works without it)
+ * @param {string} logoUrl - Logo URL
+ * @returns {Promise<HTMLImageElement|null>}
+ */
+function loadWatermarkLogo(logoUrl) {
+  return new Promise((resolve) => {
+    const logo = new Image();
+    logo.crossOrigin = 'anonymous';
+    logo.onload = () => resolve(logo);
+    logo.onerror = () => {
+      console.warn('Failed to load QR watermark logo, drawing QR without it:', logoUrl);
+      resolve(null);
+    };
+    logo.src = logoUrl;
+  });
+}
+
+/**
+ * Draw a logo over the middle of a QR code on a light tile.
+ * Kept to ~22% of the code so error correction level H can still read it.
+ */
+function drawQRLogo(ctx, logo, qrX, qrY, qrSize, background) {
+  const tileSize = qrSize * 0.26;
+  const logoBox = qrSize * 0.22;
+  const scale = Math.min(logoBox / logo.width, logoBox / logo.height);
+  const logoWidth = logo.width * scale;
+  const logoHeight = logo.height * scale;
+  const centerX = qrX + qrSize / 2;
+  const centerY = qrY + qrSize / 2;
+
+  ctx.fillStyle = background;
+  ctx.fillRect(centerX - tileSize / 2, centerY - tileSize / 2, tileSize, tileSize);
+  ctx.drawImage(logo, centerX - logoWidth / 2, centerY - logoHeight / 2, logoWidth, logoHeight);
+}
+
+/**
+ * Draw a caption on a strip as wide as the QR code - above it when the code
+ * sits at the bottom of the image, below it when it sits at the top
+ */
+function drawQRCaption(ctx, caption, qrX, qrY, qrSize, { position, canvasHeight, dark, light }) {
+  const fontSize = Math.max(10, Math.round(qrSize * 0.13));
+  const stripHeight = Math.round(fontSize * 1.6);
+  const below = position.startsWith('top') || qrY - stripHeight < 0;
+  const stripY = below ? Math.min(qrY + qrSize, canvasHeight - stripHeight) : qrY - stripHeight;
+
+  ctx.fillStyle = light;
+  ctx.fillRect(qrX, stripY, qrSize, stripHeight);
+
+  ctx.font = `bold ${fontSize}px Arial, sans-serif`;
+  ctx.fillStyle = dark;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  // Shrink long captions to fit rather than spilling past the code
+  const maxWidth = qrSize - fontSize * 0.5;
+  const textWidth = ctx.measureText(caption).width;
+  if (textWidth > maxWidth) {
+    ctx.font = `bold ${Math.max(8, Math.floor(fontSize * maxWidth / textWidth))}px Arial, sans-serif`;
+  }
+  ctx.fillText(caption, qrX + qrSize / 2, stripY + stripHeight / 2, maxWidth);
+}
+
 /**
  * Convert a PNG blob to high-quality JPEG blob for efficient upload
  * Maintains high quality while reducing file size for faster uploads
@@ -7,9 +7,12 @@
  * Upload a blob URL to our image hosting service
  * @param {string} blobUrl - The blob URL to upload
  * @param {string} filename - Optional filename (will be auto-generated if not provided)
+ * @param {Object} [options]
+ * @param {string} [options.ttl] - How long the server keeps the image ('1h', '24h' or '7d', default '1h')
  * @returns {Promise<string>} - Promise that resolves to the permanent image URL
+ * @throws {Error} With `code` set when the server rejected the image (IMAGE_TOO_LARGE, UNSUPPORTED_IMAGE_TYPE...)
  */
-export const uploadBlobImage = async (blobUrl, filename = null) => {
+export const uploadBlobImage = async (blobUrl, filename = null, { ttl } = {}) => {
   console.log(`[Image Upload] Starting upload for URL (${blobUrl.length} chars)`);
   
   try {
@@ -33,6 +36,9 @@ export const uploadBlobImage = async (blobUrl, filename = null) => {
     }
     
     formData.append('image', blob, filename);
+    if (ttl) {
+      formData.append('ttl', ttl);
+    }
     
     console.log(`[Image Upload] Uploading to server with filename: ${filename}`);
     
@@ -49,7 +55,18 @@ export const uploadBlobImage = async (blobUrl, filename = null) => {
     
     if (!uploadResponse.ok) {
       const errorText = await uploadResponse.text();
-      throw new Error(`Upload failed: ${uploadResponse.status} ${uploadResponse.statusText} - ${errorText}`);
+      // Rejected images come back as { error, code } (e.g. IMAGE_TOO_LARGE)
+      let errorBody = null;
+      try {
+        errorBody = JSON.parse(errorText);
+      } catch {
+        // Not JSON (proxy error page etc.)
+      }
+      const uploadError = new Error(errorBody?.code
+        ? errorBody.error
+        : `Upload failed: ${uploadResponse.status} ${uploadResponse.statusText} - ${errorText}`);
+      uploadError.code = errorBody?.code;
+      throw uploadError;
     }
     
     const uploadResult = await uploadResponse.json();
@@ -64,7 +81,9 @@ export const uploadBlobImage = async (blobUrl, filename = null) => {
     
   } catch (error) {
     console.error('[Image Upload] Error uploading image:', error);
-    throw new Error(`Failed to upload image: ${error.message}`);
+    const uploadError = new Error(`Failed to upload image: ${error.message}`);
+    uploadError.code = error.code;
+    throw uploadError;
   }
 };
 
@@ -111,12 +130,13 @@ export const isDataUrl = (url) => {
 /**
  * Convert blob URL to permanent URL if needed
  * @param {string} url - URL to process
+ * @param {Object} [options] - Upload options (see uploadBlobImage)
  * @returns {Promise<string>} - Promise that resolves to permanent URL
  */
-export const ensurePermanentUrl = async (url) => {
+export const ensurePermanentUrl = async (url, options = {}) => {
   if (isBlobUrl(url) || isDataUrl(url)) {
     console.log(`[Image Upload] Converting temporary URL (blob/data) to permanent URL`);
-    return await uploadBlobImage(url);
+    return await uploadBlobImage(url, null, options);
   }
   
   console.log(`[Image Upload] URL is already permanent`);
@@ -0,0 +1,311 @@
+/**
+ * Kiosk Lockdown
+ *
+ * Unattended kiosk support on top of Kiosk Mode. When staff lock a device
+ * down, the current theme, style and creative settings are captured as the
+ * kiosk baseline. Guests can't change the locked theme/style, every idle
+ * reset puts the baseline settings back, and the settings panel needs the
+ * admin PIN chosen when locking.
+ *
+ * Timings (idle reset, attract loop, error recovery) come from the active
+ * theme's `kiosk` block in events/config.json, falling back to the defaults
+ * below.
+ */
+import type { Settings } from '../types/index';
+
+const STORAGE_KEY = 'sogni_kioskLockdown';
+// Kept apart from the lockdown so a reload doesn't reset the count
+const PIN_ATTEMPTS_STORAGE_KEY = 'sogni_kioskPinAttempts';
+const MAX_PIN_ATTEMPTS = 5;
+// Doubles with every lockout in a row, up to the max
+const PIN_LOCKOUT_MS = 30 * 1000;
+const MAX_PIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+export const KIOSK_PIN_PATTERN = /^\d{4,8}$/;
+
+/**
+ * Settings a guest can change that go back to the baseline on every idle reset
+ */
+export const KIOSK_GUEST_SETTINGS = [
+  'selectedModel',
+  'selectedStyle',
+  'positivePrompt',
+  'customSceneName',
+  'stylePrompt',
+  'negativePrompt',
+  'seed',
+  'numImages',
+  'aspectRatio',
+  'tezdevTheme',
+  'outputFormat',
+  'flashEnabled',
+  'keepOriginalPhoto',
+  'soundEnabled',
+  'portraitType',
+  'videoResolution',
+  'videoQuality',
+  'videoDuration',
+  'videoPositivePrompt',
+  'videoNegativePrompt'
+] as const satisfies readonly (keyof Settings)[];
+
+export type KioskGuestSettings = Partial<Pick<Settings, typeof KIOSK_GUEST_SETTINGS[number]>>;
+
+/** Per-theme kiosk options (the `kiosk` block of a theme in events/config.json) */
+export interface KioskThemeConfig {
+  /** Seconds without a touch before the guest session is wiped */
+  idleResetSeconds?: number;
+  /** Seconds of "Still there?" warning before the reset */
+  resetWarningSeconds?: number;
+  /** Keep guests on the theme that was active when the kiosk was locked */
+  lockTheme?: boolean;
+  /** Keep guests on one style */
+  lockStyle?: boolean;
+  /** Style to lock to (defaults to the style active when the kiosk was locked) */
+  lockedStyle?: string;
+  attractLoop?: {
+    enabled?: boolean;
+    /** Seconds idle on the start menu before the attract loop starts */
+    idleSeconds?: number;
+    /** Seconds each image is shown */
+    slideSeconds?: number;
+    /** Images to cycle through (defaults to the theme's background and logo) */
+    images?: string[];
+    headline?: string;
+  };
+  recovery?: {
+    /** Seconds between camera health checks / restart attempts */
+    cameraRetrySeconds?: number;
+    /** Failed camera restarts before the page is reloaded */
+    maxCameraRetries?: number;
+    /** Seconds the Sogni socket may stay disconnected before the page is reloaded */
+    socketReloadSeconds?: number;
+  };
+}
+
+export interface ResolvedKioskConfig {
+  idleResetSeconds: number;
+  resetWarningSeconds: number;
+  lockTheme: boolean;
+  lockStyle: boolean;
+  lockedStyle: string | null;
+  attractLoop: {
+    enabled: boolean;
+    idleSeconds: number;
+    slideSeconds: number;
+    images: string[];
+    headline: string;
+  };
+  recovery: {
+    cameraRetrySeconds: number;
+    maxCameraRetries: number;
+    socketReloadSeconds: number;
+  };
+}
+
+export const DEFAULT_KIOSK_CONFIG: ResolvedKioskConfig = {
+  idleResetSeconds: 90,
+  resetWarningSeconds: 10,
+  lockTheme: true,
+  lockStyle: true,
+  lockedStyle: null,
+  attractLoop: {
+    enabled: true,
+    idleSeconds: 30,
+    slideSeconds: 6,
+    images: [],
+    headline: 'Tap anywhere to start 📸'
+  },
+  recovery: {
+    cameraRetrySeconds: 5,
+    maxCameraRetries: 5,
+    socketReloadSeconds: 60
+  }
+};
+
+export interface KioskLockdownState {
+  enabled: true;
+  pinHash: string;
+  pinSalt: string;
+  /** Theme guests are locked to ('off' means no theme), or null when themes are unlocked */
+  theme: string | null;
+  /** Style guests are locked to, or null when styles are unlocked */
+  style: string | null;
+  /** Baseline restored on every idle reset */
+  settings: KioskGuestSettings;
+  lockedAt: number;
+}
+
+interface PinAttemptState {
+  failedAttempts: number;
+  /** Lockouts since the last correct PIN */
+  lockouts: number;
+  lockedOutUntil: number;
+}
+
+let lockdown: KioskLockdownState | null = readLockdown();
+let pinAttempts: PinAttemptState = readPinAttempts();
+
+function readLockdown(): KioskLockdownState | null {
+  try {
+    const raw = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+    const parsed = raw ? JSON.parse(raw) as KioskLockdownState : null;
+    return parsed?.enabled && parsed.pinHash ? parsed : null;
+  } catch (error) {
+    console.warn('[KioskLockdown] Ignoring unreadable lockdown state:', error);
+    return null;
+  }
+}
+
+function readPinAttempts(): PinAttemptState {
+  const initial = { failedAttempts: 0, lockouts: 0, lockedOutUntil: 0 };
+  try {
+    const raw = typeof localStorage !== 'undefined' ? localStorage.getItem(PIN_ATTEMPTS_STORAGE_KEY) : null;
+    const parsed = raw ? JSON.parse(raw) as Partial<PinAttemptState> : null;
+    return {
+      failedAttempts: Number(parsed?.failedAttempts) || 0,
+      lockouts: Number(parsed?.lockouts) || 0,
+      lockedOutUntil: Number(parsed?.lockedOutUntil) || 0
+    };
+  } catch (error) {
+    console.warn('[KioskLockdown] Ignoring unreadable PIN attempt state:', error);
+    return initial;
+  }
+}
+
+function savePinAttempts(state: PinAttemptState): void {
+  pinAttempts = state;
+  try {
+    if (state.failedAttempts === 0 && state.lockouts === 0) {
+      localStorage.removeItem(PIN_ATTEMPTS_STORAGE_KEY);
+    } else {
+      localStorage.setItem(PIN_ATTEMPTS_STORAGE_KEY, JSON.stringify(state));
+    }
+  } catch (error) {
+    console.warn('[KioskLockdown] Could not save PIN attempts:', error);
+  }
+}
+
+async function hashPin(pin: string, salt: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Merge a theme's kiosk options over the defaults
+ */
+export function resolveKioskConfig(config?: KioskThemeConfig | null): ResolvedKioskConfig {
+  return {
+    ...DEFAULT_KIOSK_CONFIG,
+    ...config,
+    lockedStyle: config?.lockedStyle ?? null,
+    attractLoop: { ...DEFAULT_KIOSK_CONFIG.attractLoop, ...config?.attractLoop },
+    recovery: { ...DEFAULT_KIOSK_CONFIG.recovery, ...config?.recovery }
+  };
+}
+
+/**
+ * Current lockdown, or null when the device isn't locked down
+ */
+export function getKioskLockdown(): KioskLockdownState | null {
+  return lockdown;
+}
+
+/**
+ * Pick the guest-changeable settings out of a settings object
+ */
+export function pickGuestSettings(settings: Settings): KioskGuestSettings {
+  return Object.fromEntries(
+    KIOSK_GUEST_SETTINGS.filter(key => settings[key] !== undefined).map(key => [key, settings[key]])
+  ) as KioskGuestSettings;
+}
+
+/**
+ * Lock the device down with the given settings as the guest baseline
+ * @param pin - Admin PIN (4-8 digits)
+ * @param settings - Current settings
+ * @param config - Kiosk options for the current theme
+ */
+export async function enableKioskLockdown(
+  pin: string,
+  settings: Settings,
+  config: ResolvedKioskConfig
+): Promise<KioskLockdownState> {
+  if (!KIOSK_PIN_PATTERN.test(pin)) {
+    throw new Error('PIN must be 4 to 8 digits');
+  }
+
+  const pinSalt = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+  const style = config.lockStyle ? (config.lockedStyle || settings.selectedStyle) : null;
+  const baseline = pickGuestSettings(settings);
+  if (style) {
+    baseline.selectedStyle = style;
+  }
+
+  const state: KioskLockdownState = {
+    enabled: true,
+    pinHash: await hashPin(pin, pinSalt),
+    pinSalt,
+    theme: config.lockTheme ? settings.tezdevTheme : null,
+    style,
+    settings: baseline,
+    lockedAt: Date.now()
+  };
+
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  lockdown = state;
+  savePinAttempts({ failedAttempts: 0, lockouts: 0, lockedOutUntil: 0 });
+  console.log(`[KioskLockdown] Locked down (theme: ${state.theme ?? 'unlocked'}, style: ${state.style ?? 'unlocked'})`);
+  return state;
+}
+
+/**
+ * Leave lockdown (only call after the PIN was verified)
+ */
+export function disableKioskLockdown(): void {
+  localStorage.removeItem(STORAGE_KEY);
+  lockdown = null;
+  console.log('[KioskLockdown] Lockdown disabled');
+}
+
+/**
+ * Seconds left before the PIN can be tried again (0 when not locked out)
+ */
+export function getKioskPinLockoutSeconds(): number {
+  return Math.max(0, Math.ceil((pinAttempts.lockedOutUntil - Date.now()) / 1000));
+}
+
+/**
+ * Check the admin PIN. After too many wrong PINs further attempts are
+ * refused for a while, longer each time. Attempts survive page reloads.
+ * @returns 'ok', 'wrong' or 'locked-out'
+ */
+export async function verifyKioskPin(pin: string): Promise<'ok' | 'wrong' | 'locked-out'> {
+  if (!lockdown) return 'ok';
+  if (getKioskPinLockoutSeconds() > 0) return 'locked-out';
+
+  if (await hashPin(pin, lockdown.pinSalt) === lockdown.pinHash) {
+    savePinAttempts({ failedAttempts: 0, lockouts: 0, lockedOutUntil: 0 });
+    return 'ok';
+  }
+
+  const failedAttempts = pinAttempts.failedAttempts + 1;
+  if (failedAttempts >= MAX_PIN_ATTEMPTS) {
+    const lockoutMs = Math.min(PIN_LOCKOUT_MS * 2 ** pinAttempts.lockouts, MAX_PIN_LOCKOUT_MS);
+    savePinAttempts({ failedAttempts: 0, lockouts: pinAttempts.lockouts + 1, lockedOutUntil: Date.now() + lockoutMs });
+    console.warn(`[KioskLockdown] Too many wrong PINs, locking out for ${lockoutMs / 1000} seconds`);
+    return 'locked-out';
+  }
+  savePinAttempts({ ...pinAttempts, failedAttempts });
+  return 'wrong';
+}
+
+/**
+ * Whether a settings change is blocked by the lockdown (locked theme or style)
+ */
+export function isSettingLocked(key: keyof Settings, value: unknown): boolean {
+  if (!lockdown) return false;
+  if (key === 'tezdevTheme') return lockdown.theme !== null && value !== lockdown.theme;
+  if (key === 'selectedStyle') return lockdown.style !== null && value !== lockdown.style;
+  return false;
+}
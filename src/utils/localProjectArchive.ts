@@ -0,0 +1,300 @@
+/**
+ * Local Project Archives
+ *
+ * Packages a local project (images, ordering and thumbnail) into a single zip
+ * with a manifest.json so it can be moved to another browser or device, and
+ * restores such archives as new local projects.
+ *
+ * Archive layout:
+ *   manifest.json       - LocalProjectArchiveManifest
+ *   images/0001.jpg     - images in project order
+ */
+
+import JSZip from 'jszip';
+import type { LocalProject } from '../types/localProjects';
+import {
+  LOCAL_PROJECT_MAX_IMAGES,
+  LOCAL_PROJECT_SUPPORTED_TYPES
+} from '../types/localProjects';
+import { getProjectWithImages, createProjectWithImages } from './localProjectsDB';
+
+export const LOCAL_PROJECT_ARCHIVE_FORMAT = 'sogni-local-project';
+export const LOCAL_PROJECT_ARCHIVE_VERSION = 1;
+
+const MANIFEST_FILENAME = 'manifest.json';
+const MAX_PROJECT_NAME_LENGTH = 100;
+
+interface ArchiveImageEntry {
+  /** Path of the image inside the zip */
+  path: string;
+  /** Original filename */
+  filename: string;
+  mimeType: string;
+  width: number;
+  height: number;
+  size: number;
+  /** Hex SHA-256 of the image bytes (used to verify and dedupe on import) */
+  sha256: string;
+}
+
+export interface LocalProjectArchiveManifest {
+  format: typeof LOCAL_PROJECT_ARCHIVE_FORMAT;
+  version: number;
+  exportedAt: string;
+  project: {
+    name: string;
+    createdAt: number;
+    updatedAt: number;
+  };
+  /** Images in project order */
+  images: ArchiveImageEntry[];
+  /** Index into images of the project thumbnail */
+  thumbnailIndex: number | null;
+}
+
+export interface LocalProjectImportResult {
+  project: LocalProject;
+  /** Images restored into the new project */
+  imported: number;
+  /** Images left out because the same bytes were already in the archive */
+  duplicates: number;
+  /** Images left out because they were missing, corrupt or unsupported */
+  skipped: number;
+}
+
+const EXTENSIONS: Record<string, string> = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+async function sha256Hex(data: ArrayBuffer): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function slugify(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9\s-]/g, '').trim().replace(/\s+/g, '-') || 'project';
+}
+
+/**
+ * Build the archive for a local project
+ * @param projectId - Local project ID
+ * @returns Zip blob and a suggested filename
+ */
+export async function buildLocalProjectArchive(
+  projectId: string
+): Promise<{ blob: Blob; filename: string }> {
+  const project = await getProjectWithImages(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const zip = new JSZip();
+  const images: ArchiveImageEntry[] = [];
+  const padding = String(project.images.length).length < 4 ? 4 : String(project.images.length).length;
+
+  for (const [index, image] of project.images.entries()) {
+    const buffer = await image.blob.arrayBuffer();
+    const path = `images/${String(index + 1).padStart(padding, '0')}.${EXTENSIONS[image.mimeType] || 'jpg'}`;
+
+    // Images are already compressed, deflating them again only costs time
+    zip.file(path, buffer, { compression: 'STORE' });
+    images.push({
+      path,
+      filename: image.filename,
+      mimeType: image.mimeType,
+      width: image.width,
+      height: image.height,
+      size: buffer.byteLength,
+      sha256: await sha256Hex(buffer)
+    });
+  }
+
+  const thumbnailIndex = project.thumbnailId
+    ? project.images.findIndex(image => image.id === project.thumbnailId)
+    : -1;
+
+  const manifest: LocalProjectArchiveManifest = {
+    format: LOCAL_PROJECT_ARCHIVE_FORMAT,
+    version: LOCAL_PROJECT_ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: {
+      name: project.name,
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt
+    },
+    images,
+    thumbnailIndex: thumbnailIndex >= 0 ? thumbnailIndex : null
+  };
+  zip.file(MANIFEST_FILENAME, JSON.stringify(manifest, null, 2));
+
+  const blob = await zip.generateAsync({
+    type: 'blob',
+    compression: 'DEFLATE',
+    compressionOptions: {
+      level: 6,
+    },
+  });
+
+  return { blob, filename: `${slugify(project.name)}.sogni-project.zip` };
+}
+
+/**
+ * Export a local project as a zip archive and trigger a download
+ * @param projectId - Local project ID
+ * @returns true on success, false on error
+ */
+export async function exportLocalProjectZip(projectId: string): Promise<boolean> {
+  try {
+    const { blob, filename } = await buildLocalProjectArchive(projectId);
+
+    const blobUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = blobUrl;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+
+    return true;
+  } catch (error) {
+    console.error('[LocalProjectArchive] Error exporting project:', error);
+    return false;
+  }
+}
+
+/**
+ * Check that a parsed manifest has the shape we expect
+ * @throws Error describing the first problem found
+ */
+function validateManifest(manifest: unknown): asserts manifest is LocalProjectArchiveManifest {
+  const candidate = manifest as Partial<LocalProjectArchiveManifest> | null;
+
+  if (!candidate || typeof candidate !== 'object' || candidate.format !== LOCAL_PROJECT_ARCHIVE_FORMAT) {
+    throw new Error('This zip is not a Sogni local project export');
+  }
+  if (typeof candidate.version !== 'number' || candidate.version < 1) {
+    throw new Error('Invalid archive: missing or invalid version');
+  }
+  if (candidate.version > LOCAL_PROJECT_ARCHIVE_VERSION) {
+    throw new Error('This export was created by a newer version. Please update the app.');
+  }
+  if (!candidate.project || typeof candidate.project.name !== 'string' || !candidate.project.name.trim()) {
+    throw new Error('Invalid archive: missing project name');
+  }
+  if (!Array.isArray(candidate.images)) {
+    throw new Error('Invalid archive: images must be an array');
+  }
+  if (candidate.images.length > LOCAL_PROJECT_MAX_IMAGES) {
+    throw new Error(`Invalid archive: projects can have at most ${LOCAL_PROJECT_MAX_IMAGES} images`);
+  }
+  for (const entry of candidate.images) {
+    if (!entry || typeof entry.path !== 'string' || typeof entry.mimeType !== 'string') {
+      throw new Error('Invalid archive: every image needs a path and mimeType');
+    }
+  }
+  if (candidate.thumbnailIndex !== null && candidate.thumbnailIndex !== undefined &&
+      (!Number.isInteger(candidate.thumbnailIndex) || candidate.thumbnailIndex < 0)) {
+    throw new Error('Invalid archive: invalid thumbnailIndex');
+  }
+}
+
+/**
+ * Import a local project archive as a new local project.
+ * Images keep their exported order; identical images are only stored once
+ * and entries that are missing or fail their checksum are skipped.
+ *
+ * @param file - The zip File object from a file input
+ * @throws Error if the archive or its manifest is invalid
+ */
+export async function importLocalProjectZip(file: File): Promise<LocalProjectImportResult> {
+  let zip: JSZip;
+  try {
+    zip = await JSZip.loadAsync(await file.arrayBuffer());
+  } catch {
+    throw new Error('Could not read the zip file');
+  }
+
+  const manifestFile = zip.file(MANIFEST_FILENAME);
+  if (!manifestFile) {
+    throw new Error(`Invalid archive: missing ${MANIFEST_FILENAME}`);
+  }
+
+  let manifest: unknown;
+  try {
+    manifest = JSON.parse(await manifestFile.async('string'));
+  } catch {
+    throw new Error(`Invalid archive: ${MANIFEST_FILENAME} is not valid JSON`);
+  }
+  validateManifest(manifest);
+
+  const images: Array<{ blob: Blob; filename: string; mimeType: string }> = [];
+  // Position of each manifest entry in `images` (null when it was left out)
+  const restoredIndex: Array<number | null> = [];
+  const indexByHash = new Map<string, number>();
+  let duplicates = 0;
+  let skipped = 0;
+
+  for (const entry of manifest.images) {
+    const mimeType = entry.mimeType.toLowerCase();
+    const imageFile = entry.path.startsWith('images/') && !entry.path.includes('..')
+      ? zip.file(entry.path)
+      : null;
+
+    if (!imageFile || !LOCAL_PROJECT_SUPPORTED_TYPES.includes(mimeType)) {
+      console.warn(`[LocalProjectArchive] Skipping unusable image entry: ${entry.path}`);
+      restoredIndex.push(null);
+      skipped++;
+      continue;
+    }
+
+    const buffer = await imageFile.async('arraybuffer');
+    const hash = await sha256Hex(buffer);
+    if (entry.sha256 && entry.sha256 !== hash) {
+      console.warn(`[LocalProjectArchive] Checksum mismatch, skipping: ${entry.path}`);
+      restoredIndex.push(null);
+      skipped++;
+      continue;
+    }
+
+    const existingIndex = indexByHash.get(hash);
+    if (existingIndex !== undefined) {
+      restoredIndex.push(existingIndex);
+      duplicates++;
+      continue;
+    }
+
+    indexByHash.set(hash, images.length);
+    restoredIndex.push(images.length);
+    images.push({
+      blob: new Blob([buffer], { type: mimeType }),
+      filename: typeof entry.filename === 'string' && entry.filename ? entry.filename : entry.path.split('/').pop() || 'image',
+      mimeType
+    });
+  }
+
+  // Point the thumbnail at the restored copy of the exported thumbnail
+  const thumbnailIndex = manifest.thumbnailIndex !== null && manifest.thumbnailIndex !== undefined
+    ? restoredIndex[manifest.thumbnailIndex] ?? null
+    : null;
+
+  const { project, failed } = await createProjectWithImages(
+    manifest.project.name.trim().slice(0, MAX_PROJECT_NAME_LENGTH),
+    images,
+    thumbnailIndex
+  );
+
+  return {
+    project,
+    imported: project.imageIds.length,
+    duplicates,
+    skipped: skipped + failed
+  };
+}
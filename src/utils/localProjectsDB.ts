@@ -9,50 +9,37 @@
 import type {
   LocalProject,
   LocalProjectImage,
+  LocalProjectThumbnail,
   LocalProjectWithImages
 } from '../types/localProjects';
 import {
   LOCAL_PROJECT_MAX_IMAGES,
   LOCAL_PROJECT_SUPPORTED_TYPES
 } from '../types/localProjects';
+import { openDatabaseWithMigrations, type IDBMigration } from './idbMigrations';
+import {
+  createQuotaExceededError,
+  getStorageEstimate,
+  isQuotaExceededError,
+  type StorageEstimateInfo
+} from './storageQuota';
 
 const DB_NAME = 'sogni_local_projects';
-const DB_VERSION = 1;
 const PROJECTS_STORE = 'projects';
 const IMAGES_STORE = 'images';
+const THUMBNAILS_STORE = 'thumbnails';
 
-let dbInstance: IDBDatabase | null = null;
+/** Longest edge of generated thumbnails in pixels */
+const THUMBNAIL_MAX_SIZE = 320;
 
 /**
- * Open the IndexedDB database, creating stores if needed
+ * Schema migrations - append new entries, never edit shipped ones
  */
-function openDB(): Promise<IDBDatabase> {
-  if (dbInstance) {
-    return Promise.resolve(dbInstance);
-  }
-
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-    request.onerror = () => {
-      console.error('[LocalProjectsDB] Failed to open database:', request.error);
-      reject(new Error('Failed to open local projects database'));
-    };
-
-    request.onsuccess = () => {
-      dbInstance = request.result;
-
-      // Handle database closing unexpectedly
-      dbInstance.onclose = () => {
-        dbInstance = null;
-      };
-
-      resolve(dbInstance);
-    };
-
-    request.onupgradeneeded = (event) => {
-      const db = (event.target as IDBOpenDBRequest).result;
-
+const MIGRATIONS: IDBMigration[] = [
+  {
+    version: 1,
+    description: 'create projects and images stores',
+    migrate: (db) => {
       // Create projects store
       if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
         const projectsStore = db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
@@ -66,6 +53,84 @@ function openDB(): Promise<IDBDatabase> {
         imagesStore.createIndex('projectId', 'projectId', { unique: false });
         imagesStore.createIndex('addedAt', 'addedAt', { unique: false });
       }
+    }
+  },
+  {
+    version: 2,
+    description: 'track project size and last access, add thumbnails store',
+    migrate: (db, transaction) => {
+      const thumbnailsStore = db.createObjectStore(THUMBNAILS_STORE, { keyPath: 'imageId' });
+      thumbnailsStore.createIndex('projectId', 'projectId', { unique: false });
+
+      const projectsStore = transaction.objectStore(PROJECTS_STORE);
+      projectsStore.createIndex('lastAccessedAt', 'lastAccessedAt', { unique: false });
+
+      // Sum image sizes per project, then backfill the new project fields
+      const sizes = new Map<string, number>();
+      const imagesCursor = transaction.objectStore(IMAGES_STORE).openCursor();
+      imagesCursor.onsuccess = () => {
+        const cursor = imagesCursor.result;
+        if (cursor) {
+          const image = cursor.value as LocalProjectImage;
+          sizes.set(image.projectId, (sizes.get(image.projectId) || 0) + (image.size || 0));
+          cursor.continue();
+          return;
+        }
+
+        const projectsCursor = projectsStore.openCursor();
+        projectsCursor.onsuccess = () => {
+          const projectCursor = projectsCursor.result;
+          if (!projectCursor) return;
+
+          const project = projectCursor.value as LocalProject;
+          projectCursor.update({
+            ...project,
+            lastAccessedAt: project.updatedAt,
+            sizeBytes: sizes.get(project.id) || 0
+          });
+          projectCursor.continue();
+        };
+      };
+    }
+  }
+];
+
+let dbInstance: IDBDatabase | null = null;
+
+/**
+ * Open the IndexedDB database, running any pending migrations
+ */
+async function openDB(): Promise<IDBDatabase> {
+  if (dbInstance) {
+    return dbInstance;
+  }
+
+  dbInstance = await openDatabaseWithMigrations({
+    name: DB_NAME,
+    migrations: MIGRATIONS,
+    logTag: 'LocalProjectsDB',
+    onClose: () => {
+      dbInstance = null;
+    }
+  });
+  return dbInstance;
+}
+
+/**
+ * Wait for a write transaction to commit.
+ * Quota failures usually surface as an aborted transaction rather than a
+ * request error, so they are mapped to a QUOTA_EXCEEDED error here.
+ */
+function awaitTransaction(transaction: IDBTransaction, failureMessage: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => {
+      if (isQuotaExceededError(transaction.error)) {
+        reject(createQuotaExceededError());
+        return;
+      }
+      console.error(`[LocalProjectsDB] ${failureMessage}:`, transaction.error);
+      reject(new Error(failureMessage));
     };
   });
 }
@@ -142,7 +207,9 @@ export async function createProject(name: string): Promise<LocalProject> {
     createdAt: now,
     updatedAt: now,
     imageIds: [],
-    thumbnailId: null
+    thumbnailId: null,
+    lastAccessedAt: now,
+    sizeBytes: 0
   };
 
   return new Promise((resolve, reject) => {
@@ -325,7 +392,7 @@ async function getImageDimensions(blob: Blob): Promise<{ width: number; height:
 export async function addImagesToProject(
   projectId: string,
   files: File[]
-): Promise<{ added: LocalProjectImage[]; skipped: number; error?: string }> {
+): Promise<{ added: LocalProjectImage[]; skipped: number; error?: string; quotaExceeded?: boolean }> {
   const db = await openDB();
 
   // Get existing project
@@ -358,6 +425,7 @@ export async function addImagesToProject(
   const added: LocalProjectImage[] = [];
   const newImageIds: string[] = [];
   const now = Date.now();
+  let quotaExceeded = false;
 
   // Process each file
   for (const file of filesToAdd) {
@@ -381,18 +449,19 @@ export async function addImagesToProject(
       };
 
       // Store image in IndexedDB
-      await new Promise<void>((resolve, reject) => {
-        const transaction = db.transaction(IMAGES_STORE, 'readwrite');
-        const store = transaction.objectStore(IMAGES_STORE);
-        const request = store.add(image);
-
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-      });
+      const transaction = db.transaction(IMAGES_STORE, 'readwrite');
+      transaction.objectStore(IMAGES_STORE).add(image);
+      await awaitTransaction(transaction, 'Failed to store image');
 
       added.push(image);
       newImageIds.push(image.id);
     } catch (error) {
+      if (isQuotaExceededError(error)) {
+        // Storage is full - the remaining files won't fit either
+        console.warn(`[LocalProjectsDB] Storage quota exceeded after ${added.length} image(s)`);
+        quotaExceeded = true;
+        break;
+      }
       console.error(`[LocalProjectsDB] Failed to add image ${file.name}:`, error);
       // Continue with other files
     }
@@ -404,7 +473,9 @@ export async function addImagesToProject(
       ...project,
       imageIds: [...project.imageIds, ...newImageIds],
       thumbnailId: project.thumbnailId || newImageIds[0], // Set first image as thumbnail if none
-      updatedAt: Date.now()
+      updatedAt: Date.now(),
+      lastAccessedAt: Date.now(),
+      sizeBytes: (project.sizeBytes || 0) + added.reduce((sum, image) => sum + image.size, 0)
     };
 
     await new Promise<void>((resolve, reject) => {
@@ -415,6 +486,17 @@ export async function addImagesToProject(
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
     });
+
+    scheduleThumbnailGeneration(newImageIds);
+  }
+
+  if (quotaExceeded) {
+    return {
+      added,
+      skipped: files.length - added.length,
+      error: createQuotaExceededError().message,
+      quotaExceeded
+    };
   }
 
   return {
@@ -426,6 +508,72 @@ export async function addImagesToProject(
   };
 }
 
+/**
+ * Create a new project together with its images (used by archive import).
+ * Project and images are written in one transaction so a failed import
+ * never leaves a half-filled project behind.
+ *
+ * @param thumbnailIndex - Index into images of the thumbnail (first image if null)
+ * @returns The created project and the number of images that could not be decoded
+ */
+export async function createProjectWithImages(
+  name: string,
+  images: Array<{ blob: Blob; filename: string; mimeType: string }>,
+  thumbnailIndex: number | null
+): Promise<{ project: LocalProject; failed: number }> {
+  const db = await openDB();
+  const now = Date.now();
+  const projectId = generateId();
+
+  const records: LocalProjectImage[] = [];
+  // Image ID for each input position (null when it could not be decoded)
+  const idByIndex: Array<string | null> = [];
+
+  for (const [index, { blob, filename, mimeType }] of images.slice(0, LOCAL_PROJECT_MAX_IMAGES).entries()) {
+    try {
+      const { width, height } = await getImageDimensions(blob);
+      const image: LocalProjectImage = {
+        id: generateId(),
+        projectId,
+        blob,
+        filename,
+        mimeType,
+        width,
+        height,
+        size: blob.size,
+        addedAt: now + index // Slight offset to maintain order
+      };
+      records.push(image);
+      idByIndex.push(image.id);
+    } catch (error) {
+      console.error(`[LocalProjectsDB] Failed to decode image ${filename}:`, error);
+      idByIndex.push(null);
+    }
+  }
+
+  const imageIds = records.map(image => image.id);
+  const project: LocalProject = {
+    id: projectId,
+    name: name.trim(),
+    createdAt: now,
+    updatedAt: now,
+    imageIds,
+    thumbnailId: (thumbnailIndex !== null ? idByIndex[thumbnailIndex] : null) || imageIds[0] || null,
+    lastAccessedAt: now,
+    sizeBytes: records.reduce((sum, image) => sum + image.size, 0)
+  };
+
+  const transaction = db.transaction([PROJECTS_STORE, IMAGES_STORE], 'readwrite');
+  const imagesStore = transaction.objectStore(IMAGES_STORE);
+  records.forEach(image => imagesStore.add(image));
+  transaction.objectStore(PROJECTS_STORE).add(project);
+  await awaitTransaction(transaction, 'Failed to save imported project');
+
+  scheduleThumbnailGeneration(imageIds);
+
+  return { project, failed: images.length - records.length };
+}
+
 /**
  * Delete a single image from a project
  */
@@ -438,14 +586,14 @@ export async function deleteImage(imageId: string): Promise<void> {
     return; // Already deleted
   }
 
-  // Delete the image
+  // Delete the image and its thumbnail
   await new Promise<void>((resolve, reject) => {
-    const transaction = db.transaction(IMAGES_STORE, 'readwrite');
-    const store = transaction.objectStore(IMAGES_STORE);
-    const request = store.delete(imageId);
+    const transaction = db.transaction([IMAGES_STORE, THUMBNAILS_STORE], 'readwrite');
+    transaction.objectStore(IMAGES_STORE).delete(imageId);
+    transaction.objectStore(THUMBNAILS_STORE).delete(imageId);
 
-    request.onsuccess = () => resolve();
-    request.onerror = () => reject(request.error);
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error);
   });
 
   // Update the project to remove this image ID
@@ -458,7 +606,8 @@ export async function deleteImage(imageId: string): Promise<void> {
       thumbnailId: project.thumbnailId === imageId
         ? (updatedImageIds[0] || null)
         : project.thumbnailId,
-      updatedAt: Date.now()
+      updatedAt: Date.now(),
+      sizeBytes: Math.max(0, (project.sizeBytes || 0) - image.size)
     };
 
     await new Promise<void>((resolve, reject) => {
@@ -481,12 +630,12 @@ async function deleteProjectImages(projectId: string): Promise<void> {
 
   for (const image of images) {
     await new Promise<void>((resolve, reject) => {
-      const transaction = db.transaction(IMAGES_STORE, 'readwrite');
-      const store = transaction.objectStore(IMAGES_STORE);
-      const request = store.delete(image.id);
+      const transaction = db.transaction([IMAGES_STORE, THUMBNAILS_STORE], 'readwrite');
+      transaction.objectStore(IMAGES_STORE).delete(image.id);
+      transaction.objectStore(THUMBNAILS_STORE).delete(image.id);
 
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error);
     });
   }
 }
@@ -532,11 +681,18 @@ export async function getProjectThumbnailUrl(
     return null;
   }
 
+  const thumbnail = await getThumbnail(project.thumbnailId);
+  if (thumbnail) {
+    return URL.createObjectURL(thumbnail.blob);
+  }
+
+  // Not generated yet - fall back to the full image this once
   const image = await getImage(project.thumbnailId);
   if (!image) {
     return null;
   }
 
+  scheduleThumbnailGeneration([image.id]);
   return URL.createObjectURL(image.blob);
 }
 
@@ -547,22 +703,278 @@ export async function getStorageStats(): Promise<{
   projectCount: number;
   totalImages: number;
   totalSizeBytes: number;
+  /** Origin-wide usage/quota from the browser, null if unavailable */
+  estimate: StorageEstimateInfo | null;
 }> {
-  const projects = await getAllProjects();
-  let totalImages = 0;
-  let totalSizeBytes = 0;
+  const [projects, estimate] = await Promise.all([getAllProjects(), getStorageEstimate()]);
+
+  return {
+    projectCount: projects.length,
+    totalImages: projects.reduce((sum, project) => sum + project.imageIds.length, 0),
+    totalSizeBytes: projects.reduce((sum, project) => sum + (project.sizeBytes || 0), 0),
+    estimate
+  };
+}
+
+/**
+ * Record that a project was opened or used (drives LRU eviction suggestions)
+ */
+export async function markProjectAccessed(projectId: string): Promise<void> {
+  const db = await openDB();
+
+  // Read and write in one transaction so a concurrent update isn't overwritten
+  const transaction = db.transaction(PROJECTS_STORE, 'readwrite');
+  const store = transaction.objectStore(PROJECTS_STORE);
+  const request = store.get(projectId);
+  request.onsuccess = () => {
+    const project = request.result as LocalProject | undefined;
+    if (project) {
+      store.put({ ...project, lastAccessedAt: Date.now() });
+    }
+  };
+
+  await awaitTransaction(transaction, 'Failed to update project access time');
+}
 
+/**
+ * Suggest least-recently-used projects to delete when storage is full
+ * @param bytesNeeded - Stop suggesting once this much space would be freed (0 = just the oldest few)
+ * @param excludeProjectId - Project being written to, never suggested
+ */
+export async function getEvictionSuggestions(
+  bytesNeeded = 0,
+  excludeProjectId?: string
+): Promise<LocalProject[]> {
+  const MAX_SUGGESTIONS = 5;
+  const projects = (await getAllProjects())
+    .filter(project => project.id !== excludeProjectId && project.sizeBytes > 0)
+    .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+
+  const suggestions: LocalProject[] = [];
+  let freed = 0;
   for (const project of projects) {
-    const images = await getProjectImages(project.id);
-    totalImages += images.length;
-    totalSizeBytes += images.reduce((sum, img) => sum + img.size, 0);
+    if (suggestions.length >= MAX_SUGGESTIONS) break;
+    if (bytesNeeded > 0 && freed >= bytesNeeded) break;
+
+    suggestions.push(project);
+    freed += project.sizeBytes;
   }
 
-  return {
-    projectCount: projects.length,
-    totalImages,
-    totalSizeBytes
+  return bytesNeeded > 0 ? suggestions : suggestions.slice(0, 3);
+}
+
+// ============================================================================
+// Thumbnails
+// ============================================================================
+
+const thumbnailQueue: string[] = [];
+let thumbnailQueueRunning = false;
+
+/**
+ * Get the stored thumbnail for an image
+ */
+async function getThumbnail(imageId: string): Promise<LocalProjectThumbnail | null> {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(THUMBNAILS_STORE, 'readonly');
+    const request = transaction.objectStore(THUMBNAILS_STORE).get(imageId);
+
+    request.onsuccess = () => resolve((request.result as LocalProjectThumbnail | undefined) || null);
+    request.onerror = () => reject(new Error('Failed to load thumbnail'));
+  });
+}
+
+/**
+ * Downscale an image blob to a small JPEG
+ */
+async function createThumbnailBlob(blob: Blob): Promise<Blob> {
+  const bitmap = await createImageBitmap(blob);
+  try {
+    const scale = Math.min(1, THUMBNAIL_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      throw new Error('Canvas 2D context unavailable');
+    }
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    return await new Promise<Blob>((resolve, reject) => {
+      canvas.toBlob(
+        result => (result ? resolve(result) : reject(new Error('Failed to encode thumbnail'))),
+        'image/jpeg',
+        0.8
+      );
+    });
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Generate and store the thumbnail for one image (no-op if it already exists)
+ */
+async function generateThumbnail(imageId: string): Promise<void> {
+  if (await getThumbnail(imageId)) return;
+
+  const image = await getImage(imageId);
+  if (!image) return;
+
+  const thumbnail: LocalProjectThumbnail = {
+    imageId: image.id,
+    projectId: image.projectId,
+    blob: await createThumbnailBlob(image.blob),
+    width: image.width,
+    height: image.height,
+    filename: image.filename,
+    createdAt: Date.now()
   };
+
+  const db = await openDB();
+  const transaction = db.transaction([IMAGES_STORE, THUMBNAILS_STORE], 'readwrite');
+  // Only store it if the image wasn't deleted while we were encoding
+  const check = transaction.objectStore(IMAGES_STORE).getKey(imageId);
+  check.onsuccess = () => {
+    if (check.result !== undefined) {
+      transaction.objectStore(THUMBNAILS_STORE).put(thumbnail);
+    }
+  };
+  await awaitTransaction(transaction, 'Failed to store thumbnail');
+}
+
+/**
+ * Run a callback when the browser is idle (falls back to a short timeout)
+ */
+function whenIdle(callback: () => void): void {
+  if (typeof window !== 'undefined' && 'requestIdleCallback' in window) {
+    window.requestIdleCallback(callback, { timeout: 2000 });
+  } else {
+    setTimeout(callback, 200);
+  }
+}
+
+/**
+ * Process the thumbnail queue one image per idle period
+ */
+function processThumbnailQueue(): void {
+  const imageId = thumbnailQueue.shift();
+  if (!imageId) {
+    thumbnailQueueRunning = false;
+    return;
+  }
+
+  generateThumbnail(imageId)
+    .catch((error) => {
+      if (isQuotaExceededError(error)) {
+        // No room for thumbnails either - lists fall back to full images
+        console.warn('[LocalProjectsDB] Storage full, pausing thumbnail generation');
+        thumbnailQueue.length = 0;
+        return;
+      }
+      console.error(`[LocalProjectsDB] Failed to generate thumbnail for ${imageId}:`, error);
+    })
+    .finally(() => whenIdle(processThumbnailQueue));
+}
+
+/**
+ * Queue thumbnail generation for images (runs in the background at idle time)
+ */
+export function scheduleThumbnailGeneration(imageIds: string[]): void {
+  for (const imageId of imageIds) {
+    if (!thumbnailQueue.includes(imageId)) {
+      thumbnailQueue.push(imageId);
+    }
+  }
+
+  if (!thumbnailQueueRunning && thumbnailQueue.length > 0) {
+    thumbnailQueueRunning = true;
+    whenIdle(processThumbnailQueue);
+  }
+}
+
+/**
+ * Queue thumbnails for every image that doesn't have one yet
+ * (images saved before thumbnails existed, or interrupted generation)
+ */
+export async function backfillThumbnails(): Promise<number> {
+  const db = await openDB();
+
+  const [imageIds, thumbnailIds] = await Promise.all(
+    [IMAGES_STORE, THUMBNAILS_STORE].map(storeName => new Promise<IDBValidKey[]>((resolve, reject) => {
+      const transaction = db.transaction(storeName, 'readonly');
+      const request = transaction.objectStore(storeName).getAllKeys();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to list ${storeName}`));
+    }))
+  );
+
+  const existing = new Set(thumbnailIds);
+  const missing = imageIds.filter(id => !existing.has(id)) as string[];
+  scheduleThumbnailGeneration(missing);
+  return missing.length;
+}
+
+/**
+ * Get lightweight image entries for a project, in project order.
+ * Uses thumbnails where available; images without one yet fall back to the
+ * full blob and are queued for background generation.
+ */
+export async function getProjectImagePreviews(projectId: string): Promise<Array<{
+  id: string;
+  blob: Blob;
+  width: number;
+  height: number;
+  filename: string;
+}>> {
+  const db = await openDB();
+  const project = await getProject(projectId);
+  if (!project) {
+    return [];
+  }
+
+  const thumbnails = await new Promise<LocalProjectThumbnail[]>((resolve, reject) => {
+    const transaction = db.transaction(THUMBNAILS_STORE, 'readonly');
+    const request = transaction.objectStore(THUMBNAILS_STORE).index('projectId').getAll(projectId);
+
+    request.onsuccess = () => resolve(request.result as LocalProjectThumbnail[]);
+    request.onerror = () => reject(new Error('Failed to load thumbnails'));
+  });
+  const thumbnailMap = new Map(thumbnails.map(thumbnail => [thumbnail.imageId, thumbnail]));
+
+  const previews = [];
+  const missing: string[] = [];
+  for (const imageId of project.imageIds) {
+    const thumbnail = thumbnailMap.get(imageId);
+    if (thumbnail) {
+      previews.push({
+        id: imageId,
+        blob: thumbnail.blob,
+        width: thumbnail.width,
+        height: thumbnail.height,
+        filename: thumbnail.filename
+      });
+      continue;
+    }
+
+    const image = await getImage(imageId);
+    if (image) {
+      missing.push(imageId);
+      previews.push({
+        id: imageId,
+        blob: image.blob,
+        width: image.width,
+        height: image.height,
+        filename: image.filename
+      });
+    }
+  }
+
+  scheduleThumbnailGeneration(missing);
+  return previews;
 }
 
 /**
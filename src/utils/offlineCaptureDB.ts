@@ -0,0 +1,161 @@
+/**
+ * Offline Capture IndexedDB Utilities
+ *
+ * Keeps photos taken while the device is offline, together with the style
+ * and settings the guest picked, until they can be sent for generation.
+ */
+
+import type { Settings } from '../types/index';
+import { openDatabaseWithMigrations, type IDBMigration } from './idbMigrations';
+import {
+  createQuotaExceededError,
+  isQuotaExceededError,
+  requestPersistentStorage
+} from './storageQuota';
+
+const DB_NAME = 'sogni_offline_captures';
+const CAPTURES_STORE = 'captures';
+
+/** Settings a capture is generated with, as chosen when it was taken */
+export type OfflineCaptureSettings = Pick<Settings, 'selectedStyle' | 'selectedModel' | 'numImages' | 'positivePrompt' | 'customSceneName' | 'stylePrompt'>;
+
+export interface OfflineCapture {
+  id: string;
+  blob: Blob;
+  /** Data URL of the adjusted photo, used as the tile placeholder */
+  dataUrl: string;
+  sourceType: 'camera' | 'upload';
+  settings: OfflineCaptureSettings;
+  createdAt: number;
+  /** Submits that didn't start a batch, counted toward giving up on it */
+  failedAttempts?: number;
+  /** Gave up sending it automatically; waits in the queue for a retry or discard */
+  failed?: boolean;
+}
+
+/**
+ * Schema migrations - append new entries, never edit shipped ones
+ */
+const MIGRATIONS: IDBMigration[] = [
+  {
+    version: 1,
+    description: 'create captures store',
+    migrate: (db) => {
+      if (!db.objectStoreNames.contains(CAPTURES_STORE)) {
+        const store = db.createObjectStore(CAPTURES_STORE, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+    }
+  }
+];
+
+let dbInstance: IDBDatabase | null = null;
+
+/**
+ * Open the IndexedDB database, running any pending migrations
+ */
+async function openDB(): Promise<IDBDatabase> {
+  if (dbInstance) {
+    return dbInstance;
+  }
+
+  dbInstance = await openDatabaseWithMigrations({
+    name: DB_NAME,
+    migrations: MIGRATIONS,
+    logTag: 'OfflineCaptureDB',
+    onClose: () => {
+      dbInstance = null;
+    }
+  });
+  return dbInstance;
+}
+
+/**
+ * Save a capture to send once the device is back online
+ */
+export async function saveOfflineCapture(capture: OfflineCapture): Promise<void> {
+  const db = await openDB();
+
+  // A guest's only copy of their shot - ask the browser not to evict it
+  void requestPersistentStorage();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CAPTURES_STORE, 'readwrite');
+    transaction.objectStore(CAPTURES_STORE).put(capture);
+
+    transaction.oncomplete = () => {
+      console.log(`[OfflineCaptureDB] Queued capture ${capture.id} (${(capture.blob.size / 1024).toFixed(0)} KB)`);
+      resolve();
+    };
+
+    // Quota failures abort the transaction rather than failing the request
+    transaction.onabort = () => {
+      if (isQuotaExceededError(transaction.error)) {
+        console.warn('[OfflineCaptureDB] Storage full, capture not queued');
+        reject(createQuotaExceededError('Browser storage is full, so this photo could not be saved until you are back online.'));
+        return;
+      }
+      console.error('[OfflineCaptureDB] Failed to queue capture:', transaction.error);
+      reject(new Error('Failed to queue capture'));
+    };
+  });
+}
+
+/**
+ * Get all queued captures, oldest first
+ */
+export async function getOfflineCaptures(): Promise<OfflineCapture[]> {
+  try {
+    const db = await openDB();
+
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(CAPTURES_STORE, 'readonly');
+      const request = transaction.objectStore(CAPTURES_STORE).index('createdAt').getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result as OfflineCapture[]);
+      };
+
+      request.onerror = () => {
+        console.error('[OfflineCaptureDB] Failed to get captures:', request.error);
+        reject(new Error('Failed to get captures'));
+      };
+    });
+  } catch (e) {
+    console.error('[OfflineCaptureDB] Error getting captures:', e);
+    return [];
+  }
+}
+
+/**
+ * Remove a capture once it has been submitted (or discarded)
+ */
+export async function deleteOfflineCapture(id: string): Promise<void> {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CAPTURES_STORE, 'readwrite');
+    const request = transaction.objectStore(CAPTURES_STORE).delete(id);
+
+    request.onsuccess = () => {
+      console.log(`[OfflineCaptureDB] Removed capture ${id}`);
+      resolve();
+    };
+
+    request.onerror = () => {
+      console.error('[OfflineCaptureDB] Failed to remove capture:', request.error);
+      reject(new Error('Failed to remove capture'));
+    };
+  });
+}
+
+/**
+ * Check if IndexedDB is supported
+ */
+export function isOfflineCaptureDBSupported(): boolean {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch {
+    return false;
+  }
+}
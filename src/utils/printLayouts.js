@@ -0,0 +1,172 @@
+/**
+ * Print layouts rendered in the browser and sent to /api/print.
+ * Sizes must match server/services/printService.js exactly, since the
+ * server rejects prints that aren't the layout's pixel size.
+ */
+
+export const PRINT_DPI = 300;
+export const PRINT_BLEED_INCHES = 0.125;
+
+export const PRINT_LAYOUTS = {
+  '4x6': { widthIn: 4, heightIn: 6, label: '4×6 print', shots: 1 },
+  '2x6': { widthIn: 2, heightIn: 6, label: '2×6 photo strip', shots: 4, minShots: 2 },
+  '5x7': { widthIn: 5, heightIn: 7, label: '5×7 print', shots: 1 }
+};
+
+// Photo strip spacing, in inches
+const STRIP_MARGIN_IN = 0.1;
+const STRIP_GAP_IN = 0.08;
+const STRIP_FOOTER_IN = 0.6;
+
+const toPx = inches => Math.round(inches * PRINT_DPI);
+
+/**
+ * Pixel size of a layout including bleed
+ * @param {string} layoutId - Key of PRINT_LAYOUTS
+ * @param {boolean} [landscape=false] - Swap width and height
+ * @returns {{width: number, height: number, bleed: number}}
+ */
+export function layoutPixelSize(layoutId, landscape = false) {
+  const layout = PRINT_LAYOUTS[layoutId];
+  if (!layout) {
+    throw new Error(`Unknown print layout: ${layoutId}`);
+  }
+  const width = toPx(layout.widthIn + PRINT_BLEED_INCHES * 2);
+  const height = toPx(layout.heightIn + PRINT_BLEED_INCHES * 2);
+  return landscape
+    ? { width: height, height: width, bleed: toPx(PRINT_BLEED_INCHES) }
+    : { width, height, bleed: toPx(PRINT_BLEED_INCHES) };
+}
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    if (!url.startsWith('data:') && !url.startsWith('blob:')) {
+      img.crossOrigin = 'anonymous';
+    }
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load image for printing'));
+    img.src = url;
+  });
+}
+
+// Scale img to fit (contain) or fill (cover) the box, centered
+function drawFitted(ctx, img, x, y, width, height, mode) {
+  const scale = mode === 'cover'
+    ? Math.max(width / img.width, height / img.height)
+    : Math.min(width / img.width, height / img.height);
+  const drawWidth = img.width * scale;
+  const drawHeight = img.height * scale;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x, y, width, height);
+  ctx.clip();
+  ctx.drawImage(img, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+  ctx.restore();
+}
+
+function canvasToBlob(canvas, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) resolve(blob);
+      else reject(new Error('Failed to encode print'));
+    }, 'image/jpeg', quality);
+  });
+}
+
+function renderSinglePrint(ctx, canvas, img, bleed) {
+  // Anything the framed photo doesn't cover is background, so it runs into the bleed
+  drawFitted(ctx, img, bleed, bleed, canvas.width - bleed * 2, canvas.height - bleed * 2, 'contain');
+}
+
+async function renderStrip(ctx, canvas, images, bleed, { title, logoUrl, textColor }) {
+  const margin = toPx(STRIP_MARGIN_IN);
+  const gap = toPx(STRIP_GAP_IN);
+  const footer = toPx(STRIP_FOOTER_IN);
+  const innerWidth = canvas.width - (bleed + margin) * 2;
+  const shotsHeight = canvas.height - (bleed + margin) * 2 - footer;
+  const cellHeight = (shotsHeight - gap * (images.length - 1)) / images.length;
+
+  images.forEach((img, index) => {
+    const y = bleed + margin + index * (cellHeight + gap);
+    drawFitted(ctx, img, bleed + margin, y, innerWidth, cellHeight, 'cover');
+  });
+
+  const footerTop = canvas.height - bleed - margin - footer;
+  if (logoUrl) {
+    try {
+      const logo = await loadImage(logoUrl);
+      drawFitted(ctx, logo, bleed + margin, footerTop + footer * 0.15, innerWidth, footer * 0.7, 'contain');
+      return;
+    } catch (error) {
+      console.warn('[Print] Could not load logo for strip footer, using title instead:', error);
+    }
+  }
+
+  if (title) {
+    ctx.fillStyle = textColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    let fontSize = Math.round(footer * 0.4);
+    ctx.font = `${fontSize}px "Permanent Marker", cursive`;
+    while (fontSize > 12 && ctx.measureText(title).width > innerWidth) {
+      fontSize -= 2;
+      ctx.font = `${fontSize}px "Permanent Marker", cursive`;
+    }
+    ctx.fillText(title, canvas.width / 2, footerTop + footer / 2);
+  }
+}
+
+/**
+ * Render a print-ready JPEG for a layout.
+ * 4x6 and 5x7 take one (already framed) image and follow its orientation;
+ * the 2x6 strip stacks 2-4 shots with the event title or logo underneath.
+ * @param {string[]} imageUrls - Images to place (framed photo, or strip shots)
+ * @param {string} layoutId - Key of PRINT_LAYOUTS
+ * @param {Object} [options]
+ * @param {string} [options.background='#ffffff'] - Paper color, also used for the bleed
+ * @param {string} [options.title] - Strip footer text
+ * @param {string} [options.logoUrl] - Strip footer logo (preferred over title)
+ * @param {string} [options.textColor='#333333'] - Strip footer text color
+ * @param {number} [options.quality=0.95] - JPEG quality
+ * @returns {Promise<Blob>} JPEG at the layout's exact pixel size
+ */
+export async function renderPrintLayout(imageUrls, layoutId, options = {}) {
+  const {
+    background = '#ffffff',
+    title = '',
+    logoUrl = null,
+    textColor = '#333333',
+    quality = 0.95
+  } = options;
+  const layout = PRINT_LAYOUTS[layoutId];
+  if (!layout) {
+    throw new Error(`Unknown print layout: ${layoutId}`);
+  }
+
+  const urls = imageUrls.filter(Boolean).slice(0, layout.shots);
+  if (urls.length < (layout.minShots || 1)) {
+    throw new Error(`${layout.label} needs at least ${layout.minShots || 1} photo${(layout.minShots || 1) > 1 ? 's' : ''}`);
+  }
+
+  const images = await Promise.all(urls.map(loadImage));
+  const landscape = layout.shots === 1 && images[0].width > images[0].height;
+  const { width, height, bleed } = layoutPixelSize(layoutId, landscape);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  if (layout.shots === 1) {
+    renderSinglePrint(ctx, canvas, images[0], bleed);
+  } else {
+    await renderStrip(ctx, canvas, images, bleed, { title, logoUrl, textColor });
+  }
+
+  return canvasToBlob(canvas, quality);
+}
@@ -0,0 +1,106 @@
+/**
+ * Theme-driven QR watermarks
+ *
+ * A theme's `qrWatermark` block decides where the QR printed on a photo points
+ * and how it looks (colors, center logo, caption). Without a theme, or when the
+ * theme has no such block, the QR settings from the settings panel apply.
+ *
+ * With `link: 'share'` the QR opens the photo's own /mobile-share page. The
+ * page can only be created once the watermarked image exists, so callers that
+ * asked for a deep link publish it afterwards with publishQRShare().
+ */
+import { getQRWatermarkConfig, QR_WATERMARK_DEFAULTS } from '../constants/settings';
+import { themeConfigService } from '../services/themeConfig';
+import { createMobileShare } from '../services/mobileShare';
+import { buildCampaignUrl } from './campaignAttribution';
+import { ensurePermanentUrl } from './imageUpload';
+
+/**
+ * Mint a new mobile share link (the share itself is registered separately).
+ * The id is the only thing standing between a printed QR and anyone guessing
+ * other guests' photos, so it comes from crypto rather than Math.random
+ * @returns {{shareId: string, shareUrl: string}}
+ */
+export function createShareLink() {
+  const shareId = `share-${crypto.randomUUID()}`;
+  return { shareId, shareUrl: `${window.location.origin}/mobile-share/${shareId}` };
+}
+
+/**
+ * Work out the QR watermark options for an image
+ * @param {Object} settings - App settings
+ * @param {string} themeId - Active event theme ('off' for none)
+ * @param {Object} [options]
+ * @param {boolean} [options.deepLink=false] - Mint a share link for this photo if the theme links to share pages
+ * @param {{shareId: string, shareUrl: string}} [options.shareLink] - Share link the photo already has
+ * @returns {Promise<Object|null>} addQRWatermark options, or null when the QR is off. When the QR
+ *   points at a share page that still has to be published, `shareId` and `shareTtl` are set
+ */
+export async function resolveQRWatermarkOptions(settings, themeId, { deepLink = false, shareLink = null } = {}) {
+  let themeQR = null;
+  try {
+    themeQR = await themeConfigService.getQRWatermark(themeId);
+  } catch (error) {
+    console.warn('Could not load theme QR watermark, using settings:', error);
+  }
+
+  if (!themeQR) {
+    return settings.sogniWatermark ? getQRWatermarkConfig(settings) : null;
+  }
+  if (themeQR.enabled === false) {
+    return null;
+  }
+
+  let url = themeQR.url || QR_WATERMARK_DEFAULTS.url;
+  let shareId;
+  if (themeQR.link === 'campaign' && themeQR.url) {
+    url = buildCampaignUrl(themeQR.url, { source: 'photobooth', medium: 'qr', campaign: themeId, ...themeQR.utm });
+  } else if (themeQR.link === 'share') {
+    const link = shareLink || (deepLink ? createShareLink() : null);
+    // Bulk exports don't get their own pages and fall back to the theme's url
+    if (link) {
+      url = link.shareUrl;
+      shareId = link.shareId;
+    }
+  }
+
+  return {
+    size: themeQR.size ?? QR_WATERMARK_DEFAULTS.size,
+    margin: themeQR.margin ?? QR_WATERMARK_DEFAULTS.margin,
+    position: themeQR.position ?? QR_WATERMARK_DEFAULTS.position,
+    opacity: 1.0,
+    url,
+    marginStartsInsideFrame: themeQR.marginStartsInsideFrame ?? QR_WATERMARK_DEFAULTS.marginStartsInsideFrame,
+    colors: themeQR.colors,
+    logoUrl: themeQR.logo || null,
+    caption: themeQR.caption || '',
+    // Only set when the caller minted the link and still has to publish it
+    ...(shareId && !shareLink && {
+      shareId,
+      shareTtl: themeQR.shareTtl || settings.mobileShareTtl
+    })
+  };
+}
+
+/**
+ * Register the share page a watermarked image's QR points at
+ * @param {Object} watermarkOptions - Options from resolveQRWatermarkOptions (with shareId)
+ * @param {string} imageUrl - The watermarked image (data, blob or permanent URL)
+ * @param {Object} shareData - Extra share fields (tezdevTheme, aspectRatio, styleName...); the
+ *   Twitter message defaults to the theme's tweet template
+ * @returns {Promise<Object>} createMobileShare result
+ */
+export async function publishQRShare(watermarkOptions, imageUrl, shareData = {}) {
+  const { shareId, shareTtl } = watermarkOptions;
+  const permanentImageUrl = await ensurePermanentUrl(imageUrl, { ttl: shareTtl });
+  const twitterMessage = shareData.twitterMessage || await themeConfigService.getTweetTemplate(shareData.tezdevTheme);
+  const share = await createMobileShare({
+    ...shareData,
+    shareId,
+    imageUrl: permanentImageUrl,
+    twitterMessage,
+    timestamp: Date.now()
+  }, shareTtl);
+  console.log(`🔗 QR deep link published: ${watermarkOptions.url}`);
+  return share;
+}
@@ -5,8 +5,14 @@
  * Stores the last recording of each type so users can reuse them without re-recording.
  */
 
+import { openDatabaseWithMigrations, type IDBMigration } from './idbMigrations';
+import {
+  createQuotaExceededError,
+  isQuotaExceededError,
+  requestPersistentStorage
+} from './storageQuota';
+
 const DB_NAME = 'sogni_recordings';
-const DB_VERSION = 1;
 const RECORDINGS_STORE = 'recordings';
 
 // Recording types
@@ -22,45 +28,42 @@ export interface StoredRecording {
   createdAt: number;
 }
 
-let dbInstance: IDBDatabase | null = null;
-
 /**
- * Open the IndexedDB database, creating stores if needed
+ * Schema migrations - append new entries, never edit shipped ones
  */
-function openDB(): Promise<IDBDatabase> {
-  if (dbInstance) {
-    return Promise.resolve(dbInstance);
-  }
-
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-    request.onerror = () => {
-      console.error('[RecordingsDB] Failed to open database:', request.error);
-      reject(new Error('Failed to open recordings database'));
-    };
-
-    request.onsuccess = () => {
-      dbInstance = request.result;
-
-      // Handle database closing unexpectedly
-      dbInstance.onclose = () => {
-        dbInstance = null;
-      };
-
-      resolve(dbInstance);
-    };
-
-    request.onupgradeneeded = (event) => {
-      const db = (event.target as IDBOpenDBRequest).result;
-
+const MIGRATIONS: IDBMigration[] = [
+  {
+    version: 1,
+    description: 'create recordings store',
+    migrate: (db) => {
       // Create recordings store
       if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
         const store = db.createObjectStore(RECORDINGS_STORE, { keyPath: 'type' });
         store.createIndex('createdAt', 'createdAt', { unique: false });
       }
-    };
+    }
+  }
+];
+
+let dbInstance: IDBDatabase | null = null;
+
+/**
+ * Open the IndexedDB database, running any pending migrations
+ */
+async function openDB(): Promise<IDBDatabase> {
+  if (dbInstance) {
+    return dbInstance;
+  }
+
+  dbInstance = await openDatabaseWithMigrations({
+    name: DB_NAME,
+    migrations: MIGRATIONS,
+    logTag: 'RecordingsDB',
+    onClose: () => {
+      dbInstance = null;
+    }
   });
+  return dbInstance;
 }
 
 /**
@@ -149,20 +152,29 @@ export async function saveRecording(
     createdAt: Date.now()
   };
 
+  // Recordings are worth keeping - ask the browser not to evict them
+  void requestPersistentStorage();
+
   return new Promise((resolve, reject) => {
     const transaction = db.transaction(RECORDINGS_STORE, 'readwrite');
     const store = transaction.objectStore(RECORDINGS_STORE);
 
     // Use put to overwrite existing recording of same type
-    const request = store.put(recording);
+    store.put(recording);
 
-    request.onsuccess = () => {
+    transaction.oncomplete = () => {
       console.log(`[RecordingsDB] Saved ${type} recording (${(blob.size / 1024 / 1024).toFixed(2)} MB)`);
       resolve();
     };
 
-    request.onerror = () => {
-      console.error('[RecordingsDB] Failed to save recording:', request.error);
+    // Quota failures abort the transaction rather than failing the request
+    transaction.onabort = () => {
+      if (isQuotaExceededError(transaction.error)) {
+        console.warn(`[RecordingsDB] Storage full, ${type} recording not saved`);
+        reject(createQuotaExceededError('Browser storage is full, so this recording could not be saved for reuse.'));
+        return;
+      }
+      console.error('[RecordingsDB] Failed to save recording:', transaction.error);
       reject(new Error('Failed to save recording'));
     };
   });
@@ -0,0 +1,117 @@
+/**
+ * Browser Storage Quota Utilities
+ *
+ * Helpers shared by the IndexedDB stores (local projects, recordings) for
+ * requesting persistent storage, reading usage estimates and recognising
+ * quota-exceeded failures.
+ */
+
+/** Error code set on errors thrown when the browser refuses to store more data */
+export const QUOTA_EXCEEDED_CODE = 'QUOTA_EXCEEDED';
+
+export type QuotaExceededError = Error & { code: typeof QUOTA_EXCEEDED_CODE };
+
+export interface StorageEstimateInfo {
+  /** Bytes used by this origin */
+  usage: number;
+  /** Bytes available to this origin */
+  quota: number;
+  /** Whether the browser has agreed not to evict our data */
+  persisted: boolean;
+}
+
+let persistRequest: Promise<boolean> | null = null;
+
+/**
+ * Check whether an error (DOMException, IDB request/transaction error or one
+ * of our own wrapped errors) means the storage quota was exceeded
+ */
+export function isQuotaExceededError(error: unknown): boolean {
+  if (!error || typeof error !== 'object') return false;
+
+  const { name, code, message } = error as { name?: string; code?: number | string; message?: string };
+  return name === 'QuotaExceededError' ||
+    name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    code === QUOTA_EXCEEDED_CODE ||
+    code === 22 ||
+    code === 1014 ||
+    Boolean(message?.toLowerCase().includes('quota'));
+}
+
+/**
+ * Create the error thrown when a write fails because storage is full
+ */
+export function createQuotaExceededError(
+  message = 'Browser storage is full. Delete some local projects to free up space.'
+): QuotaExceededError {
+  return Object.assign(new Error(message), { code: QUOTA_EXCEEDED_CODE as typeof QUOTA_EXCEEDED_CODE });
+}
+
+/**
+ * Ask the browser to keep our data when the device is low on space.
+ * Only asks once per page load; resolves false when unsupported or denied.
+ */
+export function requestPersistentStorage(): Promise<boolean> {
+  if (persistRequest) return persistRequest;
+
+  persistRequest = (async () => {
+    if (typeof navigator === 'undefined' || !navigator.storage?.persist) {
+      return false;
+    }
+
+    try {
+      if (await navigator.storage.persisted()) {
+        return true;
+      }
+
+      const granted = await navigator.storage.persist();
+      console.log(`[StorageQuota] Persistent storage ${granted ? 'granted' : 'denied'}`);
+      return granted;
+    } catch (error) {
+      console.warn('[StorageQuota] Failed to request persistent storage:', error);
+      return false;
+    }
+  })();
+
+  return persistRequest;
+}
+
+/**
+ * Get the current usage/quota estimate, or null when the API is unavailable
+ */
+export async function getStorageEstimate(): Promise<StorageEstimateInfo | null> {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+    return null;
+  }
+
+  try {
+    const [estimate, persisted] = await Promise.all([
+      navigator.storage.estimate(),
+      navigator.storage.persisted ? navigator.storage.persisted() : Promise.resolve(false)
+    ]);
+
+    return {
+      usage: estimate.usage ?? 0,
+      quota: estimate.quota ?? 0,
+      persisted
+    };
+  } catch (error) {
+    console.warn('[StorageQuota] Failed to estimate storage:', error);
+    return null;
+  }
+}
+
+/**
+ * Format a byte count for display (e.g. "12.4 MB")
+ */
+export function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value >= 10 ? 0 : 1)} ${units[unit]}`;
+}
@@ -169,3 +169,78 @@ export async function extractFramesFromVideos(videoUrls, onProgress = null, conc
   return results;
 }
 
+
+/**
+ * Sample evenly spaced frames from a video, for animated exports like GIFs.
+ * Loads the video once and seeks through it frame by frame.
+ * @param {string} videoUrl - URL of the video (can be blob: or https:)
+ * @param {Object} [options]
+ * @param {number} [options.fps=10] - Frames to sample per second of video
+ * @param {number} [options.maxFrames=60] - Cap on sampled frames (longer videos are sampled more sparsely)
+ * @param {number} [options.maxWidth=480] - Frames wider than this are scaled down
+ * @returns {Promise<{frames: HTMLCanvasElement[], width: number, height: number, frameDelayMs: number}>}
+ */
+export async function sampleVideoFrames(videoUrl, options = {}) {
+  const { fps = 10, maxFrames = 60, maxWidth = 480 } = options;
+
+  const video = document.createElement('video');
+  video.crossOrigin = 'anonymous';
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  const waitFor = (eventName) => new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Video ${eventName} timeout`));
+    }, 30000);
+    const onEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = (e) => {
+      cleanup();
+      reject(new Error(`Failed to load video: ${e.message || 'Unknown error'}`));
+    };
+    const cleanup = () => {
+      clearTimeout(timeoutId);
+      video.removeEventListener(eventName, onEvent);
+      video.removeEventListener('error', onError);
+    };
+    video.addEventListener(eventName, onEvent);
+    video.addEventListener('error', onError);
+  });
+
+  try {
+    const loaded = waitFor('loadeddata');
+    video.src = videoUrl;
+    video.load();
+    await loaded;
+
+    const duration = Number.isFinite(video.duration) ? video.duration : 0;
+    const frameCount = Math.max(1, Math.min(maxFrames, Math.round(duration * fps)));
+    const interval = duration / frameCount;
+    const scale = Math.min(1, maxWidth / video.videoWidth);
+    const width = Math.round(video.videoWidth * scale);
+    const height = Math.round(video.videoHeight * scale);
+
+    const frames = [];
+    for (let i = 0; i < frameCount; i++) {
+      // Sample the middle of each interval, which never lands past the end
+      const seeked = waitFor('seeked');
+      video.currentTime = Math.max(0, Math.min(duration - 0.001, (i + 0.5) * interval));
+      await seeked;
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+      frames.push(canvas);
+    }
+
+    return { frames, width, height, frameDelayMs: Math.round(interval * 1000) || Math.round(1000 / fps) };
+  } finally {
+    video.src = '';
+    video.load();
+  }
+}
@@ -2,7 +2,6 @@
 
 interface ImportMetaEnv {
   readonly VITE_SOGNI_APP_ID: string;
-  readonly VITE_MODERATION_PASSWORD: string;
   readonly VITE_MODERATION_ENABLED: string;
   readonly VITE_TURNSTILE_KEY: string;
   readonly MODE: string;